@@ -0,0 +1,67 @@
+/**
+ * Order Workflow Configuration
+ * Single source of truth for the order lifecycle.
+ * Add or change a status here, then mirror it in the chk_order_status
+ * constraint (see migrations/add_order_workflow.sql).
+ */
+
+/**
+ * Order statuses
+ * - timestampField: orders column stamped when the order enters the status
+ * - final: no further transitions
+ * - resumesPreviousStatus: leaving this status is only allowed back to the
+ *   status the order was in before (or to any status listed in alwaysAllowed)
+ */
+const statuses = {
+  pending: { label: 'Pending' },
+  approved: { label: 'Approved', timestampField: 'approved_at' },
+  on_hold: {
+    label: 'On Hold',
+    resumesPreviousStatus: true,
+    alwaysAllowed: ['cancelled']
+  },
+  packed: { label: 'Packed', timestampField: 'packed_at' },
+  partially_shipped: { label: 'Partially Shipped' },
+  dispatched: { label: 'Dispatched', timestampField: 'dispatched_at' },
+  delivered: { label: 'Delivered', timestampField: 'delivered_at' },
+  returned: { label: 'Returned', timestampField: 'returned_at', final: true },
+  cancelled: { label: 'Cancelled', timestampField: 'cancelled_at', final: true }
+};
+
+/**
+ * Allowed transitions: current status → next statuses
+ * Moving to packed also needs a pack session (services/orderWorkflowService.js)
+ */
+const transitions = {
+  pending: ['approved', 'on_hold', 'cancelled'],
+  approved: ['packed', 'on_hold', 'cancelled'],
+  on_hold: ['pending', 'approved', 'packed', 'cancelled'],
+  packed: ['partially_shipped', 'dispatched', 'on_hold', 'cancelled'],
+  partially_shipped: ['partially_shipped', 'dispatched'],
+  dispatched: ['delivered', 'returned'],
+  delivered: ['returned'],
+  returned: [],
+  cancelled: []
+};
+
+/**
+ * Transitions still allowed once an order is locked by a sent/partial/paid invoice.
+ * These only record what happened to goods already shipped and billed;
+ * money adjustments for returns go through credit notes.
+ */
+const lockedTransitions = {
+  dispatched: ['delivered', 'returned'],
+  delivered: ['returned']
+};
+
+/**
+ * Statuses whose stock is still reserved (not yet shipped)
+ */
+const reservedStatuses = ['pending', 'approved', 'on_hold', 'packed'];
+
+module.exports = {
+  statuses,
+  transitions,
+  lockedTransitions,
+  reservedStatuses
+};
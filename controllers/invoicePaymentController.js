@@ -29,7 +29,7 @@ exports.recordPayment = async (req, res, next) => {
     // Fetch invoice with current payment status
     const { data: invoice, error: fetchError } = await supabaseAdmin
       .from('invoices')
-      .select('id, invoice_number, client_id, total_amount, paid_amount, balance_due, status')
+      .select('id, invoice_number, client_id, total_amount, paid_amount, credit_notes_applied, balance_due, status')
       .eq('id', invoiceId)
       .single();
 
@@ -43,11 +43,12 @@ exports.recordPayment = async (req, res, next) => {
     // CRITICAL: Prevent overpayment
     const currentPaidAmount = parseFloat(invoice.paid_amount || 0);
     const totalAmount = parseFloat(invoice.total_amount);
+    const creditsApplied = parseFloat(invoice.credit_notes_applied || 0);
     const paymentAmount = parseFloat(amount);
     const newPaidAmount = currentPaidAmount + paymentAmount;
 
-    if (newPaidAmount > totalAmount) {
-      const maxAllowed = totalAmount - currentPaidAmount;
+    if (newPaidAmount + creditsApplied > totalAmount) {
+      const maxAllowed = totalAmount - creditsApplied - currentPaidAmount;
       return res.status(400).json({
         success: false,
         message: `Payment amount exceeds invoice total. Maximum allowed: $${maxAllowed.toFixed(2)}`,
@@ -55,6 +56,7 @@ exports.recordPayment = async (req, res, next) => {
         data: {
           totalAmount: totalAmount,
           alreadyPaid: currentPaidAmount,
+          creditsApplied,
           maxPayment: maxAllowed,
           attemptedPayment: paymentAmount
         }
@@ -63,8 +65,8 @@ exports.recordPayment = async (req, res, next) => {
 
     // CRITICAL: Use validator to compute correct values
     // Never manually calculate - always derive from source of truth
-    const newBalanceDue = computeBalanceDue(totalAmount, newPaidAmount);
-    const newStatus = deriveStatus(totalAmount, newPaidAmount);
+    const newBalanceDue = computeBalanceDue(totalAmount, newPaidAmount, creditsApplied);
+    const newStatus = deriveStatus(totalAmount, newPaidAmount, creditsApplied);
 
     console.log(`💰 Recording payment for invoice ${invoice.invoice_number}`);
     console.log(`   Amount: $${paymentAmount.toFixed(2)}`);
@@ -275,24 +277,16 @@ exports.deletePayment = async (req, res, next) => {
     // Fetch invoice
     const { data: invoice } = await supabaseAdmin
       .from('invoices')
-      .select('paid_amount, total_amount, balance_due')
+      .select('paid_amount, total_amount, balance_due, credit_notes_applied')
       .eq('id', invoiceId)
       .single();
 
     // Calculate new amounts after deletion
     const paymentAmount = parseFloat(payment.amount);
-    const newPaidAmount = parseFloat(invoice.paid_amount) - paymentAmount;
-    const newBalanceDue = parseFloat(invoice.total_amount) - newPaidAmount;
-    
-    // Determine new status
-    let newStatus;
-    if (newPaidAmount <= 0) {
-      newStatus = 'sent';
-    } else if (newBalanceDue > 0) {
-      newStatus = 'partial';
-    } else {
-      newStatus = 'paid';
-    }
+    const creditsApplied = parseFloat(invoice.credit_notes_applied || 0);
+    const newPaidAmount = Math.max(0, parseFloat(invoice.paid_amount) - paymentAmount);
+    const newBalanceDue = computeBalanceDue(invoice.total_amount, newPaidAmount, creditsApplied);
+    const newStatus = deriveStatus(invoice.total_amount, newPaidAmount, creditsApplied);
 
     // Delete payment
     const { error: deleteError } = await supabaseAdmin
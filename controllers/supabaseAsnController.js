@@ -0,0 +1,473 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { createAuditLog } = require('../middleware/supabaseAuditLog');
+const asnService = require('../services/asnService');
+
+const ASN_SELECT = `
+  *,
+  clients:client_id (
+    id,
+    company_name
+  ),
+  warehouses:warehouse_id (
+    id,
+    code,
+    name
+  ),
+  asn_lines (
+    *,
+    products:product_id (
+      id,
+      name,
+      sku
+    )
+  )
+`;
+
+/**
+ * Format an ASN row for API responses
+ */
+const formatAsn = (asn) => ({
+  id: asn.id,
+  _id: asn.id,
+  asnNumber: asn.asn_number,
+  clientId: asn.clients ? {
+    _id: asn.clients.id,
+    companyName: asn.clients.company_name
+  } : asn.client_id,
+  warehouseId: asn.warehouses ? {
+    _id: asn.warehouses.id,
+    code: asn.warehouses.code,
+    name: asn.warehouses.name
+  } : asn.warehouse_id,
+  status: asn.status,
+  carrier: asn.carrier,
+  trackingNumber: asn.tracking_number,
+  referenceNumber: asn.reference_number,
+  expectedDate: asn.expected_date,
+  notes: asn.notes,
+  lines: (asn.asn_lines || []).map(line => ({
+    id: line.id,
+    _id: line.id,
+    productId: line.products ? {
+      _id: line.products.id,
+      name: line.products.name,
+      sku: line.products.sku
+    } : line.product_id,
+    expectedQuantity: line.expected_quantity,
+    receivedQuantity: line.received_quantity,
+    damagedQuantity: line.damaged_quantity,
+    notes: line.notes
+  })),
+  discrepancyReport: asn.discrepancy_report || null,
+  createdBy: asn.created_by,
+  closedBy: asn.closed_by,
+  closedAt: asn.closed_at,
+  createdAt: asn.created_at,
+  updatedAt: asn.updated_at
+});
+
+/**
+ * Load an ASN with relations - use admin client to bypass RLS
+ */
+const fetchAsn = async (id) => {
+  const { data } = await supabaseAdmin
+    .from('asns')
+    .select(ASN_SELECT)
+    .eq('id', id)
+    .single();
+
+  return data;
+};
+
+/**
+ * Get all ASNs
+ */
+exports.getAllAsns = async (req, res, next) => {
+  try {
+    const { status, clientId, startDate, endDate, warehouseId } = req.query;
+
+    // Use admin client to bypass RLS
+    let query = supabaseAdmin
+      .from('asns')
+      .select(ASN_SELECT)
+      .order('expected_date', { ascending: true, nullsFirst: false })
+      .order('created_at', { ascending: false });
+
+    if (req.user.role === 'client' && req.user.client_id) {
+      query = query.eq('client_id', req.user.client_id);
+    } else if (clientId && clientId !== 'null' && clientId !== 'undefined') {
+      query = query.eq('client_id', clientId);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (warehouseId) {
+      query = query.eq('warehouse_id', warehouseId);
+    }
+
+    // Expected arrival window
+    if (startDate) {
+      query = query.gte('expected_date', startDate);
+    }
+    if (endDate) {
+      query = query.lte('expected_date', endDate);
+    }
+
+    const { data: asns, error } = await query;
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to fetch ASNs'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (asns || []).map(formatAsn)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get ASN by ID
+ */
+exports.getAsnById = async (req, res, next) => {
+  try {
+    const asn = await fetchAsn(req.params.id);
+
+    if (!asn) {
+      return res.status(404).json({
+        success: false,
+        message: 'ASN not found'
+      });
+    }
+
+    // Client authorization check
+    if (req.user.role === 'client' && asn.client_id !== req.user.client_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this ASN'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatAsn(asn)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the discrepancy report for an ASN
+ * Closed ASNs return the report stored at closing; open ASNs a live preview
+ */
+exports.getDiscrepancyReport = async (req, res, next) => {
+  try {
+    const asn = await fetchAsn(req.params.id);
+
+    if (!asn) {
+      return res.status(404).json({
+        success: false,
+        message: 'ASN not found'
+      });
+    }
+
+    // Client authorization check
+    if (req.user.role === 'client' && asn.client_id !== req.user.client_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this ASN'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        asnNumber: asn.asn_number,
+        status: asn.status,
+        final: asn.status === 'closed',
+        ...(asn.discrepancy_report || asnService.buildDiscrepancyReport(asn.asn_lines))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an ASN
+ * Clients announce shipments for their own account
+ */
+exports.createAsn = async (req, res, next) => {
+  try {
+    const { carrier, trackingNumber, referenceNumber, expectedDate, notes, lines, warehouseId } = req.body;
+    const clientId = req.user.role === 'client' ? req.user.client_id : req.body.clientId;
+
+    if (!clientId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client ID is required'
+      });
+    }
+
+    const result = await asnService.createAsn({
+      clientId,
+      warehouseId,
+      lines,
+      carrier,
+      trackingNumber,
+      referenceNumber,
+      expectedDate,
+      notes,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'ASN_CREATED',
+      'ASN',
+      result.asn.id,
+      { asnNumber: result.asn.asn_number, clientId, lines },
+      req
+    );
+
+    const asn = await fetchAsn(result.asn.id);
+
+    res.status(201).json({
+      success: true,
+      message: `ASN ${result.asn.asn_number} created`,
+      data: formatAsn(asn)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update ASN shipment details (carrier, tracking, expected date) before receiving starts
+ */
+exports.updateAsn = async (req, res, next) => {
+  try {
+    const asn = await fetchAsn(req.params.id);
+
+    if (!asn) {
+      return res.status(404).json({
+        success: false,
+        message: 'ASN not found'
+      });
+    }
+
+    // Client authorization check
+    if (req.user.role === 'client' && asn.client_id !== req.user.client_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this ASN'
+      });
+    }
+
+    if (asn.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `ASN ${asn.asn_number} is ${asn.status} and can no longer be changed`
+      });
+    }
+
+    const { carrier, trackingNumber, referenceNumber, expectedDate, notes } = req.body;
+    const updateData = {
+      updated_at: new Date().toISOString()
+    };
+
+    if (carrier !== undefined) updateData.carrier = carrier;
+    if (trackingNumber !== undefined) updateData.tracking_number = trackingNumber;
+    if (referenceNumber !== undefined) updateData.reference_number = referenceNumber;
+    if (expectedDate !== undefined) updateData.expected_date = expectedDate;
+    if (notes !== undefined) updateData.notes = notes;
+
+    const { error } = await supabaseAdmin
+      .from('asns')
+      .update(updateData)
+      .eq('id', asn.id);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to update ASN'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'UPDATE', 'ASN', asn.id, updateData, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'ASN updated successfully',
+      data: formatAsn(await fetchAsn(asn.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive against ASN lines
+ */
+exports.receiveAsn = async (req, res, next) => {
+  try {
+    const result = await asnService.receiveAsn({
+      asnId: req.params.id,
+      lines: req.body.lines,
+      userId: req.user.id
+    });
+
+    // Lines that failed to put away still leave the others received
+    const partial = result.code === 'ASN_LINES_NOT_RECEIVED';
+    if (!result.success && !(partial && result.totalReceived + result.totalDamaged > 0)) {
+      const { statusCode, success, asn, inboundLogs, totalReceived, totalDamaged, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'ASN_RECEIVED',
+      'ASN',
+      result.asn.id,
+      {
+        asnNumber: result.asn.asn_number,
+        lines: req.body.lines,
+        inboundLogIds: result.inboundLogs.map(log => log.id),
+        failedLines: result.success ? [] : result.data.failed
+      },
+      req
+    );
+
+    const asn = await fetchAsn(result.asn.id);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        code: result.code,
+        message: `Received ${result.totalReceived} units against ${result.asn.asn_number}, but ${result.message}`,
+        data: { ...formatAsn(asn), failed: result.data.failed }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Received ${result.totalReceived} units against ${result.asn.asn_number}${result.totalDamaged > 0 ? ` (${result.totalDamaged} damaged)` : ''}`,
+      data: formatAsn(asn)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Close an ASN and generate its discrepancy report
+ */
+exports.closeAsn = async (req, res, next) => {
+  try {
+    const result = await asnService.closeAsn({
+      asnId: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'ASN_CLOSED',
+      'ASN',
+      result.asn.id,
+      { asnNumber: result.asn.asn_number, totals: result.report.totals },
+      req
+    );
+
+    const asn = await fetchAsn(result.asn.id);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        code: result.code,
+        message: `Received ${result.totalReceived} units against ${result.asn.asn_number}, but ${result.message}`,
+        data: { ...formatAsn(asn), failed: result.data.failed }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.report.hasDiscrepancies
+        ? `ASN ${result.asn.asn_number} closed with discrepancies`
+        : `ASN ${result.asn.asn_number} closed, all lines received as expected`,
+      data: formatAsn(asn)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel an ASN that has not been received against
+ */
+exports.cancelAsn = async (req, res, next) => {
+  try {
+    const asn = await fetchAsn(req.params.id);
+
+    if (!asn) {
+      return res.status(404).json({
+        success: false,
+        message: 'ASN not found'
+      });
+    }
+
+    // Client authorization check
+    if (req.user.role === 'client' && asn.client_id !== req.user.client_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this ASN'
+      });
+    }
+
+    if (asn.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `ASN ${asn.asn_number} is ${asn.status} and cannot be cancelled`
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('asns')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', asn.id);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to cancel ASN'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'ASN_CANCELLED', 'ASN', asn.id, { asnNumber: asn.asn_number }, req);
+
+    res.status(200).json({
+      success: true,
+      message: `ASN ${asn.asn_number} cancelled`,
+      data: formatAsn({ ...asn, status: 'cancelled' })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
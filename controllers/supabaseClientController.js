@@ -88,6 +88,12 @@ exports.getAllClients = async (req, res, next) => {
       },
       taxId: client.tax_id,
       isActive: client.is_active,
+      accountManagerId: client.account_manager_id || null,
+      branding: {
+        logoUrl: client.logo_url || null,
+        color: client.brand_color || null,
+        packingSlipMessage: client.packing_slip_message || null
+      },
       notes: client.notes,
       createdAt: client.created_at,
       updatedAt: client.updated_at
@@ -162,6 +168,12 @@ exports.getClientById = async (req, res, next) => {
       },
       taxId: client.tax_id,
       isActive: client.is_active,
+      accountManagerId: client.account_manager_id || null,
+      branding: {
+        logoUrl: client.logo_url || null,
+        color: client.brand_color || null,
+        packingSlipMessage: client.packing_slip_message || null
+      },
       notes: client.notes,
       createdAt: client.created_at,
       updatedAt: client.updated_at
@@ -176,6 +188,17 @@ exports.getClientById = async (req, res, next) => {
   }
 };
 
+/**
+ * Map branding fields to clients columns (only fields that were sent)
+ */
+const buildBrandingData = (branding) => {
+  const data = {};
+  if (branding.logoUrl !== undefined) data.logo_url = branding.logoUrl || null;
+  if (branding.color !== undefined) data.brand_color = branding.color || null;
+  if (branding.packingSlipMessage !== undefined) data.packing_slip_message = branding.packingSlipMessage || null;
+  return data;
+};
+
 /**
  * Create new client
  */
@@ -189,7 +212,9 @@ exports.createClient = async (req, res, next) => {
       address,
       taxId,
       notes,
-      isActive = true
+      isActive = true,
+      accountManagerId,
+      branding
     } = req.body;
 
     // Validate required fields
@@ -248,7 +273,10 @@ exports.createClient = async (req, res, next) => {
       phone,
       tax_id: taxId || null,
       notes: notes || null,
-      is_active: isActive
+      is_active: isActive,
+      account_manager_id: accountManagerId || null,
+      // Packing slip branding (columns from add_order_documents.sql)
+      ...(branding && buildBrandingData(branding))
     };
 
     // Check if address columns exist by trying a test query
@@ -320,6 +348,12 @@ exports.createClient = async (req, res, next) => {
       },
       taxId: client.tax_id,
       isActive: client.is_active,
+      accountManagerId: client.account_manager_id || null,
+      branding: {
+        logoUrl: client.logo_url || null,
+        color: client.brand_color || null,
+        packingSlipMessage: client.packing_slip_message || null
+      },
       notes: client.notes,
       createdAt: client.created_at,
       updatedAt: client.updated_at
@@ -349,7 +383,9 @@ exports.updateClient = async (req, res, next) => {
       address,
       taxId,
       notes,
-      isActive
+      isActive,
+      accountManagerId,
+      branding
     } = req.body;
 
     // Check if client exists - use admin client to bypass RLS
@@ -418,6 +454,8 @@ exports.updateClient = async (req, res, next) => {
     if (taxId !== undefined) updateData.tax_id = taxId;
     if (notes !== undefined) updateData.notes = notes;
     if (isActive !== undefined) updateData.is_active = isActive;
+    if (accountManagerId !== undefined) updateData.account_manager_id = accountManagerId || null;
+    if (branding !== undefined) Object.assign(updateData, buildBrandingData(branding || {}));
 
     // Use admin client to bypass RLS
     const { data: client, error } = await supabaseAdmin
@@ -463,6 +501,12 @@ exports.updateClient = async (req, res, next) => {
       },
       taxId: client.tax_id,
       isActive: client.is_active,
+      accountManagerId: client.account_manager_id || null,
+      branding: {
+        logoUrl: client.logo_url || null,
+        color: client.brand_color || null,
+        packingSlipMessage: client.packing_slip_message || null
+      },
       notes: client.notes,
       createdAt: client.created_at,
       updatedAt: client.updated_at
@@ -0,0 +1,427 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { createAuditLog } = require('../middleware/supabaseAuditLog');
+const creditNoteService = require('../services/creditNoteService');
+
+const CREDIT_NOTE_SELECT = `
+  *,
+  clients:client_id (
+    id,
+    company_name
+  ),
+  invoices:invoice_id (
+    id,
+    invoice_number
+  ),
+  credit_note_lines (*),
+  credit_note_applications (
+    id,
+    invoice_id,
+    amount,
+    applied_at,
+    reversed_at,
+    invoices:invoice_id (
+      id,
+      invoice_number
+    )
+  )
+`;
+
+/**
+ * Format a credit note row for API responses (amounts shown as positive credit)
+ */
+const formatCreditNote = (note) => {
+  const applications = (note.credit_note_applications || []).filter(a => !a.reversed_at);
+  const totalCredit = Math.abs(parseFloat(note.total_amount || 0));
+  const appliedAmount = applications.reduce((sum, a) => sum + parseFloat(a.amount || 0), 0);
+
+  return {
+    id: note.id,
+    _id: note.id,
+    creditNoteNumber: note.credit_note_number,
+    invoiceId: note.invoices ? {
+      _id: note.invoices.id,
+      invoiceNumber: note.invoices.invoice_number
+    } : note.invoice_id,
+    clientId: note.clients ? {
+      _id: note.clients.id,
+      companyName: note.clients.company_name
+    } : note.client_id,
+    returnId: note.return_id || null,
+    reason: note.reason,
+    description: note.description,
+    subtotal: Math.abs(parseFloat(note.subtotal || 0)),
+    taxAmount: Math.abs(parseFloat(note.tax_amount || 0)),
+    totalAmount: totalCredit,
+    appliedAmount: Number(appliedAmount.toFixed(2)),
+    remainingAmount: note.status === 'void' ? 0 : Number(Math.max(0, totalCredit - appliedAmount).toFixed(2)),
+    status: note.status,
+    lines: (note.credit_note_lines || []).map(line => ({
+      id: line.id,
+      _id: line.id,
+      orderId: line.order_id,
+      description: line.description,
+      quantity: line.quantity !== null ? Math.abs(line.quantity) : null,
+      unitPrice: line.unit_price !== null ? parseFloat(line.unit_price) : null,
+      amount: Math.abs(parseFloat(line.amount || 0))
+    })),
+    applications: applications.map(a => ({
+      id: a.id,
+      invoiceId: a.invoice_id,
+      invoiceNumber: a.invoices?.invoice_number || null,
+      amount: parseFloat(a.amount),
+      appliedAt: a.applied_at
+    })),
+    issuedAt: note.issued_at,
+    appliedAt: note.applied_at,
+    voidedAt: note.voided_at || null,
+    voidReason: note.void_reason || null,
+    createdBy: note.created_by,
+    createdAt: note.created_at,
+    updatedAt: note.updated_at
+  };
+};
+
+/**
+ * Load a credit note with relations - use admin client to bypass RLS
+ */
+const fetchCreditNote = async (id) => {
+  const { data } = await supabaseAdmin
+    .from('credit_notes')
+    .select(CREDIT_NOTE_SELECT)
+    .eq('id', id)
+    .single();
+
+  return data;
+};
+
+/**
+ * Get all credit notes
+ */
+exports.getAllCreditNotes = async (req, res, next) => {
+  try {
+    const { status, invoiceId, clientId } = req.query;
+
+    // Use admin client to bypass RLS
+    let query = supabaseAdmin
+      .from('credit_notes')
+      .select(CREDIT_NOTE_SELECT)
+      .order('created_at', { ascending: false });
+
+    if (req.user.role === 'client' && req.user.client_id) {
+      query = query.eq('client_id', req.user.client_id);
+    } else if (clientId) {
+      query = query.eq('client_id', clientId);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (invoiceId) {
+      query = query.eq('invoice_id', invoiceId);
+    }
+
+    const { data: creditNotes, error } = await query;
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to fetch credit notes'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (creditNotes || []).map(formatCreditNote)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get credit note by ID
+ */
+exports.getCreditNoteById = async (req, res, next) => {
+  try {
+    const creditNote = await fetchCreditNote(req.params.id);
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    // Client authorization check
+    if (req.user.role === 'client' && creditNote.client_id !== req.user.client_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this credit note'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatCreditNote(creditNote)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create and issue a credit note against an invoice
+ * Optionally apply it straight away to that invoice (applyNow=true)
+ */
+exports.createCreditNote = async (req, res, next) => {
+  try {
+    const { invoiceId, reason, description, lines, applyNow } = req.body;
+
+    const { data: invoice } = await supabaseAdmin
+      .from('invoices')
+      .select('id, invoice_number, client_id, status, total_amount')
+      .eq('id', invoiceId)
+      .single();
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (['draft', 'void'].includes(invoice.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot credit a ${invoice.status} invoice. Edit or regenerate the invoice instead.`
+      });
+    }
+
+    const result = await creditNoteService.createCreditNote({
+      invoiceId,
+      clientId: invoice.client_id,
+      reason,
+      description,
+      lines: lines.map(line => ({
+        orderId: line.orderId,
+        description: line.description,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        amount: line.amount !== undefined
+          ? parseFloat(line.amount)
+          : parseFloat(line.quantity || 0) * parseFloat(line.unitPrice || 0)
+      })),
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    let application = null;
+    if (applyNow) {
+      application = await creditNoteService.applyCreditNote({
+        creditNote: result.creditNote,
+        invoiceId,
+        userId: req.user.id
+      });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'CREDIT_NOTE_CREATED',
+      'CreditNote',
+      result.creditNote.id,
+      {
+        creditNoteNumber: result.creditNote.credit_note_number,
+        invoiceNumber: invoice.invoice_number,
+        totalAmount: result.creditNote.total_amount,
+        applied: application?.success ? application.applied : 0
+      },
+      req
+    );
+
+    const creditNote = await fetchCreditNote(result.creditNote.id);
+
+    res.status(201).json({
+      success: true,
+      message: application && !application.success
+        ? `Credit note ${result.creditNote.credit_note_number} created but not applied: ${application.message}`
+        : `Credit note ${result.creditNote.credit_note_number} created`,
+      data: formatCreditNote(creditNote)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Apply a credit note to one or more open invoices of the same client
+ * Body: { applications: [{ invoiceId, amount? }] } - amount defaults to as much as possible
+ */
+exports.applyCreditNote = async (req, res, next) => {
+  try {
+    const { applications } = req.body;
+
+    const creditNote = await fetchCreditNote(req.params.id);
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    const remaining = formatCreditNote(creditNote).remainingAmount;
+    const requestedTotal = applications.reduce((sum, a) => sum + parseFloat(a.amount || 0), 0);
+
+    if (requestedTotal > remaining + 0.001) {
+      return res.status(400).json({
+        success: false,
+        message: `Requested $${requestedTotal.toFixed(2)} exceeds the remaining credit of $${remaining.toFixed(2)}`
+      });
+    }
+
+    const results = [];
+    let current = creditNote;
+
+    for (const { invoiceId, amount } of applications) {
+      const result = await creditNoteService.applyCreditNote({
+        creditNote: current,
+        invoiceId,
+        amount: amount !== undefined ? parseFloat(amount) : undefined,
+        userId: req.user.id
+      });
+
+      results.push({
+        invoiceId,
+        success: result.success,
+        applied: result.success ? result.applied : 0,
+        invoiceStatus: result.success ? result.invoice.status : null,
+        balanceDue: result.success ? parseFloat(result.invoice.balance_due) : null,
+        message: result.success ? undefined : result.message
+      });
+
+      if (result.success && result.remaining <= 0) {
+        current = { ...current, status: 'applied' };
+      }
+    }
+
+    const appliedTotal = results.reduce((sum, r) => sum + r.applied, 0);
+
+    await createAuditLog(
+      req.user.id,
+      'CREDIT_NOTE_APPLIED',
+      'CreditNote',
+      creditNote.id,
+      { creditNoteNumber: creditNote.credit_note_number, results },
+      req
+    );
+
+    const updated = await fetchCreditNote(creditNote.id);
+    const allFailed = results.every(r => !r.success);
+
+    res.status(allFailed ? 400 : 200).json({
+      success: !allFailed,
+      message: allFailed
+        ? 'Credit note could not be applied'
+        : `Applied $${appliedTotal.toFixed(2)} from credit note ${creditNote.credit_note_number}`,
+      data: {
+        creditNote: formatCreditNote(updated),
+        results
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Void a credit note and reverse its applications
+ */
+exports.voidCreditNote = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const creditNote = await fetchCreditNote(req.params.id);
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    const result = await creditNoteService.voidCreditNote({
+      creditNote,
+      userId: req.user.id,
+      reason
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'CREDIT_NOTE_VOIDED',
+      'CreditNote',
+      creditNote.id,
+      { creditNoteNumber: creditNote.credit_note_number, reason, reversed: result.reversed },
+      req
+    );
+
+    const updated = await fetchCreditNote(creditNote.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Credit note ${creditNote.credit_note_number} voided`,
+      data: formatCreditNote(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download credit note as PDF
+ */
+exports.downloadCreditNotePdf = async (req, res, next) => {
+  try {
+    const { data: creditNote } = await supabaseAdmin
+      .from('credit_notes')
+      .select('id, client_id')
+      .eq('id', req.params.id)
+      .single();
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    // Client authorization check
+    if (req.user.role === 'client' && creditNote.client_id !== req.user.client_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this credit note'
+      });
+    }
+
+    const { buffer, creditNote: fullCreditNote } = await creditNoteService.renderCreditNotePdf(creditNote.id);
+
+    res.header('Content-Type', 'application/pdf');
+    res.attachment(`${fullCreditNote.credit_note_number}.pdf`);
+    return res.send(buffer);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,399 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { createAuditLog } = require('../middleware/supabaseAuditLog');
+const cycleCountService = require('../services/cycleCountService');
+const warehouseService = require('../services/warehouseService');
+
+const CYCLE_COUNT_SELECT = `
+  *,
+  warehouses:warehouse_id (
+    id,
+    code,
+    name
+  ),
+  clients:client_id (
+    id,
+    company_name
+  ),
+  cycle_count_lines (
+    *,
+    products:product_id (
+      id,
+      name,
+      sku
+    ),
+    clients:client_id (
+      id,
+      company_name
+    ),
+    warehouse_locations:location_id (
+      id,
+      location_code
+    )
+  )
+`;
+
+/**
+ * Format a cycle count row for API responses
+ * Counts are blind: system quantities and variances are only shown once
+ * the count has been submitted.
+ */
+const formatCycleCount = (cycleCount) => {
+  const blind = cycleCount.status === 'open';
+
+  return {
+    id: cycleCount.id,
+    _id: cycleCount.id,
+    countNumber: cycleCount.count_number,
+    warehouseId: cycleCount.warehouses ? {
+      _id: cycleCount.warehouses.id,
+      code: cycleCount.warehouses.code,
+      name: cycleCount.warehouses.name
+    } : cycleCount.warehouse_id,
+    clientId: cycleCount.clients ? {
+      _id: cycleCount.clients.id,
+      companyName: cycleCount.clients.company_name
+    } : cycleCount.client_id,
+    method: cycleCount.method,
+    criteria: cycleCount.criteria,
+    status: cycleCount.status,
+    notes: cycleCount.notes,
+    lines: (cycleCount.cycle_count_lines || [])
+      .map(line => ({
+        id: line.id,
+        _id: line.id,
+        inventoryId: line.inventory_id,
+        productId: line.products ? {
+          _id: line.products.id,
+          name: line.products.name,
+          sku: line.products.sku
+        } : line.product_id,
+        clientId: line.clients ? {
+          _id: line.clients.id,
+          companyName: line.clients.company_name
+        } : line.client_id,
+        locationId: line.location_id,
+        locationCode: line.warehouse_locations?.location_code || null,
+        status: line.status,
+        countedQuantity: line.counted_quantity,
+        countedBy: line.counted_by,
+        countedAt: line.counted_at,
+        expectedQuantity: blind ? null : line.expected_quantity,
+        variance: blind ? null : line.variance,
+        requiresApproval: line.requires_approval,
+        reviewedBy: line.reviewed_by,
+        reviewedAt: line.reviewed_at,
+        reviewNote: line.review_note,
+        postedAt: line.posted_at,
+        postError: line.post_error
+      }))
+      .sort((a, b) => (a.locationCode || '').localeCompare(b.locationCode || '') ||
+        (a.productId?.sku || '').localeCompare(b.productId?.sku || '')),
+    approvalThreshold: cycleCountService.APPROVAL_THRESHOLD_UNITS,
+    createdBy: cycleCount.created_by,
+    submittedBy: cycleCount.submitted_by,
+    submittedAt: cycleCount.submitted_at,
+    completedAt: cycleCount.completed_at,
+    createdAt: cycleCount.created_at,
+    updatedAt: cycleCount.updated_at
+  };
+};
+
+/**
+ * Load a cycle count with relations - use admin client to bypass RLS
+ */
+const fetchCycleCount = async (id) => {
+  const { data } = await supabaseAdmin
+    .from('cycle_counts')
+    .select(CYCLE_COUNT_SELECT)
+    .eq('id', id)
+    .single();
+
+  return data;
+};
+
+/**
+ * Get all cycle counts
+ */
+exports.getAllCycleCounts = async (req, res, next) => {
+  try {
+    const { status, warehouseId, clientId, method } = req.query;
+
+    // Use admin client to bypass RLS
+    let query = supabaseAdmin
+      .from('cycle_counts')
+      .select(CYCLE_COUNT_SELECT)
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (warehouseId) {
+      query = query.eq('warehouse_id', warehouseId);
+    }
+
+    if (clientId && clientId !== 'null' && clientId !== 'undefined') {
+      query = query.eq('client_id', clientId);
+    }
+
+    if (method) {
+      query = query.eq('method', method);
+    }
+
+    const { data: cycleCounts, error } = await query;
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to fetch cycle counts'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (cycleCounts || []).map(formatCycleCount)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get cycle count by ID
+ */
+exports.getCycleCountById = async (req, res, next) => {
+  try {
+    const cycleCount = await fetchCycleCount(req.params.id);
+
+    if (!cycleCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cycle count not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatCycleCount(cycleCount)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate a cycle count by bin, ABC velocity class or random sample
+ */
+exports.createCycleCount = async (req, res, next) => {
+  try {
+    const { warehouseId, clientId, method, locationIds, abcClass, days, sampleSize, notes } = req.body;
+
+    const resolved = await warehouseService.resolveWarehouse(warehouseId);
+    if (!resolved.success) {
+      const { statusCode, success, ...body } = resolved;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    const result = await cycleCountService.createCycleCount({
+      warehouseId: resolved.warehouse.id,
+      clientId: clientId || null,
+      method,
+      locationIds,
+      abcClass: abcClass ? String(abcClass).toUpperCase() : abcClass,
+      days: days !== undefined ? parseInt(days) : undefined,
+      sampleSize: sampleSize !== undefined ? parseInt(sampleSize) : undefined,
+      notes,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    const cycleCount = await fetchCycleCount(result.cycleCount.id);
+
+    await createAuditLog(
+      req.user.id,
+      'CYCLE_COUNT_CREATED',
+      'CycleCount',
+      cycleCount.id,
+      { countNumber: cycleCount.count_number, method, criteria: cycleCount.criteria, lines: cycleCount.cycle_count_lines.length },
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Cycle count ${cycleCount.count_number} created with ${cycleCount.cycle_count_lines.length} lines`,
+      data: formatCycleCount(cycleCount)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record blind counts for count lines
+ */
+exports.recordCounts = async (req, res, next) => {
+  try {
+    const result = await cycleCountService.recordCounts({
+      cycleCountId: req.params.id,
+      lines: req.body.lines,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Recorded ${result.counted} count(s) on ${result.cycleCount.count_number}`,
+      data: formatCycleCount(await fetchCycleCount(req.params.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Submit a counted cycle count: compute variances and post those within the approval threshold
+ */
+exports.submitCycleCount = async (req, res, next) => {
+  try {
+    const result = await cycleCountService.submitCycleCount({
+      cycleCountId: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'CYCLE_COUNT_SUBMITTED',
+      'CycleCount',
+      result.cycleCount.id,
+      {
+        countNumber: result.cycleCount.count_number,
+        posted: result.posted,
+        pendingApproval: result.pendingApproval,
+        failed: result.failed
+      },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.pendingApproval > 0
+        ? `${result.posted} line(s) posted, ${result.pendingApproval} waiting for approval`
+        : `${result.posted} line(s) posted`,
+      data: {
+        ...formatCycleCount(await fetchCycleCount(req.params.id)),
+        failed: result.failed
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve or reject variances above the approval threshold (supervisors)
+ */
+exports.reviewCycleCount = async (req, res, next) => {
+  try {
+    const result = await cycleCountService.reviewCycleCount({
+      cycleCountId: req.params.id,
+      lines: req.body.lines,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'CYCLE_COUNT_REVIEWED',
+      'CycleCount',
+      result.cycleCount.id,
+      {
+        countNumber: result.cycleCount.count_number,
+        lines: req.body.lines,
+        posted: result.posted,
+        rejected: result.rejected,
+        failed: result.failed
+      },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${result.posted} line(s) posted, ${result.rejected} rejected`,
+      data: {
+        ...formatCycleCount(await fetchCycleCount(req.params.id)),
+        failed: result.failed
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a cycle count that has not been submitted
+ */
+exports.cancelCycleCount = async (req, res, next) => {
+  try {
+    const cycleCount = await fetchCycleCount(req.params.id);
+
+    if (!cycleCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cycle count not found'
+      });
+    }
+
+    if (cycleCount.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: `Cycle count ${cycleCount.count_number} is ${cycleCount.status} and cannot be cancelled`
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('cycle_counts')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', cycleCount.id);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to cancel cycle count'
+      });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'CYCLE_COUNT_CANCELLED',
+      'CycleCount',
+      cycleCount.id,
+      { countNumber: cycleCount.count_number },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Cycle count ${cycleCount.count_number} cancelled`,
+      data: formatCycleCount(await fetchCycleCount(cycleCount.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
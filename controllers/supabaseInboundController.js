@@ -1,13 +1,18 @@
 const supabase = require('../config/supabase');
 const supabaseAdmin = require('../config/supabaseAdmin');
 const { createAuditLog } = require('../middleware/supabaseAuditLog');
+const inboundService = require('../services/inboundService');
+const receivingBillingService = require('../services/receivingBillingService');
+const locationService = require('../services/locationService');
+const lotService = require('../services/lotService');
+const serialService = require('../services/serialService');
 
 /**
  * Get all inbound logs
  */
 exports.getAllInboundLogs = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, clientId, startDate, endDate } = req.query;
+    const { page = 1, limit = 10, clientId, startDate, endDate, warehouseId } = req.query;
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const from = (pageNum - 1) * limitNum;
@@ -38,6 +43,10 @@ exports.getAllInboundLogs = async (req, res, next) => {
       query = query.eq('client_id', clientId);
     }
 
+    if (warehouseId) {
+      query = query.eq('warehouse_id', warehouseId);
+    }
+
     // Date filters
     if (startDate) {
       query = query.gte('received_date', startDate);
@@ -73,13 +82,28 @@ exports.getAllInboundLogs = async (req, res, next) => {
       quantity: log.quantity,
       referenceNumber: log.reference_number,
       storageLocation: log.storage_location,
+      locationId: log.location_id || null,
+      lotNumber: log.lot_number || null,
+      expiryDate: log.expiry_date || null,
+      warehouseId: log.warehouse_id || null,
       receivedDate: log.received_date,
       receivedBy: log.received_by,
+
+      receivedAt: log.received_at,
+
+      cartonCount: log.carton_count,
+
+      palletCount: log.pallet_count,
       status: log.status,
       notes: log.notes,
       rejectedQuantity: log.rejected_quantity || 0,
       rejectionReason: log.rejection_reason,
       acceptedQuantity: log.accepted_quantity,
+      asnId: log.asn_id || null,
+      invoicedIn: log.invoiced_in || null,
+
+      isLocked: !!log.invoiced_in,
+
       createdAt: log.created_at,
       updatedAt: log.updated_at
     }));
@@ -103,7 +127,21 @@ exports.getAllInboundLogs = async (req, res, next) => {
  */
 exports.createInboundLog = async (req, res, next) => {
   try {
-    const { clientId, productId, quantity, referenceNumber, storageLocation, notes, status } = req.body;
+    const {
+      clientId,
+      productId,
+      quantity,
+      referenceNumber,
+      storageLocation,
+      notes,
+      status,
+      cartonCount,
+      palletCount,
+      warehouseId,
+      lotNumber,
+      expiryDate,
+      serialNumbers
+    } = req.body;
 
     if (!quantity || quantity <= 0 || !Number.isInteger(Number(quantity))) {
       return res.status(400).json({
@@ -136,72 +174,30 @@ exports.createInboundLog = async (req, res, next) => {
       });
     }
 
-    // Create inbound log
-    const logData = {
-      client_id: clientId,
-      product_id: productId,
-      quantity: parseInt(quantity),
-      reference_number: referenceNumber,
-      storage_location: storageLocation,
-      received_by: req.user.id,
+    // Record the receipt and put received units into stock
+    const result = await inboundService.createInboundReceipt({
+      clientId,
+      productId,
+      warehouseId,
+      quantity,
+      referenceNumber,
+      storageLocation,
+      lotNumber,
+      expiryDate,
+      serialNumbers,
       status: inboundStatus,
-      notes: notes || null
-    };
-
-    // Use admin client to bypass RLS
-    const { data: inboundLog, error: logError } = await supabaseAdmin
-      .from('inbound_logs')
-      .insert(logData)
-      .select()
-      .single();
+      cartonCount,
+      palletCount,
+      notes,
+      userId: req.user.id
+    });
 
-    if (logError) {
-      return res.status(400).json({
-        success: false,
-        message: logError.message || 'Failed to create inbound log'
-      });
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
     }
 
-    // Only update inventory if status is 'received', not 'pending'
-    if (inboundStatus === 'received') {
-      // Update inventory (use Supabase inventory) - use admin client to bypass RLS
-      const { data: existingInventory } = await supabaseAdmin
-        .from('inventory')
-        .select('*')
-        .eq('product_id', productId)
-        .eq('client_id', clientId)
-        .single();
-
-      if (!existingInventory) {
-        // Create new inventory record - use admin client to bypass RLS
-        await supabaseAdmin
-          .from('inventory')
-          .insert({
-            product_id: productId,
-            client_id: clientId,
-            total_stock: quantity,
-            available_stock: quantity,
-            reserved_stock: 0,
-            dispatched_stock: 0,
-            storage_location: storageLocation
-          });
-      } else {
-        // Update existing inventory - use admin client to bypass RLS
-        const newTotalStock = existingInventory.total_stock + quantity;
-        const newAvailableStock = existingInventory.available_stock + quantity;
-
-        await supabaseAdmin
-          .from('inventory')
-          .update({
-            total_stock: newTotalStock,
-            available_stock: newAvailableStock,
-            storage_location: storageLocation,
-            last_updated: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', existingInventory.id);
-      }
-    }
+    const inboundLog = result.inboundLog;
 
     await createAuditLog(
       req.user.id,
@@ -245,10 +241,25 @@ exports.createInboundLog = async (req, res, next) => {
       quantity: populatedLog.quantity,
       referenceNumber: populatedLog.reference_number,
       storageLocation: populatedLog.storage_location,
+      locationId: populatedLog.location_id || null,
+      lotNumber: populatedLog.lot_number || null,
+      expiryDate: populatedLog.expiry_date || null,
+      warehouseId: populatedLog.warehouse_id || null,
       receivedDate: populatedLog.received_date,
       receivedBy: populatedLog.received_by,
+
+      receivedAt: populatedLog.received_at,
+
+      cartonCount: populatedLog.carton_count,
+
+      palletCount: populatedLog.pallet_count,
       status: populatedLog.status,
       notes: populatedLog.notes,
+      asnId: populatedLog.asn_id || null,
+      invoicedIn: populatedLog.invoiced_in || null,
+
+      isLocked: !!populatedLog.invoiced_in,
+
       createdAt: populatedLog.created_at,
       updatedAt: populatedLog.updated_at
     };
@@ -269,7 +280,16 @@ exports.createInboundLog = async (req, res, next) => {
 exports.updateInboundLog = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status, notes, rejectedQuantity, rejectionReason, acceptedQuantity } = req.body;
+    const {
+      status,
+      notes,
+      rejectedQuantity,
+      rejectionReason,
+      acceptedQuantity,
+      cartonCount,
+      palletCount,
+      serialNumbers
+    } = req.body;
 
     // Check if log exists - use admin client to bypass RLS
     const { data: existingLog } = await supabaseAdmin
@@ -285,6 +305,16 @@ exports.updateInboundLog = async (req, res, next) => {
       });
     }
 
+    // CRITICAL: Receiving billed on a sent invoice is immutable
+    const lockingInvoice = await receivingBillingService.getLockingInvoice(existingLog);
+    if (lockingInvoice) {
+      return res.status(403).json({
+        success: false,
+        code: 'INBOUND_LOCKED_BY_INVOICE',
+        message: `Inbound log is locked by invoice ${lockingInvoice.invoice_number} (status: ${lockingInvoice.status}). Invoiced receipts cannot be modified.`
+      });
+    }
+
     // Validate status transition
     const validStatuses = ['pending', 'received', 'rejected', 'returned', 'damaged', 'partial'];
     if (status && !validStatuses.includes(status)) {
@@ -303,6 +333,53 @@ exports.updateInboundLog = async (req, res, next) => {
     if (rejectedQuantity !== undefined) updateData.rejected_quantity = rejectedQuantity;
     if (rejectionReason !== undefined) updateData.rejection_reason = rejectionReason;
     if (acceptedQuantity !== undefined) updateData.accepted_quantity = acceptedQuantity;
+    if (cartonCount !== undefined) updateData.carton_count = parseInt(cartonCount);
+    if (palletCount !== undefined) updateData.pallet_count = parseInt(palletCount);
+    if (status === 'received' && existingLog.status !== 'received') {
+      updateData.received_at = new Date().toISOString();
+    }
+
+    // Calculate old and new accepted quantities
+    const oldAcceptedQty = existingLog.status === 'received' 
+      ? existingLog.quantity 
+      : (existingLog.accepted_quantity || 0);
+    
+    const newAcceptedQty = status === 'received' 
+      ? existingLog.quantity 
+      : status === 'partial' 
+        ? (acceptedQuantity !== undefined ? acceptedQuantity : oldAcceptedQty)
+        : 0; // For rejected/returned/damaged, accepted quantity is 0
+
+    // Calculate the difference to adjust inventory
+    const inventoryAdjustment = newAcceptedQty - oldAcceptedQty;
+
+    // Units going into stock are scanned in; units taken back out name their serials
+    let receivedSerials = [];
+    let removedSerialIds = [];
+    if (inventoryAdjustment > 0) {
+      const serialCheck = await serialService.validateReceiptSerials({
+        clientId: existingLog.client_id,
+        productId: existingLog.product_id,
+        quantity: inventoryAdjustment,
+        serialNumbers
+      });
+      if (!serialCheck.success) {
+        const { statusCode, success, ...body } = serialCheck;
+        return res.status(statusCode).json({ success: false, ...body });
+      }
+      receivedSerials = serialCheck.serials;
+    } else if (inventoryAdjustment < 0) {
+      const serialCheck = await serialService.validateRemovedSerials({
+        inboundLog: existingLog,
+        quantity: -inventoryAdjustment,
+        serialNumbers
+      });
+      if (!serialCheck.success) {
+        const { statusCode, success, ...body } = serialCheck;
+        return res.status(statusCode).json({ success: false, ...body });
+      }
+      removedSerialIds = serialCheck.serialIds;
+    }
 
     // Use admin client to bypass RLS
     const { data: log, error } = await supabaseAdmin
@@ -331,20 +408,6 @@ exports.updateInboundLog = async (req, res, next) => {
     }
 
     // Update inventory based on status changes
-    // Calculate old and new accepted quantities
-    const oldAcceptedQty = existingLog.status === 'received' 
-      ? existingLog.quantity 
-      : (existingLog.accepted_quantity || 0);
-    
-    const newAcceptedQty = status === 'received' 
-      ? existingLog.quantity 
-      : status === 'partial' 
-        ? (acceptedQuantity !== undefined ? acceptedQuantity : oldAcceptedQty)
-        : 0; // For rejected/returned/damaged, accepted quantity is 0
-
-    // Calculate the difference to adjust inventory
-    const inventoryAdjustment = newAcceptedQty - oldAcceptedQty;
-
     // Only update inventory if there's a change in accepted quantity
     if (inventoryAdjustment !== 0) {
       const { data: existingInventory } = await supabaseAdmin
@@ -352,22 +415,30 @@ exports.updateInboundLog = async (req, res, next) => {
         .select('*')
         .eq('product_id', existingLog.product_id)
         .eq('client_id', existingLog.client_id)
+        .eq('warehouse_id', existingLog.warehouse_id)
         .single();
 
+      let inventoryId = existingInventory ? existingInventory.id : null;
+
       if (!existingInventory) {
         // Create new inventory record (only if adding stock)
         if (inventoryAdjustment > 0) {
-          await supabaseAdmin
+          const { data: createdInventory } = await supabaseAdmin
             .from('inventory')
             .insert({
               product_id: existingLog.product_id,
               client_id: existingLog.client_id,
+              warehouse_id: existingLog.warehouse_id,
               total_stock: inventoryAdjustment,
               available_stock: inventoryAdjustment,
               reserved_stock: 0,
               dispatched_stock: 0,
               storage_location: existingLog.storage_location
-            });
+            })
+            .select('id')
+            .single();
+
+          inventoryId = createdInventory ? createdInventory.id : null;
         }
       } else {
         // Update existing inventory by adding/subtracting the difference
@@ -388,6 +459,41 @@ exports.updateInboundLog = async (req, res, next) => {
             .eq('id', existingInventory.id);
         }
       }
+
+      // Keep bin stock in line: accepted units go into the receiving bin,
+      // units taken back out of stock come out of bins
+      if (inventoryId && inventoryAdjustment > 0 && existingLog.location_id) {
+        await inboundService.putAwayReceivedStock(
+          inventoryId,
+          { id: existingLog.location_id, location_code: existingLog.storage_location },
+          inventoryAdjustment
+        );
+      } else if (inventoryId && inventoryAdjustment < 0) {
+        await locationService.trimBinsToOnHand(inventoryId);
+      }
+
+      // Same for lots: accepted units are recorded against the receipt's lot,
+      // units taken back out come out of that lot first
+      if (inventoryId && inventoryAdjustment > 0) {
+        await inboundService.receiveIntoLot(inventoryId, existingLog.lot_number, existingLog.expiry_date, inventoryAdjustment);
+      } else if (inventoryId && inventoryAdjustment < 0) {
+        if (existingLog.lot_number) {
+          await lotService.adjustLotStock({ inventoryId, lotNumber: existingLog.lot_number, quantity: inventoryAdjustment });
+        }
+        await lotService.trimLotsToOnHand(inventoryId);
+      }
+
+      if (inventoryAdjustment > 0) {
+        await serialService.registerReceivedSerials({
+          clientId: existingLog.client_id,
+          productId: existingLog.product_id,
+          warehouseId: existingLog.warehouse_id,
+          inboundLogId: existingLog.id,
+          serials: receivedSerials
+        });
+      } else {
+        await serialService.removeSerials({ serialIds: removedSerialIds });
+      }
     }
 
     await createAuditLog(req.user.id, 'UPDATE', 'InboundLog', log.id, updateData, req);
@@ -407,13 +513,28 @@ exports.updateInboundLog = async (req, res, next) => {
       quantity: log.quantity,
       referenceNumber: log.reference_number,
       storageLocation: log.storage_location,
+      locationId: log.location_id || null,
+      lotNumber: log.lot_number || null,
+      expiryDate: log.expiry_date || null,
+      warehouseId: log.warehouse_id || null,
       receivedDate: log.received_date,
       receivedBy: log.received_by,
+
+      receivedAt: log.received_at,
+
+      cartonCount: log.carton_count,
+
+      palletCount: log.pallet_count,
       status: log.status,
       notes: log.notes,
       rejectedQuantity: log.rejected_quantity || 0,
       rejectionReason: log.rejection_reason,
       acceptedQuantity: log.accepted_quantity,
+      asnId: log.asn_id || null,
+      invoicedIn: log.invoiced_in || null,
+
+      isLocked: !!log.invoiced_in,
+
       createdAt: log.created_at,
       updatedAt: log.updated_at
     };
@@ -519,12 +640,22 @@ exports.deleteInboundLog = async (req, res, next) => {
       });
     }
 
+    const lockingInvoice = await receivingBillingService.getLockingInvoice(inbound);
+    if (lockingInvoice) {
+      return res.status(403).json({
+        success: false,
+        code: 'INBOUND_LOCKED_BY_INVOICE',
+        message: `Inbound entry is locked by invoice ${lockingInvoice.invoice_number} (status: ${lockingInvoice.status}) and cannot be deleted.`
+      });
+    }
+
     // Adjust inventory to remove the inbound quantity - use admin client to bypass RLS
     const { data: inventory } = await supabaseAdmin
       .from('inventory')
       .select('*')
       .eq('product_id', inbound.product_id)
       .eq('client_id', inbound.client_id)
+      .eq('warehouse_id', inbound.warehouse_id)
       .single();
 
     if (inventory) {
@@ -540,8 +671,32 @@ exports.deleteInboundLog = async (req, res, next) => {
           updated_at: new Date().toISOString()
         })
         .eq('id', inventory.id);
+
+      // Take the units back out of the bin they were received into when
+      // they are still there, otherwise out of whichever bins hold the product
+      if (inbound.status === 'received' && inbound.location_id) {
+        await locationService.adjustBinStock({
+          inventoryId: inventory.id,
+          locationId: inbound.location_id,
+          quantity: -inbound.quantity
+        });
+      }
+      await locationService.trimBinsToOnHand(inventory.id);
+
+      // Likewise out of the receipt's lot, then out of the lots expiring first
+      if (inbound.status === 'received' && inbound.lot_number) {
+        await lotService.adjustLotStock({
+          inventoryId: inventory.id,
+          lotNumber: inbound.lot_number,
+          quantity: -inbound.quantity
+        });
+      }
+      await lotService.trimLotsToOnHand(inventory.id);
     }
 
+    // Units of this receipt still on the shelf leave stock with it
+    await serialService.removeSerials({ inboundLogId: inbound.id });
+
     // Delete the inbound log - use admin client to bypass RLS
     const { error } = await supabaseAdmin
       .from('inbound_logs')
@@ -2,13 +2,232 @@ const supabase = require('../config/supabase');
 const supabaseAdmin = require('../config/supabaseAdmin');
 const { createAuditLog } = require('../middleware/supabaseAuditLog');
 const { isMissingTableError, missingTableResponse } = require('../utils/supabaseError');
+const locationService = require('../services/locationService');
+const warehouseService = require('../services/warehouseService');
+const lotService = require('../services/lotService');
+const serialService = require('../services/serialService');
+const inventoryAdjustmentService = require('../services/inventoryAdjustmentService');
+const inventoryLedgerService = require('../services/inventoryLedgerService');
+const lowStockAlertService = require('../services/lowStockAlertService');
+const kitService = require('../services/kitService');
+
+const ADJUSTMENT_SELECT = `
+  *,
+  products:product_id (
+    id,
+    name,
+    sku
+  ),
+  clients:client_id (
+    id,
+    company_name
+  ),
+  warehouses:warehouse_id (
+    id,
+    code,
+    name
+  ),
+  warehouse_locations:location_id (
+    id,
+    location_code
+  ),
+  inventory_adjustment_reasons:reason_code (
+    code,
+    label
+  ),
+  requester:requested_by (
+    id,
+    name,
+    email
+  ),
+  reviewer:reviewed_by (
+    id,
+    name,
+    email
+  )
+`;
+
+/**
+ * Format an adjustment row for API responses
+ */
+const formatAdjustment = (adjustment) => ({
+  id: adjustment.id,
+  _id: adjustment.id,
+  inventoryId: adjustment.inventory_id,
+  productId: adjustment.products ? {
+    _id: adjustment.products.id,
+    name: adjustment.products.name,
+    sku: adjustment.products.sku
+  } : adjustment.product_id,
+  clientId: adjustment.clients ? {
+    _id: adjustment.clients.id,
+    companyName: adjustment.clients.company_name
+  } : adjustment.client_id,
+  warehouseId: adjustment.warehouses ? {
+    _id: adjustment.warehouses.id,
+    code: adjustment.warehouses.code,
+    name: adjustment.warehouses.name
+  } : adjustment.warehouse_id,
+  locationId: adjustment.location_id,
+  locationCode: adjustment.warehouse_locations?.location_code || null,
+  lotNumber: adjustment.lot_number,
+  expiryDate: adjustment.expiry_date,
+  quantity: adjustment.quantity,
+  reasonCode: adjustment.reason_code,
+  reasonLabel: adjustment.inventory_adjustment_reasons?.label || null,
+  note: adjustment.note,
+  value: adjustment.value !== null && adjustment.value !== undefined ? parseFloat(adjustment.value) : null,
+  status: adjustment.status,
+  referenceType: adjustment.reference_type,
+  referenceId: adjustment.reference_id,
+  requestedBy: adjustment.requester ? {
+    _id: adjustment.requester.id,
+    name: adjustment.requester.name,
+    email: adjustment.requester.email
+  } : adjustment.requested_by,
+  reviewedBy: adjustment.reviewer ? {
+    _id: adjustment.reviewer.id,
+    name: adjustment.reviewer.name,
+    email: adjustment.reviewer.email
+  } : adjustment.reviewed_by,
+  reviewedAt: adjustment.reviewed_at,
+  reviewNote: adjustment.review_note,
+  postError: adjustment.post_error,
+  postedAt: adjustment.posted_at,
+  createdAt: adjustment.created_at,
+  updatedAt: adjustment.updated_at
+});
+
+/**
+ * Format a reason code row for API responses
+ */
+const formatReasonCode = (reason) => ({
+  code: reason.code,
+  label: reason.label,
+  direction: reason.direction,
+  requiresApproval: reason.requires_approval,
+  isSystem: reason.is_system,
+  isActive: reason.is_active,
+  sortOrder: reason.sort_order
+});
+
+/**
+ * Load an adjustment with relations - use admin client to bypass RLS
+ */
+const fetchAdjustment = async (id) => {
+  const { data } = await supabaseAdmin
+    .from('inventory_adjustments')
+    .select(ADJUSTMENT_SELECT)
+    .eq('id', id)
+    .single();
+
+  return data;
+};
+
+/**
+ * Add kit availability to formatted inventory rows
+ * A kit row gets kit: { assembled, buildable, available } - assembled kits
+ * on the row plus what the components in the same warehouse can still
+ * build. Kits that are buildable in a warehouse where none are assembled
+ * get a row of their own without an inventory id.
+ * @param {Array} inventory - inventory rows as fetched
+ * @param {Array} formatted - the same rows formatted for the response
+ * @param {string} clientId - Client the rows were limited to (optional)
+ * @returns {Promise<Array>}
+ */
+const addKitAvailability = async (inventory, formatted, clientId) => {
+  let kitQuery = supabaseAdmin
+    .from('products')
+    .select('id, name, sku, category, unit, description, image_url, client_id')
+    .eq('is_kit', true)
+    .eq('is_active', true);
+
+  if (clientId) {
+    kitQuery = kitQuery.eq('client_id', clientId);
+  }
+
+  const { data: kitProducts, error } = await kitQuery;
+
+  // No kits (or kits not set up yet): rows are returned as they are
+  if (error || !kitProducts || kitProducts.length === 0) return formatted;
+
+  const kits = await kitService.getComponents({ kitProductIds: kitProducts.map(kit => kit.id) });
+
+  // Sellable units (expired lots left out) per client and warehouse
+  const stock = {};
+  const locations = {};
+  inventory.forEach((item, index) => {
+    const row = formatted[index];
+    const group = `${item.client_id}:${item.warehouse_id}`;
+    const expired = row.lots
+      .filter(lot => lot.isExpired)
+      .reduce((sum, lot) => sum + lot.availableQuantity, 0);
+
+    if (!stock[group]) stock[group] = {};
+    stock[group][item.product_id] = Math.max(row.availableStock - expired, 0);
+
+    if (!locations[group]) locations[group] = { clientId: row.clientId, warehouseId: row.warehouseId, item };
+  });
+
+  const availability = (kitProductId, group) => {
+    const available = stock[group] || {};
+    const assembled = available[kitProductId] || 0;
+    const buildable = kitService.buildableUnits(kits[kitProductId], available);
+    return { assembled, buildable, available: assembled + buildable };
+  };
+
+  const rows = formatted.map((row, index) => {
+    const item = inventory[index];
+    if (!kits[item.product_id]) return row;
+    return { ...row, kit: availability(item.product_id, `${item.client_id}:${item.warehouse_id}`) };
+  });
+
+  kitProducts.filter(kit => kits[kit.id]).forEach(kit => {
+    Object.entries(locations)
+      .filter(([group, location]) => location.item.client_id === kit.client_id && stock[group][kit.id] === undefined)
+      .forEach(([group, location]) => {
+        const kitAvailability = availability(kit.id, group);
+        if (kitAvailability.buildable === 0) return;
+
+        rows.push({
+          id: null,
+          _id: null,
+          productId: {
+            _id: kit.id,
+            id: kit.id,
+            name: kit.name,
+            sku: kit.sku,
+            category: kit.category,
+            unit: kit.unit,
+            description: kit.description,
+            imageUrl: kit.image_url
+          },
+          clientId: location.clientId,
+          warehouseId: location.warehouseId,
+          totalStock: 0,
+          availableStock: 0,
+          reservedStock: 0,
+          dispatchedStock: 0,
+          storageLocation: '',
+          locations: [],
+          lots: [],
+          kit: kitAvailability,
+          lastUpdated: null,
+          createdAt: null,
+          updatedAt: null
+        });
+      });
+  });
+
+  return rows;
+};
 
 /**
  * Get all inventory items
  */
 exports.getAllInventory = async (req, res, next) => {
   try {
-    const { clientId, lowStock } = req.query;
+    const { clientId, lowStock, warehouseId } = req.query;
 
     // Use admin client to bypass RLS - include product and client joins
     let query = supabaseAdmin
@@ -28,7 +247,14 @@ exports.getAllInventory = async (req, res, next) => {
           id,
           company_name,
           email
-        )
+        ),
+        warehouses:warehouse_id (
+          id,
+          code,
+          name
+        ),
+        bin_inventory (${locationService.BIN_STOCK_SELECT}),
+        inventory_lots (${lotService.LOT_SELECT})
       `)
       .order('last_updated', { ascending: false });
 
@@ -47,12 +273,16 @@ exports.getAllInventory = async (req, res, next) => {
       console.log(`[Inventory] No client filter applied (admin or no clientId)`);
     }
 
+    if (warehouseId) {
+      query = query.eq('warehouse_id', warehouseId);
+    }
+
     const { data: inventory, error } = await query;
 
     if (error) {
       console.error('Inventory fetch error:', error);
       if (isMissingTableError(error)) {
-        return res.status(503).json(missingTableResponse(error, ['inventory', 'products', 'clients']));
+        return res.status(503).json(missingTableResponse(error, ['inventory', 'products', 'clients', 'warehouses', 'bin_inventory', 'inventory_lots']));
       }
       return res.status(400).json({
         success: false,
@@ -88,17 +318,32 @@ exports.getAllInventory = async (req, res, next) => {
         companyName: client.company_name,
         email: client.email
       } : { id: item.client_id, companyName: 'Unknown Client' },
+      warehouseId: item.warehouses ? {
+        _id: item.warehouses.id,
+        code: item.warehouses.code,
+        name: item.warehouses.name
+      } : item.warehouse_id,
       totalStock: Number(item.total_stock) || 0,
       availableStock: Number(item.available_stock) || 0,
       reservedStock: Number(item.reserved_stock) || 0,
       dispatchedStock: Number(item.dispatched_stock) || 0,
       storageLocation: item.storage_location || '',
+      locations: locationService.formatBinStock(item.bin_inventory),
+      lots: lotService.formatLots(item.inventory_lots),
       lastUpdated: item.last_updated,
       createdAt: item.created_at,
       updatedAt: item.updated_at
       };
     });
 
+    formattedInventory = await addKitAvailability(
+      inventory || [],
+      formattedInventory,
+      req.user.role === 'client' && userClientId
+        ? userClientId
+        : (clientId && clientId !== 'null' && clientId !== 'undefined' ? clientId : null)
+    );
+
     // Filter low stock items if requested (skip for now since we don't have product join)
     // TODO: Re-implement when product join is added back
     // if (lowStock === 'true') {
@@ -127,6 +372,13 @@ exports.getInventoryByProduct = async (req, res, next) => {
   try {
     const { productId } = req.params;
 
+    // Stock of one warehouse - the default warehouse unless ?warehouseId= is given
+    const resolved = await warehouseService.resolveWarehouse(req.query.warehouseId);
+    if (!resolved.success) {
+      const { statusCode, success, ...body } = resolved;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
     // Use admin client to bypass RLS
     const { data: inventory, error } = await supabaseAdmin
       .from('inventory')
@@ -153,14 +405,17 @@ exports.getInventoryByProduct = async (req, res, next) => {
           id,
           company_name,
           email
-        )
+        ),
+        bin_inventory (${locationService.BIN_STOCK_SELECT}),
+        inventory_lots (${lotService.LOT_SELECT})
       `)
       .eq('product_id', productId)
+      .eq('warehouse_id', resolved.warehouse.id)
       .single();
 
     if (error) {
       if (isMissingTableError(error)) {
-        return res.status(503).json(missingTableResponse(error, ['inventory', 'products', 'clients']));
+        return res.status(503).json(missingTableResponse(error, ['inventory', 'products', 'clients', 'warehouses', 'bin_inventory', 'inventory_lots']));
       }
     }
     if (error || !inventory) {
@@ -201,11 +456,18 @@ exports.getInventoryByProduct = async (req, res, next) => {
         companyName: inventory.clients?.company_name,
         email: inventory.clients?.email
       },
+      warehouseId: {
+        _id: resolved.warehouse.id,
+        code: resolved.warehouse.code,
+        name: resolved.warehouse.name
+      },
       totalStock: inventory.total_stock,
       availableStock: inventory.available_stock,
       reservedStock: inventory.reserved_stock,
       dispatchedStock: inventory.dispatched_stock,
       storageLocation: inventory.storage_location,
+      locations: locationService.formatBinStock(inventory.bin_inventory),
+      lots: lotService.formatLots(inventory.inventory_lots),
       lastUpdated: inventory.last_updated,
       createdAt: inventory.created_at,
       updatedAt: inventory.updated_at
@@ -221,110 +483,340 @@ exports.getInventoryByProduct = async (req, res, next) => {
 };
 
 /**
- * Adjust inventory stock
+ * Look up a serial number: the receipt it came in on and the order and
+ * invoice it went out on
  */
-exports.adjustInventory = async (req, res, next) => {
+exports.getSerialLookup = async (req, res, next) => {
   try {
-    const { productId, adjustment, reason } = req.body;
+    const { serial } = req.params;
 
-    if (!productId || adjustment === undefined) {
-      return res.status(400).json({
+    // Clients only see their own units
+    const result = await serialService.lookupSerial({
+      serialNumber: serial,
+      clientId: req.user.role === 'client' ? (req.user.client_id || req.user.clientId) : null
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    if (result.serials.length === 0) {
+      return res.status(404).json({
         success: false,
-        message: 'Product ID and adjustment are required'
+        message: `Serial ${serial} not found`
       });
     }
 
-    // Get current inventory - use admin client to bypass RLS
-    const { data: inventory, error: fetchError } = await supabaseAdmin
+    res.json({
+      success: true,
+      data: result.serials
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * End of the day for a date-only value (YYYY-MM-DD), so "as of 2026-01-31" includes that day
+ */
+const endOfDay = (date) => (/^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T23:59:59.999Z` : date);
+
+/**
+ * Get the stock ledger of an inventory item: every movement with running balances
+ */
+exports.getInventoryLedger = async (req, res, next) => {
+  try {
+    const { startDate, endDate, page, limit } = req.query;
+
+    // Use admin client to bypass RLS
+    const { data: inventory } = await supabaseAdmin
       .from('inventory')
       .select('*')
-      .eq('product_id', productId)
+      .eq('id', req.params.id)
       .single();
 
-    if (fetchError || !inventory) {
+    // Clients only see their own stock
+    if (!inventory || (req.user.role === 'client' && req.user.client_id && inventory.client_id !== req.user.client_id)) {
       return res.status(404).json({
         success: false,
         message: 'Inventory not found'
       });
     }
 
-    const oldAvailableStock = inventory.available_stock;
-    const oldTotalStock = inventory.total_stock;
+    const result = await inventoryLedgerService.getLedger({
+      inventory,
+      startDate,
+      endDate: endDate ? endOfDay(endDate) : endDate,
+      page,
+      limit
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
 
-    // Calculate new values
-    const newAvailableStock = oldAvailableStock + adjustment;
-    const newTotalStock = oldTotalStock + adjustment;
+    res.status(200).json({
+      success: true,
+      data: {
+        inventoryId: inventory.id,
+        productId: inventory.product_id,
+        clientId: inventory.client_id,
+        warehouseId: inventory.warehouse_id,
+        current: result.current,
+        opening: result.opening,
+        closing: result.closing,
+        entries: result.entries
+      },
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Validate stock integrity
-    if (newAvailableStock < 0) {
+/**
+ * Get each client's stock as it stood at a past date (month-end, audits)
+ */
+exports.getStockAsOf = async (req, res, next) => {
+  try {
+    const { date, clientId, warehouseId, productId } = req.query;
+
+    const asOf = date ? endOfDay(String(date)) : null;
+    if (!asOf || isNaN(new Date(asOf).getTime())) {
       return res.status(400).json({
         success: false,
-        message: 'Insufficient stock for this adjustment'
+        message: 'A valid date is required (YYYY-MM-DD or ISO timestamp)'
       });
     }
 
-    if (newTotalStock < 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Total stock cannot be negative'
-      });
+    // Clients only see their own stock
+    const scopedClientId = req.user.role === 'client' && req.user.client_id
+      ? req.user.client_id
+      : (clientId && clientId !== 'null' && clientId !== 'undefined' ? clientId : null);
+
+    const result = await inventoryLedgerService.getStockAsOf({
+      asOf: new Date(asOf).toISOString(),
+      clientId: scopedClientId,
+      warehouseId: warehouseId || null,
+      productId: productId || null
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
     }
 
-    // Validate: available + reserved + dispatched should equal total
-    const calculatedTotal = inventory.reserved_stock + inventory.dispatched_stock + newAvailableStock;
-    if (Math.abs(calculatedTotal - newTotalStock) > 0.01) {
+    res.status(200).json({
+      success: true,
+      data: {
+        asOf: new Date(asOf).toISOString(),
+        clients: result.clients,
+        items: result.items
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get products that are low on stock (reorder level or days of cover)
+ */
+exports.getLowStock = async (req, res, next) => {
+  try {
+    const { clientId, useVelocity } = req.query;
+
+    // Clients only see their own stock
+    const scopedClientId = req.user.role === 'client' && req.user.client_id
+      ? req.user.client_id
+      : (clientId && clientId !== 'null' && clientId !== 'undefined' ? clientId : null);
+
+    const items = await lowStockAlertService.findLowStock({
+      clientId: scopedClientId,
+      useVelocity: useVelocity !== undefined ? useVelocity === 'true' : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      data: items,
+      settings: {
+        velocityDays: lowStockAlertService.VELOCITY_DAYS,
+        coverDays: lowStockAlertService.COVER_DAYS
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run the daily low-stock alerts (triggered by cron)
+ * Security: Protected by internal service authentication
+ *
+ * @route POST /api/inventory/low-stock/auto
+ */
+exports.runLowStockAlertsAuto = async (req, res, next) => {
+  const serviceKey = req.headers['x-service-key'];
+  const expectedKey = process.env.INTERNAL_SERVICE_KEY || 'your-secure-internal-key-change-in-production';
+
+  if (serviceKey !== expectedKey) {
+    console.error('❌ Unauthorized low-stock alert attempt');
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized: Invalid service key'
+    });
+  }
+
+  try {
+    const result = await lowStockAlertService.runLowStockAlerts();
+    const { statusCode, success, ...body } = result;
+
+    if (!success) {
+      return res.status(statusCode || 500).json({ success, ...body });
+    }
+
+    console.log(`📉 Low-stock alerts: ${result.lowStock} low, ${result.newAlerts} new, ${result.resolved} resolved, ${result.emailsSent} digests sent`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Low-stock alerts processed',
+      data: body
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Adjust inventory stock
+ */
+exports.adjustInventory = async (req, res, next) => {
+  try {
+    const { productId, locationId, warehouseId, note } = req.body;
+    // reasonCode replaces the old free-text reason; a reason matching a code is still accepted
+    const reasonCode = req.body.reasonCode || req.body.reason;
+    const adjustment = Number(req.body.adjustment);
+    const lotNumber = lotService.normalizeLotNumber(req.body.lotNumber) || null;
+    const expiryDate = lotService.normalizeExpiryDate(req.body.expiryDate);
+
+    if (!productId || req.body.adjustment === undefined || !reasonCode) {
       return res.status(400).json({
         success: false,
-        message: 'Stock integrity validation failed. Please contact support.'
+        message: 'Product ID, adjustment and reason code are required'
       });
     }
 
-    // Update inventory - use admin client to bypass RLS
-    const { data: updatedInventory, error: updateError } = await supabaseAdmin
+    // Adjustments against a bin: found stock goes into it, missing stock comes out of it
+    let bin = null;
+    if (locationId) {
+      const { data } = await supabaseAdmin
+        .from('warehouse_locations')
+        .select('*')
+        .eq('id', locationId)
+        .eq('type', 'bin')
+        .single();
+
+      bin = data;
+
+      if (!bin) {
+        return res.status(404).json({
+          success: false,
+          message: 'Bin not found'
+        });
+      }
+
+      if (warehouseId && bin.warehouse_id !== warehouseId) {
+        return res.status(400).json({
+          success: false,
+          message: `Bin ${bin.location_code} is in a different warehouse`
+        });
+      }
+    }
+
+    // The bin's warehouse, the requested one, or the default warehouse
+    const resolved = await warehouseService.resolveWarehouse(bin ? bin.warehouse_id : warehouseId);
+    if (!resolved.success) {
+      const { statusCode, success, ...body } = resolved;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    // Get current inventory - use admin client to bypass RLS
+    const { data: inventory, error: fetchError } = await supabaseAdmin
       .from('inventory')
-      .update({
-        available_stock: newAvailableStock,
-        total_stock: newTotalStock,
-        last_updated: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', inventory.id)
-      .select()
+      .select('*')
+      .eq('product_id', productId)
+      .eq('warehouse_id', resolved.warehouse.id)
       .single();
 
-    if (updateError) {
-      return res.status(400).json({
+    if (fetchError || !inventory) {
+      return res.status(404).json({
         success: false,
-        message: updateError.message || 'Failed to update inventory'
+        message: 'Inventory not found'
       });
     }
 
+    const result = await inventoryAdjustmentService.requestAdjustment({
+      inventory,
+      quantity: adjustment,
+      reasonCode,
+      note: note || null,
+      locationId: locationId || null,
+      lotNumber,
+      expiryDate,
+      user: req.user
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    const posted = result.adjustment.status === 'posted';
+
     await createAuditLog(
       req.user.id,
-      'INVENTORY_ADJUSTED',
+      posted ? 'INVENTORY_ADJUSTED' : 'INVENTORY_ADJUSTMENT_REQUESTED',
       'Inventory',
       inventory.id,
       {
-        oldStock: oldAvailableStock,
-        newStock: newAvailableStock,
+        adjustmentId: result.adjustment.id,
+        oldStock: inventory.available_stock,
+        newStock: posted ? result.inventory.available_stock : inventory.available_stock,
         adjustment,
-        reason
+        reasonCode: result.adjustment.reason_code,
+        note: result.adjustment.note,
+        warehouseId: resolved.warehouse.id,
+        locationId: locationId || null,
+        lotNumber
       },
       req
     );
 
+    if (!posted) {
+      return res.status(202).json({
+        success: true,
+        message: 'Adjustment needs approval and has been queued',
+        data: formatAdjustment(result.adjustment)
+      });
+    }
+
     // Format response
+    const updatedInventory = result.inventory;
     const formattedInventory = {
       id: updatedInventory.id,
       _id: updatedInventory.id,
       productId: updatedInventory.product_id,
       clientId: updatedInventory.client_id,
+      warehouseId: updatedInventory.warehouse_id,
       totalStock: updatedInventory.total_stock,
       availableStock: updatedInventory.available_stock,
       reservedStock: updatedInventory.reserved_stock,
       dispatchedStock: updatedInventory.dispatched_stock,
       storageLocation: updatedInventory.storage_location,
       lastUpdated: updatedInventory.last_updated,
+      adjustmentId: result.adjustment.id,
       createdAt: updatedInventory.created_at,
       updatedAt: updatedInventory.updated_at
     };
@@ -339,6 +831,298 @@ exports.adjustInventory = async (req, res, next) => {
   }
 };
 
+/**
+ * Adjustment history, filterable by status, reason, user and client
+ */
+exports.getAdjustments = async (req, res, next) => {
+  try {
+    const {
+      status,
+      reasonCode,
+      userId,
+      clientId,
+      productId,
+      warehouseId,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const from = (pageNum - 1) * limitNum;
+    const to = from + limitNum - 1;
+
+    // Use admin client to bypass RLS
+    let query = supabaseAdmin
+      .from('inventory_adjustments')
+      .select(ADJUSTMENT_SELECT, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(from, to);
+
+    // Clients only see adjustments to their own stock
+    if (req.user.role === 'client' && req.user.client_id) {
+      query = query.eq('client_id', req.user.client_id);
+    } else if (clientId && clientId !== 'null' && clientId !== 'undefined') {
+      query = query.eq('client_id', clientId);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (reasonCode) {
+      query = query.eq('reason_code', reasonCode);
+    }
+
+    if (userId) {
+      query = query.eq('requested_by', userId);
+    }
+
+    if (productId) {
+      query = query.eq('product_id', productId);
+    }
+
+    if (warehouseId) {
+      query = query.eq('warehouse_id', warehouseId);
+    }
+
+    if (startDate) {
+      query = query.gte('created_at', startDate);
+    }
+
+    if (endDate) {
+      query = query.lte('created_at', endDate);
+    }
+
+    const { data: adjustments, error, count } = await query;
+
+    if (error) {
+      if (isMissingTableError(error)) {
+        return res.status(503).json(missingTableResponse(error, ['inventory_adjustments', 'inventory_adjustment_reasons']));
+      }
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to fetch adjustments'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (adjustments || []).map(formatAdjustment),
+      pagination: {
+        total: count || 0,
+        page: pageNum,
+        pages: Math.ceil((count || 0) / limitNum)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a queued adjustment and post it to stock (admins)
+ */
+exports.approveAdjustment = async (req, res, next) => {
+  try {
+    const result = await inventoryAdjustmentService.approveAdjustment({
+      adjustmentId: req.params.id,
+      userId: req.user.id,
+      note: req.body.note || null
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'INVENTORY_ADJUSTMENT_APPROVED',
+      'Inventory',
+      result.adjustment.inventory_id,
+      {
+        adjustmentId: result.adjustment.id,
+        adjustment: result.adjustment.quantity,
+        reasonCode: result.adjustment.reason_code,
+        newStock: result.inventory.available_stock
+      },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Adjustment approved and posted',
+      data: formatAdjustment(await fetchAdjustment(result.adjustment.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a queued adjustment (admins)
+ */
+exports.rejectAdjustment = async (req, res, next) => {
+  try {
+    const result = await inventoryAdjustmentService.rejectAdjustment({
+      adjustmentId: req.params.id,
+      userId: req.user.id,
+      note: req.body.note || null
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'INVENTORY_ADJUSTMENT_REJECTED',
+      'Inventory',
+      result.adjustment.inventory_id,
+      {
+        adjustmentId: result.adjustment.id,
+        adjustment: result.adjustment.quantity,
+        reasonCode: result.adjustment.reason_code,
+        note: result.adjustment.review_note
+      },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Adjustment rejected',
+      data: formatAdjustment(await fetchAdjustment(result.adjustment.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get adjustment reason codes
+ */
+exports.getReasonCodes = async (req, res, next) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && req.user.role === 'admin';
+    const reasons = await inventoryAdjustmentService.getReasonCodes({ includeInactive });
+
+    res.status(200).json({
+      success: true,
+      data: reasons.map(formatReasonCode),
+      approvalThreshold: {
+        units: inventoryAdjustmentService.APPROVAL_THRESHOLD_UNITS,
+        value: inventoryAdjustmentService.APPROVAL_THRESHOLD_VALUE
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an adjustment reason code (admins)
+ */
+exports.createReasonCode = async (req, res, next) => {
+  try {
+    const { code, label, direction, requiresApproval, sortOrder } = req.body;
+
+    // Use admin client to bypass RLS
+    const { data: reason, error } = await supabaseAdmin
+      .from('inventory_adjustment_reasons')
+      .insert({
+        code: String(code).trim().toLowerCase(),
+        label,
+        direction: direction || 'any',
+        requires_approval: requiresApproval || false,
+        sort_order: sortOrder || 0
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === '23505'
+          ? `Reason code ${code} already exists`
+          : error.message || 'Failed to create reason code'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'ADJUSTMENT_REASON_CREATED', 'AdjustmentReason', null, { code: reason.code, label }, req);
+
+    res.status(201).json({
+      success: true,
+      data: formatReasonCode(reason)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an adjustment reason code (admins)
+ * Codes are kept for history; retire one with isActive: false.
+ */
+exports.updateReasonCode = async (req, res, next) => {
+  try {
+    const { label, direction, requiresApproval, isActive, sortOrder } = req.body;
+
+    const { data: existing } = await supabaseAdmin
+      .from('inventory_adjustment_reasons')
+      .select('*')
+      .eq('code', req.params.code)
+      .single();
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reason code not found'
+      });
+    }
+
+    if (existing.is_system) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason code ${existing.code} is used by the system and cannot be changed`
+      });
+    }
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (label !== undefined) updateData.label = label;
+    if (direction !== undefined) updateData.direction = direction;
+    if (requiresApproval !== undefined) updateData.requires_approval = requiresApproval;
+    if (isActive !== undefined) updateData.is_active = isActive;
+    if (sortOrder !== undefined) updateData.sort_order = sortOrder;
+
+    const { data: reason, error } = await supabaseAdmin
+      .from('inventory_adjustment_reasons')
+      .update(updateData)
+      .eq('code', existing.code)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to update reason code'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'ADJUSTMENT_REASON_UPDATED', 'AdjustmentReason', null, { code: reason.code, ...req.body }, req);
+
+    res.status(200).json({
+      success: true,
+      data: formatReasonCode(reason)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Delete inventory item
  */
@@ -416,6 +1200,10 @@ exports.getInventoryStats = async (req, res, next) => {
       query = query.eq('client_id', userClientId);
     }
 
+    if (req.query.warehouseId) {
+      query = query.eq('warehouse_id', req.query.warehouseId);
+    }
+
     const { data: allInventory, error } = await query;
 
     if (error) {
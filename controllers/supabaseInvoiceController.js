@@ -7,13 +7,18 @@ const {
   deriveStatus, 
   normalizeInvoiceState 
 } = require('../utils/invoiceStateValidator');
+const invoicePdfService = require('../services/invoicePdfService');
+const pricingEngine = require('../services/pricingEngine');
+const storageBillingService = require('../services/storageBillingService');
+const receivingBillingService = require('../services/receivingBillingService');
+const warehouseService = require('../services/warehouseService');
 
 /**
  * Get all invoices
  */
 exports.getAllInvoices = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, clientId, status, type } = req.query;
+    const { page = 1, limit = 10, clientId, status, type, warehouseId } = req.query;
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const from = (pageNum - 1) * limitNum;
@@ -50,6 +55,11 @@ exports.getAllInvoices = async (req, res, next) => {
       query = query.eq('type', type);
     }
 
+    // Filter by warehouse
+    if (warehouseId) {
+      query = query.eq('warehouse_id', warehouseId);
+    }
+
     const { data: invoices, error, count } = await query;
 
     if (error) {
@@ -76,6 +86,7 @@ exports.getAllInvoices = async (req, res, next) => {
       orderId: invoice.order_id,
       type: invoice.type,
       warehouse: invoice.warehouse,
+      warehouseId: invoice.warehouse_id,
       billingPeriod: invoice.billing_period_start_date || invoice.billing_period_end_date ? {
         startDate: invoice.billing_period_start_date,
         endDate: invoice.billing_period_end_date,
@@ -91,6 +102,7 @@ exports.getAllInvoices = async (req, res, next) => {
       taxRate: parseFloat(invoice.tax_rate || 0),
       totalAmount: parseFloat(invoice.total_amount || 0),
       paidAmount: parseFloat(invoice.paid_amount || 0),
+      creditNotesApplied: parseFloat(invoice.credit_notes_applied || 0),
       advancePaid: parseFloat(invoice.advance_paid || 0),
       balanceDue: parseFloat(normalized.balance_due),
       dueDate: invoice.due_date,
@@ -170,6 +182,7 @@ exports.getInvoiceById = async (req, res, next) => {
       orderId: invoice.orders || invoice.order_id,
       type: invoice.type,
       warehouse: invoice.warehouse,
+      warehouseId: invoice.warehouse_id,
       billingPeriod: invoice.billing_period_start_date || invoice.billing_period_end_date ? {
         startDate: invoice.billing_period_start_date,
         endDate: invoice.billing_period_end_date,
@@ -185,6 +198,7 @@ exports.getInvoiceById = async (req, res, next) => {
       taxRate: parseFloat(invoice.tax_rate || 0),
       totalAmount: parseFloat(invoice.total_amount || 0),
       paidAmount: parseFloat(invoice.paid_amount || 0),
+      creditNotesApplied: parseFloat(invoice.credit_notes_applied || 0),
       advancePaid: parseFloat(invoice.advance_paid || 0),
       balanceDue: parseFloat(normalized.balance_due),
       dueDate: invoice.due_date,
@@ -210,6 +224,42 @@ exports.getInvoiceById = async (req, res, next) => {
   }
 };
 
+/**
+ * Download invoice as PDF (rendered from the invoice record, cached until it changes)
+ */
+exports.downloadInvoicePdf = async (req, res, next) => {
+  try {
+    const { data: invoice } = await supabaseAdmin
+      .from('invoices')
+      .select('id, client_id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    // Client authorization check
+    if (req.user.role === 'client' && invoice.client_id !== req.user.client_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this invoice'
+      });
+    }
+
+    const { buffer, invoice: fullInvoice } = await invoicePdfService.getInvoicePdf(invoice.id);
+
+    res.header('Content-Type', 'application/pdf');
+    res.attachment(`${fullInvoice.invoice_number}.pdf`);
+    return res.send(buffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Create invoice
  */
@@ -229,13 +279,25 @@ exports.createInvoice = async (req, res, next) => {
       invoiceData.subtotal = invoiceData.amount || 0;
     }
 
+    // A warehouse ID takes precedence over the free-text warehouse name
+    let warehouseRecord = null;
+    if (invoiceData.warehouseId) {
+      const resolved = await warehouseService.resolveWarehouse(invoiceData.warehouseId);
+      if (!resolved.success) {
+        const { statusCode, success, ...body } = resolved;
+        return res.status(statusCode).json({ success: false, ...body });
+      }
+      warehouseRecord = resolved.warehouse;
+    }
+
     // Map field names to Supabase schema
     const supabaseData = {
       invoice_number: invoiceData.invoice_number,
       client_id: invoiceData.clientId,
       order_id: invoiceData.orderId || null,
       type: invoiceData.type,
-      warehouse: invoiceData.warehouse || 'Main Warehouse',
+      warehouse: warehouseRecord ? warehouseRecord.name : (invoiceData.warehouse || 'Main Warehouse'),
+      warehouse_id: warehouseRecord ? warehouseRecord.id : null,
       billing_period_start_date: invoiceData.billingPeriod?.startDate || null,
       billing_period_end_date: invoiceData.billingPeriod?.endDate || null,
       billing_period_month: invoiceData.billingPeriod?.month || null,
@@ -293,6 +355,8 @@ exports.createInvoice = async (req, res, next) => {
         orderNumber: invoice.orders.order_number
       } : invoice.order_id,
       type: invoice.type,
+      warehouse: invoice.warehouse,
+      warehouseId: invoice.warehouse_id,
       subtotal: parseFloat(invoice.subtotal || 0),
       amount: parseFloat(invoice.amount || 0),
       totalAmount: parseFloat(invoice.total_amount || 0),
@@ -553,51 +617,42 @@ exports.generateMonthlyInvoice = async (req, res, next) => {
       console.log(`✅ Old invoice deleted, generating fresh invoice...`);
     }
 
-    // CRITICAL FIX: Fetch billable orders using fulfillment dates (dispatched_at or delivered_at)
-    // NOT created_at, because we bill based on when service was completed
-    const { data: allOrders } = await supabaseAdmin
+    // CRITICAL FIX: Fetch billable orders by dispatch date, NOT created_at, because we bill
+    // based on when the order shipped. Orders already on an invoice are skipped: an order
+    // dispatched in one month and delivered in the next is billed once, in its dispatch month
+    const { data: billableOrders, error: ordersError } = await supabaseAdmin
       .from('orders')
       .select('*')
       .eq('client_id', clientId)
-      .in('status', ['delivered', 'dispatched']);
+      .in('status', ['delivered', 'dispatched'])
+      .is('invoice_id', null)
+      .gte('dispatched_at', startDate)
+      .lte('dispatched_at', endDate);
 
-    if (!allOrders || allOrders.length === 0) {
-      return res.status(400).json({
+    if (ordersError) {
+      return res.status(500).json({
         success: false,
-        message: 'No billable orders found for this period'
+        message: `Failed to fetch billable orders: ${ordersError.message}`
       });
     }
 
-    // Filter orders by fulfillment date within billing period
-    // This ensures we bill based on when the order was actually fulfilled, not created
-    const orders = allOrders.filter(order => {
-      const fulfillmentDate = order.delivered_at || order.dispatched_at;
-      
-      // Skip orders without fulfillment date
-      if (!fulfillmentDate) {
-        console.warn(`Order ${order.order_number} has no fulfillment date, skipping`);
-        return false;
-      }
-      
-      const fulfillmentTimestamp = new Date(fulfillmentDate).getTime();
-      const startTimestamp = new Date(startDate).getTime();
-      const endTimestamp = new Date(endDate).getTime();
-      
-      return fulfillmentTimestamp >= startTimestamp && fulfillmentTimestamp <= endTimestamp;
-    });
+    const orders = billableOrders || [];
 
-    if (orders.length === 0) {
+    // Orders and storage are priced with the client's rate card effective on the service date
+    const pricer = await pricingEngine.createPricer(clientId);
+    const storageLineItem = await storageBillingService.getStorageLineItem(clientId, month, year, pricer);
+    const receiving = await receivingBillingService.getReceivingCharges(clientId, startDate, endDate, pricer);
+    const serviceLineItems = [storageLineItem, ...receiving.lineItems].filter(Boolean);
+
+    if (orders.length === 0 && serviceLineItems.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'No billable orders found for this period (orders may not have fulfillment dates set)'
+        message: 'No billable orders found for this period'
       });
     }
 
     console.log(`📦 Found ${orders.length} billable orders for ${new Date(year, month - 1).toLocaleString('default', { month: 'long', year: 'numeric' })}`);
 
-    // Calculate charge per order: $2.50 + (number_of_units - 1) × $1.25
-    const BASE_RATE = 2.50;
-    const ADDITIONAL_UNIT_RATE = 1.25;
     let totalAmount = 0;
     let totalUnits = 0;
     const orderCharges = [];
@@ -626,8 +681,7 @@ exports.generateMonthlyInvoice = async (req, res, next) => {
       }, 0);
 
       if (orderUnits > 0) {
-        // Formula: $2.50 + (number_of_units - 1) × $1.25
-        const orderCharge = BASE_RATE + ((orderUnits - 1) * ADDITIONAL_UNIT_RATE);
+        const { total: orderCharge, rateCardId } = pricer.priceOrder(order, orderUnits);
         totalAmount += orderCharge;
         totalUnits += orderUnits;
         
@@ -637,7 +691,7 @@ exports.generateMonthlyInvoice = async (req, res, next) => {
             sku: item.products?.sku || 'N/A',
             productName: item.products?.name || 'Unknown Product',
             orderNumber: order.order_number,
-            orderDate: order.created_at,
+            orderDate: order.dispatched_at || order.created_at,
             quantity: parseInt(item.quantity) || 0,
             unit: 'ORD',
             rate: Number((orderCharge / orderUnits).toFixed(2)),
@@ -648,12 +702,13 @@ exports.generateMonthlyInvoice = async (req, res, next) => {
         orderCharges.push({
           orderNumber: order.order_number,
           units: orderUnits,
-          charge: Number(orderCharge.toFixed(2))
+          charge: Number(orderCharge.toFixed(2)),
+          rateCardId
         });
       }
     }
 
-    if (totalAmount === 0) {
+    if (totalAmount === 0 && serviceLineItems.length === 0) {
       return res.status(400).json({
         success: false,
         message: 'No billable orders found (all orders have zero units)'
@@ -667,7 +722,8 @@ exports.generateMonthlyInvoice = async (req, res, next) => {
       unitPrice: Number((orderCharge.charge / orderCharge.units).toFixed(2)),
       amount: orderCharge.charge,
       orderNumber: orderCharge.orderNumber,
-      orderUnits: orderCharge.units
+      orderUnits: orderCharge.units,
+      rateCardId: orderCharge.rateCardId
     }));
 
     // VALIDATION: Ensure all billable orders are included in the invoice
@@ -691,7 +747,11 @@ exports.generateMonthlyInvoice = async (req, res, next) => {
       lineItems[0].detailedBreakdown = detailedLineItems;
     }
 
-    // No tax, no other fees
+    // Storage from nightly inventory snapshots, receiving itemized per inbound log
+    lineItems.push(...serviceLineItems);
+    totalAmount += serviceLineItems.reduce((sum, item) => sum + item.amount, 0);
+
+    // No tax
     const subtotal = Number(totalAmount.toFixed(2));
     const taxAmount = 0;
     const taxRate = 0;
@@ -748,6 +808,16 @@ exports.generateMonthlyInvoice = async (req, res, next) => {
       });
     }
 
+    // Link billed inbound logs so they can't be billed twice or edited
+    const linkResult = await receivingBillingService.linkInboundLogs(receiving.inboundLogIds, invoice);
+    if (!linkResult.success) {
+      await supabaseAdmin.from('invoices').delete().eq('id', invoice.id);
+      return res.status(500).json({
+        success: false,
+        message: linkResult.message
+      });
+    }
+
     await createAuditLog(req.user.id, 'CREATE', 'Invoice', invoice.id, invoiceData, req);
 
     const wasRebuilt = !!existingInvoice;
@@ -762,6 +832,8 @@ exports.generateMonthlyInvoice = async (req, res, next) => {
       meta: {
         rebuilt: wasRebuilt,
         orderCount: orders.length,
+        storageAmount: storageLineItem ? storageLineItem.amount : 0,
+        receivingAmount: receiving.totalAmount,
         totalAmount: finalTotalAmount
       }
     });
@@ -886,19 +958,26 @@ exports.generateBulkMonthlyInvoices = async (req, res, next) => {
           continue;
         }
 
-        // Get orders for this client - only orders up to 5 lbs
+        // Get this client's orders dispatched in the period and not billed yet
         const { data: allOrders } = await supabaseAdmin
           .from('orders')
           .select('*')
           .eq('client_id', client.id)
           .in('status', ['delivered', 'dispatched'])
-          .gte('created_at', startDate)
-          .lte('created_at', endDate);
+          .is('invoice_id', null)
+          .gte('dispatched_at', startDate)
+          .lte('dispatched_at', endDate);
 
         // Include all orders (no weight filter)
         const orders = allOrders || [];
 
-        if (!orders || orders.length === 0) {
+        // Price orders and storage with this client's rate card
+        const pricer = await pricingEngine.createPricer(client.id);
+        const storageLineItem = await storageBillingService.getStorageLineItem(client.id, month, year, pricer);
+        const receiving = await receivingBillingService.getReceivingCharges(client.id, startDate, endDate, pricer);
+        const serviceLineItems = [storageLineItem, ...receiving.lineItems].filter(Boolean);
+
+        if (orders.length === 0 && serviceLineItems.length === 0) {
           results.skipped.push({
             clientId: client.id,
             clientName: client.company_name,
@@ -907,9 +986,6 @@ exports.generateBulkMonthlyInvoices = async (req, res, next) => {
           continue;
         }
 
-        // Calculate charge per order: $2.50 + (number_of_units - 1) × $1.25
-        const BASE_RATE = 2.50;
-        const ADDITIONAL_UNIT_RATE = 1.25;
         let totalAmount = 0;
         let totalUnits = 0;
         const orderCharges = [];
@@ -936,8 +1012,7 @@ exports.generateBulkMonthlyInvoices = async (req, res, next) => {
           }, 0);
 
           if (orderUnits > 0) {
-            // Formula: $2.50 + (number_of_units - 1) × $1.25
-            const orderCharge = BASE_RATE + ((orderUnits - 1) * ADDITIONAL_UNIT_RATE);
+            const { total: orderCharge, rateCardId } = pricer.priceOrder(order, orderUnits);
             totalAmount += orderCharge;
             totalUnits += orderUnits;
 
@@ -947,7 +1022,7 @@ exports.generateBulkMonthlyInvoices = async (req, res, next) => {
                 sku: item.products?.sku || 'N/A',
                 productName: item.products?.name || 'Unknown Product',
                 orderNumber: order.order_number,
-                orderDate: order.created_at,
+                orderDate: order.dispatched_at || order.created_at,
                 quantity: parseInt(item.quantity) || 0,
                 unit: 'ORD',
                 rate: Number((orderCharge / orderUnits).toFixed(2)),
@@ -958,12 +1033,13 @@ exports.generateBulkMonthlyInvoices = async (req, res, next) => {
             orderCharges.push({
               orderNumber: order.order_number,
               units: orderUnits,
-              charge: Number(orderCharge.toFixed(2))
+              charge: Number(orderCharge.toFixed(2)),
+              rateCardId
             });
           }
         }
 
-        if (totalAmount === 0) {
+        if (totalAmount === 0 && serviceLineItems.length === 0) {
           results.skipped.push({
             clientId: client.id,
             clientName: client.company_name,
@@ -979,7 +1055,8 @@ exports.generateBulkMonthlyInvoices = async (req, res, next) => {
           unitPrice: Number((orderCharge.charge / orderCharge.units).toFixed(2)),
           amount: orderCharge.charge,
           orderNumber: orderCharge.orderNumber,
-          orderUnits: orderCharge.units
+          orderUnits: orderCharge.units,
+          rateCardId: orderCharge.rateCardId
         }));
 
         // Add detailed breakdown as metadata for page 2
@@ -987,7 +1064,11 @@ exports.generateBulkMonthlyInvoices = async (req, res, next) => {
           lineItems[0].detailedBreakdown = detailedLineItems;
         }
 
-        // No tax, no other fees
+        // Storage from nightly inventory snapshots, receiving itemized per inbound log
+        lineItems.push(...serviceLineItems);
+        totalAmount += serviceLineItems.reduce((sum, item) => sum + item.amount, 0);
+
+        // No tax
         const subtotal = Number(totalAmount.toFixed(2));
         const taxAmount = 0;
         const taxRate = 0;
@@ -1021,14 +1102,22 @@ exports.generateBulkMonthlyInvoices = async (req, res, next) => {
         const { data: invoice, error: invoiceError } = await supabaseAdmin
           .from('invoices')
           .insert(invoiceData)
-          .select('invoice_number, total_amount')
+          .select('id, invoice_number, total_amount')
           .maybeSingle();
 
-        if (invoiceError) {
+        const linkResult = invoiceError
+          ? null
+          : await receivingBillingService.linkInboundLogs(receiving.inboundLogIds, invoice);
+
+        if (linkResult && !linkResult.success) {
+          await supabaseAdmin.from('invoices').delete().eq('id', invoice.id);
+        }
+
+        if (invoiceError || !linkResult.success) {
           results.failed.push({
             clientId: client.id,
             clientName: client.company_name,
-            error: invoiceError.message
+            error: invoiceError ? invoiceError.message : linkResult.message
           });
         } else {
           await createAuditLog(req.user.id, 'CREATE', 'Invoice', invoice.id, invoiceData, req);
@@ -1076,7 +1165,7 @@ exports.generateBulkMonthlyInvoices = async (req, res, next) => {
  */
 exports.generateFulfillmentInvoice = async (req, res, next) => {
   try {
-    const { clientId, warehouse, startDate, endDate, ratePerOrder, advancePaid } = req.body;
+    const { clientId, warehouse, warehouseId, startDate, endDate, ratePerOrder, advancePaid } = req.body;
 
     if (!clientId || !startDate || !endDate) {
       return res.status(400).json({
@@ -1099,12 +1188,19 @@ exports.generateFulfillmentInvoice = async (req, res, next) => {
       });
     }
 
-    // Pricing formula: $2.50 + (number_of_units - 1) × $1.25 per order
-    const BASE_RATE = 2.50;
-    const ADDITIONAL_UNIT_RATE = 1.25;
+    // Bill a single warehouse's orders when one is given
+    let warehouseRecord = null;
+    if (warehouseId) {
+      const resolved = await warehouseService.resolveWarehouse(warehouseId);
+      if (!resolved.success) {
+        const { statusCode, success, ...body } = resolved;
+        return res.status(statusCode).json({ success: false, ...body });
+      }
+      warehouseRecord = resolved.warehouse;
+    }
 
     // Get orders in date range - only orders up to 5 lbs
-    const { data: allOrders } = await supabaseAdmin
+    let ordersQuery = supabaseAdmin
       .from('orders')
       .select('*')
       .eq('client_id', clientId)
@@ -1113,6 +1209,12 @@ exports.generateFulfillmentInvoice = async (req, res, next) => {
       .lte('created_at', endDate)
       .order('created_at', { ascending: true });
 
+    if (warehouseRecord) {
+      ordersQuery = ordersQuery.eq('warehouse_id', warehouseRecord.id);
+    }
+
+    const { data: allOrders } = await ordersQuery;
+
     // Include all orders (no weight filter)
     const orders = allOrders || [];
 
@@ -1123,7 +1225,8 @@ exports.generateFulfillmentInvoice = async (req, res, next) => {
       });
     }
 
-    // Calculate charge per order: $2.50 + (number_of_units - 1) × $1.25
+    // Price each order with the client's rate card effective on its service date
+    const pricer = await pricingEngine.createPricer(clientId);
     let totalAmount = 0;
     let totalUnits = 0;
 
@@ -1140,8 +1243,7 @@ exports.generateFulfillmentInvoice = async (req, res, next) => {
       }, 0);
 
       if (orderUnits > 0) {
-        // Formula: $2.50 + (number_of_units - 1) × $1.25
-        const orderCharge = BASE_RATE + ((orderUnits - 1) * ADDITIONAL_UNIT_RATE);
+        const orderCharge = pricer.priceOrder(order, orderUnits).total;
         totalAmount += orderCharge;
         totalUnits += orderUnits;
       }
@@ -1185,7 +1287,8 @@ exports.generateFulfillmentInvoice = async (req, res, next) => {
       invoice_number: invoiceNumber,
       client_id: clientId,
       type: 'fulfillment',
-      warehouse: warehouse || 'Main Warehouse',
+      warehouse: warehouseRecord ? warehouseRecord.name : (warehouse || 'Main Warehouse'),
+      warehouse_id: warehouseRecord ? warehouseRecord.id : null,
       billing_period_start_date: startDate.split('T')[0],
       billing_period_end_date: endDate.split('T')[0],
       order_count: orderCount,
@@ -0,0 +1,280 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { createAuditLog } = require('../middleware/supabaseAuditLog');
+const kitService = require('../services/kitService');
+
+const WORK_ORDER_SELECT = `
+  *,
+  clients:client_id (
+    id,
+    company_name
+  ),
+  warehouses:warehouse_id (
+    id,
+    code,
+    name
+  ),
+  products:kit_product_id (
+    id,
+    name,
+    sku
+  ),
+  warehouse_locations:location_id (
+    id,
+    location_code
+  )
+`;
+
+/**
+ * Format a work order row for API responses
+ */
+const formatWorkOrder = (workOrder) => ({
+  id: workOrder.id,
+  _id: workOrder.id,
+  workOrderNumber: workOrder.work_order_number,
+  clientId: workOrder.clients ? {
+    _id: workOrder.clients.id,
+    companyName: workOrder.clients.company_name
+  } : workOrder.client_id,
+  warehouseId: workOrder.warehouses ? {
+    _id: workOrder.warehouses.id,
+    code: workOrder.warehouses.code,
+    name: workOrder.warehouses.name
+  } : workOrder.warehouse_id,
+  kitProductId: workOrder.products ? {
+    _id: workOrder.products.id,
+    name: workOrder.products.name,
+    sku: workOrder.products.sku
+  } : workOrder.kit_product_id,
+  quantity: workOrder.quantity,
+  storageLocation: workOrder.warehouse_locations?.location_code || null,
+  status: workOrder.status,
+  // Components taken when the work order was completed
+  componentsConsumed: (workOrder.components_consumed || []).map(component => ({
+    productId: component.product_id,
+    quantity: component.quantity,
+    lots: (component.lots || []).map(lot => ({
+      lotNumber: lot.lot_number,
+      expiryDate: lot.expiry_date,
+      quantity: lot.quantity
+    }))
+  })),
+  notes: workOrder.notes,
+  createdBy: workOrder.created_by,
+  completedBy: workOrder.completed_by,
+  completedAt: workOrder.completed_at,
+  createdAt: workOrder.created_at,
+  updatedAt: workOrder.updated_at
+});
+
+/**
+ * Load a work order with relations - use admin client to bypass RLS
+ */
+const fetchWorkOrder = async (id) => {
+  const { data } = await supabaseAdmin
+    .from('kit_work_orders')
+    .select(WORK_ORDER_SELECT)
+    .eq('id', id)
+    .single();
+
+  return data;
+};
+
+/**
+ * Get all kit work orders
+ */
+exports.getAllWorkOrders = async (req, res, next) => {
+  try {
+    const { status, clientId, warehouseId, kitProductId } = req.query;
+
+    // Use admin client to bypass RLS
+    let query = supabaseAdmin
+      .from('kit_work_orders')
+      .select(WORK_ORDER_SELECT)
+      .order('created_at', { ascending: false });
+
+    if (req.user.role === 'client' && req.user.client_id) {
+      query = query.eq('client_id', req.user.client_id);
+    } else if (clientId && clientId !== 'null' && clientId !== 'undefined') {
+      query = query.eq('client_id', clientId);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (warehouseId) {
+      query = query.eq('warehouse_id', warehouseId);
+    }
+
+    if (kitProductId) {
+      query = query.eq('kit_product_id', kitProductId);
+    }
+
+    const { data: workOrders, error } = await query;
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to fetch work orders'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (workOrders || []).map(formatWorkOrder)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get work order by ID
+ */
+exports.getWorkOrderById = async (req, res, next) => {
+  try {
+    const workOrder = await fetchWorkOrder(req.params.id);
+
+    if (!workOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work order not found'
+      });
+    }
+
+    // Client authorization check
+    if (req.user.role === 'client' && workOrder.client_id !== req.user.client_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this work order'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatWorkOrder(workOrder)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a work order to assemble kits
+ */
+exports.createWorkOrder = async (req, res, next) => {
+  try {
+    const { kitProductId, warehouseId, quantity, storageLocation, notes } = req.body;
+
+    const result = await kitService.createWorkOrder({
+      kitProductId,
+      warehouseId,
+      quantity,
+      storageLocation,
+      notes,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'KIT_WORK_ORDER_CREATED',
+      'KitWorkOrder',
+      result.workOrder.id,
+      { workOrderNumber: result.workOrder.work_order_number, kitProductId, warehouseId: result.workOrder.warehouse_id, quantity },
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Work order ${result.workOrder.work_order_number} created`,
+      data: formatWorkOrder(await fetchWorkOrder(result.workOrder.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Complete a work order: components are consumed and the kits added to stock
+ */
+exports.completeWorkOrder = async (req, res, next) => {
+  try {
+    const result = await kitService.completeWorkOrder({
+      workOrderId: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'KIT_WORK_ORDER_COMPLETED',
+      'KitWorkOrder',
+      result.workOrder.id,
+      { workOrderNumber: result.workOrder.work_order_number, quantity: result.workOrder.quantity },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Work order ${result.workOrder.work_order_number} completed`,
+      data: formatWorkOrder(await fetchWorkOrder(result.workOrder.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a work order that has not been completed
+ */
+exports.cancelWorkOrder = async (req, res, next) => {
+  try {
+    const workOrder = await fetchWorkOrder(req.params.id);
+
+    if (!workOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work order not found'
+      });
+    }
+
+    if (workOrder.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Work order ${workOrder.work_order_number} is ${workOrder.status} and cannot be cancelled`
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('kit_work_orders')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', workOrder.id)
+      .eq('status', 'pending');
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to cancel work order'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'KIT_WORK_ORDER_CANCELLED', 'KitWorkOrder', workOrder.id, { workOrderNumber: workOrder.work_order_number }, req);
+
+    res.status(200).json({
+      success: true,
+      message: `Work order ${workOrder.work_order_number} cancelled`,
+      data: formatWorkOrder({ ...workOrder, status: 'cancelled' })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
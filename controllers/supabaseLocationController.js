@@ -0,0 +1,483 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { createAuditLog } = require('../middleware/supabaseAuditLog');
+const locationService = require('../services/locationService');
+
+/**
+ * Format a warehouse location row for API responses
+ */
+const formatLocation = (location) => ({
+  id: location.id,
+  _id: location.id,
+  warehouseId: location.warehouses ? {
+    _id: location.warehouses.id,
+    code: location.warehouses.code,
+    name: location.warehouses.name
+  } : location.warehouse_id,
+  parentId: location.parent_id,
+  type: location.type,
+  code: location.code,
+  locationCode: location.location_code,
+  name: location.name,
+  capacityUnits: location.capacity_units,
+  isPickable: location.is_pickable,
+  isActive: location.is_active,
+  createdAt: location.created_at,
+  updatedAt: location.updated_at
+});
+
+/**
+ * Load a location - use admin client to bypass RLS
+ */
+const fetchLocation = async (id) => {
+  const { data } = await supabaseAdmin
+    .from('warehouse_locations')
+    .select('*, warehouses:warehouse_id ( id, code, name )')
+    .eq('id', id)
+    .single();
+
+  return data;
+};
+
+/**
+ * Load an inventory row for bin stock operations
+ */
+const fetchInventory = async (id) => {
+  const { data } = await supabaseAdmin
+    .from('inventory')
+    .select('id, client_id, product_id, available_stock, reserved_stock, products:product_id ( id, name, sku )')
+    .eq('id', id)
+    .single();
+
+  return data;
+};
+
+/**
+ * Get all locations
+ * Filter by warehouse, type or parent; inactive locations only on request
+ */
+exports.getAllLocations = async (req, res, next) => {
+  try {
+    const { warehouseId, type, parentId, includeInactive } = req.query;
+
+    // Use admin client to bypass RLS
+    let query = supabaseAdmin
+      .from('warehouse_locations')
+      .select('*, warehouses:warehouse_id ( id, code, name )')
+      .order('location_code', { ascending: true });
+
+    if (warehouseId) {
+      query = query.eq('warehouse_id', warehouseId);
+    }
+    if (type) {
+      query = query.eq('type', type);
+    }
+    if (parentId) {
+      query = query.eq('parent_id', parentId);
+    }
+    if (includeInactive !== 'true') {
+      query = query.eq('is_active', true);
+    }
+
+    const { data: locations, error } = await query;
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to fetch locations'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: (locations || []).length,
+      data: (locations || []).map(formatLocation)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the location hierarchy of a warehouse as a tree
+ * zones → aisles → racks → bins
+ */
+exports.getLocationTree = async (req, res, next) => {
+  try {
+    // Use admin client to bypass RLS
+    const { data: locations, error } = await supabaseAdmin
+      .from('warehouse_locations')
+      .select('*')
+      .eq('warehouse_id', req.query.warehouseId)
+      .eq('is_active', true)
+      .order('location_code', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to fetch locations'
+      });
+    }
+
+    const nodes = new Map((locations || []).map(location => [
+      location.id,
+      { ...formatLocation(location), children: [] }
+    ]));
+
+    const zones = [];
+    nodes.forEach(node => {
+      const parent = node.parentId ? nodes.get(node.parentId) : null;
+      if (parent) {
+        parent.children.push(node);
+      } else if (node.type === 'zone') {
+        zones.push(node);
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: zones
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get location by ID
+ */
+exports.getLocationById = async (req, res, next) => {
+  try {
+    const location = await fetchLocation(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatLocation(location)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List what is stored in a location
+ * Bins list their own stock; zones, aisles and racks every bin below them
+ */
+exports.getLocationContents = async (req, res, next) => {
+  try {
+    const location = await fetchLocation(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    const contents = await locationService.getContents(location);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        location: formatLocation(location),
+        ...contents
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the bins an inventory item is stored in
+ */
+exports.getInventoryLocations = async (req, res, next) => {
+  try {
+    const inventory = await fetchInventory(req.params.inventoryId);
+
+    if (!inventory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inventory not found'
+      });
+    }
+
+    const placement = await locationService.getPlacement(inventory);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        inventoryId: inventory.id,
+        productId: inventory.products ? {
+          _id: inventory.products.id,
+          name: inventory.products.name,
+          sku: inventory.products.sku
+        } : inventory.product_id,
+        onHand: inventory.available_stock + inventory.reserved_stock,
+        ...placement
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a zone, aisle, rack or bin
+ */
+exports.createLocation = async (req, res, next) => {
+  try {
+    const { warehouseId, parentId, type, code, name, capacityUnits, isPickable } = req.body;
+
+    const result = await locationService.createLocation({
+      warehouseId,
+      parentId,
+      type,
+      code,
+      name,
+      capacityUnits,
+      isPickable
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(req.user.id, 'CREATE', 'WarehouseLocation', result.location.id, req.body, req);
+
+    res.status(201).json({
+      success: true,
+      message: `Location ${result.location.location_code} created`,
+      data: formatLocation(result.location)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a location
+ * Codes are fixed once created (they are printed on labels); capacity
+ * cannot drop below what a bin already holds
+ */
+exports.updateLocation = async (req, res, next) => {
+  try {
+    const location = await fetchLocation(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    const { name, capacityUnits, isPickable, isActive } = req.body;
+    const updateData = {
+      updated_at: new Date().toISOString()
+    };
+
+    if (name !== undefined) updateData.name = name;
+    if (isPickable !== undefined) updateData.is_pickable = isPickable;
+    if (isActive !== undefined) updateData.is_active = isActive;
+
+    if (capacityUnits !== undefined) {
+      if (location.type !== 'bin') {
+        return res.status(400).json({
+          success: false,
+          message: 'Capacity can only be set on bins'
+        });
+      }
+
+      if (capacityUnits !== null) {
+        const { totalUnits } = await locationService.getContents(location);
+        if (parseInt(capacityUnits) < totalUnits) {
+          return res.status(400).json({
+            success: false,
+            message: `Bin ${location.location_code} already holds ${totalUnits} units`
+          });
+        }
+      }
+
+      updateData.capacity_units = capacityUnits === null ? null : parseInt(capacityUnits);
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('warehouse_locations')
+      .update(updateData)
+      .eq('id', location.id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to update location'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'UPDATE', 'WarehouseLocation', location.id, updateData, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Location updated successfully',
+      data: formatLocation(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an empty location with nothing below it
+ */
+exports.deleteLocation = async (req, res, next) => {
+  try {
+    const location = await fetchLocation(req.params.id);
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    const { count: childCount } = await supabaseAdmin
+      .from('warehouse_locations')
+      .select('id', { count: 'exact', head: true })
+      .eq('parent_id', location.id);
+
+    if (childCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Location ${location.location_code} has ${childCount} locations below it and cannot be deleted`
+      });
+    }
+
+    const { totalUnits } = await locationService.getContents(location);
+    if (totalUnits > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Location ${location.location_code} still holds ${totalUnits} units. Move the stock out first.`
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('warehouse_locations')
+      .delete()
+      .eq('id', location.id);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to delete location'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'DELETE', 'WarehouseLocation', location.id, { locationCode: location.location_code }, req);
+
+    res.status(200).json({
+      success: true,
+      message: `Location ${location.location_code} deleted`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Put unplaced on-hand stock away into a bin
+ */
+exports.putAwayStock = async (req, res, next) => {
+  try {
+    const { inventoryId, locationId, quantity } = req.body;
+
+    const inventory = await fetchInventory(inventoryId);
+    if (!inventory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inventory not found'
+      });
+    }
+
+    const result = await locationService.adjustBinStock({
+      inventoryId,
+      locationId,
+      quantity: parseInt(quantity)
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'STOCK_PUT_AWAY',
+      'Inventory',
+      inventoryId,
+      { locationId, quantity: parseInt(quantity) },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Put away ${quantity} units of ${inventory.products?.sku || 'product'}`,
+      data: await locationService.getPlacement(inventory)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move stock from one bin to another
+ */
+exports.moveStock = async (req, res, next) => {
+  try {
+    const { inventoryId, fromLocationId, toLocationId, quantity } = req.body;
+
+    const inventory = await fetchInventory(inventoryId);
+    if (!inventory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inventory not found'
+      });
+    }
+
+    const result = await locationService.moveStock({
+      inventoryId,
+      fromLocationId,
+      toLocationId,
+      quantity: parseInt(quantity)
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'STOCK_MOVED',
+      'Inventory',
+      inventoryId,
+      { fromLocationId, toLocationId, quantity: parseInt(quantity) },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Moved ${quantity} units of ${inventory.products?.sku || 'product'}`,
+      data: await locationService.getPlacement(inventory)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
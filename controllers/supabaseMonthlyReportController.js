@@ -1,8 +1,17 @@
 const supabaseAdmin = require('../config/supabaseAdmin');
 const { Parser } = require('json2csv');
+const pricingEngine = require('../services/pricingEngine');
 
-const BASE_RATE = 2.50;
-const ADDITIONAL_UNIT_RATE = 1.25;
+/**
+ * Pricing summary shown on reports
+ */
+const formatPricingFormula = (rateCard) => ({
+  rateCardId: rateCard.id,
+  rateCardName: rateCard.name,
+  baseRate: rateCard.pickFee,
+  additionalUnitRate: rateCard.additionalUnitFee,
+  formula: pricingEngine.describeRateCard(rateCard)
+});
 
 /**
  * Get Monthly Invoice Report for All Clients
@@ -77,6 +86,8 @@ exports.getMonthlyInvoiceReport = async (req, res, next) => {
       
       if (invoice.line_items && Array.isArray(invoice.line_items)) {
         invoice.line_items.forEach(item => {
+          // Storage and receiving lines count space/cartons/pallets, not order units
+          if (item.type === 'storage' || item.type === 'receiving') return;
           invoiceUnits += parseInt(item.quantity) || 0;
         });
       }
@@ -119,6 +130,7 @@ exports.getMonthlyInvoiceReport = async (req, res, next) => {
 
     // Convert to array and sort by total amount
     const clientReports = Object.values(clientInvoices).sort((a, b) => b.totalAmount - a.totalAmount);
+    const defaultRateCard = await pricingEngine.getRateCard(null, endDate);
 
     const reportData = {
       period: {
@@ -138,11 +150,7 @@ exports.getMonthlyInvoiceReport = async (req, res, next) => {
         averageRevenuePerClient: clientReports.length > 0 ? Number((totalRevenue / clientReports.length).toFixed(2)) : 0
       },
       clients: clientReports,
-      pricingFormula: {
-        baseRate: BASE_RATE,
-        additionalUnitRate: ADDITIONAL_UNIT_RATE,
-        formula: `$${BASE_RATE} + (units - 1) × $${ADDITIONAL_UNIT_RATE}`
-      }
+      pricingFormula: formatPricingFormula(defaultRateCard)
     };
 
     if (format === 'csv') {
@@ -236,6 +244,7 @@ exports.getClientMonthlyReport = async (req, res, next) => {
       .order('created_at', { ascending: false });
 
     // Get order details with items and calculate charges
+    const pricer = await pricingEngine.createPricer(clientId);
     const orderDetails = [];
     let totalCharge = 0;
     let totalUnits = 0;
@@ -265,7 +274,7 @@ exports.getClientMonthlyReport = async (req, res, next) => {
       let billable = false;
 
       if (orderWeight > 0 && orderWeight <= 5 && orderUnits > 0) {
-        orderCharge = BASE_RATE + ((orderUnits - 1) * ADDITIONAL_UNIT_RATE);
+        orderCharge = pricer.priceOrder(order, orderUnits).total;
         billable = true;
         billableOrders++;
         totalCharge += orderCharge;
@@ -291,6 +300,8 @@ exports.getClientMonthlyReport = async (req, res, next) => {
       });
     }
 
+    const rateCard = pricer.rateCardFor(endDate);
+
     // Get invoices for this client in the month
     const { data: invoices } = await supabaseAdmin
       .from('invoices')
@@ -331,15 +342,11 @@ exports.getClientMonthlyReport = async (req, res, next) => {
           createdAt: inv.created_at
         })) || [],
         pricingFormula: {
-          baseRate: BASE_RATE,
-          additionalUnitRate: ADDITIONAL_UNIT_RATE,
-          formula: `$${BASE_RATE} + (units - 1) × $${ADDITIONAL_UNIT_RATE}`,
-          examples: [
-            { units: 1, charge: BASE_RATE },
-            { units: 2, charge: BASE_RATE + ADDITIONAL_UNIT_RATE },
-            { units: 3, charge: BASE_RATE + (2 * ADDITIONAL_UNIT_RATE) },
-            { units: 5, charge: BASE_RATE + (4 * ADDITIONAL_UNIT_RATE) }
-          ]
+          ...formatPricingFormula(rateCard),
+          examples: [1, 2, 3, 5].map(units => ({
+            units,
+            charge: pricingEngine.calculateOrderCharge(rateCard, { units }).total
+          }))
         }
       }
     });
@@ -1,13 +1,21 @@
 const supabase = require('../config/supabase');
 const supabaseAdmin = require('../config/supabaseAdmin');
 const { createAuditLog } = require('../middleware/supabaseAuditLog');
+const { validateOrderItems, createOrderWithItems } = require('../services/orderService');
+const { transitionOrder, getOrderHistory } = require('../services/orderWorkflowService');
+const { parseOrderSpreadsheet, importOrderRows, MAX_IMPORT_ROWS } = require('../services/orderImportService');
+const locationService = require('../services/locationService');
+const lotService = require('../services/lotService');
+const serialService = require('../services/serialService');
+const { SERVICE_LEVELS } = require('../services/shippingRateService');
+const orderDocumentService = require('../services/orderDocumentService');
 
 /**
  * Get all orders
  */
 exports.getAllOrders = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, clientId, status, startDate, endDate } = req.query;
+    const { page = 1, limit = 10, clientId, status, startDate, endDate, warehouseId } = req.query;
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const from = (pageNum - 1) * limitNum;
@@ -38,6 +46,11 @@ exports.getAllOrders = async (req, res, next) => {
       }
     }
 
+    // Filter by shipping warehouse
+    if (warehouseId) {
+      query = query.eq('warehouse_id', warehouseId);
+    }
+
     // Date filters
     if (startDate) {
       query = query.gte('created_at', startDate);
@@ -80,20 +93,30 @@ exports.getAllOrders = async (req, res, next) => {
         .eq('id', order.client_id)
         .single();
 
-      // Fetch inventory/stock location for each product
+      // Fetch inventory and every bin the product can be picked from
       const itemsWithStock = await Promise.all((items || []).map(async (item) => {
         let stockLocation = null;
         if (item.products?.id) {
           const { data: inventory } = await supabaseAdmin
             .from('inventory')
-            .select('location, available_stock, reserved_stock')
+            .select(`
+              storage_location,
+              available_stock,
+              reserved_stock,
+              bin_inventory (${locationService.BIN_STOCK_SELECT})
+            `)
             .eq('product_id', item.products.id)
             .eq('client_id', order.client_id)
+            .eq('warehouse_id', order.warehouse_id)
             .maybeSingle();
           
           if (inventory) {
+            const locations = locationService.formatBinStock(inventory.bin_inventory);
             stockLocation = {
-              location: inventory.location || 'N/A',
+              location: locations.length > 0
+                ? locations.map(loc => loc.locationCode).join(', ')
+                : (inventory.storage_location || 'N/A'),
+              locations,
               availableStock: parseInt(inventory.available_stock) || 0,
               reservedStock: parseInt(inventory.reserved_stock) || 0
             };
@@ -112,7 +135,10 @@ exports.getAllOrders = async (req, res, next) => {
             reorderLevel: item.products.reorder_level
           } : item.product_id,
           quantity: item.quantity,
+          shippedQuantity: item.shipped_quantity || 0,
           unitPrice: parseFloat(item.unit_price || 0),
+          kitProductId: item.kit_product_id || null,
+          kitQuantity: item.kit_quantity || null,
           stockLocation: stockLocation
         };
       }));
@@ -121,6 +147,7 @@ exports.getAllOrders = async (req, res, next) => {
         id: order.id,
         _id: order.id,
         orderNumber: order.order_number,
+        externalReference: order.external_reference || null,
         clientId: client ? {
           _id: client.id,
           id: client.id,
@@ -128,6 +155,7 @@ exports.getAllOrders = async (req, res, next) => {
           email: client.email,
           contactPerson: client.contact_person
         } : order.client_id,
+        warehouseId: order.warehouse_id || null,
         createdBy: order.created_by,
         items: itemsWithStock,
         deliveryAddress: {
@@ -141,14 +169,26 @@ exports.getAllOrders = async (req, res, next) => {
         },
         status: order.status,
         priority: order.priority,
+        specialHandling: order.special_handling === true,
+        carrier: order.carrier || null,
+        shippingServiceId: order.shipping_service_id || null,
+        serviceLevel: order.service_level || null,
+        shippingZone: order.shipping_zone || null,
+        billableWeight: order.billable_weight ? parseFloat(order.billable_weight) : null,
+        transitDays: order.transit_days || null,
         notes: order.notes,
         approvedBy: order.approved_by,
         approvedAt: order.approved_at,
+        pickedAt: order.picked_at,
         packedAt: order.packed_at,
         dispatchedAt: order.dispatched_at,
         deliveredAt: order.delivered_at,
+        trackingStatus: order.tracking_status || null,
+        returnedAt: order.returned_at || null,
+        cancelledAt: order.cancelled_at || null,
         trackingNumber: order.tracking_number,
         totalWeight: parseFloat(order.total_weight || 0),
+        actualWeight: order.actual_weight ? parseFloat(order.actual_weight) : null,
         shippingFee: parseFloat(order.shipping_fee || 0),
         totalAmount: parseFloat(order.total_amount || 0),
         attachmentUrl: order.attachment_url || null,
@@ -196,6 +236,11 @@ exports.getOrderById = async (req, res, next) => {
         approved_user:approved_by (
           id,
           name
+        ),
+        warehouses:warehouse_id (
+          id,
+          code,
+          name
         )
       `)
       .eq('id', id)
@@ -219,11 +264,21 @@ exports.getOrderById = async (req, res, next) => {
       `)
       .eq('order_id', id);
 
+    // Lots allocated to each line (FEFO) and serials packed on it, for picking and recall tracing
+    const lotAllocations = await lotService.getOrderAllocations(id);
+    const orderSerials = await serialService.getOrderSerials(id);
+
     const formattedOrder = {
       id: order.id,
       _id: order.id,
       orderNumber: order.order_number,
+      externalReference: order.external_reference || null,
       clientId: order.clients || order.client_id,
+      warehouseId: order.warehouses ? {
+        _id: order.warehouses.id,
+        code: order.warehouses.code,
+        name: order.warehouses.name
+      } : order.warehouse_id,
       createdBy: order.user_profiles ? {
         _id: order.user_profiles.id,
         name: order.user_profiles.name,
@@ -236,7 +291,13 @@ exports.getOrderById = async (req, res, next) => {
       items: (items || []).map(item => ({
         productId: item.products || item.product_id,
         quantity: item.quantity,
-        unitPrice: parseFloat(item.unit_price || 0)
+        shippedQuantity: item.shipped_quantity || 0,
+        unitPrice: parseFloat(item.unit_price || 0),
+        // Component line of a kit built to order
+        kitProductId: item.kit_product_id || null,
+        kitQuantity: item.kit_quantity || null,
+        lots: lotAllocations[item.id] || [],
+        serialNumbers: orderSerials[item.id] || []
       })),
       deliveryAddress: {
         name: order.delivery_address_name,
@@ -249,13 +310,25 @@ exports.getOrderById = async (req, res, next) => {
       },
       status: order.status,
       priority: order.priority,
+      specialHandling: order.special_handling === true,
+      carrier: order.carrier || null,
+      shippingServiceId: order.shipping_service_id || null,
+      serviceLevel: order.service_level || null,
+      shippingZone: order.shipping_zone || null,
+      billableWeight: order.billable_weight ? parseFloat(order.billable_weight) : null,
+      transitDays: order.transit_days || null,
       notes: order.notes,
       approvedAt: order.approved_at,
+      pickedAt: order.picked_at,
       packedAt: order.packed_at,
       dispatchedAt: order.dispatched_at,
       deliveredAt: order.delivered_at,
+      trackingStatus: order.tracking_status || null,
+      returnedAt: order.returned_at || null,
+      cancelledAt: order.cancelled_at || null,
       trackingNumber: order.tracking_number,
       totalWeight: parseFloat(order.total_weight || 0),
+      actualWeight: order.actual_weight ? parseFloat(order.actual_weight) : null,
       shippingFee: parseFloat(order.shipping_fee || 0),
       totalAmount: parseFloat(order.total_amount || 0),
       attachmentUrl: order.attachment_url || null,
@@ -277,7 +350,10 @@ exports.getOrderById = async (req, res, next) => {
  */
 exports.createOrder = async (req, res, next) => {
   try {
-    const { clientId, items, deliveryAddress, notes, priority } = req.body;
+    const {
+      clientId, items, deliveryAddress, notes, priority, specialHandling,
+      carrier, shippingServiceId, serviceLevel, warehouseId
+    } = req.body;
 
     // Validate required fields
     if (!clientId) {
@@ -294,6 +370,13 @@ exports.createOrder = async (req, res, next) => {
       });
     }
 
+    if (serviceLevel && !SERVICE_LEVELS.includes(serviceLevel)) {
+      return res.status(400).json({
+        success: false,
+        message: `Service level must be one of: ${SERVICE_LEVELS.join(', ')}`
+      });
+    }
+
     if (!req.user || !req.user.id) {
       return res.status(401).json({
         success: false,
@@ -323,260 +406,81 @@ exports.createOrder = async (req, res, next) => {
       });
     }
 
-    // Calculate total weight and validate items
-    let totalWeight = 0;
-    
-    for (const [index, item] of parsedItems.entries()) {
-      if (!item.productId) {
-        return res.status(400).json({
-          success: false,
-          message: `Product is required for item ${index + 1}`
-        });
-      }
+    // Validate items against inventory and calculate total weight
+    const validation = await validateOrderItems(clientId, parsedItems, { warehouseId: warehouseId || null });
 
-      if (!item.quantity || item.quantity <= 0 || !Number.isInteger(Number(item.quantity))) {
-        return res.status(400).json({
-          success: false,
-          message: `Quantity must be a positive whole number for item ${index + 1}`
-        });
-      }
-
-      // Check inventory availability - use admin client to bypass RLS
-      const { data: inventory } = await supabaseAdmin
-        .from('inventory')
-        .select('*')
-        .eq('product_id', item.productId)
-        .eq('client_id', clientId)
-        .single();
-
-      if (!inventory || inventory.available_stock < item.quantity) {
-        const { data: product } = await supabaseAdmin
-          .from('products')
-          .select('name')
-          .eq('id', item.productId)
-          .single();
+    if (!validation.valid) {
+      const stockErrors = validation.errors.filter(err => err.code === 'INSUFFICIENT_STOCK');
 
+      if (stockErrors.length === 0) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for product: ${product?.name || item.productId}`
+          message: validation.errors[0].message
         });
       }
 
-      // Get product weight and calculate total - use admin client to bypass RLS
-      const { data: product } = await supabaseAdmin
-        .from('products')
-        .select('weight_value, weight_unit')
-        .eq('id', item.productId)
-        .single();
-
-      if (product && product.weight_value) {
-        let weightInLbs = product.weight_value;
-        // Convert to lbs if needed
-        if (product.weight_unit === 'kg') {
-          weightInLbs = product.weight_value * 2.20462;
-        } else if (product.weight_unit === 'g') {
-          weightInLbs = product.weight_value * 0.00220462;
+      // Report every short line, not just the first one
+      return res.status(400).json({
+        success: false,
+        code: 'INSUFFICIENT_STOCK',
+        message: validation.errors[0].message,
+        data: {
+          shortfalls: stockErrors.map(err => ({
+            productId: err.productId,
+            sku: err.sku,
+            requested: err.requested,
+            available: err.available,
+            shortfall: err.requested - err.available
+          }))
         }
-        totalWeight += weightInLbs * item.quantity;
-      }
+      });
     }
 
-    // Calculate shipping fee based on weight
-    const calculateShippingFee = (weight) => {
-      if (weight <= 5) return 2.50;
-      if (weight <= 10) return 5.00;
-      if (weight <= 20) return 8.50;
-      if (weight <= 50) return 15.00;
-      return 25.00;
-    };
-
-    const shippingFee = calculateShippingFee(totalWeight);
-
-    // Create order
-    const orderData = {
-      client_id: clientId,
-      created_by: req.user.id,
-      delivery_address_name: parsedDeliveryAddress.name,
-      delivery_address_phone: parsedDeliveryAddress.phone,
-      delivery_address_street: parsedDeliveryAddress.street,
-      delivery_address_city: parsedDeliveryAddress.city,
-      delivery_address_state: parsedDeliveryAddress.state,
-      delivery_address_zip_code: parsedDeliveryAddress.zipCode,
-      delivery_address_country: parsedDeliveryAddress.country || 'United States',
-      status: 'pending',
-      priority: priority || 'medium',
-      notes: notes || null,
-      total_weight: parseFloat(totalWeight.toFixed(2)),
-      shipping_fee: shippingFee,
-      total_amount: shippingFee // Will be updated when invoice is generated
-    };
-
-    // Add attachment_url if file is provided
+    // Create order, order items and reserve inventory in one transaction
     const attachmentPath = req.file ? `uploads/${req.file.filename}` : null;
-    const orderDataWithAttachment = { ...orderData };
-    if (attachmentPath) {
-      orderDataWithAttachment.attachment_url = attachmentPath;
-    }
-
-    // Use admin client to bypass RLS
-    // Create order first
-    
-    // Try to create order with attachment_url first
-    let { data: order, error: orderError } = await supabaseAdmin
-      .from('orders')
-      .insert(orderDataWithAttachment)
-      .select()
-      .single();
+    const result = await createOrderWithItems({
+      clientId,
+      userId: req.user.id,
+      items: parsedItems,
+      deliveryAddress: parsedDeliveryAddress || {},
+      notes,
+      priority,
+      totalWeight: validation.totalWeight,
+      totalVolume: validation.totalVolume,
+      attachmentPath,
+      // Multipart form values arrive as strings
+      extraFields: {
+        ...(specialHandling !== undefined && { special_handling: String(specialHandling) === 'true' })
+      },
+      shipping: {
+        serviceId: shippingServiceId || null,
+        serviceLevel: serviceLevel || 'cheapest',
+        carrier: carrier ? String(carrier).trim().toLowerCase() : null
+      },
+      warehouseId: warehouseId || null
+    });
 
-    // If error is about missing attachment_url column, retry without it
-    if (orderError && orderError.message && (
-      orderError.message.includes('attachment_url') || 
-      (orderError.message.includes('column') && orderError.message.toLowerCase().includes('attachment')) ||
-      orderError.message.includes('schema cache')
-    )) {
-      console.warn('[OrderController] attachment_url column not found, retrying order creation without attachment URL');
-      
-      // Try again without attachment_url
-      const { data: orderRetry, error: retryError } = await supabaseAdmin
-        .from('orders')
-        .insert(orderData) // Without attachment_url
-        .select()
-        .single();
-      
-      if (retryError) {
-        // Still failed with a different error
-        return res.status(400).json({
+    if (!result.success) {
+      // Stock may have been taken by a concurrent order since validation
+      if (result.code === 'INSUFFICIENT_STOCK') {
+        return res.status(409).json({
           success: false,
-          message: retryError.message || 'Failed to create order',
-          details: retryError.details || null
+          code: result.code,
+          message: result.message,
+          data: { shortfalls: result.shortfalls }
         });
       }
-      
-      // Success without attachment - order created but PDF not saved
-      order = orderRetry;
-      console.warn('[OrderController] Order created successfully but PDF attachment was not saved (attachment_url column missing - migration recommended)');
-      // Continue with order creation flow - order is created, just without PDF URL
-    } else if (orderError) {
-      return res.status(400).json({
-        success: false,
-        message: orderError.message || 'Failed to create order',
-        details: orderError.details || null
-      });
-    }
-
-    // Create order items and reserve inventory - use admin client to bypass RLS
-    // Track all operations for rollback if any fail
-    const orderItemsCreated = [];
-    const inventoryUpdates = [];
-    
-    try {
-      for (const item of parsedItems) {
-        // Validate unit_price
-        if (item.unitPrice !== undefined && (isNaN(item.unitPrice) || item.unitPrice < 0)) {
-          throw new Error(`Invalid unit price for item: ${item.productId}`);
-        }
-
-      // Create order item
-        const orderItemData = {
-          order_id: order.id,
-          product_id: item.productId,
-          quantity: item.quantity,
-          unit_price: item.unitPrice || 0
-        };
-        
-        const { data: orderItem, error: itemError } = await supabaseAdmin
-          .from('order_items')
-          .insert(orderItemData)
-          .select()
-          .single();
-        
-        if (itemError) {
-          throw new Error(`Failed to create order item: ${itemError.message}`);
-        }
-        
-        orderItemsCreated.push(orderItem);
-
-      // Reserve inventory
-        const { data: inventory, error: inventoryFetchError } = await supabaseAdmin
-        .from('inventory')
-        .select('*')
-        .eq('product_id', item.productId)
-        .eq('client_id', clientId)
-        .single();
-
-        if (inventoryFetchError || !inventory) {
-          throw new Error(`Inventory not found for product: ${item.productId}`);
-        }
-
-        const newAvailableStock = inventory.available_stock - item.quantity;
-        const newReservedStock = inventory.reserved_stock + item.quantity;
-
-        // Validate stock levels
-        if (newAvailableStock < 0) {
-          throw new Error(`Insufficient stock for product: ${item.productId}. Available: ${inventory.available_stock}, Requested: ${item.quantity}`);
-        }
-
-        const { error: updateError } = await supabaseAdmin
-          .from('inventory')
-          .update({
-            available_stock: newAvailableStock,
-            reserved_stock: newReservedStock,
-            last_updated: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', inventory.id);
-
-        if (updateError) {
-          throw new Error(`Failed to update inventory: ${updateError.message}`);
-        }
-
-        inventoryUpdates.push({ inventoryId: inventory.id, quantity: item.quantity });
-      }
-    } catch (error) {
-      // Rollback: Delete order items and restore inventory
-      // Delete order items
-      if (orderItemsCreated.length > 0) {
-        const orderItemIds = orderItemsCreated.map(item => item.id);
-        await supabaseAdmin
-          .from('order_items')
-          .delete()
-          .in('id', orderItemIds);
-      }
-
-      // Restore inventory
-      for (const update of inventoryUpdates) {
-        const { data: inventory } = await supabaseAdmin
-          .from('inventory')
-          .select('*')
-          .eq('id', update.inventoryId)
-          .single();
-
-        if (inventory) {
-          await supabaseAdmin
-            .from('inventory')
-            .update({
-              available_stock: inventory.available_stock + update.quantity,
-              reserved_stock: inventory.reserved_stock - update.quantity,
-              last_updated: new Date().toISOString(),
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', update.inventoryId);
-        }
-      }
-
-      // Delete the order
-      await supabaseAdmin
-        .from('orders')
-        .delete()
-        .eq('id', order.id);
 
       return res.status(400).json({
         success: false,
-        message: error.message || 'Failed to create order items',
-        details: 'Order creation rolled back due to item creation failure'
+        code: result.code,
+        message: result.message,
+        details: result.details
       });
     }
 
+    const { order, shippingOptions } = result;
+
     await createAuditLog(
       req.user.id,
       'ORDER_CREATED',
@@ -636,7 +540,10 @@ exports.createOrder = async (req, res, next) => {
           sku: item.products.sku
         } : item.product_id,
         quantity: item.quantity,
-        unitPrice: parseFloat(item.unit_price || 0)
+        shippedQuantity: item.shipped_quantity || 0,
+        unitPrice: parseFloat(item.unit_price || 0),
+        kitProductId: item.kit_product_id || null,
+        kitQuantity: item.kit_quantity || null
       })),
       deliveryAddress: {
         name: populatedOrder.delivery_address_name,
@@ -649,6 +556,13 @@ exports.createOrder = async (req, res, next) => {
       },
       status: populatedOrder.status,
       priority: populatedOrder.priority,
+      specialHandling: populatedOrder.special_handling === true,
+      carrier: populatedOrder.carrier || null,
+      shippingServiceId: populatedOrder.shipping_service_id || null,
+      serviceLevel: populatedOrder.service_level || null,
+      shippingZone: populatedOrder.shipping_zone || null,
+      billableWeight: populatedOrder.billable_weight ? parseFloat(populatedOrder.billable_weight) : null,
+      transitDays: populatedOrder.transit_days || null,
       notes: populatedOrder.notes,
       totalWeight: parseFloat(populatedOrder.total_weight || 0),
       shippingFee: parseFloat(populatedOrder.shipping_fee || 0),
@@ -666,7 +580,7 @@ exports.createOrder = async (req, res, next) => {
     res.status(201).json({
       success: true,
       message: 'Order created successfully' + pdfWarning,
-      data: formattedOrder,
+      data: { ...formattedOrder, shippingOptions },
       pdfWarning: req.file && !populatedOrder.attachment_url ? 'PDF uploaded but not saved - migration required' : null
     });
   } catch (error) {
@@ -675,297 +589,165 @@ exports.createOrder = async (req, res, next) => {
 };
 
 /**
- * Update order status
+ * Bulk import orders from a CSV/XLSX file
+ * Rows sharing an external order reference are grouped into one order.
+ * Pass dryRun=true to validate without creating anything.
  */
-exports.updateOrderStatus = async (req, res, next) => {
+exports.importOrders = async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { status, trackingNumber } = req.body;
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a .csv or .xlsx file'
+      });
+    }
 
-    // Get order with items - use admin client to bypass RLS
-    const { data: order } = await supabaseAdmin
-      .from('orders')
-      .select('*')
-      .eq('id', id)
-      .single();
+    // Client users can only import into their own account
+    const clientId = req.user.role === 'client' ? req.user.client_id : req.body.clientId;
 
-    if (!order) {
+    if (!clientId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client ID is required'
+      });
+    }
+
+    const { data: client } = await supabaseAdmin
+      .from('clients')
+      .select('id')
+      .eq('id', clientId)
+      .maybeSingle();
+
+    if (!client) {
       return res.status(404).json({
         success: false,
-        message: 'Order not found'
+        message: 'Client not found'
       });
     }
 
-    // VALIDATE STATUS TRANSITION (enforce state machine)
-    const validTransitions = {
-      'pending': ['approved', 'cancelled'],
-      'approved': ['packed', 'dispatched', 'cancelled'],
-      'packed': ['dispatched'],
-      'dispatched': [], // Final state
-      'cancelled': [] // Final state
-    };
+    const dryRun = String(req.body.dryRun ?? req.query.dryRun) === 'true';
 
-    const allowedStatuses = validTransitions[order.status] || [];
-    if (!allowedStatuses.includes(status)) {
+    let rows;
+    try {
+      rows = await parseOrderSpreadsheet(req.file);
+    } catch (parseError) {
       return res.status(400).json({
         success: false,
-        message: `Invalid status transition: ${order.status} → ${status}. Allowed: ${allowedStatuses.join(', ') || 'none'}`,
-        code: 'INVALID_STATUS_TRANSITION',
-        data: {
-          currentStatus: order.status,
-          attemptedStatus: status,
-          allowedStatuses
-        }
+        message: 'Could not read import file: ' + parseError.message
       });
     }
 
-    // CRITICAL: Check if order is locked by invoice
-    if (order.invoice_id) {
-      // Fetch invoice to check its status
-      const { data: invoice } = await supabaseAdmin
-        .from('invoices')
-        .select('invoice_number, status')
-        .eq('id', order.invoice_id)
-        .single();
-
-      // Orders are locked when invoice status is sent/partial/paid
-      // Draft invoices do NOT lock orders
-      if (invoice && invoice.status !== 'draft') {
-        // BLOCK ALL CHANGES including cancellation
-        // Reason: Invoiced = billed service. Cannot be operationally cancelled.
-        // Use credit notes for returns/refunds/adjustments.
-        return res.status(403).json({
-          success: false,
-          message: `Order is locked by invoice ${invoice.invoice_number} (status: ${invoice.status}). Invoiced orders cannot be modified.`,
-          code: 'ORDER_LOCKED_BY_INVOICE',
-          data: {
-            invoiceNumber: invoice.invoice_number,
-            invoiceStatus: invoice.status,
-            currentStatus: order.status,
-            attemptedStatus: status,
-            solution: 'Create a credit note for returns, refunds, or adjustments'
-          },
-          hint: 'Invoiced orders represent billed services and are immutable. Use the credit note workflow instead.'
-        });
-      }
-      
-      // If invoice is draft, allow changes
-      console.log(`ℹ️  Order ${order.order_number} linked to draft invoice ${invoice?.invoice_number} - changes allowed`);
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import file contains no order rows'
+      });
     }
 
-    const { data: orderItems } = await supabaseAdmin
-      .from('order_items')
-      .select('*')
-      .eq('order_id', id);
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Import file has ${rows.length} rows. Maximum is ${MAX_IMPORT_ROWS} rows per file.`
+      });
+    }
 
-    const oldStatus = order.status;
-    const updateData = {
-      status,
-      updated_at: new Date().toISOString()
-    };
+    const report = await importOrderRows({
+      clientId,
+      userId: req.user.id,
+      rows,
+      dryRun
+    });
 
-    if (status === 'approved') {
-      updateData.approved_by = req.user.id;
-      updateData.approved_at = new Date().toISOString();
+    if (report.success === false) {
+      return res.status(report.statusCode).json({
+        success: false,
+        message: report.message
+      });
     }
 
-    if (status === 'packed') {
-      updateData.packed_at = new Date().toISOString();
+    if (!dryRun) {
+      await createAuditLog(
+        req.user.id,
+        'ORDERS_IMPORTED',
+        'Order',
+        null,
+        {
+          clientId,
+          fileName: req.file.originalname,
+          ...report.summary,
+          orderNumbers: report.orders.filter(o => o.status === 'created').map(o => o.orderNumber)
+        },
+        req
+      );
     }
 
-    if (status === 'dispatched') {
-      updateData.dispatched_at = new Date().toISOString();
-      if (trackingNumber) {
-        updateData.tracking_number = trackingNumber;
-      }
+    const { summary } = report;
+    const message = dryRun
+      ? `Dry run: ${summary.successfulOrders} of ${summary.totalOrders} orders are valid`
+      : `Imported ${summary.successfulOrders} of ${summary.totalOrders} orders`;
 
-      // Update inventory: move from reserved to dispatched - use admin client to bypass RLS
-      for (const item of orderItems) {
-        const { data: inventory, error: inventoryError } = await supabaseAdmin
-          .from('inventory')
-          .select('*')
-          .eq('product_id', item.product_id)
-          .eq('client_id', order.client_id)
-          .single();
-
-        if (inventoryError || !inventory) {
-          console.error(`Failed to fetch inventory for product ${item.product_id}:`, inventoryError);
-          continue; // Skip this item but continue with others
-        }
+    res.status(dryRun || summary.successfulOrders === 0 ? 200 : 201).json({
+      success: true,
+      message: summary.failedRows > 0 ? `${message} (${summary.failedRows} row(s) failed)` : message,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-          const newReservedStock = inventory.reserved_stock - item.quantity;
-          const newDispatchedStock = inventory.dispatched_stock + item.quantity;
+/**
+ * Update order status
+ */
+exports.updateOrderStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, trackingNumber, note, shippedItems, serialNumbers } = req.body;
+
+    // Validate, move stock and record history (see config/orderWorkflow.js);
+    // packed is only reached through the pack station
+    const result = await transitionOrder({
+      orderId: id,
+      toStatus: status,
+      userId: req.user.id,
+      note,
+      trackingNumber,
+      shippedItems,
+      serialNumbers
+    });
 
-        // Validate stock levels
-        if (newReservedStock < 0) {
-          console.error(`Invalid reserved stock calculation for product ${item.product_id}`);
-          continue;
-        }
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
 
-        const { error: updateError } = await supabaseAdmin
-            .from('inventory')
-            .update({
-              reserved_stock: newReservedStock,
-              dispatched_stock: newDispatchedStock,
-              last_updated: new Date().toISOString(),
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', inventory.id);
-
-        if (updateError) {
-          console.error(`Failed to update inventory for product ${item.product_id}:`, updateError);
-          // Continue with other items
-        }
-      }
+    const { order, fromStatus, items: orderItems } = result;
 
+    if (['partially_shipped', 'dispatched'].includes(order.status)) {
       await createAuditLog(
         req.user.id,
         'OUTBOUND_DISPATCH',
         'Order',
         order.id,
-        { orderNumber: order.order_number, items: orderItems },
+        { orderNumber: order.order_number, items: orderItems, partial: order.status === 'partially_shipped' },
         req
       );
-
-      // AUTOMATIC INVOICE GENERATION DISABLED
-      // Invoices are now generated monthly only via admin action
-      // This prevents individual order invoices from being created automatically
-      
-      /* DISABLED - Monthly invoices only
-      const { data: existingInvoice } = await supabaseAdmin
-        .from('invoices')
-        .select('id')
-        .eq('order_id', id)
-        .single();
-      
-      if (!existingInvoice) {
-        // Calculate total units for this order
-        const totalUnits = orderItems.reduce((sum, item) => {
-          return sum + (parseInt(item.quantity) || 0);
-        }, 0);
-
-        if (totalUnits > 0) {
-          // Apply pricing formula: $2.50 + (number_of_units - 1) × $1.25
-          const BASE_RATE = 2.50;
-          const ADDITIONAL_UNIT_RATE = 1.25;
-          const orderCharge = BASE_RATE + ((totalUnits - 1) * ADDITIONAL_UNIT_RATE);
-          
-          const subtotal = Number(orderCharge.toFixed(2));
-          const taxRate = 0; // No tax as per requirements
-          const taxAmount = 0;
-          const totalAmount = subtotal;
-          
-          const invoiceNumber = `INV-${Date.now()}-${order.order_number.replace('ORD-', '')}`;
-          
-          // Create line item
-          const lineItems = [{
-            description: `Order Fulfillment - ${order.order_number} (${totalUnits} units)`,
-            quantity: totalUnits,
-            unitPrice: Number((orderCharge / totalUnits).toFixed(2)),
-            amount: subtotal
-          }];
-          
-          const dueDate = new Date();
-          dueDate.setDate(dueDate.getDate() + 30);
-          
-          await supabaseAdmin
-            .from('invoices')
-            .insert({
-              invoice_number: invoiceNumber,
-              client_id: order.client_id,
-              order_id: order.id,
-              type: 'outbound',
-              line_items: lineItems,
-              subtotal: subtotal,
-              amount: subtotal,
-              tax_amount: taxAmount,
-              tax_rate: taxRate,
-              total_amount: totalAmount,
-              balance_due: totalAmount,
-              due_date: dueDate.toISOString().split('T')[0],
-              status: 'sent',
-              uploaded_by: req.user.id,
-              notes: `Auto-generated invoice for dispatched order ${order.order_number}. Formula: $2.50 + (${totalUnits} - 1) × $1.25 = $${orderCharge.toFixed(2)}`
-            });
-
-          await createAuditLog(
-            req.user.id,
-            'INVOICE_AUTO_GENERATED',
-            'Invoice',
-            order.id,
-            { 
-              orderNumber: order.order_number, 
-              invoiceNumber,
-              totalUnits,
-              orderCharge: orderCharge.toFixed(2),
-              formula: `$2.50 + (${totalUnits} - 1) × $1.25`
-            },
-            req
-          );
-
-          console.log(`[AUTO-INVOICE] Generated invoice ${invoiceNumber} for order ${order.order_number}: ${totalUnits} units = $${orderCharge.toFixed(2)}`);
-        }
-      }
-      */ // END DISABLED automatic invoice generation
     }
 
-    if (status === 'delivered') {
-      updateData.delivered_at = new Date().toISOString();
-      
-      // Invoice is now auto-generated on 'dispatched' status
-      // This section is kept for backward compatibility but won't create duplicate invoices
-      // as the check for existing invoice is already done in the dispatched section
-    }
-
-    if (status === 'cancelled') {
-      // Return reserved stock to available - use admin client to bypass RLS
-      for (const item of orderItems) {
-        const { data: inventory, error: inventoryError } = await supabaseAdmin
-          .from('inventory')
-          .select('*')
-          .eq('product_id', item.product_id)
-          .eq('client_id', order.client_id)
-          .single();
-        
-        if (inventoryError || !inventory) {
-          console.error(`Failed to fetch inventory for product ${item.product_id}:`, inventoryError);
-          continue; // Skip this item but continue with others
-        }
-
-          const newReservedStock = Math.max(0, inventory.reserved_stock - item.quantity);
-          const newAvailableStock = inventory.available_stock + Math.min(item.quantity, inventory.reserved_stock);
-
-        const { error: updateError } = await supabaseAdmin
-            .from('inventory')
-            .update({
-              available_stock: newAvailableStock,
-              reserved_stock: newReservedStock,
-              last_updated: new Date().toISOString(),
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', inventory.id);
-
-        if (updateError) {
-          console.error(`Failed to update inventory for product ${item.product_id}:`, updateError);
-          // Continue with other items
-        }
-      }
-
+    if (order.status === 'cancelled') {
       await createAuditLog(
         req.user.id,
         'ORDER_CANCELLED',
         'Order',
         order.id,
-        { oldStatus },
+        { oldStatus: fromStatus },
         req
       );
     }
 
-    // Update order - use admin client to bypass RLS
-    const { data: updatedOrder, error: updateError } = await supabaseAdmin
+    // Reload order with relations for response - use admin client to bypass RLS
+    const { data: updatedOrder } = await supabaseAdmin
       .from('orders')
-      .update(updateData)
-      .eq('id', id)
       .select(`
         *,
         clients:client_id (
@@ -978,15 +760,9 @@ exports.updateOrderStatus = async (req, res, next) => {
           email
         )
       `)
+      .eq('id', id)
       .single();
 
-    if (updateError) {
-      return res.status(400).json({
-        success: false,
-        message: updateError.message || 'Failed to update order'
-      });
-    }
-
     // Fetch order items for response
     // Use admin client to bypass RLS
     const { data: items } = await supabaseAdmin
@@ -1021,7 +797,10 @@ exports.updateOrderStatus = async (req, res, next) => {
           sku: item.products.sku
         } : item.product_id,
         quantity: item.quantity,
-        unitPrice: parseFloat(item.unit_price || 0)
+        shippedQuantity: item.shipped_quantity || 0,
+        unitPrice: parseFloat(item.unit_price || 0),
+        kitProductId: item.kit_product_id || null,
+        kitQuantity: item.kit_quantity || null
       })),
       deliveryAddress: {
         name: updatedOrder.delivery_address_name,
@@ -1034,13 +813,24 @@ exports.updateOrderStatus = async (req, res, next) => {
       },
       status: updatedOrder.status,
       priority: updatedOrder.priority,
+      specialHandling: updatedOrder.special_handling === true,
+      carrier: updatedOrder.carrier || null,
+      shippingServiceId: updatedOrder.shipping_service_id || null,
+      serviceLevel: updatedOrder.service_level || null,
+      shippingZone: updatedOrder.shipping_zone || null,
+      billableWeight: updatedOrder.billable_weight ? parseFloat(updatedOrder.billable_weight) : null,
+      transitDays: updatedOrder.transit_days || null,
       notes: updatedOrder.notes,
       approvedAt: updatedOrder.approved_at,
       packedAt: updatedOrder.packed_at,
       dispatchedAt: updatedOrder.dispatched_at,
       deliveredAt: updatedOrder.delivered_at,
+      trackingStatus: updatedOrder.tracking_status || null,
+      returnedAt: updatedOrder.returned_at || null,
+      cancelledAt: updatedOrder.cancelled_at || null,
       trackingNumber: updatedOrder.tracking_number,
       totalWeight: parseFloat(updatedOrder.total_weight || 0),
+      actualWeight: updatedOrder.actual_weight ? parseFloat(updatedOrder.actual_weight) : null,
       shippingFee: parseFloat(updatedOrder.shipping_fee || 0),
       totalAmount: parseFloat(updatedOrder.total_amount || 0),
       attachmentUrl: updatedOrder.attachment_url || null,
@@ -1058,6 +848,113 @@ exports.updateOrderStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * Get order status history (timeline)
+ */
+exports.getOrderStatusHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Use admin client to bypass RLS
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .select('id, order_number, client_id, status, created_at')
+      .eq('id', id)
+      .single();
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Client authorization check
+    if (req.user.role === 'client' && order.client_id !== req.user.client_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this order'
+      });
+    }
+
+    const history = await getOrderHistory(id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orderId: order.id,
+        orderNumber: order.order_number,
+        currentStatus: order.status,
+        history: history.map(entry => ({
+          id: entry.id,
+          _id: entry.id,
+          fromStatus: entry.from_status,
+          toStatus: entry.to_status,
+          changedBy: entry.user_profiles ? {
+            _id: entry.user_profiles.id,
+            name: entry.user_profiles.name,
+            email: entry.user_profiles.email
+          } : entry.changed_by,
+          note: entry.note,
+          metadata: entry.metadata || {},
+          createdAt: entry.created_at
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download an order document (packing slip or bill of lading) as PDF
+ * Query (bill of lading): proNumber, freightClass, freightTerms
+ */
+exports.downloadOrderDocument = async (req, res, next) => {
+  try {
+    const { id, type } = req.params;
+
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .select('id, client_id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Client authorization check
+    if (req.user.role === 'client' && order.client_id !== req.user.client_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this order'
+      });
+    }
+
+    const { proNumber, freightClass, freightTerms } = req.query;
+    const result = await orderDocumentService.renderDocument({
+      orderId: order.id,
+      type,
+      options: { proNumber, freightClass, freightTerms }
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    res.header('Content-Type', 'application/pdf');
+    res.attachment(result.filename);
+    return res.send(result.buffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get order stats
  */
@@ -0,0 +1,344 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { createAuditLog } = require('../middleware/supabaseAuditLog');
+const { isMissingTableError, missingTableResponse } = require('../utils/supabaseError');
+const packingService = require('../services/packingService');
+
+const PACKING_TABLES = ['pack_sessions', 'pack_session_lines', 'pack_cartons'];
+
+/**
+ * Format a pack session line for API responses
+ */
+const formatLine = (line) => ({
+  id: line.id,
+  _id: line.id,
+  orderItemId: line.order_item_id,
+  productId: line.products ? {
+    _id: line.products.id,
+    name: line.products.name,
+    sku: line.products.sku,
+    barcode: line.products.barcode || null,
+    trackSerials: line.products.track_serials || false
+  } : line.product_id,
+  quantityExpected: line.quantity_expected,
+  quantityScanned: line.quantity_scanned,
+  remaining: line.quantity_expected - line.quantity_scanned,
+  serialNumbers: line.serial_numbers || []
+});
+
+/**
+ * Format a carton for API responses
+ */
+const formatCarton = (carton) => ({
+  id: carton.id,
+  _id: carton.id,
+  cartonNumber: carton.carton_number,
+  cartonType: carton.carton_type,
+  palletNumber: carton.pallet_number || null,
+  dimensions: {
+    length: parseFloat(carton.length),
+    width: parseFloat(carton.width),
+    height: parseFloat(carton.height),
+    unit: carton.dimension_unit
+  },
+  weight: {
+    value: parseFloat(carton.weight),
+    unit: carton.weight_unit
+  },
+  createdAt: carton.created_at
+});
+
+/**
+ * Format a session (with its lines and cartons when loaded) for API responses
+ */
+const formatSession = (session, lines = null, cartons = null) => ({
+  id: session.id,
+  _id: session.id,
+  orderId: session.orders ? {
+    _id: session.orders.id,
+    orderNumber: session.orders.order_number,
+    status: session.orders.status,
+    totalWeight: parseFloat(session.orders.total_weight || 0)
+  } : session.order_id,
+  status: session.status,
+  actualWeight: session.actual_weight ? parseFloat(session.actual_weight) : null,
+  notes: session.notes,
+  packedBy: session.packer ? { _id: session.packer.id, name: session.packer.name } : session.packed_by,
+  ...(lines && {
+    lines: lines.map(formatLine),
+    unitsExpected: lines.reduce((sum, line) => sum + line.quantity_expected, 0),
+    unitsScanned: lines.reduce((sum, line) => sum + line.quantity_scanned, 0)
+  }),
+  ...(cartons && { cartons: cartons.map(formatCarton) }),
+  completedAt: session.completed_at,
+  createdAt: session.created_at,
+  updatedAt: session.updated_at
+});
+
+/**
+ * Get all pack sessions
+ */
+exports.getAllSessions = async (req, res, next) => {
+  try {
+    const { status, orderId } = req.query;
+
+    // Use admin client to bypass RLS
+    let query = supabaseAdmin
+      .from('pack_sessions')
+      .select(`
+        *,
+        orders:order_id ( id, order_number, status, total_weight ),
+        packer:packed_by ( id, name )
+      `)
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (orderId) {
+      query = query.eq('order_id', orderId);
+    }
+
+    const { data: sessions, error } = await query;
+
+    if (error) {
+      if (isMissingTableError(error)) {
+        return res.status(503).json(missingTableResponse(error, PACKING_TABLES));
+      }
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to fetch pack sessions'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (sessions || []).map(session => formatSession(session))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a pack session with its lines and cartons
+ */
+exports.getSessionById = async (req, res, next) => {
+  try {
+    const packing = await packingService.getSession(req.params.id);
+
+    if (!packing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pack session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatSession(packing.session, packing.lines, packing.cartons)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start packing an approved order (returns the open session if there is one)
+ */
+exports.startSession = async (req, res, next) => {
+  try {
+    const result = await packingService.startSession({
+      orderId: req.body.orderId,
+      notes: req.body.notes,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    const packing = await packingService.getSession(result.sessionId);
+
+    if (result.created) {
+      await createAuditLog(
+        req.user.id,
+        'PACK_STARTED',
+        'Order',
+        packing.session.order_id,
+        { orderNumber: packing.session.orders?.order_number, sessionId: packing.session.id },
+        req
+      );
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created ? 'Pack session started' : 'Pack session already open for this order',
+      data: formatSession(packing.session, packing.lines, packing.cartons)
+    });
+  } catch (error) {
+    if (isMissingTableError(error)) {
+      return res.status(503).json(missingTableResponse(error, PACKING_TABLES));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Scan units by SKU or barcode
+ */
+exports.scanItem = async (req, res, next) => {
+  try {
+    const { code, quantity, serialNumber } = req.body;
+
+    const result = await packingService.scan({
+      sessionId: req.params.id,
+      code,
+      quantity,
+      serialNumber
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.complete ? 'All units scanned' : `${result.line.products.sku} scanned`,
+      data: {
+        line: formatLine(result.line),
+        complete: result.complete
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a carton
+ */
+exports.addCarton = async (req, res, next) => {
+  try {
+    const { cartonType, dimensions, weight, palletNumber } = req.body;
+
+    const result = await packingService.addCarton({
+      sessionId: req.params.id,
+      carton: {
+        cartonType,
+        length: dimensions.length,
+        width: dimensions.width,
+        height: dimensions.height,
+        dimensionUnit: dimensions.unit,
+        weight: weight.value,
+        weightUnit: weight.unit,
+        palletNumber
+      },
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Carton ${result.carton.carton_number} recorded`,
+      data: formatCarton(result.carton)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a carton
+ */
+exports.removeCarton = async (req, res, next) => {
+  try {
+    const result = await packingService.removeCarton({
+      sessionId: req.params.id,
+      cartonId: req.params.cartonId
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Carton removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Complete the pack: verify scans, move the order to packed and store its weight
+ */
+exports.completeSession = async (req, res, next) => {
+  try {
+    const result = await packingService.completeSession({
+      sessionId: req.params.id,
+      note: req.body.note,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    const { order, actualWeight, cartons } = result;
+
+    await createAuditLog(
+      req.user.id,
+      'ORDER_PACKED',
+      'Order',
+      order.id,
+      { orderNumber: order.order_number, cartons: cartons.length, actualWeight, estimatedWeight: parseFloat(order.total_weight || 0) },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Order ${order.order_number} packed`,
+      data: {
+        session: formatSession(result.session, null, cartons),
+        orderNumber: order.order_number,
+        status: order.status,
+        totalWeight: parseFloat(order.total_weight || 0),
+        actualWeight
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel an open pack session
+ */
+exports.cancelSession = async (req, res, next) => {
+  try {
+    const result = await packingService.cancelSession(req.params.id);
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Pack session cancelled',
+      data: formatSession(result.session)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
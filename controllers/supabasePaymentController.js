@@ -263,7 +263,7 @@ exports.recordPayment = async (req, res, next) => {
       .eq('invoice_id', invoiceId);
 
     const totalPaid = (allPayments || []).reduce((sum, p) => sum + parseFloat(p.amount || 0), 0);
-    const balanceDue = parseFloat(invoice.total_amount || 0) - totalPaid;
+    const balanceDue = parseFloat(invoice.total_amount || 0) - parseFloat(invoice.credit_notes_applied || 0) - totalPaid;
 
     const invoiceUpdate = {
       advance_paid: totalPaid,
@@ -357,7 +357,7 @@ exports.updatePayment = async (req, res, next) => {
           .eq('invoice_id', payment.invoice_id);
 
         const totalPaid = (allPayments || []).reduce((sum, p) => sum + parseFloat(p.amount || 0), 0);
-        const balanceDue = parseFloat(invoice.total_amount || 0) - totalPaid;
+        const balanceDue = parseFloat(invoice.total_amount || 0) - parseFloat(invoice.credit_notes_applied || 0) - totalPaid;
 
         const invoiceUpdate = {
           advance_paid: totalPaid,
@@ -441,7 +441,7 @@ exports.deletePayment = async (req, res, next) => {
         .eq('invoice_id', invoiceId);
 
       const totalPaid = (allPayments || []).reduce((sum, p) => sum + parseFloat(p.amount || 0), 0);
-      const balanceDue = parseFloat(invoice.total_amount || 0) - totalPaid;
+      const balanceDue = parseFloat(invoice.total_amount || 0) - parseFloat(invoice.credit_notes_applied || 0) - totalPaid;
 
       const invoiceUpdate = {
         advance_paid: totalPaid,
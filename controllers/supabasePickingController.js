@@ -0,0 +1,296 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { createAuditLog } = require('../middleware/supabaseAuditLog');
+const { isMissingTableError, missingTableResponse } = require('../utils/supabaseError');
+const pickingService = require('../services/pickingService');
+
+/**
+ * Format a pick line for API responses
+ */
+const formatPickLine = (line) => ({
+  id: line.id,
+  _id: line.id,
+  sequence: line.sequence,
+  orderId: line.order_id,
+  orderItemId: line.order_item_id,
+  productId: line.products ? {
+    _id: line.products.id,
+    name: line.products.name,
+    sku: line.products.sku
+  } : line.product_id,
+  locationId: line.location_id,
+  locationCode: line.warehouse_locations?.location_code || null,
+  quantityRequired: line.quantity_required,
+  quantityPicked: line.quantity_picked,
+  status: line.status,
+  shortReason: line.short_reason,
+  pickedBy: line.picker ? { _id: line.picker.id, name: line.picker.name } : line.picked_by,
+  pickedAt: line.picked_at
+});
+
+/**
+ * Format a wave row (with its orders and lines when loaded) for API responses
+ */
+const formatWave = (wave, orders = null, lines = null) => ({
+  id: wave.id,
+  _id: wave.id,
+  waveNumber: wave.wave_number,
+  warehouseId: wave.warehouses ? {
+    _id: wave.warehouses.id,
+    code: wave.warehouses.code,
+    name: wave.warehouses.name
+  } : wave.warehouse_id,
+  groupBy: wave.group_by,
+  groupValue: wave.group_value,
+  pickMode: wave.pick_mode,
+  status: wave.status,
+  notes: wave.notes,
+  assignedTo: wave.assignee ? { _id: wave.assignee.id, name: wave.assignee.name } : wave.assigned_to,
+  orders: (orders || wave.pick_wave_orders || []).map(entry => ({
+    orderId: entry.order_id,
+    orderNumber: entry.orders?.order_number || null,
+    clientId: entry.orders?.clients ? {
+      _id: entry.orders.clients.id,
+      companyName: entry.orders.clients.company_name
+    } : entry.orders?.client_id,
+    priority: entry.orders?.priority || null,
+    carrier: entry.orders?.carrier || null,
+    sequence: entry.sequence,
+    status: entry.status,
+    pickedAt: entry.picked_at
+  })),
+  ...(lines && { lines: lines.map(formatPickLine) }),
+  createdBy: wave.created_by,
+  startedAt: wave.started_at,
+  completedAt: wave.completed_at,
+  createdAt: wave.created_at,
+  updatedAt: wave.updated_at
+});
+
+/**
+ * Get all pick waves
+ */
+exports.getAllWaves = async (req, res, next) => {
+  try {
+    const { status, warehouseId } = req.query;
+
+    // Use admin client to bypass RLS
+    let query = supabaseAdmin
+      .from('pick_waves')
+      .select(`
+        *,
+        warehouses:warehouse_id ( id, code, name ),
+        assignee:assigned_to ( id, name ),
+        pick_wave_orders (
+          *,
+          orders:order_id ( id, order_number, priority, carrier, client_id )
+        )
+      `)
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (warehouseId) {
+      query = query.eq('warehouse_id', warehouseId);
+    }
+
+    const { data: waves, error } = await query;
+
+    if (error) {
+      if (isMissingTableError(error)) {
+        return res.status(503).json(missingTableResponse(error, ['pick_waves', 'pick_wave_orders', 'pick_list_lines']));
+      }
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to fetch pick waves'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (waves || []).map(wave => formatWave(wave))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a wave with its pick list
+ * ?view=batch returns the combined list (one row per bin and SKU);
+ * ?view=single the lines per order. Defaults to the wave's pick mode.
+ */
+exports.getWaveById = async (req, res, next) => {
+  try {
+    const waveData = await pickingService.getWave(req.params.id);
+
+    if (!waveData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pick wave not found'
+      });
+    }
+
+    const { wave, orders, lines } = waveData;
+    const view = pickingService.PICK_MODES.includes(req.query.view) ? req.query.view : wave.pick_mode;
+
+    const pickList = view === 'batch'
+      ? pickingService.batchPickList(waveData)
+      : orders.filter(entry => entry.status !== 'removed').map(entry => ({
+        orderId: entry.order_id,
+        orderNumber: entry.orders?.order_number || null,
+        lines: lines.filter(line => line.order_id === entry.order_id).map(formatPickLine)
+      }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatWave(wave, orders, lines),
+        view,
+        pickList
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create pick waves from approved orders
+ */
+exports.createWaves = async (req, res, next) => {
+  try {
+    const { warehouseId, groupBy, groupValue, orderIds, clientId, pickMode, maxOrders, notes } = req.body;
+
+    const result = await pickingService.createWaves({
+      warehouseId,
+      groupBy,
+      groupValue,
+      orderIds: Array.isArray(orderIds) && orderIds.length > 0 ? orderIds : null,
+      clientId,
+      pickMode,
+      maxOrders,
+      notes,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    for (const wave of result.waves) {
+      await createAuditLog(
+        req.user.id,
+        'PICK_WAVE_CREATED',
+        'PickWave',
+        wave.id,
+        { waveNumber: wave.wave_number, groupBy: wave.group_by, groupValue: wave.group_value, pickMode: wave.pick_mode },
+        req
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${result.waves.length} pick wave(s) created`,
+      data: result.waves.map(wave => formatWave(wave))
+    });
+  } catch (error) {
+    if (isMissingTableError(error)) {
+      return res.status(503).json(missingTableResponse(error, ['pick_waves', 'pick_wave_orders', 'pick_list_lines']));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Record picked quantities on a wave
+ */
+exports.recordPicks = async (req, res, next) => {
+  try {
+    const result = await pickingService.recordPicks({
+      waveId: req.params.id,
+      lines: req.body.lines || [],
+      picks: req.body.picks || [],
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'PICKS_RECORDED',
+      'PickWave',
+      result.wave.id,
+      { waveNumber: result.wave.wave_number, picked: result.picked, shortPicks: result.shortPicks },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.shortPicks.length > 0
+        ? `Picks recorded with ${result.shortPicks.length} short pick(s)`
+        : 'Picks recorded',
+      data: {
+        waveNumber: result.wave.wave_number,
+        status: result.wave.status,
+        picked: result.picked,
+        shortPicks: result.shortPicks,
+        skipped: result.skipped,
+        orders: result.orders
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a wave nothing has been picked from
+ */
+exports.cancelWave = async (req, res, next) => {
+  try {
+    const result = await pickingService.cancelWave(req.params.id);
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(req.user.id, 'PICK_WAVE_CANCELLED', 'PickWave', result.wave.id, { waveNumber: result.wave.wave_number }, req);
+
+    res.status(200).json({
+      success: true,
+      message: `Wave ${result.wave.wave_number} cancelled`,
+      data: formatWave(result.wave)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the printable pick list of a wave
+ */
+exports.downloadPickListPdf = async (req, res, next) => {
+  try {
+    const result = await pickingService.renderPickListPdf(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pick wave not found'
+      });
+    }
+
+    res.header('Content-Type', 'application/pdf');
+    res.attachment(`${result.wave.wave_number}-pick-list.pdf`);
+    return res.send(result.buffer);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,6 +2,7 @@ const supabase = require('../config/supabase');
 const supabaseAdmin = require('../config/supabaseAdmin');
 const { createAuditLog } = require('../middleware/supabaseAuditLog');
 const { isMissingTableError, missingTableResponse } = require('../utils/supabaseError');
+const kitService = require('../services/kitService');
 
 /**
  * Get all products
@@ -52,7 +53,7 @@ exports.getAllProducts = async (req, res, next) => {
 
     // Search filter
     if (search) {
-      query = query.or(`name.ilike.%${search}%,sku.ilike.%${search}%,description.ilike.%${search}%`);
+      query = query.or(`name.ilike.%${search}%,sku.ilike.%${search}%,barcode.eq.${search},description.ilike.%${search}%`);
     }
 
     const { data: products, error, count } = await query;
@@ -89,6 +90,7 @@ exports.getAllProducts = async (req, res, next) => {
         } : { id: product.client_id, companyName: 'Unknown Client' },
         name: product.name,
         sku: product.sku,
+        barcode: product.barcode || null,
         description: product.description,
         category: product.category,
         unit: product.unit,
@@ -106,8 +108,15 @@ exports.getAllProducts = async (req, res, next) => {
         totalStock: inventory?.total_stock || 0,
         reservedStock: inventory?.reserved_stock || 0,
         dispatchedStock: inventory?.dispatched_stock || 0,
+        storage: {
+          unitsPerBin: product.units_per_bin,
+          unitsPerPallet: product.units_per_pallet
+        },
         reorderLevel: product.reorder_level,
         isActive: product.is_active,
+        trackSerials: product.track_serials || false,
+        isKit: product.is_kit || false,
+        unitValue: product.unit_value !== null && product.unit_value !== undefined ? parseFloat(product.unit_value) : null,
         imageUrl: product.image_url,
         createdAt: product.created_at,
         updatedAt: product.updated_at
@@ -161,12 +170,35 @@ exports.getProductById = async (req, res, next) => {
       });
     }
 
-    // Get inventory for this product - use admin client to bypass RLS
-    const { data: inventory } = await supabaseAdmin
+    // Get inventory for this product in every warehouse - use admin client to bypass RLS
+    const { data: inventoryRows } = await supabaseAdmin
       .from('inventory')
-      .select('*')
-      .eq('product_id', id)
-      .single();
+      .select('*, warehouses:warehouse_id ( id, code, name )')
+      .eq('product_id', id);
+
+    const inventory = inventoryRows && inventoryRows.length > 0 ? {
+      // Single row: its ID, as before; stock spread over warehouses has no single row
+      id: inventoryRows.length === 1 ? inventoryRows[0].id : null,
+      total_stock: inventoryRows.reduce((sum, row) => sum + (row.total_stock || 0), 0),
+      available_stock: inventoryRows.reduce((sum, row) => sum + (row.available_stock || 0), 0),
+      reserved_stock: inventoryRows.reduce((sum, row) => sum + (row.reserved_stock || 0), 0),
+      dispatched_stock: inventoryRows.reduce((sum, row) => sum + (row.dispatched_stock || 0), 0),
+      storage_location: inventoryRows.length === 1 ? inventoryRows[0].storage_location : null,
+      warehouses: inventoryRows.map(row => ({
+        inventoryId: row.id,
+        warehouseId: row.warehouses ? {
+          _id: row.warehouses.id,
+          code: row.warehouses.code,
+          name: row.warehouses.name
+        } : row.warehouse_id,
+        totalStock: row.total_stock,
+        availableStock: row.available_stock,
+        reservedStock: row.reserved_stock,
+        dispatchedStock: row.dispatched_stock
+      }))
+    } : null;
+
+    const kits = product.is_kit ? await kitService.getComponents({ kitProductIds: [product.id] }) : {};
 
     // Format response
     const formattedProduct = {
@@ -175,6 +207,7 @@ exports.getProductById = async (req, res, next) => {
       clientId: product.client_id,
       name: product.name,
       sku: product.sku,
+      barcode: product.barcode || null,
       description: product.description,
       category: product.category,
       unit: product.unit,
@@ -188,21 +221,30 @@ exports.getProductById = async (req, res, next) => {
         value: product.weight_value,
         unit: product.weight_unit
       },
+      storage: {
+        unitsPerBin: product.units_per_bin,
+        unitsPerPallet: product.units_per_pallet
+      },
       reorderLevel: product.reorder_level,
       isActive: product.is_active,
+      trackSerials: product.track_serials || false,
+      isKit: product.is_kit || false,
+      unitValue: product.unit_value !== null && product.unit_value !== undefined ? parseFloat(product.unit_value) : null,
       imageUrl: product.image_url,
       clientId: product.clients ? {
         _id: product.clients.id,
         companyName: product.clients.company_name,
         email: product.clients.email
       } : null,
+      components: kits[product.id] || [],
       inventory: inventory ? {
         id: inventory.id,
         totalStock: inventory.total_stock,
         availableStock: inventory.available_stock,
         reservedStock: inventory.reserved_stock,
         dispatchedStock: inventory.dispatched_stock,
-        storageLocation: inventory.storage_location
+        storageLocation: inventory.storage_location,
+        byWarehouse: inventory.warehouses
       } : null,
       createdAt: product.created_at,
       updatedAt: product.updated_at
@@ -273,6 +315,7 @@ exports.getProductsByClient = async (req, res, next) => {
       _id: product.id,
       name: product.name,
       sku: product.sku,
+      barcode: product.barcode || null,
       unit: product.unit,
       category: product.category,
       description: product.description,
@@ -286,9 +329,16 @@ exports.getProductsByClient = async (req, res, next) => {
         value: product.weight_value,
         unit: product.weight_unit
       },
+      storage: {
+        unitsPerBin: product.units_per_bin,
+        unitsPerPallet: product.units_per_pallet
+      },
       reorderLevel: product.reorder_level,
       imageUrl: product.image_url,
-      isActive: product.is_active
+      isActive: product.is_active,
+      trackSerials: product.track_serials || false,
+      isKit: product.is_kit || false,
+      unitValue: product.unit_value !== null && product.unit_value !== undefined ? parseFloat(product.unit_value) : null
     }));
 
     res.json({
@@ -320,8 +370,12 @@ exports.createProduct = async (req, res, next) => {
       unit,
       dimensions,
       weight,
+      storage,
       reorderLevel,
-      isActive = true
+      isActive = true,
+      trackSerials = false,
+      unitValue,
+      barcode
     } = req.body;
 
     // Check if SKU already exists - use admin client to bypass RLS
@@ -356,6 +410,7 @@ exports.createProduct = async (req, res, next) => {
       client_id: clientId,
       name,
       sku: sku.toUpperCase(),
+      barcode: barcode ? String(barcode).trim() : null,
       description: description || null,
       category: category || null,
       unit: unit || 'pcs',
@@ -365,8 +420,12 @@ exports.createProduct = async (req, res, next) => {
       dimensions_unit: dimensions?.unit || 'cm',
       weight_value: weight?.value || null,
       weight_unit: weight?.unit || 'kg',
+      units_per_bin: parseInt(storage?.unitsPerBin) || null,
+      units_per_pallet: parseInt(storage?.unitsPerPallet) || null,
       reorder_level: reorderLevel || 0,
       is_active: isActive,
+      track_serials: trackSerials,
+      unit_value: unitValue !== undefined && unitValue !== '' ? unitValue : null,
       image_url: req.file ? `/uploads/${req.file.filename}` : null
     };
 
@@ -406,6 +465,7 @@ exports.createProduct = async (req, res, next) => {
       clientId: product.client_id,
       name: product.name,
       sku: product.sku,
+      barcode: product.barcode || null,
       description: product.description,
       category: product.category,
       unit: product.unit,
@@ -419,8 +479,15 @@ exports.createProduct = async (req, res, next) => {
         value: product.weight_value,
         unit: product.weight_unit
       },
+      storage: {
+        unitsPerBin: product.units_per_bin,
+        unitsPerPallet: product.units_per_pallet
+      },
       reorderLevel: product.reorder_level,
       isActive: product.is_active,
+      trackSerials: product.track_serials || false,
+      isKit: product.is_kit || false,
+      unitValue: product.unit_value !== null && product.unit_value !== undefined ? parseFloat(product.unit_value) : null,
       imageUrl: product.image_url,
       createdAt: product.created_at,
       updatedAt: product.updated_at
@@ -450,8 +517,12 @@ exports.updateProduct = async (req, res, next) => {
       unit,
       dimensions,
       weight,
+      storage,
       reorderLevel,
-      isActive
+      isActive,
+      trackSerials,
+      unitValue,
+      barcode
     } = req.body;
 
     // Check if product exists - use admin client to bypass RLS
@@ -490,6 +561,7 @@ exports.updateProduct = async (req, res, next) => {
 
     if (name !== undefined) updateData.name = name;
     if (sku !== undefined) updateData.sku = sku.toUpperCase();
+    if (barcode !== undefined) updateData.barcode = barcode ? String(barcode).trim() : null;
     if (description !== undefined) updateData.description = description;
     if (category !== undefined) updateData.category = category;
     if (unit !== undefined) updateData.unit = unit;
@@ -499,8 +571,12 @@ exports.updateProduct = async (req, res, next) => {
     if (dimensions?.unit !== undefined) updateData.dimensions_unit = dimensions.unit;
     if (weight?.value !== undefined) updateData.weight_value = weight.value;
     if (weight?.unit !== undefined) updateData.weight_unit = weight.unit;
+    if (storage?.unitsPerBin !== undefined) updateData.units_per_bin = parseInt(storage.unitsPerBin) || null;
+    if (storage?.unitsPerPallet !== undefined) updateData.units_per_pallet = parseInt(storage.unitsPerPallet) || null;
     if (reorderLevel !== undefined) updateData.reorder_level = reorderLevel;
     if (isActive !== undefined) updateData.is_active = isActive;
+    if (trackSerials !== undefined) updateData.track_serials = trackSerials;
+    if (unitValue !== undefined) updateData.unit_value = unitValue === '' ? null : unitValue;
     if (req.file) updateData.image_url = `/uploads/${req.file.filename}`;
 
     // Use admin client to bypass RLS
@@ -527,6 +603,7 @@ exports.updateProduct = async (req, res, next) => {
       clientId: product.client_id,
       name: product.name,
       sku: product.sku,
+      barcode: product.barcode || null,
       description: product.description,
       category: product.category,
       unit: product.unit,
@@ -540,8 +617,15 @@ exports.updateProduct = async (req, res, next) => {
         value: product.weight_value,
         unit: product.weight_unit
       },
+      storage: {
+        unitsPerBin: product.units_per_bin,
+        unitsPerPallet: product.units_per_pallet
+      },
       reorderLevel: product.reorder_level,
       isActive: product.is_active,
+      trackSerials: product.track_serials || false,
+      isKit: product.is_kit || false,
+      unitValue: product.unit_value !== null && product.unit_value !== undefined ? parseFloat(product.unit_value) : null,
       imageUrl: product.image_url,
       createdAt: product.created_at,
       updatedAt: product.updated_at
@@ -557,6 +641,106 @@ exports.updateProduct = async (req, res, next) => {
   }
 };
 
+/**
+ * Get a kit's bill of materials with assembled and buildable kits per warehouse
+ */
+exports.getProductComponents = async (req, res, next) => {
+  try {
+    // Use admin client to bypass RLS
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select('id, sku, client_id, is_kit')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!product || (req.user.role === 'client' && product.client_id !== req.user.client_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const kits = await kitService.getComponents({ kitProductIds: [product.id] });
+    const components = kits[product.id] || [];
+
+    const availability = components.length > 0
+      ? await kitService.getKitAvailability({
+        clientId: product.client_id,
+        kitProductId: product.id,
+        components,
+        warehouseId: req.query.warehouseId || null
+      })
+      : [];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        productId: product.id,
+        sku: product.sku,
+        isKit: product.is_kit || false,
+        components,
+        availability
+      }
+    });
+  } catch (error) {
+    if (isMissingTableError(error)) {
+      return res.status(503).json(missingTableResponse(error, ['product_components']));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Replace a kit's bill of materials (an empty list makes it a plain product again)
+ */
+exports.setProductComponents = async (req, res, next) => {
+  try {
+    // Use admin client to bypass RLS
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select('id, sku, client_id, is_kit')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const components = req.body.components || [];
+    const result = await kitService.setComponents({ product, components });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'KIT_COMPONENTS_UPDATED',
+      'Product',
+      product.id,
+      { sku: product.sku, components },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: components.length > 0 ? `${product.sku} is a kit of ${components.length} component(s)` : `${product.sku} is no longer a kit`,
+      data: {
+        productId: product.id,
+        sku: product.sku,
+        isKit: components.length > 0,
+        components: result.components
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Delete product
  */
@@ -0,0 +1,338 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { createAuditLog } = require('../middleware/supabaseAuditLog');
+const pricingEngine = require('../services/pricingEngine');
+
+const RATE_CARD_SELECT = `
+  *,
+  clients:client_id (
+    id,
+    company_name,
+    email
+  )
+`;
+
+/**
+ * Format a rate card row for API responses
+ */
+const formatRateCard = (row) => ({
+  ...pricingEngine.toRateCard(row),
+  _id: row.id,
+  clientId: row.clients ? {
+    _id: row.clients.id,
+    companyName: row.clients.company_name,
+    email: row.clients.email
+  } : row.client_id,
+  isDefault: !row.client_id,
+  isActive: row.is_active,
+  notes: row.notes,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Map request body fields to rate_cards columns (only fields that were sent)
+ */
+const buildRateCardData = (body) => {
+  const fields = {
+    name: 'name',
+    pickFee: 'pick_fee',
+    additionalUnitFee: 'additional_unit_fee',
+    storageBillingMethod: 'storage_billing_method',
+    storagePerCubicFoot: 'storage_per_cubic_foot',
+    storagePerPallet: 'storage_per_pallet',
+    storagePerBin: 'storage_per_bin',
+    receivingBillingMethod: 'receiving_billing_method',
+    receivingPerUnit: 'receiving_per_unit',
+    receivingPerCarton: 'receiving_per_carton',
+    receivingPerPallet: 'receiving_per_pallet',
+    specialHandlingFee: 'special_handling_fee',
+    effectiveFrom: 'effective_from',
+    effectiveTo: 'effective_to',
+    isActive: 'is_active',
+    notes: 'notes'
+  };
+  const numeric = [
+    'pickFee',
+    'additionalUnitFee',
+    'storagePerCubicFoot',
+    'storagePerPallet',
+    'storagePerBin',
+    'receivingPerUnit',
+    'receivingPerCarton',
+    'receivingPerPallet',
+    'specialHandlingFee'
+  ];
+  const data = {};
+
+  Object.entries(fields).forEach(([key, column]) => {
+    if (body[key] === undefined) return;
+    data[column] = numeric.includes(key) ? parseFloat(body[key]) : body[key];
+  });
+
+  if (body.weightTiers !== undefined) {
+    data.weight_tiers = pricingEngine.normalizeWeightTiers(body.weightTiers);
+  }
+
+  return data;
+};
+
+/**
+ * Get all rate cards
+ */
+exports.getAllRateCards = async (req, res, next) => {
+  try {
+    const { clientId, isActive } = req.query;
+
+    let query = supabaseAdmin
+      .from('rate_cards')
+      .select(RATE_CARD_SELECT)
+      .order('effective_from', { ascending: false });
+
+    if (clientId === 'default') {
+      query = query.is('client_id', null);
+    } else if (clientId && clientId !== 'null' && clientId !== 'undefined') {
+      query = query.eq('client_id', clientId);
+    }
+    if (isActive !== undefined) query = query.eq('is_active', isActive === 'true');
+
+    const { data: rateCards, error } = await query;
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to fetch rate cards'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (rateCards || []).map(formatRateCard)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the rate card in effect for a client on a date (defaults to today)
+ */
+exports.getEffectiveRateCard = async (req, res, next) => {
+  try {
+    const { clientId } = req.params;
+    const { date } = req.query;
+
+    const rateCard = await pricingEngine.getRateCard(clientId, date || new Date());
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...rateCard,
+        isDefault: !rateCard.clientId,
+        formula: pricingEngine.describeRateCard(rateCard)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get rate card by ID
+ */
+exports.getRateCardById = async (req, res, next) => {
+  try {
+    const { data: rateCard } = await supabaseAdmin
+      .from('rate_cards')
+      .select(RATE_CARD_SELECT)
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatRateCard(rateCard)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create rate card
+ * Omit clientId to create a default card that applies to clients without their own
+ */
+exports.createRateCard = async (req, res, next) => {
+  try {
+    const { clientId, weightTiers } = req.body;
+
+    if (clientId) {
+      const { data: client } = await supabaseAdmin
+        .from('clients')
+        .select('id')
+        .eq('id', clientId)
+        .maybeSingle();
+
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+    }
+
+    if (weightTiers !== undefined) {
+      const tierError = pricingEngine.validateWeightTiers(weightTiers);
+      if (tierError) {
+        return res.status(400).json({
+          success: false,
+          message: tierError
+        });
+      }
+    }
+
+    const rateCardData = {
+      ...buildRateCardData(req.body),
+      client_id: clientId || null,
+      created_by: req.user.id
+    };
+
+    if (!rateCardData.effective_from) {
+      rateCardData.effective_from = new Date().toISOString().split('T')[0];
+    }
+
+    const { data: rateCard, error } = await supabaseAdmin
+      .from('rate_cards')
+      .insert(rateCardData)
+      .select(RATE_CARD_SELECT)
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === '23505'
+          ? `A rate card already starts on ${rateCardData.effective_from} for this client`
+          : error.message || 'Failed to create rate card'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'CREATE', 'RateCard', rateCard.id, rateCardData, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Rate card created successfully',
+      data: formatRateCard(rateCard)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update rate card
+ * Invoices already generated keep their amounts; changes apply to invoices generated afterwards
+ */
+exports.updateRateCard = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { weightTiers } = req.body;
+
+    const { data: existingRateCard } = await supabaseAdmin
+      .from('rate_cards')
+      .select('id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!existingRateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    if (weightTiers !== undefined) {
+      const tierError = pricingEngine.validateWeightTiers(weightTiers);
+      if (tierError) {
+        return res.status(400).json({
+          success: false,
+          message: tierError
+        });
+      }
+    }
+
+    const updateData = {
+      ...buildRateCardData(req.body),
+      updated_at: new Date().toISOString()
+    };
+
+    const { data: rateCard, error } = await supabaseAdmin
+      .from('rate_cards')
+      .update(updateData)
+      .eq('id', id)
+      .select(RATE_CARD_SELECT)
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to update rate card'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'UPDATE', 'RateCard', rateCard.id, updateData, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Rate card updated successfully',
+      data: formatRateCard(rateCard)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate rate card
+ * Cards are kept (not deleted) because invoice line items reference them
+ */
+exports.deleteRateCard = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { data: rateCard, error } = await supabaseAdmin
+      .from('rate_cards')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to deactivate rate card'
+      });
+    }
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'DELETE', 'RateCard', id, { is_active: false }, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Rate card deactivated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
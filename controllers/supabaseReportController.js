@@ -1,13 +1,14 @@
 const { Parser } = require('json2csv');
 const supabase = require('../config/supabase');
 const supabaseAdmin = require('../config/supabaseAdmin');
+const lotService = require('../services/lotService');
 
 /**
  * Get inventory report
  */
 exports.getInventoryReport = async (req, res, next) => {
   try {
-    const { clientId, format = 'json' } = req.query;
+    const { clientId, warehouseId, format = 'json' } = req.query;
 
     // Use admin client to bypass RLS
     let query = supabaseAdmin
@@ -23,6 +24,11 @@ exports.getInventoryReport = async (req, res, next) => {
         clients:client_id (
           id,
           company_name
+        ),
+        warehouses:warehouse_id (
+          id,
+          code,
+          name
         )
       `);
 
@@ -32,6 +38,10 @@ exports.getInventoryReport = async (req, res, next) => {
       query = query.eq('client_id', clientId);
     }
 
+    if (warehouseId) {
+      query = query.eq('warehouse_id', warehouseId);
+    }
+
     const { data: inventory, error } = await query;
 
     if (error) {
@@ -51,6 +61,10 @@ exports.getInventoryReport = async (req, res, next) => {
         sku: item.products.sku,
         category: item.products.category
       } : null,
+      warehouseId: item.warehouses ? {
+        code: item.warehouses.code,
+        name: item.warehouses.name
+      } : item.warehouse_id,
       totalStock: item.total_stock,
       availableStock: item.available_stock,
       reservedStock: item.reserved_stock,
@@ -61,6 +75,7 @@ exports.getInventoryReport = async (req, res, next) => {
     if (format === 'csv') {
       const csvData = formattedInventory.map(item => ({
         Client: item.clientId?.companyName || '',
+        Warehouse: item.warehouseId?.name || '',
         'Product Name': item.productId?.name || '',
         SKU: item.productId?.sku || '',
         Category: item.productId?.category || '',
@@ -72,7 +87,7 @@ exports.getInventoryReport = async (req, res, next) => {
       }));
 
       const fields = [
-        'Client', 'Product Name', 'SKU', 'Category',
+        'Client', 'Warehouse', 'Product Name', 'SKU', 'Category',
         'Total Stock', 'Available Stock', 'Reserved Stock',
         'Dispatched Stock', 'Storage Location'
       ];
@@ -94,6 +109,77 @@ exports.getInventoryReport = async (req, res, next) => {
   }
 };
 
+/**
+ * Get lots expiring within a window (and lots already expired)
+ * ?days= defaults to LOT_EXPIRY_ALERT_DAYS (30)
+ */
+exports.getExpiringLotsReport = async (req, res, next) => {
+  try {
+    const { clientId, warehouseId, format = 'json' } = req.query;
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : lotService.DEFAULT_EXPIRY_ALERT_DAYS;
+
+    if (isNaN(days) || days < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Days must be 0 or more'
+      });
+    }
+
+    const result = await lotService.getExpiringLots({
+      days,
+      clientId: req.user.role === 'client'
+        ? req.user.client_id
+        : (clientId && clientId !== 'null' && clientId !== 'undefined' ? clientId : null),
+      warehouseId
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    if (format === 'csv') {
+      const csvData = result.lots.map(lot => ({
+        Client: lot.clientId?.companyName || '',
+        Warehouse: lot.warehouseId?.name || '',
+        'Product Name': lot.productId?.name || '',
+        SKU: lot.productId?.sku || '',
+        'Lot Number': lot.lotNumber,
+        'Expiry Date': lot.expiryDate,
+        'Days Until Expiry': lot.daysUntilExpiry,
+        Status: lot.status,
+        Quantity: lot.quantity,
+        'Reserved Quantity': lot.reservedQuantity
+      }));
+
+      const fields = [
+        'Client', 'Warehouse', 'Product Name', 'SKU', 'Lot Number',
+        'Expiry Date', 'Days Until Expiry', 'Status', 'Quantity', 'Reserved Quantity'
+      ];
+
+      const json2csvParser = new Parser({ fields });
+      const csv = json2csvParser.parse(csvData);
+
+      res.header('Content-Type', 'text/csv');
+      res.attachment('expiring-lots-report.csv');
+      return res.send(csv);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        days,
+        cutoffDate: result.cutoffDate,
+        expiredCount: result.lots.filter(lot => lot.status === 'expired').length,
+        expiringCount: result.lots.filter(lot => lot.status === 'expiring').length,
+        lots: result.lots
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get order report
  */
@@ -359,6 +445,7 @@ exports.getClientReport = async (req, res, next) => {
 exports.getDashboardStats = async (req, res, next) => {
   try {
     const clientFilter = req.user.role === 'client' ? { client_id: req.user.client_id } : {};
+    const { warehouseId } = req.query;
 
     // Get total products - use admin client to bypass RLS
     let productsQuery = supabaseAdmin
@@ -381,6 +468,10 @@ exports.getDashboardStats = async (req, res, next) => {
       if (req.user.client_id) inventoryQuery = inventoryQuery.eq('client_id', req.user.client_id);
     }
 
+    if (warehouseId) {
+      inventoryQuery = inventoryQuery.eq('warehouse_id', warehouseId);
+    }
+
     const { data: inventoryData } = await inventoryQuery;
 
     const inventory = (inventoryData || []).reduce((acc, item) => ({
@@ -407,6 +498,10 @@ exports.getDashboardStats = async (req, res, next) => {
       if (req.user.client_id) recentOrdersQuery = recentOrdersQuery.eq('client_id', req.user.client_id);
     }
 
+    if (warehouseId) {
+      recentOrdersQuery = recentOrdersQuery.eq('warehouse_id', warehouseId);
+    }
+
     const { data: recentOrdersData } = await recentOrdersQuery;
 
     // Get order items for recent orders - use admin client to bypass RLS
@@ -449,6 +544,10 @@ exports.getDashboardStats = async (req, res, next) => {
       if (req.user.client_id) ordersQuery = ordersQuery.eq('client_id', req.user.client_id);
     }
 
+    if (warehouseId) {
+      ordersQuery = ordersQuery.eq('warehouse_id', warehouseId);
+    }
+
     const { data: ordersData } = await ordersQuery;
 
     const ordersByStatus = {};
@@ -478,6 +577,10 @@ exports.getDashboardStats = async (req, res, next) => {
       if (req.user.client_id) trendQuery = trendQuery.eq('client_id', req.user.client_id);
     }
 
+    if (warehouseId) {
+      trendQuery = trendQuery.eq('warehouse_id', warehouseId);
+    }
+
     const { data: trendData } = await trendQuery;
 
     // Group by date and calculate revenue
@@ -513,6 +616,10 @@ exports.getDashboardStats = async (req, res, next) => {
       if (req.user.client_id) categoryQuery = categoryQuery.eq('client_id', req.user.client_id);
     }
 
+    if (warehouseId) {
+      categoryQuery = categoryQuery.eq('warehouse_id', warehouseId);
+    }
+
     const { data: categoryData } = await categoryQuery;
 
     const inventoryByCategory = {};
@@ -563,6 +670,10 @@ exports.getDashboardStats = async (req, res, next) => {
       if (req.user.client_id) lowStockQuery = lowStockQuery.eq('client_id', req.user.client_id);
     }
 
+    if (warehouseId) {
+      lowStockQuery = lowStockQuery.eq('warehouse_id', warehouseId);
+    }
+
     const { data: lowStockData } = await lowStockQuery;
 
     const filteredLowStock = (lowStockData || []).filter(item => {
@@ -570,6 +681,12 @@ exports.getDashboardStats = async (req, res, next) => {
       return (item.available_stock || 0) <= reorderPoint && (item.available_stock || 0) >= 0;
     });
 
+    // Lots expired or expiring within the alert window
+    const expiring = await lotService.getExpiringLots({
+      clientId: req.user.role === 'client' ? req.user.client_id : null,
+      warehouseId
+    });
+
     res.status(200).json({
       success: true,
       data: {
@@ -580,7 +697,8 @@ exports.getDashboardStats = async (req, res, next) => {
         orders,
         orderTrend: orderTrendArray,
         inventoryByCategory: inventoryByCategoryArray,
-        lowStockItems: filteredLowStock
+        lowStockItems: filteredLowStock,
+        expiringLots: expiring.success ? expiring.lots : []
       }
     });
   } catch (error) {
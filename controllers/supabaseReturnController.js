@@ -0,0 +1,340 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { createAuditLog } = require('../middleware/supabaseAuditLog');
+const returnService = require('../services/returnService');
+
+const RETURN_SELECT = `
+  *,
+  orders:order_id (
+    id,
+    order_number,
+    status
+  ),
+  clients:client_id (
+    id,
+    company_name
+  ),
+  credit_notes:credit_note_id (
+    id,
+    credit_note_number,
+    total_amount,
+    status
+  ),
+  return_lines (
+    *,
+    order_items:order_item_id (
+      id,
+      quantity,
+      shipped_quantity
+    ),
+    products:product_id (
+      id,
+      name,
+      sku
+    )
+  )
+`;
+
+/**
+ * Format a return row for API responses
+ */
+const formatReturn = (ret) => ({
+  id: ret.id,
+  _id: ret.id,
+  rmaNumber: ret.rma_number,
+  orderId: ret.orders ? {
+    _id: ret.orders.id,
+    orderNumber: ret.orders.order_number,
+    status: ret.orders.status
+  } : ret.order_id,
+  clientId: ret.clients ? {
+    _id: ret.clients.id,
+    companyName: ret.clients.company_name
+  } : ret.client_id,
+  status: ret.status,
+  reason: ret.reason,
+  notes: ret.notes,
+  creditNote: ret.credit_notes ? {
+    _id: ret.credit_notes.id,
+    creditNoteNumber: ret.credit_notes.credit_note_number,
+    totalAmount: parseFloat(ret.credit_notes.total_amount || 0),
+    status: ret.credit_notes.status
+  } : null,
+  lines: (ret.return_lines || []).map(line => ({
+    id: line.id,
+    _id: line.id,
+    orderItemId: line.order_item_id,
+    productId: line.products ? {
+      _id: line.products.id,
+      name: line.products.name,
+      sku: line.products.sku
+    } : line.product_id,
+    quantity: line.quantity,
+    quantityReceived: line.quantity_received,
+    disposition: line.disposition
+  })),
+  createdBy: ret.created_by,
+  receivedBy: ret.received_by,
+  receivedAt: ret.received_at,
+  createdAt: ret.created_at,
+  updatedAt: ret.updated_at
+});
+
+/**
+ * Load a return with relations - use admin client to bypass RLS
+ */
+const fetchReturn = async (id) => {
+  const { data } = await supabaseAdmin
+    .from('returns')
+    .select(RETURN_SELECT)
+    .eq('id', id)
+    .single();
+
+  return data;
+};
+
+/**
+ * Get all returns
+ */
+exports.getAllReturns = async (req, res, next) => {
+  try {
+    const { status, orderId, clientId } = req.query;
+
+    // Use admin client to bypass RLS
+    let query = supabaseAdmin
+      .from('returns')
+      .select(RETURN_SELECT)
+      .order('created_at', { ascending: false });
+
+    if (req.user.role === 'client' && req.user.client_id) {
+      query = query.eq('client_id', req.user.client_id);
+    } else if (clientId) {
+      query = query.eq('client_id', clientId);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (orderId) {
+      query = query.eq('order_id', orderId);
+    }
+
+    const { data: returns, error } = await query;
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to fetch returns'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (returns || []).map(formatReturn)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get return by ID
+ */
+exports.getReturnById = async (req, res, next) => {
+  try {
+    const ret = await fetchReturn(req.params.id);
+
+    if (!ret) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    // Client authorization check
+    if (req.user.role === 'client' && ret.client_id !== req.user.client_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this return'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatReturn(ret)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a return (RMA) against a shipped order
+ */
+exports.createReturn = async (req, res, next) => {
+  try {
+    const { orderId, items, reason, notes } = req.body;
+
+    // Client authorization check
+    if (req.user.role === 'client') {
+      const { data: order } = await supabaseAdmin
+        .from('orders')
+        .select('client_id')
+        .eq('id', orderId)
+        .single();
+
+      if (order && order.client_id !== req.user.client_id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to return this order'
+        });
+      }
+    }
+
+    const result = await returnService.createReturn({
+      orderId,
+      items,
+      reason,
+      notes,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'RETURN_CREATED',
+      'Return',
+      result.returnRecord.id,
+      { rmaNumber: result.returnRecord.rma_number, orderNumber: result.order.order_number, items },
+      req
+    );
+
+    const ret = await fetchReturn(result.returnRecord.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Return ${result.returnRecord.rma_number} created`,
+      data: formatReturn(ret)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive a return into inventory and credit the invoice
+ */
+exports.receiveReturn = async (req, res, next) => {
+  try {
+    const { lines, creditAmount } = req.body;
+
+    // Only admins may override the calculated credit
+    if (creditAmount !== undefined && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can override the credit amount'
+      });
+    }
+
+    const result = await returnService.receiveReturn({
+      returnId: req.params.id,
+      lines,
+      creditAmount,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'RETURN_RECEIVED',
+      'Return',
+      result.returnRecord.id,
+      {
+        rmaNumber: result.returnRecord.rma_number,
+        orderNumber: result.order.order_number,
+        lines,
+        creditNoteNumber: result.creditNote?.credit_note_number || null,
+        creditApplied: result.credit?.success ? result.credit.applied : 0
+      },
+      req
+    );
+
+    const ret = await fetchReturn(result.returnRecord.id);
+
+    let message = `Return ${result.returnRecord.rma_number} received (${result.totalReceived} units)`;
+    if (result.creditNote) {
+      message += result.credit?.success
+        ? `. Credit note ${result.creditNote.credit_note_number} applied: $${result.credit.applied.toFixed(2)}`
+        : `. Credit note ${result.creditNote.credit_note_number} issued but not applied: ${result.credit?.message}`;
+    }
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: formatReturn(ret)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a return that has not been received
+ */
+exports.cancelReturn = async (req, res, next) => {
+  try {
+    const ret = await fetchReturn(req.params.id);
+
+    if (!ret) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    // Client authorization check
+    if (req.user.role === 'client' && ret.client_id !== req.user.client_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this return'
+      });
+    }
+
+    if (ret.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Return ${ret.rma_number} is ${ret.status} and cannot be cancelled`
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('returns')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', ret.id);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to cancel return'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'RETURN_CANCELLED', 'Return', ret.id, { rmaNumber: ret.rma_number }, req);
+
+    res.status(200).json({
+      success: true,
+      message: `Return ${ret.rma_number} cancelled`,
+      data: formatReturn({ ...ret, status: 'cancelled' })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
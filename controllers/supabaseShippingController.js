@@ -0,0 +1,203 @@
+const { createAuditLog } = require('../middleware/supabaseAuditLog');
+const { isMissingTableError, missingTableResponse } = require('../utils/supabaseError');
+const shippingService = require('../services/shippingService');
+const carriers = require('../services/carriers');
+
+/**
+ * Format a shipping label (without its file) for API responses
+ */
+const formatLabel = (label) => ({
+  id: label.id,
+  _id: label.id,
+  orderId: label.order_id,
+  cartonId: label.carton_id,
+  carrier: label.carrier,
+  serviceCode: label.service_code,
+  serviceName: label.service_name,
+  shipmentId: label.shipment_id,
+  trackingNumber: label.tracking_number,
+  labelFormat: label.label_format,
+  cost: label.cost !== null ? parseFloat(label.cost) : null,
+  currency: label.currency,
+  status: label.status,
+  voidReason: label.void_reason,
+  voidedAt: label.voided_at,
+  createdBy: label.created_by,
+  createdAt: label.created_at
+});
+
+/**
+ * List registered carriers and whether they are configured
+ */
+exports.getCarriers = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: carriers.listCarriers()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rate-shop a packed order
+ */
+exports.getOrderRates = async (req, res, next) => {
+  try {
+    const result = await shippingService.getRates({
+      orderId: req.params.orderId,
+      carrier: req.query.carrier || null
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orderNumber: result.order.order_number,
+        rates: result.rates,
+        errors: result.errors
+      }
+    });
+  } catch (error) {
+    if (isMissingTableError(error)) {
+      return res.status(503).json(missingTableResponse(error, ['pack_sessions', 'pack_cartons']));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Get the labels of an order
+ */
+exports.getOrderLabels = async (req, res, next) => {
+  try {
+    const labels = await shippingService.getOrderLabels(req.params.orderId);
+
+    res.status(200).json({
+      success: true,
+      data: labels.map(formatLabel)
+    });
+  } catch (error) {
+    if (isMissingTableError(error)) {
+      return res.status(503).json(missingTableResponse(error, ['shipping_labels']));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Buy labels for a packed order's cartons
+ */
+exports.buyLabels = async (req, res, next) => {
+  try {
+    const { carrier, serviceCode, labelFormat } = req.body;
+
+    const result = await shippingService.buyLabels({
+      orderId: req.params.orderId,
+      carrier,
+      serviceCode,
+      labelFormat,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    const { order, labels, rate } = result;
+
+    await createAuditLog(
+      req.user.id,
+      'SHIPPING_LABEL_CREATED',
+      'Order',
+      order.id,
+      { orderNumber: order.order_number, ...rate, trackingNumbers: labels.map(label => label.tracking_number) },
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${labels.length} label(s) bought with ${rate.serviceName}`,
+      data: {
+        orderNumber: order.order_number,
+        carrier: order.carrier,
+        trackingNumber: order.tracking_number,
+        rate,
+        labels: labels.map(formatLabel)
+      }
+    });
+  } catch (error) {
+    if (isMissingTableError(error)) {
+      return res.status(503).json(missingTableResponse(error, ['shipping_labels', 'pack_cartons']));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Void an order's active labels
+ */
+exports.voidOrderLabels = async (req, res, next) => {
+  try {
+    const result = await shippingService.voidLabels({
+      orderId: req.params.orderId,
+      reason: req.body.reason,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'SHIPPING_LABEL_VOIDED',
+      'Order',
+      req.params.orderId,
+      { voided: result.voided, failed: result.failed, reason: req.body.reason },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.failed.length > 0
+        ? `${result.voided.length} label(s) voided, ${result.failed.length} shipment(s) could not be voided`
+        : `${result.voided.length} label(s) voided`,
+      data: {
+        voided: result.voided,
+        failed: result.failed
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a label file (PDF or ZPL)
+ */
+exports.downloadLabel = async (req, res, next) => {
+  try {
+    const file = await shippingService.getLabelFile(req.params.id);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping label not found'
+      });
+    }
+
+    res.header('Content-Type', file.contentType);
+    res.attachment(`${file.label.tracking_number}.${file.extension}`);
+    return res.send(file.buffer);
+  } catch (error) {
+    next(error);
+  }
+};
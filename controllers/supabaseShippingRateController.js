@@ -0,0 +1,330 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { createAuditLog } = require('../middleware/supabaseAuditLog');
+const { isMissingTableError, missingTableResponse } = require('../utils/supabaseError');
+const shippingRateService = require('../services/shippingRateService');
+const { measureItems } = require('../services/orderService');
+
+/**
+ * Format a shipping_services row for API responses
+ */
+const formatShippingService = (row) => ({
+  ...shippingRateService.toShippingService(row),
+  _id: row.id,
+  notes: row.notes,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Map request body fields to shipping_services columns (only fields that were sent)
+ */
+const buildShippingServiceData = (body) => {
+  const fields = {
+    carrier: 'carrier',
+    serviceCode: 'service_code',
+    name: 'name',
+    transitDays: 'transit_days',
+    dimDivisor: 'dim_divisor',
+    fuelSurchargePercent: 'fuel_surcharge_percent',
+    minCharge: 'min_charge',
+    additionalPerLb: 'additional_per_lb',
+    isActive: 'is_active',
+    notes: 'notes'
+  };
+  const numeric = ['dimDivisor', 'fuelSurchargePercent', 'minCharge', 'additionalPerLb'];
+  const nullable = ['transitDays', 'dimDivisor', 'additionalPerLb'];
+  const data = {};
+
+  Object.entries(fields).forEach(([key, column]) => {
+    if (body[key] === undefined) return;
+    if (body[key] === null && nullable.includes(key)) {
+      data[column] = null;
+    } else if (key === 'transitDays') {
+      data[column] = parseInt(body[key]);
+    } else if (key === 'carrier') {
+      data[column] = String(body[key]).trim().toLowerCase();
+    } else if (key === 'serviceCode') {
+      data[column] = String(body[key]).trim().toUpperCase();
+    } else {
+      data[column] = numeric.includes(key) ? parseFloat(body[key]) : body[key];
+    }
+  });
+
+  if (body.zones !== undefined) {
+    data.zones = shippingRateService.normalizeZones(body.zones);
+  }
+  if (body.rates !== undefined) {
+    data.rates = shippingRateService.normalizeRates(body.rates);
+  }
+
+  return data;
+};
+
+/**
+ * Validate zones and rates when they were sent
+ * @returns {string|null} error message
+ */
+const validateRateTable = ({ zones, rates }) => {
+  if (zones !== undefined) {
+    const zoneError = shippingRateService.validateZones(zones);
+    if (zoneError) return zoneError;
+  }
+  if (rates !== undefined) {
+    const rateError = shippingRateService.validateRates(rates);
+    if (rateError) return rateError;
+  }
+  return null;
+};
+
+/**
+ * Get all shipping services
+ */
+exports.getAllShippingServices = async (req, res, next) => {
+  try {
+    const { carrier, isActive } = req.query;
+
+    let query = supabaseAdmin
+      .from('shipping_services')
+      .select('*')
+      .order('carrier', { ascending: true })
+      .order('name', { ascending: true });
+
+    if (carrier) query = query.eq('carrier', String(carrier).toLowerCase());
+    if (isActive !== undefined) query = query.eq('is_active', isActive === 'true');
+
+    const { data: services, error } = await query;
+
+    if (error) {
+      if (isMissingTableError(error)) {
+        return res.status(503).json(missingTableResponse(error, ['shipping_services']));
+      }
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to fetch shipping services'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (services || []).map(formatShippingService)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get shipping service by ID
+ */
+exports.getShippingServiceById = async (req, res, next) => {
+  try {
+    const { data: service } = await supabaseAdmin
+      .from('shipping_services')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping service not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatShippingService(service)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create shipping service with its rate table
+ */
+exports.createShippingService = async (req, res, next) => {
+  try {
+    const tableError = validateRateTable({ zones: req.body.zones, rates: req.body.rates || [] });
+    if (tableError) {
+      return res.status(400).json({
+        success: false,
+        message: tableError
+      });
+    }
+
+    const serviceData = {
+      ...buildShippingServiceData(req.body),
+      created_by: req.user.id
+    };
+
+    const { data: service, error } = await supabaseAdmin
+      .from('shipping_services')
+      .insert(serviceData)
+      .select('*')
+      .single();
+
+    if (error) {
+      if (isMissingTableError(error)) {
+        return res.status(503).json(missingTableResponse(error, ['shipping_services']));
+      }
+      return res.status(400).json({
+        success: false,
+        message: error.code === '23505'
+          ? `Service ${serviceData.service_code} already exists for ${serviceData.carrier}`
+          : error.message || 'Failed to create shipping service'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'CREATE', 'ShippingService', service.id, serviceData, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipping service created successfully',
+      data: formatShippingService(service)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update shipping service
+ * Orders already created keep their shipping fee; changes apply to new orders
+ */
+exports.updateShippingService = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existingService } = await supabaseAdmin
+      .from('shipping_services')
+      .select('id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!existingService) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping service not found'
+      });
+    }
+
+    const tableError = validateRateTable(req.body);
+    if (tableError) {
+      return res.status(400).json({
+        success: false,
+        message: tableError
+      });
+    }
+
+    const updateData = {
+      ...buildShippingServiceData(req.body),
+      updated_at: new Date().toISOString()
+    };
+
+    const { data: service, error } = await supabaseAdmin
+      .from('shipping_services')
+      .update(updateData)
+      .eq('id', id)
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === '23505'
+          ? 'Another service already uses this carrier and service code'
+          : error.message || 'Failed to update shipping service'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'UPDATE', 'ShippingService', service.id, updateData, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipping service updated successfully',
+      data: formatShippingService(service)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate shipping service
+ * Services are kept (not deleted) because orders reference them
+ */
+exports.deleteShippingService = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { data: service, error } = await supabaseAdmin
+      .from('shipping_services')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to deactivate shipping service'
+      });
+    }
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping service not found'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'DELETE', 'ShippingService', id, { is_active: false }, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipping service deactivated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Estimate shipping for items before an order is placed
+ * Returns every service that serves the destination plus the cheapest and fastest
+ */
+exports.estimateShipping = async (req, res, next) => {
+  try {
+    const { items, deliveryAddress, warehouseId } = req.body;
+
+    // Client users only price their own products
+    const clientId = req.user.role === 'client'
+      ? (req.user.client_id || req.user.clientId)
+      : (req.body.clientId || null);
+
+    const { totalWeight, totalVolume } = await measureItems(items, clientId);
+
+    const estimate = await shippingRateService.estimate({
+      totalWeight,
+      totalVolume,
+      destination: deliveryAddress,
+      warehouseId: warehouseId || null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totalWeight: parseFloat(totalWeight.toFixed(2)),
+        totalVolume: parseFloat(totalVolume.toFixed(2)),
+        ...estimate
+      }
+    });
+  } catch (error) {
+    if (isMissingTableError(error)) {
+      return res.status(503).json(missingTableResponse(error, ['shipping_services']));
+    }
+    next(error);
+  }
+};
@@ -0,0 +1,119 @@
+const { createAuditLog } = require('../middleware/supabaseAuditLog');
+const storageBillingService = require('../services/storageBillingService');
+
+/**
+ * Capture tonight's inventory snapshot (triggered by cron)
+ * Security: Protected by internal service authentication
+ * Idempotency: Re-running on the same day overwrites that day's snapshot
+ *
+ * @route POST /api/storage/snapshots/auto
+ */
+exports.captureSnapshotAuto = async (req, res, next) => {
+  const serviceKey = req.headers['x-service-key'];
+  const expectedKey = process.env.INTERNAL_SERVICE_KEY || 'your-secure-internal-key-change-in-production';
+
+  if (serviceKey !== expectedKey) {
+    console.error('❌ Unauthorized inventory snapshot attempt');
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized: Invalid service key'
+    });
+  }
+
+  try {
+    const result = await storageBillingService.captureInventorySnapshot();
+    const { statusCode, success, ...body } = result;
+
+    if (!success) {
+      return res.status(statusCode || 500).json({ success, ...body });
+    }
+
+    console.log(`📦 Inventory snapshot ${result.snapshotDate}: ${result.rowCount} rows for ${result.clientCount} clients, ${result.unmeasured.length} unmeasured products`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Inventory snapshot captured',
+      data: body
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Capture an inventory snapshot manually (admin)
+ * Optional body.date backfills a missed night with the current stock levels
+ */
+exports.captureSnapshot = async (req, res, next) => {
+  try {
+    const result = await storageBillingService.captureInventorySnapshot(req.body.date || new Date());
+    const { statusCode, success, ...body } = result;
+
+    if (!success) {
+      return res.status(statusCode || 500).json({ success, ...body });
+    }
+
+    await createAuditLog(req.user.id, 'CREATE', 'InventorySnapshot', null, body, req);
+
+    res.status(201).json({
+      success: true,
+      message: `Inventory snapshot captured for ${result.snapshotDate}`,
+      data: body
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a client's daily storage occupancy
+ * Defaults to the current month
+ */
+exports.getClientOccupancy = async (req, res, next) => {
+  try {
+    const { clientId } = req.params;
+    const today = storageBillingService.toSnapshotDate();
+    const startDate = req.query.startDate || `${today.slice(0, 7)}-01`;
+    const endDate = req.query.endDate || today;
+
+    const days = await storageBillingService.getDailyOccupancy(clientId, startDate, endDate);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        clientId,
+        startDate,
+        endDate,
+        days
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Preview a client's storage charges for a billing month
+ * Same calculation as the storage line on the monthly invoice
+ */
+exports.getClientStorageCharges = async (req, res, next) => {
+  try {
+    const { clientId } = req.params;
+    const month = parseInt(req.query.month);
+    const year = parseInt(req.query.year);
+
+    const storage = await storageBillingService.calculateMonthlyStorage(clientId, month, year);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        clientId,
+        month,
+        year,
+        ...storage
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { isMissingTableError, missingTableResponse } = require('../utils/supabaseError');
+const trackingService = require('../services/trackingService');
+const carriers = require('../services/carriers');
+
+/**
+ * Format a tracking event for API responses
+ */
+const formatTrackingEvent = (event) => ({
+  id: event.id,
+  _id: event.id,
+  carrier: event.carrier,
+  trackingNumber: event.tracking_number,
+  status: event.status,
+  carrierStatusCode: event.carrier_status_code,
+  description: event.description,
+  location: event.location,
+  occurredAt: event.occurred_at,
+  source: event.source,
+  createdAt: event.created_at
+});
+
+/**
+ * Constant-time comparison of a webhook secret
+ */
+const secretMatches = (secret, expectedSecret) => {
+  if (typeof secret !== 'string') return false;
+
+  const given = Buffer.from(secret);
+  const expected = Buffer.from(expectedSecret);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * Receive tracking events pushed by a carrier
+ * Security: shared secret (TRACKING_WEBHOOK_SECRET) in the x-webhook-secret
+ * header or the UPS Track Alert credential header
+ *
+ * @route POST /api/shipping/tracking/webhook/:carrier
+ */
+exports.receiveTrackingWebhook = async (req, res, next) => {
+  const expectedSecret = process.env.TRACKING_WEBHOOK_SECRET;
+  const secret = req.headers['x-webhook-secret'] || req.headers.credential;
+
+  if (!expectedSecret) {
+    return res.status(503).json({
+      success: false,
+      message: 'Tracking webhooks are not configured'
+    });
+  }
+
+  if (!secretMatches(secret, expectedSecret)) {
+    console.error(`❌ Unauthorized tracking webhook attempt (${req.params.carrier})`);
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized: Invalid webhook secret'
+    });
+  }
+
+  try {
+    const adapter = carriers.getCarrier(req.params.carrier);
+    if (!adapter) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown carrier: ${req.params.carrier}`
+      });
+    }
+
+    let events;
+    try {
+      events = adapter.parseTrackingWebhook(req.body || {});
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${adapter.name} tracking payload: ${parseError.message}`
+      });
+    }
+
+    const result = await trackingService.ingestEvents({ carrier: adapter.code, events, source: 'webhook' });
+    const { success, ...data } = result;
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (isMissingTableError(error)) {
+      return res.status(503).json(missingTableResponse(error, ['order_tracking_events']));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Poll carrier tracking for shipped orders (triggered by cron)
+ * Security: Protected by internal service authentication
+ *
+ * @route POST /api/shipping/tracking/poll/auto
+ */
+exports.runTrackingPollAuto = async (req, res, next) => {
+  const serviceKey = req.headers['x-service-key'];
+  const expectedKey = process.env.INTERNAL_SERVICE_KEY || 'your-secure-internal-key-change-in-production';
+
+  if (serviceKey !== expectedKey) {
+    console.error('❌ Unauthorized tracking poll attempt');
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized: Invalid service key'
+    });
+  }
+
+  try {
+    const result = await trackingService.pollTracking();
+    const { statusCode, success, ...body } = result;
+
+    if (!success) {
+      return res.status(statusCode || 500).json({ success, ...body });
+    }
+
+    console.log(`📦 Tracking poll: ${result.orders} orders, ${result.recorded} new events, ${result.delivered.length} delivered, ${result.errors.length} carrier errors`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tracking poll processed',
+      data: body
+    });
+  } catch (error) {
+    if (isMissingTableError(error)) {
+      return res.status(503).json(missingTableResponse(error, ['order_tracking_events']));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Get an order's tracking status and event history
+ */
+exports.getOrderTracking = async (req, res, next) => {
+  try {
+    const { data: order } = await supabaseAdmin
+      .from('orders')
+      .select('*')
+      .eq('id', req.params.orderId)
+      .maybeSingle();
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Client authorization check
+    if (req.user.role === 'client' && order.client_id !== req.user.client_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this order'
+      });
+    }
+
+    const events = await trackingService.getOrderEvents(order.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orderNumber: order.order_number,
+        status: order.status,
+        carrier: order.carrier || null,
+        trackingNumber: order.tracking_number || null,
+        trackingStatus: order.tracking_status || null,
+        trackingUpdatedAt: order.tracking_updated_at || null,
+        trackingCheckedAt: order.tracking_checked_at || null,
+        dispatchedAt: order.dispatched_at,
+        deliveredAt: order.delivered_at,
+        events: events.map(formatTrackingEvent)
+      }
+    });
+  } catch (error) {
+    if (isMissingTableError(error)) {
+      return res.status(503).json(missingTableResponse(error, ['order_tracking_events']));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Ask the carrier for a shipped order's latest tracking now
+ */
+exports.refreshOrderTracking = async (req, res, next) => {
+  try {
+    const result = await trackingService.refreshOrderTracking(req.params.orderId);
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    const { success, ...data } = result;
+
+    res.status(200).json({
+      success: true,
+      message: result.delivered.length > 0
+        ? 'Tracking refreshed; the order was delivered'
+        : `Tracking refreshed; ${result.recorded} new event(s)`,
+      data
+    });
+  } catch (error) {
+    if (isMissingTableError(error)) {
+      return res.status(503).json(missingTableResponse(error, ['order_tracking_events']));
+    }
+    next(error);
+  }
+};
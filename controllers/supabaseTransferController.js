@@ -0,0 +1,328 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { createAuditLog } = require('../middleware/supabaseAuditLog');
+const transferService = require('../services/transferService');
+
+const TRANSFER_SELECT = `
+  *,
+  clients:client_id (
+    id,
+    company_name
+  ),
+  from_warehouse:from_warehouse_id (
+    id,
+    code,
+    name
+  ),
+  to_warehouse:to_warehouse_id (
+    id,
+    code,
+    name
+  ),
+  warehouse_transfer_lines (
+    *,
+    products:product_id (
+      id,
+      name,
+      sku
+    )
+  )
+`;
+
+/**
+ * Format a warehouse reference
+ */
+const formatWarehouseRef = (warehouse, id) => (warehouse ? {
+  _id: warehouse.id,
+  code: warehouse.code,
+  name: warehouse.name
+} : id);
+
+/**
+ * Format a transfer row for API responses
+ */
+const formatTransfer = (transfer) => ({
+  id: transfer.id,
+  _id: transfer.id,
+  transferNumber: transfer.transfer_number,
+  clientId: transfer.clients ? {
+    _id: transfer.clients.id,
+    companyName: transfer.clients.company_name
+  } : transfer.client_id,
+  fromWarehouseId: formatWarehouseRef(transfer.from_warehouse, transfer.from_warehouse_id),
+  toWarehouseId: formatWarehouseRef(transfer.to_warehouse, transfer.to_warehouse_id),
+  status: transfer.status,
+  carrier: transfer.carrier,
+  trackingNumber: transfer.tracking_number,
+  notes: transfer.notes,
+  lines: (transfer.warehouse_transfer_lines || []).map(line => ({
+    id: line.id,
+    _id: line.id,
+    productId: line.products ? {
+      _id: line.products.id,
+      name: line.products.name,
+      sku: line.products.sku
+    } : line.product_id,
+    quantity: line.quantity,
+    // Lots shipped on this line (filled in when the transfer ships)
+    lots: (line.lots || []).map(lot => ({
+      lotNumber: lot.lot_number,
+      expiryDate: lot.expiry_date,
+      quantity: lot.quantity
+    })),
+    serialNumbers: line.serial_numbers || []
+  })),
+  createdBy: transfer.created_by,
+  shippedBy: transfer.shipped_by,
+  shippedAt: transfer.shipped_at,
+  receivedBy: transfer.received_by,
+  receivedAt: transfer.received_at,
+  createdAt: transfer.created_at,
+  updatedAt: transfer.updated_at
+});
+
+/**
+ * Load a transfer with relations - use admin client to bypass RLS
+ */
+const fetchTransfer = async (id) => {
+  const { data } = await supabaseAdmin
+    .from('warehouse_transfers')
+    .select(TRANSFER_SELECT)
+    .eq('id', id)
+    .single();
+
+  return data;
+};
+
+/**
+ * Get all transfers
+ */
+exports.getAllTransfers = async (req, res, next) => {
+  try {
+    const { status, clientId, warehouseId } = req.query;
+
+    // Use admin client to bypass RLS
+    let query = supabaseAdmin
+      .from('warehouse_transfers')
+      .select(TRANSFER_SELECT)
+      .order('created_at', { ascending: false });
+
+    if (req.user.role === 'client' && req.user.client_id) {
+      query = query.eq('client_id', req.user.client_id);
+    } else if (clientId && clientId !== 'null' && clientId !== 'undefined') {
+      query = query.eq('client_id', clientId);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    // Transfers leaving or arriving at the warehouse
+    if (warehouseId) {
+      query = query.or(`from_warehouse_id.eq.${warehouseId},to_warehouse_id.eq.${warehouseId}`);
+    }
+
+    const { data: transfers, error } = await query;
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to fetch transfers'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (transfers || []).map(formatTransfer)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get transfer by ID
+ */
+exports.getTransferById = async (req, res, next) => {
+  try {
+    const transfer = await fetchTransfer(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    // Client authorization check
+    if (req.user.role === 'client' && transfer.client_id !== req.user.client_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this transfer'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatTransfer(transfer)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a transfer order
+ */
+exports.createTransfer = async (req, res, next) => {
+  try {
+    const { clientId, fromWarehouseId, toWarehouseId, lines, carrier, trackingNumber, notes } = req.body;
+
+    const result = await transferService.createTransfer({
+      clientId,
+      fromWarehouseId,
+      toWarehouseId,
+      lines,
+      carrier,
+      trackingNumber,
+      notes,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'TRANSFER_CREATED',
+      'WarehouseTransfer',
+      result.transfer.id,
+      { transferNumber: result.transfer.transfer_number, clientId, fromWarehouseId, toWarehouseId, lines },
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Transfer ${result.transfer.transfer_number} created`,
+      data: formatTransfer(await fetchTransfer(result.transfer.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Ship a transfer from the source warehouse
+ */
+exports.shipTransfer = async (req, res, next) => {
+  try {
+    const result = await transferService.shipTransfer({
+      transferId: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'TRANSFER_SHIPPED',
+      'WarehouseTransfer',
+      result.transfer.id,
+      { transferNumber: result.transfer.transfer_number },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Transfer ${result.transfer.transfer_number} shipped`,
+      data: formatTransfer(await fetchTransfer(result.transfer.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive a transfer at the destination warehouse
+ */
+exports.receiveTransfer = async (req, res, next) => {
+  try {
+    const result = await transferService.receiveTransfer({
+      transferId: req.params.id,
+      storageLocation: req.body.storageLocation,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      const { statusCode, success, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
+
+    await createAuditLog(
+      req.user.id,
+      'TRANSFER_RECEIVED',
+      'WarehouseTransfer',
+      result.transfer.id,
+      { transferNumber: result.transfer.transfer_number, storageLocation: req.body.storageLocation || null },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Transfer ${result.transfer.transfer_number} received`,
+      data: formatTransfer(await fetchTransfer(result.transfer.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a transfer that has not shipped
+ */
+exports.cancelTransfer = async (req, res, next) => {
+  try {
+    const transfer = await fetchTransfer(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    if (transfer.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Transfer ${transfer.transfer_number} is ${transfer.status} and cannot be cancelled`
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('warehouse_transfers')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', transfer.id)
+      .eq('status', 'pending');
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to cancel transfer'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'TRANSFER_CANCELLED', 'WarehouseTransfer', transfer.id, { transferNumber: transfer.transfer_number }, req);
+
+    res.status(200).json({
+      success: true,
+      message: `Transfer ${transfer.transfer_number} cancelled`,
+      data: formatTransfer({ ...transfer, status: 'cancelled' })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
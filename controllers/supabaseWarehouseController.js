@@ -0,0 +1,213 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { createAuditLog } = require('../middleware/supabaseAuditLog');
+
+/**
+ * Format a warehouse row for API responses
+ */
+const formatWarehouse = (warehouse) => ({
+  id: warehouse.id,
+  _id: warehouse.id,
+  code: warehouse.code,
+  name: warehouse.name,
+  address: {
+    line1: warehouse.address_line1,
+    city: warehouse.city,
+    state: warehouse.state,
+    postalCode: warehouse.postal_code,
+    country: warehouse.country
+  },
+  isActive: warehouse.is_active,
+  isDefault: warehouse.is_default,
+  routingPriority: warehouse.routing_priority,
+  createdAt: warehouse.created_at,
+  updatedAt: warehouse.updated_at
+});
+
+/**
+ * Map request body fields to warehouses columns (only fields that were sent)
+ */
+const buildWarehouseData = (body) => {
+  const data = {};
+
+  if (body.code !== undefined) data.code = String(body.code).trim().toUpperCase();
+  if (body.name !== undefined) data.name = body.name;
+  if (body.isActive !== undefined) data.is_active = body.isActive;
+  if (body.routingPriority !== undefined) data.routing_priority = parseInt(body.routingPriority);
+
+  if (body.address) {
+    if (body.address.line1 !== undefined) data.address_line1 = body.address.line1;
+    if (body.address.city !== undefined) data.city = body.address.city;
+    if (body.address.state !== undefined) data.state = body.address.state;
+    if (body.address.postalCode !== undefined) data.postal_code = body.address.postalCode;
+    if (body.address.country !== undefined) data.country = body.address.country;
+  }
+
+  return data;
+};
+
+/**
+ * Get all warehouses
+ */
+exports.getAllWarehouses = async (req, res, next) => {
+  try {
+    // Use admin client to bypass RLS
+    let query = supabaseAdmin
+      .from('warehouses')
+      .select('*')
+      .order('code', { ascending: true });
+
+    if (req.query.includeInactive !== 'true') {
+      query = query.eq('is_active', true);
+    }
+
+    const { data: warehouses, error } = await query;
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to fetch warehouses'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: (warehouses || []).map(formatWarehouse)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get warehouse by ID
+ */
+exports.getWarehouseById = async (req, res, next) => {
+  try {
+    // Use admin client to bypass RLS
+    const { data: warehouse } = await supabaseAdmin
+      .from('warehouses')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatWarehouse(warehouse)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a warehouse
+ */
+exports.createWarehouse = async (req, res, next) => {
+  try {
+    // Use admin client to bypass RLS
+    const { data: warehouse, error } = await supabaseAdmin
+      .from('warehouses')
+      .insert(buildWarehouseData(req.body))
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(error.code === '23505' ? 409 : 400).json({
+        success: false,
+        message: error.code === '23505'
+          ? `Warehouse code ${String(req.body.code).toUpperCase()} already exists`
+          : error.message || 'Failed to create warehouse'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'CREATE', 'Warehouse', warehouse.id, req.body, req);
+
+    res.status(201).json({
+      success: true,
+      message: `Warehouse ${warehouse.code} created`,
+      data: formatWarehouse(warehouse)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a warehouse
+ * The code is part of every location code below it, so it cannot change.
+ * isDefault: true moves the default flag here; the default cannot be deactivated.
+ */
+exports.updateWarehouse = async (req, res, next) => {
+  try {
+    const { code, isDefault, ...changes } = req.body;
+    const updateData = {
+      ...buildWarehouseData(changes),
+      updated_at: new Date().toISOString()
+    };
+
+    const { data: existing } = await supabaseAdmin
+      .from('warehouses')
+      .select('id, code, is_default, is_active')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found'
+      });
+    }
+
+    const becomesDefault = isDefault === true && !existing.is_default;
+    const willBeActive = updateData.is_active !== undefined ? updateData.is_active : existing.is_active;
+
+    if ((existing.is_default || becomesDefault) && !willBeActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default warehouse cannot be inactive'
+      });
+    }
+
+    if (becomesDefault) {
+      // Only one warehouse can be the default - clear the current one first
+      await supabaseAdmin
+        .from('warehouses')
+        .update({ is_default: false, updated_at: updateData.updated_at })
+        .eq('is_default', true);
+
+      updateData.is_default = true;
+    }
+
+    // Use admin client to bypass RLS
+    const { data: warehouse, error } = await supabaseAdmin
+      .from('warehouses')
+      .update(updateData)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error || !warehouse) {
+      return res.status(error && error.code !== 'PGRST116' ? 400 : 404).json({
+        success: false,
+        message: error && error.code !== 'PGRST116' ? error.message : 'Warehouse not found'
+      });
+    }
+
+    await createAuditLog(req.user.id, 'UPDATE', 'Warehouse', warehouse.id, updateData, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Warehouse updated successfully',
+      data: formatWarehouse(warehouse)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
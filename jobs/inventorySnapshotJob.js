@@ -0,0 +1,127 @@
+const cron = require('node-cron');
+const axios = require('axios');
+
+/**
+ * NIGHTLY INVENTORY SNAPSHOT CRON
+ *
+ * Schedule: Every day at 11:30 PM America/New_York (EST/EDT)
+ * Timezone: America/New_York (automatically handles DST transitions)
+ *
+ * Cron Expression: '30 23 * * *'
+ *
+ * Each run records what every client has on the shelves that day
+ * (inventory_snapshots). Monthly invoices bill storage from these
+ * snapshots, so a missed night is a day of storage not billed - use
+ * POST /api/storage/snapshots with a date to backfill.
+ *
+ * Why 11:30 PM?
+ * - Captures end-of-day stock after the day's receiving and dispatches
+ * - Stays on the same calendar day in America/New_York
+ */
+
+const CRON_EXPRESSION = '30 23 * * *';
+
+let cronJob = null;
+
+/**
+ * Call the internal snapshot endpoint
+ */
+const requestSnapshot = () => {
+  const BACKEND_URL = process.env.BACKEND_URL || 'https://max-2-pay-backend.vercel.app';
+  const INTERNAL_SERVICE_KEY = process.env.INTERNAL_SERVICE_KEY || 'your-secure-internal-key-change-in-production';
+
+  return axios.post(
+    `${BACKEND_URL}/api/storage/snapshots/auto`,
+    {},
+    {
+      headers: {
+        'x-service-key': INTERNAL_SERVICE_KEY,
+        'Content-Type': 'application/json'
+      },
+      timeout: 120000
+    }
+  );
+};
+
+/**
+ * Initialize the snapshot scheduler
+ */
+const initializeInventorySnapshotCron = () => {
+  console.log('\n========================================');
+  console.log('📦 INITIALIZING INVENTORY SNAPSHOT CRON');
+  console.log('========================================');
+  console.log('Schedule: Every day at 11:30 PM EST/EDT');
+  console.log('Timezone: America/New_York');
+  console.log(`Cron Expression: ${CRON_EXPRESSION}`);
+  console.log('========================================\n');
+
+  if (!cron.validate(CRON_EXPRESSION)) {
+    console.error('❌ Invalid cron expression');
+    return;
+  }
+
+  cronJob = cron.schedule(
+    CRON_EXPRESSION,
+    async () => {
+      const nyTime = new Date().toLocaleString('en-US', { timeZone: 'America/New_York' });
+      console.log(`\n📦 INVENTORY SNAPSHOT TRIGGERED: ${nyTime} (America/New_York)`);
+
+      try {
+        const response = await requestSnapshot();
+        const { snapshotDate, rowCount, clientCount, unmeasured } = response.data.data || {};
+        console.log(`✅ Inventory snapshot ${snapshotDate}: ${rowCount} rows for ${clientCount} clients`);
+        if ((unmeasured || []).length > 0) {
+          console.warn(`⚠️  ${unmeasured.length} products in stock have no dimensions or packing density and are not billed for storage`);
+        }
+      } catch (error) {
+        console.error('❌ INVENTORY SNAPSHOT FAILED');
+        console.error('Error:', error.message);
+
+        if (error.response) {
+          console.error('Status:', error.response.status);
+          console.error('Data:', error.response.data);
+        }
+
+        // Log error but don't crash the server
+      }
+    },
+    {
+      scheduled: true,
+      timezone: 'America/New_York'
+    }
+  );
+
+  console.log('✅ Inventory snapshot cron initialized successfully\n');
+};
+
+/**
+ * Stop the snapshot scheduler (for graceful shutdown)
+ */
+const stopInventorySnapshotCron = () => {
+  if (cronJob) {
+    cronJob.stop();
+    console.log('🛑 Inventory snapshot cron stopped');
+  }
+};
+
+/**
+ * Manual trigger for testing (bypasses cron schedule)
+ */
+const triggerManualInventorySnapshot = async () => {
+  console.log('\n🧪 MANUAL TRIGGER: Capturing inventory snapshot...\n');
+
+  try {
+    const response = await requestSnapshot();
+    console.log('✅ Manual trigger completed');
+    return response.data;
+  } catch (error) {
+    console.error('❌ Manual trigger failed:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  initializeInventorySnapshotCron,
+  stopInventorySnapshotCron,
+  triggerManualInventorySnapshot
+};
@@ -0,0 +1,124 @@
+const cron = require('node-cron');
+const axios = require('axios');
+
+/**
+ * DAILY LOW-STOCK ALERT CRON
+ *
+ * Schedule: Every day at 7:00 AM America/New_York (EST/EDT)
+ * Timezone: America/New_York (automatically handles DST transitions)
+ *
+ * Cron Expression: '0 7 * * *'
+ *
+ * Each run checks available stock against reorder levels and trailing
+ * sales velocity (lowStockAlertService), notifies the client's users and
+ * account manager about products that went low, and emails the daily
+ * low-stock digest.
+ *
+ * Why 7:00 AM?
+ * - The digest arrives at the start of the working day
+ * - Counts the previous day's dispatches in the sales rate
+ */
+
+const CRON_EXPRESSION = '0 7 * * *';
+
+let cronJob = null;
+
+/**
+ * Call the internal low-stock alert endpoint
+ */
+const requestLowStockAlerts = () => {
+  const BACKEND_URL = process.env.BACKEND_URL || 'https://max-2-pay-backend.vercel.app';
+  const INTERNAL_SERVICE_KEY = process.env.INTERNAL_SERVICE_KEY || 'your-secure-internal-key-change-in-production';
+
+  return axios.post(
+    `${BACKEND_URL}/api/inventory/low-stock/auto`,
+    {},
+    {
+      headers: {
+        'x-service-key': INTERNAL_SERVICE_KEY,
+        'Content-Type': 'application/json'
+      },
+      timeout: 120000
+    }
+  );
+};
+
+/**
+ * Initialize the low-stock alert scheduler
+ */
+const initializeLowStockAlertCron = () => {
+  console.log('\n========================================');
+  console.log('📉 INITIALIZING LOW-STOCK ALERT CRON');
+  console.log('========================================');
+  console.log('Schedule: Every day at 7:00 AM EST/EDT');
+  console.log('Timezone: America/New_York');
+  console.log(`Cron Expression: ${CRON_EXPRESSION}`);
+  console.log('========================================\n');
+
+  if (!cron.validate(CRON_EXPRESSION)) {
+    console.error('❌ Invalid cron expression');
+    return;
+  }
+
+  cronJob = cron.schedule(
+    CRON_EXPRESSION,
+    async () => {
+      const nyTime = new Date().toLocaleString('en-US', { timeZone: 'America/New_York' });
+      console.log(`\n📉 LOW-STOCK ALERTS TRIGGERED: ${nyTime} (America/New_York)`);
+
+      try {
+        const response = await requestLowStockAlerts();
+        const { lowStock, newAlerts, resolved, emailsSent } = response.data.data || {};
+        console.log(`✅ Low-stock alerts: ${lowStock} low, ${newAlerts} new, ${resolved} resolved, ${emailsSent} digests sent`);
+      } catch (error) {
+        console.error('❌ LOW-STOCK ALERTS FAILED');
+        console.error('Error:', error.message);
+
+        if (error.response) {
+          console.error('Status:', error.response.status);
+          console.error('Data:', error.response.data);
+        }
+
+        // Log error but don't crash the server
+      }
+    },
+    {
+      scheduled: true,
+      timezone: 'America/New_York'
+    }
+  );
+
+  console.log('✅ Low-stock alert cron initialized successfully\n');
+};
+
+/**
+ * Stop the low-stock alert scheduler (for graceful shutdown)
+ */
+const stopLowStockAlertCron = () => {
+  if (cronJob) {
+    cronJob.stop();
+    console.log('🛑 Low-stock alert cron stopped');
+  }
+};
+
+/**
+ * Manual trigger for testing (bypasses cron schedule)
+ */
+const triggerManualLowStockAlerts = async () => {
+  console.log('\n🧪 MANUAL TRIGGER: Running low-stock alerts...\n');
+
+  try {
+    const response = await requestLowStockAlerts();
+    console.log('✅ Manual trigger completed');
+    return response.data;
+  } catch (error) {
+    console.error('❌ Manual trigger failed:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  initializeLowStockAlertCron,
+  stopLowStockAlertCron,
+  triggerManualLowStockAlerts
+};
@@ -0,0 +1,124 @@
+const cron = require('node-cron');
+const axios = require('axios');
+
+/**
+ * CARRIER TRACKING POLL CRON
+ *
+ * Schedule: Every 2 hours, on the hour, America/New_York (EST/EDT)
+ * Timezone: America/New_York (automatically handles DST transitions)
+ *
+ * Cron Expression: '0 0-23/2 * * *'
+ *
+ * Each run asks the configured carriers for the latest scans of every
+ * shipped order's packages (trackingService). New scans are added to the
+ * order's tracking history, orders whose packages are all delivered move
+ * to delivered, and exception scans raise notifications.
+ *
+ * Why every 2 hours?
+ * - Catches scans a carrier webhook missed or never sent
+ * - Stays well inside the carriers' tracking API rate limits
+ */
+
+const CRON_EXPRESSION = '0 0-23/2 * * *';
+
+let cronJob = null;
+
+/**
+ * Call the internal tracking poll endpoint
+ */
+const requestTrackingPoll = () => {
+  const BACKEND_URL = process.env.BACKEND_URL || 'https://max-2-pay-backend.vercel.app';
+  const INTERNAL_SERVICE_KEY = process.env.INTERNAL_SERVICE_KEY || 'your-secure-internal-key-change-in-production';
+
+  return axios.post(
+    `${BACKEND_URL}/api/shipping/tracking/poll/auto`,
+    {},
+    {
+      headers: {
+        'x-service-key': INTERNAL_SERVICE_KEY,
+        'Content-Type': 'application/json'
+      },
+      timeout: 300000
+    }
+  );
+};
+
+/**
+ * Initialize the tracking poll scheduler
+ */
+const initializeTrackingPollCron = () => {
+  console.log('\n========================================');
+  console.log('📦 INITIALIZING TRACKING POLL CRON');
+  console.log('========================================');
+  console.log('Schedule: Every 2 hours EST/EDT');
+  console.log('Timezone: America/New_York');
+  console.log(`Cron Expression: ${CRON_EXPRESSION}`);
+  console.log('========================================\n');
+
+  if (!cron.validate(CRON_EXPRESSION)) {
+    console.error('❌ Invalid cron expression');
+    return;
+  }
+
+  cronJob = cron.schedule(
+    CRON_EXPRESSION,
+    async () => {
+      const nyTime = new Date().toLocaleString('en-US', { timeZone: 'America/New_York' });
+      console.log(`\n📦 TRACKING POLL TRIGGERED: ${nyTime} (America/New_York)`);
+
+      try {
+        const response = await requestTrackingPoll();
+        const { orders, recorded, delivered, notifications, errors } = response.data.data || {};
+        console.log(`✅ Tracking poll: ${orders} orders, ${recorded} new events, ${(delivered || []).length} delivered, ${notifications} exception notifications, ${(errors || []).length} carrier errors`);
+      } catch (error) {
+        console.error('❌ TRACKING POLL FAILED');
+        console.error('Error:', error.message);
+
+        if (error.response) {
+          console.error('Status:', error.response.status);
+          console.error('Data:', error.response.data);
+        }
+
+        // Log error but don't crash the server
+      }
+    },
+    {
+      scheduled: true,
+      timezone: 'America/New_York'
+    }
+  );
+
+  console.log('✅ Tracking poll cron initialized successfully\n');
+};
+
+/**
+ * Stop the tracking poll scheduler (for graceful shutdown)
+ */
+const stopTrackingPollCron = () => {
+  if (cronJob) {
+    cronJob.stop();
+    console.log('🛑 Tracking poll cron stopped');
+  }
+};
+
+/**
+ * Manual trigger for testing (bypasses cron schedule)
+ */
+const triggerManualTrackingPoll = async () => {
+  console.log('\n🧪 MANUAL TRIGGER: Polling carrier tracking...\n');
+
+  try {
+    const response = await requestTrackingPoll();
+    console.log('✅ Manual trigger completed');
+    return response.data;
+  } catch (error) {
+    console.error('❌ Manual trigger failed:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  initializeTrackingPollCron,
+  stopTrackingPollCron,
+  triggerManualTrackingPoll
+};
@@ -0,0 +1,26 @@
+const multer = require('multer');
+const path = require('path');
+
+/**
+ * Spreadsheet upload middleware (CSV / XLSX)
+ * Files are kept in memory - they are parsed once and never stored
+ */
+const allowedExtensions = ['.csv', '.xlsx'];
+
+const fileFilter = (req, file, cb) => {
+  const extname = path.extname(file.originalname).toLowerCase();
+
+  if (allowedExtensions.includes(extname)) {
+    return cb(null, true);
+  }
+
+  cb(new Error('Only .csv and .xlsx files are allowed for import!'));
+};
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter
+});
+
+module.exports = spreadsheetUpload;
@@ -0,0 +1,91 @@
+-- =====================================================
+-- ADJUSTMENT REASON CODES AND APPROVAL QUEUE
+-- =====================================================
+-- Manual stock adjustments (POST /api/inventory/adjust) must give a
+-- reason code from inventory_adjustment_reasons instead of free text.
+-- Every adjustment is recorded in inventory_adjustments:
+--   pending_approval - above the unit/value threshold (or a reason that
+--                      always needs approval), waiting for an admin
+--   posting          - claimed by the request or approval posting it
+--   posted           - applied to stock through adjust_inventory_stock()
+--   rejected         - turned down, stock untouched
+-- Posted cycle count variances are recorded here too (reason
+-- 'cycle_count'), so this table is the adjustment history.
+--
+-- products.unit_value is the declared value per unit used for the value
+-- threshold; products without one are only checked against the unit threshold.
+--
+-- Requires: add_cycle_counts.sql (adjust_inventory_stock)
+-- =====================================================
+
+-- STEP 1: Declared value per unit
+ALTER TABLE products ADD COLUMN IF NOT EXISTS unit_value NUMERIC(12, 2) CHECK (unit_value >= 0);
+
+-- STEP 2: Reason codes
+CREATE TABLE IF NOT EXISTS inventory_adjustment_reasons (
+  code VARCHAR(50) PRIMARY KEY,
+  label VARCHAR(100) NOT NULL,
+  -- Which way the reason moves stock
+  direction VARCHAR(10) NOT NULL DEFAULT 'any'
+    CHECK (direction IN ('increase', 'decrease', 'any')),
+  -- Always needs approval, whatever the size
+  requires_approval BOOLEAN NOT NULL DEFAULT false,
+  -- Used by the system (cycle counts); cannot be picked for manual adjustments
+  is_system BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO inventory_adjustment_reasons (code, label, direction, requires_approval, is_system, sort_order) VALUES
+  ('damaged', 'Damaged', 'decrease', false, false, 10),
+  ('lost', 'Lost / missing', 'decrease', false, false, 20),
+  ('found', 'Found', 'increase', false, false, 30),
+  ('expired', 'Expired', 'decrease', false, false, 40),
+  ('client_disposal', 'Client-requested disposal', 'decrease', true, false, 50),
+  ('data_correction', 'Data entry correction', 'any', false, false, 60),
+  ('cycle_count', 'Cycle count variance', 'any', false, true, 100)
+ON CONFLICT (code) DO NOTHING;
+
+-- STEP 3: Adjustments (history and approval queue)
+CREATE TABLE IF NOT EXISTS inventory_adjustments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  inventory_id UUID NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  warehouse_id UUID REFERENCES warehouses(id) ON DELETE SET NULL,
+  location_id UUID REFERENCES warehouse_locations(id) ON DELETE SET NULL,
+  lot_number VARCHAR(100),
+  expiry_date DATE,
+
+  quantity INTEGER NOT NULL CHECK (quantity <> 0),
+  reason_code VARCHAR(50) NOT NULL REFERENCES inventory_adjustment_reasons(code),
+  note TEXT,
+  -- Declared value of the units adjusted (quantity x unit value) when known
+  value NUMERIC(12, 2),
+
+  status VARCHAR(20) NOT NULL DEFAULT 'pending_approval'
+    CHECK (status IN ('pending_approval', 'posting', 'posted', 'rejected')),
+  -- Document that caused the adjustment (e.g. a cycle count)
+  reference_type VARCHAR(50),
+  reference_id UUID,
+
+  requested_by UUID REFERENCES user_profiles(id),
+  reviewed_by UUID REFERENCES user_profiles(id),
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  review_note TEXT,
+  post_error TEXT,
+  posted_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_adjustments_status ON inventory_adjustments(status);
+CREATE INDEX IF NOT EXISTS idx_inventory_adjustments_client ON inventory_adjustments(client_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_adjustments_reason ON inventory_adjustments(reason_code);
+CREATE INDEX IF NOT EXISTS idx_inventory_adjustments_created_at ON inventory_adjustments(created_at);
+
+-- STEP 4: RLS - adjustments are only read through the admin client
+ALTER TABLE inventory_adjustment_reasons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE inventory_adjustments ENABLE ROW LEVEL SECURITY;
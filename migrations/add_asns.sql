@@ -0,0 +1,96 @@
+-- =====================================================
+-- ADVANCE SHIPPING NOTICES (ASN)
+-- =====================================================
+-- Clients pre-announce inbound freight (carrier, expected date, SKU
+-- lines). Warehouse staff receive against the ASN line by line; every
+-- receipt is written as an inbound_logs row (status 'received') through
+-- services/inboundService.js, so stock and receiving charges follow the
+-- same path as manual inbound entries. Damaged units are recorded on
+-- the line but not put into stock. Closing the ASN stores a discrepancy
+-- report (short / over / damaged per line).
+--
+-- Requires: add_inbound_billing.sql (inbound_logs billing columns)
+-- =====================================================
+
+-- STEP 1: Document numbering
+CREATE SEQUENCE IF NOT EXISTS asn_number_seq START 1;
+
+-- STEP 2: ASNs
+CREATE TABLE IF NOT EXISTS asns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  asn_number VARCHAR(50) UNIQUE NOT NULL
+    DEFAULT 'ASN-' || LPAD(nextval('asn_number_seq')::TEXT, 6, '0'),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE RESTRICT,
+
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'receiving', 'closed', 'cancelled')),
+  carrier VARCHAR(100),
+  tracking_number VARCHAR(100),
+  reference_number VARCHAR(100),
+  expected_date DATE,
+  notes TEXT,
+
+  discrepancy_report JSONB,
+
+  created_by UUID REFERENCES user_profiles(id),
+  closed_by UUID REFERENCES user_profiles(id),
+  closed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS asn_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  asn_id UUID NOT NULL REFERENCES asns(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+  expected_quantity INTEGER NOT NULL CHECK (expected_quantity > 0),
+  received_quantity INTEGER NOT NULL DEFAULT 0 CHECK (received_quantity >= 0),
+  damaged_quantity INTEGER NOT NULL DEFAULT 0 CHECK (damaged_quantity >= 0),
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_asn_line_product UNIQUE (asn_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_asns_client_id ON asns(client_id);
+CREATE INDEX IF NOT EXISTS idx_asns_status ON asns(status);
+CREATE INDEX IF NOT EXISTS idx_asns_expected_date ON asns(expected_date);
+CREATE INDEX IF NOT EXISTS idx_asn_lines_asn_id ON asn_lines(asn_id);
+
+-- STEP 3: Receipts made against an ASN
+ALTER TABLE inbound_logs ADD COLUMN IF NOT EXISTS asn_id UUID REFERENCES asns(id) ON DELETE SET NULL;
+ALTER TABLE inbound_logs ADD COLUMN IF NOT EXISTS asn_line_id UUID REFERENCES asn_lines(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_inbound_logs_asn_id ON inbound_logs(asn_id);
+
+-- Add a receipt to an ASN line in one statement, so concurrent receipts
+-- against the same line add up
+CREATE OR REPLACE FUNCTION record_asn_line_receipt(
+  p_line_id UUID,
+  p_received INTEGER,
+  p_damaged INTEGER,
+  p_notes TEXT DEFAULT NULL
+)
+RETURNS asn_lines AS $$
+DECLARE
+  v_line asn_lines;
+BEGIN
+  UPDATE asn_lines
+  SET received_quantity = received_quantity + p_received,
+      damaged_quantity = damaged_quantity + p_damaged,
+      notes = COALESCE(p_notes, notes),
+      updated_at = NOW()
+  WHERE id = p_line_id
+  RETURNING * INTO v_line;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'ASN line % not found', p_line_id;
+  END IF;
+
+  RETURN v_line;
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 4: RLS - ASNs are only read through the admin client
+ALTER TABLE asns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE asn_lines ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,107 @@
+-- =====================================================
+-- ATOMIC ORDER CREATION WITH STOCK RESERVATION
+-- =====================================================
+-- Creates an order, its items and the stock reservation for
+-- every line in a single transaction. Inventory rows are locked
+-- (FOR UPDATE) before availability is checked, so two concurrent
+-- orders can no longer both pass the check and oversell.
+--
+-- Requires update_inventory_atomic() from fix_critical_bugs_FINAL_v3.sql
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION create_order_with_reservation(
+  p_order JSONB,
+  p_items JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_client_id UUID := (p_order->>'client_id')::UUID;
+  v_line RECORD;
+  v_inventory RECORD;
+  v_shortfalls JSONB := '[]'::JSONB;
+  v_reservations JSONB := '[]'::JSONB;
+  v_columns TEXT;
+  v_order_id UUID;
+  v_order_number TEXT;
+  v_reservation JSONB;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'At least one item is required';
+  END IF;
+
+  -- STEP 1: Lock inventory rows (sorted by product to avoid deadlocks)
+  -- and collect every line that cannot be reserved
+  FOR v_line IN
+    SELECT (item->>'product_id')::UUID AS product_id,
+           SUM((item->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) AS item
+    GROUP BY 1
+    ORDER BY 1
+  LOOP
+    SELECT id, available_stock INTO v_inventory
+    FROM inventory
+    WHERE product_id = v_line.product_id
+      AND client_id = v_client_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_inventory.available_stock < v_line.quantity THEN
+      v_shortfalls := v_shortfalls || jsonb_build_object(
+        'product_id', v_line.product_id,
+        'sku', (SELECT sku FROM products WHERE id = v_line.product_id),
+        'name', (SELECT name FROM products WHERE id = v_line.product_id),
+        'requested', v_line.quantity,
+        'available', COALESCE(v_inventory.available_stock, 0),
+        'shortfall', v_line.quantity - COALESCE(v_inventory.available_stock, 0)
+      );
+    ELSE
+      v_reservations := v_reservations || jsonb_build_object(
+        'inventory_id', v_inventory.id,
+        'quantity', v_line.quantity
+      );
+    END IF;
+  END LOOP;
+
+  -- All-or-nothing: nothing is written if any line is short
+  IF jsonb_array_length(v_shortfalls) > 0 THEN
+    RETURN jsonb_build_object('success', false, 'shortfalls', v_shortfalls);
+  END IF;
+
+  -- STEP 2: Insert the order using only the supplied columns so
+  -- column defaults (id, order_number, timestamps) still apply
+  SELECT string_agg(quote_ident(key), ', ') INTO v_columns
+  FROM jsonb_object_keys(p_order) AS key;
+
+  EXECUTE format(
+    'INSERT INTO orders (%s) SELECT %s FROM jsonb_populate_record(NULL::orders, $1) RETURNING id, order_number',
+    v_columns, v_columns
+  ) INTO v_order_id, v_order_number USING p_order;
+
+  -- STEP 3: Insert order items
+  INSERT INTO order_items (order_id, product_id, quantity, unit_price)
+  SELECT v_order_id,
+         (item->>'product_id')::UUID,
+         (item->>'quantity')::INTEGER,
+         COALESCE((item->>'unit_price')::NUMERIC, 0)
+  FROM jsonb_array_elements(p_items) AS item;
+
+  -- STEP 4: Reserve stock (available → reserved) on the locked rows
+  FOR v_reservation IN SELECT * FROM jsonb_array_elements(v_reservations)
+  LOOP
+    PERFORM update_inventory_atomic(
+      (v_reservation->>'inventory_id')::UUID,
+      (v_reservation->>'quantity')::INTEGER,
+      0,
+      -(v_reservation->>'quantity')::INTEGER
+    );
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'order_id', v_order_id,
+    'order_number', v_order_number
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION create_order_with_reservation(JSONB, JSONB) IS
+  'Creates an order with items and reserves stock for all lines atomically. Returns {success, order_id} or {success: false, shortfalls}.';
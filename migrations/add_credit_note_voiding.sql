@@ -0,0 +1,22 @@
+-- =====================================================
+-- CREDIT NOTE VOIDING
+-- =====================================================
+-- Voiding a credit note reverses its applications instead of
+-- deleting them, so the history of what was credited stays intact.
+--
+-- Requires: add_returns_rma.sql (credit_note_applications,
+-- credit_note_number_seq)
+-- =====================================================
+
+ALTER TABLE credit_notes ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP;
+ALTER TABLE credit_notes ADD COLUMN IF NOT EXISTS voided_by UUID REFERENCES user_profiles(id);
+ALTER TABLE credit_notes ADD COLUMN IF NOT EXISTS void_reason TEXT;
+
+ALTER TABLE credit_note_applications ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE credit_note_applications ADD COLUMN IF NOT EXISTS reversed_by UUID REFERENCES user_profiles(id);
+
+CREATE INDEX IF NOT EXISTS idx_credit_note_applications_active
+  ON credit_note_applications(credit_note_id)
+  WHERE reversed_at IS NULL;
+
+COMMENT ON COLUMN credit_note_applications.reversed_at IS 'Set when the credit note is voided and this amount is added back to the invoice balance.';
@@ -0,0 +1,165 @@
+-- =====================================================
+-- CYCLE COUNTING AND REASON-CODED STOCK ADJUSTMENTS
+-- =====================================================
+-- Cycle counts replace ad-hoc +/- adjustments for checking stock:
+--   1. A count is generated for a warehouse by bin, by SKU velocity
+--      class (ABC) or as a random sample, one line per SKU (or SKU in a bin)
+--   2. Counters enter what they find without seeing the system quantity
+--   3. On submit each line's variance is taken against current stock;
+--      variances above the approval threshold wait for a supervisor
+--   4. Approved variances are posted as stock adjustments
+--
+-- Every inventory change is already written to inventory_audit by
+-- log_inventory_change(). adjust_inventory_stock() makes that audit row
+-- carry the reason: it sets transaction-local settings that the trigger
+-- reads (action, reason code, reference, user, note), so adjustments
+-- are traceable to the count line that caused them.
+--
+-- Requires: fix_critical_bugs_FINAL_v3.sql (inventory_audit),
+--           add_warehouse_locations.sql, add_multi_warehouse.sql
+-- =====================================================
+
+-- STEP 1: Reason and reference on audit rows
+ALTER TABLE inventory_audit ADD COLUMN IF NOT EXISTS reason_code VARCHAR(50);
+ALTER TABLE inventory_audit ADD COLUMN IF NOT EXISTS reference_type VARCHAR(50);
+ALTER TABLE inventory_audit ADD COLUMN IF NOT EXISTS reference_id UUID;
+ALTER TABLE inventory_audit ADD COLUMN IF NOT EXISTS note TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_audit_reference ON inventory_audit(reference_type, reference_id);
+
+-- STEP 2: Audit trigger picks up the context set by adjust_inventory_stock
+-- Changes made without it are logged as before ('update', no reason)
+CREATE OR REPLACE FUNCTION log_inventory_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO inventory_audit (
+    inventory_id, action, quantity_change,
+    available_before, reserved_before, dispatched_before,
+    available_after, reserved_after, dispatched_after,
+    changed_by, reason_code, reference_type, reference_id, note
+  ) VALUES (
+    NEW.id,
+    COALESCE(NULLIF(current_setting('wms.audit_action', true), ''), 'update'),
+    COALESCE(NEW.available_stock - OLD.available_stock, 0) +
+    COALESCE(NEW.reserved_stock - OLD.reserved_stock, 0) +
+    COALESCE(NEW.dispatched_stock - OLD.dispatched_stock, 0),
+    OLD.available_stock, OLD.reserved_stock, OLD.dispatched_stock,
+    NEW.available_stock, NEW.reserved_stock, NEW.dispatched_stock,
+    NULLIF(current_setting('wms.audit_user', true), '')::UUID,
+    NULLIF(current_setting('wms.audit_reason', true), ''),
+    NULLIF(current_setting('wms.audit_reference_type', true), ''),
+    NULLIF(current_setting('wms.audit_reference_id', true), '')::UUID,
+    NULLIF(current_setting('wms.audit_note', true), '')
+  );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 3: Add or remove available stock with a reason
+-- Only available units can be written off; reserved units belong to orders.
+CREATE OR REPLACE FUNCTION adjust_inventory_stock(
+  p_inventory_id UUID,
+  p_delta INTEGER,
+  p_action VARCHAR,
+  p_reason_code VARCHAR DEFAULT NULL,
+  p_reference_type VARCHAR DEFAULT NULL,
+  p_reference_id UUID DEFAULT NULL,
+  p_user_id UUID DEFAULT NULL,
+  p_note TEXT DEFAULT NULL
+)
+RETURNS inventory AS $$
+DECLARE
+  v_inventory inventory;
+BEGIN
+  PERFORM set_config('wms.audit_action', COALESCE(p_action, ''), true);
+  PERFORM set_config('wms.audit_reason', COALESCE(p_reason_code, ''), true);
+  PERFORM set_config('wms.audit_reference_type', COALESCE(p_reference_type, ''), true);
+  PERFORM set_config('wms.audit_reference_id', COALESCE(p_reference_id::TEXT, ''), true);
+  PERFORM set_config('wms.audit_user', COALESCE(p_user_id::TEXT, ''), true);
+  PERFORM set_config('wms.audit_note', COALESCE(p_note, ''), true);
+
+  UPDATE inventory
+  SET
+    available_stock = available_stock + p_delta,
+    total_stock = total_stock + p_delta,
+    last_updated = NOW(),
+    updated_at = NOW()
+  WHERE id = p_inventory_id
+    AND available_stock + p_delta >= 0
+  RETURNING * INTO v_inventory;
+
+  IF NOT FOUND THEN
+    IF EXISTS (SELECT 1 FROM inventory WHERE id = p_inventory_id) THEN
+      RAISE EXCEPTION 'Insufficient available stock: cannot remove % units', -p_delta;
+    END IF;
+    RAISE EXCEPTION 'Inventory % not found', p_inventory_id;
+  END IF;
+
+  RETURN v_inventory;
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 4: Document numbering
+CREATE SEQUENCE IF NOT EXISTS cycle_count_number_seq START 1;
+
+-- STEP 5: Counts
+CREATE TABLE IF NOT EXISTS cycle_counts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  count_number VARCHAR(50) UNIQUE NOT NULL
+    DEFAULT 'CC-' || LPAD(nextval('cycle_count_number_seq')::TEXT, 6, '0'),
+  warehouse_id UUID NOT NULL REFERENCES warehouses(id) ON DELETE RESTRICT,
+  -- Limit the count to one client's stock (NULL = every client)
+  client_id UUID REFERENCES clients(id) ON DELETE SET NULL,
+
+  method VARCHAR(20) NOT NULL CHECK (method IN ('bin', 'abc', 'random')),
+  -- What the count was generated from: bins, ABC class and window, sample size
+  criteria JSONB NOT NULL DEFAULT '{}',
+  -- posting: claimed by one submit/review while its variances are posted
+  status VARCHAR(20) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'review', 'posting', 'completed', 'cancelled')),
+  notes TEXT,
+
+  created_by UUID REFERENCES user_profiles(id),
+  submitted_by UUID REFERENCES user_profiles(id),
+  submitted_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- STEP 6: Count lines - one SKU, or one SKU in one bin
+CREATE TABLE IF NOT EXISTS cycle_count_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  cycle_count_id UUID NOT NULL REFERENCES cycle_counts(id) ON DELETE CASCADE,
+  inventory_id UUID NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  -- Bin counted (bin counts); NULL counts the SKU's whole on-hand stock
+  location_id UUID REFERENCES warehouse_locations(id) ON DELETE SET NULL,
+
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'counted', 'pending_approval', 'approved', 'rejected', 'posted')),
+  counted_quantity INTEGER CHECK (counted_quantity >= 0),
+  counted_by UUID REFERENCES user_profiles(id),
+  counted_at TIMESTAMP WITH TIME ZONE,
+  -- System quantity and variance, taken when the count is submitted
+  expected_quantity INTEGER,
+  variance INTEGER,
+  requires_approval BOOLEAN NOT NULL DEFAULT false,
+  reviewed_by UUID REFERENCES user_profiles(id),
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  review_note TEXT,
+  posted_at TIMESTAMP WITH TIME ZONE,
+  post_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_cycle_counts_warehouse ON cycle_counts(warehouse_id);
+CREATE INDEX IF NOT EXISTS idx_cycle_counts_status ON cycle_counts(status);
+CREATE INDEX IF NOT EXISTS idx_cycle_count_lines_count ON cycle_count_lines(cycle_count_id);
+CREATE INDEX IF NOT EXISTS idx_cycle_count_lines_inventory ON cycle_count_lines(inventory_id);
+
+-- STEP 7: RLS - counts are only read through the admin client
+ALTER TABLE cycle_counts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cycle_count_lines ENABLE ROW LEVEL SECURITY;
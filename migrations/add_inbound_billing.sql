@@ -0,0 +1,83 @@
+-- =====================================================
+-- RECEIVING CHARGES BILLED FROM INBOUND LOGS
+-- =====================================================
+-- Monthly invoices itemize one receiving charge per inbound log that
+-- was marked 'received' in the billing period, priced with the client's
+-- rate card:
+--   unit   -> quantity x receiving_per_unit
+--   carton -> carton_count x receiving_per_carton
+--   pallet -> pallet_count x receiving_per_pallet
+--
+-- A billed inbound log is linked to its invoice (invoice_id, like
+-- orders). Once that invoice is sent/partial/paid the log can no longer
+-- be edited or deleted. Draft invoices do not lock.
+--
+-- Requires: add_rate_cards.sql (rate_cards), invoices
+-- =====================================================
+
+-- STEP 1: Receiving details and invoice link on inbound logs
+ALTER TABLE inbound_logs ADD COLUMN IF NOT EXISTS carton_count INTEGER CHECK (carton_count >= 0);
+ALTER TABLE inbound_logs ADD COLUMN IF NOT EXISTS pallet_count INTEGER CHECK (pallet_count >= 0);
+ALTER TABLE inbound_logs ADD COLUMN IF NOT EXISTS received_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE inbound_logs ADD COLUMN IF NOT EXISTS invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL;
+ALTER TABLE inbound_logs ADD COLUMN IF NOT EXISTS invoiced_in VARCHAR(50);
+
+-- Logs already received were received on their received_date
+UPDATE inbound_logs
+SET received_at = received_date
+WHERE status = 'received' AND received_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_inbound_logs_billing
+  ON inbound_logs(client_id, received_at)
+  WHERE status = 'received' AND invoice_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_inbound_logs_invoice ON inbound_logs(invoice_id);
+
+-- STEP 2: Receiving rates
+ALTER TABLE rate_cards ADD COLUMN IF NOT EXISTS receiving_billing_method VARCHAR(20) NOT NULL DEFAULT 'unit';
+ALTER TABLE rate_cards ADD COLUMN IF NOT EXISTS receiving_per_carton NUMERIC(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE rate_cards ADD COLUMN IF NOT EXISTS receiving_per_pallet NUMERIC(10,2) NOT NULL DEFAULT 0;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'chk_rate_card_receiving_method'
+  ) THEN
+    ALTER TABLE rate_cards ADD CONSTRAINT chk_rate_card_receiving_method
+      CHECK (receiving_billing_method IN ('unit', 'carton', 'pallet'));
+  END IF;
+END $$;
+
+-- STEP 3: Billed inbound logs are immutable once the invoice leaves draft
+CREATE OR REPLACE FUNCTION prevent_invoiced_inbound_edit()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_invoice RECORD;
+BEGIN
+  IF OLD.invoice_id IS NULL THEN
+    RETURN COALESCE(NEW, OLD);
+  END IF;
+
+  SELECT invoice_number, status INTO v_invoice
+  FROM invoices
+  WHERE id = OLD.invoice_id;
+
+  IF NOT FOUND OR v_invoice.status IN ('draft', 'void') THEN
+    RETURN COALESCE(NEW, OLD);
+  END IF;
+
+  -- Unlinking happens when the invoice itself is deleted (ON DELETE SET NULL)
+  IF TG_OP = 'UPDATE' AND NEW.invoice_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  RAISE EXCEPTION 'Inbound log is locked because it has been invoiced (%).', v_invoice.invoice_number;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_prevent_invoiced_inbound_edit ON inbound_logs;
+
+CREATE TRIGGER trigger_prevent_invoiced_inbound_edit
+BEFORE UPDATE OR DELETE ON inbound_logs
+FOR EACH ROW
+EXECUTE FUNCTION prevent_invoiced_inbound_edit();
@@ -0,0 +1,131 @@
+-- =====================================================
+-- INVENTORY LEDGER AND POINT-IN-TIME STOCK
+-- =====================================================
+-- inventory_audit (written by log_inventory_change()) is the stock
+-- ledger behind GET /api/inventory/:id/ledger and
+-- GET /api/inventory/as-of. Two gaps are closed here:
+--   - Rows changed in one transaction share changed_at (NOW() is the
+--     transaction start), so entries get a sequence number that keeps
+--     them in the order they were written
+--   - Inventory rows created with stock (first receipt, transfer into a
+--     new warehouse) were never logged; inserts are now logged too, as
+--     a movement from zero
+--
+-- inventory_stock_as_of() rebuilds stock at a past moment: the "before"
+-- values of the first entry after it, or the current values when the
+-- row has not changed since.
+--
+-- Requires: add_cycle_counts.sql (log_inventory_change with audit context)
+-- =====================================================
+
+-- STEP 1: Write order of ledger entries
+ALTER TABLE inventory_audit ADD COLUMN IF NOT EXISTS sequence_no BIGSERIAL;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_audit_inventory_sequence ON inventory_audit(inventory_id, sequence_no);
+CREATE INDEX IF NOT EXISTS idx_inventory_audit_changed_at ON inventory_audit(changed_at);
+
+-- STEP 2: Log inserts as a movement from zero
+CREATE OR REPLACE FUNCTION log_inventory_change()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_available_before INTEGER := 0;
+  v_reserved_before INTEGER := 0;
+  v_dispatched_before INTEGER := 0;
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    v_available_before := COALESCE(OLD.available_stock, 0);
+    v_reserved_before := COALESCE(OLD.reserved_stock, 0);
+    v_dispatched_before := COALESCE(OLD.dispatched_stock, 0);
+  END IF;
+
+  INSERT INTO inventory_audit (
+    inventory_id, action, quantity_change,
+    available_before, reserved_before, dispatched_before,
+    available_after, reserved_after, dispatched_after,
+    changed_by, reason_code, reference_type, reference_id, note
+  ) VALUES (
+    NEW.id,
+    COALESCE(NULLIF(current_setting('wms.audit_action', true), ''), 'update'),
+    (COALESCE(NEW.available_stock, 0) - v_available_before) +
+    (COALESCE(NEW.reserved_stock, 0) - v_reserved_before) +
+    (COALESCE(NEW.dispatched_stock, 0) - v_dispatched_before),
+    v_available_before, v_reserved_before, v_dispatched_before,
+    NEW.available_stock, NEW.reserved_stock, NEW.dispatched_stock,
+    NULLIF(current_setting('wms.audit_user', true), '')::UUID,
+    NULLIF(current_setting('wms.audit_reason', true), ''),
+    NULLIF(current_setting('wms.audit_reference_type', true), ''),
+    NULLIF(current_setting('wms.audit_reference_id', true), '')::UUID,
+    NULLIF(current_setting('wms.audit_note', true), '')
+  );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_inventory_audit_insert ON inventory;
+CREATE TRIGGER trg_inventory_audit_insert
+  AFTER INSERT ON inventory
+  FOR EACH ROW
+  WHEN (
+    COALESCE(NEW.available_stock, 0) <> 0 OR
+    COALESCE(NEW.reserved_stock, 0) <> 0 OR
+    COALESCE(NEW.dispatched_stock, 0) <> 0
+  )
+  EXECUTE FUNCTION log_inventory_change();
+
+-- STEP 3: Stock of every inventory row at a past moment
+-- Rows created after p_as_of are left out (they held nothing then).
+CREATE OR REPLACE FUNCTION inventory_stock_as_of(
+  p_as_of TIMESTAMP WITH TIME ZONE,
+  p_client_id UUID DEFAULT NULL,
+  p_warehouse_id UUID DEFAULT NULL,
+  p_product_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  inventory_id UUID,
+  client_id UUID,
+  client_name VARCHAR,
+  product_id UUID,
+  product_name VARCHAR,
+  product_sku VARCHAR,
+  warehouse_id UUID,
+  warehouse_code VARCHAR,
+  warehouse_name VARCHAR,
+  available_stock INTEGER,
+  reserved_stock INTEGER,
+  dispatched_stock INTEGER
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    i.id,
+    i.client_id,
+    c.company_name::VARCHAR,
+    i.product_id,
+    p.name::VARCHAR,
+    p.sku::VARCHAR,
+    i.warehouse_id,
+    w.code::VARCHAR,
+    w.name::VARCHAR,
+    COALESCE(next_entry.available_before, i.available_stock)::INTEGER,
+    COALESCE(next_entry.reserved_before, i.reserved_stock)::INTEGER,
+    COALESCE(next_entry.dispatched_before, i.dispatched_stock)::INTEGER
+  FROM inventory i
+  JOIN clients c ON c.id = i.client_id
+  JOIN products p ON p.id = i.product_id
+  LEFT JOIN warehouses w ON w.id = i.warehouse_id
+  LEFT JOIN LATERAL (
+    SELECT a.available_before, a.reserved_before, a.dispatched_before
+    FROM inventory_audit a
+    WHERE a.inventory_id = i.id
+      AND a.changed_at > p_as_of
+    ORDER BY a.sequence_no
+    LIMIT 1
+  ) next_entry ON true
+  WHERE (i.created_at IS NULL OR i.created_at <= p_as_of)
+    AND (p_client_id IS NULL OR i.client_id = p_client_id)
+    AND (p_warehouse_id IS NULL OR i.warehouse_id = p_warehouse_id)
+    AND (p_product_id IS NULL OR i.product_id = p_product_id)
+  -- i.id keeps the order stable so callers can page through the result
+  ORDER BY c.company_name, p.sku, w.code, i.id;
+END;
+$$ LANGUAGE plpgsql STABLE;
@@ -0,0 +1,543 @@
+-- =====================================================
+-- LOT / BATCH AND EXPIRY TRACKING WITH FEFO ALLOCATION
+-- =====================================================
+-- inventory stays one row per client/product/warehouse (the totals every
+-- other module works with). inventory_lots splits that stock by lot:
+--   SUM(inventory_lots.quantity) <= available_stock + reserved_stock
+-- Stock received without a lot number is "unlotted" and is allocated
+-- after every lot, as if it never expires.
+--
+-- Orders allocate lots first-expired-first-out when they are created
+-- (create_order_with_reservation). order_item_lots records which lots
+-- each order line was given, so shipping takes exactly those units and
+-- a lot can be traced to the orders it went out on. Expired lots are
+-- never allocated and do not count as available for new orders.
+--
+-- Lot quantities only change through the functions below:
+--   adjust_lot_stock        - receive into / remove from one lot
+--   allocate_order_lots     - reserve lots FEFO for a new order
+--   ship_order_lots         - shipped units leave their allocated lots
+--   release_order_lots      - give allocated units back (cancel/release)
+--   consume_lot_stock_fefo  - take unreserved units out of lots (write-offs, transfers)
+--
+-- Requires: add_multi_warehouse.sql
+-- =====================================================
+
+-- STEP 1: Lot captured on receipts
+ALTER TABLE inbound_logs ADD COLUMN IF NOT EXISTS lot_number VARCHAR(100);
+ALTER TABLE inbound_logs ADD COLUMN IF NOT EXISTS expiry_date DATE;
+
+-- STEP 2: Stock per lot
+CREATE TABLE IF NOT EXISTS inventory_lots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  inventory_id UUID NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  warehouse_id UUID NOT NULL REFERENCES warehouses(id) ON DELETE RESTRICT,
+  lot_number VARCHAR(100) NOT NULL,
+  expiry_date DATE,
+  -- On hand in this lot, including units reserved for open orders
+  quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+  reserved_quantity INTEGER NOT NULL DEFAULT 0 CHECK (reserved_quantity >= 0),
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT chk_lot_reserved CHECK (reserved_quantity <= quantity),
+  CONSTRAINT uq_inventory_lot UNIQUE (inventory_id, lot_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_lots_inventory ON inventory_lots(inventory_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_lots_expiry ON inventory_lots(expiry_date) WHERE quantity > 0;
+
+-- STEP 3: Lots allocated to order lines
+CREATE TABLE IF NOT EXISTS order_item_lots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  lot_id UUID NOT NULL REFERENCES inventory_lots(id) ON DELETE CASCADE,
+  -- Still reserved in the lot / already shipped from it
+  quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+  shipped_quantity INTEGER NOT NULL DEFAULT 0 CHECK (shipped_quantity >= 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_order_item_lot UNIQUE (order_item_id, lot_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_item_lots_order ON order_item_lots(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_item_lots_lot ON order_item_lots(lot_id);
+
+-- STEP 4: Receive into / remove from one lot
+-- Returns the lot ID. A lot keeps the expiry date it was first received with.
+CREATE OR REPLACE FUNCTION adjust_lot_stock(
+  p_inventory_id UUID,
+  p_lot_number TEXT,
+  p_expiry_date DATE,
+  p_delta INTEGER
+)
+RETURNS UUID AS $$
+DECLARE
+  v_inventory RECORD;
+  v_lot RECORD;
+  v_lotted INTEGER;
+  v_lot_id UUID;
+BEGIN
+  SELECT * INTO v_inventory FROM inventory WHERE id = p_inventory_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Inventory % not found', p_inventory_id;
+  END IF;
+
+  SELECT * INTO v_lot
+  FROM inventory_lots
+  WHERE inventory_id = p_inventory_id AND lot_number = p_lot_number
+  FOR UPDATE;
+
+  IF FOUND AND p_expiry_date IS NOT NULL AND v_lot.expiry_date IS DISTINCT FROM p_expiry_date THEN
+    RAISE EXCEPTION 'Lot % is already recorded with expiry date %', p_lot_number, COALESCE(v_lot.expiry_date::TEXT, 'none');
+  END IF;
+
+  IF NOT FOUND AND p_delta < 0 THEN
+    RAISE EXCEPTION 'Lot % not found', p_lot_number;
+  END IF;
+
+  IF FOUND AND v_lot.quantity + p_delta < v_lot.reserved_quantity THEN
+    RAISE EXCEPTION 'Lot % has only % unreserved units', p_lot_number, v_lot.quantity - v_lot.reserved_quantity;
+  END IF;
+
+  IF p_delta > 0 THEN
+    SELECT COALESCE(SUM(quantity), 0) INTO v_lotted
+    FROM inventory_lots WHERE inventory_id = p_inventory_id;
+
+    IF v_lotted + p_delta > v_inventory.available_stock + v_inventory.reserved_stock THEN
+      RAISE EXCEPTION 'Cannot record more stock in lots than is on hand';
+    END IF;
+  END IF;
+
+  INSERT INTO inventory_lots (inventory_id, client_id, product_id, warehouse_id, lot_number, expiry_date, quantity)
+  VALUES (p_inventory_id, v_inventory.client_id, v_inventory.product_id, v_inventory.warehouse_id, p_lot_number, p_expiry_date, p_delta)
+  ON CONFLICT (inventory_id, lot_number)
+  DO UPDATE SET quantity = inventory_lots.quantity + p_delta, updated_at = NOW()
+  RETURNING id INTO v_lot_id;
+
+  RETURN v_lot_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 5: Reserve lots first-expired-first-out for every line of an order
+-- Lots with the earliest expiry go first, then lots without an expiry;
+-- whatever is left of a line is served from unlotted stock.
+CREATE OR REPLACE FUNCTION allocate_order_lots(p_order_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_item RECORD;
+  v_lot RECORD;
+  v_remaining INTEGER;
+  v_take INTEGER;
+BEGIN
+  FOR v_item IN
+    SELECT oi.id, oi.quantity, i.id AS inventory_id
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    JOIN inventory i ON i.product_id = oi.product_id
+      AND i.client_id = o.client_id
+      AND i.warehouse_id = o.warehouse_id
+    WHERE oi.order_id = p_order_id
+    ORDER BY oi.product_id
+  LOOP
+    v_remaining := v_item.quantity;
+
+    FOR v_lot IN
+      SELECT id, quantity - reserved_quantity AS free
+      FROM inventory_lots
+      WHERE inventory_id = v_item.inventory_id
+        AND quantity > reserved_quantity
+        AND (expiry_date IS NULL OR expiry_date >= CURRENT_DATE)
+      ORDER BY expiry_date NULLS LAST, received_at, lot_number
+      FOR UPDATE
+    LOOP
+      EXIT WHEN v_remaining <= 0;
+      v_take := LEAST(v_lot.free, v_remaining);
+
+      UPDATE inventory_lots
+      SET reserved_quantity = reserved_quantity + v_take, updated_at = NOW()
+      WHERE id = v_lot.id;
+
+      INSERT INTO order_item_lots (order_id, order_item_id, lot_id, quantity)
+      VALUES (p_order_id, v_item.id, v_lot.id, v_take)
+      ON CONFLICT (order_item_id, lot_id)
+      DO UPDATE SET quantity = order_item_lots.quantity + EXCLUDED.quantity;
+
+      v_remaining := v_remaining - v_take;
+    END LOOP;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 6: Shipped units leave the lots allocated to the order (earliest expiry first)
+-- Units beyond the allocation came from unlotted stock
+CREATE OR REPLACE FUNCTION ship_order_lots(
+  p_order_id UUID,
+  p_product_id UUID,
+  p_quantity INTEGER
+)
+RETURNS INTEGER AS $$
+DECLARE
+  v_row RECORD;
+  v_remaining INTEGER := p_quantity;
+  v_take INTEGER;
+BEGIN
+  FOR v_row IN
+    SELECT oil.id, oil.lot_id, oil.quantity
+    FROM order_item_lots oil
+    JOIN order_items oi ON oi.id = oil.order_item_id
+    JOIN inventory_lots l ON l.id = oil.lot_id
+    WHERE oil.order_id = p_order_id
+      AND oi.product_id = p_product_id
+      AND oil.quantity > 0
+    ORDER BY l.expiry_date NULLS LAST, l.received_at
+    FOR UPDATE OF oil, l
+  LOOP
+    EXIT WHEN v_remaining <= 0;
+    v_take := LEAST(v_row.quantity, v_remaining);
+
+    UPDATE inventory_lots
+    SET quantity = quantity - v_take,
+        reserved_quantity = reserved_quantity - v_take,
+        updated_at = NOW()
+    WHERE id = v_row.lot_id;
+
+    UPDATE order_item_lots
+    SET quantity = quantity - v_take, shipped_quantity = shipped_quantity + v_take
+    WHERE id = v_row.id;
+
+    v_remaining := v_remaining - v_take;
+  END LOOP;
+
+  RETURN p_quantity - v_remaining;
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 7: Give allocated units back to their lots
+-- p_product_id / p_quantity NULL releases everything still allocated to the order.
+-- Latest-expiring allocations are released first so the order keeps its oldest stock.
+CREATE OR REPLACE FUNCTION release_order_lots(
+  p_order_id UUID,
+  p_product_id UUID DEFAULT NULL,
+  p_quantity INTEGER DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+  v_row RECORD;
+  v_released INTEGER := 0;
+  v_take INTEGER;
+BEGIN
+  FOR v_row IN
+    SELECT oil.id, oil.lot_id, oil.quantity
+    FROM order_item_lots oil
+    JOIN order_items oi ON oi.id = oil.order_item_id
+    JOIN inventory_lots l ON l.id = oil.lot_id
+    WHERE oil.order_id = p_order_id
+      AND (p_product_id IS NULL OR oi.product_id = p_product_id)
+      AND oil.quantity > 0
+    ORDER BY l.expiry_date DESC NULLS FIRST, l.received_at DESC
+    FOR UPDATE OF oil, l
+  LOOP
+    EXIT WHEN p_quantity IS NOT NULL AND v_released >= p_quantity;
+    v_take := CASE WHEN p_quantity IS NULL THEN v_row.quantity ELSE LEAST(v_row.quantity, p_quantity - v_released) END;
+
+    UPDATE inventory_lots
+    SET reserved_quantity = reserved_quantity - v_take, updated_at = NOW()
+    WHERE id = v_row.lot_id;
+
+    UPDATE order_item_lots SET quantity = quantity - v_take WHERE id = v_row.id;
+
+    v_released := v_released + v_take;
+  END LOOP;
+
+  DELETE FROM order_item_lots
+  WHERE order_id = p_order_id AND quantity = 0 AND shipped_quantity = 0;
+
+  RETURN v_released;
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 8: Take unreserved units out of lots, earliest expiry first
+-- Returns the lots taken from: [{ lot_number, expiry_date, quantity }]
+CREATE OR REPLACE FUNCTION consume_lot_stock_fefo(
+  p_inventory_id UUID,
+  p_quantity INTEGER,
+  p_include_expired BOOLEAN DEFAULT true
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_lot RECORD;
+  v_remaining INTEGER := p_quantity;
+  v_take INTEGER;
+  v_taken JSONB := '[]'::JSONB;
+BEGIN
+  FOR v_lot IN
+    SELECT id, lot_number, expiry_date, quantity - reserved_quantity AS free
+    FROM inventory_lots
+    WHERE inventory_id = p_inventory_id
+      AND quantity > reserved_quantity
+      AND (p_include_expired OR expiry_date IS NULL OR expiry_date >= CURRENT_DATE)
+    ORDER BY expiry_date NULLS LAST, received_at, lot_number
+    FOR UPDATE
+  LOOP
+    EXIT WHEN v_remaining <= 0;
+    v_take := LEAST(v_lot.free, v_remaining);
+
+    UPDATE inventory_lots
+    SET quantity = quantity - v_take, updated_at = NOW()
+    WHERE id = v_lot.id;
+
+    v_taken := v_taken || jsonb_build_object(
+      'lot_number', v_lot.lot_number,
+      'expiry_date', v_lot.expiry_date,
+      'quantity', v_take
+    );
+    v_remaining := v_remaining - v_take;
+  END LOOP;
+
+  RETURN v_taken;
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 9: Order reservation allocates lots and ignores expired stock
+CREATE OR REPLACE FUNCTION create_order_with_reservation(
+  p_order JSONB,
+  p_items JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_client_id UUID := (p_order->>'client_id')::UUID;
+  v_warehouse_id UUID := COALESCE((p_order->>'warehouse_id')::UUID, default_warehouse_id());
+  v_line RECORD;
+  v_inventory RECORD;
+  v_sellable INTEGER;
+  v_shortfalls JSONB := '[]'::JSONB;
+  v_reservations JSONB := '[]'::JSONB;
+  v_columns TEXT;
+  v_order_id UUID;
+  v_order_number TEXT;
+  v_reservation JSONB;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'At least one item is required';
+  END IF;
+
+  p_order := p_order || jsonb_build_object('warehouse_id', v_warehouse_id);
+
+  -- STEP 1: Lock inventory rows (sorted by product to avoid deadlocks)
+  -- and collect every line that cannot be reserved
+  FOR v_line IN
+    SELECT (item->>'product_id')::UUID AS product_id,
+           SUM((item->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) AS item
+    GROUP BY 1
+    ORDER BY 1
+  LOOP
+    SELECT id, available_stock INTO v_inventory
+    FROM inventory
+    WHERE product_id = v_line.product_id
+      AND client_id = v_client_id
+      AND warehouse_id = v_warehouse_id
+    FOR UPDATE;
+
+    -- Unreserved units of expired lots cannot be sold
+    v_sellable := CASE WHEN FOUND THEN v_inventory.available_stock - COALESCE((
+      SELECT SUM(quantity - reserved_quantity)
+      FROM inventory_lots
+      WHERE inventory_id = v_inventory.id AND expiry_date < CURRENT_DATE
+    ), 0) ELSE 0 END;
+
+    IF v_sellable < v_line.quantity THEN
+      v_shortfalls := v_shortfalls || jsonb_build_object(
+        'product_id', v_line.product_id,
+        'sku', (SELECT sku FROM products WHERE id = v_line.product_id),
+        'name', (SELECT name FROM products WHERE id = v_line.product_id),
+        'requested', v_line.quantity,
+        'available', GREATEST(v_sellable, 0),
+        'shortfall', v_line.quantity - GREATEST(v_sellable, 0)
+      );
+    ELSE
+      v_reservations := v_reservations || jsonb_build_object(
+        'inventory_id', v_inventory.id,
+        'quantity', v_line.quantity
+      );
+    END IF;
+  END LOOP;
+
+  -- All-or-nothing: nothing is written if any line is short
+  IF jsonb_array_length(v_shortfalls) > 0 THEN
+    RETURN jsonb_build_object('success', false, 'shortfalls', v_shortfalls);
+  END IF;
+
+  -- STEP 2: Insert the order using only the supplied columns so
+  -- column defaults (id, order_number, timestamps) still apply
+  SELECT string_agg(quote_ident(key), ', ') INTO v_columns
+  FROM jsonb_object_keys(p_order) AS key;
+
+  EXECUTE format(
+    'INSERT INTO orders (%s) SELECT %s FROM jsonb_populate_record(NULL::orders, $1) RETURNING id, order_number',
+    v_columns, v_columns
+  ) INTO v_order_id, v_order_number USING p_order;
+
+  -- STEP 3: Insert order items
+  INSERT INTO order_items (order_id, product_id, quantity, unit_price)
+  SELECT v_order_id,
+         (item->>'product_id')::UUID,
+         (item->>'quantity')::INTEGER,
+         COALESCE((item->>'unit_price')::NUMERIC, 0)
+  FROM jsonb_array_elements(p_items) AS item;
+
+  -- STEP 4: Reserve stock (available → reserved) on the locked rows
+  FOR v_reservation IN SELECT * FROM jsonb_array_elements(v_reservations)
+  LOOP
+    PERFORM update_inventory_atomic(
+      (v_reservation->>'inventory_id')::UUID,
+      (v_reservation->>'quantity')::INTEGER,
+      0,
+      -(v_reservation->>'quantity')::INTEGER
+    );
+  END LOOP;
+
+  -- STEP 5: Allocate lots first-expired-first-out
+  PERFORM allocate_order_lots(v_order_id);
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'order_id', v_order_id,
+    'order_number', v_order_number,
+    'warehouse_id', v_warehouse_id
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Cancellation also releases the order's lot allocations
+CREATE OR REPLACE FUNCTION cancel_order_safe(p_order_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_item RECORD;
+BEGIN
+  PERFORM release_order_lots(p_order_id);
+
+  FOR v_item IN
+    SELECT oi.product_id, oi.quantity, o.client_id, o.warehouse_id
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE oi.order_id = p_order_id
+  LOOP
+    UPDATE inventory
+    SET
+      available_stock = available_stock + v_item.quantity,
+      reserved_stock = reserved_stock - v_item.quantity,
+      last_updated = NOW(),
+      updated_at = NOW()
+    WHERE product_id = v_item.product_id
+      AND client_id = v_item.client_id
+      AND warehouse_id = v_item.warehouse_id
+      AND reserved_stock >= v_item.quantity;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Cannot cancel order: insufficient reserved stock for product %', v_item.product_id;
+    END IF;
+  END LOOP;
+
+  UPDATE orders
+  SET status = 'cancelled', updated_at = NOW()
+  WHERE id = p_order_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 10: Lots travel with transfer orders
+-- Shipping takes unexpired lots FEFO and records them on the line;
+-- receiving recreates the same lots in the destination warehouse.
+ALTER TABLE warehouse_transfer_lines ADD COLUMN IF NOT EXISTS lots JSONB NOT NULL DEFAULT '[]'::JSONB;
+
+CREATE OR REPLACE FUNCTION ship_warehouse_transfer(p_transfer_id UUID, p_user_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_transfer RECORD;
+  v_line RECORD;
+  v_inventory_id UUID;
+BEGIN
+  SELECT * INTO v_transfer FROM warehouse_transfers WHERE id = p_transfer_id FOR UPDATE;
+
+  IF NOT FOUND OR v_transfer.status <> 'pending' THEN
+    RAISE EXCEPTION 'Transfer is not pending';
+  END IF;
+
+  FOR v_line IN
+    SELECT * FROM warehouse_transfer_lines WHERE transfer_id = p_transfer_id ORDER BY product_id
+  LOOP
+    SELECT id INTO v_inventory_id
+    FROM inventory
+    WHERE product_id = v_line.product_id
+      AND client_id = v_transfer.client_id
+      AND warehouse_id = v_transfer.from_warehouse_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'No stock of product % in the source warehouse', v_line.product_id;
+    END IF;
+
+    -- Raises 'Insufficient stock' when available is too low
+    PERFORM apply_inventory_movement(v_inventory_id, -v_line.quantity, 0, 0);
+
+    UPDATE warehouse_transfer_lines
+    SET lots = consume_lot_stock_fefo(v_inventory_id, v_line.quantity, false)
+    WHERE id = v_line.id;
+  END LOOP;
+
+  UPDATE warehouse_transfers
+  SET status = 'in_transit', shipped_by = p_user_id, shipped_at = NOW(), updated_at = NOW()
+  WHERE id = p_transfer_id;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION receive_warehouse_transfer(p_transfer_id UUID, p_user_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_transfer RECORD;
+  v_line RECORD;
+  v_inventory_id UUID;
+  v_lot JSONB;
+BEGIN
+  SELECT * INTO v_transfer FROM warehouse_transfers WHERE id = p_transfer_id FOR UPDATE;
+
+  IF NOT FOUND OR v_transfer.status <> 'in_transit' THEN
+    RAISE EXCEPTION 'Transfer is not in transit';
+  END IF;
+
+  FOR v_line IN
+    SELECT * FROM warehouse_transfer_lines WHERE transfer_id = p_transfer_id
+  LOOP
+    INSERT INTO inventory (product_id, client_id, warehouse_id, total_stock, available_stock, reserved_stock, dispatched_stock)
+    VALUES (v_line.product_id, v_transfer.client_id, v_transfer.to_warehouse_id, v_line.quantity, v_line.quantity, 0, 0)
+    ON CONFLICT (product_id, client_id, warehouse_id)
+    DO UPDATE SET
+      total_stock = inventory.total_stock + EXCLUDED.total_stock,
+      available_stock = inventory.available_stock + EXCLUDED.available_stock,
+      last_updated = NOW(),
+      updated_at = NOW()
+    RETURNING id INTO v_inventory_id;
+
+    FOR v_lot IN SELECT * FROM jsonb_array_elements(v_line.lots)
+    LOOP
+      PERFORM adjust_lot_stock(
+        v_inventory_id,
+        v_lot->>'lot_number',
+        (v_lot->>'expiry_date')::DATE,
+        (v_lot->>'quantity')::INTEGER
+      );
+    END LOOP;
+  END LOOP;
+
+  UPDATE warehouse_transfers
+  SET status = 'received', received_by = p_user_id, received_at = NOW(), updated_at = NOW()
+  WHERE id = p_transfer_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 11: RLS - lots are only read through the admin client
+ALTER TABLE inventory_lots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_item_lots ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,292 @@
+-- =====================================================
+-- KITS (BUNDLES) AND KIT WORK ORDERS
+-- =====================================================
+-- A kit is a product sold as one SKU but made of other products. Its
+-- bill of materials is kept in product_components (units of each
+-- component per kit).
+--
+-- Kits are shipped two ways:
+--   - From assembled kit stock, built ahead of demand by a kit work
+--     order that takes the components out of stock and puts the kits in
+--   - Built to order: when there are not enough assembled kits, the kit
+--     line of an order is written as its component lines. Each carries
+--     the kit it belongs to (kit_product_id / kit_quantity / kit_unit_price),
+--     and reservation, picking, shipping and cancellation work on the
+--     components like on any other line
+--
+-- Requires: add_inventory_lots.sql (create_order_with_reservation with lots),
+--           add_cycle_counts.sql (audit context), add_returns_rma.sql
+--           (apply_inventory_movement), add_warehouse_locations.sql
+-- =====================================================
+
+-- STEP 1: Kit products and their bill of materials
+ALTER TABLE products ADD COLUMN IF NOT EXISTS is_kit BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS product_components (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kit_product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  component_product_id UUID NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+  -- Units of the component in one kit
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_product_component UNIQUE (kit_product_id, component_product_id),
+  CONSTRAINT chk_component_not_kit CHECK (kit_product_id <> component_product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_components_kit ON product_components(kit_product_id);
+CREATE INDEX IF NOT EXISTS idx_product_components_component ON product_components(component_product_id);
+
+-- STEP 2: Order lines built from a kit
+-- kit_quantity is the number of kits ordered on the original line;
+-- kit_unit_price is the price of one kit (component lines are priced 0)
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS kit_product_id UUID REFERENCES products(id) ON DELETE SET NULL;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS kit_quantity INTEGER CHECK (kit_quantity > 0);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS kit_unit_price DECIMAL(10, 2);
+
+CREATE INDEX IF NOT EXISTS idx_order_items_kit_product ON order_items(kit_product_id);
+
+-- STEP 3: Order reservation writes the kit columns of component lines
+-- Same as add_inventory_lots.sql STEP 9 apart from the order_items insert
+CREATE OR REPLACE FUNCTION create_order_with_reservation(
+  p_order JSONB,
+  p_items JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_client_id UUID := (p_order->>'client_id')::UUID;
+  v_warehouse_id UUID := COALESCE((p_order->>'warehouse_id')::UUID, default_warehouse_id());
+  v_line RECORD;
+  v_inventory RECORD;
+  v_sellable INTEGER;
+  v_shortfalls JSONB := '[]'::JSONB;
+  v_reservations JSONB := '[]'::JSONB;
+  v_columns TEXT;
+  v_order_id UUID;
+  v_order_number TEXT;
+  v_reservation JSONB;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'At least one item is required';
+  END IF;
+
+  p_order := p_order || jsonb_build_object('warehouse_id', v_warehouse_id);
+
+  -- STEP 1: Lock inventory rows (sorted by product to avoid deadlocks)
+  -- and collect every line that cannot be reserved
+  FOR v_line IN
+    SELECT (item->>'product_id')::UUID AS product_id,
+           SUM((item->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) AS item
+    GROUP BY 1
+    ORDER BY 1
+  LOOP
+    SELECT id, available_stock INTO v_inventory
+    FROM inventory
+    WHERE product_id = v_line.product_id
+      AND client_id = v_client_id
+      AND warehouse_id = v_warehouse_id
+    FOR UPDATE;
+
+    -- Unreserved units of expired lots cannot be sold
+    v_sellable := CASE WHEN FOUND THEN v_inventory.available_stock - COALESCE((
+      SELECT SUM(quantity - reserved_quantity)
+      FROM inventory_lots
+      WHERE inventory_id = v_inventory.id AND expiry_date < CURRENT_DATE
+    ), 0) ELSE 0 END;
+
+    IF v_sellable < v_line.quantity THEN
+      v_shortfalls := v_shortfalls || jsonb_build_object(
+        'product_id', v_line.product_id,
+        'sku', (SELECT sku FROM products WHERE id = v_line.product_id),
+        'name', (SELECT name FROM products WHERE id = v_line.product_id),
+        'requested', v_line.quantity,
+        'available', GREATEST(v_sellable, 0),
+        'shortfall', v_line.quantity - GREATEST(v_sellable, 0)
+      );
+    ELSE
+      v_reservations := v_reservations || jsonb_build_object(
+        'inventory_id', v_inventory.id,
+        'quantity', v_line.quantity
+      );
+    END IF;
+  END LOOP;
+
+  -- All-or-nothing: nothing is written if any line is short
+  IF jsonb_array_length(v_shortfalls) > 0 THEN
+    RETURN jsonb_build_object('success', false, 'shortfalls', v_shortfalls);
+  END IF;
+
+  -- STEP 2: Insert the order using only the supplied columns so
+  -- column defaults (id, order_number, timestamps) still apply
+  SELECT string_agg(quote_ident(key), ', ') INTO v_columns
+  FROM jsonb_object_keys(p_order) AS key;
+
+  EXECUTE format(
+    'INSERT INTO orders (%s) SELECT %s FROM jsonb_populate_record(NULL::orders, $1) RETURNING id, order_number',
+    v_columns, v_columns
+  ) INTO v_order_id, v_order_number USING p_order;
+
+  -- STEP 3: Insert order items (component lines of a kit keep the kit they came from)
+  INSERT INTO order_items (order_id, product_id, quantity, unit_price, kit_product_id, kit_quantity, kit_unit_price)
+  SELECT v_order_id,
+         (item->>'product_id')::UUID,
+         (item->>'quantity')::INTEGER,
+         COALESCE((item->>'unit_price')::NUMERIC, 0),
+         NULLIF(item->>'kit_product_id', '')::UUID,
+         (item->>'kit_quantity')::INTEGER,
+         (item->>'kit_unit_price')::NUMERIC
+  FROM jsonb_array_elements(p_items) AS item;
+
+  -- STEP 4: Reserve stock (available → reserved) on the locked rows
+  FOR v_reservation IN SELECT * FROM jsonb_array_elements(v_reservations)
+  LOOP
+    PERFORM update_inventory_atomic(
+      (v_reservation->>'inventory_id')::UUID,
+      (v_reservation->>'quantity')::INTEGER,
+      0,
+      -(v_reservation->>'quantity')::INTEGER
+    );
+  END LOOP;
+
+  -- STEP 5: Allocate lots first-expired-first-out
+  PERFORM allocate_order_lots(v_order_id);
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'order_id', v_order_id,
+    'order_number', v_order_number,
+    'warehouse_id', v_warehouse_id
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 4: Document numbering
+CREATE SEQUENCE IF NOT EXISTS kit_work_order_number_seq START 1;
+
+-- STEP 5: Work orders assembling kits from their components
+CREATE TABLE IF NOT EXISTS kit_work_orders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  work_order_number VARCHAR(50) UNIQUE NOT NULL
+    DEFAULT 'WO-' || LPAD(nextval('kit_work_order_number_seq')::TEXT, 6, '0'),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE RESTRICT,
+  warehouse_id UUID NOT NULL REFERENCES warehouses(id) ON DELETE RESTRICT,
+  kit_product_id UUID NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+  -- Kits to assemble
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  -- Bin the assembled kits are put away to (optional)
+  location_id UUID REFERENCES warehouse_locations(id) ON DELETE SET NULL,
+
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'completed', 'cancelled')),
+  -- Components taken when the work order was completed:
+  -- [{ product_id, quantity, lots: [{ lot_number, expiry_date, quantity }] }]
+  components_consumed JSONB,
+  notes TEXT,
+
+  created_by UUID REFERENCES user_profiles(id),
+  completed_by UUID REFERENCES user_profiles(id),
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_kit_work_orders_client_id ON kit_work_orders(client_id);
+CREATE INDEX IF NOT EXISTS idx_kit_work_orders_status ON kit_work_orders(status);
+
+-- STEP 6: Complete a work order - components out, kits in, all or nothing
+-- Components are taken from unexpired stock, earliest expiry first. The
+-- ledger entries on both sides carry action 'kit_assembly' and the work order.
+CREATE OR REPLACE FUNCTION complete_kit_work_order(p_work_order_id UUID, p_user_id UUID)
+RETURNS UUID AS $$
+DECLARE
+  v_work_order RECORD;
+  v_component RECORD;
+  v_inventory RECORD;
+  v_needed INTEGER;
+  v_sellable INTEGER;
+  v_lots JSONB;
+  v_consumed JSONB := '[]'::JSONB;
+  v_kit_inventory_id UUID;
+BEGIN
+  SELECT * INTO v_work_order FROM kit_work_orders WHERE id = p_work_order_id FOR UPDATE;
+
+  IF NOT FOUND OR v_work_order.status <> 'pending' THEN
+    RAISE EXCEPTION 'Work order is not pending';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM product_components WHERE kit_product_id = v_work_order.kit_product_id) THEN
+    RAISE EXCEPTION 'Kit has no components';
+  END IF;
+
+  PERFORM set_config('wms.audit_action', 'kit_assembly', true);
+  PERFORM set_config('wms.audit_reference_type', 'kit_work_order', true);
+  PERFORM set_config('wms.audit_reference_id', p_work_order_id::TEXT, true);
+  PERFORM set_config('wms.audit_user', COALESCE(p_user_id::TEXT, ''), true);
+  PERFORM set_config('wms.audit_note', v_work_order.work_order_number, true);
+
+  -- Components sorted by product to avoid deadlocks with order reservation
+  FOR v_component IN
+    SELECT component_product_id, quantity
+    FROM product_components
+    WHERE kit_product_id = v_work_order.kit_product_id
+    ORDER BY component_product_id
+  LOOP
+    v_needed := v_component.quantity * v_work_order.quantity;
+
+    SELECT id, available_stock INTO v_inventory
+    FROM inventory
+    WHERE product_id = v_component.component_product_id
+      AND client_id = v_work_order.client_id
+      AND warehouse_id = v_work_order.warehouse_id
+    FOR UPDATE;
+
+    v_sellable := CASE WHEN FOUND THEN v_inventory.available_stock - COALESCE((
+      SELECT SUM(quantity - reserved_quantity)
+      FROM inventory_lots
+      WHERE inventory_id = v_inventory.id AND expiry_date < CURRENT_DATE
+    ), 0) ELSE 0 END;
+
+    IF v_sellable < v_needed THEN
+      RAISE EXCEPTION 'Insufficient stock of component % (% needed, % available)',
+        (SELECT sku FROM products WHERE id = v_component.component_product_id),
+        v_needed, GREATEST(v_sellable, 0);
+    END IF;
+
+    v_lots := consume_lot_stock_fefo(v_inventory.id, v_needed, false);
+    PERFORM apply_inventory_movement(v_inventory.id, -v_needed, 0, 0);
+
+    v_consumed := v_consumed || jsonb_build_object(
+      'product_id', v_component.component_product_id,
+      'inventory_id', v_inventory.id,
+      'quantity', v_needed,
+      'lots', v_lots
+    );
+  END LOOP;
+
+  INSERT INTO inventory (product_id, client_id, warehouse_id, total_stock, available_stock, reserved_stock, dispatched_stock)
+  VALUES (v_work_order.kit_product_id, v_work_order.client_id, v_work_order.warehouse_id,
+          v_work_order.quantity, v_work_order.quantity, 0, 0)
+  ON CONFLICT (product_id, client_id, warehouse_id)
+  DO UPDATE SET
+    total_stock = inventory.total_stock + EXCLUDED.total_stock,
+    available_stock = inventory.available_stock + EXCLUDED.available_stock,
+    last_updated = NOW(),
+    updated_at = NOW()
+  RETURNING id INTO v_kit_inventory_id;
+
+  UPDATE kit_work_orders
+  SET status = 'completed',
+      components_consumed = v_consumed,
+      completed_by = p_user_id,
+      completed_at = NOW(),
+      updated_at = NOW()
+  WHERE id = p_work_order_id;
+
+  RETURN v_kit_inventory_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 7: RLS - kits are only read through the admin client
+ALTER TABLE product_components ENABLE ROW LEVEL SECURITY;
+ALTER TABLE kit_work_orders ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,48 @@
+-- =====================================================
+-- LOW-STOCK AND REORDER ALERTS
+-- =====================================================
+-- A daily job (jobs/lowStockAlertJob.js) compares each client's
+-- available stock per product (all warehouses together) with the
+-- product's reorder_level and, when there is shipping history, with how
+-- many days the stock will last at the trailing sales rate.
+--
+-- low_stock_alerts holds one open alert per client/product while it is
+-- low. A product that newly goes low notifies the client's users and
+-- account manager (notifications); every open alert goes into the daily
+-- digest email. Alerts resolve once stock recovers.
+--
+-- Requires: add_multi_warehouse.sql
+-- =====================================================
+
+-- STEP 1: Account manager responsible for a client
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS account_manager_id UUID REFERENCES user_profiles(id) ON DELETE SET NULL;
+
+-- STEP 2: Alerts
+CREATE TABLE IF NOT EXISTS low_stock_alerts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'resolved')),
+  -- below_reorder_level: available at or under reorder_level
+  -- low_cover: fewer days of stock left than the cover window at the trailing sales rate
+  reason VARCHAR(30) NOT NULL CHECK (reason IN ('below_reorder_level', 'low_cover')),
+
+  -- Figures from the latest run
+  available_stock INTEGER NOT NULL,
+  reorder_level INTEGER,
+  daily_velocity NUMERIC(12, 2),
+  days_of_cover NUMERIC(12, 1),
+  suggested_quantity INTEGER,
+
+  first_alerted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_checked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_low_stock_alerts_open
+  ON low_stock_alerts(client_id, product_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_low_stock_alerts_status ON low_stock_alerts(status);
+
+-- STEP 3: RLS - alerts are only read through the admin client
+ALTER TABLE low_stock_alerts ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,387 @@
+-- =====================================================
+-- MULTI-WAREHOUSE INVENTORY, ORDERS AND TRANSFERS
+-- =====================================================
+-- Inventory, inbound receipts, ASNs and orders become warehouse-scoped.
+-- inventory is now one row per client/product/warehouse. Existing rows
+-- are assigned to the default warehouse, and inserts that do not name a
+-- warehouse keep landing there (default_warehouse_id()).
+--
+-- Orders are routed to one warehouse that holds stock for every line
+-- (services/warehouseService.js); create_order_with_reservation() reserves
+-- in that warehouse. Stock moves between warehouses with transfer orders:
+--   pending → in_transit (shipped: leaves the source) → received (added at the destination)
+--
+-- Requires: add_warehouse_locations.sql, add_atomic_order_reservation.sql,
+--           add_asns.sql, add_returns_rma.sql (apply_inventory_movement)
+-- =====================================================
+
+-- STEP 1: Default warehouse and routing order
+ALTER TABLE warehouses ADD COLUMN IF NOT EXISTS is_default BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE warehouses ADD COLUMN IF NOT EXISTS routing_priority INTEGER NOT NULL DEFAULT 100;
+
+INSERT INTO warehouses (code, name)
+SELECT 'MAIN', 'Main Warehouse'
+WHERE NOT EXISTS (SELECT 1 FROM warehouses);
+
+UPDATE warehouses
+SET is_default = true
+WHERE id = (SELECT id FROM warehouses ORDER BY created_at LIMIT 1)
+  AND NOT EXISTS (SELECT 1 FROM warehouses WHERE is_default);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_warehouses_single_default ON warehouses (is_default) WHERE is_default;
+
+CREATE OR REPLACE FUNCTION default_warehouse_id()
+RETURNS UUID AS $$
+  SELECT id FROM warehouses WHERE is_default LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+-- STEP 2: Warehouse-scoped inventory
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS warehouse_id UUID REFERENCES warehouses(id) ON DELETE RESTRICT;
+UPDATE inventory SET warehouse_id = default_warehouse_id() WHERE warehouse_id IS NULL;
+ALTER TABLE inventory ALTER COLUMN warehouse_id SET DEFAULT default_warehouse_id();
+ALTER TABLE inventory ALTER COLUMN warehouse_id SET NOT NULL;
+
+-- Drop any unique constraint on (product_id, client_id) - a product can now be stocked in several warehouses
+DO $$
+DECLARE
+  v_constraint RECORD;
+BEGIN
+  FOR v_constraint IN
+    SELECT c.conname
+    FROM pg_constraint c
+    WHERE c.conrelid = 'inventory'::regclass
+      AND c.contype = 'u'
+      AND (
+        SELECT array_agg(a.attname::TEXT ORDER BY a.attname)
+        FROM pg_attribute a
+        WHERE a.attrelid = c.conrelid AND a.attnum = ANY (c.conkey)
+      ) = ARRAY['client_id', 'product_id']
+  LOOP
+    EXECUTE format('ALTER TABLE inventory DROP CONSTRAINT %I', v_constraint.conname);
+  END LOOP;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'uq_inventory_product_client_warehouse') THEN
+    ALTER TABLE inventory ADD CONSTRAINT uq_inventory_product_client_warehouse
+      UNIQUE (product_id, client_id, warehouse_id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_warehouse_id ON inventory(warehouse_id);
+
+-- Bins can only hold stock of their own warehouse
+CREATE OR REPLACE FUNCTION check_bin_inventory_warehouse()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (SELECT warehouse_id FROM warehouse_locations WHERE id = NEW.location_id)
+     IS DISTINCT FROM (SELECT warehouse_id FROM inventory WHERE id = NEW.inventory_id) THEN
+    RAISE EXCEPTION 'Bin and stock belong to different warehouses';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_bin_inventory_warehouse ON bin_inventory;
+CREATE TRIGGER trg_bin_inventory_warehouse
+  BEFORE INSERT OR UPDATE OF location_id, inventory_id ON bin_inventory
+  FOR EACH ROW
+  EXECUTE FUNCTION check_bin_inventory_warehouse();
+
+-- STEP 3: Warehouse on receipts, ASNs, orders and invoices
+ALTER TABLE inbound_logs ADD COLUMN IF NOT EXISTS warehouse_id UUID REFERENCES warehouses(id) ON DELETE RESTRICT;
+UPDATE inbound_logs SET warehouse_id = default_warehouse_id() WHERE warehouse_id IS NULL;
+ALTER TABLE inbound_logs ALTER COLUMN warehouse_id SET DEFAULT default_warehouse_id();
+
+ALTER TABLE asns ADD COLUMN IF NOT EXISTS warehouse_id UUID REFERENCES warehouses(id) ON DELETE RESTRICT;
+UPDATE asns SET warehouse_id = default_warehouse_id() WHERE warehouse_id IS NULL;
+ALTER TABLE asns ALTER COLUMN warehouse_id SET DEFAULT default_warehouse_id();
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS warehouse_id UUID REFERENCES warehouses(id) ON DELETE RESTRICT;
+UPDATE orders SET warehouse_id = default_warehouse_id() WHERE warehouse_id IS NULL;
+ALTER TABLE orders ALTER COLUMN warehouse_id SET DEFAULT default_warehouse_id();
+
+-- invoices.warehouse (name) is kept for display; warehouse_id links it when set
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS warehouse_id UUID REFERENCES warehouses(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_inbound_logs_warehouse_id ON inbound_logs(warehouse_id);
+CREATE INDEX IF NOT EXISTS idx_orders_warehouse_id ON orders(warehouse_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_warehouse_id ON invoices(warehouse_id);
+
+-- STEP 4: Reserve stock in the order's warehouse
+CREATE OR REPLACE FUNCTION create_order_with_reservation(
+  p_order JSONB,
+  p_items JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_client_id UUID := (p_order->>'client_id')::UUID;
+  v_warehouse_id UUID := COALESCE((p_order->>'warehouse_id')::UUID, default_warehouse_id());
+  v_line RECORD;
+  v_inventory RECORD;
+  v_shortfalls JSONB := '[]'::JSONB;
+  v_reservations JSONB := '[]'::JSONB;
+  v_columns TEXT;
+  v_order_id UUID;
+  v_order_number TEXT;
+  v_reservation JSONB;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'At least one item is required';
+  END IF;
+
+  p_order := p_order || jsonb_build_object('warehouse_id', v_warehouse_id);
+
+  -- STEP 1: Lock inventory rows (sorted by product to avoid deadlocks)
+  -- and collect every line that cannot be reserved
+  FOR v_line IN
+    SELECT (item->>'product_id')::UUID AS product_id,
+           SUM((item->>'quantity')::INTEGER) AS quantity
+    FROM jsonb_array_elements(p_items) AS item
+    GROUP BY 1
+    ORDER BY 1
+  LOOP
+    SELECT id, available_stock INTO v_inventory
+    FROM inventory
+    WHERE product_id = v_line.product_id
+      AND client_id = v_client_id
+      AND warehouse_id = v_warehouse_id
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_inventory.available_stock < v_line.quantity THEN
+      v_shortfalls := v_shortfalls || jsonb_build_object(
+        'product_id', v_line.product_id,
+        'sku', (SELECT sku FROM products WHERE id = v_line.product_id),
+        'name', (SELECT name FROM products WHERE id = v_line.product_id),
+        'requested', v_line.quantity,
+        'available', COALESCE(v_inventory.available_stock, 0),
+        'shortfall', v_line.quantity - COALESCE(v_inventory.available_stock, 0)
+      );
+    ELSE
+      v_reservations := v_reservations || jsonb_build_object(
+        'inventory_id', v_inventory.id,
+        'quantity', v_line.quantity
+      );
+    END IF;
+  END LOOP;
+
+  -- All-or-nothing: nothing is written if any line is short
+  IF jsonb_array_length(v_shortfalls) > 0 THEN
+    RETURN jsonb_build_object('success', false, 'shortfalls', v_shortfalls);
+  END IF;
+
+  -- STEP 2: Insert the order using only the supplied columns so
+  -- column defaults (id, order_number, timestamps) still apply
+  SELECT string_agg(quote_ident(key), ', ') INTO v_columns
+  FROM jsonb_object_keys(p_order) AS key;
+
+  EXECUTE format(
+    'INSERT INTO orders (%s) SELECT %s FROM jsonb_populate_record(NULL::orders, $1) RETURNING id, order_number',
+    v_columns, v_columns
+  ) INTO v_order_id, v_order_number USING p_order;
+
+  -- STEP 3: Insert order items
+  INSERT INTO order_items (order_id, product_id, quantity, unit_price)
+  SELECT v_order_id,
+         (item->>'product_id')::UUID,
+         (item->>'quantity')::INTEGER,
+         COALESCE((item->>'unit_price')::NUMERIC, 0)
+  FROM jsonb_array_elements(p_items) AS item;
+
+  -- STEP 4: Reserve stock (available → reserved) on the locked rows
+  FOR v_reservation IN SELECT * FROM jsonb_array_elements(v_reservations)
+  LOOP
+    PERFORM update_inventory_atomic(
+      (v_reservation->>'inventory_id')::UUID,
+      (v_reservation->>'quantity')::INTEGER,
+      0,
+      -(v_reservation->>'quantity')::INTEGER
+    );
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'order_id', v_order_id,
+    'order_number', v_order_number,
+    'warehouse_id', v_warehouse_id
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Cancellation releases stock in the order's own warehouse
+CREATE OR REPLACE FUNCTION cancel_order_safe(p_order_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_item RECORD;
+BEGIN
+  FOR v_item IN
+    SELECT oi.product_id, oi.quantity, o.client_id, o.warehouse_id
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE oi.order_id = p_order_id
+  LOOP
+    UPDATE inventory
+    SET
+      available_stock = available_stock + v_item.quantity,
+      reserved_stock = reserved_stock - v_item.quantity,
+      last_updated = NOW(),
+      updated_at = NOW()
+    WHERE product_id = v_item.product_id
+      AND client_id = v_item.client_id
+      AND warehouse_id = v_item.warehouse_id
+      AND reserved_stock >= v_item.quantity;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Cannot cancel order: insufficient reserved stock for product %', v_item.product_id;
+    END IF;
+  END LOOP;
+
+  UPDATE orders
+  SET status = 'cancelled', updated_at = NOW()
+  WHERE id = p_order_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 5: Transfer orders between warehouses
+CREATE SEQUENCE IF NOT EXISTS transfer_number_seq START 1;
+
+CREATE TABLE IF NOT EXISTS warehouse_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transfer_number VARCHAR(50) UNIQUE NOT NULL
+    DEFAULT 'TRF-' || LPAD(nextval('transfer_number_seq')::TEXT, 6, '0'),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE RESTRICT,
+  from_warehouse_id UUID NOT NULL REFERENCES warehouses(id) ON DELETE RESTRICT,
+  to_warehouse_id UUID NOT NULL REFERENCES warehouses(id) ON DELETE RESTRICT,
+
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'in_transit', 'received', 'cancelled')),
+  carrier VARCHAR(100),
+  tracking_number VARCHAR(100),
+  notes TEXT,
+
+  created_by UUID REFERENCES user_profiles(id),
+  shipped_by UUID REFERENCES user_profiles(id),
+  shipped_at TIMESTAMP WITH TIME ZONE,
+  received_by UUID REFERENCES user_profiles(id),
+  received_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT chk_transfer_warehouses CHECK (from_warehouse_id <> to_warehouse_id)
+);
+
+CREATE TABLE IF NOT EXISTS warehouse_transfer_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transfer_id UUID NOT NULL REFERENCES warehouse_transfers(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_transfer_line_product UNIQUE (transfer_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_warehouse_transfers_client_id ON warehouse_transfers(client_id);
+CREATE INDEX IF NOT EXISTS idx_warehouse_transfers_status ON warehouse_transfers(status);
+CREATE INDEX IF NOT EXISTS idx_warehouse_transfer_lines_transfer_id ON warehouse_transfer_lines(transfer_id);
+
+-- Ship: take every line out of the source warehouse's available stock, all or nothing
+CREATE OR REPLACE FUNCTION ship_warehouse_transfer(p_transfer_id UUID, p_user_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_transfer RECORD;
+  v_line RECORD;
+  v_inventory_id UUID;
+BEGIN
+  SELECT * INTO v_transfer FROM warehouse_transfers WHERE id = p_transfer_id FOR UPDATE;
+
+  IF NOT FOUND OR v_transfer.status <> 'pending' THEN
+    RAISE EXCEPTION 'Transfer is not pending';
+  END IF;
+
+  FOR v_line IN
+    SELECT * FROM warehouse_transfer_lines WHERE transfer_id = p_transfer_id ORDER BY product_id
+  LOOP
+    SELECT id INTO v_inventory_id
+    FROM inventory
+    WHERE product_id = v_line.product_id
+      AND client_id = v_transfer.client_id
+      AND warehouse_id = v_transfer.from_warehouse_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'No stock of product % in the source warehouse', v_line.product_id;
+    END IF;
+
+    -- Raises 'Insufficient stock' when available is too low
+    PERFORM apply_inventory_movement(v_inventory_id, -v_line.quantity, 0, 0);
+  END LOOP;
+
+  UPDATE warehouse_transfers
+  SET status = 'in_transit', shipped_by = p_user_id, shipped_at = NOW(), updated_at = NOW()
+  WHERE id = p_transfer_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Receive: add every line to the destination warehouse's available stock
+CREATE OR REPLACE FUNCTION receive_warehouse_transfer(p_transfer_id UUID, p_user_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_transfer RECORD;
+  v_line RECORD;
+BEGIN
+  SELECT * INTO v_transfer FROM warehouse_transfers WHERE id = p_transfer_id FOR UPDATE;
+
+  IF NOT FOUND OR v_transfer.status <> 'in_transit' THEN
+    RAISE EXCEPTION 'Transfer is not in transit';
+  END IF;
+
+  FOR v_line IN
+    SELECT * FROM warehouse_transfer_lines WHERE transfer_id = p_transfer_id
+  LOOP
+    INSERT INTO inventory (product_id, client_id, warehouse_id, total_stock, available_stock, reserved_stock, dispatched_stock)
+    VALUES (v_line.product_id, v_transfer.client_id, v_transfer.to_warehouse_id, v_line.quantity, v_line.quantity, 0, 0)
+    ON CONFLICT (product_id, client_id, warehouse_id)
+    DO UPDATE SET
+      total_stock = inventory.total_stock + EXCLUDED.total_stock,
+      available_stock = inventory.available_stock + EXCLUDED.available_stock,
+      last_updated = NOW(),
+      updated_at = NOW();
+  END LOOP;
+
+  UPDATE warehouse_transfers
+  SET status = 'received', received_by = p_user_id, received_at = NOW(), updated_at = NOW()
+  WHERE id = p_transfer_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Receipts: add received units to the receiving warehouse's stock in one statement,
+-- creating the inventory row on the first receipt (services/inboundService.js)
+CREATE OR REPLACE FUNCTION receive_inventory_stock(
+  p_client_id UUID,
+  p_product_id UUID,
+  p_warehouse_id UUID,
+  p_quantity INTEGER,
+  p_storage_location TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+  v_inventory_id UUID;
+BEGIN
+  IF p_quantity IS NULL OR p_quantity <= 0 THEN
+    RAISE EXCEPTION 'Received quantity must be positive';
+  END IF;
+
+  INSERT INTO inventory (product_id, client_id, warehouse_id, total_stock, available_stock, reserved_stock, dispatched_stock, storage_location)
+  VALUES (p_product_id, p_client_id, p_warehouse_id, p_quantity, p_quantity, 0, 0, p_storage_location)
+  ON CONFLICT (product_id, client_id, warehouse_id)
+  DO UPDATE SET
+    total_stock = inventory.total_stock + EXCLUDED.total_stock,
+    available_stock = inventory.available_stock + EXCLUDED.available_stock,
+    storage_location = COALESCE(EXCLUDED.storage_location, inventory.storage_location),
+    last_updated = NOW(),
+    updated_at = NOW()
+  RETURNING id INTO v_inventory_id;
+
+  RETURN v_inventory_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 6: RLS
+ALTER TABLE warehouse_transfers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE warehouse_transfer_lines ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,29 @@
+-- =====================================================
+-- ORDER DOCUMENTS: PACKING SLIPS AND BILLS OF LADING
+-- =====================================================
+-- Documents are rendered on request (GET /api/orders/:id/documents/:type)
+-- and not stored. This adds the data they print that was not kept yet:
+--   - client branding for packing slips (logo, accent colour, message)
+--   - pallet numbers on packed cartons, so a bill of lading for LTL
+--     freight can count handling units (pallets plus loose cartons)
+--
+-- Requires: add_packing.sql (pack_cartons)
+-- =====================================================
+
+-- STEP 1: Client branding
+-- PNG or JPEG, fetched when a packing slip is rendered
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS logo_url VARCHAR(500);
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS brand_color VARCHAR(7);
+-- Printed at the bottom of the client's packing slips (e.g. a thank-you or returns note)
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS packing_slip_message TEXT;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_client_brand_color') THEN
+    ALTER TABLE clients ADD CONSTRAINT chk_client_brand_color
+      CHECK (brand_color IS NULL OR brand_color ~ '^#[0-9A-Fa-f]{6}$');
+  END IF;
+END $$;
+
+-- STEP 2: Cartons stacked on the same pallet share a pallet number (NULL = loose carton)
+ALTER TABLE pack_cartons ADD COLUMN IF NOT EXISTS pallet_number INTEGER CHECK (pallet_number > 0);
@@ -0,0 +1,16 @@
+-- =====================================================
+-- BULK ORDER IMPORT
+-- =====================================================
+-- Stores the client's own order reference on imported orders
+-- so spreadsheet rows can be grouped and re-uploads are idempotent
+-- =====================================================
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS external_reference VARCHAR(100);
+
+-- One order per external reference per client
+CREATE UNIQUE INDEX IF NOT EXISTS uq_orders_client_external_reference
+ON orders(client_id, external_reference)
+WHERE external_reference IS NOT NULL;
+
+COMMENT ON COLUMN orders.external_reference IS 'Client-supplied order reference (e.g. from a bulk CSV/XLSX import)';
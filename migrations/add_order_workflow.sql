@@ -0,0 +1,168 @@
+-- =====================================================
+-- ORDER WORKFLOW: NEW STATUSES + STATUS HISTORY
+-- =====================================================
+-- Adds on_hold, partially_shipped, delivered and returned
+-- to the order lifecycle (see config/orderWorkflow.js),
+-- records every status change in order_status_history,
+-- and lets invoiced orders still be marked delivered/returned.
+-- =====================================================
+
+-- STEP 1: Extend allowed order statuses
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS chk_order_status;
+ALTER TABLE orders ADD CONSTRAINT chk_order_status
+  CHECK (status IN (
+    'pending', 'approved', 'on_hold', 'packed', 'partially_shipped',
+    'dispatched', 'delivered', 'returned', 'cancelled'
+  ));
+
+-- STEP 2: Timestamps for the new terminal states
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS returned_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+
+-- STEP 3: Track shipped quantity per line (partial shipments)
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS shipped_quantity INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE order_items DROP CONSTRAINT IF EXISTS chk_shipped_quantity;
+ALTER TABLE order_items ADD CONSTRAINT chk_shipped_quantity
+  CHECK (shipped_quantity >= 0 AND shipped_quantity <= quantity);
+
+-- Orders already dispatched shipped everything
+UPDATE order_items oi
+SET shipped_quantity = oi.quantity
+FROM orders o
+WHERE oi.order_id = o.id
+  AND o.status IN ('dispatched', 'delivered')
+  AND oi.shipped_quantity = 0;
+
+-- Ship (or, with a negative quantity, un-ship) units of an order line in one
+-- statement, so concurrent shipments add up; chk_shipped_quantity rejects
+-- shipping more than was ordered
+CREATE OR REPLACE FUNCTION add_shipped_quantity(p_order_item_id UUID, p_quantity INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+  v_shipped INTEGER;
+BEGIN
+  UPDATE order_items
+  SET shipped_quantity = shipped_quantity + p_quantity
+  WHERE id = p_order_item_id
+  RETURNING shipped_quantity INTO v_shipped;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order item % not found', p_order_item_id;
+  END IF;
+
+  RETURN v_shipped;
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 4: Status history
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  from_status VARCHAR(30),
+  to_status VARCHAR(30) NOT NULL,
+  changed_by UUID REFERENCES user_profiles(id),
+  note TEXT,
+  metadata JSONB DEFAULT '{}'::JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id
+  ON order_status_history(order_id, created_at);
+
+COMMENT ON TABLE order_status_history IS 'Timeline of order status changes. from_status is NULL for the creation entry.';
+
+-- Every new order starts its timeline as pending
+CREATE OR REPLACE FUNCTION log_order_created()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, created_at)
+  VALUES (NEW.id, NULL, NEW.status, NEW.created_by, COALESCE(NEW.created_at, NOW()));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_log_order_created ON orders;
+CREATE TRIGGER trigger_log_order_created
+AFTER INSERT ON orders
+FOR EACH ROW
+EXECUTE FUNCTION log_order_created();
+
+-- Backfill timelines for existing orders from their timestamps
+INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, created_at)
+SELECT o.id, NULL, 'pending', o.created_by, o.created_at
+FROM orders o
+WHERE NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id);
+
+INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, created_at)
+SELECT o.id, 'pending', 'approved', o.approved_by, o.approved_at
+FROM orders o
+WHERE o.approved_at IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id AND h.to_status = 'approved');
+
+INSERT INTO order_status_history (order_id, from_status, to_status, created_at)
+SELECT o.id, 'approved', 'packed', o.packed_at
+FROM orders o
+WHERE o.packed_at IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id AND h.to_status = 'packed');
+
+INSERT INTO order_status_history (order_id, from_status, to_status, created_at)
+SELECT o.id, CASE WHEN o.packed_at IS NOT NULL THEN 'packed' ELSE 'approved' END, 'dispatched', o.dispatched_at
+FROM orders o
+WHERE o.dispatched_at IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id AND h.to_status = 'dispatched');
+
+INSERT INTO order_status_history (order_id, from_status, to_status, created_at)
+SELECT o.id, 'dispatched', 'delivered', o.delivered_at
+FROM orders o
+WHERE o.delivered_at IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id AND h.to_status = 'delivered');
+
+-- STEP 5: Locked orders may still be delivered / returned
+-- (mirrors lockedTransitions in config/orderWorkflow.js)
+CREATE OR REPLACE FUNCTION prevent_locked_order_edit()
+RETURNS TRIGGER AS $$
+DECLARE
+  invoice_status VARCHAR(20);
+BEGIN
+  IF NEW.invoice_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT status INTO invoice_status
+  FROM invoices
+  WHERE id = NEW.invoice_id;
+
+  IF invoice_status IN ('sent', 'partial', 'paid') THEN
+    IF NEW.status = 'cancelled' AND OLD.status != 'cancelled' THEN
+      RAISE EXCEPTION 'Cannot cancel invoiced order. Invoice % is %. Create a credit note instead.',
+        (SELECT invoice_number FROM invoices WHERE id = NEW.invoice_id),
+        invoice_status
+        USING HINT = 'Use credit note workflow for returns/refunds';
+    END IF;
+
+    IF NEW.status != OLD.status AND NOT (
+      (OLD.status = 'dispatched' AND NEW.status IN ('delivered', 'returned')) OR
+      (OLD.status = 'delivered' AND NEW.status = 'returned')
+    ) THEN
+      RAISE EXCEPTION 'Order is locked by invoice % (status: %). Orders cannot be modified after invoicing.',
+        (SELECT invoice_number FROM invoices WHERE id = NEW.invoice_id),
+        invoice_status
+        USING HINT = 'Invoice status must be draft to edit orders';
+    END IF;
+
+    IF NEW.client_id != OLD.client_id THEN
+      RAISE EXCEPTION 'Order is locked by invoice. Client cannot be changed.';
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_prevent_locked_order_edit ON orders;
+CREATE TRIGGER trigger_prevent_locked_order_edit
+BEFORE UPDATE ON orders
+FOR EACH ROW
+EXECUTE FUNCTION prevent_locked_order_edit();
@@ -0,0 +1,84 @@
+-- =====================================================
+-- PACKING STATION: SCAN-TO-VERIFY AND CARTONS
+-- =====================================================
+-- Orders are packed through a pack session instead of a bare status
+-- change. The packer scans every unit (SKU or product barcode) against
+-- the order lines - wrong items and units beyond the ordered quantity
+-- are rejected - and records the carton(s) used with their dimensions
+-- and weighed weight. Completing the session moves the order to packed
+-- and stores the actual weight next to the estimated total_weight.
+--
+-- Weights are kept in lbs like orders.total_weight; cartons keep the
+-- weight and dimensions as entered.
+--
+-- Requires: add_order_workflow.sql, add_serial_numbers.sql
+-- =====================================================
+
+-- STEP 1: Product barcodes (UPC/EAN) scanned at the pack station
+ALTER TABLE products ADD COLUMN IF NOT EXISTS barcode VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_products_client_barcode ON products(client_id, barcode);
+
+-- STEP 2: Weighed weight of the packed order (lbs)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS actual_weight DECIMAL(10, 2);
+
+-- STEP 3: Pack sessions
+CREATE TABLE IF NOT EXISTS pack_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'completed', 'cancelled')),
+  -- Sum of the carton weights (lbs), set on completion
+  actual_weight DECIMAL(10, 2),
+  notes TEXT,
+  packed_by UUID REFERENCES user_profiles(id),
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One open session per order
+CREATE UNIQUE INDEX IF NOT EXISTS uq_pack_sessions_open
+  ON pack_sessions(order_id) WHERE status = 'open';
+
+-- STEP 4: Units expected and scanned per order line
+CREATE TABLE IF NOT EXISTS pack_session_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID NOT NULL REFERENCES pack_sessions(id) ON DELETE CASCADE,
+  order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  quantity_expected INTEGER NOT NULL CHECK (quantity_expected > 0),
+  quantity_scanned INTEGER NOT NULL DEFAULT 0 CHECK (quantity_scanned >= 0),
+  -- Serials scanned for serial-tracked products, one per unit
+  serial_numbers TEXT[] NOT NULL DEFAULT '{}',
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_pack_session_line UNIQUE (session_id, order_item_id),
+  CONSTRAINT chk_pack_not_over_scanned CHECK (quantity_scanned <= quantity_expected)
+);
+
+-- STEP 5: Cartons
+CREATE TABLE IF NOT EXISTS pack_cartons (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID NOT NULL REFERENCES pack_sessions(id) ON DELETE CASCADE,
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  carton_number INTEGER NOT NULL,
+  carton_type VARCHAR(50),
+  length DECIMAL(10, 2) NOT NULL CHECK (length > 0),
+  width DECIMAL(10, 2) NOT NULL CHECK (width > 0),
+  height DECIMAL(10, 2) NOT NULL CHECK (height > 0),
+  dimension_unit VARCHAR(5) NOT NULL DEFAULT 'cm' CHECK (dimension_unit IN ('cm', 'in')),
+  weight DECIMAL(10, 3) NOT NULL CHECK (weight > 0),
+  weight_unit VARCHAR(5) NOT NULL DEFAULT 'kg' CHECK (weight_unit IN ('kg', 'g', 'lb')),
+  created_by UUID REFERENCES user_profiles(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_pack_carton_number UNIQUE (session_id, carton_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pack_sessions_order ON pack_sessions(order_id);
+CREATE INDEX IF NOT EXISTS idx_pack_session_lines_session ON pack_session_lines(session_id);
+CREATE INDEX IF NOT EXISTS idx_pack_cartons_order ON pack_cartons(order_id);
+
+-- STEP 6: RLS - packing is only read through the admin client
+ALTER TABLE pack_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pack_session_lines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pack_cartons ENABLE ROW LEVEL SECURITY;
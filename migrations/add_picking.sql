@@ -0,0 +1,105 @@
+-- =====================================================
+-- PICK WAVES AND PICK LISTS
+-- =====================================================
+-- Approved orders are batched into pick waves, grouped by priority,
+-- carrier or the zone they are picked from. Releasing a wave turns
+-- every open order line into pick lines: one per bin the units are taken
+-- from, in pick-path order (pickable bins first, then location code -
+-- the order pick_bin_stock() takes shipped units in). Units that are not
+-- in any bin get a line without a location.
+--
+-- Waves are picked one order at a time ('single') or as one combined
+-- list for every order in the wave ('batch'), sorted to the orders
+-- afterwards. Pickers record the quantity found per line; a line picked
+-- short puts its order on hold once the order's lines are all picked.
+--
+-- Picking does not move stock: units leave their bins when the order
+-- ships, as before.
+--
+-- Requires: add_warehouse_locations.sql, add_multi_warehouse.sql
+-- =====================================================
+
+-- STEP 1: Carrier the order ships with, and when it was picked
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS carrier VARCHAR(50);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS picked_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_orders_carrier ON orders(carrier);
+
+-- STEP 2: Document numbering
+CREATE SEQUENCE IF NOT EXISTS pick_wave_number_seq START 1;
+
+-- STEP 3: Waves
+CREATE TABLE IF NOT EXISTS pick_waves (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  wave_number VARCHAR(50) UNIQUE NOT NULL
+    DEFAULT 'WAVE-' || LPAD(nextval('pick_wave_number_seq')::TEXT, 6, '0'),
+  warehouse_id UUID NOT NULL REFERENCES warehouses(id) ON DELETE RESTRICT,
+
+  -- How the orders were grouped and the group this wave holds
+  group_by VARCHAR(20) NOT NULL CHECK (group_by IN ('priority', 'carrier', 'zone', 'orders')),
+  group_value VARCHAR(100),
+  pick_mode VARCHAR(10) NOT NULL DEFAULT 'batch' CHECK (pick_mode IN ('single', 'batch')),
+  status VARCHAR(20) NOT NULL DEFAULT 'released'
+    CHECK (status IN ('released', 'picking', 'completed', 'cancelled')),
+  notes TEXT,
+
+  assigned_to UUID REFERENCES user_profiles(id),
+  created_by UUID REFERENCES user_profiles(id),
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- STEP 4: Orders in a wave
+CREATE TABLE IF NOT EXISTS pick_wave_orders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  wave_id UUID NOT NULL REFERENCES pick_waves(id) ON DELETE CASCADE,
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  -- Position of the order in the wave (priority, then age)
+  sequence INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'picked', 'short_picked', 'removed')),
+  picked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_pick_wave_order UNIQUE (wave_id, order_id)
+);
+
+-- An order is in at most one wave at a time; orders picked short can be
+-- waved again once they come off hold
+CREATE UNIQUE INDEX IF NOT EXISTS uq_pick_wave_orders_active
+  ON pick_wave_orders(order_id) WHERE status IN ('pending', 'picked');
+
+-- STEP 5: Pick lines - units of one order line to take from one bin
+CREATE TABLE IF NOT EXISTS pick_list_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  wave_id UUID NOT NULL REFERENCES pick_waves(id) ON DELETE CASCADE,
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  inventory_id UUID REFERENCES inventory(id) ON DELETE SET NULL,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  -- Bin to pick from; NULL when the units are not in any bin
+  location_id UUID REFERENCES warehouse_locations(id) ON DELETE SET NULL,
+  -- Position on the pick path
+  sequence INTEGER NOT NULL,
+
+  quantity_required INTEGER NOT NULL CHECK (quantity_required > 0),
+  quantity_picked INTEGER CHECK (quantity_picked >= 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'picked', 'short')),
+  short_reason TEXT,
+  picked_by UUID REFERENCES user_profiles(id),
+  picked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pick_waves_warehouse_status ON pick_waves(warehouse_id, status);
+CREATE INDEX IF NOT EXISTS idx_pick_wave_orders_wave ON pick_wave_orders(wave_id);
+CREATE INDEX IF NOT EXISTS idx_pick_list_lines_wave ON pick_list_lines(wave_id, sequence);
+CREATE INDEX IF NOT EXISTS idx_pick_list_lines_order ON pick_list_lines(order_id);
+
+-- STEP 6: RLS - picking is only read through the admin client
+ALTER TABLE pick_waves ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pick_wave_orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pick_list_lines ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,70 @@
+-- =====================================================
+-- PER-CLIENT RATE CARDS
+-- =====================================================
+-- Replaces the hardcoded $2.50 + (units - 1) x $1.25 fulfillment
+-- formula. Every invoice generator prices orders through
+-- services/pricingEngine.js, which picks the card effective on the
+-- order's fulfillment date:
+--   1. the client's own card, else
+--   2. the default card (client_id IS NULL)
+-- When several cards overlap, the latest effective_from wins.
+--
+-- weight_tiers (order weight in lbs):
+--   [{ "minWeight": 5, "maxWeight": null, "orderSurcharge": 5.00, "unitSurcharge": 0.50 }]
+--   A tier applies when minWeight < weight <= maxWeight (null = no limit).
+--
+-- Requires: clients, orders, user_profiles
+-- =====================================================
+
+-- STEP 1: Rate cards
+CREATE TABLE IF NOT EXISTS rate_cards (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL DEFAULT 'Standard',
+  pick_fee NUMERIC(10,2) NOT NULL DEFAULT 2.50 CHECK (pick_fee >= 0),
+  additional_unit_fee NUMERIC(10,2) NOT NULL DEFAULT 1.25 CHECK (additional_unit_fee >= 0),
+  weight_tiers JSONB NOT NULL DEFAULT '[]'::jsonb,
+  storage_per_pallet NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (storage_per_pallet >= 0),
+  storage_per_bin NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (storage_per_bin >= 0),
+  receiving_per_unit NUMERIC(10,4) NOT NULL DEFAULT 0 CHECK (receiving_per_unit >= 0),
+  special_handling_fee NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (special_handling_fee >= 0),
+  effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+  effective_to DATE,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  notes TEXT,
+  created_by UUID REFERENCES user_profiles(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT chk_rate_card_dates CHECK (effective_to IS NULL OR effective_to >= effective_from),
+  CONSTRAINT chk_rate_card_weight_tiers CHECK (jsonb_typeof(weight_tiers) = 'array')
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_cards_client_effective
+  ON rate_cards(client_id, effective_from DESC)
+  WHERE is_active = true;
+
+-- One active card per client (or default) per start date
+CREATE UNIQUE INDEX IF NOT EXISTS uq_rate_cards_client_effective_from
+  ON rate_cards(COALESCE(client_id, '00000000-0000-0000-0000-000000000000'::uuid), effective_from)
+  WHERE is_active = true;
+
+-- STEP 2: Default card matching the previous hardcoded pricing,
+-- including the heavyweight surcharge ($5.00 + $0.50/unit above 5 lbs)
+INSERT INTO rate_cards (client_id, name, pick_fee, additional_unit_fee, weight_tiers, effective_from, notes)
+SELECT NULL, 'Standard', 2.50, 1.25,
+  '[{"minWeight": 5, "maxWeight": null, "orderSurcharge": 5.00, "unitSurcharge": 0.50}]'::jsonb,
+  DATE '2020-01-01', 'Default rate card'
+WHERE NOT EXISTS (SELECT 1 FROM rate_cards WHERE client_id IS NULL);
+
+-- Default card seeded without tiers by an earlier run of this migration
+UPDATE rate_cards
+SET weight_tiers = '[{"minWeight": 5, "maxWeight": null, "orderSurcharge": 5.00, "unitSurcharge": 0.50}]'::jsonb
+WHERE client_id IS NULL
+  AND notes = 'Default rate card'
+  AND weight_tiers = '[]'::jsonb;
+
+-- STEP 3: Orders flagged for special handling are charged special_handling_fee
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS special_handling BOOLEAN NOT NULL DEFAULT false;
+
+-- STEP 4: RLS - rate cards are only read through the admin client
+ALTER TABLE rate_cards ENABLE ROW LEVEL SECURITY;
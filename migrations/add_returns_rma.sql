@@ -0,0 +1,106 @@
+-- =====================================================
+-- CUSTOMER RETURNS (RMA) + CREDIT NOTE NUMBERING
+-- =====================================================
+-- Returns are raised against shipped order lines, received
+-- back with a restock/damaged disposition per line, and
+-- credited through credit_notes (fix_accounting_integrity_v2.sql).
+--
+-- Requires: add_order_workflow.sql (order_items.shipped_quantity)
+-- =====================================================
+
+-- STEP 1: Document numbering
+CREATE SEQUENCE IF NOT EXISTS rma_number_seq START 1;
+CREATE SEQUENCE IF NOT EXISTS credit_note_number_seq START 1;
+
+ALTER TABLE credit_notes
+ALTER COLUMN credit_note_number
+SET DEFAULT 'CN-' || LPAD(nextval('credit_note_number_seq')::TEXT, 6, '0');
+
+-- STEP 2: Returns
+CREATE TABLE IF NOT EXISTS returns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  rma_number VARCHAR(50) UNIQUE NOT NULL
+    DEFAULT 'RMA-' || LPAD(nextval('rma_number_seq')::TEXT, 6, '0'),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE RESTRICT,
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE RESTRICT,
+
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'received', 'cancelled')),
+  reason VARCHAR(50) NOT NULL DEFAULT 'other'
+    CHECK (reason IN ('damaged', 'defective', 'wrong_item', 'not_needed', 'other')),
+  notes TEXT,
+
+  credit_note_id UUID REFERENCES credit_notes(id) ON DELETE SET NULL,
+
+  created_by UUID REFERENCES user_profiles(id),
+  received_by UUID REFERENCES user_profiles(id),
+  received_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS return_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  return_id UUID NOT NULL REFERENCES returns(id) ON DELETE CASCADE,
+  order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE RESTRICT,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  quantity_received INTEGER NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+  disposition VARCHAR(20) CHECK (disposition IN ('restock', 'damaged')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT chk_return_line_received CHECK (quantity_received <= quantity)
+);
+
+CREATE INDEX IF NOT EXISTS idx_returns_order_id ON returns(order_id);
+CREATE INDEX IF NOT EXISTS idx_returns_client_id ON returns(client_id);
+CREATE INDEX IF NOT EXISTS idx_returns_status ON returns(status);
+CREATE INDEX IF NOT EXISTS idx_return_lines_return_id ON return_lines(return_id);
+CREATE INDEX IF NOT EXISTS idx_return_lines_order_item_id ON return_lines(order_item_id);
+
+-- STEP 3: Link credit notes to returns and record where credit was applied
+ALTER TABLE credit_notes
+ADD COLUMN IF NOT EXISTS return_id UUID REFERENCES returns(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS credit_note_applications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  credit_note_id UUID NOT NULL REFERENCES credit_notes(id) ON DELETE RESTRICT,
+  invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE RESTRICT,
+  amount NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+  applied_by UUID REFERENCES user_profiles(id),
+  applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_note_applications_credit_note_id ON credit_note_applications(credit_note_id);
+CREATE INDEX IF NOT EXISTS idx_credit_note_applications_invoice_id ON credit_note_applications(invoice_id);
+
+COMMENT ON TABLE credit_note_applications IS 'Amounts of a credit note applied against invoices. Sum per invoice = invoices.credit_notes_applied.';
+
+-- STEP 4: Stock movements that change total_stock
+-- update_inventory_atomic() keeps total_stock fixed; returns written off
+-- as damaged leave the warehouse and must reduce it.
+CREATE OR REPLACE FUNCTION apply_inventory_movement(
+  p_inventory_id UUID,
+  p_available_delta INTEGER DEFAULT 0,
+  p_reserved_delta INTEGER DEFAULT 0,
+  p_dispatched_delta INTEGER DEFAULT 0
+)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE inventory
+  SET
+    available_stock = available_stock + p_available_delta,
+    reserved_stock = reserved_stock + p_reserved_delta,
+    dispatched_stock = dispatched_stock + p_dispatched_delta,
+    total_stock = total_stock + p_available_delta + p_reserved_delta + p_dispatched_delta,
+    last_updated = NOW(),
+    updated_at = NOW()
+  WHERE id = p_inventory_id
+    AND available_stock + p_available_delta >= 0
+    AND reserved_stock + p_reserved_delta >= 0
+    AND dispatched_stock + p_dispatched_delta >= 0;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Insufficient stock';
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
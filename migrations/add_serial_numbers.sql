@@ -0,0 +1,56 @@
+-- =====================================================
+-- SERIAL NUMBER CAPTURE ON RECEIVING AND SHIPPING
+-- =====================================================
+-- Products flagged track_serials (electronics) are handled unit by unit:
+-- every unit's serial number is scanned when it is received and again
+-- when the order it goes out on is packed. inventory keeps the totals;
+-- inventory_serials holds one row per unit with where it came from and
+-- which order it left on:
+--   in_stock   - received, on the shelf of its warehouse
+--   in_transit - shipped on a warehouse transfer, not received yet
+--   packed     - scanned into a packed order (stock still reserved)
+--   shipped    - left on the order (order_id / order_item_id)
+--   removed    - taken back out of stock (rejected or deleted receipt)
+--
+-- A serial is unique per client and product. A shipped unit that comes
+-- back is received again under the same serial, so its row is reused.
+--
+-- Transfers of serial-tracked products name the serials on each line;
+-- the units move to the destination warehouse when it is received.
+--
+-- Requires: add_multi_warehouse.sql, add_order_workflow.sql
+-- =====================================================
+
+-- STEP 1: Products that need serials
+ALTER TABLE products ADD COLUMN IF NOT EXISTS track_serials BOOLEAN NOT NULL DEFAULT false;
+
+-- STEP 2: One row per serialised unit
+CREATE TABLE IF NOT EXISTS inventory_serials (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  serial_number VARCHAR(100) NOT NULL,
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  -- Warehouse the unit is in: received into, or moved to by a transfer
+  warehouse_id UUID REFERENCES warehouses(id) ON DELETE SET NULL,
+  inbound_log_id UUID REFERENCES inbound_logs(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'in_stock',
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  order_item_id UUID REFERENCES order_items(id) ON DELETE SET NULL,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  packed_at TIMESTAMPTZ,
+  shipped_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT chk_inventory_serial_status CHECK (status IN ('in_stock', 'in_transit', 'packed', 'shipped', 'removed')),
+  CONSTRAINT uq_inventory_serial UNIQUE (client_id, product_id, serial_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_serials_serial ON inventory_serials(serial_number);
+CREATE INDEX IF NOT EXISTS idx_inventory_serials_order ON inventory_serials(order_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_serials_inbound ON inventory_serials(inbound_log_id);
+
+-- STEP 3: Serials moved by a transfer line
+ALTER TABLE warehouse_transfer_lines ADD COLUMN IF NOT EXISTS serial_numbers JSONB NOT NULL DEFAULT '[]'::JSONB;
+
+-- STEP 4: RLS - serials are only read through the admin client
+ALTER TABLE inventory_serials ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,51 @@
+-- =====================================================
+-- SHIPPING LABELS
+-- =====================================================
+-- Labels bought from a carrier for a packed order, one per carton. The
+-- label file (PDF or ZPL) is kept base64 encoded on the row and only
+-- served through the API. Buying labels sets the order's carrier and
+-- tracking number (the first carton's); cancelling the order voids its
+-- active labels with the carrier. orders.label_purchase_started_at marks an
+-- order while labels are being bought, so a second purchase is refused.
+--
+-- Requires: add_packing.sql (pack_cartons), add_picking.sql (orders.carrier)
+-- =====================================================
+
+-- STEP 1: Labels
+CREATE TABLE IF NOT EXISTS shipping_labels (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  carton_id UUID REFERENCES pack_cartons(id) ON DELETE SET NULL,
+
+  carrier VARCHAR(50) NOT NULL,
+  service_code VARCHAR(50) NOT NULL,
+  service_name VARCHAR(100),
+  -- Carrier's shipment reference; labels bought together share it and are voided together
+  shipment_id VARCHAR(100) NOT NULL,
+  tracking_number VARCHAR(100) NOT NULL,
+
+  label_format VARCHAR(10) NOT NULL CHECK (label_format IN ('pdf', 'zpl')),
+  label_data TEXT NOT NULL,
+
+  -- Shipment charge as quoted by the carrier, on the first label of the shipment
+  cost DECIMAL(10, 2),
+  currency VARCHAR(3) DEFAULT 'USD',
+
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'voided')),
+  void_reason TEXT,
+  voided_by UUID REFERENCES user_profiles(id),
+  voided_at TIMESTAMP WITH TIME ZONE,
+
+  created_by UUID REFERENCES user_profiles(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipping_labels_order ON shipping_labels(order_id, status);
+CREATE INDEX IF NOT EXISTS idx_shipping_labels_tracking ON shipping_labels(tracking_number);
+
+-- Set while a label purchase is in progress; cleared when it ends
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS label_purchase_started_at TIMESTAMP WITH TIME ZONE;
+
+-- STEP 2: RLS - labels are only read through the admin client
+ALTER TABLE shipping_labels ENABLE ROW LEVEL SECURITY;
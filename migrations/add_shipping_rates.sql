@@ -0,0 +1,81 @@
+-- =====================================================
+-- SHIPPING RATE TABLES AND ORDER SERVICE LEVELS
+-- =====================================================
+-- Replaces the hardcoded shipping fee ladder ($2.50 up to 5 lbs ... $25
+-- over 50 lbs). Each carrier service has its own rate table, priced by
+-- services/shippingRateService.js when an order is created:
+--   1. the destination is mapped to a zone (zones)
+--   2. billable weight = actual weight or dimensional weight
+--      (cubic inches / dim_divisor), whichever is higher, rounded up
+--      to the whole lb
+--   3. the rate is the first tier of the zone the weight fits in, plus
+--      additional_per_lb for every lb over the largest tier
+--   4. fuel surcharge is added, then min_charge applied
+-- The order is charged the cheapest service unless the cheapest/fastest
+-- service level or a specific service is asked for.
+--
+-- zones (first match wins; entries for the order's warehouse are tried first):
+--   [{ "zone": "2", "country": "US", "zipFrom": "100", "zipTo": "199", "warehouseId": null }]
+--   zipFrom/zipTo compare the first digits of the postal code; entries
+--   without them cover the whole country, entries without a country
+--   cover everywhere. An empty list makes every destination zone "*".
+-- rates:
+--   [{ "zone": "2", "maxWeight": 5, "rate": 7.25 }]
+--   zone "*" applies to every zone; maxWeight null = no limit.
+--
+-- Requires: add_picking.sql (orders.carrier)
+-- =====================================================
+
+-- STEP 1: Carrier services and their rate tables
+CREATE TABLE IF NOT EXISTS shipping_services (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  carrier VARCHAR(50) NOT NULL,
+  service_code VARCHAR(50) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  transit_days INTEGER CHECK (transit_days > 0),
+  -- Cubic inches per lb; NULL prices on actual weight only
+  dim_divisor NUMERIC(10,2) CHECK (dim_divisor > 0),
+  fuel_surcharge_percent NUMERIC(5,2) NOT NULL DEFAULT 0 CHECK (fuel_surcharge_percent >= 0),
+  min_charge NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (min_charge >= 0),
+  additional_per_lb NUMERIC(10,2) CHECK (additional_per_lb >= 0),
+  zones JSONB NOT NULL DEFAULT '[]'::jsonb,
+  rates JSONB NOT NULL DEFAULT '[]'::jsonb,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  notes TEXT,
+  created_by UUID REFERENCES user_profiles(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_shipping_service UNIQUE (carrier, service_code),
+  CONSTRAINT chk_shipping_service_zones CHECK (jsonb_typeof(zones) = 'array'),
+  CONSTRAINT chk_shipping_service_rates CHECK (jsonb_typeof(rates) = 'array')
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipping_services_active ON shipping_services(is_active);
+
+-- STEP 2: Service the order ships with and how it was priced
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_service_id UUID REFERENCES shipping_services(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS service_level VARCHAR(50);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_zone VARCHAR(20);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS billable_weight DECIMAL(10, 2);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS transit_days INTEGER;
+
+-- STEP 3: Default service with the previous fee ladder, so every
+-- destination keeps a price until carrier tables are loaded
+INSERT INTO shipping_services (carrier, service_code, name, transit_days, rates)
+VALUES (
+  'max2pay',
+  'STANDARD',
+  'MAX2PAY Standard',
+  5,
+  '[
+    { "zone": "*", "maxWeight": 5, "rate": 2.50 },
+    { "zone": "*", "maxWeight": 10, "rate": 5.00 },
+    { "zone": "*", "maxWeight": 20, "rate": 8.50 },
+    { "zone": "*", "maxWeight": 50, "rate": 15.00 },
+    { "zone": "*", "maxWeight": null, "rate": 25.00 }
+  ]'::jsonb
+)
+ON CONFLICT (carrier, service_code) DO NOTHING;
+
+-- STEP 4: RLS - rate tables are only read through the admin client
+ALTER TABLE shipping_services ENABLE ROW LEVEL SECURITY;
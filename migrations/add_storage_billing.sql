@@ -0,0 +1,87 @@
+-- =====================================================
+-- STORAGE BILLING FROM DAILY INVENTORY SNAPSHOTS
+-- =====================================================
+-- jobs/inventorySnapshotJob.js captures every inventory row each night
+-- with the space it occupies (cubic feet, bins, pallets). Monthly
+-- invoices add a storage line priced with the client's rate card:
+--   daily charge = occupancy x monthly rate / days in month
+-- Days without a snapshot are not billed.
+--
+-- Requires: add_rate_cards.sql (rate_cards)
+-- =====================================================
+
+-- STEP 1: Snapshots (one row per inventory row per day)
+CREATE TABLE IF NOT EXISTS inventory_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  snapshot_date DATE NOT NULL,
+  inventory_id UUID NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity >= 0),
+  unit_cubic_feet NUMERIC(12,4) NOT NULL DEFAULT 0,
+  cubic_feet NUMERIC(14,4) NOT NULL DEFAULT 0,
+  bins INTEGER NOT NULL DEFAULT 0,
+  pallets INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_inventory_snapshot_day UNIQUE (snapshot_date, inventory_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_snapshots_client_date
+  ON inventory_snapshots(client_id, snapshot_date);
+
+ALTER TABLE inventory_snapshots ENABLE ROW LEVEL SECURITY;
+
+-- STEP 2: Optional packing density per product.
+-- When empty, bins/pallets are derived from the product's cubic feet.
+ALTER TABLE products ADD COLUMN IF NOT EXISTS units_per_bin INTEGER CHECK (units_per_bin > 0);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS units_per_pallet INTEGER CHECK (units_per_pallet > 0);
+
+-- STEP 3: How each rate card bills storage
+ALTER TABLE rate_cards ADD COLUMN IF NOT EXISTS storage_billing_method VARCHAR(20) NOT NULL DEFAULT 'pallet';
+ALTER TABLE rate_cards ADD COLUMN IF NOT EXISTS storage_per_cubic_foot NUMERIC(10,4) NOT NULL DEFAULT 0;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'chk_rate_card_storage_method'
+  ) THEN
+    ALTER TABLE rate_cards ADD CONSTRAINT chk_rate_card_storage_method
+      CHECK (storage_billing_method IN ('cubic_foot', 'bin', 'pallet'));
+  END IF;
+END $$;
+
+-- STEP 4: Daily occupancy totals for a client, summed in the database so
+-- a month of snapshots is never cut off by the API row limit.
+-- Snapshots only hold stock on hand, so a zero cubic_feet / bins / pallets
+-- is a product without dimensions or packing density: not billable by
+-- that method, and counted per day so invoices can report it.
+CREATE OR REPLACE FUNCTION get_daily_storage_occupancy(
+  p_client_id UUID,
+  p_start_date DATE,
+  p_end_date DATE
+)
+RETURNS TABLE (
+  snapshot_date DATE,
+  quantity BIGINT,
+  cubic_feet NUMERIC,
+  bins BIGINT,
+  pallets BIGINT,
+  unmeasured_cubic_foot BIGINT,
+  unmeasured_bin BIGINT,
+  unmeasured_pallet BIGINT
+) AS $$
+  SELECT
+    s.snapshot_date,
+    SUM(s.quantity)::BIGINT,
+    SUM(s.cubic_feet),
+    SUM(s.bins)::BIGINT,
+    SUM(s.pallets)::BIGINT,
+    COUNT(*) FILTER (WHERE s.cubic_feet = 0),
+    COUNT(*) FILTER (WHERE s.bins = 0),
+    COUNT(*) FILTER (WHERE s.pallets = 0)
+  FROM inventory_snapshots s
+  WHERE s.client_id = p_client_id
+    AND s.snapshot_date BETWEEN p_start_date AND p_end_date
+  GROUP BY s.snapshot_date
+  ORDER BY s.snapshot_date;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,49 @@
+-- =====================================================
+-- CARRIER TRACKING EVENTS
+-- =====================================================
+-- Tracking scans for shipped orders, received from carrier webhooks
+-- (POST /api/shipping/tracking/webhook/:carrier) or polled from the
+-- carrier tracking APIs by the tracking cron. An event is matched to its
+-- order through the label's tracking number (or the tracking number
+-- entered when the order was dispatched). Once every package of a
+-- dispatched order has a delivered scan the order moves to delivered and
+-- delivered_at is set to the delivery scan time; exception scans
+-- (returned to sender, lost, delivery exceptions) raise notifications.
+--
+-- Requires: add_shipping_labels.sql, add_order_workflow.sql (orders.delivered_at)
+-- =====================================================
+
+-- STEP 1: Tracking event history
+CREATE TABLE IF NOT EXISTS order_tracking_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+
+  carrier VARCHAR(50) NOT NULL,
+  tracking_number VARCHAR(100) NOT NULL,
+  status VARCHAR(30) NOT NULL CHECK (status IN (
+    'pre_transit', 'in_transit', 'out_for_delivery', 'delivered',
+    'exception', 'returned_to_sender', 'lost'
+  )),
+  -- Carrier's own event code and wording
+  carrier_status_code VARCHAR(50),
+  description TEXT,
+  location VARCHAR(255),
+  occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+  source VARCHAR(20) NOT NULL CHECK (source IN ('webhook', 'poll')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Webhooks and polling report the same scans; each is stored once
+  CONSTRAINT uq_order_tracking_event UNIQUE (tracking_number, status, occurred_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_tracking_events_order ON order_tracking_events(order_id, occurred_at);
+
+-- STEP 2: Latest tracking status on the order
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tracking_status VARCHAR(30);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tracking_updated_at TIMESTAMP WITH TIME ZONE;
+-- Last time the tracking cron asked the carrier
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tracking_checked_at TIMESTAMP WITH TIME ZONE;
+
+-- STEP 3: RLS - tracking events are only read through the admin client
+ALTER TABLE order_tracking_events ENABLE ROW LEVEL SECURITY;
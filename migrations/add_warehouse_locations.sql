@@ -0,0 +1,209 @@
+-- =====================================================
+-- WAREHOUSE LOCATION HIERARCHY AND BIN INVENTORY
+-- =====================================================
+-- warehouse -> zone -> aisle -> rack -> bin
+--
+-- inventory stays one row per client/product (the stock totals every
+-- other module works with). bin_inventory records where that stock
+-- physically sits, so a SKU can live in several bins:
+--   SUM(bin_inventory.quantity) <= available_stock + reserved_stock
+-- Anything on hand but not in a bin is "unplaced" (e.g. stock received
+-- before bins existed) and can be put away with POST /api/locations/putaway.
+--
+-- Bin quantities only change through the functions below:
+--   adjust_bin_stock  - put away / remove stock in one bin (capacity checked)
+--   move_bin_stock    - move stock between bins in one transaction
+--   pick_bin_stock    - take shipped units out of bins in pick-path order
+--
+-- Requires: inventory, inbound_logs
+-- =====================================================
+
+-- STEP 1: Warehouses
+CREATE TABLE IF NOT EXISTS warehouses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code VARCHAR(20) UNIQUE NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  address_line1 VARCHAR(255),
+  city VARCHAR(100),
+  state VARCHAR(100),
+  postal_code VARCHAR(20),
+  country VARCHAR(100),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO warehouses (code, name)
+SELECT 'MAIN', 'Main Warehouse'
+WHERE NOT EXISTS (SELECT 1 FROM warehouses);
+
+-- STEP 2: Locations (zones, aisles, racks, bins)
+CREATE TABLE IF NOT EXISTS warehouse_locations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  warehouse_id UUID NOT NULL REFERENCES warehouses(id) ON DELETE RESTRICT,
+  parent_id UUID REFERENCES warehouse_locations(id) ON DELETE RESTRICT,
+  type VARCHAR(10) NOT NULL CHECK (type IN ('zone', 'aisle', 'rack', 'bin')),
+  code VARCHAR(20) NOT NULL,
+  -- Full path, e.g. MAIN-A-01-03-B2 (what gets printed on labels and pick lists)
+  location_code VARCHAR(120) UNIQUE NOT NULL,
+  name VARCHAR(100),
+  capacity_units INTEGER CHECK (capacity_units > 0),
+  is_pickable BOOLEAN NOT NULL DEFAULT true,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT chk_location_parent CHECK ((type = 'zone') = (parent_id IS NULL)),
+  CONSTRAINT uq_location_sibling_code UNIQUE (warehouse_id, parent_id, code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_warehouse_locations_parent ON warehouse_locations(parent_id);
+CREATE INDEX IF NOT EXISTS idx_warehouse_locations_warehouse_type ON warehouse_locations(warehouse_id, type);
+
+-- STEP 3: Stock per bin
+CREATE TABLE IF NOT EXISTS bin_inventory (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  location_id UUID NOT NULL REFERENCES warehouse_locations(id) ON DELETE RESTRICT,
+  inventory_id UUID NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_bin_inventory UNIQUE (location_id, inventory_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bin_inventory_inventory ON bin_inventory(inventory_id);
+CREATE INDEX IF NOT EXISTS idx_bin_inventory_location ON bin_inventory(location_id);
+
+-- STEP 4: Bin received into
+ALTER TABLE inbound_logs ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES warehouse_locations(id) ON DELETE SET NULL;
+
+-- STEP 5: Put away / remove stock in one bin
+CREATE OR REPLACE FUNCTION adjust_bin_stock(
+  p_location_id UUID,
+  p_inventory_id UUID,
+  p_delta INTEGER
+)
+RETURNS VOID AS $$
+DECLARE
+  v_location RECORD;
+  v_inventory RECORD;
+  v_bin_total INTEGER;
+  v_placed INTEGER;
+  v_current INTEGER;
+BEGIN
+  SELECT * INTO v_location FROM warehouse_locations WHERE id = p_location_id FOR UPDATE;
+
+  IF NOT FOUND OR v_location.type <> 'bin' THEN
+    RAISE EXCEPTION 'Location % is not a bin', p_location_id;
+  END IF;
+
+  SELECT * INTO v_inventory FROM inventory WHERE id = p_inventory_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Inventory % not found', p_inventory_id;
+  END IF;
+
+  SELECT COALESCE(quantity, 0) INTO v_current
+  FROM bin_inventory
+  WHERE location_id = p_location_id AND inventory_id = p_inventory_id;
+  v_current := COALESCE(v_current, 0);
+
+  IF v_current + p_delta < 0 THEN
+    RAISE EXCEPTION 'Insufficient stock in bin % (has %, needs %)', v_location.location_code, v_current, -p_delta;
+  END IF;
+
+  IF p_delta > 0 THEN
+    IF NOT v_location.is_active THEN
+      RAISE EXCEPTION 'Bin % is inactive', v_location.location_code;
+    END IF;
+
+    IF v_location.capacity_units IS NOT NULL THEN
+      SELECT COALESCE(SUM(quantity), 0) INTO v_bin_total
+      FROM bin_inventory WHERE location_id = p_location_id;
+
+      IF v_bin_total + p_delta > v_location.capacity_units THEN
+        RAISE EXCEPTION 'Bin % capacity exceeded (% of % units used)',
+          v_location.location_code, v_bin_total, v_location.capacity_units;
+      END IF;
+    END IF;
+
+    SELECT COALESCE(SUM(quantity), 0) INTO v_placed
+    FROM bin_inventory WHERE inventory_id = p_inventory_id;
+
+    IF v_placed + p_delta > v_inventory.available_stock + v_inventory.reserved_stock THEN
+      RAISE EXCEPTION 'Cannot place more stock in bins than is on hand';
+    END IF;
+  END IF;
+
+  INSERT INTO bin_inventory (location_id, inventory_id, client_id, product_id, quantity)
+  VALUES (p_location_id, p_inventory_id, v_inventory.client_id, v_inventory.product_id, v_current + p_delta)
+  ON CONFLICT (location_id, inventory_id)
+  DO UPDATE SET quantity = EXCLUDED.quantity, updated_at = NOW();
+
+  DELETE FROM bin_inventory
+  WHERE location_id = p_location_id AND inventory_id = p_inventory_id AND quantity = 0;
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 6: Move stock between bins
+CREATE OR REPLACE FUNCTION move_bin_stock(
+  p_inventory_id UUID,
+  p_from_location_id UUID,
+  p_to_location_id UUID,
+  p_quantity INTEGER
+)
+RETURNS VOID AS $$
+BEGIN
+  IF p_quantity <= 0 THEN
+    RAISE EXCEPTION 'Quantity must be positive';
+  END IF;
+
+  IF p_from_location_id = p_to_location_id THEN
+    RAISE EXCEPTION 'Source and destination bins must differ';
+  END IF;
+
+  PERFORM adjust_bin_stock(p_from_location_id, p_inventory_id, -p_quantity);
+  PERFORM adjust_bin_stock(p_to_location_id, p_inventory_id, p_quantity);
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 7: Take shipped units out of bins (pickable bins first, in location order)
+-- Returns how many units were taken; less than requested when part of the stock is unplaced
+CREATE OR REPLACE FUNCTION pick_bin_stock(
+  p_inventory_id UUID,
+  p_quantity INTEGER
+)
+RETURNS INTEGER AS $$
+DECLARE
+  v_row RECORD;
+  v_remaining INTEGER := p_quantity;
+  v_take INTEGER;
+BEGIN
+  FOR v_row IN
+    SELECT bi.id, bi.quantity
+    FROM bin_inventory bi
+    JOIN warehouse_locations wl ON wl.id = bi.location_id
+    WHERE bi.inventory_id = p_inventory_id AND bi.quantity > 0
+    ORDER BY wl.is_pickable DESC, wl.location_code
+    FOR UPDATE OF bi
+  LOOP
+    EXIT WHEN v_remaining <= 0;
+    v_take := LEAST(v_row.quantity, v_remaining);
+
+    UPDATE bin_inventory
+    SET quantity = quantity - v_take, updated_at = NOW()
+    WHERE id = v_row.id;
+
+    v_remaining := v_remaining - v_take;
+  END LOOP;
+
+  DELETE FROM bin_inventory WHERE inventory_id = p_inventory_id AND quantity = 0;
+
+  RETURN p_quantity - v_remaining;
+END;
+$$ LANGUAGE plpgsql;
+
+-- STEP 8: RLS - locations are only read through the admin client
+ALTER TABLE warehouses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE warehouse_locations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bin_inventory ENABLE ROW LEVEL SECURITY;
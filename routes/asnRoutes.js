@@ -0,0 +1,78 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getAllAsns,
+  getAsnById,
+  getDiscrepancyReport,
+  createAsn,
+  updateAsn,
+  receiveAsn,
+  closeAsn,
+  cancelAsn
+} = require('../controllers/supabaseAsnController');
+const { protect, authorize, restrictToOwnClient } = require('../middleware/supabaseAuth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+const shipmentValidators = [
+  body('carrier').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Carrier must be at most 100 characters'),
+  body('trackingNumber').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Tracking number must be at most 100 characters'),
+  body('referenceNumber').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Reference number must be at most 100 characters'),
+  body('expectedDate').optional({ nullable: true }).isISO8601().withMessage('Invalid expected date')
+];
+
+router.use(protect);
+
+router.get(
+  '/',
+  restrictToOwnClient,
+  [
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    validate
+  ],
+  getAllAsns
+);
+
+router.get('/:id/discrepancies', getDiscrepancyReport);
+
+router.get('/:id', getAsnById);
+
+router.post(
+  '/',
+  [
+    ...shipmentValidators,
+    body('lines').isArray({ min: 1 }).withMessage('At least one line is required'),
+    body('lines.*.productId').notEmpty().withMessage('Product ID is required'),
+    body('lines.*.expectedQuantity').isInt({ min: 1 }).withMessage('Expected quantity must be at least 1'),
+    validate
+  ],
+  createAsn
+);
+
+router.put('/:id', [...shipmentValidators, validate], updateAsn);
+
+router.post(
+  '/:id/receive',
+  authorize('admin', 'employee'),
+  [
+    body('lines').isArray({ min: 1 }).withMessage('At least one line is required'),
+    body('lines.*.lineId').notEmpty().withMessage('Line ID is required'),
+    body('lines.*.receivedQuantity').optional().isInt({ min: 0 }).withMessage('Received quantity must be 0 or more'),
+    body('lines.*.damagedQuantity').optional().isInt({ min: 0 }).withMessage('Damaged quantity must be 0 or more'),
+    body('lines.*.lotNumber').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Lot number must be at most 100 characters'),
+    body('lines.*.expiryDate').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date'),
+    body('lines.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be an array'),
+    body('lines.*.cartonCount').optional().isInt({ min: 0 }).withMessage('Carton count must be 0 or more'),
+    body('lines.*.palletCount').optional().isInt({ min: 0 }).withMessage('Pallet count must be 0 or more'),
+    validate
+  ],
+  receiveAsn
+);
+
+router.post('/:id/close', authorize('admin', 'employee'), closeAsn);
+
+router.put('/:id/cancel', cancelAsn);
+
+module.exports = router;
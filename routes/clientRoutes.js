@@ -21,6 +21,15 @@ router.get('/:id', getClientById);
 
 router.get('/:id/stats', getClientStats);
 
+const brandingValidators = [
+  body('branding').optional({ nullable: true }).isObject().withMessage('Branding must be an object'),
+  body('branding.logoUrl').optional({ nullable: true, checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Logo URL must be an http(s) URL'),
+  body('branding.color').optional({ nullable: true, checkFalsy: true })
+    .matches(/^#[0-9A-Fa-f]{6}$/).withMessage('Brand colour must be a hex colour like #1A73E8'),
+  body('branding.packingSlipMessage').optional({ nullable: true }).isString().isLength({ max: 1000 })
+];
+
 router.post(
   '/',
   authorize('admin'),
@@ -29,6 +38,8 @@ router.post(
     body('contactPerson').notEmpty().withMessage('Contact person is required'),
     body('email').isEmail().withMessage('Please provide a valid email'),
     body('phone').notEmpty().withMessage('Phone is required'),
+    body('accountManagerId').optional({ nullable: true, checkFalsy: true }).isUUID().withMessage('Invalid account manager ID'),
+    ...brandingValidators,
     validate
   ],
   createClient
@@ -42,6 +53,8 @@ router.put(
     body('contactPerson').optional().notEmpty().withMessage('Contact person cannot be empty'),
     body('email').optional().isEmail().withMessage('Please provide a valid email'),
     body('phone').optional().notEmpty().withMessage('Phone cannot be empty'),
+    body('accountManagerId').optional({ nullable: true, checkFalsy: true }).isUUID().withMessage('Invalid account manager ID'),
+    ...brandingValidators,
     validate
   ],
   updateClient
@@ -0,0 +1,63 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getAllCreditNotes,
+  getCreditNoteById,
+  createCreditNote,
+  applyCreditNote,
+  voidCreditNote,
+  downloadCreditNotePdf
+} = require('../controllers/supabaseCreditNoteController');
+const { protect, authorize, restrictToOwnClient } = require('../middleware/supabaseAuth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', restrictToOwnClient, getAllCreditNotes);
+
+router.get('/:id/pdf', downloadCreditNotePdf);
+
+router.get('/:id', getCreditNoteById);
+
+router.post(
+  '/',
+  authorize('admin'),
+  [
+    body('invoiceId').notEmpty().withMessage('Invoice ID is required'),
+    body('reason').isIn(['return', 'damage', 'pricing_error', 'goodwill', 'other'])
+      .withMessage('Invalid credit note reason'),
+    body('lines').isArray({ min: 1 }).withMessage('At least one line is required'),
+    body('lines.*.description').notEmpty().withMessage('Line description is required'),
+    body('lines.*.amount').optional().isFloat({ gt: 0 }).withMessage('Line amount must be greater than 0'),
+    body('lines.*.quantity').optional().isInt({ min: 1 }).withMessage('Line quantity must be at least 1'),
+    body('lines.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('Line unit price must be 0 or more'),
+    validate
+  ],
+  createCreditNote
+);
+
+router.post(
+  '/:id/apply',
+  authorize('admin'),
+  [
+    body('applications').isArray({ min: 1 }).withMessage('At least one invoice is required'),
+    body('applications.*.invoiceId').notEmpty().withMessage('Invoice ID is required'),
+    body('applications.*.amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+    validate
+  ],
+  applyCreditNote
+);
+
+router.put(
+  '/:id/void',
+  authorize('admin'),
+  [
+    body('reason').notEmpty().withMessage('Void reason is required'),
+    validate
+  ],
+  voidCreditNote
+);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getAllCycleCounts,
+  getCycleCountById,
+  createCycleCount,
+  recordCounts,
+  submitCycleCount,
+  reviewCycleCount,
+  cancelCycleCount
+} = require('../controllers/supabaseCycleCountController');
+const { protect, authorize } = require('../middleware/supabaseAuth');
+const { validate } = require('../middleware/validator');
+const { CYCLE_COUNT_METHODS, ABC_CLASSES } = require('../services/cycleCountService');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin', 'employee'));
+
+router.get('/', getAllCycleCounts);
+
+router.get('/:id', getCycleCountById);
+
+router.post(
+  '/',
+  [
+    body('method').isIn(CYCLE_COUNT_METHODS).withMessage(`Method must be one of: ${CYCLE_COUNT_METHODS.join(', ')}`),
+    body('locationIds').optional().isArray({ min: 1 }).withMessage('Location IDs must be a non-empty array'),
+    body('abcClass').optional().isIn([...ABC_CLASSES, ...ABC_CLASSES.map(c => c.toLowerCase())]).withMessage(`ABC class must be one of: ${ABC_CLASSES.join(', ')}`),
+    body('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365'),
+    body('sampleSize').optional().isInt({ min: 1, max: 500 }).withMessage('Sample size must be between 1 and 500'),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 1000 }),
+    validate
+  ],
+  createCycleCount
+);
+
+router.post(
+  '/:id/counts',
+  [
+    body('lines').isArray({ min: 1 }).withMessage('At least one line is required'),
+    body('lines.*.lineId').notEmpty().withMessage('Line ID is required'),
+    body('lines.*.countedQuantity').isInt({ min: 0 }).withMessage('Counted quantity must be 0 or more'),
+    validate
+  ],
+  recordCounts
+);
+
+router.post('/:id/submit', submitCycleCount);
+
+router.post(
+  '/:id/review',
+  authorize('admin'),
+  [
+    body('lines').isArray({ min: 1 }).withMessage('At least one line is required'),
+    body('lines.*.lineId').notEmpty().withMessage('Line ID is required'),
+    body('lines.*.approved').isBoolean().withMessage('Approved must be true or false').toBoolean(),
+    body('lines.*.note').optional({ nullable: true }).isString().isLength({ max: 1000 }),
+    validate
+  ],
+  reviewCycleCount
+);
+
+router.put('/:id/cancel', cancelCycleCount);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { protect, authorize } = require('../middleware/supabaseAuth');
 const EnhancedInvoiceService = require('../services/enhancedInvoiceService');
+const pricingEngine = require('../services/pricingEngine');
 const { createAuditLog } = require('../middleware/supabaseAuditLog');
 const router = express.Router();
 
@@ -108,7 +109,7 @@ router.post('/process-manual-billing', protect, authorize('admin', 'employee'),
         // Create manual billing record
         const { data: order } = await req.supabaseAdmin
           .from('orders')
-          .select('total_weight, total_amount')
+          .select('id, client_id, total_weight, total_amount, special_handling, created_at, dispatched_at, delivered_at')
           .eq('id', orderId)
           .single();
 
@@ -117,9 +118,21 @@ router.post('/process-manual-billing', protect, authorize('admin', 'employee'),
           continue;
         }
 
-        const orderUnits = invoiceService.estimateOrderUnits(order);
-        const totalCharge = parseFloat(baseCharge || 2.50) + 
-          (parseFloat(perUnitCharge || 0.50) * orderUnits);
+        // Charges default to the client's rate card unless overridden
+        const orderUnits = await invoiceService.calculateOrderUnits(order);
+        const rateCard = await pricingEngine.getRateCard(order.client_id, pricingEngine.getServiceDate(order));
+        const charge = pricingEngine.calculateOrderCharge(rateCard, {
+          units: orderUnits,
+          weight: order.total_weight,
+          specialHandling: order.special_handling === true
+        });
+        const base = baseCharge !== undefined ? parseFloat(baseCharge) : charge.pickFee;
+        const perUnit = perUnitCharge !== undefined
+          ? parseFloat(perUnitCharge)
+          : (charge.weightTier ? charge.weightTier.unitSurcharge : 0);
+        const totalCharge = baseCharge !== undefined || perUnitCharge !== undefined
+          ? base + (perUnit * orderUnits)
+          : charge.total;
 
         await req.supabaseAdmin
           .from('manual_billing_orders')
@@ -127,8 +140,8 @@ router.post('/process-manual-billing', protect, authorize('admin', 'employee'),
             order_id: orderId,
             client_id: order.client_id,
             billing_type: billingType || 'weight_surcharge',
-            base_charge: parseFloat(baseCharge || 2.50),
-            per_unit_charge: parseFloat(perUnitCharge || 0.50),
+            base_charge: base,
+            per_unit_charge: perUnit,
             total_units: orderUnits,
             total_charge: totalCharge,
             created_by: req.user.id
@@ -27,12 +27,29 @@ router.post(
     body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
     body('referenceNumber').notEmpty().withMessage('Reference number is required'),
     body('storageLocation').notEmpty().withMessage('Storage location is required'),
+    body('lotNumber').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Lot number must be at most 100 characters'),
+    body('expiryDate').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date'),
+    body('serialNumbers').optional().isArray().withMessage('Serial numbers must be an array'),
+    body('serialNumbers.*').isString().isLength({ min: 1, max: 100 }).withMessage('Serial numbers must be 1-100 characters'),
+    body('cartonCount').optional().isInt({ min: 0 }).withMessage('Carton count must be 0 or more'),
+    body('palletCount').optional().isInt({ min: 0 }).withMessage('Pallet count must be 0 or more'),
     validate
   ],
   createInboundLog
 );
 
-router.put('/:id', authorize('admin', 'employee'), updateInboundLog);
+router.put(
+  '/:id',
+  authorize('admin', 'employee'),
+  [
+    body('cartonCount').optional().isInt({ min: 0 }).withMessage('Carton count must be 0 or more'),
+    body('palletCount').optional().isInt({ min: 0 }).withMessage('Pallet count must be 0 or more'),
+    body('serialNumbers').optional().isArray().withMessage('Serial numbers must be an array'),
+    body('serialNumbers.*').isString().isLength({ min: 1, max: 100 }).withMessage('Serial numbers must be 1-100 characters'),
+    validate
+  ],
+  updateInboundLog
+);
 
 router.delete('/:id', authorize('admin', 'employee'), deleteInboundLog);
 
@@ -5,6 +5,17 @@ const {
   getInventoryByProduct,
   adjustInventory,
   getInventoryStats,
+  getSerialLookup,
+  getInventoryLedger,
+  getStockAsOf,
+  getLowStock,
+  runLowStockAlertsAuto,
+  getAdjustments,
+  approveAdjustment,
+  rejectAdjustment,
+  getReasonCodes,
+  createReasonCode,
+  updateReasonCode,
   deleteInventory
 } = require('../controllers/supabaseInventoryController');
 const { protect, authorize, restrictToOwnClient } = require('../middleware/supabaseAuth');
@@ -12,6 +23,13 @@ const { validate } = require('../middleware/validator');
 
 const router = express.Router();
 
+/**
+ * Daily low-stock alerts (triggered by cron)
+ * Security: Internal service key required in header
+ * Header: x-service-key: <INTERNAL_SERVICE_KEY>
+ */
+router.post('/low-stock/auto', runLowStockAlertsAuto);
+
 router.use(protect);
 
 router.get('/', restrictToOwnClient, getAllInventory);
@@ -20,18 +38,82 @@ router.get('/stats', restrictToOwnClient, getInventoryStats);
 
 router.get('/product/:productId', getInventoryByProduct);
 
+router.get('/serials/:serial', getSerialLookup);
+
+router.get('/as-of', restrictToOwnClient, getStockAsOf);
+
+router.get('/low-stock', restrictToOwnClient, getLowStock);
+
+router.get('/:id/ledger', getInventoryLedger);
+
 router.post(
   '/adjust',
   authorize('admin', 'employee'),
   [
     body('productId').notEmpty().withMessage('Product ID is required'),
     body('adjustment').isNumeric().withMessage('Adjustment must be a number'),
-    body('reason').notEmpty().withMessage('Reason is required'),
+    body('reasonCode').optional().isString().withMessage('Reason code must be a string'),
+    body('note').optional({ nullable: true }).isString().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters'),
+    body('locationId').optional().notEmpty().withMessage('Location ID cannot be empty'),
+    body('lotNumber').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Lot number must be at most 100 characters'),
+    body('expiryDate').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date'),
     validate
   ],
   adjustInventory
 );
 
+router.get('/adjustments', restrictToOwnClient, getAdjustments);
+
+router.post(
+  '/adjustments/:id/approve',
+  authorize('admin'),
+  [
+    body('note').optional({ nullable: true }).isString().withMessage('Note must be a string'),
+    validate
+  ],
+  approveAdjustment
+);
+
+router.post(
+  '/adjustments/:id/reject',
+  authorize('admin'),
+  [
+    body('note').optional({ nullable: true }).isString().withMessage('Note must be a string'),
+    validate
+  ],
+  rejectAdjustment
+);
+
+router.get('/reason-codes', getReasonCodes);
+
+router.post(
+  '/reason-codes',
+  authorize('admin'),
+  [
+    body('code').matches(/^[a-z0-9_]+$/i).isLength({ max: 50 }).withMessage('Code must be letters, digits or underscores (max 50)'),
+    body('label').notEmpty().isLength({ max: 100 }).withMessage('Label is required (max 100 characters)'),
+    body('direction').optional().isIn(['increase', 'decrease', 'any']).withMessage('Direction must be increase, decrease or any'),
+    body('requiresApproval').optional().isBoolean().withMessage('requiresApproval must be a boolean').toBoolean(),
+    body('sortOrder').optional().isInt().withMessage('Sort order must be an integer').toInt(),
+    validate
+  ],
+  createReasonCode
+);
+
+router.put(
+  '/reason-codes/:code',
+  authorize('admin'),
+  [
+    body('label').optional().notEmpty().isLength({ max: 100 }).withMessage('Label cannot be empty (max 100 characters)'),
+    body('direction').optional().isIn(['increase', 'decrease', 'any']).withMessage('Direction must be increase, decrease or any'),
+    body('requiresApproval').optional().isBoolean().withMessage('requiresApproval must be a boolean').toBoolean(),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(),
+    body('sortOrder').optional().isInt().withMessage('Sort order must be an integer').toInt(),
+    validate
+  ],
+  updateReasonCode
+);
+
 router.delete('/:id', authorize('admin'), deleteInventory);
 
 module.exports = router;
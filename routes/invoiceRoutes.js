@@ -3,6 +3,7 @@ const { body } = require('express-validator');
 const {
   getAllInvoices,
   getInvoiceById,
+  downloadInvoicePdf,
   createInvoice,
   uploadInvoiceFile,
   updateInvoice,
@@ -54,6 +55,8 @@ router.use(protect);
 
 router.get('/', restrictToOwnClient, getAllInvoices);
 
+router.get('/:id/pdf', downloadInvoicePdf);
+
 router.get('/:id', getInvoiceById);
 
 router.post(
@@ -0,0 +1,98 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getAllLocations,
+  getLocationTree,
+  getLocationById,
+  getLocationContents,
+  getInventoryLocations,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  putAwayStock,
+  moveStock
+} = require('../controllers/supabaseLocationController');
+const { protect, authorize } = require('../middleware/supabaseAuth');
+const { validate } = require('../middleware/validator');
+const { LOCATION_TYPES } = require('../services/locationService');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin', 'employee'));
+
+router.get(
+  '/',
+  [
+    query('type').optional().isIn(LOCATION_TYPES).withMessage(`Type must be one of: ${LOCATION_TYPES.join(', ')}`),
+    validate
+  ],
+  getAllLocations
+);
+
+router.get(
+  '/tree',
+  [
+    query('warehouseId').notEmpty().withMessage('Warehouse ID is required'),
+    validate
+  ],
+  getLocationTree
+);
+
+router.get('/inventory/:inventoryId', getInventoryLocations);
+
+router.post(
+  '/putaway',
+  [
+    body('inventoryId').notEmpty().withMessage('Inventory ID is required'),
+    body('locationId').notEmpty().withMessage('Bin is required'),
+    body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    validate
+  ],
+  putAwayStock
+);
+
+router.post(
+  '/move',
+  [
+    body('inventoryId').notEmpty().withMessage('Inventory ID is required'),
+    body('fromLocationId').notEmpty().withMessage('Source bin is required'),
+    body('toLocationId').notEmpty().withMessage('Destination bin is required'),
+    body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    validate
+  ],
+  moveStock
+);
+
+router.get('/:id/contents', getLocationContents);
+
+router.get('/:id', getLocationById);
+
+router.post(
+  '/',
+  authorize('admin'),
+  [
+    body('type').isIn(LOCATION_TYPES).withMessage(`Type must be one of: ${LOCATION_TYPES.join(', ')}`),
+    body('code').matches(/^[A-Za-z0-9]{1,20}$/).withMessage('Code must be 1-20 letters or numbers'),
+    body('capacityUnits').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Capacity must be at least 1 unit'),
+    body('isPickable').optional().isBoolean().withMessage('isPickable must be true or false'),
+    validate
+  ],
+  createLocation
+);
+
+router.put(
+  '/:id',
+  authorize('admin'),
+  [
+    body('capacityUnits').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Capacity must be at least 1 unit'),
+    body('isPickable').optional().isBoolean().withMessage('isPickable must be true or false'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+    validate
+  ],
+  updateLocation
+);
+
+router.delete('/:id', authorize('admin'), deleteLocation);
+
+module.exports = router;
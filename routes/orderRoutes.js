@@ -1,16 +1,22 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const {
   getAllOrders,
   getOrderById,
   createOrder,
+  importOrders,
   updateOrderStatus,
+  getOrderStatusHistory,
+  downloadOrderDocument,
   updateOrderAttachment,
   getOrderStats
 } = require('../controllers/supabaseOrderController');
 const { protect, authorize, restrictToOwnClient } = require('../middleware/supabaseAuth');
 const { validate } = require('../middleware/validator');
 const upload = require('../middleware/upload');
+const spreadsheetUpload = require('../middleware/spreadsheetUpload');
+const { getStatuses } = require('../services/orderWorkflowService');
+const { DOCUMENT_TYPES, FREIGHT_TERMS } = require('../services/orderDocumentService');
 
 const router = express.Router();
 
@@ -20,6 +26,22 @@ router.get('/', restrictToOwnClient, getAllOrders);
 
 router.get('/stats', restrictToOwnClient, getOrderStats);
 
+router.get('/:id/history', getOrderStatusHistory);
+
+router.get(
+  '/:id/documents/:type',
+  [
+    param('type').isIn(DOCUMENT_TYPES)
+      .withMessage(`Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`),
+    query('freightTerms').optional().isIn(FREIGHT_TERMS)
+      .withMessage(`Freight terms must be one of: ${FREIGHT_TERMS.join(', ')}`),
+    query('proNumber').optional().isString().isLength({ max: 50 }),
+    query('freightClass').optional().isString().isLength({ max: 10 }),
+    validate
+  ],
+  downloadOrderDocument
+);
+
 router.get('/:id', getOrderById);
 
 router.post(
@@ -32,12 +54,27 @@ router.post(
   createOrder
 );
 
+router.post(
+  '/import',
+  spreadsheetUpload.single('file'),
+  restrictToOwnClient,
+  importOrders
+);
+
 router.put(
   '/:id/status',
   authorize('admin', 'employee'),
   [
-    body('status').isIn(['pending', 'approved', 'packed', 'dispatched', 'cancelled'])
+    body('status').isIn(getStatuses())
       .withMessage('Invalid status'),
+    body('shippedItems').optional().isArray({ min: 1 })
+      .withMessage('Shipped items must be a non-empty array'),
+    body('serialNumbers').optional().isArray()
+      .withMessage('Serial numbers must be an array'),
+    body('serialNumbers.*.productId').notEmpty().withMessage('Product ID is required for each serial'),
+    body('serialNumbers.*.serialNumber').isString().isLength({ min: 1, max: 100 })
+      .withMessage('Serial number must be 1-100 characters'),
+    body('note').optional().isString().isLength({ max: 1000 }),
     validate
   ],
   updateOrderStatus
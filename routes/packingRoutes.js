@@ -0,0 +1,75 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getAllSessions,
+  getSessionById,
+  startSession,
+  scanItem,
+  addCarton,
+  removeCarton,
+  completeSession,
+  cancelSession
+} = require('../controllers/supabasePackingController');
+const { protect, authorize } = require('../middleware/supabaseAuth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin', 'employee'));
+
+router.get('/sessions', getAllSessions);
+
+router.get('/sessions/:id', getSessionById);
+
+router.post(
+  '/sessions',
+  [
+    body('orderId').notEmpty().withMessage('Order ID is required'),
+    validate
+  ],
+  startSession
+);
+
+router.post(
+  '/sessions/:id/scan',
+  [
+    body('code').isString().trim().notEmpty().withMessage('Scanned SKU or barcode is required'),
+    body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+    body('serialNumber').optional().isString().isLength({ min: 1, max: 100 })
+      .withMessage('Serial number must be 1-100 characters'),
+    validate
+  ],
+  scanItem
+);
+
+router.post(
+  '/sessions/:id/cartons',
+  [
+    body('dimensions.length').isFloat({ gt: 0 }).withMessage('Carton length must be greater than 0'),
+    body('dimensions.width').isFloat({ gt: 0 }).withMessage('Carton width must be greater than 0'),
+    body('dimensions.height').isFloat({ gt: 0 }).withMessage('Carton height must be greater than 0'),
+    body('dimensions.unit').optional().isIn(['cm', 'in']).withMessage('Dimension unit must be cm or in'),
+    body('weight.value').isFloat({ gt: 0 }).withMessage('Carton weight must be greater than 0'),
+    body('weight.unit').optional().isIn(['kg', 'g', 'lb']).withMessage('Weight unit must be kg, g or lb'),
+    body('cartonType').optional().isString().isLength({ max: 50 }),
+    body('palletNumber').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Pallet number must be 1 or more'),
+    validate
+  ],
+  addCarton
+);
+
+router.delete('/sessions/:id/cartons/:cartonId', removeCarton);
+
+router.post(
+  '/sessions/:id/complete',
+  [
+    body('note').optional().isString().isLength({ max: 1000 }),
+    validate
+  ],
+  completeSession
+);
+
+router.put('/sessions/:id/cancel', cancelSession);
+
+module.exports = router;
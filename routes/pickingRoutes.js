@@ -0,0 +1,54 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getAllWaves,
+  getWaveById,
+  createWaves,
+  recordPicks,
+  cancelWave,
+  downloadPickListPdf
+} = require('../controllers/supabasePickingController');
+const { GROUP_BY, PICK_MODES } = require('../services/pickingService');
+const { protect, authorize } = require('../middleware/supabaseAuth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin', 'employee'));
+
+router.get('/waves', getAllWaves);
+
+router.get('/waves/:id', getWaveById);
+
+router.get('/waves/:id/pdf', downloadPickListPdf);
+
+router.post(
+  '/waves',
+  [
+    body('groupBy').optional().isIn(GROUP_BY).withMessage(`Group by must be one of: ${GROUP_BY.join(', ')}`),
+    body('pickMode').optional().isIn(PICK_MODES).withMessage(`Pick mode must be one of: ${PICK_MODES.join(', ')}`),
+    body('orderIds').optional().isArray({ min: 1 }).withMessage('Order IDs must be a non-empty list'),
+    body('maxOrders').optional().isInt({ min: 1, max: 500 }).withMessage('Max orders must be between 1 and 500').toInt(),
+    validate
+  ],
+  createWaves
+);
+
+router.post(
+  '/waves/:id/picks',
+  [
+    body('lines').optional().isArray().withMessage('Lines must be a list'),
+    body('lines.*.lineId').notEmpty().withMessage('Pick line ID is required'),
+    body('lines.*.quantityPicked').isInt({ min: 0 }).withMessage('Picked quantity must be a non-negative integer'),
+    body('picks').optional().isArray().withMessage('Picks must be a list'),
+    body('picks.*.productId').notEmpty().withMessage('Product ID is required for each pick'),
+    body('picks.*.quantityPicked').isInt({ min: 0 }).withMessage('Picked quantity must be a non-negative integer'),
+    validate
+  ],
+  recordPicks
+);
+
+router.put('/waves/:id/cancel', cancelWave);
+
+module.exports = router;
@@ -6,6 +6,8 @@ const {
   getProductsByClient,
   createProduct,
   updateProduct,
+  getProductComponents,
+  setProductComponents,
   deleteProduct
 } = require('../controllers/supabaseProductController');
 const { protect, authorize, restrictToOwnClient } = require('../middleware/supabaseAuth');
@@ -32,6 +34,10 @@ router.post(
     body('clientId').notEmpty().withMessage('Client ID is required'),
     body('unit').optional().isIn(['pcs', 'kg', 'ltr', 'box', 'carton', 'pallet']).withMessage('Invalid unit'),
     body('reorderLevel').optional().isInt({ min: 0 }).withMessage('Reorder level must be a non-negative integer'),
+    body('storage.unitsPerBin').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Units per bin must be a positive integer'),
+    body('storage.unitsPerPallet').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Units per pallet must be a positive integer'),
+    body('trackSerials').optional().isBoolean().withMessage('Track serials must be true or false').toBoolean(),
+    body('unitValue').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Unit value must be a non-negative number').toFloat(),
     validate
   ],
   createProduct
@@ -46,11 +52,29 @@ router.put(
     body('sku').optional().notEmpty().withMessage('SKU cannot be empty'),
     body('unit').optional().isIn(['pcs', 'kg', 'ltr', 'box', 'carton', 'pallet']).withMessage('Invalid unit'),
     body('reorderLevel').optional().isInt({ min: 0 }).withMessage('Reorder level must be a non-negative integer'),
+    body('storage.unitsPerBin').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Units per bin must be a positive integer'),
+    body('storage.unitsPerPallet').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Units per pallet must be a positive integer'),
+    body('trackSerials').optional().isBoolean().withMessage('Track serials must be true or false').toBoolean(),
+    body('unitValue').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Unit value must be a non-negative number').toFloat(),
     validate
   ],
   updateProduct
 );
 
+router.get('/:id/components', getProductComponents);
+
+router.put(
+  '/:id/components',
+  authorize('admin', 'employee'),
+  [
+    body('components').isArray().withMessage('Components must be a list'),
+    body('components.*.productId').notEmpty().withMessage('Component product ID is required'),
+    body('components.*.quantity').isInt({ min: 1 }).withMessage('Component quantity must be at least 1'),
+    validate
+  ],
+  setProductComponents
+);
+
 router.delete('/:id', authorize('admin'), deleteProduct);
 
 module.exports = router;
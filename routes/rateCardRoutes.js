@@ -0,0 +1,75 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getAllRateCards,
+  getEffectiveRateCard,
+  getRateCardById,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard
+} = require('../controllers/supabaseRateCardController');
+const { STORAGE_BILLING_METHODS, RECEIVING_BILLING_METHODS } = require('../services/pricingEngine');
+const { protect, authorize, restrictToOwnClient } = require('../middleware/supabaseAuth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+const feeFields = [
+  'pickFee',
+  'additionalUnitFee',
+  'storagePerCubicFoot',
+  'storagePerPallet',
+  'storagePerBin',
+  'receivingPerUnit',
+  'receivingPerCarton',
+  'receivingPerPallet',
+  'specialHandlingFee'
+];
+
+const rateCardValidators = [
+  ...feeFields.map(field =>
+    body(field).optional().isFloat({ min: 0 }).withMessage(`${field} must be 0 or more`)
+  ),
+  body('storageBillingMethod').optional().isIn(STORAGE_BILLING_METHODS).withMessage('Invalid storage billing method'),
+  body('receivingBillingMethod').optional().isIn(RECEIVING_BILLING_METHODS).withMessage('Invalid receiving billing method'),
+  body('weightTiers').optional().isArray().withMessage('Weight tiers must be an array'),
+  body('effectiveFrom').optional().isISO8601().withMessage('Invalid effective from date'),
+  body('effectiveTo').optional({ nullable: true })
+    .isISO8601().withMessage('Invalid effective to date')
+    .custom((value, { req }) => !req.body.effectiveFrom || value >= req.body.effectiveFrom)
+    .withMessage('Effective to date must be on or after effective from date')
+];
+
+router.use(protect);
+
+router.get('/', authorize('admin'), getAllRateCards);
+
+router.get(
+  '/client/:clientId',
+  restrictToOwnClient,
+  [
+    query('date').optional().isISO8601().withMessage('Invalid date'),
+    validate
+  ],
+  getEffectiveRateCard
+);
+
+router.get('/:id', authorize('admin'), getRateCardById);
+
+router.post(
+  '/',
+  authorize('admin'),
+  [...rateCardValidators, validate],
+  createRateCard
+);
+
+router.put(
+  '/:id',
+  authorize('admin'),
+  [...rateCardValidators, validate],
+  updateRateCard
+);
+
+router.delete('/:id', authorize('admin'), deleteRateCard);
+
+module.exports = router;
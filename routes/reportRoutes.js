@@ -1,6 +1,7 @@
 const express = require('express');
 const {
   getInventoryReport,
+  getExpiringLotsReport,
   getOrderReport,
   getInboundReport,
   getClientReport,
@@ -20,6 +21,8 @@ router.get('/dashboard', getDashboardStats);
 
 router.get('/inventory', restrictToOwnClient, getInventoryReport);
 
+router.get('/expiring-lots', restrictToOwnClient, getExpiringLotsReport);
+
 router.get('/orders', restrictToOwnClient, getOrderReport);
 
 router.get('/inbound', restrictToOwnClient, getInboundReport);
@@ -0,0 +1,54 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getAllReturns,
+  getReturnById,
+  createReturn,
+  receiveReturn,
+  cancelReturn
+} = require('../controllers/supabaseReturnController');
+const { RETURN_REASONS, DISPOSITIONS } = require('../services/returnService');
+const { protect, authorize, restrictToOwnClient } = require('../middleware/supabaseAuth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', restrictToOwnClient, getAllReturns);
+
+router.get('/:id', getReturnById);
+
+router.post(
+  '/',
+  [
+    body('orderId').notEmpty().withMessage('Order ID is required'),
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.orderItemId').notEmpty().withMessage('Order item ID is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('reason').optional().isIn(RETURN_REASONS).withMessage('Invalid return reason'),
+    validate
+  ],
+  createReturn
+);
+
+router.post(
+  '/:id/receive',
+  authorize('admin', 'employee'),
+  [
+    body('lines').isArray({ min: 1 }).withMessage('At least one line is required'),
+    body('lines.*.lineId').notEmpty().withMessage('Line ID is required'),
+    body('lines.*.quantityReceived').isInt({ min: 0 }).withMessage('Received quantity must be 0 or more'),
+    body('lines.*.disposition').optional().isIn(DISPOSITIONS).withMessage('Invalid disposition'),
+    body('lines.*.lotNumber').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Lot number must be at most 100 characters'),
+    body('lines.*.expiryDate').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date'),
+    body('lines.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be an array'),
+    body('creditAmount').optional().isFloat({ min: 0 }).withMessage('Credit amount must be 0 or more'),
+    validate
+  ],
+  receiveReturn
+);
+
+router.put('/:id/cancel', cancelReturn);
+
+module.exports = router;
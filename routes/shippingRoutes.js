@@ -0,0 +1,137 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getCarriers,
+  getOrderRates,
+  getOrderLabels,
+  buyLabels,
+  voidOrderLabels,
+  downloadLabel
+} = require('../controllers/supabaseShippingController');
+const {
+  getAllShippingServices,
+  getShippingServiceById,
+  createShippingService,
+  updateShippingService,
+  deleteShippingService,
+  estimateShipping
+} = require('../controllers/supabaseShippingRateController');
+const {
+  receiveTrackingWebhook,
+  runTrackingPollAuto,
+  getOrderTracking,
+  refreshOrderTracking
+} = require('../controllers/supabaseTrackingController');
+const { LABEL_FORMATS } = require('../services/shippingService');
+const { CARRIER_CODES } = require('../services/carriers');
+const { protect, authorize } = require('../middleware/supabaseAuth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+const shippingServiceValidators = [
+  body('transitDays').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Transit days must be 1 or more'),
+  body('dimDivisor').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Dim divisor must be greater than 0'),
+  body('fuelSurchargePercent').optional().isFloat({ min: 0 }).withMessage('Fuel surcharge must be 0 or more'),
+  body('minCharge').optional().isFloat({ min: 0 }).withMessage('Minimum charge must be 0 or more'),
+  body('additionalPerLb').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Additional per lb must be 0 or more'),
+  body('zones').optional().isArray().withMessage('Zones must be an array'),
+  body('rates').optional().isArray().withMessage('Rates must be an array'),
+  body('isActive').optional().isBoolean()
+];
+
+/**
+ * Carrier tracking push notifications
+ * Security: TRACKING_WEBHOOK_SECRET in the x-webhook-secret header
+ * (UPS: credential header) or the token query parameter
+ */
+router.post('/tracking/webhook/:carrier', receiveTrackingWebhook);
+
+/**
+ * Poll carrier tracking for shipped orders (triggered by cron)
+ * Security: Internal service key required in header
+ * Header: x-service-key: <INTERNAL_SERVICE_KEY>
+ */
+router.post('/tracking/poll/auto', runTrackingPollAuto);
+
+router.use(protect);
+
+router.get('/carriers', authorize('admin', 'employee'), getCarriers);
+
+router.get('/services', authorize('admin', 'employee'), getAllShippingServices);
+
+router.get('/services/:id', authorize('admin', 'employee'), getShippingServiceById);
+
+router.post(
+  '/services',
+  authorize('admin'),
+  [
+    body('carrier').trim().notEmpty().withMessage('Carrier is required').isLength({ max: 50 }),
+    body('serviceCode').trim().notEmpty().withMessage('Service code is required').isLength({ max: 50 }),
+    body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+    ...shippingServiceValidators,
+    validate
+  ],
+  createShippingService
+);
+
+router.put(
+  '/services/:id',
+  authorize('admin'),
+  [
+    body('carrier').optional().trim().notEmpty().isLength({ max: 50 }),
+    body('serviceCode').optional().trim().notEmpty().isLength({ max: 50 }),
+    body('name').optional().trim().notEmpty().isLength({ max: 100 }),
+    ...shippingServiceValidators,
+    validate
+  ],
+  updateShippingService
+);
+
+router.delete('/services/:id', authorize('admin'), deleteShippingService);
+
+router.post(
+  '/estimate',
+  [
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.productId').notEmpty().withMessage('Product ID is required for each item'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('deliveryAddress').isObject().withMessage('Delivery address is required'),
+    validate
+  ],
+  estimateShipping
+);
+
+router.get('/orders/:orderId/rates', authorize('admin', 'employee'), getOrderRates);
+
+router.get('/orders/:orderId/labels', authorize('admin', 'employee'), getOrderLabels);
+
+router.post(
+  '/orders/:orderId/labels',
+  authorize('admin', 'employee'),
+  [
+    body('carrier').optional().isIn(CARRIER_CODES).withMessage(`Carrier must be one of: ${CARRIER_CODES.join(', ')}`),
+    body('serviceCode').optional().isString().isLength({ min: 1, max: 50 }),
+    body('labelFormat').optional().isIn(LABEL_FORMATS).withMessage(`Label format must be one of: ${LABEL_FORMATS.join(', ')}`),
+    validate
+  ],
+  buyLabels
+);
+
+router.post(
+  '/orders/:orderId/labels/void',
+  authorize('admin', 'employee'),
+  [
+    body('reason').optional().isString().isLength({ max: 500 }),
+    validate
+  ],
+  voidOrderLabels
+);
+
+router.get('/orders/:orderId/tracking', getOrderTracking);
+
+router.post('/orders/:orderId/tracking/refresh', authorize('admin', 'employee'), refreshOrderTracking);
+
+router.get('/labels/:id/download', authorize('admin', 'employee'), downloadLabel);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  captureSnapshotAuto,
+  captureSnapshot,
+  getClientOccupancy,
+  getClientStorageCharges
+} = require('../controllers/supabaseStorageController');
+const { protect, authorize, restrictToOwnClient } = require('../middleware/supabaseAuth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+/**
+ * Nightly inventory snapshot (triggered by cron)
+ * Security: Internal service key required in header
+ * Header: x-service-key: <INTERNAL_SERVICE_KEY>
+ */
+router.post('/snapshots/auto', captureSnapshotAuto);
+
+router.use(protect);
+
+router.post(
+  '/snapshots',
+  authorize('admin'),
+  [
+    body('date').optional().isISO8601().withMessage('Invalid snapshot date'),
+    validate
+  ],
+  captureSnapshot
+);
+
+router.get(
+  '/client/:clientId',
+  restrictToOwnClient,
+  [
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    validate
+  ],
+  getClientOccupancy
+);
+
+router.get(
+  '/client/:clientId/charges',
+  restrictToOwnClient,
+  [
+    query('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+    query('year').isInt({ min: 2000 }).withMessage('Invalid year'),
+    validate
+  ],
+  getClientStorageCharges
+);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getAllTransfers,
+  getTransferById,
+  createTransfer,
+  shipTransfer,
+  receiveTransfer,
+  cancelTransfer
+} = require('../controllers/supabaseTransferController');
+const { protect, authorize, restrictToOwnClient } = require('../middleware/supabaseAuth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', restrictToOwnClient, getAllTransfers);
+
+router.get('/:id', getTransferById);
+
+router.post(
+  '/',
+  authorize('admin', 'employee'),
+  [
+    body('clientId').notEmpty().withMessage('Client ID is required'),
+    body('fromWarehouseId').notEmpty().withMessage('Source warehouse is required'),
+    body('toWarehouseId').notEmpty().withMessage('Destination warehouse is required'),
+    body('lines').isArray({ min: 1 }).withMessage('At least one line is required'),
+    body('lines.*.productId').notEmpty().withMessage('Product ID is required'),
+    body('lines.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('lines.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be an array'),
+    body('carrier').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Carrier must be at most 100 characters'),
+    body('trackingNumber').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Tracking number must be at most 100 characters'),
+    validate
+  ],
+  createTransfer
+);
+
+router.post('/:id/ship', authorize('admin', 'employee'), shipTransfer);
+
+router.post('/:id/receive', authorize('admin', 'employee'), receiveTransfer);
+
+router.put('/:id/cancel', authorize('admin', 'employee'), cancelTransfer);
+
+module.exports = router;
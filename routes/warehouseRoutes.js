@@ -0,0 +1,46 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getAllWarehouses,
+  getWarehouseById,
+  createWarehouse,
+  updateWarehouse
+} = require('../controllers/supabaseWarehouseController');
+const { protect, authorize } = require('../middleware/supabaseAuth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin', 'employee'));
+
+router.get('/', getAllWarehouses);
+
+router.get('/:id', getWarehouseById);
+
+router.post(
+  '/',
+  authorize('admin'),
+  [
+    body('code').matches(/^[A-Za-z0-9]{1,20}$/).withMessage('Code must be 1-20 letters or numbers'),
+    body('name').notEmpty().withMessage('Name is required'),
+    body('routingPriority').optional().isInt({ min: 0 }).withMessage('Routing priority must be a non-negative integer'),
+    validate
+  ],
+  createWarehouse
+);
+
+router.put(
+  '/:id',
+  authorize('admin'),
+  [
+    body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+    body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false'),
+    body('routingPriority').optional().isInt({ min: 0 }).withMessage('Routing priority must be a non-negative integer'),
+    validate
+  ],
+  updateWarehouse
+);
+
+module.exports = router;
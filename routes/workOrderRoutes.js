@@ -0,0 +1,37 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getAllWorkOrders,
+  getWorkOrderById,
+  createWorkOrder,
+  completeWorkOrder,
+  cancelWorkOrder
+} = require('../controllers/supabaseKitWorkOrderController');
+const { protect, authorize, restrictToOwnClient } = require('../middleware/supabaseAuth');
+const { validate } = require('../middleware/validator');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', restrictToOwnClient, getAllWorkOrders);
+
+router.get('/:id', getWorkOrderById);
+
+router.post(
+  '/',
+  authorize('admin', 'employee'),
+  [
+    body('kitProductId').notEmpty().withMessage('Kit product is required'),
+    body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('storageLocation').optional({ nullable: true }).isString().withMessage('Storage location must be a bin code'),
+    validate
+  ],
+  createWorkOrder
+);
+
+router.post('/:id/complete', authorize('admin', 'employee'), completeWorkOrder);
+
+router.put('/:id/cancel', authorize('admin', 'employee'), cancelWorkOrder);
+
+module.exports = router;
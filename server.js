@@ -9,6 +9,9 @@ const rateLimit = require('express-rate-limit');
 const errorHandler = require('./middleware/errorHandler');
 const supabase = require('./config/supabase');
 const { initializeInvoiceCron, stopInvoiceCron } = require('./jobs/invoiceCronScheduler');
+const { initializeInventorySnapshotCron, stopInventorySnapshotCron } = require('./jobs/inventorySnapshotJob');
+const { initializeLowStockAlertCron, stopLowStockAlertCron } = require('./jobs/lowStockAlertJob');
+const { initializeTrackingPollCron, stopTrackingPollCron } = require('./jobs/trackingPollJob');
 
 dotenv.config();
 
@@ -119,8 +122,21 @@ const reportRoutes = require('./routes/reportRoutes');
 const twoFactorRoutes = require('./routes/twoFactorRoutes');
 const contactRoutes = require('./routes/contactRoutes');
 const pricingRoutes = require('./routes/pricingRoutes');
+const rateCardRoutes = require('./routes/rateCardRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
+const returnRoutes = require('./routes/returnRoutes');
+const creditNoteRoutes = require('./routes/creditNoteRoutes');
+const storageRoutes = require('./routes/storageRoutes');
+const asnRoutes = require('./routes/asnRoutes');
+const warehouseRoutes = require('./routes/warehouseRoutes');
+const locationRoutes = require('./routes/locationRoutes');
+const transferRoutes = require('./routes/transferRoutes');
+const cycleCountRoutes = require('./routes/cycleCountRoutes');
+const workOrderRoutes = require('./routes/workOrderRoutes');
+const pickingRoutes = require('./routes/pickingRoutes');
+const packingRoutes = require('./routes/packingRoutes');
+const shippingRoutes = require('./routes/shippingRoutes');
 
 // New security routes
 const supabase2FARoutes = require('./routes/supabase2FARoutes');
@@ -147,8 +163,21 @@ app.use('/api/enhanced-invoices', enhancedInvoiceRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/pricing', pricingRoutes);
+app.use('/api/rate-cards', rateCardRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/storage', storageRoutes);
+app.use('/api/asns', asnRoutes);
+app.use('/api/warehouses', warehouseRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/cycle-counts', cycleCountRoutes);
+app.use('/api/work-orders', workOrderRoutes);
+app.use('/api/picking', pickingRoutes);
+app.use('/api/packing', packingRoutes);
+app.use('/api/shipping', shippingRoutes);
 
 // Security routes
 app.use('/api/2fa-supabase', supabase2FARoutes);
@@ -229,12 +258,36 @@ const server = app.listen(PORT, () => {
   } else {
     console.log('ℹ️  Invoice cron scheduler disabled (set ENABLE_INVOICE_CRON=true to enable in development)');
   }
+
+  // Nightly inventory snapshots for storage billing
+  if (process.env.NODE_ENV === 'production' || process.env.ENABLE_INVENTORY_SNAPSHOT_CRON === 'true') {
+    initializeInventorySnapshotCron();
+  } else {
+    console.log('ℹ️  Inventory snapshot cron disabled (set ENABLE_INVENTORY_SNAPSHOT_CRON=true to enable in development)');
+  }
+
+  // Daily low-stock alerts and digest
+  if (process.env.NODE_ENV === 'production' || process.env.ENABLE_LOW_STOCK_ALERT_CRON === 'true') {
+    initializeLowStockAlertCron();
+  } else {
+    console.log('ℹ️  Low-stock alert cron disabled (set ENABLE_LOW_STOCK_ALERT_CRON=true to enable in development)');
+  }
+
+  // Carrier tracking poll: delivered orders and shipment exceptions
+  if (process.env.NODE_ENV === 'production' || process.env.ENABLE_TRACKING_POLL_CRON === 'true') {
+    initializeTrackingPollCron();
+  } else {
+    console.log('ℹ️  Tracking poll cron disabled (set ENABLE_TRACKING_POLL_CRON=true to enable in development)');
+  }
 });
 
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
   console.log('\n🛑 SIGTERM received, shutting down gracefully...');
   stopInvoiceCron();
+  stopInventorySnapshotCron();
+  stopLowStockAlertCron();
+  stopTrackingPollCron();
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
@@ -244,6 +297,9 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   console.log('\n🛑 SIGINT received, shutting down gracefully...');
   stopInvoiceCron();
+  stopInventorySnapshotCron();
+  stopLowStockAlertCron();
+  stopTrackingPollCron();
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
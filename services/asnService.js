@@ -0,0 +1,364 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { createInboundReceipt } = require('./inboundService');
+const lotService = require('./lotService');
+const serialService = require('./serialService');
+const warehouseService = require('./warehouseService');
+
+/**
+ * Advance Shipping Notice (ASN) Service
+ * Clients announce inbound freight with its SKU lines; the warehouse
+ * receives against the lines (received / damaged) and closes the ASN with
+ * a discrepancy report. Received units go into stock as inbound logs.
+ */
+
+const RECEIVABLE_STATUSES = ['pending', 'receiving'];
+
+/**
+ * Discrepancy report for an ASN's lines
+ * short = expected - received - damaged (when positive)
+ * over  = received + damaged - expected (when positive)
+ * @param {Array} lines - asn_lines rows (with products relation when available)
+ * @returns {Object} { lines, totals, hasDiscrepancies }
+ */
+exports.buildDiscrepancyReport = (lines) => {
+  const reportLines = (lines || []).map(line => {
+    const accounted = line.received_quantity + line.damaged_quantity;
+    const short = Math.max(0, line.expected_quantity - accounted);
+    const over = Math.max(0, accounted - line.expected_quantity);
+
+    const issues = [];
+    if (short > 0) issues.push('short');
+    if (over > 0) issues.push('over');
+    if (line.damaged_quantity > 0) issues.push('damaged');
+
+    return {
+      lineId: line.id,
+      productId: line.product_id,
+      sku: line.products?.sku || null,
+      productName: line.products?.name || null,
+      expected: line.expected_quantity,
+      received: line.received_quantity,
+      damaged: line.damaged_quantity,
+      short,
+      over,
+      status: issues.length > 0 ? issues.join('_') : 'ok'
+    };
+  });
+
+  const totals = reportLines.reduce((sum, line) => ({
+    expected: sum.expected + line.expected,
+    received: sum.received + line.received,
+    damaged: sum.damaged + line.damaged,
+    short: sum.short + line.short,
+    over: sum.over + line.over
+  }), { expected: 0, received: 0, damaged: 0, short: 0, over: 0 });
+
+  return {
+    lines: reportLines,
+    totals,
+    hasDiscrepancies: reportLines.some(line => line.status !== 'ok')
+  };
+};
+
+/**
+ * Create an ASN with its lines
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} params.warehouseId - Receiving warehouse (default warehouse when omitted)
+ * @param {Array} params.lines - [{ productId, expectedQuantity, notes }]
+ * @param {string} params.carrier
+ * @param {string} params.trackingNumber
+ * @param {string} params.referenceNumber - Client PO / shipment reference
+ * @param {string} params.expectedDate - YYYY-MM-DD
+ * @param {string} params.notes
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, asn } or { success: false, statusCode, message }
+ */
+exports.createAsn = async ({
+  clientId,
+  warehouseId = null,
+  lines,
+  carrier = null,
+  trackingNumber = null,
+  referenceNumber = null,
+  expectedDate = null,
+  notes = null,
+  userId
+}) => {
+  const productIds = lines.map(line => line.productId);
+
+  if (new Set(productIds).size !== productIds.length) {
+    return { success: false, statusCode: 400, message: 'Each product can only appear on one ASN line' };
+  }
+
+  // Every product must belong to the ASN's client
+  const { data: products } = await supabaseAdmin
+    .from('products')
+    .select('id, sku')
+    .eq('client_id', clientId)
+    .in('id', productIds);
+
+  const knownIds = new Set((products || []).map(p => p.id));
+  const unknown = productIds.filter(id => !knownIds.has(id));
+  if (unknown.length > 0) {
+    return { success: false, statusCode: 400, message: `Products not found for this client: ${unknown.join(', ')}` };
+  }
+
+  const resolved = await warehouseService.resolveWarehouse(warehouseId);
+  if (!resolved.success) return resolved;
+
+  const { data: asn, error: asnError } = await supabaseAdmin
+    .from('asns')
+    .insert({
+      client_id: clientId,
+      warehouse_id: resolved.warehouse.id,
+      carrier,
+      tracking_number: trackingNumber,
+      reference_number: referenceNumber,
+      expected_date: expectedDate,
+      notes,
+      created_by: userId
+    })
+    .select()
+    .single();
+
+  if (asnError) {
+    return { success: false, statusCode: 400, message: asnError.message || 'Failed to create ASN' };
+  }
+
+  const { error: linesError } = await supabaseAdmin
+    .from('asn_lines')
+    .insert(lines.map(line => ({
+      asn_id: asn.id,
+      product_id: line.productId,
+      expected_quantity: parseInt(line.expectedQuantity),
+      notes: line.notes || null
+    })));
+
+  if (linesError) {
+    // ROLLBACK: Remove the header so no empty ASN is left behind
+    await supabaseAdmin.from('asns').delete().eq('id', asn.id);
+    return { success: false, statusCode: 400, message: linesError.message || 'Failed to create ASN lines' };
+  }
+
+  return { success: true, asn };
+};
+
+/**
+ * Receive against ASN lines
+ * Can be called repeatedly as freight is unloaded; quantities add up.
+ * Received units are put into stock as inbound logs; damaged units are only recorded.
+ * Lines that cannot be put away (bin capacity, bin in another warehouse, lot
+ * expiry conflict) receive nothing; the other lines are still received and
+ * the call reports the failed lines.
+ * @param {Object} params
+ * @param {string} params.asnId
+ * @param {Array} params.lines - [{ lineId, receivedQuantity, damagedQuantity, storageLocation, lotNumber, expiryDate,
+ *   serialNumbers, cartonCount, palletCount, notes }]
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, asn, inboundLogs, totalReceived, totalDamaged } or
+ *   { success: false, statusCode, message }; when lines fail to put away,
+ *   { success: false, statusCode, code: 'ASN_LINES_NOT_RECEIVED', message, asn, inboundLogs,
+ *   totalReceived, totalDamaged, data: { failed: [{ lineId, receivedQuantity, message }] } }
+ */
+exports.receiveAsn = async ({ asnId, lines, userId }) => {
+  const { data: asn } = await supabaseAdmin
+    .from('asns')
+    .select('*, asn_lines ( * )')
+    .eq('id', asnId)
+    .single();
+
+  if (!asn) {
+    return { success: false, statusCode: 404, message: 'ASN not found' };
+  }
+
+  if (!RECEIVABLE_STATUSES.includes(asn.status)) {
+    return { success: false, statusCode: 400, message: `ASN ${asn.asn_number} is ${asn.status} and cannot be received against` };
+  }
+
+  const lineIds = lines.map(line => line.lineId);
+  if (new Set(lineIds).size !== lineIds.length) {
+    return { success: false, statusCode: 400, message: 'Each ASN line can only be listed once per receipt' };
+  }
+
+  // Validate every line before touching stock
+  const receipts = [];
+  for (const input of lines) {
+    const line = (asn.asn_lines || []).find(l => l.id === input.lineId);
+    const received = Number(input.receivedQuantity || 0);
+    const damaged = Number(input.damagedQuantity || 0);
+
+    if (!line) {
+      return { success: false, statusCode: 400, message: `Line ${input.lineId} is not part of ASN ${asn.asn_number}` };
+    }
+
+    if (!Number.isInteger(received) || received < 0 || !Number.isInteger(damaged) || damaged < 0) {
+      return { success: false, statusCode: 400, message: `Quantities for line ${input.lineId} must be whole numbers of 0 or more` };
+    }
+
+    if (received > 0 && !input.storageLocation) {
+      return { success: false, statusCode: 400, message: `Storage location is required for line ${input.lineId}` };
+    }
+
+    if (input.expiryDate && !lotService.normalizeLotNumber(input.lotNumber)) {
+      return { success: false, statusCode: 400, message: `Lot number is required with an expiry date for line ${input.lineId}` };
+    }
+
+    if (received > 0) {
+      const serialCheck = await serialService.validateReceiptSerials({
+        clientId: asn.client_id,
+        productId: line.product_id,
+        quantity: received,
+        serialNumbers: input.serialNumbers
+      });
+      if (!serialCheck.success) {
+        return { ...serialCheck, message: `Line ${input.lineId}: ${serialCheck.message}` };
+      }
+    }
+
+    receipts.push({ line, received, damaged, input });
+  }
+
+  if (receipts.every(r => r.received + r.damaged === 0)) {
+    return { success: false, statusCode: 400, message: 'At least one unit must be received or marked damaged' };
+  }
+
+  // Stock checks that depend on the bin or lot (capacity, warehouse, expiry)
+  // run as each line is put away; a line that fails them receives nothing
+  // but still records its damaged units
+  const inboundLogs = [];
+  const failed = [];
+  let totalReceived = 0;
+  let totalDamaged = 0;
+  for (const { line, received, damaged, input } of receipts) {
+    let putAway = received;
+    if (received > 0) {
+      const receipt = await createInboundReceipt({
+        clientId: asn.client_id,
+        productId: line.product_id,
+        warehouseId: asn.warehouse_id,
+        quantity: received,
+        referenceNumber: asn.reference_number || asn.asn_number,
+        storageLocation: input.storageLocation,
+        lotNumber: input.lotNumber,
+        expiryDate: input.expiryDate,
+        serialNumbers: input.serialNumbers,
+        status: 'received',
+        cartonCount: input.cartonCount,
+        palletCount: input.palletCount,
+        notes: input.notes || `Received against ${asn.asn_number}`,
+        asnId: asn.id,
+        asnLineId: line.id,
+        userId
+      });
+
+      if (receipt.success) {
+        inboundLogs.push(receipt.inboundLog);
+      } else {
+        failed.push({ lineId: line.id, receivedQuantity: received, message: receipt.message });
+        putAway = 0;
+      }
+    }
+
+    if (putAway + damaged === 0) continue;
+
+    totalReceived += putAway;
+    totalDamaged += damaged;
+
+    const { error: lineError } = await supabaseAdmin.rpc('record_asn_line_receipt', {
+      p_line_id: line.id,
+      p_received: putAway,
+      p_damaged: damaged,
+      p_notes: input.notes ?? null
+    });
+
+    if (lineError) {
+      console.error(`Failed to record receipt on ASN line ${line.id}:`, lineError);
+      failed.push({
+        lineId: line.id,
+        receivedQuantity: 0,
+        message: `${putAway} units were put into stock but the line's received and damaged counts could not be updated (${lineError.message})`
+      });
+    }
+  }
+
+  let updatedAsn = asn;
+  if (totalReceived + totalDamaged > 0) {
+    const { data } = await supabaseAdmin
+      .from('asns')
+      .update({ status: 'receiving', updated_at: new Date().toISOString() })
+      .eq('id', asnId)
+      .select()
+      .single();
+    updatedAsn = data;
+  }
+
+  if (failed.length > 0) {
+    return {
+      success: false,
+      statusCode: 409,
+      code: 'ASN_LINES_NOT_RECEIVED',
+      message: `${failed.length} line(s) of ${asn.asn_number} could not be put away: ${failed.map(f => f.message).join('; ')}`,
+      asn: updatedAsn,
+      inboundLogs,
+      totalReceived,
+      totalDamaged,
+      data: { failed }
+    };
+  }
+
+  return {
+    success: true,
+    asn: updatedAsn,
+    inboundLogs,
+    totalReceived,
+    totalDamaged
+  };
+};
+
+/**
+ * Close an ASN and store its discrepancy report
+ * @param {Object} params
+ * @param {string} params.asnId
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, asn, report } or { success: false, statusCode, message }
+ */
+exports.closeAsn = async ({ asnId, userId }) => {
+  const { data: asn } = await supabaseAdmin
+    .from('asns')
+    .select('*, asn_lines ( *, products:product_id ( id, name, sku ) )')
+    .eq('id', asnId)
+    .single();
+
+  if (!asn) {
+    return { success: false, statusCode: 404, message: 'ASN not found' };
+  }
+
+  if (!RECEIVABLE_STATUSES.includes(asn.status)) {
+    return { success: false, statusCode: 400, message: `ASN ${asn.asn_number} is already ${asn.status}` };
+  }
+
+  const report = {
+    ...exports.buildDiscrepancyReport(asn.asn_lines),
+    generatedAt: new Date().toISOString()
+  };
+
+  const { data: closedAsn, error } = await supabaseAdmin
+    .from('asns')
+    .update({
+      status: 'closed',
+      discrepancy_report: report,
+      closed_by: userId,
+      closed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', asnId)
+    .select()
+    .single();
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to close ASN' };
+  }
+
+  return { success: true, asn: closedAsn, report };
+};
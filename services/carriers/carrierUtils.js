@@ -0,0 +1,137 @@
+const axios = require('axios');
+const pdfService = require('../pdfService');
+const { toInches } = require('../../utils/dimensionUnits');
+
+/**
+ * Carrier Utilities
+ * Helpers shared by the carrier adapters: unit conversion, country codes,
+ * OAuth token caching, tracking event parsing and carrier API error messages.
+ */
+
+const LBS_PER_UNIT = { kg: 2.20462, g: 0.00220462, lb: 1 };
+
+/**
+ * Convert a weight to lbs, rounded up to 0.1 lb (carriers bill by the started unit)
+ * @param {number} value
+ * @param {string} unit - kg | g | lb
+ * @returns {number}
+ */
+exports.weightInLbs = (value, unit) => Math.max(Math.ceil(parseFloat(value) * (LBS_PER_UNIT[unit] || 1) * 10) / 10, 0.1);
+
+/**
+ * Convert a length to inches, rounded up to the whole inch
+ * @param {number} value
+ * @param {string} unit - mm | cm | m | in | ft (cm when missing)
+ * @returns {number}
+ */
+exports.lengthInInches = (value, unit) => Math.max(Math.ceil(toInches(parseFloat(value), unit)), 1);
+
+const COUNTRY_CODES = {
+  'usa': 'US',
+  'united states': 'US',
+  'united states of america': 'US',
+  'canada': 'CA',
+  'mexico': 'MX',
+  'united kingdom': 'GB',
+  'uk': 'GB'
+};
+
+/**
+ * ISO 3166 alpha-2 code for a country as entered on an address (defaults to US)
+ * @param {string} country
+ * @returns {string}
+ */
+exports.countryCode = (country) => {
+  const value = String(country || '').trim();
+  if (!value) return 'US';
+  if (value.length === 2) return value.toUpperCase();
+  return COUNTRY_CODES[value.toLowerCase()] || value.toUpperCase().slice(0, 2);
+};
+
+/**
+ * Cache for an OAuth client-credentials token, refreshed a minute before it expires
+ * @param {Function} fetchToken - async () => { accessToken, expiresIn (seconds) }
+ * @returns {Function} async () => accessToken
+ */
+exports.createTokenCache = (fetchToken) => {
+  let token = null;
+  let expiresAt = 0;
+
+  return async () => {
+    if (token && Date.now() < expiresAt) return token;
+
+    const { accessToken, expiresIn } = await fetchToken();
+    token = accessToken;
+    expiresAt = Date.now() + (parseInt(expiresIn) || 3600) * 1000 - 60000;
+    return token;
+  };
+};
+
+/**
+ * POST an OAuth client-credentials request
+ * @param {string} url
+ * @param {Object} params - Form fields
+ * @param {Object} options - axios options (e.g. auth)
+ * @returns {Promise<Object>} { accessToken, expiresIn }
+ */
+exports.requestClientCredentialsToken = async (url, params, options = {}) => {
+  const response = await axios.post(url, new URLSearchParams({ grant_type: 'client_credentials', ...params }).toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: 15000,
+    ...options
+  });
+
+  return { accessToken: response.data.access_token, expiresIn: response.data.expires_in };
+};
+
+/**
+ * Wrap a label image (PNG) in a 4x6 in PDF
+ * @param {string} imageBase64
+ * @returns {Promise<string>} PDF as base64
+ */
+exports.labelImageToPdf = async (imageBase64) => {
+  const buffer = await pdfService.renderPdf((doc) => {
+    doc.image(Buffer.from(imageBase64, 'base64'), 0, 0, { fit: [288, 432], align: 'center', valign: 'center' });
+  }, { size: [288, 432], margin: 0 });
+
+  return buffer.toString('base64');
+};
+
+/**
+ * Tracking status carriers only state in the scan description
+ * (they have no dedicated status code for these)
+ * @param {string} description
+ * @returns {string|null} returned_to_sender | lost | out_for_delivery, null when nothing matches
+ */
+exports.trackingStatusFromText = (description) => {
+  const text = String(description || '');
+  if (/return(ed|ing)? to (the )?(shipper|sender)/i.test(text)) return 'returned_to_sender';
+  if (/\blost\b|unable to locate/i.test(text)) return 'lost';
+  if (/out for delivery/i.test(text)) return 'out_for_delivery';
+  return null;
+};
+
+/**
+ * "City, ST, US" from the parts a carrier scan has
+ * @returns {string|null}
+ */
+exports.formatLocation = (...parts) => parts.filter(Boolean).join(', ') || null;
+
+/**
+ * Readable message from a carrier API error
+ * @param {Error} error - axios error
+ * @returns {string}
+ */
+exports.carrierErrorMessage = (error) => {
+  const data = error.response?.data;
+  const messages = [
+    ...(data?.response?.errors || []),
+    ...(data?.errors || []),
+    ...(data?.error?.errors || [])
+  ].map(entry => entry.message || entry.detail || entry.code).filter(Boolean);
+
+  if (messages.length > 0) return messages.join('; ');
+  if (typeof data?.error === 'string') return data.error_description || data.error;
+  if (data?.error?.message) return data.error.message;
+  return error.message;
+};
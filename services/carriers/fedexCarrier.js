@@ -0,0 +1,214 @@
+const axios = require('axios');
+const {
+  weightInLbs,
+  lengthInInches,
+  countryCode,
+  createTokenCache,
+  requestClientCredentialsToken,
+  trackingStatusFromText,
+  formatLocation
+} = require('./carrierUtils');
+
+/**
+ * FedEx Carrier
+ * FedEx REST APIs (OAuth client credentials): Rate Quotes, Ship, Cancel and
+ * Track; tracking pushes (FedEx tracking webhooks) carry track results in
+ * the Track API shape.
+ * Configure FEDEX_API_KEY, FEDEX_SECRET_KEY and FEDEX_ACCOUNT_NUMBER;
+ * FEDEX_API_URL defaults to production (https://apis-sandbox.fedex.com for the sandbox).
+ */
+
+const baseUrl = () => process.env.FEDEX_API_URL || 'https://apis.fedex.com';
+
+const accountNumber = () => ({ value: process.env.FEDEX_ACCOUNT_NUMBER });
+
+const getToken = createTokenCache(() => requestClientCredentialsToken(
+  `${baseUrl()}/oauth/token`,
+  { client_id: process.env.FEDEX_API_KEY, client_secret: process.env.FEDEX_SECRET_KEY }
+));
+
+const request = async (method, path, data) => {
+  const token = await getToken();
+  const response = await axios({
+    method,
+    url: `${baseUrl()}${path}`,
+    data,
+    headers: { Authorization: `Bearer ${token}`, 'X-locale': 'en_US' },
+    timeout: 30000
+  });
+  return response.data;
+};
+
+// Track API accepts up to 30 tracking numbers per request
+const TRACK_BATCH_SIZE = 30;
+
+// Scan event types; the rest (pickup, hub scans, ...) are in transit
+const EVENT_TYPES = {
+  OC: 'pre_transit',
+  OD: 'out_for_delivery',
+  DL: 'delivered',
+  DE: 'exception',
+  SE: 'exception',
+  CA: 'exception',
+  RS: 'returned_to_sender'
+};
+
+/**
+ * Tracking events of one Track API result
+ */
+const toTrackingEvents = (result) => {
+  const trackingNumber = result.trackingNumberInfo?.trackingNumber || result.trackingNumber;
+  return (result.scanEvents || []).map(scan => {
+    const description = [scan.eventDescription, scan.exceptionDescription].filter(Boolean).join(' - ') || null;
+    return {
+      trackingNumber,
+      status: scan.eventType === 'DL'
+        ? 'delivered'
+        : trackingStatusFromText(description) || EVENT_TYPES[scan.eventType] || 'in_transit',
+      carrierStatusCode: scan.eventType || scan.derivedStatusCode || null,
+      description,
+      location: formatLocation(scan.scanLocation?.city, scan.scanLocation?.stateOrProvinceCode, scan.scanLocation?.countryCode),
+      occurredAt: scan.date || null
+    };
+  });
+};
+
+const toAddress = (party) => ({
+  streetLines: [party.street].filter(Boolean),
+  city: party.city,
+  stateOrProvinceCode: party.state,
+  postalCode: party.zipCode,
+  countryCode: countryCode(party.country)
+});
+
+const toParty = (party) => ({
+  contact: {
+    personName: party.name || party.company,
+    companyName: party.company || undefined,
+    phoneNumber: party.phone || '0000000000'
+  },
+  address: toAddress(party)
+});
+
+const toPackage = (pkg, index) => ({
+  sequenceNumber: index + 1,
+  weight: { units: 'LB', value: weightInLbs(pkg.weight, pkg.weightUnit) },
+  dimensions: {
+    length: lengthInInches(pkg.length, pkg.dimensionUnit),
+    width: lengthInInches(pkg.width, pkg.dimensionUnit),
+    height: lengthInInches(pkg.height, pkg.dimensionUnit),
+    units: 'IN'
+  }
+});
+
+const TRANSIT_DAYS = {
+  ONE_DAY: 1,
+  TWO_DAYS: 2,
+  THREE_DAYS: 3,
+  FOUR_DAYS: 4,
+  FIVE_DAYS: 5,
+  SIX_DAYS: 6,
+  SEVEN_DAYS: 7
+};
+
+module.exports = {
+  code: 'fedex',
+  name: 'FedEx',
+  labelFormats: ['pdf', 'zpl'],
+
+  isConfigured: () => Boolean(process.env.FEDEX_API_KEY && process.env.FEDEX_SECRET_KEY && process.env.FEDEX_ACCOUNT_NUMBER),
+
+  getRates: async (shipment) => {
+    const data = await request('post', '/rate/v1/rates/quotes', {
+      accountNumber: accountNumber(),
+      requestedShipment: {
+        shipper: { address: toAddress(shipment.shipFrom) },
+        recipient: { address: toAddress(shipment.shipTo) },
+        pickupType: 'DROPOFF_AT_FEDEX_LOCATION',
+        rateRequestType: ['ACCOUNT'],
+        requestedPackageLineItems: shipment.packages.map(toPackage)
+      }
+    });
+
+    return (data.output?.rateReplyDetails || []).map(detail => {
+      const rated = detail.ratedShipmentDetails?.[0] || {};
+      return {
+        serviceCode: detail.serviceType,
+        serviceName: detail.serviceName || detail.serviceType,
+        amount: parseFloat(rated.totalNetCharge || 0),
+        currency: rated.currency || 'USD',
+        estimatedDays: TRANSIT_DAYS[detail.commit?.transitDays?.minimumTransitTime || detail.operationalDetail?.transitTime] || null
+      };
+    });
+  },
+
+  createLabel: async (shipment, { serviceCode, labelFormat }) => {
+    const data = await request('post', '/ship/v1/shipments', {
+      labelResponseOptions: 'LABEL',
+      accountNumber: accountNumber(),
+      requestedShipment: {
+        shipper: toParty(shipment.shipFrom),
+        recipients: [toParty(shipment.shipTo)],
+        shipDatestamp: new Date().toISOString().slice(0, 10),
+        serviceType: serviceCode,
+        packagingType: 'YOUR_PACKAGING',
+        pickupType: 'DROPOFF_AT_FEDEX_LOCATION',
+        shippingChargesPayment: { paymentType: 'SENDER' },
+        labelSpecification: labelFormat === 'zpl'
+          ? { imageType: 'ZPLII', labelStockType: 'STOCK_4X6' }
+          : { imageType: 'PDF', labelStockType: 'PAPER_4X6' },
+        requestedPackageLineItems: shipment.packages.map((pkg, index) => ({
+          ...toPackage(pkg, index),
+          customerReferences: [{ customerReferenceType: 'CUSTOMER_REFERENCE', value: shipment.reference }]
+        }))
+      }
+    });
+
+    const result = data.output.transactionShipments[0];
+    const rating = result.completedShipmentDetail?.shipmentRating?.shipmentRateDetails?.[0];
+
+    return {
+      shipmentId: result.masterTrackingNumber,
+      serviceName: result.serviceName || serviceCode,
+      cost: parseFloat(rating?.totalNetCharge || 0),
+      currency: rating?.currency || 'USD',
+      packages: result.pieceResponses.map((piece, index) => ({
+        cartonId: shipment.packages[index]?.cartonId || null,
+        trackingNumber: piece.trackingNumber,
+        labelFormat,
+        labelData: piece.packageDocuments[0].encodedLabel
+      }))
+    };
+  },
+
+  voidLabel: async ({ shipmentId }) => {
+    await request('put', '/ship/v1/shipments/cancel', {
+      accountNumber: accountNumber(),
+      trackingNumber: shipmentId,
+      deletionControl: 'DELETE_ALL_PACKAGES'
+    });
+  },
+
+  track: async (trackingNumbers) => {
+    const events = [];
+    for (let i = 0; i < trackingNumbers.length; i += TRACK_BATCH_SIZE) {
+      const data = await request('post', '/track/v1/trackingnumbers', {
+        includeDetailedScans: true,
+        trackingInfo: trackingNumbers.slice(i, i + TRACK_BATCH_SIZE)
+          .map(trackingNumber => ({ trackingNumberInfo: { trackingNumber } }))
+      });
+
+      (data.output?.completeTrackResults || []).forEach(complete => {
+        (complete.trackResults || []).forEach(result => events.push(...toTrackingEvents(result)));
+      });
+    }
+    return events;
+  },
+
+  parseTrackingWebhook: (body) => {
+    const results = body.output?.completeTrackResults
+      ? body.output.completeTrackResults.flatMap(complete => complete.trackResults || [])
+      : body.trackResults || [body];
+    return results.flatMap(toTrackingEvents);
+  }
+};
@@ -0,0 +1,81 @@
+/**
+ * Carrier Registry
+ * Shipping carriers are adapters registered here; the shipping service only
+ * talks to them through this interface, so adding a carrier means adding an
+ * adapter module and listing it below.
+ *
+ * Adapter interface:
+ *   code            - Short identifier stored on labels and orders (e.g. 'ups')
+ *   name            - Display name
+ *   labelFormats    - Label formats the carrier can return: ['pdf', 'zpl']
+ *   isConfigured()  - true when the credentials it needs are set
+ *   getRates(shipment)
+ *     → [{ serviceCode, serviceName, amount, currency, estimatedDays }]
+ *   createLabel(shipment, { serviceCode, labelFormat })
+ *     → { shipmentId, serviceName, cost, currency,
+ *         packages: [{ cartonId, trackingNumber, labelFormat, labelData (base64) }] }
+ *   voidLabel({ shipmentId, trackingNumbers })
+ *     → resolves once the carrier has voided the shipment's labels
+ *   track(trackingNumbers)
+ *     → every scan the carrier has for the packages, as tracking events
+ *   parseTrackingWebhook(body)
+ *     → tracking events from a carrier push notification
+ * Adapters throw on carrier API errors.
+ *
+ * Tracking event:
+ *   { trackingNumber, status (one of TRACKING_STATUSES), carrierStatusCode,
+ *     description, location, occurredAt (ISO timestamp) }
+ *
+ * Shipment:
+ *   {
+ *     reference,                 // order number
+ *     shipFrom: { name, company, phone, street, city, state, zipCode, country },
+ *     shipTo:   { name, company, phone, street, city, state, zipCode, country },
+ *     packages: [{ cartonId, length, width, height, dimensionUnit, weight, weightUnit }]
+ *   }
+ */
+
+const TRACKING_STATUSES = [
+  'pre_transit',
+  'in_transit',
+  'out_for_delivery',
+  'delivered',
+  'exception',
+  'returned_to_sender',
+  'lost'
+];
+
+const adapters = [
+  require('./upsCarrier'),
+  require('./fedexCarrier'),
+  require('./uspsCarrier'),
+  require('./mockCarrier')
+];
+
+/**
+ * Adapter for a carrier code
+ * @param {string} code
+ * @returns {Object|null}
+ */
+exports.getCarrier = (code) => adapters.find(adapter => adapter.code === String(code || '').toLowerCase()) || null;
+
+/**
+ * Registered carriers
+ * @returns {Array} [{ code, name, labelFormats, configured }]
+ */
+exports.listCarriers = () => adapters.map(adapter => ({
+  code: adapter.code,
+  name: adapter.name,
+  labelFormats: adapter.labelFormats,
+  configured: adapter.isConfigured()
+}));
+
+/**
+ * Adapters with their credentials set
+ * @returns {Array}
+ */
+exports.getConfiguredCarriers = () => adapters.filter(adapter => adapter.isConfigured());
+
+exports.CARRIER_CODES = adapters.map(adapter => adapter.code);
+
+exports.TRACKING_STATUSES = TRACKING_STATUSES;
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const pdfService = require('../pdfService');
+const { weightInLbs } = require('./carrierUtils');
+
+/**
+ * Mock Carrier
+ * Local carrier for development and testing: rates are computed from the
+ * package weights, labels are generated locally and voids always succeed.
+ * It has no tracking feed; tracking events are posted to its webhook in
+ * the normalized event shape ({ events: [...] } or a single event).
+ * Enabled outside production, or with CARRIER_MOCK_ENABLED=true.
+ */
+
+const SERVICES = [
+  { serviceCode: 'MOCK_GROUND', serviceName: 'Mock Ground', base: 6.5, perLb: 0.45, estimatedDays: 5 },
+  { serviceCode: 'MOCK_EXPRESS', serviceName: 'Mock Express', base: 14, perLb: 1.1, estimatedDays: 2 },
+  { serviceCode: 'MOCK_OVERNIGHT', serviceName: 'Mock Overnight', base: 29, perLb: 1.9, estimatedDays: 1 }
+];
+
+const priceFor = (service, shipment) => shipment.packages
+  .reduce((sum, pkg) => sum + service.base + service.perLb * weightInLbs(pkg.weight, pkg.weightUnit), 0);
+
+/**
+ * 4x6 in label
+ */
+const renderPdfLabel = (shipment, service, pkg, trackingNumber, index) => pdfService.renderPdf((doc) => {
+  const { shipFrom, shipTo } = shipment;
+  doc.font('Helvetica-Bold').fontSize(14).text(service.serviceName.toUpperCase());
+  doc.font('Helvetica').fontSize(8).text(`Package ${index + 1} of ${shipment.packages.length}`);
+  doc.moveDown();
+  doc.fontSize(8).text('FROM:');
+  doc.text([shipFrom.company || shipFrom.name, shipFrom.street, `${shipFrom.city}, ${shipFrom.state} ${shipFrom.zipCode}`].filter(Boolean).join('\n'));
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(11).text('SHIP TO:');
+  doc.text([shipTo.name, shipTo.street, `${shipTo.city}, ${shipTo.state} ${shipTo.zipCode}`, shipTo.country].filter(Boolean).join('\n'));
+  doc.moveDown();
+  doc.font('Helvetica').fontSize(8).text(`Weight: ${weightInLbs(pkg.weight, pkg.weightUnit)} lbs   Ref: ${shipment.reference}`);
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(12).text(`TRACKING #: ${trackingNumber}`);
+  doc.font('Helvetica').fontSize(7).text('TEST LABEL - NOT VALID FOR SHIPPING');
+}, { size: [288, 432], margin: 18 });
+
+const renderZplLabel = (shipment, service, pkg, trackingNumber) => Buffer.from([
+  '^XA',
+  `^FO30,30^A0N,40,40^FD${service.serviceName.toUpperCase()}^FS`,
+  `^FO30,100^A0N,28,28^FD${shipment.shipTo.name || ''}^FS`,
+  `^FO30,135^A0N,28,28^FD${shipment.shipTo.street || ''}^FS`,
+  `^FO30,170^A0N,28,28^FD${shipment.shipTo.city}, ${shipment.shipTo.state} ${shipment.shipTo.zipCode}^FS`,
+  `^FO30,240^A0N,24,24^FDWeight: ${weightInLbs(pkg.weight, pkg.weightUnit)} lbs  Ref: ${shipment.reference}^FS`,
+  `^FO30,300^BCN,120,Y,N,N^FD${trackingNumber}^FS`,
+  '^FO30,480^A0N,20,20^FDTEST LABEL - NOT VALID FOR SHIPPING^FS',
+  '^XZ'
+].join('\n'));
+
+module.exports = {
+  code: 'mock',
+  name: 'Mock Carrier',
+  labelFormats: ['pdf', 'zpl'],
+
+  isConfigured: () => process.env.NODE_ENV !== 'production' || process.env.CARRIER_MOCK_ENABLED === 'true',
+
+  getRates: async (shipment) => SERVICES.map(service => ({
+    serviceCode: service.serviceCode,
+    serviceName: service.serviceName,
+    amount: parseFloat(priceFor(service, shipment).toFixed(2)),
+    currency: 'USD',
+    estimatedDays: service.estimatedDays
+  })),
+
+  createLabel: async (shipment, { serviceCode, labelFormat }) => {
+    const service = SERVICES.find(s => s.serviceCode === serviceCode);
+    if (!service) {
+      throw new Error(`Unknown mock service: ${serviceCode}`);
+    }
+
+    const packages = [];
+    for (const [index, pkg] of shipment.packages.entries()) {
+      const trackingNumber = `MOCK${crypto.randomInt(10 ** 9, 10 ** 10)}${index + 1}`;
+      const label = labelFormat === 'zpl'
+        ? renderZplLabel(shipment, service, pkg, trackingNumber)
+        : await renderPdfLabel(shipment, service, pkg, trackingNumber, index);
+
+      packages.push({
+        cartonId: pkg.cartonId,
+        trackingNumber,
+        labelFormat,
+        labelData: label.toString('base64')
+      });
+    }
+
+    return {
+      shipmentId: `MOCK-${crypto.randomUUID()}`,
+      serviceName: service.serviceName,
+      cost: parseFloat(priceFor(service, shipment).toFixed(2)),
+      currency: 'USD',
+      packages
+    };
+  },
+
+  voidLabel: async () => {},
+
+  track: async () => [],
+
+  parseTrackingWebhook: (body) => (Array.isArray(body.events) ? body.events : [body]).map(event => ({
+    trackingNumber: event.trackingNumber,
+    status: event.status,
+    carrierStatusCode: event.carrierStatusCode || null,
+    description: event.description || null,
+    location: event.location || null,
+    occurredAt: event.occurredAt || new Date().toISOString()
+  }))
+};
@@ -0,0 +1,238 @@
+const axios = require('axios');
+const {
+  weightInLbs,
+  lengthInInches,
+  countryCode,
+  createTokenCache,
+  requestClientCredentialsToken,
+  labelImageToPdf,
+  trackingStatusFromText,
+  formatLocation
+} = require('./carrierUtils');
+
+/**
+ * UPS Carrier
+ * UPS REST APIs (OAuth client credentials): Rating "Shop", Shipping, Void
+ * and Tracking; tracking pushes come from UPS Track Alert subscriptions.
+ * Configure UPS_CLIENT_ID, UPS_CLIENT_SECRET and UPS_ACCOUNT_NUMBER;
+ * UPS_API_URL defaults to production (https://wwwcie.ups.com for the sandbox).
+ * UPS returns label images, so PDF labels are the PNG image wrapped in a PDF.
+ */
+
+const API_VERSION = 'v2403';
+
+const SERVICE_NAMES = {
+  '01': 'UPS Next Day Air',
+  '02': 'UPS 2nd Day Air',
+  '03': 'UPS Ground',
+  '07': 'UPS Worldwide Express',
+  '08': 'UPS Worldwide Expedited',
+  '11': 'UPS Standard',
+  '12': 'UPS 3 Day Select',
+  '13': 'UPS Next Day Air Saver',
+  '14': 'UPS Next Day Air Early',
+  '59': 'UPS 2nd Day Air A.M.',
+  '65': 'UPS Worldwide Saver'
+};
+
+const baseUrl = () => process.env.UPS_API_URL || 'https://onlinetools.ups.com';
+
+const getToken = createTokenCache(() => requestClientCredentialsToken(
+  `${baseUrl()}/security/v1/oauth/token`,
+  {},
+  {
+    auth: { username: process.env.UPS_CLIENT_ID, password: process.env.UPS_CLIENT_SECRET },
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'x-merchant-id': process.env.UPS_ACCOUNT_NUMBER }
+  }
+));
+
+const request = async (method, path, data) => {
+  const token = await getToken();
+  const response = await axios({
+    method,
+    url: `${baseUrl()}${path}`,
+    data,
+    headers: { Authorization: `Bearer ${token}`, transId: `${Date.now()}`, transactionSrc: 'max2pay' },
+    timeout: 30000
+  });
+  return response.data;
+};
+
+const toParty = (party, extra = {}) => ({
+  Name: (party.company || party.name || '').slice(0, 35),
+  AttentionName: (party.name || '').slice(0, 35),
+  Phone: party.phone ? { Number: party.phone } : undefined,
+  Address: {
+    AddressLine: [party.street].filter(Boolean),
+    City: party.city,
+    StateProvinceCode: party.state,
+    PostalCode: party.zipCode,
+    CountryCode: countryCode(party.country)
+  },
+  ...extra
+});
+
+const toPackage = (pkg, packagingKey) => ({
+  [packagingKey]: { Code: '02' },
+  Dimensions: {
+    UnitOfMeasurement: { Code: 'IN' },
+    Length: String(lengthInInches(pkg.length, pkg.dimensionUnit)),
+    Width: String(lengthInInches(pkg.width, pkg.dimensionUnit)),
+    Height: String(lengthInInches(pkg.height, pkg.dimensionUnit))
+  },
+  PackageWeight: {
+    UnitOfMeasurement: { Code: 'LBS' },
+    Weight: String(weightInLbs(pkg.weight, pkg.weightUnit))
+  }
+});
+
+// UPS returns a single object instead of a one-element array
+const asArray = (value) => (Array.isArray(value) ? value : [value].filter(Boolean));
+
+// Activity status types; the rest (pickup, warehouse scans, ...) are in transit
+const STATUS_TYPES = {
+  M: 'pre_transit',
+  O: 'out_for_delivery',
+  D: 'delivered',
+  X: 'exception',
+  RS: 'returned_to_sender'
+};
+
+const toTrackingStatus = (type, description) => (type === 'D'
+  ? 'delivered'
+  : trackingStatusFromText(description) || STATUS_TYPES[type] || 'in_transit');
+
+/**
+ * ISO timestamp from UPS date (YYYYMMDD) and time (HHMMSS or HH:MM:SS) fields
+ */
+const toTimestamp = (date, time, utc) => {
+  if (!date) return null;
+  const t = String(time || '').replace(/:/g, '').padEnd(6, '0');
+  const parsed = new Date(`${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}T${t.slice(0, 2)}:${t.slice(2, 4)}:${t.slice(4, 6)}${utc ? 'Z' : ''}`);
+  return isNaN(parsed) ? null : parsed.toISOString();
+};
+
+module.exports = {
+  code: 'ups',
+  name: 'UPS',
+  labelFormats: ['pdf', 'zpl'],
+
+  isConfigured: () => Boolean(process.env.UPS_CLIENT_ID && process.env.UPS_CLIENT_SECRET && process.env.UPS_ACCOUNT_NUMBER),
+
+  getRates: async (shipment) => {
+    const data = await request('post', `/api/rating/${API_VERSION}/Shop`, {
+      RateRequest: {
+        Request: { TransactionReference: { CustomerContext: shipment.reference } },
+        Shipment: {
+          Shipper: toParty(shipment.shipFrom, { ShipperNumber: process.env.UPS_ACCOUNT_NUMBER }),
+          ShipFrom: toParty(shipment.shipFrom),
+          ShipTo: toParty(shipment.shipTo),
+          Package: shipment.packages.map(pkg => toPackage(pkg, 'PackagingType'))
+        }
+      }
+    });
+
+    return asArray(data.RateResponse?.RatedShipment).map(rated => ({
+      serviceCode: rated.Service.Code,
+      serviceName: SERVICE_NAMES[rated.Service.Code] || `UPS ${rated.Service.Code}`,
+      amount: parseFloat(rated.NegotiatedRateCharges?.TotalCharge?.MonetaryValue || rated.TotalCharges.MonetaryValue),
+      currency: rated.TotalCharges.CurrencyCode,
+      estimatedDays: rated.GuaranteedDelivery?.BusinessDaysInTransit
+        ? parseInt(rated.GuaranteedDelivery.BusinessDaysInTransit)
+        : null
+    }));
+  },
+
+  createLabel: async (shipment, { serviceCode, labelFormat }) => {
+    const data = await request('post', `/api/shipments/${API_VERSION}/ship`, {
+      ShipmentRequest: {
+        Request: { RequestOption: 'nonvalidate', TransactionReference: { CustomerContext: shipment.reference } },
+        Shipment: {
+          Description: shipment.reference,
+          Shipper: toParty(shipment.shipFrom, { ShipperNumber: process.env.UPS_ACCOUNT_NUMBER }),
+          ShipFrom: toParty(shipment.shipFrom),
+          ShipTo: toParty(shipment.shipTo),
+          PaymentInformation: {
+            ShipmentCharge: [{ Type: '01', BillShipper: { AccountNumber: process.env.UPS_ACCOUNT_NUMBER } }]
+          },
+          Service: { Code: serviceCode },
+          Package: shipment.packages.map(pkg => toPackage(pkg, 'Packaging'))
+        },
+        LabelSpecification: {
+          LabelImageFormat: { Code: labelFormat === 'zpl' ? 'ZPL' : 'PNG' },
+          LabelStockSize: { Height: '6', Width: '4' }
+        }
+      }
+    });
+
+    const results = data.ShipmentResponse.ShipmentResults;
+    const packageResults = asArray(results.PackageResults);
+
+    const packages = [];
+    for (const [index, result] of packageResults.entries()) {
+      const image = result.ShippingLabel.GraphicImage;
+      packages.push({
+        cartonId: shipment.packages[index]?.cartonId || null,
+        trackingNumber: result.TrackingNumber,
+        labelFormat,
+        labelData: labelFormat === 'zpl' ? image : await labelImageToPdf(image)
+      });
+    }
+
+    const charges = results.NegotiatedRateResult?.NetSummaryCharges?.GrandTotal || results.ShipmentCharges.TotalCharges;
+
+    return {
+      shipmentId: results.ShipmentIdentificationNumber,
+      serviceName: SERVICE_NAMES[serviceCode] || `UPS ${serviceCode}`,
+      cost: parseFloat(charges.MonetaryValue),
+      currency: charges.CurrencyCode,
+      packages
+    };
+  },
+
+  voidLabel: async ({ shipmentId }) => {
+    await request('delete', `/api/shipments/${API_VERSION}/void/cancel/${encodeURIComponent(shipmentId)}`);
+  },
+
+  track: async (trackingNumbers) => {
+    const events = [];
+    for (const trackingNumber of trackingNumbers) {
+      const data = await request('get', `/api/track/v1/details/${encodeURIComponent(trackingNumber)}?locale=en_US`);
+
+      asArray(data.trackResponse?.shipment).forEach(shipment => {
+        asArray(shipment.package).forEach(pkg => {
+          asArray(pkg.activity).forEach(activity => {
+            const address = activity.location?.address || {};
+            events.push({
+              trackingNumber: pkg.trackingNumber || trackingNumber,
+              status: toTrackingStatus(activity.status?.type, activity.status?.description),
+              carrierStatusCode: activity.status?.code || activity.status?.type || null,
+              description: activity.status?.description || null,
+              location: formatLocation(address.city, address.stateProvince, address.countryCode || address.country),
+              occurredAt: activity.gmtDate
+                ? toTimestamp(activity.gmtDate, activity.gmtTime, true)
+                : toTimestamp(activity.date, activity.time)
+            });
+          });
+        });
+      });
+    }
+    return events;
+  },
+
+  // Track Alert sends one activity per notification
+  parseTrackingWebhook: (body) => {
+    const status = body.activityStatus || {};
+    const location = body.activityLocation || {};
+    return [{
+      trackingNumber: body.trackingNumber,
+      status: toTrackingStatus(status.type, status.description),
+      carrierStatusCode: status.code || status.type || null,
+      description: status.description || null,
+      location: formatLocation(location.city, location.stateProvince, location.country),
+      occurredAt: body.gmtActivityDate
+        ? toTimestamp(body.gmtActivityDate, body.gmtActivityTime, true)
+        : toTimestamp(body.localActivityDate, body.localActivityTime)
+    }];
+  }
+};
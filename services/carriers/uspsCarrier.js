@@ -0,0 +1,212 @@
+const axios = require('axios');
+const {
+  weightInLbs,
+  lengthInInches,
+  createTokenCache,
+  requestClientCredentialsToken,
+  trackingStatusFromText,
+  formatLocation
+} = require('./carrierUtils');
+
+/**
+ * USPS Carrier
+ * USPS APIs v3 (OAuth client credentials): Domestic Prices, Labels,
+ * Payments and Tracking. USPS labels one package at a time, so a
+ * multi-carton shipment gets one label per carton and is voided label by
+ * label. Tracking pushes (USPS tracking subscriptions) carry the Tracking
+ * API response.
+ * Configure USPS_CLIENT_ID, USPS_CLIENT_SECRET, USPS_CRID, USPS_MID and
+ * USPS_ACCOUNT_NUMBER (EPS account); USPS_API_URL defaults to production
+ * (https://apis-tem.usps.com for the test environment).
+ */
+
+const MAIL_CLASSES = {
+  USPS_GROUND_ADVANTAGE: { serviceName: 'USPS Ground Advantage', estimatedDays: 5 },
+  PRIORITY_MAIL: { serviceName: 'USPS Priority Mail', estimatedDays: 3 },
+  PRIORITY_MAIL_EXPRESS: { serviceName: 'USPS Priority Mail Express', estimatedDays: 2 }
+};
+
+const baseUrl = () => process.env.USPS_API_URL || 'https://apis.usps.com';
+
+const getToken = createTokenCache(() => requestClientCredentialsToken(
+  `${baseUrl()}/oauth2/v3/token`,
+  { client_id: process.env.USPS_CLIENT_ID, client_secret: process.env.USPS_CLIENT_SECRET }
+));
+
+const request = async (method, path, data, headers = {}) => {
+  const token = await getToken();
+  const response = await axios({
+    method,
+    url: `${baseUrl()}${path}`,
+    data,
+    headers: { Authorization: `Bearer ${token}`, ...headers },
+    timeout: 30000
+  });
+  return response.data;
+};
+
+/**
+ * Token authorising label purchases against the EPS account
+ */
+const getPaymentToken = async () => {
+  const role = {
+    CRID: process.env.USPS_CRID,
+    MID: process.env.USPS_MID,
+    manifestMID: process.env.USPS_MID,
+    accountType: 'EPS',
+    accountNumber: process.env.USPS_ACCOUNT_NUMBER
+  };
+
+  const data = await request('post', '/payments/v3/payment-authorization', {
+    roles: [{ roleName: 'PAYER', ...role }, { roleName: 'LABEL_OWNER', ...role }]
+  });
+  return data.paymentAuthorizationToken;
+};
+
+// Tracking event codes; the rest (acceptance, processing scans, ...) are in transit
+const EVENT_CODES = {
+  GX: 'pre_transit',
+  MA: 'pre_transit',
+  OF: 'out_for_delivery',
+  '01': 'delivered',
+  '02': 'exception',
+  '04': 'exception',
+  '05': 'exception',
+  '09': 'returned_to_sender'
+};
+
+/**
+ * Tracking events of one Tracking API response
+ */
+const toTrackingEvents = (tracking) => (tracking.trackingEvents || []).map(event => ({
+  trackingNumber: tracking.trackingNumber,
+  status: event.eventCode === '01'
+    ? 'delivered'
+    : trackingStatusFromText(event.eventType) || EVENT_CODES[event.eventCode] || 'in_transit',
+  carrierStatusCode: event.eventCode || null,
+  description: event.eventType || null,
+  location: formatLocation(event.eventCity, event.eventState, event.eventCountry),
+  occurredAt: event.GMTTimestamp || event.eventTimestamp || null
+}));
+
+const toAddress = (party) => ({
+  firstName: party.name ? party.name.split(' ')[0] : undefined,
+  lastName: party.name ? party.name.split(' ').slice(1).join(' ') || undefined : undefined,
+  firm: party.company || undefined,
+  streetAddress: party.street,
+  city: party.city,
+  state: party.state,
+  ZIPCode: String(party.zipCode || '').slice(0, 5),
+  phone: party.phone || undefined
+});
+
+const toPackageDescription = (pkg) => ({
+  weight: weightInLbs(pkg.weight, pkg.weightUnit),
+  length: lengthInInches(pkg.length, pkg.dimensionUnit),
+  width: lengthInInches(pkg.width, pkg.dimensionUnit),
+  height: lengthInInches(pkg.height, pkg.dimensionUnit),
+  processingCategory: 'MACHINABLE',
+  rateIndicator: 'SP',
+  destinationEntryFacilityType: 'NONE'
+});
+
+module.exports = {
+  code: 'usps',
+  name: 'USPS',
+  labelFormats: ['pdf', 'zpl'],
+
+  isConfigured: () => Boolean(
+    process.env.USPS_CLIENT_ID && process.env.USPS_CLIENT_SECRET &&
+    process.env.USPS_CRID && process.env.USPS_MID && process.env.USPS_ACCOUNT_NUMBER
+  ),
+
+  getRates: async (shipment) => {
+    const rates = [];
+
+    for (const [mailClass, service] of Object.entries(MAIL_CLASSES)) {
+      let amount = 0;
+      for (const pkg of shipment.packages) {
+        const data = await request('post', '/prices/v3/base-rates/search', {
+          originZIPCode: String(shipment.shipFrom.zipCode || '').slice(0, 5),
+          destinationZIPCode: String(shipment.shipTo.zipCode || '').slice(0, 5),
+          mailClass,
+          priceType: 'COMMERCIAL',
+          mailingDate: new Date().toISOString().slice(0, 10),
+          ...toPackageDescription(pkg)
+        });
+        amount += parseFloat(data.totalBasePrice || 0);
+      }
+
+      rates.push({
+        serviceCode: mailClass,
+        serviceName: service.serviceName,
+        amount: parseFloat(amount.toFixed(2)),
+        currency: 'USD',
+        estimatedDays: service.estimatedDays
+      });
+    }
+
+    return rates;
+  },
+
+  createLabel: async (shipment, { serviceCode, labelFormat }) => {
+    const paymentToken = await getPaymentToken();
+    const packages = [];
+    let cost = 0;
+
+    for (const pkg of shipment.packages) {
+      const data = await request('post', '/labels/v3/label', {
+        imageInfo: { imageType: labelFormat === 'zpl' ? 'ZPL203DPI' : 'PDF', labelType: '4X6LABEL' },
+        toAddress: toAddress(shipment.shipTo),
+        fromAddress: toAddress(shipment.shipFrom),
+        packageDescription: {
+          mailClass: serviceCode,
+          mailingDate: new Date().toISOString().slice(0, 10),
+          weightUOM: 'lb',
+          dimensionsUOM: 'in',
+          customerReference: [{ referenceNumber: shipment.reference }],
+          ...toPackageDescription(pkg)
+        }
+      }, {
+        'X-Payment-Authorization-Token': paymentToken,
+        Accept: 'application/vnd.usps.labels+json'
+      });
+
+      cost += parseFloat(data.labelMetadata?.postage || 0);
+      packages.push({
+        cartonId: pkg.cartonId,
+        trackingNumber: data.labelMetadata.trackingNumber,
+        labelFormat,
+        labelData: data.labelImage
+      });
+    }
+
+    return {
+      shipmentId: packages[0].trackingNumber,
+      serviceName: MAIL_CLASSES[serviceCode]?.serviceName || serviceCode,
+      cost: parseFloat(cost.toFixed(2)),
+      currency: 'USD',
+      packages
+    };
+  },
+
+  voidLabel: async ({ trackingNumbers }) => {
+    const paymentToken = await getPaymentToken();
+    for (const trackingNumber of trackingNumbers) {
+      await request('delete', `/labels/v3/label/${encodeURIComponent(trackingNumber)}`, undefined, {
+        'X-Payment-Authorization-Token': paymentToken
+      });
+    }
+  },
+
+  track: async (trackingNumbers) => {
+    const events = [];
+    for (const trackingNumber of trackingNumbers) {
+      const data = await request('get', `/tracking/v3/tracking/${encodeURIComponent(trackingNumber)}?expand=DETAIL`);
+      events.push(...toTrackingEvents({ trackingNumber, ...data }));
+    }
+    return events;
+  },
+
+  parseTrackingWebhook: (body) => (Array.isArray(body) ? body : [body]).flatMap(toTrackingEvents)
+};
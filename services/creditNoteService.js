@@ -0,0 +1,438 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { prepareInvoiceUpdate } = require('../utils/invoiceStateValidator');
+const pdfService = require('./pdfService');
+
+/**
+ * Credit Note Service
+ * Credit notes store NEGATIVE amounts (see credit_notes constraints).
+ * Applying a credit note to an invoice increases invoices.credit_notes_applied,
+ * which invoiceStateValidator subtracts from the balance due.
+ */
+
+const round2 = (value) => Number(parseFloat(value || 0).toFixed(2));
+
+/**
+ * Open invoice statuses a credit can be applied to
+ */
+const CREDITABLE_INVOICE_STATUSES = ['sent', 'partial', 'overdue'];
+
+/**
+ * Total already applied from a credit note
+ * @param {string} creditNoteId
+ * @returns {Promise<number>}
+ */
+exports.getAppliedAmount = async (creditNoteId) => {
+  const { data: applications } = await supabaseAdmin
+    .from('credit_note_applications')
+    .select('amount')
+    .eq('credit_note_id', creditNoteId)
+    .is('reversed_at', null);
+
+  return round2((applications || []).reduce((sum, a) => sum + parseFloat(a.amount || 0), 0));
+};
+
+/**
+ * Create and issue a credit note
+ * @param {Object} params
+ * @param {string} params.invoiceId - Invoice being credited
+ * @param {string} params.clientId - Client UUID
+ * @param {string} params.reason - return | damage | pricing_error | goodwill | other
+ * @param {string} params.description - Free text
+ * @param {Array} params.lines - [{ orderId, description, quantity, unitPrice, amount }] (positive values)
+ * @param {string} params.userId - User issuing the credit note
+ * @param {string} params.returnId - Optional RMA the credit note settles
+ * @returns {Promise<Object>} { success, creditNote, lines } or { success: false, message }
+ */
+exports.createCreditNote = async ({
+  invoiceId,
+  clientId,
+  reason,
+  description = null,
+  lines,
+  userId,
+  returnId = null
+}) => {
+  const subtotal = round2(lines.reduce((sum, line) => sum + parseFloat(line.amount || 0), 0));
+
+  if (subtotal <= 0) {
+    return { success: false, message: 'Credit note amount must be greater than 0' };
+  }
+
+  const creditNoteData = {
+    invoice_id: invoiceId,
+    client_id: clientId,
+    reason,
+    description,
+    subtotal: -subtotal,
+    tax_amount: 0,
+    total_amount: -subtotal,
+    status: 'issued',
+    created_by: userId,
+    approved_by: userId,
+    issued_at: new Date().toISOString()
+  };
+
+  if (returnId) {
+    creditNoteData.return_id = returnId;
+  }
+
+  const { data: creditNote, error } = await supabaseAdmin
+    .from('credit_notes')
+    .insert(creditNoteData)
+    .select()
+    .single();
+
+  if (error) {
+    return { success: false, message: error.message || 'Failed to create credit note' };
+  }
+
+  const { data: creditLines, error: linesError } = await supabaseAdmin
+    .from('credit_note_lines')
+    .insert(lines.map(line => ({
+      credit_note_id: creditNote.id,
+      order_id: line.orderId || null,
+      description: line.description,
+      quantity: line.quantity ? -Math.abs(line.quantity) : null,
+      unit_price: line.unitPrice !== undefined ? round2(line.unitPrice) : null,
+      amount: -round2(line.amount)
+    })))
+    .select();
+
+  if (linesError) {
+    // Rollback: Delete the credit note
+    await supabaseAdmin.from('credit_notes').delete().eq('id', creditNote.id);
+    return { success: false, message: linesError.message || 'Failed to create credit note lines' };
+  }
+
+  return { success: true, creditNote, lines: creditLines || [] };
+};
+
+/**
+ * Filter an update on a numeric column still holding the value that was read
+ */
+const whereUnchanged = (query, column, value) => (value === null || value === undefined
+  ? query.is(column, null)
+  : query.eq(column, value));
+
+// Attempts before giving up when concurrent applications keep changing the balances
+const MAX_APPLY_ATTEMPTS = 3;
+
+/**
+ * Apply (part of) an issued credit note to an invoice
+ * Never applies more than the invoice's balance due or the credit note's remaining amount.
+ * Concurrent applications are caught optimistically: the application is
+ * backed out and retried when the credit note ends up over-applied or the
+ * invoice's credits or payments changed since they were read.
+ * @param {Object} params
+ * @param {Object} params.creditNote - credit_notes row
+ * @param {string} params.invoiceId - Invoice to reduce
+ * @param {number} params.amount - Amount to apply (positive); defaults to as much as possible
+ * @param {string} params.userId - User applying the credit
+ * @returns {Promise<Object>} { success, applied, remaining, invoice } or { success: false, message }
+ */
+exports.applyCreditNote = async ({ creditNote, invoiceId, amount, userId }) => {
+  if (!['issued', 'applied'].includes(creditNote.status)) {
+    return { success: false, message: `Credit note ${creditNote.credit_note_number} is ${creditNote.status} and cannot be applied` };
+  }
+
+  const creditTotal = round2(Math.abs(parseFloat(creditNote.total_amount)));
+
+  for (let attempt = 1; attempt <= MAX_APPLY_ATTEMPTS; attempt++) {
+    const { data: invoice } = await supabaseAdmin
+      .from('invoices')
+      .select('*')
+      .eq('id', invoiceId)
+      .single();
+
+    if (!invoice) {
+      return { success: false, message: 'Invoice not found' };
+    }
+
+    if (invoice.client_id !== creditNote.client_id) {
+      return { success: false, message: 'Credit note and invoice belong to different clients' };
+    }
+
+    if (!CREDITABLE_INVOICE_STATUSES.includes(invoice.status)) {
+      return { success: false, message: `Cannot apply credit to a ${invoice.status} invoice` };
+    }
+
+    const alreadyApplied = await exports.getAppliedAmount(creditNote.id);
+    const remaining = round2(creditTotal - alreadyApplied);
+    const balanceDue = round2(
+      parseFloat(invoice.total_amount || 0) -
+      parseFloat(invoice.credit_notes_applied || 0) -
+      parseFloat(invoice.paid_amount || 0)
+    );
+    const maxApplicable = Math.min(remaining, Math.max(0, balanceDue));
+    const toApply = round2(amount === undefined || amount === null ? maxApplicable : amount);
+
+    if (toApply <= 0) {
+      return { success: false, message: 'Nothing to apply: credit note is fully used or invoice has no balance due' };
+    }
+
+    if (toApply > maxApplicable + 0.001) {
+      return {
+        success: false,
+        message: `Cannot apply $${toApply.toFixed(2)}. Maximum applicable: $${maxApplicable.toFixed(2)}`
+      };
+    }
+
+    const { data: application, error: applicationError } = await supabaseAdmin
+      .from('credit_note_applications')
+      .insert({
+        credit_note_id: creditNote.id,
+        invoice_id: invoiceId,
+        amount: toApply,
+        applied_by: userId
+      })
+      .select()
+      .single();
+
+    if (applicationError) {
+      return { success: false, message: applicationError.message || 'Failed to apply credit note' };
+    }
+
+    const removeApplication = () => supabaseAdmin
+      .from('credit_note_applications')
+      .delete()
+      .eq('id', application.id);
+
+    // Another application of this credit note may have landed since it was read
+    const appliedNow = await exports.getAppliedAmount(creditNote.id);
+    if (appliedNow > creditTotal + 0.001) {
+      await removeApplication();
+      continue;
+    }
+
+    // CRITICAL: Recompute balance_due and status through the validator
+    const invoiceUpdate = prepareInvoiceUpdate(
+      { credit_notes_applied: round2(parseFloat(invoice.credit_notes_applied || 0) + toApply) },
+      invoice
+    );
+
+    // Only written while the credits and payments are still what the balance was computed from
+    let invoiceQuery = supabaseAdmin
+      .from('invoices')
+      .update(invoiceUpdate)
+      .eq('id', invoiceId);
+    invoiceQuery = whereUnchanged(invoiceQuery, 'credit_notes_applied', invoice.credit_notes_applied);
+    invoiceQuery = whereUnchanged(invoiceQuery, 'paid_amount', invoice.paid_amount);
+
+    const { data: updatedInvoice, error: invoiceError } = await invoiceQuery
+      .select()
+      .maybeSingle();
+
+    if (invoiceError) {
+      // Rollback: Delete the application
+      await removeApplication();
+      return { success: false, message: invoiceError.message || 'Failed to update invoice balance' };
+    }
+
+    if (!updatedInvoice) {
+      await removeApplication();
+      continue;
+    }
+
+    const newRemaining = round2(creditTotal - appliedNow);
+    if (newRemaining <= 0) {
+      await supabaseAdmin
+        .from('credit_notes')
+        .update({
+          status: 'applied',
+          applied_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', creditNote.id);
+    }
+
+    return { success: true, applied: toApply, remaining: newRemaining, invoice: updatedInvoice };
+  }
+
+  return {
+    success: false,
+    message: `Credit note ${creditNote.credit_note_number} or the invoice changed while the credit was being applied; try again`
+  };
+};
+
+/**
+ * Void a credit note and reverse every credit it applied
+ * Invoice balances and statuses are recomputed through the validator.
+ * @param {Object} params
+ * @param {Object} params.creditNote - credit_notes row
+ * @param {string} params.userId - User voiding the credit note
+ * @param {string} params.reason - Why the credit note is voided
+ * @returns {Promise<Object>} { success, reversed: [{ invoiceId, amount }] } or { success: false, message }
+ */
+exports.voidCreditNote = async ({ creditNote, userId, reason = null }) => {
+  if (creditNote.status === 'void') {
+    return { success: false, message: `Credit note ${creditNote.credit_note_number} is already void` };
+  }
+
+  const { data: applications } = await supabaseAdmin
+    .from('credit_note_applications')
+    .select('*')
+    .eq('credit_note_id', creditNote.id)
+    .is('reversed_at', null);
+
+  const reversed = [];
+  for (const application of applications || []) {
+    const { data: invoice } = await supabaseAdmin
+      .from('invoices')
+      .select('*')
+      .eq('id', application.invoice_id)
+      .single();
+
+    if (!invoice) continue;
+
+    // CRITICAL: Recompute balance_due and status through the validator
+    const invoiceUpdate = prepareInvoiceUpdate(
+      {
+        credit_notes_applied: round2(Math.max(0,
+          parseFloat(invoice.credit_notes_applied || 0) - parseFloat(application.amount)
+        ))
+      },
+      invoice
+    );
+
+    const { error: invoiceError } = await supabaseAdmin
+      .from('invoices')
+      .update(invoiceUpdate)
+      .eq('id', invoice.id);
+
+    if (invoiceError) {
+      return {
+        success: false,
+        message: `Failed to reverse credit on invoice ${invoice.invoice_number}: ${invoiceError.message}`,
+        reversed
+      };
+    }
+
+    await supabaseAdmin
+      .from('credit_note_applications')
+      .update({ reversed_at: new Date().toISOString(), reversed_by: userId })
+      .eq('id', application.id);
+
+    reversed.push({ invoiceId: invoice.id, invoiceNumber: invoice.invoice_number, amount: parseFloat(application.amount) });
+  }
+
+  const { data: voided, error } = await supabaseAdmin
+    .from('credit_notes')
+    .update({
+      status: 'void',
+      voided_at: new Date().toISOString(),
+      voided_by: userId,
+      void_reason: reason,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', creditNote.id)
+    .select()
+    .single();
+
+  if (error) {
+    return { success: false, message: error.message || 'Failed to void credit note', reversed };
+  }
+
+  return { success: true, creditNote: voided, reversed };
+};
+
+/**
+ * Render a credit note as PDF
+ * @param {string} creditNoteId
+ * @returns {Promise<Object|null>} { buffer, creditNote } or null when not found
+ */
+exports.renderCreditNotePdf = async (creditNoteId) => {
+  const { data: creditNote } = await supabaseAdmin
+    .from('credit_notes')
+    .select(`
+      *,
+      clients:client_id (*),
+      invoices:invoice_id (
+        id,
+        invoice_number
+      ),
+      credit_note_lines (*),
+      credit_note_applications (
+        amount,
+        applied_at,
+        reversed_at,
+        invoices:invoice_id (
+          invoice_number
+        )
+      )
+    `)
+    .eq('id', creditNoteId)
+    .single();
+
+  if (!creditNote) return null;
+
+  const { formatCurrency, formatDate } = pdfService;
+  const client = creditNote.clients || {};
+  const applications = (creditNote.credit_note_applications || []).filter(a => !a.reversed_at);
+
+  const buffer = await pdfService.renderPdf(doc => {
+    pdfService.drawHeader(doc, {
+      title: creditNote.status === 'void' ? 'CREDIT NOTE (VOID)' : 'CREDIT NOTE',
+      meta: [
+        ['Number', creditNote.credit_note_number],
+        ['Date', formatDate(creditNote.issued_at || creditNote.created_at)],
+        ['Invoice', creditNote.invoices?.invoice_number],
+        ['Status', creditNote.status.toUpperCase()]
+      ]
+    });
+
+    const blockTop = doc.y;
+    const clientBottom = pdfService.drawTextBlock(doc, 'CREDIT TO', [
+      client.company_name,
+      client.contact_person,
+      client.address_street,
+      [client.address_city, client.address_state, client.address_zip_code].filter(Boolean).join(', '),
+      client.email
+    ], { y: blockTop });
+    const reasonBottom = pdfService.drawTextBlock(doc, 'REASON', [
+      creditNote.reason.replace(/_/g, ' ').toUpperCase(),
+      creditNote.description
+    ], { x: 320, y: blockTop });
+
+    doc.y = Math.max(clientBottom, reasonBottom) + 20;
+
+    pdfService.drawTable(doc, [
+      { header: 'Description', key: 'description', width: 292 },
+      { header: 'Qty', key: 'quantity', width: 50, align: 'right' },
+      { header: 'Unit Price', key: 'unitPrice', width: 80, align: 'right' },
+      { header: 'Amount', key: 'amount', width: 90, align: 'right' }
+    ], (creditNote.credit_note_lines || []).map(line => ({
+      description: line.description,
+      quantity: line.quantity !== null ? Math.abs(line.quantity) : '',
+      unitPrice: line.unit_price !== null ? formatCurrency(line.unit_price) : '',
+      amount: formatCurrency(line.amount)
+    })));
+
+    const appliedTotal = applications.reduce((sum, a) => sum + parseFloat(a.amount || 0), 0);
+    pdfService.drawTotals(doc, [
+      ['Subtotal', formatCurrency(creditNote.subtotal)],
+      ['Tax', formatCurrency(creditNote.tax_amount)],
+      ['Total Credit', formatCurrency(creditNote.total_amount), { bold: true }],
+      ['Applied', formatCurrency(appliedTotal)],
+      ['Remaining', formatCurrency(Math.max(0, Math.abs(parseFloat(creditNote.total_amount)) - appliedTotal)), { bold: true }]
+    ]);
+
+    if (applications.length > 0) {
+      doc.moveDown(1);
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#111111').text('Applied To', pdfService.PAGE_MARGIN);
+      doc.moveDown(0.3);
+      pdfService.drawTable(doc, [
+        { header: 'Invoice', key: 'invoice', width: 200 },
+        { header: 'Date', key: 'date', width: 150 },
+        { header: 'Amount', key: 'amount', width: 162, align: 'right' }
+      ], applications.map(a => ({
+        invoice: a.invoices?.invoice_number || '-',
+        date: formatDate(a.applied_at),
+        amount: formatCurrency(a.amount)
+      })));
+    }
+
+    pdfService.drawFooter(doc, `Credit note ${creditNote.credit_note_number} · Generated ${formatDate(new Date())}`);
+  });
+
+  return { buffer, creditNote };
+};
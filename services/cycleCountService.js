@@ -0,0 +1,699 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const inventoryAdjustmentService = require('./inventoryAdjustmentService');
+
+/**
+ * Cycle Count Service
+ * Counts are generated for a warehouse by bin, by SKU velocity (ABC) or
+ * as a random sample. Counters enter blind counts; on submit each line's
+ * variance is taken against current stock and variances above the
+ * approval threshold wait for a supervisor. Approved variances are posted
+ * through inventoryAdjustmentService with reason code 'cycle_count', so
+ * they show up in inventory_audit against the count.
+ */
+
+const CYCLE_COUNT_METHODS = ['bin', 'abc', 'random'];
+const ABC_CLASSES = ['A', 'B', 'C'];
+
+// Variances (in units, either direction) above the adjustment threshold need supervisor approval
+const { APPROVAL_THRESHOLD_UNITS } = inventoryAdjustmentService;
+
+// Share of shipped units covered by class A, then A + B
+const ABC_CUTOFFS = { A: 0.8, B: 0.95 };
+const DEFAULT_VELOCITY_DAYS = 90;
+const DEFAULT_SAMPLE_SIZE = 20;
+
+// Counts whose lines still can be posted
+const ACTIVE_STATUSES = ['open', 'review', 'posting'];
+
+exports.CYCLE_COUNT_METHODS = CYCLE_COUNT_METHODS;
+exports.ABC_CLASSES = ABC_CLASSES;
+exports.APPROVAL_THRESHOLD_UNITS = APPROVAL_THRESHOLD_UNITS;
+
+/**
+ * On-hand units of an inventory row (shipped units are no longer on the shelf)
+ */
+const onHand = (inventory) => (inventory.available_stock || 0) + (inventory.reserved_stock || 0);
+
+/**
+ * Inventory already on an open or in-review count
+ * A SKU is only on one active count at a time so a variance is never posted twice
+ */
+const getInventoryOnActiveCounts = async (warehouseId) => {
+  const { data: rows } = await supabaseAdmin
+    .from('cycle_count_lines')
+    .select('inventory_id, cycle_counts!inner ( warehouse_id, status )')
+    .eq('cycle_counts.warehouse_id', warehouseId)
+    .in('cycle_counts.status', ACTIVE_STATUSES);
+
+  return new Set((rows || []).map(row => row.inventory_id));
+};
+
+/**
+ * Inventory rows of a warehouse, optionally for one client
+ */
+const getWarehouseInventory = async (warehouseId, clientId) => {
+  let query = supabaseAdmin
+    .from('inventory')
+    .select('id, client_id, product_id, available_stock, reserved_stock')
+    .eq('warehouse_id', warehouseId);
+
+  if (clientId) {
+    query = query.eq('client_id', clientId);
+  }
+
+  const { data } = await query;
+  return data || [];
+};
+
+/**
+ * Count lines for every SKU stored in the given bins (or in the bins
+ * below a given zone, aisle or rack)
+ */
+const selectBinLines = async ({ warehouseId, clientId, locationIds }) => {
+  if (!Array.isArray(locationIds) || locationIds.length === 0) {
+    return { success: false, statusCode: 400, message: 'Location IDs are required for a bin count' };
+  }
+
+  const { data: locations } = await supabaseAdmin
+    .from('warehouse_locations')
+    .select('id, type, location_code, warehouse_id')
+    .in('id', locationIds);
+
+  if (!locations || locations.length !== new Set(locationIds).size) {
+    return { success: false, statusCode: 404, message: 'Location not found' };
+  }
+
+  const foreign = locations.find(location => location.warehouse_id !== warehouseId);
+  if (foreign) {
+    return { success: false, statusCode: 400, message: `Location ${foreign.location_code} is in a different warehouse` };
+  }
+
+  const binIds = locations.filter(location => location.type === 'bin').map(location => location.id);
+  for (const location of locations.filter(l => l.type !== 'bin')) {
+    // Descendant bins share the parent's code as a prefix
+    const { data: bins } = await supabaseAdmin
+      .from('warehouse_locations')
+      .select('id')
+      .eq('type', 'bin')
+      .like('location_code', `${location.location_code}-%`);
+
+    binIds.push(...(bins || []).map(bin => bin.id));
+  }
+
+  if (binIds.length === 0) return { success: true, lines: [] };
+
+  let query = supabaseAdmin
+    .from('bin_inventory')
+    .select('inventory_id, location_id, client_id, product_id')
+    .in('location_id', [...new Set(binIds)])
+    .gt('quantity', 0);
+
+  if (clientId) {
+    query = query.eq('client_id', clientId);
+  }
+
+  const { data: rows } = await query;
+
+  return {
+    success: true,
+    lines: (rows || []).map(row => ({
+      inventory_id: row.inventory_id,
+      client_id: row.client_id,
+      product_id: row.product_id,
+      location_id: row.location_id
+    }))
+  };
+};
+
+/**
+ * Units shipped per client/product from a warehouse since a date
+ */
+const getShippedUnits = async (warehouseId, since) => {
+  const { data: rows } = await supabaseAdmin
+    .from('order_items')
+    .select('product_id, shipped_quantity, orders!inner ( client_id, warehouse_id, dispatched_at )')
+    .eq('orders.warehouse_id', warehouseId)
+    .gte('orders.dispatched_at', since);
+
+  const shipped = {};
+  (rows || []).forEach(row => {
+    const key = `${row.orders.client_id}:${row.product_id}`;
+    shipped[key] = (shipped[key] || 0) + (row.shipped_quantity || 0);
+  });
+
+  return shipped;
+};
+
+/**
+ * ABC class per inventory row by shipped units
+ * Fastest movers covering the first 80% of units are A, the next 15% B,
+ * the rest (including SKUs that did not move) C.
+ * @param {Array} inventory - inventory rows
+ * @param {Object} shipped - 'clientId:productId' → units shipped
+ * @returns {Object} inventoryId → 'A' | 'B' | 'C'
+ */
+exports.classifyAbc = (inventory, shipped) => {
+  const ranked = inventory
+    .map(row => ({ id: row.id, units: shipped[`${row.client_id}:${row.product_id}`] || 0 }))
+    .sort((a, b) => b.units - a.units);
+
+  const totalUnits = ranked.reduce((sum, row) => sum + row.units, 0);
+  const classes = {};
+  let covered = 0;
+
+  ranked.forEach(row => {
+    const share = totalUnits > 0 ? covered / totalUnits : 1;
+    if (row.units > 0 && share < ABC_CUTOFFS.A) {
+      classes[row.id] = 'A';
+    } else if (row.units > 0 && share < ABC_CUTOFFS.B) {
+      classes[row.id] = 'B';
+    } else {
+      classes[row.id] = 'C';
+    }
+    covered += row.units;
+  });
+
+  return classes;
+};
+
+/**
+ * Count lines for every SKU in one velocity class
+ */
+const selectAbcLines = async ({ warehouseId, clientId, abcClass, days }) => {
+  if (!ABC_CLASSES.includes(abcClass)) {
+    return { success: false, statusCode: 400, message: `ABC class must be one of: ${ABC_CLASSES.join(', ')}` };
+  }
+
+  // Classes are ranked across the whole warehouse, then limited to the client
+  const inventory = await getWarehouseInventory(warehouseId, null);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const classes = exports.classifyAbc(inventory, await getShippedUnits(warehouseId, since));
+
+  return {
+    success: true,
+    lines: inventory
+      .filter(row => classes[row.id] === abcClass && onHand(row) > 0)
+      .filter(row => !clientId || row.client_id === clientId)
+      .map(row => ({ inventory_id: row.id, client_id: row.client_id, product_id: row.product_id, location_id: null }))
+  };
+};
+
+/**
+ * Count lines for a random sample of SKUs with stock on hand
+ */
+const selectRandomLines = async ({ warehouseId, clientId, sampleSize }) => {
+  const inventory = (await getWarehouseInventory(warehouseId, clientId)).filter(row => onHand(row) > 0);
+
+  // Fisher-Yates shuffle, then take the sample
+  for (let i = inventory.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [inventory[i], inventory[j]] = [inventory[j], inventory[i]];
+  }
+
+  return {
+    success: true,
+    lines: inventory
+      .slice(0, sampleSize)
+      .map(row => ({ inventory_id: row.id, client_id: row.client_id, product_id: row.product_id, location_id: null }))
+  };
+};
+
+/**
+ * Generate a cycle count
+ * SKUs already on an open or in-review count in the warehouse are left out.
+ * @param {Object} params
+ * @param {string} params.warehouseId
+ * @param {string} params.clientId - Only this client's stock (optional)
+ * @param {string} params.method - 'bin', 'abc' or 'random'
+ * @param {Array<string>} params.locationIds - Bins, or zones/aisles/racks to count every bin of (bin)
+ * @param {string} params.abcClass - 'A', 'B' or 'C' (abc)
+ * @param {number} params.days - Velocity window in days (abc, default 90)
+ * @param {number} params.sampleSize - SKUs to sample (random, default 20)
+ * @param {string} params.notes
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, cycleCount } or { success: false, statusCode, message }
+ */
+exports.createCycleCount = async ({
+  warehouseId,
+  clientId = null,
+  method,
+  locationIds,
+  abcClass,
+  days = DEFAULT_VELOCITY_DAYS,
+  sampleSize = DEFAULT_SAMPLE_SIZE,
+  notes = null,
+  userId
+}) => {
+  if (!CYCLE_COUNT_METHODS.includes(method)) {
+    return { success: false, statusCode: 400, message: `Method must be one of: ${CYCLE_COUNT_METHODS.join(', ')}` };
+  }
+
+  const criteria = { bin: { locationIds }, abc: { abcClass, days }, random: { sampleSize } }[method];
+
+  let selection;
+  if (method === 'bin') {
+    selection = await selectBinLines({ warehouseId, clientId, locationIds });
+  } else if (method === 'abc') {
+    selection = await selectAbcLines({ warehouseId, clientId, abcClass, days });
+  } else {
+    selection = await selectRandomLines({ warehouseId, clientId, sampleSize });
+  }
+
+  if (!selection.success) return selection;
+
+  const onActiveCounts = await getInventoryOnActiveCounts(warehouseId);
+  const lines = selection.lines.filter(line => !onActiveCounts.has(line.inventory_id));
+
+  if (lines.length === 0) {
+    return { success: false, statusCode: 400, message: 'Nothing to count: no stock matches, or it is already on an open count' };
+  }
+
+  const { data: cycleCount, error: countError } = await supabaseAdmin
+    .from('cycle_counts')
+    .insert({
+      warehouse_id: warehouseId,
+      client_id: clientId,
+      method,
+      criteria,
+      notes,
+      created_by: userId
+    })
+    .select()
+    .single();
+
+  if (countError) {
+    return { success: false, statusCode: 400, message: countError.message || 'Failed to create cycle count' };
+  }
+
+  const { error: linesError } = await supabaseAdmin
+    .from('cycle_count_lines')
+    .insert(lines.map(line => ({ ...line, cycle_count_id: cycleCount.id })));
+
+  if (linesError) {
+    // ROLLBACK: Remove the header so no empty count is left behind
+    await supabaseAdmin.from('cycle_counts').delete().eq('id', cycleCount.id);
+    return { success: false, statusCode: 400, message: linesError.message || 'Failed to create cycle count lines' };
+  }
+
+  return { success: true, cycleCount };
+};
+
+/**
+ * Load a count with its lines
+ */
+const fetchCount = async (cycleCountId) => {
+  const { data } = await supabaseAdmin
+    .from('cycle_counts')
+    .select('*, cycle_count_lines ( * )')
+    .eq('id', cycleCountId)
+    .single();
+
+  return data;
+};
+
+/**
+ * Record counted quantities (blind - counters do not see system stock)
+ * Can be called repeatedly while the count is open; a recount overwrites the line.
+ * @param {Object} params
+ * @param {string} params.cycleCountId
+ * @param {Array} params.lines - [{ lineId, countedQuantity }]
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, cycleCount, counted } or { success: false, statusCode, message }
+ */
+exports.recordCounts = async ({ cycleCountId, lines, userId }) => {
+  const cycleCount = await fetchCount(cycleCountId);
+
+  if (!cycleCount) {
+    return { success: false, statusCode: 404, message: 'Cycle count not found' };
+  }
+
+  if (cycleCount.status !== 'open') {
+    return { success: false, statusCode: 400, message: `Cycle count ${cycleCount.count_number} is ${cycleCount.status} and no longer takes counts` };
+  }
+
+  // Validate every line before recording any
+  for (const input of lines) {
+    const quantity = Number(input.countedQuantity);
+    const line = (cycleCount.cycle_count_lines || []).find(l => l.id === input.lineId);
+
+    if (!line) {
+      return { success: false, statusCode: 400, message: `Line ${input.lineId} is not part of cycle count ${cycleCount.count_number}` };
+    }
+
+    // Lines taken by a submit that failed part way keep their variance
+    if (!['pending', 'counted'].includes(line.status)) {
+      return { success: false, statusCode: 400, message: `Line ${input.lineId} is ${line.status} and can no longer be counted` };
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return { success: false, statusCode: 400, message: `Counted quantity for line ${input.lineId} must be a whole number of 0 or more` };
+    }
+  }
+
+  const now = new Date().toISOString();
+  for (const input of lines) {
+    await supabaseAdmin
+      .from('cycle_count_lines')
+      .update({
+        status: 'counted',
+        counted_quantity: Number(input.countedQuantity),
+        counted_by: userId,
+        counted_at: now,
+        updated_at: now
+      })
+      .eq('id', input.lineId);
+  }
+
+  return { success: true, cycleCount, counted: lines.length };
+};
+
+/**
+ * System quantity a line is compared against: the bin's stock for bin
+ * lines, the SKU's on-hand stock otherwise
+ */
+const getExpectedQuantity = async (line) => {
+  if (line.location_id) {
+    const { data: binStock } = await supabaseAdmin
+      .from('bin_inventory')
+      .select('quantity')
+      .eq('inventory_id', line.inventory_id)
+      .eq('location_id', line.location_id)
+      .maybeSingle();
+
+    return binStock ? binStock.quantity : 0;
+  }
+
+  const { data: inventory } = await supabaseAdmin
+    .from('inventory')
+    .select('available_stock, reserved_stock')
+    .eq('id', line.inventory_id)
+    .single();
+
+  return inventory ? onHand(inventory) : 0;
+};
+
+/**
+ * Post an approved line's variance as a stock adjustment
+ * A line that cannot be posted (e.g. missing units are reserved for orders)
+ * stays approved with its error, and can be approved again later.
+ * @returns {Promise<Object>} { success } or { success: false, message }
+ */
+const postLine = async (cycleCount, line, userId) => {
+  const now = new Date().toISOString();
+
+  if (line.variance !== 0) {
+    const result = await inventoryAdjustmentService.postAdjustment({
+      inventoryId: line.inventory_id,
+      quantity: line.variance,
+      locationId: line.location_id,
+      action: 'cycle_count',
+      reasonCode: 'cycle_count',
+      referenceType: 'cycle_count',
+      referenceId: cycleCount.id,
+      userId,
+      note: `${cycleCount.count_number}: counted ${line.counted_quantity}, expected ${line.expected_quantity}`
+    });
+
+    if (!result.success) {
+      await supabaseAdmin
+        .from('cycle_count_lines')
+        .update({ status: 'approved', post_error: result.message, updated_at: now })
+        .eq('id', line.id);
+
+      return { success: false, message: result.message };
+    }
+
+    await inventoryAdjustmentService.recordPostedAdjustment({
+      inventoryId: line.inventory_id,
+      quantity: line.variance,
+      locationId: line.location_id,
+      reasonCode: 'cycle_count',
+      note: `${cycleCount.count_number}: counted ${line.counted_quantity}, expected ${line.expected_quantity}`,
+      referenceType: 'cycle_count',
+      referenceId: cycleCount.id,
+      userId
+    });
+  }
+
+  await supabaseAdmin
+    .from('cycle_count_lines')
+    .update({ status: 'posted', posted_at: now, post_error: null, updated_at: now })
+    .eq('id', line.id);
+
+  return { success: true };
+};
+
+/**
+ * Close the count once no line is left to review or post
+ */
+const completeIfDone = async (cycleCountId) => {
+  const { data: openLines } = await supabaseAdmin
+    .from('cycle_count_lines')
+    .select('id')
+    .eq('cycle_count_id', cycleCountId)
+    .in('status', ['pending_approval', 'approved']);
+
+  const done = !openLines || openLines.length === 0;
+  const now = new Date().toISOString();
+
+  const { data: cycleCount } = await supabaseAdmin
+    .from('cycle_counts')
+    .update(done
+      ? { status: 'completed', completed_at: now, updated_at: now }
+      : { status: 'review', updated_at: now })
+    .eq('id', cycleCountId)
+    .select()
+    .single();
+
+  return cycleCount;
+};
+
+/**
+ * Give a claimed count back after its posting failed part way, so it can be
+ * submitted or reviewed again
+ */
+const releaseCount = async (cycleCountId, toStatus) => {
+  const { error } = await supabaseAdmin
+    .from('cycle_counts')
+    .update({ status: toStatus, updated_at: new Date().toISOString() })
+    .eq('id', cycleCountId)
+    .eq('status', 'posting');
+
+  if (error) {
+    console.error(`Failed to release cycle count ${cycleCountId}:`, error);
+  }
+};
+
+/**
+ * Claim a count for posting, so two submits or reviews cannot post the same variance twice
+ * @param {Object} cycleCount
+ * @param {string} fromStatus - Status the count was checked in
+ * @param {Object} extra - Other columns to set with the claim
+ * @returns {Promise<Object>} { success } or { success: false, statusCode, message }
+ */
+const claimCount = async (cycleCount, fromStatus, extra = {}) => {
+  const { data: claimed, error } = await supabaseAdmin
+    .from('cycle_counts')
+    .update({ ...extra, status: 'posting', updated_at: new Date().toISOString() })
+    .eq('id', cycleCount.id)
+    .eq('status', fromStatus)
+    .select('id');
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to update cycle count' };
+  }
+
+  if (!claimed || claimed.length === 0) {
+    return { success: false, statusCode: 409, message: `Cycle count ${cycleCount.count_number} is already being posted` };
+  }
+
+  return { success: true };
+};
+
+/**
+ * Submit a fully counted count
+ * Variances are taken against current stock. Lines within the approval
+ * threshold are posted straight away; the rest wait for a supervisor.
+ * @param {Object} params
+ * @param {string} params.cycleCountId
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, cycleCount, posted, pendingApproval, failed } or
+ *   { success: false, statusCode, message, data? }
+ */
+exports.submitCycleCount = async ({ cycleCountId, userId }) => {
+  const cycleCount = await fetchCount(cycleCountId);
+
+  if (!cycleCount) {
+    return { success: false, statusCode: 404, message: 'Cycle count not found' };
+  }
+
+  if (cycleCount.status !== 'open') {
+    return { success: false, statusCode: 400, message: `Cycle count ${cycleCount.count_number} is already ${cycleCount.status}` };
+  }
+
+  // Lines a failed submit already took (pending approval, approved or
+  // posted) are left as they are
+  const lines = cycleCount.cycle_count_lines || [];
+  const uncounted = lines.filter(line => line.status === 'pending');
+  if (uncounted.length > 0) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `${uncounted.length} line(s) have not been counted yet`,
+      data: { uncountedLineIds: uncounted.map(line => line.id) }
+    };
+  }
+
+  const now = new Date().toISOString();
+  const claim = await claimCount(cycleCount, 'open', { submitted_by: userId, submitted_at: now });
+  if (!claim.success) return claim;
+
+  let posted = 0;
+  let pendingApproval = 0;
+  const failed = [];
+
+  try {
+    for (const line of lines.filter(l => l.status === 'counted')) {
+      const expected = await getExpectedQuantity(line);
+      const variance = line.counted_quantity - expected;
+      const requiresApproval = Math.abs(variance) > APPROVAL_THRESHOLD_UNITS;
+
+      const { data: updatedLine } = await supabaseAdmin
+        .from('cycle_count_lines')
+        .update({
+          expected_quantity: expected,
+          variance,
+          requires_approval: requiresApproval,
+          status: requiresApproval ? 'pending_approval' : 'approved',
+          updated_at: now
+        })
+        .eq('id', line.id)
+        .select()
+        .single();
+
+      if (requiresApproval) {
+        pendingApproval++;
+        continue;
+      }
+
+      const result = await postLine(cycleCount, updatedLine, userId);
+      if (result.success) {
+        posted++;
+      } else {
+        failed.push({ lineId: line.id, message: result.message });
+      }
+    }
+  } catch (error) {
+    await releaseCount(cycleCountId, 'open');
+    throw error;
+  }
+
+  return {
+    success: true,
+    cycleCount: await completeIfDone(cycleCountId),
+    posted,
+    pendingApproval,
+    failed
+  };
+};
+
+/**
+ * Approve or reject variances waiting for a supervisor
+ * Approved variances are posted; rejected lines leave stock as it is.
+ * Approved lines that failed to post can be approved again.
+ * @param {Object} params
+ * @param {string} params.cycleCountId
+ * @param {Array} params.lines - [{ lineId, approved, note }]
+ * @param {string} params.userId - Supervisor
+ * @returns {Promise<Object>} { success, cycleCount, posted, rejected, failed } or { success: false, statusCode, message }
+ */
+exports.reviewCycleCount = async ({ cycleCountId, lines, userId }) => {
+  const cycleCount = await fetchCount(cycleCountId);
+
+  if (!cycleCount) {
+    return { success: false, statusCode: 404, message: 'Cycle count not found' };
+  }
+
+  if (cycleCount.status !== 'review') {
+    return { success: false, statusCode: 400, message: `Cycle count ${cycleCount.count_number} is ${cycleCount.status} and has nothing to review` };
+  }
+
+  const reviews = [];
+  for (const input of lines) {
+    const line = (cycleCount.cycle_count_lines || []).find(l => l.id === input.lineId);
+
+    if (!line) {
+      return { success: false, statusCode: 400, message: `Line ${input.lineId} is not part of cycle count ${cycleCount.count_number}` };
+    }
+
+    if (!['pending_approval', 'approved'].includes(line.status)) {
+      return { success: false, statusCode: 400, message: `Line ${input.lineId} is ${line.status} and cannot be reviewed` };
+    }
+
+    reviews.push({ line, input });
+  }
+
+  const claim = await claimCount(cycleCount, 'review');
+  if (!claim.success) return claim;
+
+  // Lines as they are now that the count is claimed: a review that finished
+  // in the meantime may already have posted some of them
+  const claimedCount = await fetchCount(cycleCountId);
+  const currentLines = new Map(((claimedCount && claimedCount.cycle_count_lines) || []).map(l => [l.id, l]));
+
+  let posted = 0;
+  let rejected = 0;
+  const failed = [];
+  const now = new Date().toISOString();
+
+  try {
+    for (const review of reviews) {
+      const { input } = review;
+      const line = currentLines.get(review.line.id);
+
+      if (!line || !['pending_approval', 'approved'].includes(line.status)) {
+        failed.push({ lineId: review.line.id, message: `Line is ${line ? line.status : 'missing'} and was not reviewed again` });
+        continue;
+      }
+
+      const reviewData = {
+        reviewed_by: userId,
+        reviewed_at: now,
+        review_note: input.note || null,
+        updated_at: now
+      };
+
+      if (!input.approved) {
+        await supabaseAdmin
+          .from('cycle_count_lines')
+          .update({ ...reviewData, status: 'rejected', post_error: null })
+          .eq('id', line.id);
+        rejected++;
+        continue;
+      }
+
+      await supabaseAdmin
+        .from('cycle_count_lines')
+        .update({ ...reviewData, status: 'approved' })
+        .eq('id', line.id);
+
+      const result = await postLine(cycleCount, line, userId);
+      if (result.success) {
+        posted++;
+      } else {
+        failed.push({ lineId: line.id, message: result.message });
+      }
+    }
+  } catch (error) {
+    await releaseCount(cycleCountId, 'review');
+    throw error;
+  }
+
+  return {
+    success: true,
+    cycleCount: await completeIfDone(cycleCountId),
+    posted,
+    rejected,
+    failed
+  };
+};
@@ -167,7 +167,72 @@ const sendContactNotification = async (contactData) => {
   }
 };
 
+/**
+ * Send the daily low-stock digest
+ * items: [{ clientName, productName, sku, availableStock, reorderLevel, daysOfCover, suggestedQuantity }]
+ */
+const sendLowStockDigest = async ({ to, name, items }) => {
+  const emailTransporter = initTransporter();
+
+  if (!emailTransporter) {
+    console.log('Email service not configured. Skipping low-stock digest.');
+    return { success: false, message: 'Email service not configured' };
+  }
+
+  try {
+    const rows = items.map(item => `
+                <tr>
+                  <td style="padding: 8px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${item.clientName || ''}</td>
+                  <td style="padding: 8px; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${item.productName || ''}<br><span style="color: #6b7280; font-size: 12px;">${item.sku || ''}</span></td>
+                  <td style="padding: 8px; text-align: right; color: ${item.availableStock === 0 ? '#dc2626' : '#1f2937'}; border-bottom: 1px solid #e5e7eb;">${item.availableStock}</td>
+                  <td style="padding: 8px; text-align: right; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${item.reorderLevel || '-'}</td>
+                  <td style="padding: 8px; text-align: right; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${item.daysOfCover !== null ? item.daysOfCover : '-'}</td>
+                  <td style="padding: 8px; text-align: right; color: #1f2937; border-bottom: 1px solid #e5e7eb;">${item.suggestedQuantity}</td>
+                </tr>`).join('');
+
+    const mailOptions = {
+      from: `"MAX2PAY System" <${process.env.SMTP_USER}>`,
+      to,
+      subject: `Low Stock Digest: ${items.length} product${items.length === 1 ? '' : 's'} - MAX2PAY`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Low Stock Digest</h1>
+          </div>
+          <div style="padding: 30px; background: #f9fafb;">
+            <p style="color: #4b5563; line-height: 1.6;">
+              Hi ${name || 'there'}, these products are at or below their reorder level, or will not last long at the current sales rate.
+            </p>
+            <div style="background: white; padding: 20px; border-radius: 8px;">
+              <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+                <tr>
+                  <th style="padding: 8px; text-align: left; color: #4b5563;">Client</th>
+                  <th style="padding: 8px; text-align: left; color: #4b5563;">Product</th>
+                  <th style="padding: 8px; text-align: right; color: #4b5563;">Available</th>
+                  <th style="padding: 8px; text-align: right; color: #4b5563;">Reorder Level</th>
+                  <th style="padding: 8px; text-align: right; color: #4b5563;">Days Left</th>
+                  <th style="padding: 8px; text-align: right; color: #4b5563;">Suggested Order</th>
+                </tr>${rows}
+              </table>
+            </div>
+            <p style="color: #6b7280; font-size: 14px; margin-top: 30px;">
+              The MAX2PAY Team
+            </p>
+          </div>
+        </div>
+      `,
+    };
+
+    await emailTransporter.sendMail(mailOptions);
+    return { success: true, message: 'Low-stock digest sent' };
+  } catch (error) {
+    console.error('Error sending low-stock digest:', error);
+    return { success: false, message: error.message };
+  }
+};
+
 module.exports = {
   sendContactConfirmation,
   sendContactNotification,
+  sendLowStockDigest,
 };
@@ -1,5 +1,6 @@
 const supabase = require('../config/supabaseAdmin');
 const { createAuditLog } = require('../middleware/supabaseAuditLog');
+const pricingEngine = require('./pricingEngine');
 
 /**
  * Enhanced Invoice Service for USA Compliance
@@ -8,9 +9,8 @@ const { createAuditLog } = require('../middleware/supabaseAuditLog');
 
 class EnhancedInvoiceService {
   constructor() {
-    this.WEIGHT_THRESHOLD = 5; // lbs
-    this.WEIGHT_SURCHARGE_RATE = 5.00; // flat fee for orders > 5lbs
-    this.PER_UNIT_SURCHARGE = 0.50; // per unit charge for orders > 5lbs
+    this.WEIGHT_THRESHOLD = 5; // lbs - heavier orders are routed to manual billing
+    // Charges (including weight surcharges) come from the client's rate card
   }
 
   /**
@@ -57,72 +57,52 @@ class EnhancedInvoiceService {
   }
 
   /**
-   * Calculate standard fulfillment charges (≤5lbs)
+   * Price orders with the client's rate card
+   * @param {Array} orders
+   * @param {Object} pricer - From pricingEngine.createPricer()
    */
-  calculateStandardFulfillment(orders) {
-    const BASE_RATE = 2.50;
-    const ADDITIONAL_UNIT_RATE = 1.25;
+  async priceOrders(orders, pricer) {
     let totalAmount = 0;
     let totalUnits = 0;
+    const breakdown = [];
 
     for (const order of orders) {
-      const orderUnits = this.calculateOrderUnits(order);
-      if (orderUnits > 0) {
-        const orderCharge = BASE_RATE + ((orderUnits - 1) * ADDITIONAL_UNIT_RATE);
-        totalAmount += orderCharge;
-        totalUnits += orderUnits;
-      }
+      const orderUnits = await this.calculateOrderUnits(order);
+      const charge = pricer.priceOrder(order, orderUnits);
+
+      totalAmount += charge.total;
+      totalUnits += orderUnits;
+      breakdown.push({
+        orderId: order.id,
+        orderNumber: order.order_number,
+        units: orderUnits,
+        charge: charge.total,
+        weightSurcharge: charge.weightSurcharge,
+        rateCardId: charge.rateCardId
+      });
     }
 
     return {
-      type: 'standard',
       totalAmount: Number(totalAmount.toFixed(2)),
       totalUnits,
       orderCount: orders.length,
-      breakdown: orders.map(order => ({
-        orderId: order.id,
-        orderNumber: order.order_number,
-        units: this.calculateOrderUnits(order),
-        charge: BASE_RATE + ((this.calculateOrderUnits(order) - 1) * ADDITIONAL_UNIT_RATE)
-      }))
+      breakdown
     };
   }
 
   /**
-   * Calculate heavyweight fulfillment charges (>5lbs)
+   * Calculate standard fulfillment charges (≤5lbs)
    */
-  calculateHeavyweightFulfillment(orders) {
-    let totalAmount = 0;
-    let totalUnits = 0;
-
-    for (const order of orders) {
-      const orderUnits = this.calculateOrderUnits(order);
-      if (orderUnits > 0) {
-        // Base charge + weight surcharge + per-unit charge
-        const baseCharge = 2.50;
-        const weightSurcharge = this.WEIGHT_SURCHARGE_RATE;
-        const unitCharge = this.PER_UNIT_SURCHARGE * orderUnits;
-        const orderCharge = baseCharge + weightSurcharge + unitCharge;
-        
-        totalAmount += orderCharge;
-        totalUnits += orderUnits;
-      }
-    }
+  async calculateStandardFulfillment(orders, pricer) {
+    return { type: 'standard', ...(await this.priceOrders(orders, pricer)) };
+  }
 
-    return {
-      type: 'heavyweight',
-      totalAmount: Number(totalAmount.toFixed(2)),
-      totalUnits,
-      orderCount: orders.length,
-      breakdown: orders.map(order => ({
-        orderId: order.id,
-        orderNumber: order.order_number,
-        units: this.calculateOrderUnits(order),
-        charge: 2.50 + this.WEIGHT_SURCHARGE_RATE + (this.PER_UNIT_SURCHARGE * this.calculateOrderUnits(order))
-      })),
-      weightSurcharge: this.WEIGHT_SURCHARGE_RATE,
-      perUnitSurcharge: this.PER_UNIT_SURCHARGE
-    };
+  /**
+   * Calculate heavyweight fulfillment charges (>5lbs)
+   * Weight surcharges are the rate card's weight tiers
+   */
+  async calculateHeavyweightFulfillment(orders, pricer) {
+    return { type: 'heavyweight', ...(await this.priceOrders(orders, pricer)) };
   }
 
   /**
@@ -144,21 +124,23 @@ class EnhancedInvoiceService {
    */
   async generateMonthlyInvoice(clientId, month, year, userId) {
     try {
-      // Get client billing preferences
+      // Get client billing preferences and rate cards
       const billingPrefs = await this.getClientBillingPreference(clientId);
+      const pricer = await pricingEngine.createPricer(clientId);
       
       // Define date range
       const startDate = new Date(year, month - 1, 1).toISOString();
       const endDate = new Date(year, month, 0, 23, 59, 59).toISOString();
 
-      // Get all orders in date range
+      // Get orders dispatched in the period that are not on an invoice yet
       const { data: allOrders } = await supabase
         .from('orders')
         .select('*')
         .eq('client_id', clientId)
         .in('status', ['delivered', 'dispatched'])
-        .gte('created_at', startDate)
-        .lte('created_at', endDate);
+        .is('invoice_id', null)
+        .gte('dispatched_at', startDate)
+        .lte('dispatched_at', endDate);
 
       // Categorize orders
       const standardOrders = [];
@@ -200,18 +182,16 @@ class EnhancedInvoiceService {
       };
 
       if (standardOrders.length > 0) {
-        const standardCalc = this.calculateStandardFulfillment(standardOrders);
+        const standardCalc = await this.calculateStandardFulfillment(standardOrders, pricer);
+        const heavyweightCalc = await this.calculateHeavyweightFulfillment(heavyweightOrders, pricer);
         
         // Create manual billing records for heavyweight orders
         if (heavyweightOrders.length > 0) {
-          await this.createManualBillingRecords(heavyweightOrders, clientId, userId);
+          await this.createManualBillingRecords(heavyweightOrders, clientId, userId, pricer);
         }
 
         // Combine calculations
-        const combinedTotal = standardCalc.totalAmount + 
-          (heavyweightOrders.length * this.WEIGHT_SURCHARGE_RATE) + 
-          (this.calculateHeavyweightFulfillment(heavyweightOrders).totalAmount - 
-           (heavyweightOrders.length * 2.50)); // Subtract base charges, add weight+unit charges
+        const combinedTotal = Number((standardCalc.totalAmount + heavyweightCalc.totalAmount).toFixed(2));
 
         invoiceData = {
           ...invoiceData,
@@ -251,7 +231,7 @@ class EnhancedInvoiceService {
       }
 
       // Create order references for transparency
-      await this.createOrderReferences(invoice.id, [...standardOrders, ...heavyweightOrders]);
+      await this.createOrderReferences(invoice.id, [...standardOrders, ...heavyweightOrders], pricer);
 
       // Log audit
       await createAuditLog(userId, 'CREATE', 'Invoice', invoice.id, invoiceData, null);
@@ -315,20 +295,29 @@ class EnhancedInvoiceService {
   /**
    * Create manual billing records
    */
-  async createManualBillingRecords(orders, clientId, userId) {
+  async createManualBillingRecords(orders, clientId, userId, pricer) {
     for (const order of orders) {
       const orderUnits = await this.calculateOrderUnits(order);
-      
+      const rateCard = pricer.rateCardFor(pricingEngine.getServiceDate(order));
+      const charge = pricingEngine.calculateOrderCharge(rateCard, {
+        units: orderUnits,
+        weight: order.total_weight,
+        specialHandling: order.special_handling === true
+      });
+
+      // No weight tier on the card: nothing to bill separately
+      if (!charge.weightTier) continue;
+
       await supabase
         .from('manual_billing_orders')
         .insert({
           order_id: order.id,
           client_id: clientId,
           billing_type: 'weight_surcharge',
-          base_charge: 2.50,
-          per_unit_charge: this.PER_UNIT_SURCHARGE,
+          base_charge: charge.pickFee,
+          per_unit_charge: charge.weightTier.unitSurcharge,
           total_units: orderUnits,
-          total_charge: this.WEIGHT_SURCHARGE_RATE + (this.PER_UNIT_SURCHARGE * orderUnits),
+          total_charge: charge.weightSurcharge,
           created_by: userId
         });
     }
@@ -337,7 +326,7 @@ class EnhancedInvoiceService {
   /**
    * Create order references for invoice transparency
    */
-  async createOrderReferences(invoiceId, orders) {
+  async createOrderReferences(invoiceId, orders, pricer) {
     for (const order of orders) {
       await supabase
         .from('invoice_order_references')
@@ -346,7 +335,7 @@ class EnhancedInvoiceService {
           order_id: order.id,
           order_number: order.order_number,
           order_total: parseFloat(order.total_amount || 0),
-          billing_amount: this.calculateOrderBillingAmount(order)
+          billing_amount: await this.calculateOrderBillingAmount(order, pricer)
         });
     }
   }
@@ -354,19 +343,9 @@ class EnhancedInvoiceService {
   /**
    * Calculate order billing amount
    */
-  calculateOrderBillingAmount(order) {
-    const weight = parseFloat(order.total_weight || 0);
-    const units = this.estimateOrderUnits(order);
-    
-    if (weight <= this.WEIGHT_THRESHOLD) {
-      // Standard calculation
-      const BASE_RATE = 2.50;
-      const ADDITIONAL_UNIT_RATE = 1.25;
-      return BASE_RATE + ((units - 1) * ADDITIONAL_UNIT_RATE);
-    } else {
-      // Heavyweight calculation
-      return 2.50 + this.WEIGHT_SURCHARGE_RATE + (this.PER_UNIT_SURCHARGE * units);
-    }
+  async calculateOrderBillingAmount(order, pricer) {
+    const units = await this.calculateOrderUnits(order);
+    return pricer.priceOrder(order, units).total;
   }
 
   /**
@@ -0,0 +1,237 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const locationService = require('./locationService');
+const warehouseService = require('./warehouseService');
+const lotService = require('./lotService');
+const serialService = require('./serialService');
+
+/**
+ * Inbound Service
+ * Single path for putting received goods into stock. Manual inbound
+ * entries and ASN receipts both record an inbound_logs row here, which is
+ * also what receiving charges are billed from. When the storage location
+ * is a bin code (e.g. MAIN-A-01-03-B2) the units are put away into that bin,
+ * when a lot number is given they are recorded against that lot, and
+ * scanned serial numbers are recorded per unit.
+ */
+
+/**
+ * Add received units to a client's inventory
+ * Creates the inventory record on the first receipt of a product. The
+ * increment runs in one statement (receive_inventory_stock) so it cannot
+ * overwrite a reservation made at the same time.
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} params.productId
+ * @param {string} params.warehouseId
+ * @param {number} params.quantity
+ * @param {string} params.storageLocation
+ * @returns {Promise<Object>} { success, inventoryId } or { success: false, statusCode, message }
+ */
+exports.addReceivedStock = async ({ clientId, productId, warehouseId, quantity, storageLocation }) => {
+  // Use admin client to bypass RLS
+  const { data: inventoryId, error } = await supabaseAdmin.rpc('receive_inventory_stock', {
+    p_client_id: clientId,
+    p_product_id: productId,
+    p_warehouse_id: warehouseId,
+    p_quantity: quantity,
+    p_storage_location: storageLocation || null
+  });
+
+  if (error || !inventoryId) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: (error && error.message) || 'Failed to add received stock'
+    };
+  }
+
+  return { success: true, inventoryId };
+};
+
+/**
+ * Put received units into the bin they were received into
+ * @param {string} inventoryId
+ * @param {Object} bin - warehouse_locations row
+ * @param {number} quantity
+ */
+exports.putAwayReceivedStock = async (inventoryId, bin, quantity) => {
+  if (!inventoryId || !bin) return;
+
+  const result = await locationService.adjustBinStock({ inventoryId, locationId: bin.id, quantity });
+  if (!result.success) {
+    // Stock is on hand either way; it stays unplaced until moved into a bin
+    console.error(`Failed to put ${quantity} units away into ${bin.location_code}:`, result.message);
+  }
+};
+
+/**
+ * Record received units against their lot
+ * @param {string} inventoryId
+ * @param {string} lotNumber
+ * @param {string} expiryDate
+ * @param {number} quantity
+ */
+exports.receiveIntoLot = async (inventoryId, lotNumber, expiryDate, quantity) => {
+  if (!inventoryId || !lotNumber) return;
+
+  const result = await lotService.adjustLotStock({ inventoryId, lotNumber, expiryDate, quantity });
+  if (!result.success) {
+    // Stock is on hand either way; it stays unlotted
+    console.error(`Failed to record ${quantity} units against lot ${lotNumber}:`, result.message);
+  }
+};
+
+/**
+ * Record an inbound receipt and, when received, put it into stock
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} params.productId
+ * @param {string} params.warehouseId - Receiving warehouse (default warehouse when omitted;
+ *   taken from the bin when the storage location is a bin code)
+ * @param {number} params.quantity
+ * @param {string} params.referenceNumber
+ * @param {string} params.storageLocation
+ * @param {string} params.lotNumber - Lot / batch number printed on the goods
+ * @param {string} params.expiryDate - Lot expiry date (YYYY-MM-DD)
+ * @param {Array<string>} params.serialNumbers - One per unit; required for serial-tracked
+ *   products, scanned when the units are received
+ * @param {string} params.status - 'pending' or 'received'
+ * @param {number} params.cartonCount
+ * @param {number} params.palletCount
+ * @param {string} params.notes
+ * @param {string} params.asnId - ASN the goods arrived on
+ * @param {string} params.asnLineId
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, inboundLog } or { success: false, statusCode, message }
+ */
+exports.createInboundReceipt = async ({
+  clientId,
+  productId,
+  warehouseId = null,
+  quantity,
+  referenceNumber,
+  storageLocation,
+  lotNumber = null,
+  expiryDate = null,
+  serialNumbers = [],
+  status = 'pending',
+  cartonCount,
+  palletCount,
+  notes = null,
+  asnId = null,
+  asnLineId = null,
+  userId
+}) => {
+  const units = parseInt(quantity);
+  const lot = lotService.normalizeLotNumber(lotNumber) || null;
+  const expiry = lotService.normalizeExpiryDate(expiryDate);
+
+  const lotInput = lotService.validateLotInput(lot, expiry);
+  if (!lotInput.success) return lotInput;
+
+  // A storage location matching a bin code receives into that bin
+  const bin = await locationService.findBinByCode(storageLocation);
+  if (bin && warehouseId && bin.warehouse_id !== warehouseId) {
+    return { success: false, statusCode: 400, message: `Bin ${bin.location_code} is in a different warehouse` };
+  }
+
+  const resolved = await warehouseService.resolveWarehouse(bin ? bin.warehouse_id : warehouseId);
+  if (!resolved.success) return resolved;
+  const warehouse = resolved.warehouse;
+
+  if (bin && status === 'received') {
+    const capacity = await locationService.checkBinCapacity(bin, units);
+    if (!capacity.success) return capacity;
+  }
+
+  const lotExpiry = await lotService.checkLotExpiry({
+    clientId,
+    productId,
+    warehouseId: warehouse.id,
+    lotNumber: lot,
+    expiryDate: expiry
+  });
+  if (!lotExpiry.success) return lotExpiry;
+
+  let serials = [];
+  if (status === 'received') {
+    const serialCheck = await serialService.validateReceiptSerials({ clientId, productId, quantity: units, serialNumbers });
+    if (!serialCheck.success) return serialCheck;
+    serials = serialCheck.serials;
+  } else if (serialService.normalizeSerialNumbers(serialNumbers).length > 0) {
+    return { success: false, statusCode: 400, message: 'Serial numbers are scanned when the receipt is received' };
+  }
+
+  const logData = {
+    client_id: clientId,
+    product_id: productId,
+    warehouse_id: warehouse.id,
+    quantity: units,
+    reference_number: referenceNumber,
+    storage_location: bin ? bin.location_code : storageLocation,
+    location_id: bin ? bin.id : null,
+    lot_number: lot,
+    expiry_date: expiry,
+    received_by: userId,
+    status,
+    received_at: status === 'received' ? new Date().toISOString() : null,
+    carton_count: cartonCount !== undefined && cartonCount !== null ? parseInt(cartonCount) : null,
+    pallet_count: palletCount !== undefined && palletCount !== null ? parseInt(palletCount) : null,
+    notes: notes || null
+  };
+
+  if (asnId) {
+    logData.asn_id = asnId;
+    logData.asn_line_id = asnLineId;
+  }
+
+  // Use admin client to bypass RLS
+  const { data: inboundLog, error: logError } = await supabaseAdmin
+    .from('inbound_logs')
+    .insert(logData)
+    .select()
+    .single();
+
+  if (logError) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: logError.message || 'Failed to create inbound log'
+    };
+  }
+
+  // Only update inventory if status is 'received', not 'pending'
+  if (status === 'received') {
+    const stock = await exports.addReceivedStock({
+      clientId,
+      productId,
+      warehouseId: warehouse.id,
+      quantity: units,
+      storageLocation: logData.storage_location
+    });
+
+    if (!stock.success) {
+      // Nothing was put into stock, so the receipt must not stay on record (or be billed)
+      const { error: undoError } = await supabaseAdmin
+        .from('inbound_logs')
+        .delete()
+        .eq('id', inboundLog.id);
+      if (undoError) {
+        console.error(`Failed to remove inbound log ${inboundLog.id} after a failed stock update:`, undoError.message);
+      }
+      return stock;
+    }
+
+    await exports.putAwayReceivedStock(stock.inventoryId, bin, units);
+    await exports.receiveIntoLot(stock.inventoryId, lot, expiry, units);
+    await serialService.registerReceivedSerials({
+      clientId,
+      productId,
+      warehouseId: warehouse.id,
+      inboundLogId: inboundLog.id,
+      serials
+    });
+  }
+
+  return { success: true, inboundLog };
+};
@@ -0,0 +1,511 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const locationService = require('./locationService');
+const lotService = require('./lotService');
+
+/**
+ * Inventory Adjustment Service
+ * Posts stock adjustments (found / missing units) through the
+ * adjust_inventory_stock database function, so the inventory_audit row
+ * written for the change carries its action, reason code and the
+ * document that caused it. Bin and lot stock follow the adjustment the
+ * same way they follow receipts and picks.
+ *
+ * Manual adjustments need a reason code (inventory_adjustment_reasons)
+ * and are recorded in inventory_adjustments. Adjustments by non-admins
+ * above the unit or value threshold, or with a reason that always needs
+ * approval, wait there until an admin approves them.
+ */
+
+// Adjustments of more units, or of a higher declared value, need approval
+const APPROVAL_THRESHOLD_UNITS = parseInt(process.env.ADJUSTMENT_APPROVAL_UNITS) || 50;
+const APPROVAL_THRESHOLD_VALUE = parseFloat(process.env.ADJUSTMENT_APPROVAL_VALUE) || 1000;
+
+exports.APPROVAL_THRESHOLD_UNITS = APPROVAL_THRESHOLD_UNITS;
+exports.APPROVAL_THRESHOLD_VALUE = APPROVAL_THRESHOLD_VALUE;
+
+/**
+ * Round to 2 decimal places
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Add or remove available stock with a reason
+ * @param {Object} params
+ * @param {string} params.inventoryId
+ * @param {number} params.quantity - Units found; negative for units missing
+ * @param {string} params.locationId - Bin the units are found in / missing from
+ * @param {string} params.lotNumber - Lot the units are found in / missing from
+ * @param {string} params.expiryDate - YYYY-MM-DD; only needed for a new lot
+ * @param {string} params.action - inventory_audit action (e.g. 'adjustment', 'cycle_count')
+ * @param {string} params.reasonCode
+ * @param {string} params.referenceType - Document type (e.g. 'cycle_count')
+ * @param {string} params.referenceId - Document UUID
+ * @param {string} params.userId
+ * @param {string} params.note
+ * @returns {Promise<Object>} { success, inventory } or { success: false, statusCode, code?, message }
+ */
+exports.postAdjustment = async ({
+  inventoryId,
+  quantity,
+  locationId = null,
+  lotNumber = null,
+  expiryDate = null,
+  action = 'adjustment',
+  reasonCode = null,
+  referenceType = null,
+  referenceId = null,
+  userId = null,
+  note = null
+}) => {
+  const { data: inventory } = await supabaseAdmin
+    .from('inventory')
+    .select('*')
+    .eq('id', inventoryId)
+    .single();
+
+  if (!inventory) {
+    return { success: false, statusCode: 404, message: 'Inventory not found' };
+  }
+
+  // Found stock goes into the bin, missing stock comes out of it
+  if (locationId) {
+    const { data: bin } = await supabaseAdmin
+      .from('warehouse_locations')
+      .select('*')
+      .eq('id', locationId)
+      .eq('type', 'bin')
+      .single();
+
+    if (!bin) {
+      return { success: false, statusCode: 404, message: 'Bin not found' };
+    }
+
+    const binCheck = quantity > 0
+      ? await locationService.checkBinCapacity(bin, quantity)
+      : await locationService.adjustBinStock({ inventoryId, locationId, quantity });
+
+    if (!binCheck.success) return binCheck;
+  }
+
+  // Likewise for the lot
+  if (lotNumber) {
+    const lotCheck = quantity > 0
+      ? await lotService.checkLotExpiry({
+        clientId: inventory.client_id,
+        productId: inventory.product_id,
+        warehouseId: inventory.warehouse_id,
+        lotNumber,
+        expiryDate
+      })
+      : await lotService.adjustLotStock({ inventoryId, lotNumber, quantity });
+
+    if (!lotCheck.success) {
+      // ROLLBACK: Put back what was taken out of the bin
+      if (locationId && quantity < 0) {
+        await locationService.adjustBinStock({ inventoryId, locationId, quantity: -quantity });
+      }
+      return lotCheck;
+    }
+  }
+
+  const { data: updatedInventory, error } = await supabaseAdmin.rpc('adjust_inventory_stock', {
+    p_inventory_id: inventoryId,
+    p_delta: quantity,
+    p_action: action,
+    p_reason_code: reasonCode,
+    p_reference_type: referenceType,
+    p_reference_id: referenceId,
+    p_user_id: userId,
+    p_note: note
+  });
+
+  if (error) {
+    // ROLLBACK: Put back what was taken out of the bin and lot
+    if (locationId && quantity < 0) {
+      await locationService.adjustBinStock({ inventoryId, locationId, quantity: -quantity });
+    }
+    if (lotNumber && quantity < 0) {
+      await lotService.adjustLotStock({ inventoryId, lotNumber, quantity: -quantity });
+    }
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'ADJUSTMENT_REJECTED',
+      message: error.message || 'Failed to adjust inventory'
+    };
+  }
+
+  if (locationId && quantity > 0) {
+    await locationService.adjustBinStock({ inventoryId, locationId, quantity });
+  } else if (quantity < 0) {
+    await locationService.trimBinsToOnHand(inventoryId);
+  }
+
+  if (lotNumber && quantity > 0) {
+    await lotService.adjustLotStock({ inventoryId, lotNumber, expiryDate, quantity });
+  } else if (quantity < 0) {
+    await lotService.trimLotsToOnHand(inventoryId);
+  }
+
+  return { success: true, inventory: updatedInventory };
+};
+
+/**
+ * Adjustment reason codes, in display order
+ * @param {Object} options
+ * @param {boolean} options.includeInactive
+ * @returns {Promise<Array>} inventory_adjustment_reasons rows
+ */
+exports.getReasonCodes = async ({ includeInactive = false } = {}) => {
+  let query = supabaseAdmin
+    .from('inventory_adjustment_reasons')
+    .select('*')
+    .order('sort_order', { ascending: true })
+    .order('code', { ascending: true });
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(error.message || 'Failed to fetch adjustment reason codes');
+  }
+
+  return data || [];
+};
+
+/**
+ * Check a reason code can be used for a manual adjustment of this direction
+ * @returns {Promise<Object>} { success, reason } or { success: false, statusCode, code, message }
+ */
+const validateReason = async (reasonCode, quantity) => {
+  const { data: reason } = await supabaseAdmin
+    .from('inventory_adjustment_reasons')
+    .select('*')
+    .eq('code', String(reasonCode || '').trim().toLowerCase())
+    .maybeSingle();
+
+  if (!reason || !reason.is_active || reason.is_system) {
+    const reasons = await exports.getReasonCodes();
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'INVALID_REASON_CODE',
+      message: `Unknown reason code: ${reasonCode}. Use one of: ${reasons.filter(r => !r.is_system).map(r => r.code).join(', ')}`
+    };
+  }
+
+  if ((reason.direction === 'increase' && quantity < 0) || (reason.direction === 'decrease' && quantity > 0)) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'INVALID_REASON_CODE',
+      message: `Reason ${reason.code} can only ${reason.direction} stock`
+    };
+  }
+
+  return { success: true, reason };
+};
+
+/**
+ * Post a recorded adjustment to stock and mark it posted
+ * The adjustment must be claimed (status posting) by the caller; the posted
+ * update only applies to the claimed row. stockAdjusted tells a failure
+ * after the stock moved apart from one before it.
+ */
+const postRecordedAdjustment = async (adjustment, userId) => {
+  const result = await exports.postAdjustment({
+    inventoryId: adjustment.inventory_id,
+    quantity: adjustment.quantity,
+    locationId: adjustment.location_id,
+    lotNumber: adjustment.lot_number,
+    expiryDate: adjustment.expiry_date,
+    action: 'adjustment',
+    reasonCode: adjustment.reason_code,
+    referenceType: 'inventory_adjustment',
+    referenceId: adjustment.id,
+    userId,
+    note: adjustment.note
+  });
+
+  if (!result.success) return result;
+
+  const now = new Date().toISOString();
+  const { data: posted, error } = await supabaseAdmin
+    .from('inventory_adjustments')
+    .update({ status: 'posted', posted_at: now, post_error: null, updated_at: now })
+    .eq('id', adjustment.id)
+    .eq('status', 'posting')
+    .select()
+    .maybeSingle();
+
+  if (error || !posted) {
+    console.error(`Adjustment ${adjustment.id} was applied to stock but not marked posted:`, error);
+    return {
+      success: false,
+      statusCode: 409,
+      code: 'ADJUSTMENT_NOT_MARKED_POSTED',
+      message: 'Stock was adjusted, but the adjustment could not be marked posted',
+      stockAdjusted: true
+    };
+  }
+
+  return { success: true, adjustment: posted, inventory: result.inventory };
+};
+
+/**
+ * Request a manual stock adjustment
+ * Applied straight away unless it needs approval, in which case it is
+ * queued as pending_approval.
+ * @param {Object} params
+ * @param {Object} params.inventory - inventory row being adjusted
+ * @param {number} params.quantity - Units found; negative for units missing
+ * @param {string} params.reasonCode
+ * @param {string} params.note
+ * @param {string} params.locationId - Bin (optional)
+ * @param {string} params.lotNumber - Lot (optional)
+ * @param {string} params.expiryDate - YYYY-MM-DD; only needed for a new lot
+ * @param {Object} params.user - Requesting user (id, role)
+ * @returns {Promise<Object>} { success, adjustment, inventory? } or { success: false, statusCode, code?, message }
+ */
+exports.requestAdjustment = async ({
+  inventory,
+  quantity,
+  reasonCode,
+  note = null,
+  locationId = null,
+  lotNumber = null,
+  expiryDate = null,
+  user
+}) => {
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    return { success: false, statusCode: 400, message: 'Adjustment must be a non-zero whole number' };
+  }
+
+  const reasonCheck = await validateReason(reasonCode, quantity);
+  if (!reasonCheck.success) return reasonCheck;
+  const reason = reasonCheck.reason;
+
+  const lotInput = lotService.validateLotInput(lotNumber, expiryDate);
+  if (!lotInput.success) return lotInput;
+
+  if (quantity < 0 && inventory.available_stock + quantity < 0) {
+    return { success: false, statusCode: 400, message: 'Insufficient stock for this adjustment' };
+  }
+
+  const { data: product } = await supabaseAdmin
+    .from('products')
+    .select('unit_value')
+    .eq('id', inventory.product_id)
+    .single();
+
+  const value = product?.unit_value !== null && product?.unit_value !== undefined
+    ? round2(Math.abs(quantity) * parseFloat(product.unit_value))
+    : null;
+
+  const needsApproval = user.role !== 'admin' && (
+    reason.requires_approval ||
+    Math.abs(quantity) > APPROVAL_THRESHOLD_UNITS ||
+    (value !== null && value > APPROVAL_THRESHOLD_VALUE)
+  );
+
+  const { data: adjustment, error } = await supabaseAdmin
+    .from('inventory_adjustments')
+    .insert({
+      inventory_id: inventory.id,
+      client_id: inventory.client_id,
+      product_id: inventory.product_id,
+      warehouse_id: inventory.warehouse_id,
+      location_id: locationId,
+      lot_number: lotNumber,
+      expiry_date: expiryDate,
+      quantity,
+      reason_code: reason.code,
+      note,
+      value,
+      status: needsApproval ? 'pending_approval' : 'posting',
+      requested_by: user.id
+    })
+    .select()
+    .single();
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to record adjustment' };
+  }
+
+  if (needsApproval) {
+    return { success: true, adjustment };
+  }
+
+  const result = await postRecordedAdjustment(adjustment, user.id);
+  if (!result.success && !result.stockAdjusted) {
+    // ROLLBACK: Nothing was applied, so nothing is left in the history
+    await supabaseAdmin.from('inventory_adjustments').delete().eq('id', adjustment.id);
+    return result;
+  }
+
+  return result;
+};
+
+/**
+ * Load an adjustment waiting for approval
+ */
+const fetchPendingAdjustment = async (adjustmentId) => {
+  const { data: adjustment } = await supabaseAdmin
+    .from('inventory_adjustments')
+    .select('*')
+    .eq('id', adjustmentId)
+    .single();
+
+  if (!adjustment) {
+    return { success: false, statusCode: 404, message: 'Adjustment not found' };
+  }
+
+  if (adjustment.status !== 'pending_approval') {
+    return { success: false, statusCode: 400, message: `Adjustment is already ${adjustment.status}` };
+  }
+
+  return { success: true, adjustment };
+};
+
+/**
+ * Approve a queued adjustment and post it to stock
+ * If stock has moved since (e.g. the units are now reserved) the
+ * adjustment stays queued with the error.
+ * @param {Object} params
+ * @param {string} params.adjustmentId
+ * @param {string} params.userId - Approver
+ * @param {string} params.note
+ * @returns {Promise<Object>} { success, adjustment, inventory } or { success: false, statusCode, code?, message }
+ */
+exports.approveAdjustment = async ({ adjustmentId, userId, note = null }) => {
+  const pending = await fetchPendingAdjustment(adjustmentId);
+  if (!pending.success) return pending;
+
+  // Claim the adjustment first: a concurrent approval or rejection that got
+  // there first wins
+  const now = new Date().toISOString();
+  const { data: adjustment, error } = await supabaseAdmin
+    .from('inventory_adjustments')
+    .update({ status: 'posting', reviewed_by: userId, reviewed_at: now, review_note: note, updated_at: now })
+    .eq('id', adjustmentId)
+    .eq('status', 'pending_approval')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to approve adjustment' };
+  }
+
+  if (!adjustment) {
+    return { success: false, statusCode: 409, message: 'Adjustment is already being reviewed' };
+  }
+
+  const result = await postRecordedAdjustment(adjustment, userId);
+  if (!result.success && !result.stockAdjusted) {
+    // Back in the queue with the error, to be approved again or rejected
+    await supabaseAdmin
+      .from('inventory_adjustments')
+      .update({ status: 'pending_approval', post_error: result.message, updated_at: new Date().toISOString() })
+      .eq('id', adjustmentId)
+      .eq('status', 'posting');
+  }
+
+  return result;
+};
+
+/**
+ * Reject a queued adjustment (stock is left as it is)
+ * @param {Object} params
+ * @param {string} params.adjustmentId
+ * @param {string} params.userId
+ * @param {string} params.note
+ * @returns {Promise<Object>} { success, adjustment } or { success: false, statusCode, message }
+ */
+exports.rejectAdjustment = async ({ adjustmentId, userId, note = null }) => {
+  const pending = await fetchPendingAdjustment(adjustmentId);
+  if (!pending.success) return pending;
+
+  const now = new Date().toISOString();
+  const { data: adjustment, error } = await supabaseAdmin
+    .from('inventory_adjustments')
+    .update({
+      status: 'rejected',
+      reviewed_by: userId,
+      reviewed_at: now,
+      review_note: note,
+      updated_at: now
+    })
+    .eq('id', adjustmentId)
+    .eq('status', 'pending_approval')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to reject adjustment' };
+  }
+
+  if (!adjustment) {
+    return { success: false, statusCode: 409, message: 'Adjustment is already being reviewed' };
+  }
+
+  return { success: true, adjustment };
+};
+
+/**
+ * Record an adjustment another workflow already posted (cycle count
+ * variances), so it appears in the adjustment history
+ * @param {Object} params
+ * @param {string} params.inventoryId
+ * @param {number} params.quantity
+ * @param {string} params.locationId
+ * @param {string} params.reasonCode
+ * @param {string} params.note
+ * @param {string} params.referenceType
+ * @param {string} params.referenceId
+ * @param {string} params.userId
+ */
+exports.recordPostedAdjustment = async ({
+  inventoryId,
+  quantity,
+  locationId = null,
+  reasonCode,
+  note = null,
+  referenceType = null,
+  referenceId = null,
+  userId = null
+}) => {
+  const { data: inventory } = await supabaseAdmin
+    .from('inventory')
+    .select('id, client_id, product_id, warehouse_id')
+    .eq('id', inventoryId)
+    .single();
+
+  if (!inventory) return;
+
+  const now = new Date().toISOString();
+  const { error } = await supabaseAdmin
+    .from('inventory_adjustments')
+    .insert({
+      inventory_id: inventory.id,
+      client_id: inventory.client_id,
+      product_id: inventory.product_id,
+      warehouse_id: inventory.warehouse_id,
+      location_id: locationId,
+      quantity,
+      reason_code: reasonCode,
+      note,
+      status: 'posted',
+      reference_type: referenceType,
+      reference_id: referenceId,
+      requested_by: userId,
+      posted_at: now
+    });
+
+  if (error) {
+    // Stock is adjusted either way; the adjustment is still in inventory_audit
+    console.error(`Failed to record ${reasonCode} adjustment for inventory ${inventoryId}:`, error.message);
+  }
+};
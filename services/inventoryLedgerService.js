@@ -0,0 +1,213 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { fetchAllRows } = require('../utils/supabasePaging');
+
+/**
+ * Inventory Ledger Service
+ * Reads the stock ledger kept in inventory_audit. Every change to an
+ * inventory row's available / reserved / dispatched stock is an entry
+ * with the balances before and after it. Entries posted through
+ * adjust_inventory_stock carry their own action (adjustment,
+ * cycle_count); the rest are logged as 'update' and are classified here
+ * by which balances moved.
+ */
+
+const LEDGER_SELECT = `
+  *,
+  user_profiles:changed_by (
+    id,
+    name,
+    email
+  ),
+  orders:order_id (
+    id,
+    order_number
+  )
+`;
+
+const DEFAULT_LEDGER_LIMIT = 100;
+const MAX_LEDGER_LIMIT = 500;
+
+/**
+ * Movement type of a ledger entry
+ *   inbound      - units added to available stock
+ *   reservation  - available units reserved for an order
+ *   dispatch     - reserved units shipped
+ *   cancellation - reserved units released back to available
+ *   return       - shipped units returned (restocked or written off)
+ *   removal      - units taken out of available stock (transfer out, receipt reversed)
+ * @param {Object} entry - inventory_audit row
+ * @returns {string}
+ */
+exports.classifyMovement = (entry) => {
+  if (entry.action && entry.action !== 'update') return entry.action;
+
+  const available = (entry.available_after || 0) - (entry.available_before || 0);
+  const reserved = (entry.reserved_after || 0) - (entry.reserved_before || 0);
+  const dispatched = (entry.dispatched_after || 0) - (entry.dispatched_before || 0);
+
+  if (reserved > 0 && available < 0) return 'reservation';
+  if (dispatched > 0 && reserved < 0) return 'dispatch';
+  if (reserved < 0 && available > 0) return 'cancellation';
+  if (dispatched < 0) return 'return';
+  if (available > 0) return 'inbound';
+  if (available < 0) return 'removal';
+  return 'update';
+};
+
+/**
+ * Balances held in one set of ledger columns
+ */
+const balances = (available, reserved, dispatched) => ({
+  available: available || 0,
+  reserved: reserved || 0,
+  dispatched: dispatched || 0,
+  onHand: (available || 0) + (reserved || 0),
+  total: (available || 0) + (reserved || 0) + (dispatched || 0)
+});
+
+/**
+ * Format a ledger entry with the running balances after it
+ */
+const formatEntry = (entry) => ({
+  id: entry.id,
+  _id: entry.id,
+  sequence: entry.sequence_no,
+  date: entry.changed_at,
+  movement: exports.classifyMovement(entry),
+  action: entry.action,
+  change: {
+    available: (entry.available_after || 0) - (entry.available_before || 0),
+    reserved: (entry.reserved_after || 0) - (entry.reserved_before || 0),
+    dispatched: (entry.dispatched_after || 0) - (entry.dispatched_before || 0)
+  },
+  balance: balances(entry.available_after, entry.reserved_after, entry.dispatched_after),
+  reasonCode: entry.reason_code || null,
+  referenceType: entry.reference_type || null,
+  referenceId: entry.reference_id || null,
+  note: entry.note || null,
+  order: entry.orders ? {
+    _id: entry.orders.id,
+    orderNumber: entry.orders.order_number
+  } : entry.order_id,
+  changedBy: entry.user_profiles ? {
+    _id: entry.user_profiles.id,
+    name: entry.user_profiles.name,
+    email: entry.user_profiles.email
+  } : entry.changed_by
+});
+
+/**
+ * Ledger of one inventory row, oldest entry first
+ * @param {Object} params
+ * @param {Object} params.inventory - inventory row
+ * @param {string} params.startDate - Only entries on or after (optional)
+ * @param {string} params.endDate - Only entries on or before (optional)
+ * @param {number} params.page
+ * @param {number} params.limit
+ * @returns {Promise<Object>} { success, current, opening, closing, entries, pagination } or { success: false, statusCode, message }
+ */
+exports.getLedger = async ({ inventory, startDate, endDate, page = 1, limit = DEFAULT_LEDGER_LIMIT }) => {
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || DEFAULT_LEDGER_LIMIT, 1), MAX_LEDGER_LIMIT);
+  const from = (pageNum - 1) * limitNum;
+  const to = from + limitNum - 1;
+
+  let query = supabaseAdmin
+    .from('inventory_audit')
+    .select(LEDGER_SELECT, { count: 'exact' })
+    .eq('inventory_id', inventory.id)
+    .order('sequence_no', { ascending: true })
+    .range(from, to);
+
+  if (startDate) {
+    query = query.gte('changed_at', startDate);
+  }
+
+  if (endDate) {
+    query = query.lte('changed_at', endDate);
+  }
+
+  const { data: entries, error, count } = await query;
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to fetch inventory ledger' };
+  }
+
+  const rows = entries || [];
+  const current = balances(inventory.available_stock, inventory.reserved_stock, inventory.dispatched_stock);
+
+  // Opening / closing balances of this page; without entries stock has not moved in the range
+  const opening = rows.length > 0
+    ? balances(rows[0].available_before, rows[0].reserved_before, rows[0].dispatched_before)
+    : null;
+  const closing = rows.length > 0
+    ? balances(rows[rows.length - 1].available_after, rows[rows.length - 1].reserved_after, rows[rows.length - 1].dispatched_after)
+    : null;
+
+  return {
+    success: true,
+    current,
+    opening,
+    closing,
+    entries: rows.map(formatEntry),
+    pagination: {
+      total: count || 0,
+      page: pageNum,
+      pages: Math.ceil((count || 0) / limitNum)
+    }
+  };
+};
+
+/**
+ * Stock of every inventory row at a past moment, with per-client totals
+ * The function's rows are read page by page so month-end totals cover every row.
+ * @param {Object} params
+ * @param {string} params.asOf - ISO timestamp
+ * @param {string} params.clientId (optional)
+ * @param {string} params.warehouseId (optional)
+ * @param {string} params.productId (optional)
+ * @returns {Promise<Object>} { success, items, clients } or { success: false, statusCode, message }
+ */
+exports.getStockAsOf = async ({ asOf, clientId = null, warehouseId = null, productId = null }) => {
+  const { data: rows, error } = await fetchAllRows(() => supabaseAdmin.rpc('inventory_stock_as_of', {
+    p_as_of: asOf,
+    p_client_id: clientId,
+    p_warehouse_id: warehouseId,
+    p_product_id: productId
+  }));
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to rebuild stock' };
+  }
+
+  const items = (rows || []).map(row => ({
+    inventoryId: row.inventory_id,
+    clientId: { _id: row.client_id, companyName: row.client_name },
+    productId: { _id: row.product_id, name: row.product_name, sku: row.product_sku },
+    warehouseId: row.warehouse_id ? { _id: row.warehouse_id, code: row.warehouse_code, name: row.warehouse_name } : null,
+    availableStock: row.available_stock,
+    reservedStock: row.reserved_stock,
+    dispatchedStock: row.dispatched_stock,
+    onHand: row.available_stock + row.reserved_stock
+  }));
+
+  const clients = {};
+  items.forEach(item => {
+    const key = item.clientId._id;
+    if (!clients[key]) {
+      clients[key] = {
+        clientId: item.clientId,
+        skus: 0,
+        availableStock: 0,
+        reservedStock: 0,
+        onHand: 0
+      };
+    }
+    if (item.onHand > 0) clients[key].skus += 1;
+    clients[key].availableStock += item.availableStock;
+    clients[key].reservedStock += item.reservedStock;
+    clients[key].onHand += item.onHand;
+  });
+
+  return { success: true, items, clients: Object.values(clients) };
+};
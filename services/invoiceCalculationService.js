@@ -1,3 +1,5 @@
+const { calculateOrderCharge, DEFAULT_RATE_CARD } = require('./pricingEngine');
+
 /**
  * Backend Invoice Calculation Service
  * Server-side calculation engine for invoice generation
@@ -100,7 +102,7 @@ const calculateInvoice = (data) => {
 
 /**
  * Calculate fulfillment invoice
- * Formula: $2.50 + (number_of_units - 1) × $1.25 per order
+ * Priced with the given rate card (see services/pricingEngine.js)
  * Note: This is a simplified calculation. Actual implementation in controller
  * fetches order_items to calculate units per order.
  */
@@ -108,19 +110,16 @@ const calculateFulfillmentInvoice = (data) => {
   const {
     totalOrders = 0,
     totalUnits = 0,
-    advancePaid = 0
+    advancePaid = 0,
+    rateCard = DEFAULT_RATE_CARD
   } = data;
 
-  // Pricing formula: $2.50 + (number_of_units - 1) × $1.25 per order
-  const BASE_RATE = 2.50;
-  const ADDITIONAL_UNIT_RATE = 1.25;
-
   const lineItems = [];
 
   if (totalOrders > 0 && totalUnits > 0) {
     // For calculation service, we need average units per order
     const avgUnitsPerOrder = totalUnits / totalOrders;
-    const chargePerOrder = BASE_RATE + ((avgUnitsPerOrder - 1) * ADDITIONAL_UNIT_RATE);
+    const chargePerOrder = calculateOrderCharge(rateCard, { units: avgUnitsPerOrder }).total;
     const totalAmount = Number((totalOrders * chargePerOrder).toFixed(2));
     
     lineItems.push({
@@ -141,7 +140,7 @@ const calculateFulfillmentInvoice = (data) => {
 
 /**
  * Calculate monthly invoice
- * Formula: $2.50 + (number_of_units - 1) × $1.25 per order
+ * Priced with the given rate card (see services/pricingEngine.js)
  * Note: This is a simplified calculation. Actual implementation in controller
  * fetches order_items to calculate units per order.
  */
@@ -149,19 +148,16 @@ const calculateMonthlyInvoice = (data) => {
   const {
     totalOrders = 0,
     totalUnits = 0,
-    advancePaid = 0
+    advancePaid = 0,
+    rateCard = DEFAULT_RATE_CARD
   } = data;
 
-  // Pricing formula: $2.50 + (number_of_units - 1) × $1.25 per order
-  const BASE_RATE = 2.50;
-  const ADDITIONAL_UNIT_RATE = 1.25;
-
   const lineItems = [];
 
   if (totalOrders > 0 && totalUnits > 0) {
     // For calculation service, we need average units per order
     const avgUnitsPerOrder = totalUnits / totalOrders;
-    const chargePerOrder = BASE_RATE + ((avgUnitsPerOrder - 1) * ADDITIONAL_UNIT_RATE);
+    const chargePerOrder = calculateOrderCharge(rateCard, { units: avgUnitsPerOrder }).total;
     const totalAmount = Number((totalOrders * chargePerOrder).toFixed(2));
     
     lineItems.push({
@@ -1,4 +1,7 @@
 const supabaseAdmin = require('../config/supabaseAdmin');
+const pricingEngine = require('./pricingEngine');
+const storageBillingService = require('./storageBillingService');
+const receivingBillingService = require('./receivingBillingService');
 
 /**
  * Reusable Invoice Generation Service
@@ -40,28 +43,32 @@ exports.generateMonthlyInvoice = async (clientId, month, year, userId, isDraft =
       };
     }
 
-    // Fetch billable orders using fulfillment dates (dispatched_at or delivered_at)
-    // This ensures we bill based on when service was completed, not when order was created
-    const { data: allOrders } = await supabaseAdmin
+    // Fetch billable orders by dispatch date, not when the order was created.
+    // Orders already on an invoice are skipped: an order dispatched in one month
+    // and delivered in the next is billed once, in its dispatch month
+    const { data: billableOrders, error: ordersError } = await supabaseAdmin
       .from('orders')
       .select('*')
       .eq('client_id', clientId)
-      .in('status', ['delivered', 'dispatched']);
+      .in('status', ['delivered', 'dispatched'])
+      .is('invoice_id', null)
+      .gte('dispatched_at', startDate)
+      .lte('dispatched_at', endDate);
 
-    // Filter orders by fulfillment date within billing period
-    const orders = (allOrders || []).filter(order => {
-      const fulfillmentDate = order.delivered_at || order.dispatched_at;
-      if (!fulfillmentDate) return false;
-      
-      const fulfillmentTimestamp = new Date(fulfillmentDate).getTime();
-      const startTimestamp = new Date(startDate).getTime();
-      const endTimestamp = new Date(endDate).getTime();
-      
-      return fulfillmentTimestamp >= startTimestamp && fulfillmentTimestamp <= endTimestamp;
-    });
+    if (ordersError) {
+      throw new Error(`Failed to fetch billable orders: ${ordersError.message}`);
+    }
+
+    const orders = billableOrders || [];
+
+    // Orders and storage are priced with the client's rate card effective on the service date
+    const pricer = await pricingEngine.createPricer(clientId);
+    const storageLineItem = await storageBillingService.getStorageLineItem(clientId, month, year, pricer);
+    const receiving = await receivingBillingService.getReceivingCharges(clientId, startDate, endDate, pricer);
+    const serviceLineItems = [storageLineItem, ...receiving.lineItems].filter(Boolean);
 
-    // If no billable orders, skip invoice generation
-    if (!orders || orders.length === 0) {
+    // If nothing to bill, skip invoice generation
+    if (orders.length === 0 && serviceLineItems.length === 0) {
       return {
         success: false,
         skipped: true,
@@ -70,9 +77,6 @@ exports.generateMonthlyInvoice = async (clientId, month, year, userId, isDraft =
       };
     }
 
-    // Pricing constants
-    const BASE_RATE = 2.50;
-    const ADDITIONAL_UNIT_RATE = 1.25;
     let totalAmount = 0;
     let totalUnits = 0;
     const orderCharges = [];
@@ -100,8 +104,7 @@ exports.generateMonthlyInvoice = async (clientId, month, year, userId, isDraft =
       }, 0);
 
       if (orderUnits > 0) {
-        // Apply pricing formula: $2.50 + (units - 1) × $1.25
-        const orderCharge = BASE_RATE + ((orderUnits - 1) * ADDITIONAL_UNIT_RATE);
+        const { total: orderCharge, rateCardId } = pricer.priceOrder(order, orderUnits);
         totalAmount += orderCharge;
         totalUnits += orderUnits;
         
@@ -111,7 +114,7 @@ exports.generateMonthlyInvoice = async (clientId, month, year, userId, isDraft =
             sku: item.products?.sku || 'N/A',
             productName: item.products?.name || 'Unknown Product',
             orderNumber: order.order_number,
-            orderDate: order.delivered_at || order.dispatched_at || order.created_at,
+            orderDate: order.dispatched_at || order.created_at,
             quantity: parseInt(item.quantity) || 0,
             unit: 'ORD',
             rate: Number((orderCharge / orderUnits).toFixed(2)),
@@ -122,13 +125,14 @@ exports.generateMonthlyInvoice = async (clientId, month, year, userId, isDraft =
         orderCharges.push({
           orderNumber: order.order_number,
           units: orderUnits,
-          charge: Number(orderCharge.toFixed(2))
+          charge: Number(orderCharge.toFixed(2)),
+          rateCardId
         });
       }
     }
 
     // Final validation
-    if (totalAmount === 0) {
+    if (totalAmount === 0 && serviceLineItems.length === 0) {
       return {
         success: false,
         skipped: true,
@@ -144,7 +148,8 @@ exports.generateMonthlyInvoice = async (clientId, month, year, userId, isDraft =
       unitPrice: Number((orderCharge.charge / orderCharge.units).toFixed(2)),
       amount: orderCharge.charge,
       orderNumber: orderCharge.orderNumber,
-      orderUnits: orderCharge.units
+      orderUnits: orderCharge.units,
+      rateCardId: orderCharge.rateCardId
     }));
 
     // Attach detailed breakdown for PDF generation
@@ -152,6 +157,10 @@ exports.generateMonthlyInvoice = async (clientId, month, year, userId, isDraft =
       lineItems[0].detailedBreakdown = detailedLineItems;
     }
 
+    // Storage from nightly inventory snapshots, receiving itemized per inbound log
+    lineItems.push(...serviceLineItems);
+    totalAmount += serviceLineItems.reduce((sum, item) => sum + item.amount, 0);
+
     // Calculate totals (no tax)
     const subtotal = Number(totalAmount.toFixed(2));
     const taxAmount = 0;
@@ -212,7 +221,7 @@ exports.generateMonthlyInvoice = async (clientId, month, year, userId, isDraft =
       // Draft invoices do NOT lock orders (allows corrections before sending)
       // Orders become locked only when invoice status is 'sent', 'partial', or 'paid'
       const orderIds = orders.map(o => o.id);
-      const { error: lockError } = await supabaseAdmin
+      const { error: lockError } = orderIds.length === 0 ? {} : await supabaseAdmin
         .from('orders')
         .update({ 
           invoice_id: invoice.id,  // UUID foreign key (immutable)
@@ -231,6 +240,12 @@ exports.generateMonthlyInvoice = async (clientId, month, year, userId, isDraft =
         throw new Error(`Transaction failed: Could not link orders to invoice. ${lockError.message}`);
       }
 
+      // Step 2b: Link billed inbound logs (locked the same way as orders)
+      const inboundLinkResult = await receivingBillingService.linkInboundLogs(receiving.inboundLogIds, invoice);
+      if (!inboundLinkResult.success) {
+        throw new Error(`Transaction failed: ${inboundLinkResult.message}`);
+      }
+
       // Step 3: Create audit trail for order locking
       const lockAuditRecords = orderIds.map(orderId => ({
         order_id: orderId,
@@ -239,9 +254,11 @@ exports.generateMonthlyInvoice = async (clientId, month, year, userId, isDraft =
         invoice_status: invoice.status
       }));
 
-      await supabaseAdmin
-        .from('order_lock_audit')
-        .insert(lockAuditRecords);
+      if (lockAuditRecords.length > 0) {
+        await supabaseAdmin
+          .from('order_lock_audit')
+          .insert(lockAuditRecords);
+      }
 
       const lockStatus = invoice.status === 'draft' 
         ? 'linked (editable until sent)' 
@@ -269,8 +286,10 @@ exports.generateMonthlyInvoice = async (clientId, month, year, userId, isDraft =
       stats: {
         orderCount: orders.length,
         totalUnits: totalUnits,
+        storageAmount: storageLineItem ? storageLineItem.amount : 0,
+        receivingAmount: receiving.totalAmount,
         totalAmount: finalTotalAmount,
-        ordersLocked: !lockError
+        ordersLocked: true
       }
     };
 
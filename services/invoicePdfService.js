@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QRCode = require('qrcode');
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { normalizeInvoiceState } = require('../utils/invoiceStateValidator');
+const pdfService = require('./pdfService');
+
+/**
+ * Invoice PDF Service
+ * Renders invoices from the database record (line items, client billing
+ * details, payment history) instead of relying on uploaded files.
+ * Rendered files are cached on disk, keyed by a fingerprint of everything
+ * printed on the document, so a PDF is only rebuilt after the invoice changes.
+ */
+
+// os.tmpdir() by default: serverless deployments only allow writes there
+const CACHE_DIR = process.env.INVOICE_PDF_CACHE_DIR || path.join(os.tmpdir(), 'max2pay-invoice-pdfs');
+
+/**
+ * Portal link encoded in the QR code (CLIENT_URL may be comma-separated)
+ */
+const getPortalUrl = (invoiceId) => {
+  const baseUrl = (process.env.CLIENT_URL || 'https://lemon-smoke-0bf242700.2.azurestaticapps.net')
+    .split(',')[0]
+    .trim()
+    .replace(/\/$/, '');
+
+  return `${baseUrl}/invoices/${invoiceId}`;
+};
+
+/**
+ * line_items is JSONB but some generators stored it as a JSON string
+ */
+const parseLineItems = (lineItems) => {
+  if (Array.isArray(lineItems)) return lineItems;
+  if (typeof lineItems === 'string') {
+    try {
+      const parsed = JSON.parse(lineItems);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+      return [];
+    }
+  }
+  return [];
+};
+
+/**
+ * Hash of every value that ends up on the PDF
+ */
+const getFingerprint = (invoice, payments) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({
+    invoice: { ...invoice, clients: undefined },
+    client: invoice.clients,
+    payments: payments.map(p => [p.id, p.amount, p.payment_date, p.payment_method, p.reference_number]),
+    portalUrl: getPortalUrl(invoice.id)
+  }))
+  .digest('hex')
+  .slice(0, 16);
+
+/**
+ * Read a cached PDF; returns null on a miss
+ */
+const readCache = async (filePath) => {
+  try {
+    return await fs.promises.readFile(filePath);
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Store a rendered PDF and drop older versions of the same invoice.
+ * Cache failures are logged and never fail the download.
+ */
+const writeCache = async (invoiceId, filePath, buffer) => {
+  try {
+    await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    const files = await fs.promises.readdir(CACHE_DIR);
+    await Promise.all(files
+      .filter(file => file.startsWith(`${invoiceId}-`) && path.join(CACHE_DIR, file) !== filePath)
+      .map(file => fs.promises.unlink(path.join(CACHE_DIR, file)).catch(() => {})));
+  } catch (err) {
+    console.error('Failed to cache invoice PDF:', err.message);
+  }
+};
+
+/**
+ * Draw the invoice
+ */
+const buildInvoicePdf = async (invoice, payments) => {
+  const { formatCurrency, formatDate } = pdfService;
+  const client = invoice.clients || {};
+  const normalized = normalizeInvoiceState(invoice);
+  // Payment-derived status, except for states payments can't produce
+  const status = ['draft', 'void', 'overdue'].includes(invoice.status) && normalized.status !== 'paid'
+    ? invoice.status
+    : normalized.status;
+  const qrCode = await QRCode.toBuffer(getPortalUrl(invoice.id), { margin: 1, width: 160 });
+
+  const meta = [
+    ['Invoice #', invoice.invoice_number],
+    ['Date', formatDate(invoice.created_at)],
+    ['Due Date', formatDate(invoice.due_date)],
+    ['Status', status.toUpperCase()]
+  ];
+  if (invoice.billing_period_start_date && invoice.billing_period_end_date) {
+    meta.push(['Period', `${formatDate(invoice.billing_period_start_date)} - ${formatDate(invoice.billing_period_end_date)}`]);
+  }
+
+  return pdfService.renderPdf(doc => {
+    pdfService.drawHeader(doc, {
+      title: status === 'void' ? 'INVOICE (VOID)' : 'INVOICE',
+      meta
+    });
+
+    const blockTop = doc.y;
+    const clientBottom = pdfService.drawTextBlock(doc, 'BILL TO', [
+      client.company_name,
+      client.contact_person,
+      client.address_street,
+      [client.address_city, client.address_state, client.address_zip_code].filter(Boolean).join(', '),
+      client.address_country,
+      client.email,
+      client.tax_id ? `Tax ID: ${client.tax_id}` : null
+    ], { y: blockTop });
+
+    // QR code linking to the invoice in the client portal
+    const qrSize = 80;
+    const qrX = doc.page.width - pdfService.PAGE_MARGIN - qrSize;
+    doc.image(qrCode, qrX, blockTop, { width: qrSize });
+    doc.font('Helvetica').fontSize(7).fillColor('#777777')
+      .text('View online', qrX, blockTop + qrSize + 2, { width: qrSize, align: 'center' });
+
+    doc.y = Math.max(clientBottom, blockTop + qrSize + 12) + 20;
+
+    const lineItems = parseLineItems(invoice.line_items);
+    const rows = lineItems.length > 0
+      ? lineItems.map(item => {
+        const unitPrice = item.unitPrice ?? item.unit_price;
+        return {
+          description: item.orderNumber && !String(item.description || '').includes(item.orderNumber)
+            ? `${item.description} (${item.orderNumber})`
+            : item.description,
+          quantity: item.quantity ?? '',
+          unitPrice: unitPrice !== undefined && unitPrice !== null ? formatCurrency(unitPrice) : '',
+          amount: formatCurrency(item.amount ?? item.total ?? 0)
+        };
+      })
+      : [{
+        description: invoice.notes || `${(invoice.type || 'service').replace(/_/g, ' ')} charges`,
+        quantity: invoice.order_count || '',
+        unitPrice: invoice.rate_per_order ? formatCurrency(invoice.rate_per_order) : '',
+        amount: formatCurrency(invoice.subtotal || invoice.amount)
+      }];
+
+    pdfService.drawTable(doc, [
+      { header: 'Description', key: 'description', width: 292 },
+      { header: 'Qty', key: 'quantity', width: 50, align: 'right' },
+      { header: 'Unit Price', key: 'unitPrice', width: 80, align: 'right' },
+      { header: 'Amount', key: 'amount', width: 90, align: 'right' }
+    ], rows);
+
+    const taxRate = parseFloat(invoice.tax_rate || 0);
+    const credits = parseFloat(invoice.credit_notes_applied || 0);
+    const totals = [
+      ['Subtotal', formatCurrency(invoice.subtotal || invoice.amount)],
+      [taxRate > 0 ? `Tax (${taxRate}%)` : 'Tax', formatCurrency(invoice.tax_amount)],
+      ['Total', formatCurrency(invoice.total_amount), { bold: true }]
+    ];
+    if (credits > 0) {
+      totals.push(['Credits Applied', formatCurrency(-credits)]);
+    }
+    totals.push(['Paid', formatCurrency(-parseFloat(invoice.paid_amount || 0))]);
+    totals.push(['Balance Due', formatCurrency(normalized.balance_due), { bold: true }]);
+    pdfService.drawTotals(doc, totals);
+
+    if (payments.length > 0) {
+      doc.moveDown(1);
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#111111').text('Payment History', pdfService.PAGE_MARGIN);
+      doc.moveDown(0.3);
+      pdfService.drawTable(doc, [
+        { header: 'Date', key: 'date', width: 110 },
+        { header: 'Method', key: 'method', width: 130 },
+        { header: 'Reference', key: 'reference', width: 172 },
+        { header: 'Amount', key: 'amount', width: 100, align: 'right' }
+      ], payments.map(p => ({
+        date: formatDate(p.payment_date),
+        method: p.payment_method ? p.payment_method.replace(/_/g, ' ') : '-',
+        reference: p.reference_number || '-',
+        amount: formatCurrency(p.amount)
+      })));
+    }
+
+    pdfService.drawFooter(doc, `Invoice ${invoice.invoice_number} · Thank you for your business`);
+  });
+};
+
+/**
+ * Get the PDF for an invoice, rendering it only when the cached copy is stale
+ * @param {string} invoiceId
+ * @returns {Promise<{buffer: Buffer, invoice: Object, cached: boolean}|null>} null if the invoice doesn't exist
+ */
+exports.getInvoicePdf = async (invoiceId) => {
+  const { data: invoice } = await supabaseAdmin
+    .from('invoices')
+    .select(`
+      *,
+      clients:client_id (
+        company_name,
+        contact_person,
+        email,
+        address_street,
+        address_city,
+        address_state,
+        address_zip_code,
+        address_country,
+        tax_id
+      )
+    `)
+    .eq('id', invoiceId)
+    .maybeSingle();
+
+  if (!invoice) return null;
+
+  const { data: payments } = await supabaseAdmin
+    .from('invoice_payments')
+    .select('id, amount, payment_date, payment_method, reference_number')
+    .eq('invoice_id', invoiceId)
+    .order('payment_date', { ascending: true });
+
+  const paymentList = payments || [];
+  const filePath = path.join(CACHE_DIR, `${invoice.id}-${getFingerprint(invoice, paymentList)}.pdf`);
+
+  const cached = await readCache(filePath);
+  if (cached) {
+    return { buffer: cached, invoice, cached: true };
+  }
+
+  const buffer = await buildInvoicePdf(invoice, paymentList);
+  await writeCache(invoice.id, filePath, buffer);
+
+  return { buffer, invoice, cached: false };
+};
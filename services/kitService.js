@@ -0,0 +1,423 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const locationService = require('./locationService');
+const warehouseService = require('./warehouseService');
+
+/**
+ * Kit Service
+ * Kits are products made of other products (bill of materials in
+ * product_components). An order line for a kit is served from assembled
+ * kit stock when a warehouse holds enough; otherwise it is built to order
+ * and written as its component lines, which are reserved, picked, shipped
+ * and cancelled like any other line. Kit work orders assemble kits ahead
+ * of demand (complete_kit_work_order).
+ */
+
+const COMPONENT_SELECT = `
+  kit_product_id,
+  component_product_id,
+  quantity,
+  products:component_product_id (
+    id,
+    name,
+    sku,
+    weight_value,
+    weight_unit,
+    is_active
+  )
+`;
+
+/**
+ * Format a product_components row
+ */
+const formatComponent = (row) => ({
+  productId: row.component_product_id,
+  name: row.products?.name || null,
+  sku: row.products?.sku || null,
+  quantity: row.quantity,
+  weightValue: row.products?.weight_value !== null && row.products?.weight_value !== undefined
+    ? parseFloat(row.products.weight_value)
+    : null,
+  weightUnit: row.products?.weight_unit || null
+});
+
+/**
+ * Bill of materials of kits
+ * @param {Object} params
+ * @param {Array} params.kitProductIds - Limit to these products (optional)
+ * @param {string} params.clientId - Limit to one client's kits (optional)
+ * @returns {Promise<Object>} kitProductId → [{ productId, name, sku, quantity, weightValue, weightUnit }]
+ */
+exports.getComponents = async ({ kitProductIds = null, clientId = null } = {}) => {
+  if (kitProductIds && kitProductIds.length === 0) return {};
+
+  let query = supabaseAdmin
+    .from('product_components')
+    .select(clientId ? `${COMPONENT_SELECT}, kit:kit_product_id!inner ( client_id )` : COMPONENT_SELECT)
+    .order('created_at', { ascending: true });
+
+  if (kitProductIds) {
+    query = query.in('kit_product_id', kitProductIds);
+  }
+
+  if (clientId) {
+    query = query.eq('kit.client_id', clientId);
+  }
+
+  const { data: rows, error } = await query;
+
+  if (error) {
+    throw new Error(error.message || 'Failed to fetch kit components');
+  }
+
+  const kits = {};
+  (rows || []).forEach(row => {
+    if (!kits[row.kit_product_id]) kits[row.kit_product_id] = [];
+    kits[row.kit_product_id].push(formatComponent(row));
+  });
+
+  return kits;
+};
+
+/**
+ * Whole kits that can be built from the components available
+ * @param {Array} components - [{ productId, quantity }]
+ * @param {Object} available - productId → units available
+ * @returns {number}
+ */
+exports.buildableUnits = (components, available) => {
+  if (!components || components.length === 0) return 0;
+
+  return Math.max(0, Math.min(...components.map(component =>
+    Math.floor((available[component.productId] || 0) / component.quantity)
+  )));
+};
+
+/**
+ * Sellable stock (available less unreserved units of expired lots) per warehouse
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {Array} params.productIds
+ * @param {string} params.warehouseId - Only this warehouse (optional)
+ * @returns {Promise<Object>} warehouseId → productId → units
+ */
+const getSellableStock = async ({ clientId, productIds, warehouseId = null }) => {
+  if (productIds.length === 0) return {};
+
+  let query = supabaseAdmin
+    .from('inventory')
+    .select('warehouse_id, product_id, available_stock, inventory_lots ( quantity, reserved_quantity, expiry_date )')
+    .eq('client_id', clientId)
+    .in('product_id', productIds);
+
+  if (warehouseId) {
+    query = query.eq('warehouse_id', warehouseId);
+  }
+
+  const { data: rows } = await query;
+  const today = new Date().toISOString().split('T')[0];
+
+  const stock = {};
+  (rows || []).forEach(row => {
+    const expired = (row.inventory_lots || [])
+      .filter(lot => lot.expiry_date && lot.expiry_date < today)
+      .reduce((sum, lot) => sum + (lot.quantity - lot.reserved_quantity), 0);
+
+    if (!stock[row.warehouse_id]) stock[row.warehouse_id] = {};
+    stock[row.warehouse_id][row.product_id] = Math.max((row.available_stock || 0) - expired, 0);
+  });
+
+  return stock;
+};
+
+/**
+ * Replace kit lines that cannot be served from assembled stock with their component lines
+ * A kit stays one line when some warehouse (or the requested one) holds
+ * enough assembled kits for every line of that kit on the order.
+ * Component lines carry the kit they belong to and are priced 0; the
+ * kit's price is kept in kitUnitPrice.
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {Array} params.items - [{ productId, quantity, unitPrice }]
+ * @param {string} params.warehouseId - Ship from this warehouse (optional)
+ * @returns {Promise<Array>} [{ productId, quantity, unitPrice, kitProductId?, kitQuantity?, kitUnitPrice? }]
+ */
+exports.expandOrderItems = async ({ clientId, items, warehouseId = null }) => {
+  const kits = await exports.getComponents({ kitProductIds: [...new Set(items.map(item => item.productId))] });
+  const kitIds = Object.keys(kits);
+
+  if (kitIds.length === 0) return items;
+
+  const requested = {};
+  items.filter(item => kits[item.productId]).forEach(item => {
+    requested[item.productId] = (requested[item.productId] || 0) + parseInt(item.quantity);
+  });
+
+  const stock = await getSellableStock({ clientId, productIds: kitIds, warehouseId });
+  const fromStock = new Set(kitIds.filter(kitId =>
+    Object.values(stock).some(warehouse => (warehouse[kitId] || 0) >= requested[kitId])
+  ));
+
+  return items.flatMap(item => {
+    const components = kits[item.productId];
+    if (!components || fromStock.has(item.productId)) return [item];
+
+    const quantity = parseInt(item.quantity);
+    return components.map(component => ({
+      productId: component.productId,
+      quantity: component.quantity * quantity,
+      unitPrice: 0,
+      kitProductId: item.productId,
+      kitQuantity: quantity,
+      kitUnitPrice: item.unitPrice || 0
+    }));
+  });
+};
+
+/**
+ * Assembled and buildable kits per warehouse
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} params.kitProductId
+ * @param {Array} params.components - Bill of materials (from getComponents)
+ * @param {string} params.warehouseId - Only this warehouse (optional)
+ * @returns {Promise<Array>} [{ warehouseId, assembled, buildable, available }]
+ */
+exports.getKitAvailability = async ({ clientId, kitProductId, components, warehouseId = null }) => {
+  const stock = await getSellableStock({
+    clientId,
+    productIds: [kitProductId, ...components.map(component => component.productId)],
+    warehouseId
+  });
+
+  return Object.entries(stock).map(([id, available]) => {
+    const assembled = available[kitProductId] || 0;
+    const buildable = exports.buildableUnits(components, available);
+    return { warehouseId: id, assembled, buildable, available: assembled + buildable };
+  });
+};
+
+/**
+ * Replace a kit's bill of materials
+ * Components must be other, non-kit products of the kit's client, each
+ * listed once; a product that is itself a component cannot become a kit.
+ * Saving an empty list turns the product back into a plain product.
+ * @param {Object} params
+ * @param {Object} params.product - products row of the kit
+ * @param {Array} params.components - [{ productId, quantity }]
+ * @returns {Promise<Object>} { success, components } or { success: false, statusCode, message }
+ */
+exports.setComponents = async ({ product, components }) => {
+  const productIds = components.map(component => component.productId);
+
+  if (new Set(productIds).size !== productIds.length) {
+    return { success: false, statusCode: 400, message: 'Each product can only appear once in a kit' };
+  }
+
+  if (productIds.includes(product.id)) {
+    return { success: false, statusCode: 400, message: 'A kit cannot contain itself' };
+  }
+
+  if (components.length > 0) {
+    const { count: usedIn } = await supabaseAdmin
+      .from('product_components')
+      .select('id', { count: 'exact', head: true })
+      .eq('component_product_id', product.id);
+
+    if (usedIn > 0) {
+      return { success: false, statusCode: 400, message: `${product.sku} is a component of another kit and cannot be a kit itself` };
+    }
+
+    const { data: products } = await supabaseAdmin
+      .from('products')
+      .select('id, sku, client_id, is_kit')
+      .in('id', productIds);
+
+    for (const productId of productIds) {
+      const component = (products || []).find(p => p.id === productId);
+
+      if (!component || component.client_id !== product.client_id) {
+        return { success: false, statusCode: 400, message: `Product ${productId} not found for this client` };
+      }
+
+      if (component.is_kit) {
+        return { success: false, statusCode: 400, message: `${component.sku} is a kit and cannot be a component` };
+      }
+    }
+  }
+
+  const { error: deleteError } = await supabaseAdmin
+    .from('product_components')
+    .delete()
+    .eq('kit_product_id', product.id);
+
+  if (deleteError) {
+    return { success: false, statusCode: 400, message: deleteError.message || 'Failed to update kit components' };
+  }
+
+  if (components.length > 0) {
+    const { error } = await supabaseAdmin
+      .from('product_components')
+      .insert(components.map(component => ({
+        kit_product_id: product.id,
+        component_product_id: component.productId,
+        quantity: parseInt(component.quantity)
+      })));
+
+    if (error) {
+      return { success: false, statusCode: 400, message: error.message || 'Failed to update kit components' };
+    }
+  }
+
+  await supabaseAdmin
+    .from('products')
+    .update({ is_kit: components.length > 0, updated_at: new Date().toISOString() })
+    .eq('id', product.id);
+
+  const kits = await exports.getComponents({ kitProductIds: [product.id] });
+  return { success: true, components: kits[product.id] || [] };
+};
+
+/**
+ * Create a work order to assemble kits
+ * Components must be available in the warehouse now; completing re-checks under lock.
+ * @param {Object} params
+ * @param {string} params.kitProductId
+ * @param {string} params.warehouseId - Defaults to the default warehouse
+ * @param {number} params.quantity - Kits to assemble
+ * @param {string} params.storageLocation - Optional bin code to put the kits away into
+ * @param {string} params.notes
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, workOrder } or { success: false, statusCode, code?, message }
+ */
+exports.createWorkOrder = async ({ kitProductId, warehouseId = null, quantity, storageLocation = null, notes = null, userId }) => {
+  const { data: kit } = await supabaseAdmin
+    .from('products')
+    .select('id, sku, client_id, is_kit')
+    .eq('id', kitProductId)
+    .maybeSingle();
+
+  if (!kit) {
+    return { success: false, statusCode: 404, message: 'Product not found' };
+  }
+
+  const kits = await exports.getComponents({ kitProductIds: [kit.id] });
+  const components = kits[kit.id];
+
+  if (!kit.is_kit || !components) {
+    return { success: false, statusCode: 400, message: `${kit.sku} is not a kit` };
+  }
+
+  const resolved = await warehouseService.resolveWarehouse(warehouseId);
+  if (!resolved.success) return resolved;
+  const warehouse = resolved.warehouse;
+
+  let bin = null;
+  if (storageLocation) {
+    bin = await locationService.findBinByCode(storageLocation);
+
+    if (!bin || bin.warehouse_id !== warehouse.id) {
+      return { success: false, statusCode: 400, message: `${storageLocation} is not a bin in warehouse ${warehouse.code}` };
+    }
+
+    const capacity = await locationService.checkBinCapacity(bin, parseInt(quantity));
+    if (!capacity.success) return capacity;
+  }
+
+  const units = parseInt(quantity);
+  const stock = await getSellableStock({
+    clientId: kit.client_id,
+    productIds: components.map(component => component.productId),
+    warehouseId: warehouse.id
+  });
+  const available = stock[warehouse.id] || {};
+
+  for (const component of components) {
+    const needed = component.quantity * units;
+    if ((available[component.productId] || 0) < needed) {
+      return {
+        success: false,
+        statusCode: 400,
+        code: 'INSUFFICIENT_STOCK',
+        message: `Only ${available[component.productId] || 0} units of ${component.sku || component.productId} available in ${warehouse.code} (${needed} needed)`
+      };
+    }
+  }
+
+  const { data: workOrder, error } = await supabaseAdmin
+    .from('kit_work_orders')
+    .insert({
+      client_id: kit.client_id,
+      warehouse_id: warehouse.id,
+      kit_product_id: kit.id,
+      quantity: units,
+      location_id: bin ? bin.id : null,
+      notes,
+      created_by: userId
+    })
+    .select()
+    .single();
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to create work order' };
+  }
+
+  return { success: true, workOrder };
+};
+
+/**
+ * Complete a pending work order: components leave stock and the kits are added
+ * Consumed components are taken out of their bins; the kits are put away
+ * into the work order's bin when it has one.
+ * @param {Object} params
+ * @param {string} params.workOrderId
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, workOrder } or { success: false, statusCode, code?, message }
+ */
+exports.completeWorkOrder = async ({ workOrderId, userId }) => {
+  const { data: workOrder } = await supabaseAdmin
+    .from('kit_work_orders')
+    .select('*')
+    .eq('id', workOrderId)
+    .single();
+
+  if (!workOrder) {
+    return { success: false, statusCode: 404, message: 'Work order not found' };
+  }
+
+  if (workOrder.status !== 'pending') {
+    return { success: false, statusCode: 400, message: `Work order ${workOrder.work_order_number} is ${workOrder.status} and cannot be completed` };
+  }
+
+  const { data: kitInventoryId, error } = await supabaseAdmin.rpc('complete_kit_work_order', {
+    p_work_order_id: workOrderId,
+    p_user_id: userId
+  });
+
+  if (error) {
+    return { success: false, statusCode: 400, code: 'INSUFFICIENT_STOCK', message: error.message || 'Failed to complete work order' };
+  }
+
+  const { data: completed } = await supabaseAdmin
+    .from('kit_work_orders')
+    .select('*')
+    .eq('id', workOrderId)
+    .single();
+
+  for (const component of completed?.components_consumed || []) {
+    await locationService.pickFromBins(component.inventory_id, component.quantity);
+  }
+
+  if (workOrder.location_id && kitInventoryId) {
+    const result = await locationService.adjustBinStock({
+      inventoryId: kitInventoryId,
+      locationId: workOrder.location_id,
+      quantity: workOrder.quantity
+    });
+    if (!result.success) {
+      // Assembled either way; the kits stay unplaced until put away
+      console.error(`Failed to put work order ${workOrder.work_order_number} kits away:`, result.message);
+    }
+  }
+
+  return { success: true, workOrder: completed || { ...workOrder, status: 'completed' } };
+};
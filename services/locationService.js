@@ -0,0 +1,410 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+
+/**
+ * Location Service
+ * Warehouse → zone → aisle → rack → bin hierarchy and the stock held per bin.
+ * inventory keeps the client/product totals; bin_inventory says which bins
+ * that stock sits in. Bin quantities only change through the
+ * adjust_bin_stock / move_bin_stock / pick_bin_stock database functions,
+ * which enforce bin capacity and never place more than is on hand.
+ */
+
+const LOCATION_TYPES = ['zone', 'aisle', 'rack', 'bin'];
+
+// Type each location must sit under (zones sit directly under the warehouse)
+const PARENT_TYPES = {
+  zone: null,
+  aisle: 'zone',
+  rack: 'aisle',
+  bin: 'rack'
+};
+
+const BIN_STOCK_SELECT = `
+  quantity,
+  warehouse_locations:location_id (
+    id,
+    location_code,
+    is_pickable
+  )
+`;
+
+exports.LOCATION_TYPES = LOCATION_TYPES;
+exports.PARENT_TYPES = PARENT_TYPES;
+exports.BIN_STOCK_SELECT = BIN_STOCK_SELECT;
+
+/**
+ * Normalise a location code segment or full code (trimmed, upper case)
+ */
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+exports.normalizeCode = normalizeCode;
+
+/**
+ * Turn bin_inventory rows (selected with BIN_STOCK_SELECT) into pick locations
+ * Pickable bins first, then in location code order - the order pickers walk them
+ * @param {Array} rows
+ * @returns {Array} [{ locationId, locationCode, quantity, isPickable }]
+ */
+exports.formatBinStock = (rows) => (rows || [])
+  .filter(row => row.quantity > 0 && row.warehouse_locations)
+  .map(row => ({
+    locationId: row.warehouse_locations.id,
+    locationCode: row.warehouse_locations.location_code,
+    quantity: row.quantity,
+    isPickable: row.warehouse_locations.is_pickable
+  }))
+  .sort((a, b) => (b.isPickable - a.isPickable) || a.locationCode.localeCompare(b.locationCode));
+
+/**
+ * Map a bin function error to a service result
+ * The database functions raise readable messages (capacity, insufficient stock)
+ */
+const binStockError = (error, fallback) => ({
+  success: false,
+  statusCode: 400,
+  code: 'BIN_STOCK_REJECTED',
+  message: error.message || fallback
+});
+
+/**
+ * Create a zone, aisle, rack or bin
+ * The full location code is built from the warehouse code and the parent's path,
+ * e.g. MAIN-A-01-03-B2
+ * @param {Object} params
+ * @param {string} params.warehouseId - Required for zones; taken from the parent otherwise
+ * @param {string} params.parentId
+ * @param {string} params.type - zone, aisle, rack or bin
+ * @param {string} params.code - Segment code, unique among siblings
+ * @param {string} params.name
+ * @param {number} params.capacityUnits - Bins only; null for unlimited
+ * @param {boolean} params.isPickable
+ * @returns {Promise<Object>} { success, location } or { success: false, statusCode, message }
+ */
+exports.createLocation = async ({
+  warehouseId,
+  parentId = null,
+  type,
+  code,
+  name = null,
+  capacityUnits = null,
+  isPickable = true
+}) => {
+  if (!LOCATION_TYPES.includes(type)) {
+    return { success: false, statusCode: 400, message: `Type must be one of: ${LOCATION_TYPES.join(', ')}` };
+  }
+
+  const segment = normalizeCode(code);
+  if (!/^[A-Z0-9]+$/.test(segment)) {
+    return { success: false, statusCode: 400, message: 'Code may only contain letters and numbers' };
+  }
+
+  if (capacityUnits !== null && capacityUnits !== undefined && type !== 'bin') {
+    return { success: false, statusCode: 400, message: 'Capacity can only be set on bins' };
+  }
+
+  let parent = null;
+  const expectedParentType = PARENT_TYPES[type];
+
+  if (expectedParentType) {
+    if (!parentId) {
+      return { success: false, statusCode: 400, message: `A ${type} must be created inside a ${expectedParentType}` };
+    }
+
+    const { data } = await supabaseAdmin
+      .from('warehouse_locations')
+      .select('*')
+      .eq('id', parentId)
+      .single();
+
+    parent = data;
+
+    if (!parent) {
+      return { success: false, statusCode: 404, message: 'Parent location not found' };
+    }
+
+    if (parent.type !== expectedParentType) {
+      return { success: false, statusCode: 400, message: `A ${type} must be created inside a ${expectedParentType}, not a ${parent.type}` };
+    }
+  } else if (parentId) {
+    return { success: false, statusCode: 400, message: 'Zones sit directly under a warehouse and cannot have a parent location' };
+  }
+
+  const { data: warehouse } = await supabaseAdmin
+    .from('warehouses')
+    .select('id, code, is_active')
+    .eq('id', parent ? parent.warehouse_id : warehouseId)
+    .single();
+
+  if (!warehouse) {
+    return { success: false, statusCode: 404, message: 'Warehouse not found' };
+  }
+
+  const locationCode = `${parent ? parent.location_code : warehouse.code}-${segment}`;
+
+  const { data: location, error } = await supabaseAdmin
+    .from('warehouse_locations')
+    .insert({
+      warehouse_id: warehouse.id,
+      parent_id: parent ? parent.id : null,
+      type,
+      code: segment,
+      location_code: locationCode,
+      name,
+      capacity_units: type === 'bin' && capacityUnits ? parseInt(capacityUnits) : null,
+      is_pickable: isPickable !== false
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      return { success: false, statusCode: 409, message: `Location ${locationCode} already exists` };
+    }
+    return { success: false, statusCode: 400, message: error.message || 'Failed to create location' };
+  }
+
+  return { success: true, location };
+};
+
+/**
+ * Find an active bin by its full location code
+ * @param {string} locationCode - e.g. MAIN-A-01-03-B2
+ * @returns {Promise<Object|null>} warehouse_locations row or null
+ */
+exports.findBinByCode = async (locationCode) => {
+  const normalized = normalizeCode(locationCode);
+  if (!normalized) return null;
+
+  const { data: bin } = await supabaseAdmin
+    .from('warehouse_locations')
+    .select('*')
+    .eq('location_code', normalized)
+    .eq('type', 'bin')
+    .eq('is_active', true)
+    .maybeSingle();
+
+  return bin || null;
+};
+
+/**
+ * Check a bin can take more units before anything is written
+ * adjust_bin_stock enforces the same limit; this lets callers reject
+ * a receipt up front instead of leaving stock unplaced.
+ * @param {Object} bin - warehouse_locations row
+ * @param {number} quantity
+ * @returns {Promise<Object>} { success } or { success: false, statusCode, code, message }
+ */
+exports.checkBinCapacity = async (bin, quantity) => {
+  if (!bin.capacity_units) return { success: true };
+
+  const { data: rows } = await supabaseAdmin
+    .from('bin_inventory')
+    .select('quantity')
+    .eq('location_id', bin.id);
+
+  const used = (rows || []).reduce((sum, row) => sum + row.quantity, 0);
+
+  if (used + quantity > bin.capacity_units) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'BIN_CAPACITY_EXCEEDED',
+      message: `Bin ${bin.location_code} has room for ${Math.max(0, bin.capacity_units - used)} more units (capacity ${bin.capacity_units})`
+    };
+  }
+
+  return { success: true };
+};
+
+/**
+ * Put on-hand stock into a bin (or take it out with a negative quantity)
+ * @param {Object} params
+ * @param {string} params.inventoryId
+ * @param {string} params.locationId - Bin
+ * @param {number} params.quantity - Units to add; negative to remove
+ * @returns {Promise<Object>} { success } or { success: false, statusCode, code, message }
+ */
+exports.adjustBinStock = async ({ inventoryId, locationId, quantity }) => {
+  const { error } = await supabaseAdmin.rpc('adjust_bin_stock', {
+    p_location_id: locationId,
+    p_inventory_id: inventoryId,
+    p_delta: quantity
+  });
+
+  if (error) {
+    return binStockError(error, 'Failed to update bin stock');
+  }
+
+  return { success: true };
+};
+
+/**
+ * Move stock between two bins in one transaction
+ * @param {Object} params
+ * @param {string} params.inventoryId
+ * @param {string} params.fromLocationId
+ * @param {string} params.toLocationId
+ * @param {number} params.quantity
+ * @returns {Promise<Object>} { success } or { success: false, statusCode, code, message }
+ */
+exports.moveStock = async ({ inventoryId, fromLocationId, toLocationId, quantity }) => {
+  const { error } = await supabaseAdmin.rpc('move_bin_stock', {
+    p_inventory_id: inventoryId,
+    p_from_location_id: fromLocationId,
+    p_to_location_id: toLocationId,
+    p_quantity: quantity
+  });
+
+  if (error) {
+    return binStockError(error, 'Failed to move stock');
+  }
+
+  return { success: true };
+};
+
+/**
+ * Take units that left the building out of their bins, in pick order
+ * Stock that was never put away (unplaced) is not in any bin, so fewer
+ * units than requested may be taken.
+ * @param {string} inventoryId
+ * @param {number} quantity
+ * @returns {Promise<number>} Units taken out of bins
+ */
+exports.pickFromBins = async (inventoryId, quantity) => {
+  if (!quantity || quantity <= 0) return 0;
+
+  const { data: picked, error } = await supabaseAdmin.rpc('pick_bin_stock', {
+    p_inventory_id: inventoryId,
+    p_quantity: quantity
+  });
+
+  if (error) {
+    console.error(`Failed to pick bin stock for inventory ${inventoryId}:`, error.message);
+    return 0;
+  }
+
+  return picked || 0;
+};
+
+/**
+ * Bin placement of one inventory row
+ * @param {Object} inventory - inventory row (available_stock, reserved_stock)
+ * @returns {Promise<Object>} { locations, placedQuantity, unplacedQuantity }
+ */
+exports.getPlacement = async (inventory) => {
+  const { data: rows } = await supabaseAdmin
+    .from('bin_inventory')
+    .select(BIN_STOCK_SELECT)
+    .eq('inventory_id', inventory.id);
+
+  const locations = exports.formatBinStock(rows);
+  const placedQuantity = locations.reduce((sum, loc) => sum + loc.quantity, 0);
+  const onHand = (inventory.available_stock || 0) + (inventory.reserved_stock || 0);
+
+  return {
+    locations,
+    placedQuantity,
+    unplacedQuantity: Math.max(0, onHand - placedQuantity)
+  };
+};
+
+/**
+ * Bring bin quantities back within on-hand stock after it went down
+ * outside of a pick (negative adjustments, deleted or rejected receipts)
+ * @param {string} inventoryId
+ * @returns {Promise<number>} Units taken out of bins
+ */
+exports.trimBinsToOnHand = async (inventoryId) => {
+  const { data: inventory } = await supabaseAdmin
+    .from('inventory')
+    .select('id, available_stock, reserved_stock')
+    .eq('id', inventoryId)
+    .single();
+
+  if (!inventory) return 0;
+
+  const { placedQuantity } = await exports.getPlacement(inventory);
+  const excess = placedQuantity - (inventory.available_stock + inventory.reserved_stock);
+
+  return excess > 0 ? exports.pickFromBins(inventoryId, excess) : 0;
+};
+
+/**
+ * Stock held in a location - a bin's own contents, or every bin below
+ * a zone, aisle or rack
+ * @param {Object} location - warehouse_locations row
+ * @returns {Promise<Object>} { items, totalUnits, capacityUnits, availableCapacity }
+ */
+exports.getContents = async (location) => {
+  let query = supabaseAdmin
+    .from('bin_inventory')
+    .select(`
+      inventory_id,
+      quantity,
+      updated_at,
+      warehouse_locations:location_id (
+        id,
+        location_code
+      ),
+      products:product_id (
+        id,
+        name,
+        sku
+      ),
+      clients:client_id (
+        id,
+        company_name
+      )
+    `)
+    .gt('quantity', 0);
+
+  if (location.type === 'bin') {
+    query = query.eq('location_id', location.id);
+  } else {
+    // Descendant bins share the parent's code as a prefix
+    const { data: bins } = await supabaseAdmin
+      .from('warehouse_locations')
+      .select('id')
+      .eq('type', 'bin')
+      .like('location_code', `${location.location_code}-%`);
+
+    const binIds = (bins || []).map(bin => bin.id);
+    if (binIds.length === 0) {
+      return { items: [], totalUnits: 0, capacityUnits: null, availableCapacity: null };
+    }
+    query = query.in('location_id', binIds);
+  }
+
+  const { data: rows, error } = await query;
+
+  if (error) {
+    throw new Error(error.message || 'Failed to fetch location contents');
+  }
+
+  const items = (rows || []).map(row => ({
+    inventoryId: row.inventory_id,
+    locationId: row.warehouse_locations?.id || null,
+    locationCode: row.warehouse_locations?.location_code || null,
+    productId: row.products ? {
+      _id: row.products.id,
+      name: row.products.name,
+      sku: row.products.sku
+    } : null,
+    clientId: row.clients ? {
+      _id: row.clients.id,
+      companyName: row.clients.company_name
+    } : null,
+    quantity: row.quantity,
+    updatedAt: row.updated_at
+  })).sort((a, b) => a.locationCode.localeCompare(b.locationCode));
+
+  const totalUnits = items.reduce((sum, item) => sum + item.quantity, 0);
+  const capacityUnits = location.type === 'bin' ? location.capacity_units : null;
+
+  return {
+    items,
+    totalUnits,
+    capacityUnits,
+    availableCapacity: capacityUnits ? Math.max(0, capacityUnits - totalUnits) : null
+  };
+};
@@ -0,0 +1,370 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+
+/**
+ * Lot Service
+ * Lot / batch numbers and expiry dates for stock that has them (food,
+ * cosmetics). inventory keeps the client/product/warehouse totals;
+ * inventory_lots says which lots that stock belongs to. Orders are given
+ * lots first-expired-first-out when they are created, and only those
+ * lots are taken when they ship (order_item_lots). Lot quantities only
+ * change through the adjust_lot_stock / ship_order_lots /
+ * release_order_lots / consume_lot_stock_fefo database functions.
+ */
+
+const LOT_SELECT = `
+  id,
+  lot_number,
+  expiry_date,
+  quantity,
+  reserved_quantity,
+  received_at
+`;
+
+// Expiry window used when a request does not give one
+const DEFAULT_EXPIRY_ALERT_DAYS = parseInt(process.env.LOT_EXPIRY_ALERT_DAYS) || 30;
+
+exports.LOT_SELECT = LOT_SELECT;
+exports.DEFAULT_EXPIRY_ALERT_DAYS = DEFAULT_EXPIRY_ALERT_DAYS;
+
+/**
+ * Today's date as YYYY-MM-DD
+ */
+const today = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Whole days from today until an expiry date (negative once expired)
+ */
+const daysUntil = (date) => Math.round((new Date(date) - new Date(today())) / (24 * 60 * 60 * 1000));
+
+/**
+ * Normalise a lot number (trimmed; lot numbers are kept as printed)
+ */
+const normalizeLotNumber = (lotNumber) => String(lotNumber || '').trim();
+
+exports.normalizeLotNumber = normalizeLotNumber;
+
+/**
+ * Expiry date as YYYY-MM-DD (expiry is a calendar date, not a moment)
+ */
+exports.normalizeExpiryDate = (expiryDate) => (expiryDate ? String(expiryDate).split('T')[0] : null);
+
+/**
+ * Turn inventory_lots rows (selected with LOT_SELECT) into lots in FEFO order
+ * Lots with the earliest expiry first, lots without an expiry last
+ * @param {Array} rows
+ * @returns {Array} [{ lotId, lotNumber, expiryDate, quantity, reservedQuantity, availableQuantity, isExpired }]
+ */
+exports.formatLots = (rows) => (rows || [])
+  .filter(row => row.quantity > 0)
+  .map(row => ({
+    lotId: row.id,
+    lotNumber: row.lot_number,
+    expiryDate: row.expiry_date,
+    quantity: row.quantity,
+    reservedQuantity: row.reserved_quantity,
+    availableQuantity: row.quantity - row.reserved_quantity,
+    isExpired: Boolean(row.expiry_date && row.expiry_date < today())
+  }))
+  .sort((a, b) => {
+    if (a.expiryDate !== b.expiryDate) {
+      if (!a.expiryDate) return 1;
+      if (!b.expiryDate) return -1;
+      return a.expiryDate.localeCompare(b.expiryDate);
+    }
+    return a.lotNumber.localeCompare(b.lotNumber);
+  });
+
+/**
+ * Map a lot function error to a service result
+ * The database functions raise readable messages (expiry mismatch, reserved units)
+ */
+const lotStockError = (error, fallback) => ({
+  success: false,
+  statusCode: 400,
+  code: 'LOT_STOCK_REJECTED',
+  message: error.message || fallback
+});
+
+/**
+ * Validate lot fields sent with a receipt or adjustment
+ * @param {string} lotNumber
+ * @param {string} expiryDate - YYYY-MM-DD
+ * @returns {Object} { success } or { success: false, statusCode, message }
+ */
+exports.validateLotInput = (lotNumber, expiryDate) => {
+  if (expiryDate && !normalizeLotNumber(lotNumber)) {
+    return { success: false, statusCode: 400, message: 'Lot number is required when an expiry date is given' };
+  }
+
+  return { success: true };
+};
+
+/**
+ * Find a lot of a client's product in a warehouse
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} params.productId
+ * @param {string} params.warehouseId
+ * @param {string} params.lotNumber
+ * @returns {Promise<Object|null>} inventory_lots row
+ */
+exports.findLot = async ({ clientId, productId, warehouseId, lotNumber }) => {
+  const normalized = normalizeLotNumber(lotNumber);
+  if (!normalized) return null;
+
+  const { data: lot } = await supabaseAdmin
+    .from('inventory_lots')
+    .select('*')
+    .eq('client_id', clientId)
+    .eq('product_id', productId)
+    .eq('warehouse_id', warehouseId)
+    .eq('lot_number', normalized)
+    .maybeSingle();
+
+  return lot || null;
+};
+
+/**
+ * Check a receipt's expiry date matches the lot it is received into
+ * adjust_lot_stock enforces the same rule; this lets callers reject
+ * a receipt before any stock is written.
+ * @returns {Promise<Object>} { success } or { success: false, statusCode, code, message }
+ */
+exports.checkLotExpiry = async ({ clientId, productId, warehouseId, lotNumber, expiryDate }) => {
+  if (!lotNumber || !expiryDate) return { success: true };
+
+  const lot = await exports.findLot({ clientId, productId, warehouseId, lotNumber });
+
+  if (lot && lot.expiry_date !== expiryDate) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'LOT_EXPIRY_MISMATCH',
+      message: `Lot ${lot.lot_number} is already recorded with expiry date ${lot.expiry_date || 'none'}`
+    };
+  }
+
+  return { success: true };
+};
+
+/**
+ * Receive on-hand stock into a lot (or take it out with a negative quantity)
+ * @param {Object} params
+ * @param {string} params.inventoryId
+ * @param {string} params.lotNumber
+ * @param {string} params.expiryDate - YYYY-MM-DD; only needed for a new lot
+ * @param {number} params.quantity - Units to add; negative to remove
+ * @returns {Promise<Object>} { success, lotId } or { success: false, statusCode, code, message }
+ */
+exports.adjustLotStock = async ({ inventoryId, lotNumber, expiryDate = null, quantity }) => {
+  const { data: lotId, error } = await supabaseAdmin.rpc('adjust_lot_stock', {
+    p_inventory_id: inventoryId,
+    p_lot_number: normalizeLotNumber(lotNumber),
+    p_expiry_date: expiryDate || null,
+    p_delta: quantity
+  });
+
+  if (error) {
+    return lotStockError(error, 'Failed to update lot stock');
+  }
+
+  return { success: true, lotId };
+};
+
+/**
+ * Take shipped units out of the lots allocated to an order line
+ * @param {string} orderId
+ * @param {string} productId
+ * @param {number} quantity
+ * @returns {Promise<number>} Units taken out of lots (the rest was unlotted)
+ */
+exports.shipOrderLots = async (orderId, productId, quantity) => {
+  if (!quantity || quantity <= 0) return 0;
+
+  const { data: shipped, error } = await supabaseAdmin.rpc('ship_order_lots', {
+    p_order_id: orderId,
+    p_product_id: productId,
+    p_quantity: quantity
+  });
+
+  if (error) {
+    console.error(`Failed to ship lots for order ${orderId}:`, error.message);
+    return 0;
+  }
+
+  return shipped || 0;
+};
+
+/**
+ * Give units allocated to an order line back to their lots
+ * @param {string} orderId
+ * @param {string} productId
+ * @param {number} quantity
+ * @returns {Promise<number>} Units released
+ */
+exports.releaseOrderLots = async (orderId, productId, quantity) => {
+  if (!quantity || quantity <= 0) return 0;
+
+  const { data: released, error } = await supabaseAdmin.rpc('release_order_lots', {
+    p_order_id: orderId,
+    p_product_id: productId,
+    p_quantity: quantity
+  });
+
+  if (error) {
+    console.error(`Failed to release lots for order ${orderId}:`, error.message);
+    return 0;
+  }
+
+  return released || 0;
+};
+
+/**
+ * Bring lot quantities back within on-hand stock after it went down
+ * without naming a lot (negative adjustments, deleted or rejected receipts)
+ * Unreserved units are taken earliest expiry first.
+ * @param {string} inventoryId
+ * @returns {Promise<number>} Units taken out of lots
+ */
+exports.trimLotsToOnHand = async (inventoryId) => {
+  const { data: inventory } = await supabaseAdmin
+    .from('inventory')
+    .select('id, available_stock, reserved_stock, inventory_lots ( quantity )')
+    .eq('id', inventoryId)
+    .single();
+
+  if (!inventory) return 0;
+
+  const lotted = (inventory.inventory_lots || []).reduce((sum, lot) => sum + lot.quantity, 0);
+  const excess = lotted - (inventory.available_stock + inventory.reserved_stock);
+  if (excess <= 0) return 0;
+
+  const { data: taken, error } = await supabaseAdmin.rpc('consume_lot_stock_fefo', {
+    p_inventory_id: inventoryId,
+    p_quantity: excess,
+    p_include_expired: true
+  });
+
+  if (error) {
+    console.error(`Failed to trim lots for inventory ${inventoryId}:`, error.message);
+    return 0;
+  }
+
+  return (taken || []).reduce((sum, lot) => sum + lot.quantity, 0);
+};
+
+/**
+ * Lots allocated to an order, grouped by order item
+ * @param {string} orderId
+ * @returns {Promise<Object>} orderItemId → [{ lotNumber, expiryDate, quantity, shippedQuantity }]
+ */
+exports.getOrderAllocations = async (orderId) => {
+  const { data: rows } = await supabaseAdmin
+    .from('order_item_lots')
+    .select(`
+      order_item_id,
+      quantity,
+      shipped_quantity,
+      inventory_lots:lot_id (
+        lot_number,
+        expiry_date
+      )
+    `)
+    .eq('order_id', orderId);
+
+  const allocations = {};
+  (rows || []).forEach(row => {
+    if (!allocations[row.order_item_id]) allocations[row.order_item_id] = [];
+    allocations[row.order_item_id].push({
+      lotNumber: row.inventory_lots?.lot_number || null,
+      expiryDate: row.inventory_lots?.expiry_date || null,
+      quantity: row.quantity,
+      shippedQuantity: row.shipped_quantity
+    });
+  });
+
+  return allocations;
+};
+
+/**
+ * Lots with stock on hand that expire within a window (and lots already expired)
+ * @param {Object} params
+ * @param {number} params.days - Window in days from today
+ * @param {string} params.clientId
+ * @param {string} params.warehouseId
+ * @returns {Promise<Object>} { success, lots, cutoffDate } or { success: false, statusCode, message }
+ */
+exports.getExpiringLots = async ({ days = DEFAULT_EXPIRY_ALERT_DAYS, clientId = null, warehouseId = null } = {}) => {
+  const cutoff = new Date(today());
+  cutoff.setDate(cutoff.getDate() + days);
+  const cutoffDate = cutoff.toISOString().split('T')[0];
+
+  let query = supabaseAdmin
+    .from('inventory_lots')
+    .select(`
+      ${LOT_SELECT},
+      products:product_id (
+        id,
+        name,
+        sku
+      ),
+      clients:client_id (
+        id,
+        company_name
+      ),
+      warehouses:warehouse_id (
+        id,
+        code,
+        name
+      )
+    `)
+    .gt('quantity', 0)
+    .not('expiry_date', 'is', null)
+    .lte('expiry_date', cutoffDate)
+    .order('expiry_date', { ascending: true });
+
+  if (clientId) {
+    query = query.eq('client_id', clientId);
+  }
+
+  if (warehouseId) {
+    query = query.eq('warehouse_id', warehouseId);
+  }
+
+  const { data: lots, error } = await query;
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to fetch expiring lots' };
+  }
+
+  return {
+    success: true,
+    cutoffDate,
+    lots: (lots || []).map(lot => {
+      const daysUntilExpiry = daysUntil(lot.expiry_date);
+      return {
+        lotId: lot.id,
+        lotNumber: lot.lot_number,
+        expiryDate: lot.expiry_date,
+        daysUntilExpiry,
+        status: daysUntilExpiry < 0 ? 'expired' : 'expiring',
+        quantity: lot.quantity,
+        reservedQuantity: lot.reserved_quantity,
+        productId: lot.products ? {
+          _id: lot.products.id,
+          name: lot.products.name,
+          sku: lot.products.sku
+        } : null,
+        clientId: lot.clients ? {
+          _id: lot.clients.id,
+          companyName: lot.clients.company_name
+        } : null,
+        warehouseId: lot.warehouses ? {
+          _id: lot.warehouses.id,
+          code: lot.warehouses.code,
+          name: lot.warehouses.name
+        } : null
+      };
+    })
+  };
+};
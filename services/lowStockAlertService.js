@@ -0,0 +1,341 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { sendLowStockDigest } = require('./emailService');
+const { fetchAllRows } = require('../utils/supabasePaging');
+
+/**
+ * Low Stock Alert Service
+ * Checks each client's available stock per product (all warehouses
+ * together) against the product's reorder_level and, when the product
+ * has shipped recently, against how many days the stock lasts at the
+ * trailing sales rate. Products that newly go low notify the client's
+ * users and account manager; every product still low goes into the
+ * daily digest email. Open alerts are kept in low_stock_alerts.
+ */
+
+// Trailing window for the sales rate
+const VELOCITY_DAYS = parseInt(process.env.LOW_STOCK_VELOCITY_DAYS) || 30;
+// Stock lasting fewer days than this at the sales rate is low (0 turns the check off)
+const COVER_DAYS = process.env.LOW_STOCK_COVER_DAYS !== undefined
+  ? parseInt(process.env.LOW_STOCK_COVER_DAYS) || 0
+  : 14;
+
+exports.VELOCITY_DAYS = VELOCITY_DAYS;
+exports.COVER_DAYS = COVER_DAYS;
+
+/**
+ * Units shipped per client/product since a date
+ */
+const getShippedUnits = async (since, clientId) => {
+  const { data: rows, error } = await fetchAllRows(() => {
+    let query = supabaseAdmin
+      .from('order_items')
+      .select('id, product_id, shipped_quantity, orders!inner ( client_id, dispatched_at )')
+      .gte('orders.dispatched_at', since)
+      .order('id', { ascending: true });
+
+    if (clientId) {
+      query = query.eq('orders.client_id', clientId);
+    }
+
+    return query;
+  });
+
+  if (error) {
+    throw new Error(error.message || 'Failed to fetch shipped units');
+  }
+
+  const shipped = {};
+  (rows || []).forEach(row => {
+    const key = `${row.orders.client_id}:${row.product_id}`;
+    shipped[key] = (shipped[key] || 0) + (row.shipped_quantity || 0);
+  });
+
+  return shipped;
+};
+
+/**
+ * Products that are low on stock
+ * Suggested order: enough for twice the cover window at the current
+ * rate, and never less than what brings stock back above the reorder level.
+ * @param {Object} params
+ * @param {string} params.clientId - Limit to one client (optional)
+ * @param {boolean} params.useVelocity - Also flag stock that will not last the cover window
+ * @returns {Promise<Array>} [{ clientId, clientName, productId, productName, sku, reorderLevel,
+ *   availableStock, dailyVelocity, daysOfCover, suggestedQuantity, reason }]
+ */
+exports.findLowStock = async ({ clientId = null, useVelocity = COVER_DAYS > 0 } = {}) => {
+  const { data: rows, error } = await fetchAllRows(() => {
+    let query = supabaseAdmin
+      .from('inventory')
+      .select(`
+        id,
+        client_id,
+        product_id,
+        available_stock,
+        products:product_id (
+          id,
+          name,
+          sku,
+          reorder_level,
+          is_active
+        ),
+        clients:client_id (
+          id,
+          company_name,
+          is_active
+        )
+      `)
+      .order('id', { ascending: true });
+
+    if (clientId) {
+      query = query.eq('client_id', clientId);
+    }
+
+    return query;
+  });
+
+  if (error) {
+    throw new Error(error.message || 'Failed to fetch inventory');
+  }
+
+  // Reorder levels are per product, so warehouses are added together
+  const totals = {};
+  (rows || [])
+    .filter(row => row.products?.is_active !== false && row.clients?.is_active !== false)
+    .forEach(row => {
+      const key = `${row.client_id}:${row.product_id}`;
+      if (!totals[key]) {
+        totals[key] = { row, availableStock: 0 };
+      }
+      totals[key].availableStock += row.available_stock || 0;
+    });
+
+  const since = new Date(Date.now() - VELOCITY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const shipped = useVelocity ? await getShippedUnits(since, clientId) : {};
+
+  const lowStock = [];
+  Object.entries(totals).forEach(([key, { row, availableStock }]) => {
+    const reorderLevel = row.products?.reorder_level || 0;
+    const dailyVelocity = (shipped[key] || 0) / VELOCITY_DAYS;
+    const daysOfCover = dailyVelocity > 0 ? availableStock / dailyVelocity : null;
+
+    const belowReorderLevel = reorderLevel > 0 && availableStock <= reorderLevel;
+    const lowCover = useVelocity && COVER_DAYS > 0 && daysOfCover !== null && daysOfCover < COVER_DAYS;
+
+    if (!belowReorderLevel && !lowCover) return;
+
+    const target = Math.max(reorderLevel + 1, Math.ceil(dailyVelocity * COVER_DAYS * 2));
+
+    lowStock.push({
+      clientId: row.client_id,
+      clientName: row.clients?.company_name || null,
+      productId: row.product_id,
+      productName: row.products?.name || null,
+      sku: row.products?.sku || null,
+      reorderLevel,
+      availableStock,
+      dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+      daysOfCover: daysOfCover !== null ? Math.round(daysOfCover * 10) / 10 : null,
+      suggestedQuantity: Math.max(target - availableStock, 0),
+      reason: belowReorderLevel ? 'below_reorder_level' : 'low_cover'
+    });
+  });
+
+  return lowStock.sort((a, b) => (a.clientName || '').localeCompare(b.clientName || '') ||
+    a.availableStock - b.availableStock);
+};
+
+/**
+ * Users told about a client's low stock (and shipment exceptions): its
+ * active client users and its account manager, or every active admin
+ * when it has no account manager
+ * @returns {Promise<Object>} clientId → [{ id, name, email }]
+ */
+const getRecipients = async (clientIds) => {
+  if (clientIds.length === 0) return {};
+
+  const { data: clients } = await supabaseAdmin
+    .from('clients')
+    .select('id, account_manager_id')
+    .in('id', clientIds);
+
+  const { data: clientUsers } = await supabaseAdmin
+    .from('user_profiles')
+    .select('id, name, email, client_id')
+    .eq('role', 'client')
+    .eq('is_active', true)
+    .in('client_id', clientIds);
+
+  const managerIds = [...new Set((clients || []).map(c => c.account_manager_id).filter(Boolean))];
+  let managers = [];
+  if (managerIds.length > 0) {
+    const { data } = await supabaseAdmin
+      .from('user_profiles')
+      .select('id, name, email')
+      .in('id', managerIds)
+      .eq('is_active', true);
+    managers = data || [];
+  }
+
+  let admins = null;
+  const recipients = {};
+
+  for (const client of clients || []) {
+    const users = (clientUsers || []).filter(user => user.client_id === client.id);
+    const manager = managers.find(user => user.id === client.account_manager_id);
+
+    if (manager) {
+      users.push(manager);
+    } else {
+      if (admins === null) {
+        const { data } = await supabaseAdmin
+          .from('user_profiles')
+          .select('id, name, email')
+          .eq('role', 'admin')
+          .eq('is_active', true);
+        admins = data || [];
+      }
+      users.push(...admins);
+    }
+
+    recipients[client.id] = users;
+  }
+
+  return recipients;
+};
+
+exports.getRecipients = getRecipients;
+
+/**
+ * Run the daily low-stock check
+ * Opens alerts for products that went low (and notifies for them),
+ * refreshes the figures on alerts still open, resolves the rest, then
+ * emails each recipient a digest of every open alert they cover.
+ * @param {Object} options
+ * @param {boolean} options.sendDigest - Send the digest email (default true)
+ * @returns {Promise<Object>} { success, lowStock, newAlerts, resolved, notifications, emailsSent }
+ */
+exports.runLowStockAlerts = async ({ sendDigest = true } = {}) => {
+  const lowStock = await exports.findLowStock();
+  const now = new Date().toISOString();
+
+  const { data: openAlerts, error } = await supabaseAdmin
+    .from('low_stock_alerts')
+    .select('*')
+    .eq('status', 'open');
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to fetch low-stock alerts' };
+  }
+
+  const openByKey = {};
+  (openAlerts || []).forEach(alert => {
+    openByKey[`${alert.client_id}:${alert.product_id}`] = alert;
+  });
+
+  const newlyLow = [];
+  const stillLow = new Set();
+
+  for (const item of lowStock) {
+    const key = `${item.clientId}:${item.productId}`;
+    const figures = {
+      reason: item.reason,
+      available_stock: item.availableStock,
+      reorder_level: item.reorderLevel,
+      daily_velocity: item.dailyVelocity,
+      days_of_cover: item.daysOfCover,
+      suggested_quantity: item.suggestedQuantity,
+      last_checked_at: now
+    };
+
+    stillLow.add(key);
+
+    if (openByKey[key]) {
+      await supabaseAdmin
+        .from('low_stock_alerts')
+        .update(figures)
+        .eq('id', openByKey[key].id);
+    } else {
+      const { error: insertError } = await supabaseAdmin
+        .from('low_stock_alerts')
+        .insert({ client_id: item.clientId, product_id: item.productId, ...figures });
+
+      if (insertError) {
+        console.error(`Failed to open low-stock alert for ${item.sku}:`, insertError.message);
+        continue;
+      }
+      newlyLow.push(item);
+    }
+  }
+
+  // Stock has recovered
+  const recovered = (openAlerts || []).filter(alert => !stillLow.has(`${alert.client_id}:${alert.product_id}`));
+  if (recovered.length > 0) {
+    await supabaseAdmin
+      .from('low_stock_alerts')
+      .update({ status: 'resolved', resolved_at: now, last_checked_at: now })
+      .in('id', recovered.map(alert => alert.id));
+  }
+
+  const recipients = await getRecipients([...new Set(lowStock.map(item => item.clientId))]);
+
+  // In-app notifications for products that went low since the last run
+  const notifications = [];
+  newlyLow.forEach(item => {
+    (recipients[item.clientId] || []).forEach(user => {
+      notifications.push({
+        user_id: user.id,
+        type: 'low_stock',
+        title: item.availableStock === 0 ? `Out of stock: ${item.sku}` : `Low stock: ${item.sku}`,
+        message: item.reason === 'below_reorder_level'
+          ? `${item.productName} (${item.clientName}) has ${item.availableStock} available, at or below its reorder level of ${item.reorderLevel}.`
+          : `${item.productName} (${item.clientName}) has ${item.availableStock} available, about ${item.daysOfCover} days at the current sales rate.`,
+        priority: item.availableStock === 0 ? 'high' : 'medium',
+        is_read: false,
+        link: '/inventory',
+        metadata: {
+          clientId: item.clientId,
+          productId: item.productId,
+          availableStock: item.availableStock,
+          reorderLevel: item.reorderLevel,
+          daysOfCover: item.daysOfCover,
+          suggestedQuantity: item.suggestedQuantity
+        }
+      });
+    });
+  });
+
+  if (notifications.length > 0) {
+    const { error: notifyError } = await supabaseAdmin.from('notifications').insert(notifications);
+    if (notifyError) {
+      console.error('Failed to create low-stock notifications:', notifyError.message);
+    }
+  }
+
+  // One digest per recipient covering every client they are told about
+  let emailsSent = 0;
+  if (sendDigest) {
+    const digests = {};
+    lowStock.forEach(item => {
+      (recipients[item.clientId] || []).forEach(user => {
+        if (!user.email) return;
+        if (!digests[user.id]) digests[user.id] = { user, items: [] };
+        digests[user.id].items.push(item);
+      });
+    });
+
+    for (const { user, items } of Object.values(digests)) {
+      const result = await sendLowStockDigest({ to: user.email, name: user.name, items });
+      if (result.success) emailsSent += 1;
+    }
+  }
+
+  return {
+    success: true,
+    lowStock: lowStock.length,
+    newAlerts: newlyLow.length,
+    resolved: recovered.length,
+    notifications: notifications.length,
+    emailsSent
+  };
+};
@@ -0,0 +1,369 @@
+const axios = require('axios');
+const supabaseAdmin = require('../config/supabaseAdmin');
+const pdfService = require('./pdfService');
+const packingService = require('./packingService');
+const carriers = require('./carriers');
+const { weightInLbs, lengthInInches } = require('./carriers/carrierUtils');
+
+/**
+ * Order Document Service
+ * Paperwork rendered from an order on request (nothing is stored):
+ *   packing-slip   - goes in the box: the client's branding, ship-to
+ *                    address, the order's items and notes
+ *   bill-of-lading - straight (non-negotiable) bill of lading for LTL
+ *                    freight: shipper, consignee, handling units from the
+ *                    packed cartons grouped by pallet, weights, signatures
+ */
+
+const DOCUMENT_TYPES = ['packing-slip', 'bill-of-lading'];
+const FREIGHT_TERMS = ['prepaid', 'collect', 'third_party'];
+
+// Order statuses each document can be printed in
+const PRINTABLE_STATUSES = {
+  'packing-slip': ['approved', 'packed', 'partially_shipped', 'dispatched', 'delivered'],
+  'bill-of-lading': ['packed', 'partially_shipped', 'dispatched', 'delivered']
+};
+
+const FREIGHT_TERM_LABELS = {
+  prepaid: 'Prepaid',
+  collect: 'Collect',
+  third_party: 'Third party'
+};
+
+const ORDER_SELECT = `
+  *,
+  clients:client_id ( * ),
+  warehouses:warehouse_id ( id, code, name, address_line1, city, state, postal_code, country )
+`;
+
+exports.DOCUMENT_TYPES = DOCUMENT_TYPES;
+exports.FREIGHT_TERMS = FREIGHT_TERMS;
+
+/**
+ * Client logo for the packing slip; the slip falls back to the client name
+ * when the logo cannot be downloaded
+ * @param {string} url
+ * @returns {Promise<Buffer|null>}
+ */
+const loadLogo = async (url) => {
+  if (!url) return null;
+
+  try {
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 10000, maxContentLength: 2 * 1024 * 1024 });
+    return Buffer.from(response.data);
+  } catch (error) {
+    console.error(`Failed to load client logo ${url}:`, error.message);
+    return null;
+  }
+};
+
+const addressLines = (order) => [
+  order.delivery_address_name,
+  order.delivery_address_street,
+  [order.delivery_address_city, order.delivery_address_state, order.delivery_address_zip_code].filter(Boolean).join(', '),
+  order.delivery_address_country,
+  order.delivery_address_phone ? `Phone: ${order.delivery_address_phone}` : null
+];
+
+const warehouseLines = (name, warehouse = {}) => [
+  name,
+  warehouse.address_line1,
+  [warehouse.city, warehouse.state, warehouse.postal_code].filter(Boolean).join(', '),
+  warehouse.country
+];
+
+const carrierName = (code) => {
+  if (!code) return '-';
+  const adapter = carriers.getCarrier(code);
+  return adapter ? adapter.name : code.toUpperCase();
+};
+
+/**
+ * Packing slip
+ * Partially shipped orders list what has shipped so far and what is backordered.
+ */
+const renderPackingSlip = async (order, items, cartons) => {
+  const client = order.clients || {};
+  const logo = await loadLogo(client.logo_url);
+  const { formatDate, PAGE_MARGIN } = pdfService;
+  const partial = order.status === 'partially_shipped';
+
+  return pdfService.renderPdf(doc => {
+    pdfService.drawHeader(doc, {
+      title: 'PACKING SLIP',
+      brand: {
+        name: client.company_name,
+        tagline: [client.address_city, client.address_state].filter(Boolean).join(', '),
+        logo,
+        color: client.brand_color
+      },
+      meta: [
+        ['Order', order.order_number],
+        ...(order.external_reference ? [['Reference', order.external_reference]] : []),
+        ['Order date', formatDate(order.created_at)],
+        ['Ship date', formatDate(order.dispatched_at || order.packed_at)],
+        ['Carrier', carrierName(order.carrier)],
+        ['Tracking', order.tracking_number || '-']
+      ]
+    });
+
+    const blockTop = doc.y;
+    const fromBottom = pdfService.drawTextBlock(doc, 'SHIP FROM',
+      warehouseLines(client.company_name, order.warehouses || {}),
+      { x: PAGE_MARGIN, y: blockTop });
+    const toBottom = pdfService.drawTextBlock(doc, 'SHIP TO', addressLines(order),
+      { x: PAGE_MARGIN + 280, y: blockTop });
+    doc.y = Math.max(fromBottom, toBottom) + 15;
+
+    const columns = [
+      { header: '#', key: 'line', width: 25 },
+      { header: 'SKU', key: 'sku', width: 110 },
+      { header: 'Product', key: 'name', width: partial ? 232 : 322 },
+      { header: 'Qty', key: 'quantity', width: 55, align: 'right' },
+      ...(partial ? [
+        { header: 'Shipped', key: 'shipped', width: 45, align: 'right' },
+        { header: 'Backordered', key: 'backordered', width: 45, align: 'right' }
+      ] : [])
+    ];
+
+    pdfService.drawTable(doc, columns, items.map((item, index) => ({
+      line: index + 1,
+      sku: item.products?.sku || '-',
+      name: item.kits
+        ? `${item.products?.name || '-'}\n(part of ${item.kits.sku} x${item.kit_quantity})`
+        : item.products?.name || '-',
+      quantity: item.quantity,
+      shipped: item.shipped_quantity || 0,
+      backordered: item.quantity - (item.shipped_quantity || 0)
+    })));
+
+    const units = items.reduce((sum, item) => sum + item.quantity, 0);
+    doc.font('Helvetica').fontSize(9).fillColor('#555555')
+      .text(`${units} unit(s) in ${items.length} line(s)${cartons.length > 0 ? ` · ${cartons.length} carton(s)` : ''}`, PAGE_MARGIN);
+    doc.moveDown();
+
+    if (order.notes) {
+      doc.y = pdfService.drawTextBlock(doc, 'NOTES', [' ', order.notes], { x: PAGE_MARGIN, y: doc.y, width: 500 }) + 10;
+    }
+
+    if (client.packing_slip_message) {
+      doc.font('Helvetica-Oblique').fontSize(10).fillColor(client.brand_color || '#111111')
+        .text(client.packing_slip_message, PAGE_MARGIN, doc.y, { width: doc.page.width - PAGE_MARGIN * 2, align: 'center' });
+    }
+
+    pdfService.drawFooter(doc, `${client.company_name || ''} · Order ${order.order_number} · Fulfilled by MAX2PAY`);
+  });
+};
+
+/**
+ * Handling units for the bill of lading: one per pallet (its cartons are
+ * the pieces) plus one per loose carton
+ */
+const toHandlingUnits = (cartons) => {
+  const pallets = {};
+  const loose = [];
+
+  cartons.forEach(carton => {
+    if (carton.pallet_number) {
+      if (!pallets[carton.pallet_number]) pallets[carton.pallet_number] = [];
+      pallets[carton.pallet_number].push(carton);
+    } else {
+      loose.push(carton);
+    }
+  });
+
+  const cartonWeight = (carton) => weightInLbs(carton.weight, carton.weight_unit);
+  const cartonDimensions = (carton) => [carton.length, carton.width, carton.height]
+    .map(value => lengthInInches(value, carton.dimension_unit))
+    .join(' x ');
+
+  return [
+    ...Object.keys(pallets).sort((a, b) => a - b).map(number => ({
+      type: `Pallet ${number}`,
+      pieces: pallets[number].length,
+      weight: pallets[number].reduce((sum, carton) => sum + cartonWeight(carton), 0),
+      dimensions: '-'
+    })),
+    ...loose.map(carton => ({
+      type: `Carton ${carton.carton_number}`,
+      pieces: 1,
+      weight: cartonWeight(carton),
+      dimensions: cartonDimensions(carton)
+    }))
+  ];
+};
+
+/**
+ * Straight bill of lading
+ */
+const renderBillOfLading = (order, cartons, { proNumber = null, freightClass = null, freightTerms = 'prepaid' }) => {
+  const client = order.clients || {};
+  const { formatDate, PAGE_MARGIN } = pdfService;
+  const shipperName = process.env.SHIPPER_NAME || 'MAX2PAY';
+  const handlingUnits = toHandlingUnits(cartons);
+  const totalWeight = handlingUnits.reduce((sum, unit) => sum + unit.weight, 0);
+
+  return pdfService.renderPdf(doc => {
+    pdfService.drawHeader(doc, {
+      title: 'BILL OF LADING',
+      meta: [
+        ['BOL #', `BOL-${order.order_number}`],
+        ['Date', formatDate(order.dispatched_at || new Date())],
+        ['Carrier', carrierName(order.carrier)],
+        ['PRO #', proNumber || '-'],
+        ['Freight terms', FREIGHT_TERM_LABELS[freightTerms]]
+      ]
+    });
+
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#111111')
+      .text('STRAIGHT BILL OF LADING - NOT NEGOTIABLE', PAGE_MARGIN, doc.y, { align: 'center', width: doc.page.width - PAGE_MARGIN * 2 });
+    doc.moveDown();
+
+    const blockTop = doc.y;
+    const fromBottom = pdfService.drawTextBlock(doc, 'SHIP FROM (SHIPPER)', [
+      ...warehouseLines(shipperName, order.warehouses || {}),
+      process.env.SHIPPER_PHONE ? `Phone: ${process.env.SHIPPER_PHONE}` : null
+    ], { x: PAGE_MARGIN, y: blockTop });
+    const toBottom = pdfService.drawTextBlock(doc, 'SHIP TO (CONSIGNEE)', addressLines(order),
+      { x: PAGE_MARGIN + 280, y: blockTop });
+    doc.y = Math.max(fromBottom, toBottom) + 10;
+
+    const refTop = doc.y;
+    const billBottom = freightTerms === 'third_party'
+      ? pdfService.drawTextBlock(doc, 'FREIGHT CHARGES BILL TO', [
+        client.company_name,
+        client.address_street,
+        [client.address_city, client.address_state, client.address_zip_code].filter(Boolean).join(', '),
+        client.phone ? `Phone: ${client.phone}` : null
+      ], { x: PAGE_MARGIN, y: refTop })
+      : refTop;
+    const refBottom = pdfService.drawTextBlock(doc, 'REFERENCES', [
+      `Order ${order.order_number}`,
+      order.external_reference ? `Customer reference ${order.external_reference}` : null,
+      `Client: ${client.company_name || '-'}`
+    ], { x: PAGE_MARGIN + 280, y: refTop });
+    doc.y = Math.max(billBottom, refBottom) + 10;
+
+    const instructions = [
+      order.special_handling ? 'Special handling required.' : null,
+      order.notes
+    ].filter(Boolean).join(' ');
+    if (instructions) {
+      doc.y = pdfService.drawTextBlock(doc, 'SPECIAL INSTRUCTIONS', [' ', instructions], { x: PAGE_MARGIN, y: doc.y, width: 500 }) + 10;
+    }
+
+    pdfService.drawTable(doc, [
+      { header: 'Handling unit', key: 'type', width: 90 },
+      { header: 'Pieces', key: 'pieces', width: 50, align: 'right' },
+      { header: 'Weight (lbs)', key: 'weight', width: 75, align: 'right' },
+      { header: 'Dimensions (in)', key: 'dimensions', width: 95 },
+      { header: 'Commodity description', key: 'description', width: 140 },
+      { header: 'Class', key: 'freightClass', width: 62 }
+    ], handlingUnits.map(unit => ({
+      type: unit.type,
+      pieces: unit.pieces,
+      weight: unit.weight.toFixed(1),
+      dimensions: unit.dimensions,
+      description: 'General merchandise',
+      freightClass: freightClass || ''
+    })));
+
+    pdfService.drawTotals(doc, [
+      ['Handling units', String(handlingUnits.length)],
+      ['Pieces', String(cartons.length)],
+      ['Total weight', `${totalWeight.toFixed(1)} lbs`, { bold: true }]
+    ]);
+    doc.moveDown();
+
+    doc.font('Helvetica').fontSize(7).fillColor('#555555').text(
+      'RECEIVED, subject to the classifications and tariffs in effect on the date of issue of this Bill of Lading, ' +
+      'the property described above in apparent good order, except as noted, marked, consigned and destined as ' +
+      'indicated above, which said carrier agrees to carry to its usual place of delivery at said destination.',
+      PAGE_MARGIN, doc.y, { width: doc.page.width - PAGE_MARGIN * 2 }
+    );
+    doc.moveDown(2);
+
+    // Signature lines
+    const signatureY = Math.min(doc.y, doc.page.height - PAGE_MARGIN - 70);
+    const signatureWidth = (doc.page.width - PAGE_MARGIN * 2 - 40) / 3;
+    ['Shipper signature / date', 'Carrier signature / pickup date', 'Consignee signature / date'].forEach((label, index) => {
+      const x = PAGE_MARGIN + index * (signatureWidth + 20);
+      doc.moveTo(x, signatureY + 25).lineTo(x + signatureWidth, signatureY + 25).lineWidth(0.5).strokeColor('#111111').stroke();
+      doc.font('Helvetica').fontSize(8).fillColor('#555555').text(label, x, signatureY + 30, { width: signatureWidth });
+    });
+
+    pdfService.drawFooter(doc, `BOL-${order.order_number} · Generated ${formatDate(new Date())}`);
+  });
+};
+
+/**
+ * Render an order document
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {string} params.type - packing-slip | bill-of-lading
+ * @param {Object} params.options - Bill of lading: { proNumber, freightClass, freightTerms }
+ * @returns {Promise<Object>} { success, buffer, filename, order } or { success: false, statusCode, code?, message }
+ */
+exports.renderDocument = async ({ orderId, type, options = {} }) => {
+  if (!DOCUMENT_TYPES.includes(type)) {
+    return { success: false, statusCode: 400, message: `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}` };
+  }
+
+  const { data: order, error } = await supabaseAdmin
+    .from('orders')
+    .select(ORDER_SELECT)
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!order) {
+    return { success: false, statusCode: 404, message: 'Order not found' };
+  }
+
+  if (!PRINTABLE_STATUSES[type].includes(order.status)) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'INVALID_STATUS',
+      message: `Order ${order.order_number} is ${order.status}; a ${type.replace(/-/g, ' ')} is printed once the order is ${PRINTABLE_STATUSES[type][0]}`
+    };
+  }
+
+  const cartons = await packingService.getPackedCartons(order.id);
+
+  let buffer;
+  if (type === 'packing-slip') {
+    const { data: items, error: itemsError } = await supabaseAdmin
+      .from('order_items')
+      .select(`
+        *,
+        products:product_id ( id, sku, name ),
+        kits:kit_product_id ( id, sku, name )
+      `)
+      .eq('order_id', order.id)
+      .order('created_at', { ascending: true });
+
+    if (itemsError) throw itemsError;
+    buffer = await renderPackingSlip(order, items || [], cartons);
+  } else {
+    if (cartons.length === 0) {
+      return {
+        success: false,
+        statusCode: 400,
+        code: 'CARTONS_REQUIRED',
+        message: `Order ${order.order_number} has no packed cartons to put on a bill of lading`
+      };
+    }
+    buffer = await renderBillOfLading(order, cartons, {
+      ...options,
+      freightTerms: FREIGHT_TERMS.includes(options.freightTerms) ? options.freightTerms : 'prepaid'
+    });
+  }
+
+  return {
+    success: true,
+    buffer,
+    filename: `${order.order_number}-${type}.pdf`,
+    order
+  };
+};
@@ -0,0 +1,401 @@
+const ExcelJS = require('exceljs');
+const path = require('path');
+const { Readable } = require('stream');
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { validateOrderItems, createOrderWithItems } = require('./orderService');
+
+/**
+ * Bulk Order Import Service
+ * Parses CSV/XLSX order spreadsheets, groups rows into orders by external
+ * reference and validates/creates them through the shared order service
+ */
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Accepted header spellings (normalized: lowercase, alphanumerics only)
+const COLUMN_ALIASES = {
+  reference: ['orderreference', 'externalreference', 'externalorderreference', 'orderref', 'reference', 'ref', 'externalorderid', 'orderid', 'ordernumber', 'po', 'ponumber'],
+  sku: ['sku', 'productsku', 'itemsku'],
+  quantity: ['quantity', 'qty', 'units'],
+  name: ['name', 'recipient', 'recipientname', 'shiptoname', 'customername', 'deliveryname'],
+  phone: ['phone', 'phonenumber', 'recipientphone', 'shiptophone', 'deliveryphone'],
+  street: ['street', 'address', 'address1', 'addressline1', 'streetaddress', 'shiptoaddress', 'deliverystreet'],
+  street2: ['address2', 'addressline2', 'street2'],
+  city: ['city', 'shiptocity', 'deliverycity'],
+  state: ['state', 'province', 'region', 'shiptostate', 'deliverystate'],
+  zipCode: ['zip', 'zipcode', 'postalcode', 'postcode', 'shiptozip', 'deliveryzip'],
+  country: ['country', 'shiptocountry', 'deliverycountry'],
+  priority: ['priority'],
+  notes: ['notes', 'note', 'comments', 'instructions']
+};
+
+const REQUIRED_ADDRESS_FIELDS = ['name', 'street', 'city', 'zipCode'];
+const ADDRESS_FIELDS = ['name', 'phone', 'street', 'city', 'state', 'zipCode', 'country'];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Map spreadsheet headers to import fields
+ * @returns {Object} field → column index
+ */
+const mapHeaders = (headers) => {
+  const columnMap = {};
+
+  headers.forEach((header, index) => {
+    const normalized = normalizeHeader(header);
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+      if (aliases.includes(normalized) && columnMap[field] === undefined) {
+        columnMap[field] = index;
+      }
+    }
+  });
+
+  return columnMap;
+};
+
+const cellText = (cell) => {
+  if (cell === null || cell === undefined) return '';
+  if (typeof cell === 'object' && cell.text !== undefined) return String(cell.text).trim();
+  return String(cell).trim();
+};
+
+/**
+ * Parse an uploaded CSV/XLSX file into raw rows
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {Promise<Array>} Rows: { rowNumber, reference, sku, quantity, deliveryAddress, priority, notes }
+ */
+exports.parseOrderSpreadsheet = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  const extname = path.extname(file.originalname).toLowerCase();
+  let worksheet;
+
+  if (extname === '.csv') {
+    // Keep every value as a string so zip codes like 02134 keep their leading zero
+    worksheet = await workbook.csv.read(Readable.from(file.buffer), {
+      map: (datum) => (datum === '' ? null : datum)
+    });
+  } else {
+    await workbook.xlsx.load(file.buffer);
+    worksheet = workbook.worksheets[0];
+  }
+
+  if (!worksheet || worksheet.rowCount < 2) {
+    return [];
+  }
+
+  const headerRow = worksheet.getRow(1);
+  const headers = [];
+  headerRow.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+    headers[colNumber - 1] = cell.text;
+  });
+
+  const columnMap = mapHeaders(headers);
+  const missingColumns = ['sku', 'quantity'].filter(field => columnMap[field] === undefined);
+  if (missingColumns.length > 0) {
+    throw new Error(`Missing required column(s): ${missingColumns.join(', ')}`);
+  }
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const value = (field) => {
+      if (columnMap[field] === undefined) return '';
+      return cellText(row.getCell(columnMap[field] + 1));
+    };
+
+    // Skip fully blank lines
+    if (!value('sku') && !value('quantity') && !value('reference')) return;
+
+    const street = [value('street'), value('street2')].filter(Boolean).join(', ');
+
+    rows.push({
+      rowNumber,
+      reference: value('reference') || null,
+      sku: value('sku').toUpperCase(),
+      quantity: value('quantity'),
+      deliveryAddress: {
+        name: value('name'),
+        phone: value('phone'),
+        street,
+        city: value('city'),
+        state: value('state'),
+        zipCode: value('zipCode'),
+        country: value('country')
+      },
+      priority: value('priority').toLowerCase() || null,
+      notes: value('notes') || null
+    });
+  });
+
+  return rows;
+};
+
+/**
+ * Group rows into orders. Rows sharing an external reference become one
+ * multi-item order; rows without a reference are single-line orders.
+ */
+const groupRows = (rows) => {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const key = row.reference ? `ref:${row.reference}` : `row:${row.rowNumber}`;
+    if (!groups.has(key)) {
+      groups.set(key, { reference: row.reference, rows: [] });
+    }
+    groups.get(key).rows.push(row);
+  });
+
+  return Array.from(groups.values());
+};
+
+/**
+ * Resolve the delivery address for a group - first row wins, later rows
+ * may leave address cells blank but may not contradict it
+ */
+const resolveGroupAddress = (group) => {
+  const address = { ...group.rows[0].deliveryAddress };
+
+  for (const row of group.rows.slice(1)) {
+    for (const field of ADDRESS_FIELDS) {
+      const cell = row.deliveryAddress[field];
+      if (!cell) continue;
+      if (!address[field]) {
+        address[field] = cell;
+      } else if (address[field].toLowerCase() !== cell.toLowerCase()) {
+        return { error: `Conflicting delivery ${field} for order reference ${group.reference} (row ${row.rowNumber})` };
+      }
+    }
+  }
+
+  const missing = REQUIRED_ADDRESS_FIELDS.filter(field => !address[field]);
+  if (missing.length > 0) {
+    return { error: `Delivery address is incomplete (missing: ${missing.join(', ')})` };
+  }
+
+  return { address };
+};
+
+/**
+ * Validate and (unless dry run) create orders from parsed spreadsheet rows
+ * @param {Object} params
+ * @param {string} params.clientId - Client the orders belong to
+ * @param {string} params.userId - User performing the import
+ * @param {Array} params.rows - Output of parseOrderSpreadsheet
+ * @param {boolean} params.dryRun - Validate only, do not create orders
+ * @returns {Promise<Object>} { summary, orders, rows } per-row report, or
+ *   { success: false, statusCode, message } when the client's products or
+ *   existing orders cannot be read
+ */
+exports.importOrderRows = async ({ clientId, userId, rows, dryRun = false }) => {
+  const rowResults = new Map();
+  const setRowResult = (row, status, message, extra = {}) => {
+    rowResults.set(row.rowNumber, {
+      row: row.rowNumber,
+      reference: row.reference,
+      sku: row.sku,
+      quantity: row.quantity,
+      status,
+      message,
+      ...extra
+    });
+  };
+
+  // Resolve SKUs to the client's products in one query
+  const skus = [...new Set(rows.map(row => row.sku).filter(Boolean))];
+  const { data: products, error: productsError } = skus.length > 0
+    ? await supabaseAdmin
+      .from('products')
+      .select('id, sku, name, is_active')
+      .eq('client_id', clientId)
+      .in('sku', skus)
+    : { data: [] };
+
+  if (productsError) {
+    // Every row would otherwise be reported as an unknown SKU
+    return { success: false, statusCode: 500, message: `Failed to load products: ${productsError.message}` };
+  }
+
+  const productsBySku = new Map((products || []).map(product => [product.sku, product]));
+
+  // Find references that were already imported for this client (idempotent re-uploads)
+  const references = [...new Set(rows.map(row => row.reference).filter(Boolean))];
+  const { data: existingOrders, error: existingError } = references.length > 0
+    ? await supabaseAdmin
+      .from('orders')
+      .select('order_number, external_reference')
+      .eq('client_id', clientId)
+      .in('external_reference', references)
+    : { data: [] };
+
+  if (existingError) {
+    // Without it a re-upload would create the same orders twice
+    return { success: false, statusCode: 500, message: `Failed to check existing orders: ${existingError.message}` };
+  }
+
+  const existingByReference = new Map((existingOrders || []).map(order => [order.external_reference, order.order_number]));
+
+  const pendingReservations = {};
+  const orderResults = [];
+
+  for (const group of groupRows(rows)) {
+    const failGroup = (message, rowMessages = {}) => {
+      group.rows.forEach(row => {
+        setRowResult(row, 'failed', rowMessages[row.rowNumber] || message);
+      });
+      orderResults.push({ reference: group.reference, status: 'failed', message, rows: group.rows.map(r => r.rowNumber) });
+    };
+
+    try {
+      if (group.reference && existingByReference.has(group.reference)) {
+        failGroup(`Order reference ${group.reference} was already imported as ${existingByReference.get(group.reference)}`);
+        continue;
+      }
+
+      // Row-level checks: SKU and quantity
+      const rowErrors = {};
+      group.rows.forEach(row => {
+        const product = productsBySku.get(row.sku);
+        const quantity = Number(row.quantity);
+
+        if (!row.sku) {
+          rowErrors[row.rowNumber] = 'SKU is required';
+        } else if (!product) {
+          rowErrors[row.rowNumber] = `Unknown SKU for this client: ${row.sku}`;
+        } else if (product.is_active === false) {
+          rowErrors[row.rowNumber] = `Product ${row.sku} is inactive`;
+        } else if (!quantity || quantity <= 0 || !Number.isInteger(quantity)) {
+          rowErrors[row.rowNumber] = 'Quantity must be a positive whole number';
+        }
+      });
+
+      if (Object.keys(rowErrors).length > 0) {
+        failGroup(`Order not created: ${Object.keys(rowErrors).length} invalid row(s)`, rowErrors);
+        continue;
+      }
+
+      const { address, error: addressError } = resolveGroupAddress(group);
+      if (addressError) {
+        failGroup(addressError);
+        continue;
+      }
+
+      // Merge duplicate SKUs within one order into a single line
+      const itemsByProduct = new Map();
+      group.rows.forEach(row => {
+        const product = productsBySku.get(row.sku);
+        const existing = itemsByProduct.get(product.id);
+        if (existing) {
+          existing.quantity += Number(row.quantity);
+          existing.rowNumbers.push(row.rowNumber);
+        } else {
+          itemsByProduct.set(product.id, {
+            productId: product.id,
+            quantity: Number(row.quantity),
+            rowNumbers: [row.rowNumber]
+          });
+        }
+      });
+      const items = Array.from(itemsByProduct.values());
+
+      // Same inventory check createOrder performs
+      const validation = await validateOrderItems(
+        clientId,
+        items.map(({ productId, quantity }) => ({ productId, quantity })),
+        { pendingReservations: dryRun ? pendingReservations : {} }
+      );
+
+      if (!validation.valid) {
+        const messages = {};
+        validation.errors.forEach(err => {
+          items[err.index].rowNumbers.forEach(rowNumber => {
+            messages[rowNumber] = err.available !== undefined
+              ? `${err.message} (available: ${err.available}, requested: ${err.requested})`
+              : err.message;
+          });
+        });
+        failGroup(validation.errors[0].message, messages);
+        continue;
+      }
+
+      const firstRow = group.rows[0];
+      const priority = ['low', 'medium', 'high'].includes(firstRow.priority) ? firstRow.priority : 'medium';
+      const notes = group.rows.map(row => row.notes).filter(Boolean).join('\n') || null;
+
+      if (dryRun) {
+        Object.entries(validation.claims).forEach(([productId, quantity]) => {
+          pendingReservations[productId] = (pendingReservations[productId] || 0) + quantity;
+        });
+        group.rows.forEach(row => setRowResult(row, 'valid', 'Row is valid'));
+        orderResults.push({
+          reference: group.reference,
+          status: 'valid',
+          itemCount: items.length,
+          totalWeight: parseFloat(validation.totalWeight.toFixed(2)),
+          rows: group.rows.map(r => r.rowNumber)
+        });
+        continue;
+      }
+
+      const result = await createOrderWithItems({
+        clientId,
+        userId,
+        items: items.map(({ productId, quantity }) => ({ productId, quantity })),
+        deliveryAddress: address,
+        notes,
+        priority,
+        totalWeight: validation.totalWeight,
+        totalVolume: validation.totalVolume,
+        extraFields: group.reference ? { external_reference: group.reference } : {}
+      });
+
+      if (!result.success) {
+        const messages = {};
+        (result.shortfalls || []).forEach(shortfall => {
+          const item = items.find(i => i.productId === shortfall.productId);
+          (item ? item.rowNumbers : []).forEach(rowNumber => {
+            messages[rowNumber] = `Insufficient stock for SKU ${shortfall.sku || shortfall.productId} (available: ${shortfall.available}, requested: ${shortfall.requested})`;
+          });
+        });
+        failGroup(result.message, messages);
+        continue;
+      }
+
+      group.rows.forEach(row => setRowResult(row, 'created', 'Order created', {
+        orderId: result.order.id,
+        orderNumber: result.order.order_number
+      }));
+      orderResults.push({
+        reference: group.reference,
+        status: 'created',
+        orderId: result.order.id,
+        orderNumber: result.order.order_number,
+        itemCount: items.length,
+        rows: group.rows.map(r => r.rowNumber)
+      });
+    } catch (error) {
+      // A lookup failing for one order must not lose the report for the rest
+      console.error(`Order import failed for ${group.reference || `row ${group.rows[0].rowNumber}`}:`, error);
+      failGroup(error.message || 'Order could not be created');
+    }
+  }
+
+  const rowReport = Array.from(rowResults.values()).sort((a, b) => a.row - b.row);
+  const okStatus = dryRun ? 'valid' : 'created';
+
+  return {
+    summary: {
+      dryRun,
+      totalRows: rowReport.length,
+      successfulRows: rowReport.filter(r => r.status === okStatus).length,
+      failedRows: rowReport.filter(r => r.status === 'failed').length,
+      totalOrders: orderResults.length,
+      successfulOrders: orderResults.filter(o => o.status === okStatus).length,
+      failedOrders: orderResults.filter(o => o.status === 'failed').length
+    },
+    orders: orderResults,
+    rows: rowReport
+  };
+};
+
+exports.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
@@ -0,0 +1,406 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const warehouseService = require('./warehouseService');
+const kitService = require('./kitService');
+const shippingRateService = require('./shippingRateService');
+const { toInches } = require('../utils/dimensionUnits');
+
+/**
+ * Order Service
+ * Shared order validation and creation used by single order entry and bulk import
+ */
+
+/**
+ * Convert a product weight to lbs
+ */
+const toLbs = (value, unit) => {
+  if (unit === 'kg') return value * 2.20462;
+  if (unit === 'g') return value * 0.00220462;
+  return value;
+};
+
+exports.toLbs = toLbs;
+
+/**
+ * Weight (lbs) and volume (cubic inches) of a quantity of a product
+ * Kits without their own weight weigh what their components do; products
+ * without dimensions add no volume.
+ * @param {Object} product - products row with weight and dimension columns
+ * @param {Array} components - Kit components from kitService.getComponents (optional)
+ * @param {number} quantity
+ * @returns {Object} { weight, volume }
+ */
+const measure = (product, components, quantity) => {
+  let weight = 0;
+  if (product && product.weight_value) {
+    weight = toLbs(product.weight_value, product.weight_unit) * quantity;
+  } else if (components) {
+    components.filter(component => component.weightValue).forEach(component => {
+      weight += toLbs(component.weightValue, component.weightUnit) * component.quantity * quantity;
+    });
+  }
+
+  const dimensions = product ? [product.dimensions_length, product.dimensions_width, product.dimensions_height] : [];
+  const volume = dimensions.length === 3 && dimensions.every(value => parseFloat(value) > 0)
+    ? dimensions.reduce((total, value) => total * toInches(parseFloat(value), product.dimensions_unit), 1) * quantity
+    : 0;
+
+  return { weight, volume };
+};
+
+const PRODUCT_MEASURE_SELECT = 'name, sku, weight_value, weight_unit, dimensions_length, dimensions_width, dimensions_height, dimensions_unit';
+
+/**
+ * Weight and volume of order items without checking stock (shipping estimates)
+ * @param {Array} items - [{ productId, quantity }]
+ * @param {string} clientId - Only count this client's products (optional)
+ * @returns {Promise<Object>} { totalWeight (lbs), totalVolume (cubic inches) }
+ */
+exports.measureItems = async (items, clientId = null) => {
+  const productIds = [...new Set(items.map(item => item.productId).filter(Boolean))];
+  if (productIds.length === 0) return { totalWeight: 0, totalVolume: 0 };
+
+  // Use admin client to bypass RLS
+  let query = supabaseAdmin
+    .from('products')
+    .select(`id, ${PRODUCT_MEASURE_SELECT}`)
+    .in('id', productIds);
+
+  if (clientId) {
+    query = query.eq('client_id', clientId);
+  }
+
+  const [{ data: products }, kits] = await Promise.all([
+    query,
+    kitService.getComponents({ kitProductIds: productIds })
+  ]);
+
+  let totalWeight = 0;
+  let totalVolume = 0;
+  items.forEach(item => {
+    const product = (products || []).find(p => p.id === item.productId);
+    const quantity = parseInt(item.quantity) || 0;
+    if (!product || quantity <= 0) return;
+
+    const { weight, volume } = measure(product, kits[item.productId], quantity);
+    totalWeight += weight;
+    totalVolume += volume;
+  });
+
+  return { totalWeight, totalVolume };
+};
+
+/**
+ * Units available per product for a client, across warehouses or in one
+ * @returns {Promise<Object>} productId → units
+ */
+const getAvailableStock = async (clientId, productIds, warehouseId) => {
+  // Use admin client to bypass RLS
+  let query = supabaseAdmin
+    .from('inventory')
+    .select('product_id, available_stock')
+    .eq('client_id', clientId)
+    .in('product_id', productIds);
+
+  if (warehouseId) {
+    query = query.eq('warehouse_id', warehouseId);
+  }
+
+  const { data: rows } = await query;
+
+  const available = {};
+  (rows || []).forEach(row => {
+    available[row.product_id] = (available[row.product_id] || 0) + (row.available_stock || 0);
+  });
+
+  return available;
+};
+
+/**
+ * Validate order items against the client's inventory and compute total weight
+ * @param {string} clientId - Client UUID
+ * @param {Array} items - [{ productId, quantity }]
+ * @param {Object} options
+ * @param {Object} options.pendingReservations - productId → quantity already claimed by
+ *   other orders in the same batch that have not been written yet (dry-run imports)
+ * @param {string} options.warehouseId - Only count stock in this warehouse
+ *   (otherwise stock across all warehouses; routing then picks one that can ship everything)
+ * Kits short of assembled stock count as built to order from their components.
+ * @returns {Promise<Object>} { valid, errors: [{ index, productId, code?, sku?, message }], totalWeight,
+ *   totalVolume, claims: productId → units these items take (components for kits built to order) }
+ */
+exports.validateOrderItems = async (clientId, items, { pendingReservations = {}, warehouseId = null } = {}) => {
+  const errors = [];
+  const claimed = { ...pendingReservations };
+  const claims = {};
+  let totalWeight = 0;
+  let totalVolume = 0;
+
+  const kits = await kitService.getComponents({
+    kitProductIds: [...new Set(items.map(item => item.productId).filter(Boolean))]
+  });
+
+  for (const [index, item] of items.entries()) {
+    if (!item.productId) {
+      errors.push({ index, productId: null, message: `Product is required for item ${index + 1}` });
+      continue;
+    }
+
+    if (!item.quantity || item.quantity <= 0 || !Number.isInteger(Number(item.quantity))) {
+      errors.push({
+        index,
+        productId: item.productId,
+        message: `Quantity must be a positive whole number for item ${index + 1}`
+      });
+      continue;
+    }
+
+    const quantity = Number(item.quantity);
+
+    // Get product name, weight and dimensions - use admin client to bypass RLS
+    const { data: product } = await supabaseAdmin
+      .from('products')
+      .select(PRODUCT_MEASURE_SELECT)
+      .eq('id', item.productId)
+      .single();
+
+    const components = kits[item.productId];
+
+    // Check inventory availability (kits: their own and their components')
+    const available = await getAvailableStock(
+      clientId,
+      [item.productId, ...(components || []).map(component => component.productId)],
+      warehouseId
+    );
+    const remaining = {};
+    Object.keys(available).forEach(productId => {
+      remaining[productId] = available[productId] - (claimed[productId] || 0);
+    });
+
+    const availableStock = remaining[item.productId] || 0;
+
+    // Kits short of assembled stock are built to order from their components
+    const buildable = components && availableStock < quantity
+      ? kitService.buildableUnits(components, remaining)
+      : 0;
+
+    if (availableStock < quantity && buildable < quantity) {
+      errors.push({
+        index,
+        productId: item.productId,
+        code: 'INSUFFICIENT_STOCK',
+        sku: product?.sku || null,
+        message: `Insufficient stock for product: ${product?.name || item.productId}`,
+        available: Math.max(0, availableStock, buildable),
+        requested: quantity
+      });
+      continue;
+    }
+
+    const claim = (productId, units) => {
+      claimed[productId] = (claimed[productId] || 0) + units;
+      claims[productId] = (claims[productId] || 0) + units;
+    };
+
+    if (availableStock >= quantity) {
+      claim(item.productId, quantity);
+    } else {
+      components.forEach(component => claim(component.productId, component.quantity * quantity));
+    }
+
+    const { weight, volume } = measure(product, components, quantity);
+    totalWeight += weight;
+    totalVolume += volume;
+  }
+
+  return { valid: errors.length === 0, errors, totalWeight, totalVolume, claims };
+};
+
+/**
+ * Format a shortfall row returned by create_order_with_reservation()
+ */
+const formatShortfall = (shortfall) => ({
+  productId: shortfall.product_id,
+  sku: shortfall.sku || null,
+  name: shortfall.name || null,
+  requested: shortfall.requested,
+  available: shortfall.available,
+  shortfall: shortfall.shortfall
+});
+
+/**
+ * Create an order with its items and reserve inventory for every line
+ * in one all-or-nothing database operation (create_order_with_reservation).
+ * Kit lines without enough assembled kits are replaced by their component
+ * lines (kitService.expandOrderItems), then the order is routed to a
+ * warehouse holding stock for every line.
+ * Inventory rows are locked before availability is checked, so concurrent
+ * orders cannot oversell.
+ * @param {Object} params
+ * @param {string} params.clientId - Client UUID
+ * @param {string} params.userId - User creating the order
+ * @param {Array} params.items - Validated items [{ productId, quantity, unitPrice }]
+ * @param {Object} params.deliveryAddress - { name, phone, street, city, state, zipCode, country }
+ * @param {string} params.notes - Order notes
+ * @param {string} params.priority - low | medium | high
+ * @param {number} params.totalWeight - Total weight in lbs (from validateOrderItems)
+ * @param {number} params.totalVolume - Total volume in cubic inches (from validateOrderItems)
+ * @param {Object} params.shipping - { serviceId, serviceLevel (cheapest | fastest), carrier }
+ *   picks the shipping service the order is charged for (default: cheapest)
+ * @param {string} params.attachmentPath - Optional uploaded PDF path
+ * @param {Object} params.extraFields - Additional order columns (e.g. external_reference)
+ * @param {string} params.warehouseId - Ship from this warehouse instead of routing
+ * @returns {Promise<Object>} { success, order, shippingOptions: { options, cheapest, fastest } } or
+ *   { success: false, code, message, shortfalls?, details? }
+ */
+exports.createOrderWithItems = async ({
+  clientId,
+  userId,
+  items,
+  deliveryAddress = {},
+  notes,
+  priority,
+  totalWeight = 0,
+  totalVolume = 0,
+  shipping = {},
+  attachmentPath = null,
+  extraFields = {},
+  warehouseId = null
+}) => {
+  for (const item of items) {
+    if (item.unitPrice !== undefined && (isNaN(item.unitPrice) || item.unitPrice < 0)) {
+      return {
+        success: false,
+        code: 'INVALID_UNIT_PRICE',
+        message: `Invalid unit price for item: ${item.productId}`
+      };
+    }
+  }
+
+  // Kits without enough assembled stock ship as their components
+  const lines = await kitService.expandOrderItems({ clientId, items, warehouseId });
+
+  const routing = await warehouseService.routeOrder(clientId, lines, warehouseId);
+
+  if (!routing.warehouseId) {
+    return {
+      success: false,
+      code: 'INSUFFICIENT_STOCK',
+      message: warehouseId
+        ? `Insufficient stock in the selected warehouse for ${routing.shortfalls.length} product(s): ${routing.shortfalls.map(s => s.sku || s.productId).join(', ')}`
+        : `No single warehouse holds enough stock for ${routing.shortfalls.length} product(s): ${routing.shortfalls.map(s => s.sku || s.productId).join(', ')}`,
+      shortfalls: routing.shortfalls
+    };
+  }
+
+  // Price the shipment with the configured carrier rate tables
+  const shippingOptions = await shippingRateService.estimate({
+    totalWeight,
+    totalVolume,
+    destination: deliveryAddress,
+    warehouseId: routing.warehouseId
+  });
+
+  const choice = shippingRateService.chooseOption(shippingOptions, shipping);
+  if (!choice.success) {
+    return { success: false, code: choice.code, message: choice.message };
+  }
+
+  const { option } = choice;
+  const shippingFee = option.amount;
+
+  const orderData = {
+    client_id: clientId,
+    warehouse_id: routing.warehouseId,
+    created_by: userId,
+    delivery_address_name: deliveryAddress.name,
+    delivery_address_phone: deliveryAddress.phone,
+    delivery_address_street: deliveryAddress.street,
+    delivery_address_city: deliveryAddress.city,
+    delivery_address_state: deliveryAddress.state,
+    delivery_address_zip_code: deliveryAddress.zipCode,
+    delivery_address_country: deliveryAddress.country || 'United States',
+    status: 'pending',
+    priority: priority || 'medium',
+    notes: notes || null,
+    total_weight: parseFloat(totalWeight.toFixed(2)),
+    shipping_fee: shippingFee,
+    total_amount: shippingFee, // Will be updated when invoice is generated
+    shipping_service_id: option.serviceId,
+    carrier: option.carrier,
+    service_level: option.serviceCode,
+    shipping_zone: option.zone,
+    billable_weight: option.billableWeight,
+    transit_days: option.transitDays,
+    ...extraFields
+  };
+
+  const orderItems = lines.map(item => ({
+    product_id: item.productId,
+    quantity: parseInt(item.quantity),
+    unit_price: item.unitPrice || 0,
+    ...(item.kitProductId && {
+      kit_product_id: item.kitProductId,
+      kit_quantity: item.kitQuantity,
+      kit_unit_price: item.kitUnitPrice
+    })
+  }));
+
+  const reserve = (order) => supabaseAdmin.rpc('create_order_with_reservation', {
+    p_order: order,
+    p_items: orderItems
+  });
+
+  // Try to create order with attachment_url first
+  let { data: result, error } = await reserve(
+    attachmentPath ? { ...orderData, attachment_url: attachmentPath } : orderData
+  );
+
+  // If error is about missing attachment_url column, retry without it
+  if (attachmentPath && error && error.message && (
+    error.message.includes('attachment_url') ||
+    (error.message.includes('column') && error.message.toLowerCase().includes('attachment'))
+  )) {
+    console.warn('[OrderService] attachment_url column not found, retrying order creation without attachment URL');
+    ({ data: result, error } = await reserve(orderData));
+
+    if (!error) {
+      console.warn('[OrderService] Order created successfully but PDF attachment was not saved (attachment_url column missing - migration recommended)');
+    }
+  }
+
+  if (error) {
+    return {
+      success: false,
+      code: 'ORDER_CREATE_FAILED',
+      message: error.message || 'Failed to create order',
+      details: error.details || error.hint || null
+    };
+  }
+
+  if (!result?.success) {
+    const shortfalls = (result?.shortfalls || []).map(formatShortfall);
+    return {
+      success: false,
+      code: 'INSUFFICIENT_STOCK',
+      message: `Insufficient stock to reserve ${shortfalls.length} product(s): ${shortfalls.map(s => s.sku || s.productId).join(', ')}`,
+      shortfalls
+    };
+  }
+
+  const { data: order, error: fetchError } = await supabaseAdmin
+    .from('orders')
+    .select('*')
+    .eq('id', result.order_id)
+    .single();
+
+  if (fetchError || !order) {
+    return {
+      success: false,
+      code: 'ORDER_CREATE_FAILED',
+      message: 'Order was created but could not be loaded',
+      details: fetchError?.message || null
+    };
+  }
+
+  return { success: true, order, shippingOptions };
+};
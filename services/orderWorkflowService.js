@@ -0,0 +1,659 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const orderWorkflow = require('../config/orderWorkflow');
+const locationService = require('./locationService');
+const lotService = require('./lotService');
+const serialService = require('./serialService');
+const shippingService = require('./shippingService');
+
+/**
+ * Order Workflow Service
+ * Applies order status transitions defined in config/orderWorkflow.js:
+ * validates the transition, moves reserved stock, stamps timestamps
+ * and records every change in order_status_history.
+ */
+
+/**
+ * All known order statuses
+ * @returns {Array<string>}
+ */
+exports.getStatuses = () => Object.keys(orderWorkflow.statuses);
+
+/**
+ * Check whether an order is locked by a non-draft invoice
+ * @param {Object} order - Order row
+ * @returns {Promise<Object|null>} Locking invoice { invoice_number, status } or null
+ */
+exports.getLockingInvoice = async (order) => {
+  if (!order.invoice_id) return null;
+
+  const { data: invoice } = await supabaseAdmin
+    .from('invoices')
+    .select('invoice_number, status')
+    .eq('id', order.invoice_id)
+    .single();
+
+  // Draft invoices do NOT lock orders
+  if (!invoice || invoice.status === 'draft') return null;
+
+  return invoice;
+};
+
+/**
+ * Status the order was in before it was put on hold
+ */
+const getStatusBeforeHold = async (orderId) => {
+  const { data: entry } = await supabaseAdmin
+    .from('order_status_history')
+    .select('from_status')
+    .eq('order_id', orderId)
+    .eq('to_status', 'on_hold')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return entry?.from_status || null;
+};
+
+/**
+ * Statuses an order can move to next
+ * @param {Object} order - Order row
+ * @param {Object} options
+ * @param {boolean} options.locked - Order is locked by a non-draft invoice
+ * @returns {Promise<Array<string>>}
+ */
+exports.getAllowedTransitions = async (order, { locked = false } = {}) => {
+  const config = orderWorkflow.statuses[order.status] || {};
+  let allowed = locked
+    ? (orderWorkflow.lockedTransitions[order.status] || [])
+    : (orderWorkflow.transitions[order.status] || []);
+
+  if (config.resumesPreviousStatus) {
+    const previousStatus = await getStatusBeforeHold(order.id);
+    if (previousStatus) {
+      allowed = allowed.filter(status =>
+        status === previousStatus || (config.alwaysAllowed || []).includes(status)
+      );
+    }
+  }
+
+  return allowed;
+};
+
+/**
+ * Move reserved stock for one order item - use admin client to bypass RLS
+ * reserved → dispatched when shipping, reserved → available when releasing.
+ * undo applies the opposite move (rollback).
+ * @returns {Promise<boolean>}
+ */
+const moveReservedStock = async (inventoryId, quantity, destination, { undo = false } = {}) => {
+  const delta = undo ? -quantity : quantity;
+
+  const { error } = await supabaseAdmin.rpc('update_inventory_atomic', {
+    p_inventory_id: inventoryId,
+    p_reserved_delta: -delta,
+    p_dispatched_delta: destination === 'dispatched' ? delta : 0,
+    p_available_delta: destination === 'available' ? delta : 0
+  });
+
+  if (error) {
+    console.error(`Failed to ${undo ? 'undo' : 'apply'} stock move for inventory ${inventoryId}:`, error);
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Undo stock moves made by moveOrderStock
+ * @param {Array} moves - [{ inventoryId, quantity }]
+ * @param {string} destination - dispatched | available
+ */
+const undoOrderStock = async (moves, destination) => {
+  for (const { inventoryId, quantity } of moves) {
+    await moveReservedStock(inventoryId, quantity, destination, { undo: true });
+  }
+};
+
+/**
+ * Move the reserved stock of several order items, all or nothing: when one
+ * move fails the moves already made are undone
+ * @param {Object} order - orders row
+ * @param {Array} moves - [{ item, quantity }]
+ * @param {string} destination - dispatched | available
+ * @returns {Promise<Object>} { success, moves: [{ item, quantity, inventoryId }] } or
+ *   { success: false, statusCode, code, message }
+ */
+const moveOrderStock = async (order, moves, destination) => {
+  const done = [];
+
+  for (const { item, quantity } of moves) {
+    const { data: inventory, error: inventoryError } = await supabaseAdmin
+      .from('inventory')
+      .select('id')
+      .eq('product_id', item.product_id)
+      .eq('client_id', order.client_id)
+      .eq('warehouse_id', order.warehouse_id)
+      .maybeSingle();
+
+    if (inventoryError || !inventory) {
+      console.error(`Failed to fetch inventory for product ${item.product_id}:`, inventoryError);
+    }
+
+    const moved = inventory && await moveReservedStock(inventory.id, quantity, destination);
+    if (!moved) {
+      await undoOrderStock(done, destination);
+      return {
+        success: false,
+        statusCode: 409,
+        code: 'STOCK_MOVE_FAILED',
+        message: `Could not move reserved stock for product ${item.product_id} to ${destination}; the order was not changed`
+      };
+    }
+
+    done.push({ item, quantity, inventoryId: inventory.id });
+  }
+
+  return { success: true, moves: done };
+};
+
+/**
+ * Quantity of an order item not shipped yet
+ */
+const remainingQuantity = (item) => item.quantity - (item.shipped_quantity || 0);
+
+/**
+ * Validate the items of a partial shipment against the order's open quantities
+ * Entries name an order line by orderItemId, or by productId when the product
+ * is on one line only; entries for the same line are added up.
+ * @returns {Object} { valid, message?, shipments: [{ item, quantity, serialNumbers }] }
+ */
+const resolvePartialShipment = (orderItems, shippedItems) => {
+  if (!Array.isArray(shippedItems) || shippedItems.length === 0) {
+    return { valid: false, message: 'Shipped items are required for a partial shipment' };
+  }
+
+  const byItem = new Map();
+  for (const shipped of shippedItems) {
+    let item;
+    if (shipped.orderItemId) {
+      item = orderItems.find(i => i.id === shipped.orderItemId);
+      if (!item) {
+        return { valid: false, message: `Order item ${shipped.orderItemId} is not part of this order` };
+      }
+    } else {
+      const lines = orderItems.filter(i => i.product_id === shipped.productId);
+      if (lines.length === 0) {
+        return { valid: false, message: `Product ${shipped.productId} is not part of this order` };
+      }
+      if (lines.length > 1) {
+        return { valid: false, message: `Product ${shipped.productId} is on several order lines; name the orderItemId` };
+      }
+      item = lines[0];
+    }
+
+    const quantity = Number(shipped.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { valid: false, message: `Shipped quantity must be a positive whole number for product ${item.product_id}` };
+    }
+
+    const shipment = byItem.get(item.id) || { item, quantity: 0, serialNumbers: [] };
+    shipment.quantity += quantity;
+    if (Array.isArray(shipped.serialNumbers)) {
+      shipment.serialNumbers.push(...shipped.serialNumbers);
+    }
+    byItem.set(item.id, shipment);
+  }
+
+  const shipments = Array.from(byItem.values());
+  for (const { item, quantity } of shipments) {
+    if (quantity > remainingQuantity(item)) {
+      return {
+        valid: false,
+        message: `Cannot ship ${quantity} of product ${item.product_id}: only ${remainingQuantity(item)} left to ship`
+      };
+    }
+  }
+
+  return { valid: true, shipments };
+};
+
+/**
+ * Take back shipped units recorded by claimShippedQuantities
+ * @param {Array} claimed - [{ item, quantity }]
+ */
+const releaseShippedQuantities = async (claimed) => {
+  for (const { item, quantity } of claimed) {
+    const { error } = await supabaseAdmin.rpc('add_shipped_quantity', {
+      p_order_item_id: item.id,
+      p_quantity: -quantity
+    });
+
+    if (error) {
+      console.error(`Failed to release shipped quantity for order item ${item.id}:`, error);
+    }
+  }
+};
+
+/**
+ * Record the shipped units of each order line, all or nothing. The increment
+ * runs in SQL, so a concurrent shipment cannot be overwritten, and the
+ * database refuses to ship more than was ordered.
+ * @param {Array} shipments - [{ item, quantity }]
+ * @returns {Promise<Object>} { success, claimed } or { success: false, statusCode, code, message }
+ */
+const claimShippedQuantities = async (shipments) => {
+  const claimed = [];
+
+  for (const { item, quantity } of shipments) {
+    const { error } = await supabaseAdmin.rpc('add_shipped_quantity', {
+      p_order_item_id: item.id,
+      p_quantity: quantity
+    });
+
+    if (error) {
+      await releaseShippedQuantities(claimed);
+      return {
+        success: false,
+        statusCode: 409,
+        code: 'SHIPMENT_CONFLICT',
+        message: `Could not ship ${quantity} of product ${item.product_id}: the order line changed while it was being shipped; reload the order and try again`
+      };
+    }
+
+    claimed.push({ item, quantity });
+  }
+
+  return { success: true, claimed };
+};
+
+/**
+ * Orders are packed at the pack station (scan-to-verify, cartons). Only the
+ * pack session completing the pack, or an order put on hold after a
+ * completed pack session, can move to packed.
+ * @param {Object} order - orders row
+ * @param {string|null} packSessionId - Open session completing the pack (packingService)
+ * @returns {Promise<Object>} { success } or { success: false, statusCode, code, message }
+ */
+const checkPackVerification = async (order, packSessionId) => {
+  let query = supabaseAdmin
+    .from('pack_sessions')
+    .select('id')
+    .eq('order_id', order.id);
+
+  query = packSessionId
+    ? query.eq('id', packSessionId).eq('status', 'open')
+    : query.eq('status', 'completed');
+
+  const { data: packSession, error } = await query.limit(1).maybeSingle();
+
+  if (error) {
+    return { success: false, statusCode: 500, message: `Failed to check pack sessions: ${error.message}` };
+  }
+
+  if (!packSession || (!packSessionId && order.status !== 'on_hold')) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'PACK_VERIFICATION_REQUIRED',
+      message: 'Orders are packed through the pack station: POST /api/packing/sessions'
+    };
+  }
+
+  return { success: true };
+};
+
+/**
+ * Record a status change in the order timeline
+ * @param {Object} entry
+ * @param {string} entry.orderId
+ * @param {string|null} entry.fromStatus
+ * @param {string} entry.toStatus
+ * @param {string} entry.changedBy - User UUID (null for system changes)
+ * @param {string} entry.note
+ * @param {Object} entry.metadata
+ */
+exports.recordStatusHistory = async ({ orderId, fromStatus, toStatus, changedBy = null, note = null, metadata = {} }) => {
+  const { error } = await supabaseAdmin
+    .from('order_status_history')
+    .insert({
+      order_id: orderId,
+      from_status: fromStatus,
+      to_status: toStatus,
+      changed_by: changedBy,
+      note,
+      metadata
+    });
+
+  if (error) {
+    console.error(`Failed to record status history for order ${orderId}:`, error.message);
+  }
+};
+
+/**
+ * Transition an order to a new status
+ * @param {Object} params
+ * @param {string} params.orderId - Order UUID
+ * @param {string} params.toStatus - Target status
+ * @param {string} params.userId - User making the change (null for system changes)
+ * @param {string} params.note - Optional note stored in the timeline
+ * @param {string} params.trackingNumber - Optional tracking number (shipments)
+ * @param {Array} params.shippedItems - [{ orderItemId?, productId?, quantity, serialNumbers? }] for partially_shipped
+ * @param {Array} params.serialNumbers - [{ productId, serialNumber }] scanned when packing
+ * @param {string} params.packSessionId - Pack session completing the pack (required for packed
+ *   unless the order is coming off hold after a completed pack); completed with the order
+ * @param {string} params.occurredAt - When the change happened, if earlier than now (e.g. carrier delivery scan)
+ * @returns {Promise<Object>} { success, order, fromStatus, items } or
+ *   { success: false, statusCode, code, message, data? }
+ */
+exports.transitionOrder = async ({
+  orderId,
+  toStatus,
+  userId = null,
+  note = null,
+  trackingNumber,
+  shippedItems,
+  serialNumbers,
+  packSessionId = null,
+  occurredAt = null
+}) => {
+  // Use admin client to bypass RLS
+  const { data: order } = await supabaseAdmin
+    .from('orders')
+    .select('*')
+    .eq('id', orderId)
+    .single();
+
+  if (!order) {
+    return { success: false, statusCode: 404, message: 'Order not found' };
+  }
+
+  if (!orderWorkflow.statuses[toStatus]) {
+    return { success: false, statusCode: 400, code: 'INVALID_STATUS', message: `Unknown order status: ${toStatus}` };
+  }
+
+  const allowedStatuses = await exports.getAllowedTransitions(order);
+  if (!allowedStatuses.includes(toStatus)) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'INVALID_STATUS_TRANSITION',
+      message: `Invalid status transition: ${order.status} → ${toStatus}. Allowed: ${allowedStatuses.join(', ') || 'none'}`,
+      data: {
+        currentStatus: order.status,
+        attemptedStatus: toStatus,
+        allowedStatuses
+      }
+    };
+  }
+
+  if (toStatus === 'packed') {
+    const packVerification = await checkPackVerification(order, packSessionId);
+    if (!packVerification.success) return packVerification;
+  }
+
+  // CRITICAL: Orders locked by a sent/partial/paid invoice only allow
+  // the post-shipment transitions listed in lockedTransitions
+  const invoice = await exports.getLockingInvoice(order);
+  if (invoice) {
+    const lockedAllowed = await exports.getAllowedTransitions(order, { locked: true });
+
+    if (!lockedAllowed.includes(toStatus)) {
+      return {
+        success: false,
+        statusCode: 403,
+        code: 'ORDER_LOCKED_BY_INVOICE',
+        message: `Order is locked by invoice ${invoice.invoice_number} (status: ${invoice.status}). Invoiced orders cannot be modified.`,
+        data: {
+          invoiceNumber: invoice.invoice_number,
+          invoiceStatus: invoice.status,
+          currentStatus: order.status,
+          attemptedStatus: toStatus,
+          allowedStatuses: lockedAllowed,
+          solution: 'Create a return (POST /api/returns) or a credit note for refunds and adjustments'
+        },
+        hint: 'Invoiced orders represent billed services and are immutable. Use the credit note workflow instead.'
+      };
+    }
+  }
+
+  const { data: orderItems } = await supabaseAdmin
+    .from('order_items')
+    .select('*')
+    .eq('order_id', orderId);
+
+  const items = orderItems || [];
+  const now = new Date().toISOString();
+  let status = toStatus;
+  const metadata = {};
+
+  // Partial shipment: ship only the listed quantities
+  let shipments = [];
+  if (toStatus === 'partially_shipped') {
+    const partial = resolvePartialShipment(items, shippedItems);
+    if (!partial.valid) {
+      return { success: false, statusCode: 400, code: 'INVALID_SHIPMENT', message: partial.message };
+    }
+    shipments = partial.shipments;
+    metadata.shippedItems = shipments.map(s => ({
+      orderItemId: s.item.id,
+      productId: s.item.product_id,
+      quantity: s.quantity
+    }));
+
+    // Shipping everything that is left completes the order
+    const shippedAll = items.every(item => {
+      const shipment = shipments.find(s => s.item.id === item.id);
+      return remainingQuantity(item) === (shipment ? shipment.quantity : 0);
+    });
+    if (shippedAll) {
+      status = 'dispatched';
+    }
+  } else if (toStatus === 'dispatched') {
+    shipments = items
+      .filter(item => remainingQuantity(item) > 0)
+      .map(item => ({ item, quantity: remainingQuantity(item) }));
+  }
+
+  // Serial-tracked units can only ship once they are packed with their serials
+  const shipmentSerials = await serialService.resolveShipmentSerials({ order, shipments });
+  if (!shipmentSerials.success) return shipmentSerials;
+
+  // Pack: scanned serials are checked against the client's stock and reserved for this order
+  let packedSerialIds = [];
+  if (toStatus === 'packed') {
+    const packing = await serialService.packOrderSerials({ order, items, serialNumbers });
+    if (!packing.success) return packing;
+    packedSerialIds = packing.serialIds;
+  }
+
+  // Move the stock first, all or nothing: reserved → dispatched for the
+  // shipped quantities, reserved → available when a cancellation releases it
+  let stockMoves = [];
+  let stockDestination = null;
+  if (shipments.length > 0) {
+    stockDestination = 'dispatched';
+    stockMoves = shipments;
+  } else if (toStatus === 'cancelled' && orderWorkflow.reservedStatuses.includes(order.status)) {
+    stockDestination = 'available';
+    stockMoves = items
+      .filter(item => remainingQuantity(item) > 0)
+      .map(item => ({ item, quantity: remainingQuantity(item) }));
+  }
+
+  // Shipped units are counted on their order lines before any stock moves
+  let claimedShipments = [];
+  if (shipments.length > 0) {
+    const claim = await claimShippedQuantities(shipments);
+    if (!claim.success) return claim;
+    claimedShipments = claim.claimed;
+  }
+
+  let movedStock = [];
+  if (stockMoves.length > 0) {
+    const stock = await moveOrderStock(order, stockMoves, stockDestination);
+    if (!stock.success) {
+      await releaseShippedQuantities(claimedShipments);
+      await serialService.unpackSerials(packedSerialIds);
+      return stock;
+    }
+    movedStock = stock.moves;
+  }
+
+  // Labels bought for the order are voided with the carrier once its stock
+  // is released; a void the carrier refuses blocks the cancellation (and
+  // puts the stock back) so the label is not left active, and billed, on a
+  // cancelled order
+  if (toStatus === 'cancelled') {
+    const voided = await shippingService.voidLabels({ orderId, reason: note || 'Order cancelled', userId });
+    if (voided.success) {
+      metadata.labelsVoided = voided.voided;
+    }
+
+    const failed = voided.success ? voided.failed : (voided.code === 'CARRIER_ERROR' ? voided.data.failed : []);
+    if (failed.length > 0) {
+      await undoOrderStock(movedStock, stockDestination);
+      return {
+        success: false,
+        statusCode: 502,
+        code: 'LABEL_VOID_FAILED',
+        message: `Order ${order.order_number} was not cancelled: the carrier refused to void ${failed.length} shipment(s). Retry, or void the labels with the carrier first.`,
+        data: { failed, voided: voided.voided || [] }
+      };
+    }
+  }
+
+  const updateData = {
+    status,
+    updated_at: now
+  };
+
+  const timestampField = orderWorkflow.statuses[status].timestampField;
+  if (timestampField) {
+    updateData[timestampField] = occurredAt || now;
+  }
+
+  if (status === 'approved') {
+    updateData.approved_by = userId;
+  }
+
+  if (trackingNumber && ['partially_shipped', 'dispatched'].includes(status)) {
+    updateData.tracking_number = trackingNumber;
+    metadata.trackingNumber = trackingNumber;
+  }
+
+  // Update order - use admin client to bypass RLS. Only from the status
+  // checked above: a concurrent transition that got there first wins
+  const { data: updatedOrder, error: updateError } = await supabaseAdmin
+    .from('orders')
+    .update(updateData)
+    .eq('id', orderId)
+    .eq('status', order.status)
+    .select('*')
+    .maybeSingle();
+
+  if (updateError || !updatedOrder) {
+    // ROLLBACK: Stock moved, units shipped and units scanned for this attempt go back
+    await undoOrderStock(movedStock, stockDestination);
+    await releaseShippedQuantities(claimedShipments);
+    await serialService.unpackSerials(packedSerialIds);
+
+    if (!updateError) {
+      return {
+        success: false,
+        statusCode: 409,
+        code: 'ORDER_STATUS_CHANGED',
+        message: `Order ${order.order_number} changed status while it was being updated; reload it and try again`
+      };
+    }
+
+    return {
+      success: false,
+      statusCode: 400,
+      message: updateError.message || 'Failed to update order'
+    };
+  }
+
+  // The pack session completes with the order. When it cannot (failed
+  // write, or the session was cancelled meanwhile), the order goes back
+  // to where it was so the pack can be completed again.
+  if (toStatus === 'packed' && packSessionId) {
+    const { data: completedSession, error: sessionError } = await supabaseAdmin
+      .from('pack_sessions')
+      .update({ status: 'completed', completed_at: now, updated_at: now })
+      .eq('id', packSessionId)
+      .eq('status', 'open')
+      .select('id')
+      .maybeSingle();
+
+    if (sessionError || !completedSession) {
+      // ROLLBACK: Order status and units scanned for this attempt go back
+      await supabaseAdmin
+        .from('orders')
+        .update({ status: order.status, packed_at: order.packed_at, updated_at: new Date().toISOString() })
+        .eq('id', orderId)
+        .eq('status', status);
+      await serialService.unpackSerials(packedSerialIds);
+
+      return {
+        success: false,
+        statusCode: sessionError ? 500 : 409,
+        message: sessionError
+          ? `Order ${order.order_number} was not packed: the pack session could not be completed (${sessionError.message})`
+          : `Order ${order.order_number} was not packed: the pack session is no longer open`
+      };
+    }
+  }
+
+  // Shipped units leave their pick bins, lots and serials; released units
+  // give their lot allocation and packed serials back
+  for (const { item, quantity, inventoryId } of movedStock) {
+    if (stockDestination === 'dispatched') {
+      await locationService.pickFromBins(inventoryId, quantity);
+      await lotService.shipOrderLots(order.id, item.product_id, quantity);
+      await serialService.shipSerials(shipmentSerials.serialIds[item.id]);
+    } else {
+      await lotService.releaseOrderLots(order.id, item.product_id, quantity);
+    }
+  }
+
+  if (toStatus === 'cancelled' && orderWorkflow.reservedStatuses.includes(order.status)) {
+    await serialService.releaseOrderSerials(order.id);
+  }
+
+  await exports.recordStatusHistory({
+    orderId,
+    fromStatus: order.status,
+    toStatus: status,
+    changedBy: userId,
+    note,
+    metadata
+  });
+
+  return { success: true, order: updatedOrder, fromStatus: order.status, items };
+};
+
+/**
+ * Order status timeline, oldest first
+ * @param {string} orderId - Order UUID
+ * @returns {Promise<Array>} History rows with changed_by user
+ */
+exports.getOrderHistory = async (orderId) => {
+  const { data, error } = await supabaseAdmin
+    .from('order_status_history')
+    .select(`
+      *,
+      user_profiles:changed_by (
+        id,
+        name,
+        email
+      )
+    `)
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+};
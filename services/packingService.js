@@ -0,0 +1,509 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const orderWorkflowService = require('./orderWorkflowService');
+const { toLbs } = require('./orderService');
+
+/**
+ * Packing Service
+ * Pack station workflow: open → completed | cancelled
+ * A session lists the units left to pack per order line. The packer scans
+ * each unit by SKU or product barcode; scans for products that are not on
+ * the order, or beyond the ordered quantity, are rejected. Once every unit
+ * is scanned and at least one carton is recorded, completing the session
+ * moves the order to packed (with the serials scanned for serial-tracked
+ * products) and stores the weighed carton weight as orders.actual_weight.
+ */
+
+const SESSION_SELECT = `
+  *,
+  orders:order_id ( id, order_number, status, client_id, total_weight, actual_weight ),
+  packer:packed_by ( id, name )
+`;
+
+/**
+ * Units of a session line still to scan
+ */
+const remainingToScan = (line) => line.quantity_expected - line.quantity_scanned;
+
+/**
+ * Load a session with its lines and cartons
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>} { session, lines, cartons }
+ */
+exports.getSession = async (sessionId) => {
+  const { data: session } = await supabaseAdmin
+    .from('pack_sessions')
+    .select(SESSION_SELECT)
+    .eq('id', sessionId)
+    .single();
+
+  if (!session) return null;
+
+  const [{ data: lines }, { data: cartons }] = await Promise.all([
+    supabaseAdmin
+      .from('pack_session_lines')
+      .select('*, products:product_id ( id, name, sku, barcode, track_serials )')
+      .eq('session_id', sessionId),
+    supabaseAdmin
+      .from('pack_cartons')
+      .select('*')
+      .eq('session_id', sessionId)
+      .order('carton_number', { ascending: true })
+  ]);
+
+  return { session, lines: lines || [], cartons: cartons || [] };
+};
+
+/**
+ * Open a pack session for an approved order
+ * An order has at most one open session; starting again returns it.
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {string} params.notes
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, created, sessionId } or { success: false, statusCode, code?, message }
+ */
+exports.startSession = async ({ orderId, notes = null, userId }) => {
+  const { data: order } = await supabaseAdmin
+    .from('orders')
+    .select('id, order_number, status')
+    .eq('id', orderId)
+    .single();
+
+  if (!order) {
+    return { success: false, statusCode: 404, message: 'Order not found' };
+  }
+
+  if (order.status !== 'approved') {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'INVALID_STATUS_TRANSITION',
+      message: `Order ${order.order_number} is ${order.status}; only approved orders can be packed`
+    };
+  }
+
+  const { data: open } = await supabaseAdmin
+    .from('pack_sessions')
+    .select('id')
+    .eq('order_id', orderId)
+    .eq('status', 'open')
+    .maybeSingle();
+
+  if (open) {
+    return { success: true, created: false, sessionId: open.id };
+  }
+
+  const { data: items } = await supabaseAdmin
+    .from('order_items')
+    .select('id, product_id, quantity, shipped_quantity')
+    .eq('order_id', orderId);
+
+  const openItems = (items || []).filter(item => item.quantity - (item.shipped_quantity || 0) > 0);
+  if (openItems.length === 0) {
+    return { success: false, statusCode: 400, message: `Order ${order.order_number} has no units left to pack` };
+  }
+
+  const { data: session, error } = await supabaseAdmin
+    .from('pack_sessions')
+    .insert({ order_id: orderId, notes, packed_by: userId })
+    .select('id')
+    .single();
+
+  if (error) {
+    // Another packer opened the order first
+    if (error.code === '23505') {
+      return { success: false, statusCode: 409, message: `Order ${order.order_number} is already being packed` };
+    }
+    return { success: false, statusCode: 400, message: error.message || 'Failed to start pack session' };
+  }
+
+  const { error: linesError } = await supabaseAdmin
+    .from('pack_session_lines')
+    .insert(openItems.map(item => ({
+      session_id: session.id,
+      order_item_id: item.id,
+      product_id: item.product_id,
+      quantity_expected: item.quantity - (item.shipped_quantity || 0)
+    })));
+
+  if (linesError) {
+    // ROLLBACK: Remove the session so the order can be opened again
+    await supabaseAdmin.from('pack_sessions').delete().eq('id', session.id);
+    return { success: false, statusCode: 400, message: linesError.message || 'Failed to start pack session' };
+  }
+
+  return { success: true, created: true, sessionId: session.id };
+};
+
+/**
+ * Scan units into an open session
+ * The code is matched against the SKU and barcode of the order's products.
+ * Serial-tracked products are scanned one unit at a time with the unit's serial.
+ * @param {Object} params
+ * @param {string} params.sessionId
+ * @param {string} params.code - SKU or barcode scanned
+ * @param {number} params.quantity - Units scanned (default 1)
+ * @param {string} params.serialNumber - Required for serial-tracked products
+ * @returns {Promise<Object>} { success, line, complete } or { success: false, statusCode, code, message, data? }
+ */
+exports.scan = async ({ sessionId, code, quantity = 1, serialNumber = null }) => {
+  const packing = await exports.getSession(sessionId);
+  if (!packing) {
+    return { success: false, statusCode: 404, message: 'Pack session not found' };
+  }
+
+  const { session, lines } = packing;
+  if (session.status !== 'open') {
+    return { success: false, statusCode: 400, message: `Pack session is ${session.status}` };
+  }
+
+  const scanned = String(code || '').trim();
+  const matching = lines.filter(line => line.products && (
+    line.products.sku === scanned.toUpperCase() || (line.products.barcode && line.products.barcode === scanned)
+  ));
+
+  if (matching.length === 0) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'WRONG_ITEM',
+      message: `${scanned} is not on order ${session.orders?.order_number}`
+    };
+  }
+
+  const product = matching[0].products;
+  const units = parseInt(quantity) || 1;
+  const remaining = matching.reduce((sum, line) => sum + remainingToScan(line), 0);
+
+  if (units > remaining) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'OVER_SCANNED',
+      message: remaining === 0
+        ? `All units of ${product.sku} are already scanned`
+        : `Only ${remaining} more unit(s) of ${product.sku} are on the order`,
+      data: { sku: product.sku, remaining }
+    };
+  }
+
+  let serial = null;
+  if (product.track_serials) {
+    serial = serialNumber ? String(serialNumber).trim() : '';
+    if (!serial || units !== 1) {
+      return {
+        success: false,
+        statusCode: 400,
+        code: 'SERIALS_REQUIRED',
+        message: `${product.sku} is serial-tracked: scan one unit at a time with its serial number`
+      };
+    }
+
+    if (matching.some(line => (line.serial_numbers || []).includes(serial))) {
+      return { success: false, statusCode: 400, code: 'SERIAL_CONFLICT', message: `Serial ${serial} is already scanned` };
+    }
+
+    const { data: unit } = await supabaseAdmin
+      .from('inventory_serials')
+      .select('status')
+      .eq('client_id', session.orders.client_id)
+      .eq('product_id', product.id)
+      .eq('serial_number', serial)
+      .maybeSingle();
+
+    if (!unit) {
+      return {
+        success: false,
+        statusCode: 400,
+        code: 'SERIAL_NOT_FOUND',
+        message: `Serial ${serial} is not recorded for ${product.sku} of this client`
+      };
+    }
+    if (unit.status !== 'in_stock') {
+      return { success: false, statusCode: 400, code: 'SERIAL_CONFLICT', message: `Serial ${serial} is ${unit.status}, not in stock` };
+    }
+  }
+
+  // Fill the product's lines in order; each update is conditional on the
+  // count read, so two stations scanning the same order cannot over-scan
+  let left = units;
+  let updatedLine = null;
+  for (const line of matching) {
+    if (left === 0) break;
+    const take = Math.min(left, remainingToScan(line));
+    if (take === 0) continue;
+
+    const { data: updated } = await supabaseAdmin
+      .from('pack_session_lines')
+      .update({
+        quantity_scanned: line.quantity_scanned + take,
+        serial_numbers: serial ? [...(line.serial_numbers || []), serial] : line.serial_numbers,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', line.id)
+      .eq('quantity_scanned', line.quantity_scanned)
+      .select('*')
+      .maybeSingle();
+
+    if (!updated) {
+      return { success: false, statusCode: 409, code: 'SCAN_CONFLICT', message: `${product.sku} was scanned at the same time elsewhere, scan again` };
+    }
+
+    Object.assign(line, updated);
+    updatedLine = line;
+    left -= take;
+  }
+
+  return {
+    success: true,
+    line: updatedLine,
+    complete: lines.every(line => remainingToScan(line) === 0)
+  };
+};
+
+/**
+ * Cartons of the pack session that packed an order (its latest completed session)
+ * @param {string} orderId
+ * @returns {Promise<Array>} pack_cartons rows by carton number, empty when the order was not packed here
+ */
+exports.getPackedCartons = async (orderId) => {
+  const { data: session } = await supabaseAdmin
+    .from('pack_sessions')
+    .select('id')
+    .eq('order_id', orderId)
+    .eq('status', 'completed')
+    .order('completed_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (!session) return [];
+
+  const { data: cartons } = await supabaseAdmin
+    .from('pack_cartons')
+    .select('*')
+    .eq('session_id', session.id)
+    .order('carton_number', { ascending: true });
+
+  return cartons || [];
+};
+
+/**
+ * Record a carton used for the order
+ * @param {Object} params
+ * @param {string} params.sessionId
+ * @param {Object} params.carton - { cartonType, length, width, height, dimensionUnit, weight, weightUnit,
+ *   palletNumber (LTL: cartons stacked on the same pallet share it) }
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, carton } or { success: false, statusCode, message }
+ */
+exports.addCarton = async ({ sessionId, carton, userId }) => {
+  const { data: session } = await supabaseAdmin
+    .from('pack_sessions')
+    .select('id, order_id, status')
+    .eq('id', sessionId)
+    .single();
+
+  if (!session) {
+    return { success: false, statusCode: 404, message: 'Pack session not found' };
+  }
+  if (session.status !== 'open') {
+    return { success: false, statusCode: 400, message: `Pack session is ${session.status}` };
+  }
+
+  const { data: last } = await supabaseAdmin
+    .from('pack_cartons')
+    .select('carton_number')
+    .eq('session_id', sessionId)
+    .order('carton_number', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  const { data: created, error } = await supabaseAdmin
+    .from('pack_cartons')
+    .insert({
+      session_id: sessionId,
+      order_id: session.order_id,
+      carton_number: (last?.carton_number || 0) + 1,
+      carton_type: carton.cartonType || null,
+      length: carton.length,
+      width: carton.width,
+      height: carton.height,
+      dimension_unit: carton.dimensionUnit || 'cm',
+      weight: carton.weight,
+      weight_unit: carton.weightUnit || 'kg',
+      ...(carton.palletNumber && { pallet_number: parseInt(carton.palletNumber) }),
+      created_by: userId
+    })
+    .select('*')
+    .single();
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to record carton' };
+  }
+
+  return { success: true, carton: created };
+};
+
+/**
+ * Remove a carton from an open session
+ * @param {Object} params
+ * @param {string} params.sessionId
+ * @param {string} params.cartonId
+ * @returns {Promise<Object>} { success } or { success: false, statusCode, message }
+ */
+exports.removeCarton = async ({ sessionId, cartonId }) => {
+  const { data: session } = await supabaseAdmin
+    .from('pack_sessions')
+    .select('id, status')
+    .eq('id', sessionId)
+    .single();
+
+  if (!session) {
+    return { success: false, statusCode: 404, message: 'Pack session not found' };
+  }
+  if (session.status !== 'open') {
+    return { success: false, statusCode: 400, message: `Pack session is ${session.status}` };
+  }
+
+  const { data: removed } = await supabaseAdmin
+    .from('pack_cartons')
+    .delete()
+    .eq('id', cartonId)
+    .eq('session_id', sessionId)
+    .select('id');
+
+  if (!removed || removed.length === 0) {
+    return { success: false, statusCode: 404, message: 'Carton not found' };
+  }
+
+  return { success: true };
+};
+
+/**
+ * Complete a session: verify every unit is scanned, move the order to
+ * packed and store the weighed weight
+ * @param {Object} params
+ * @param {string} params.sessionId
+ * @param {string} params.note - Stored in the order timeline
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, session, order, actualWeight, cartons } or
+ *   { success: false, statusCode, code?, message, data? }
+ */
+exports.completeSession = async ({ sessionId, note = null, userId }) => {
+  const packing = await exports.getSession(sessionId);
+  if (!packing) {
+    return { success: false, statusCode: 404, message: 'Pack session not found' };
+  }
+
+  const { session, lines, cartons } = packing;
+  if (session.status !== 'open') {
+    return { success: false, statusCode: 400, message: `Pack session is ${session.status}` };
+  }
+
+  const missing = lines.filter(line => remainingToScan(line) > 0);
+  if (missing.length > 0) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'PACK_INCOMPLETE',
+      message: `${missing.length} line(s) are not fully scanned`,
+      data: {
+        missing: missing.map(line => ({
+          productId: line.product_id,
+          sku: line.products?.sku,
+          expected: line.quantity_expected,
+          scanned: line.quantity_scanned
+        }))
+      }
+    };
+  }
+
+  if (cartons.length === 0) {
+    return { success: false, statusCode: 400, code: 'CARTONS_REQUIRED', message: 'Record at least one carton before completing the pack' };
+  }
+
+  const actualWeight = parseFloat(cartons
+    .reduce((sum, carton) => sum + toLbs(parseFloat(carton.weight), carton.weight_unit), 0)
+    .toFixed(2));
+
+  // The weight goes on the session while it is open; the transition
+  // completes the session with the order
+  const { error: weightError } = await supabaseAdmin
+    .from('pack_sessions')
+    .update({ actual_weight: actualWeight, updated_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .eq('status', 'open');
+
+  if (weightError) {
+    return { success: false, statusCode: 500, message: `Failed to save the pack weight: ${weightError.message}` };
+  }
+
+  const result = await orderWorkflowService.transitionOrder({
+    orderId: session.order_id,
+    toStatus: 'packed',
+    userId,
+    packSessionId: sessionId,
+    note: note || `Packed in ${cartons.length} carton(s), ${actualWeight} lbs`,
+    serialNumbers: lines.flatMap(line => (line.serial_numbers || []).map(serialNumber => ({
+      productId: line.product_id,
+      serialNumber
+    })))
+  });
+
+  if (!result.success) return result;
+
+  const now = new Date().toISOString();
+
+  const { data: order, error: orderError } = await supabaseAdmin
+    .from('orders')
+    .update({ actual_weight: actualWeight, updated_at: now })
+    .eq('id', session.order_id)
+    .select('*')
+    .single();
+
+  if (orderError) {
+    return {
+      success: false,
+      statusCode: 500,
+      message: `Order ${result.order.order_number} is packed but its weight was not saved: ${orderError.message}`
+    };
+  }
+
+  const { data: completed } = await supabaseAdmin
+    .from('pack_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .single();
+
+  return {
+    success: true,
+    session: completed,
+    order,
+    actualWeight,
+    cartons
+  };
+};
+
+/**
+ * Cancel an open session; the order stays approved
+ * @param {string} sessionId
+ * @returns {Promise<Object>} { success, session } or { success: false, statusCode, message }
+ */
+exports.cancelSession = async (sessionId) => {
+  const { data: session, error } = await supabaseAdmin
+    .from('pack_sessions')
+    .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .eq('status', 'open')
+    .select('*')
+    .maybeSingle();
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to cancel pack session' };
+  }
+  if (!session) {
+    return { success: false, statusCode: 400, message: 'Pack session not found or not open' };
+  }
+
+  return { success: true, session };
+};
@@ -0,0 +1,210 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * PDF Service
+ * Shared pdfkit helpers for generated documents (credit notes, invoices,
+ * warehouse paperwork). Documents are rendered to a Buffer in memory.
+ */
+
+const COMPANY_NAME = 'MAX2PAY';
+const PAGE_MARGIN = 50;
+
+/**
+ * Format a number as USD
+ * @param {number} value
+ * @returns {string}
+ */
+exports.formatCurrency = (value) => {
+  const amount = parseFloat(value || 0);
+  const formatted = `$${Math.abs(amount).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+  return amount < 0 ? `-${formatted}` : formatted;
+};
+
+/**
+ * Format a date as e.g. "Mar 5, 2025"
+ * @param {string|Date} value
+ * @returns {string}
+ */
+exports.formatDate = (value) => {
+  if (!value) return '-';
+  return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+/**
+ * Render a PDF document to a Buffer
+ * @param {Function} build - (doc) => void | Promise<void>, draws the document
+ * @param {Object} options - pdfkit document options
+ * @returns {Promise<Buffer>}
+ */
+exports.renderPdf = (build, options = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN, ...options });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  Promise.resolve()
+    .then(() => build(doc))
+    .then(() => doc.end())
+    .catch(reject);
+});
+
+/**
+ * Document header: company name on the left, title and meta rows on the right
+ * @param {PDFDocument} doc
+ * @param {Object} header
+ * @param {string} header.title - e.g. 'CREDIT NOTE'
+ * @param {Array} header.meta - [[label, value]] shown under the title
+ * @param {Object} header.brand - Client branding instead of MAX2PAY (packing slips):
+ *   { name, tagline, logo (PNG/JPEG Buffer), color (hex) }
+ */
+exports.drawHeader = (doc, { title, meta = [], brand = null }) => {
+  const top = doc.y;
+  const rightX = doc.page.width - PAGE_MARGIN - 220;
+  const color = brand?.color || '#111111';
+
+  let logoDrawn = false;
+  if (brand?.logo) {
+    try {
+      doc.image(brand.logo, PAGE_MARGIN, top, { fit: [180, 40] });
+      logoDrawn = true;
+    } catch (err) {
+      // Not a PNG/JPEG: fall back to the name
+    }
+  }
+
+  if (!logoDrawn) {
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(color).text(brand?.name || COMPANY_NAME, PAGE_MARGIN, top, { width: 260, height: 24, ellipsis: true });
+  }
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(brand ? brand.tagline || '' : 'Warehouse & Fulfillment Services', PAGE_MARGIN, top + (logoDrawn ? 44 : 24), { width: 260 });
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(color).text(title, rightX, top, { width: 220, align: 'right' });
+
+  let metaY = top + 22;
+  meta.forEach(([label, value]) => {
+    doc.font('Helvetica').fontSize(9).fillColor('#555555')
+      .text(`${label}: `, rightX, metaY, { width: 110, align: 'right' });
+    doc.font('Helvetica-Bold').fillColor('#111111')
+      .text(String(value ?? '-'), rightX + 110, metaY, { width: 110, align: 'right' });
+    metaY += 13;
+  });
+
+  doc.y = Math.max(metaY, top + (logoDrawn ? 58 : 40)) + 15;
+  exports.drawRule(doc);
+};
+
+/**
+ * Horizontal rule across the content width
+ */
+exports.drawRule = (doc) => {
+  doc.moveTo(PAGE_MARGIN, doc.y)
+    .lineTo(doc.page.width - PAGE_MARGIN, doc.y)
+    .lineWidth(0.5)
+    .strokeColor('#cccccc')
+    .stroke();
+  doc.moveDown(0.8);
+};
+
+/**
+ * Labelled block of text lines (addresses, references)
+ * @param {PDFDocument} doc
+ * @param {string} label - e.g. 'BILL TO'
+ * @param {Array<string>} lines - Empty values are skipped
+ * @param {Object} position - { x, y, width }
+ * @returns {number} y position after the block
+ */
+exports.drawTextBlock = (doc, label, lines, { x = PAGE_MARGIN, y = doc.y, width = 240 } = {}) => {
+  doc.font('Helvetica-Bold').fontSize(8).fillColor('#777777').text(label, x, y, { width });
+  let blockY = y + 12;
+
+  lines.filter(Boolean).forEach((line, index) => {
+    doc.font(index === 0 ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor('#111111')
+      .text(String(line), x, blockY, { width });
+    blockY = doc.y + 1;
+  });
+
+  return blockY;
+};
+
+/**
+ * Table with a header row; adds pages as needed and repeats the header
+ * @param {PDFDocument} doc
+ * @param {Array} columns - [{ header, key, width, align }]
+ * @param {Array} rows - Objects keyed by column key (values are printed as-is)
+ */
+exports.drawTable = (doc, columns, rows) => {
+  const startX = PAGE_MARGIN;
+  const bottom = doc.page.height - PAGE_MARGIN - 40;
+
+  const drawRow = (values, { bold = false, shade = false } = {}) => {
+    const heights = columns.map((col, i) =>
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+        .heightOfString(String(values[i] ?? ''), { width: col.width - 8 })
+    );
+    const rowHeight = Math.max(...heights) + 8;
+
+    if (doc.y + rowHeight > bottom) {
+      doc.addPage();
+      if (!bold) drawHeaderRow();
+    }
+
+    const y = doc.y;
+    if (shade) {
+      doc.rect(startX, y, columns.reduce((sum, c) => sum + c.width, 0), rowHeight).fill('#f2f2f2');
+    }
+
+    let x = startX;
+    columns.forEach((col, i) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#111111')
+        .text(String(values[i] ?? ''), x + 4, y + 4, { width: col.width - 8, align: col.align || 'left' });
+      x += col.width;
+    });
+
+    doc.y = y + rowHeight;
+  };
+
+  const drawHeaderRow = () => drawRow(columns.map(c => c.header), { bold: true, shade: true });
+
+  drawHeaderRow();
+  rows.forEach(row => drawRow(columns.map(c => row[c.key])));
+  doc.moveDown(0.5);
+};
+
+/**
+ * Right-aligned totals block
+ * @param {PDFDocument} doc
+ * @param {Array} rows - [[label, value, { bold }]]
+ */
+exports.drawTotals = (doc, rows) => {
+  const x = doc.page.width - PAGE_MARGIN - 220;
+
+  rows.forEach(([label, value, { bold = false } = {}]) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 10).fillColor('#111111')
+      .text(label, x, y, { width: 120, align: 'right' })
+      .text(value, x + 120, y, { width: 100, align: 'right' });
+    doc.moveDown(0.3);
+  });
+};
+
+/**
+ * Footer note at the bottom of the current page
+ */
+exports.drawFooter = (doc, text) => {
+  // Writing inside the bottom margin would otherwise start a new page
+  const bottomMargin = doc.page.margins.bottom;
+  doc.page.margins.bottom = 0;
+
+  doc.font('Helvetica').fontSize(8).fillColor('#777777')
+    .text(text, PAGE_MARGIN, doc.page.height - PAGE_MARGIN + 10, {
+      width: doc.page.width - PAGE_MARGIN * 2,
+      align: 'center',
+      lineBreak: false
+    });
+
+  doc.page.margins.bottom = bottomMargin;
+};
+
+exports.PAGE_MARGIN = PAGE_MARGIN;
@@ -0,0 +1,758 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const locationService = require('./locationService');
+const warehouseService = require('./warehouseService');
+const orderWorkflowService = require('./orderWorkflowService');
+const pdfService = require('./pdfService');
+
+/**
+ * Picking Service
+ * Batches approved orders into pick waves and builds their pick lists:
+ *   released → picking (first pick recorded) → completed (every line picked)
+ * Each open order line becomes one pick line per bin its units are taken
+ * from, in pick-path order. Lines are picked one order at a time
+ * (single) or as one combined list (batch). An order whose lines are all
+ * picked is stamped picked_at; one picked short is put on hold.
+ */
+
+const GROUP_BY = ['priority', 'carrier', 'zone'];
+const PICK_MODES = ['single', 'batch'];
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+const DEFAULT_MAX_ORDERS = 25;
+const UNPLACED = 'UNPLACED';
+const NO_CARRIER = 'unassigned';
+
+exports.GROUP_BY = GROUP_BY;
+exports.PICK_MODES = PICK_MODES;
+
+/**
+ * Compare two pick locations along the pick path
+ * Pickable bins first, then location code; units in no bin last
+ */
+const comparePath = (a, b) => {
+  if (!a.locationCode || !b.locationCode) {
+    return (a.locationCode ? 0 : 1) - (b.locationCode ? 0 : 1);
+  }
+  return (Number(b.isPickable) - Number(a.isPickable)) || a.locationCode.localeCompare(b.locationCode);
+};
+
+/**
+ * Approved orders in a warehouse that are not already in a wave being picked
+ */
+const getPickableOrders = async ({ warehouseId, clientId = null, orderIds = null }) => {
+  let query = supabaseAdmin
+    .from('orders')
+    .select('id, order_number, client_id, warehouse_id, status, priority, carrier, created_at')
+    .eq('warehouse_id', warehouseId)
+    .eq('status', 'approved')
+    .is('picked_at', null);
+
+  if (clientId) {
+    query = query.eq('client_id', clientId);
+  }
+
+  if (orderIds) {
+    query = query.in('id', orderIds);
+  }
+
+  const { data: orders, error } = await query;
+
+  if (error) {
+    throw new Error(error.message || 'Failed to fetch orders');
+  }
+
+  if (!orders || orders.length === 0) return [];
+
+  const { data: waved } = await supabaseAdmin
+    .from('pick_wave_orders')
+    .select('order_id')
+    .in('status', ['pending', 'picked'])
+    .in('order_id', orders.map(order => order.id));
+
+  const inWave = new Set((waved || []).map(row => row.order_id));
+
+  return orders
+    .filter(order => !inWave.has(order.id))
+    .sort((a, b) =>
+      ((PRIORITY_RANK[a.priority] ?? 1) - (PRIORITY_RANK[b.priority] ?? 1)) ||
+      a.created_at.localeCompare(b.created_at)
+    );
+};
+
+/**
+ * Plan the pick lines of orders
+ * Units come out of each SKU's bins in pick-path order; bin units already
+ * on the pick lines of other open waves are not planned twice.
+ * @returns {Promise<Object>} { lines, zones: orderId → zone code }
+ */
+const planPickLines = async (orders, warehouseId) => {
+  const orderIds = orders.map(order => order.id);
+
+  const { data: items } = await supabaseAdmin
+    .from('order_items')
+    .select('id, order_id, product_id, quantity, shipped_quantity')
+    .in('order_id', orderIds);
+
+  const productIds = [...new Set((items || []).map(item => item.product_id))];
+
+  const { data: inventory } = productIds.length > 0
+    ? await supabaseAdmin
+      .from('inventory')
+      .select(`id, client_id, product_id, bin_inventory (${locationService.BIN_STOCK_SELECT})`)
+      .eq('warehouse_id', warehouseId)
+      .in('product_id', productIds)
+    : { data: [] };
+
+  const inventoryIds = (inventory || []).map(row => row.id);
+
+  // Bin units other open waves will already take
+  const { data: openLines } = inventoryIds.length > 0
+    ? await supabaseAdmin
+      .from('pick_list_lines')
+      .select('inventory_id, location_id, quantity_required, pick_waves!inner ( status )')
+      .eq('status', 'pending')
+      .in('pick_waves.status', ['released', 'picking'])
+      .in('inventory_id', inventoryIds)
+    : { data: [] };
+
+  const used = {};
+  (openLines || []).forEach(line => {
+    const key = `${line.inventory_id}:${line.location_id}`;
+    used[key] = (used[key] || 0) + line.quantity_required;
+  });
+
+  const { data: zoneRows } = await supabaseAdmin
+    .from('warehouse_locations')
+    .select('code, location_code')
+    .eq('warehouse_id', warehouseId)
+    .eq('type', 'zone');
+
+  const zoneOf = (locationCode) => {
+    if (!locationCode) return UNPLACED;
+    const zone = (zoneRows || []).find(z => locationCode.startsWith(`${z.location_code}-`));
+    return zone ? zone.code : UNPLACED;
+  };
+
+  const lines = [];
+  const zones = {};
+
+  for (const order of orders) {
+    const zoneUnits = {};
+
+    (items || [])
+      .filter(item => item.order_id === order.id)
+      .forEach(item => {
+        let remaining = item.quantity - (item.shipped_quantity || 0);
+        if (remaining <= 0) return;
+
+        const row = (inventory || []).find(r => r.client_id === order.client_id && r.product_id === item.product_id);
+        const bins = row ? locationService.formatBinStock(row.bin_inventory) : [];
+
+        for (const bin of bins) {
+          if (remaining <= 0) break;
+          const key = `${row.id}:${bin.locationId}`;
+          const take = Math.min(bin.quantity - (used[key] || 0), remaining);
+          if (take <= 0) continue;
+
+          used[key] = (used[key] || 0) + take;
+          remaining -= take;
+          lines.push({
+            order,
+            item,
+            inventoryId: row.id,
+            locationId: bin.locationId,
+            locationCode: bin.locationCode,
+            isPickable: bin.isPickable,
+            quantity: take
+          });
+
+          const zone = zoneOf(bin.locationCode);
+          zoneUnits[zone] = (zoneUnits[zone] || 0) + take;
+        }
+
+        if (remaining > 0) {
+          lines.push({
+            order,
+            item,
+            inventoryId: row ? row.id : null,
+            locationId: null,
+            locationCode: null,
+            isPickable: false,
+            quantity: remaining
+          });
+          zoneUnits[UNPLACED] = (zoneUnits[UNPLACED] || 0) + remaining;
+        }
+      });
+
+    // An order belongs to the zone most of its units are picked from
+    zones[order.id] = Object.entries(zoneUnits).sort((a, b) => b[1] - a[1])[0]?.[0] || UNPLACED;
+  }
+
+  return { lines, zones };
+};
+
+/**
+ * Create pick waves from approved orders
+ * Orders are grouped by priority, carrier or zone (or taken as listed in
+ * orderIds) and split into waves of at most maxOrders, highest priority
+ * and oldest first.
+ * @param {Object} params
+ * @param {string} params.warehouseId - Defaults to the default warehouse
+ * @param {string} params.groupBy - priority | carrier | zone
+ * @param {string} params.groupValue - Only build the wave(s) for this group (optional)
+ * @param {Array} params.orderIds - Wave exactly these orders instead of grouping (optional)
+ * @param {string} params.clientId - Only this client's orders (optional)
+ * @param {string} params.pickMode - single | batch
+ * @param {number} params.maxOrders - Orders per wave
+ * @param {string} params.notes
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, waves } or { success: false, statusCode, code?, message }
+ */
+exports.createWaves = async ({
+  warehouseId = null,
+  groupBy = 'priority',
+  groupValue = null,
+  orderIds = null,
+  clientId = null,
+  pickMode = 'batch',
+  maxOrders = DEFAULT_MAX_ORDERS,
+  notes = null,
+  userId
+}) => {
+  const resolved = await warehouseService.resolveWarehouse(warehouseId);
+  if (!resolved.success) return resolved;
+  const warehouse = resolved.warehouse;
+
+  const orders = await getPickableOrders({ warehouseId: warehouse.id, clientId, orderIds });
+
+  if (orderIds) {
+    const missing = orderIds.filter(id => !orders.some(order => order.id === id));
+    if (missing.length > 0) {
+      return {
+        success: false,
+        statusCode: 400,
+        code: 'ORDERS_NOT_PICKABLE',
+        message: `${missing.length} order(s) are not approved in ${warehouse.code}, already picked or already in a wave`,
+        orderIds: missing
+      };
+    }
+  }
+
+  if (orders.length === 0) {
+    return { success: false, statusCode: 400, code: 'NO_ORDERS_TO_PICK', message: `No approved orders to pick in ${warehouse.code}` };
+  }
+
+  const { lines, zones } = await planPickLines(orders, warehouse.id);
+
+  const groupOf = (order) => {
+    if (orderIds) return null;
+    if (groupBy === 'carrier') return order.carrier || NO_CARRIER;
+    if (groupBy === 'zone') return zones[order.id];
+    return order.priority || 'medium';
+  };
+
+  const groups = new Map();
+  orders.forEach(order => {
+    const key = groupOf(order);
+    if (groupValue && key !== groupValue) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(order);
+  });
+
+  if (groups.size === 0) {
+    return { success: false, statusCode: 400, code: 'NO_ORDERS_TO_PICK', message: `No approved orders to pick for ${groupBy} ${groupValue}` };
+  }
+
+  const size = Math.max(parseInt(maxOrders) || DEFAULT_MAX_ORDERS, 1);
+  const waves = [];
+
+  for (const [key, groupOrders] of groups) {
+    for (let start = 0; start < groupOrders.length; start += size) {
+      const waveOrders = groupOrders.slice(start, start + size);
+
+      const { data: wave, error } = await supabaseAdmin
+        .from('pick_waves')
+        .insert({
+          warehouse_id: warehouse.id,
+          group_by: orderIds ? 'orders' : groupBy,
+          group_value: key,
+          pick_mode: pickMode,
+          notes,
+          created_by: userId
+        })
+        .select()
+        .single();
+
+      if (error) {
+        return { success: false, statusCode: 400, message: error.message || 'Failed to create pick wave', waves };
+      }
+
+      const waveOrderIds = new Set(waveOrders.map(order => order.id));
+      const waveLines = lines
+        .filter(line => waveOrderIds.has(line.order.id))
+        .sort(comparePath);
+
+      const { error: ordersError } = await supabaseAdmin
+        .from('pick_wave_orders')
+        .insert(waveOrders.map((order, index) => ({ wave_id: wave.id, order_id: order.id, sequence: index + 1 })));
+
+      const { error: linesError } = ordersError || waveLines.length === 0
+        ? { error: null }
+        : await supabaseAdmin
+          .from('pick_list_lines')
+          .insert(waveLines.map((line, index) => ({
+            wave_id: wave.id,
+            order_id: line.order.id,
+            order_item_id: line.item.id,
+            inventory_id: line.inventoryId,
+            product_id: line.item.product_id,
+            location_id: line.locationId,
+            sequence: index + 1,
+            quantity_required: line.quantity
+          })));
+
+      if (ordersError || linesError) {
+        // ROLLBACK: Remove the wave so its orders can be waved again
+        await supabaseAdmin.from('pick_waves').delete().eq('id', wave.id);
+        return {
+          success: false,
+          statusCode: 400,
+          message: (ordersError || linesError).message || 'Failed to create pick wave',
+          waves
+        };
+      }
+
+      waves.push(wave);
+    }
+  }
+
+  return { success: true, waves };
+};
+
+/**
+ * A wave with its orders and pick lines
+ * @param {string} waveId
+ * @returns {Promise<Object|null>} { wave, orders, lines } - lines in pick-path order
+ */
+exports.getWave = async (waveId) => {
+  const { data: wave } = await supabaseAdmin
+    .from('pick_waves')
+    .select(`
+      *,
+      warehouses:warehouse_id ( id, code, name ),
+      assignee:assigned_to ( id, name ),
+      pick_wave_orders (
+        *,
+        orders:order_id (
+          id,
+          order_number,
+          status,
+          priority,
+          carrier,
+          client_id,
+          clients:client_id ( id, company_name )
+        )
+      )
+    `)
+    .eq('id', waveId)
+    .single();
+
+  if (!wave) return null;
+
+  const { data: lines } = await supabaseAdmin
+    .from('pick_list_lines')
+    .select(`
+      *,
+      products:product_id ( id, name, sku ),
+      warehouse_locations:location_id ( id, location_code, is_pickable ),
+      picker:picked_by ( id, name )
+    `)
+    .eq('wave_id', waveId)
+    .order('sequence', { ascending: true });
+
+  const orders = (wave.pick_wave_orders || []).sort((a, b) => a.sequence - b.sequence);
+
+  return { wave, orders, lines: lines || [] };
+};
+
+/**
+ * Combined pick list of a batch wave: one row per bin and SKU with the
+ * units each order takes, in pick-path order
+ * @param {Object} waveData - from getWave
+ * @returns {Array} [{ locationCode, productId, sku, name, quantity, picked, orders: [{ orderNumber, lineId, quantity }] }]
+ */
+exports.batchPickList = ({ orders, lines }) => {
+  const orderNumbers = {};
+  orders.forEach(entry => {
+    orderNumbers[entry.order_id] = entry.orders?.order_number || entry.order_id;
+  });
+
+  const rows = new Map();
+  lines.forEach(line => {
+    const key = `${line.location_id}:${line.product_id}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        locationId: line.location_id,
+        locationCode: line.warehouse_locations?.location_code || UNPLACED,
+        productId: line.product_id,
+        sku: line.products?.sku || null,
+        name: line.products?.name || null,
+        quantity: 0,
+        picked: 0,
+        orders: []
+      });
+    }
+    const row = rows.get(key);
+    row.quantity += line.quantity_required;
+    row.picked += line.quantity_picked || 0;
+    row.orders.push({ orderNumber: orderNumbers[line.order_id], lineId: line.id, quantity: line.quantity_required });
+  });
+
+  return [...rows.values()];
+};
+
+/**
+ * Put a batch pick (units found at one bin for one SKU) onto the wave's
+ * open lines there, first order in the wave first
+ */
+const distributeBatchPick = (pick, pendingLines, orderSequence) => {
+  let remaining = parseInt(pick.quantityPicked);
+
+  return pendingLines
+    .filter(line => line.product_id === pick.productId && (line.location_id || null) === (pick.locationId || null))
+    .sort((a, b) => (orderSequence[a.order_id] - orderSequence[b.order_id]) || (a.sequence - b.sequence))
+    .map(line => {
+      const quantity = Math.min(line.quantity_required, Math.max(remaining, 0));
+      remaining -= quantity;
+      return { lineId: line.id, quantityPicked: quantity, shortReason: pick.shortReason };
+    });
+};
+
+/**
+ * Combine entries for the same key, adding up their picked quantities,
+ * so a line or bin listed twice in one request is not picked twice
+ */
+const mergePicks = (entries, keyOf) => {
+  const merged = new Map();
+
+  entries.forEach(entry => {
+    const key = keyOf(entry);
+    const existing = merged.get(key);
+    if (existing) {
+      existing.quantityPicked = Number(existing.quantityPicked) + Number(entry.quantityPicked);
+      existing.shortReason = existing.shortReason || entry.shortReason;
+    } else {
+      merged.set(key, { ...entry });
+    }
+  });
+
+  return [...merged.values()];
+};
+
+/**
+ * Record picked quantities
+ * Lines picked short (fewer than required) are marked short. When every
+ * line of an order is picked the order is stamped picked_at, or put on
+ * hold when any of its lines was short. Orders that left 'approved'
+ * since the wave was built are dropped from it and their lines skipped.
+ * Entries for the same line (or batch picks for the same bin and SKU) are
+ * added together and must not exceed the line's required quantity.
+ * @param {Object} params
+ * @param {string} params.waveId
+ * @param {Array} params.lines - [{ lineId, quantityPicked, shortReason }]
+ * @param {Array} params.picks - Batch picks [{ locationId, productId, quantityPicked, shortReason }]
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, wave, picked, shortPicks, skipped, orders } or { success: false, statusCode, message }
+ */
+exports.recordPicks = async ({ waveId, lines = [], picks = [], userId }) => {
+  const waveData = await exports.getWave(waveId);
+
+  if (!waveData) {
+    return { success: false, statusCode: 404, message: 'Pick wave not found' };
+  }
+
+  const { wave, orders } = waveData;
+
+  if (!['released', 'picking'].includes(wave.status)) {
+    return { success: false, statusCode: 400, message: `Wave ${wave.wave_number} is ${wave.status}` };
+  }
+
+  const pendingLines = waveData.lines.filter(line => line.status === 'pending');
+  const orderSequence = {};
+  orders.forEach(entry => {
+    orderSequence[entry.order_id] = entry.sequence;
+  });
+
+  const entries = mergePicks([
+    ...lines,
+    ...mergePicks(picks, pick => `${pick.locationId || null}:${pick.productId}`)
+      .flatMap(pick => distributeBatchPick(pick, pendingLines, orderSequence))
+  ], entry => entry.lineId);
+
+  if (entries.length === 0) {
+    return { success: false, statusCode: 400, message: 'No open pick lines match the picks recorded' };
+  }
+
+  for (const entry of entries) {
+    const line = pendingLines.find(l => l.id === entry.lineId);
+    const quantity = Number(entry.quantityPicked);
+
+    if (!line) {
+      return { success: false, statusCode: 400, message: `Pick line ${entry.lineId} is not open in wave ${wave.wave_number}` };
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity > line.quantity_required) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `Picked quantity for ${line.products?.sku || line.product_id} at ${line.warehouse_locations?.location_code || UNPLACED} must be between 0 and ${line.quantity_required}`
+      };
+    }
+  }
+
+  const now = new Date().toISOString();
+
+  // Orders cancelled or held since the wave was built leave it
+  const inactive = orders.filter(entry => entry.status === 'pending' && entry.orders?.status !== 'approved');
+  if (inactive.length > 0) {
+    await supabaseAdmin
+      .from('pick_wave_orders')
+      .update({ status: 'removed' })
+      .in('id', inactive.map(entry => entry.id));
+  }
+  const inactiveIds = new Set(inactive.map(entry => entry.order_id));
+
+  const skipped = [];
+  const shortPicks = [];
+  let picked = 0;
+
+  for (const entry of entries) {
+    const line = pendingLines.find(l => l.id === entry.lineId);
+
+    if (inactiveIds.has(line.order_id)) {
+      skipped.push({ lineId: line.id, message: 'Order is no longer approved' });
+      continue;
+    }
+
+    const quantity = Number(entry.quantityPicked);
+    const short = quantity < line.quantity_required;
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('pick_list_lines')
+      .update({
+        quantity_picked: quantity,
+        status: short ? 'short' : 'picked',
+        short_reason: short ? (entry.shortReason || null) : null,
+        picked_by: userId,
+        picked_at: now,
+        updated_at: now
+      })
+      .eq('id', line.id)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (error) {
+      skipped.push({ lineId: line.id, message: error.message });
+      continue;
+    }
+
+    // Picked by someone else since the wave was read
+    if (!updated || updated.length === 0) {
+      skipped.push({ lineId: line.id, message: 'Pick line was already picked' });
+      continue;
+    }
+
+    picked += quantity;
+
+    if (short) {
+      shortPicks.push({
+        lineId: line.id,
+        orderId: line.order_id,
+        sku: line.products?.sku || null,
+        locationCode: line.warehouse_locations?.location_code || UNPLACED,
+        required: line.quantity_required,
+        picked: quantity,
+        reason: entry.shortReason || null
+      });
+    }
+  }
+
+  if (wave.status === 'released') {
+    await supabaseAdmin
+      .from('pick_waves')
+      .update({ status: 'picking', started_at: now, assigned_to: wave.assigned_to || userId, updated_at: now })
+      .eq('id', wave.id);
+  }
+
+  // Orders whose lines are all picked now, from the lines as they are after
+  // these picks: picks recorded concurrently for the same wave count too
+  const current = await exports.getWave(waveId);
+  const removedIds = new Set(current.orders.filter(e => e.status === 'removed').map(e => e.order_id));
+  const finished = [];
+  for (const entry of current.orders.filter(e => e.status === 'pending' && !inactiveIds.has(e.order_id))) {
+    const orderLines = current.lines.filter(line => line.order_id === entry.order_id);
+    if (orderLines.some(line => line.status === 'pending')) continue;
+
+    const shortLines = orderLines.filter(line => line.status === 'short');
+    const status = shortLines.length > 0 ? 'short_picked' : 'picked';
+
+    // Only one request finishes an order
+    const { data: claimed } = await supabaseAdmin
+      .from('pick_wave_orders')
+      .update({ status, picked_at: now })
+      .eq('id', entry.id)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (!claimed || claimed.length === 0) continue;
+
+    if (status === 'picked') {
+      await supabaseAdmin
+        .from('orders')
+        .update({ picked_at: now, updated_at: now })
+        .eq('id', entry.order_id);
+    } else {
+      const held = await orderWorkflowService.transitionOrder({
+        orderId: entry.order_id,
+        toStatus: 'on_hold',
+        userId,
+        note: `Short pick in wave ${wave.wave_number}: ${shortLines
+          .map(line => `${line.products?.sku || line.product_id} ${line.quantity_picked}/${line.quantity_required} at ${line.warehouse_locations?.location_code || UNPLACED}`)
+          .join(', ')}`
+      });
+      if (!held.success) {
+        console.error(`Failed to hold short-picked order ${entry.orders?.order_number}:`, held.message);
+      }
+    }
+
+    finished.push({ orderId: entry.order_id, orderNumber: entry.orders?.order_number || null, status });
+  }
+
+  const open = current.lines.some(line => line.status === 'pending' && !inactiveIds.has(line.order_id) && !removedIds.has(line.order_id));
+  if (!open) {
+    await supabaseAdmin
+      .from('pick_waves')
+      .update({ status: 'completed', completed_at: now, updated_at: now })
+      .eq('id', wave.id);
+  }
+
+  return { success: true, wave: { ...wave, status: open ? 'picking' : 'completed' }, picked, shortPicks, skipped, orders: finished };
+};
+
+/**
+ * Printable pick list
+ * Batch waves print one combined list in pick-path order with the units
+ * per order; single waves print each order's lines in pick-path order.
+ * @param {string} waveId
+ * @returns {Promise<Object|null>} { buffer, wave } or null when not found
+ */
+exports.renderPickListPdf = async (waveId) => {
+  const waveData = await exports.getWave(waveId);
+  if (!waveData) return null;
+
+  const { wave, orders, lines } = waveData;
+  const { formatDate } = pdfService;
+
+  const buffer = await pdfService.renderPdf(doc => {
+    pdfService.drawHeader(doc, {
+      title: 'PICK LIST',
+      meta: [
+        ['Wave', wave.wave_number],
+        ['Warehouse', wave.warehouses?.code],
+        ['Mode', wave.pick_mode === 'batch' ? 'Batch' : 'Single order'],
+        ['Orders', orders.filter(entry => entry.status !== 'removed').length],
+        ['Date', formatDate(wave.created_at)]
+      ]
+    });
+
+    if (wave.group_value) {
+      doc.font('Helvetica').fontSize(10).fillColor('#111111')
+        .text(`Grouped by ${wave.group_by}: ${wave.group_value}`, pdfService.PAGE_MARGIN);
+      doc.moveDown(0.5);
+    }
+
+    if (wave.pick_mode === 'batch') {
+      pdfService.drawTable(doc, [
+        { header: '#', key: 'sequence', width: 25 },
+        { header: 'Location', key: 'location', width: 110 },
+        { header: 'SKU', key: 'sku', width: 80 },
+        { header: 'Product', key: 'name', width: 120 },
+        { header: 'Qty', key: 'quantity', width: 35, align: 'right' },
+        { header: 'Orders', key: 'orders', width: 100 },
+        { header: 'Picked', key: 'picked', width: 42, align: 'right' }
+      ], exports.batchPickList(waveData).map((row, index) => ({
+        sequence: index + 1,
+        location: row.locationCode,
+        sku: row.sku,
+        name: row.name,
+        quantity: row.quantity,
+        orders: row.orders.map(o => `${o.orderNumber} x${o.quantity}`).join('\n'),
+        picked: ''
+      })));
+    } else {
+      orders.filter(entry => entry.status !== 'removed').forEach(entry => {
+        const order = entry.orders || {};
+        doc.font('Helvetica-Bold').fontSize(11).fillColor('#111111')
+          .text(`${order.order_number || entry.order_id} - ${order.clients?.company_name || ''} (${order.priority || 'medium'} priority)`, pdfService.PAGE_MARGIN);
+        doc.moveDown(0.3);
+
+        pdfService.drawTable(doc, [
+          { header: '#', key: 'sequence', width: 25 },
+          { header: 'Location', key: 'location', width: 130 },
+          { header: 'SKU', key: 'sku', width: 100 },
+          { header: 'Product', key: 'name', width: 160 },
+          { header: 'Qty', key: 'quantity', width: 45, align: 'right' },
+          { header: 'Picked', key: 'picked', width: 52, align: 'right' }
+        ], lines.filter(line => line.order_id === entry.order_id).map((line, index) => ({
+          sequence: index + 1,
+          location: line.warehouse_locations?.location_code || UNPLACED,
+          sku: line.products?.sku,
+          name: line.products?.name,
+          quantity: line.quantity_required,
+          picked: ''
+        })));
+        doc.moveDown(0.5);
+      });
+    }
+
+    pdfService.drawFooter(doc, `Pick wave ${wave.wave_number} · Generated ${formatDate(new Date())}`);
+  });
+
+  return { buffer, wave };
+};
+
+/**
+ * Cancel a wave nothing has been picked from; its orders can be waved again
+ * @param {string} waveId
+ * @returns {Promise<Object>} { success, wave } or { success: false, statusCode, message }
+ */
+exports.cancelWave = async (waveId) => {
+  const waveData = await exports.getWave(waveId);
+
+  if (!waveData) {
+    return { success: false, statusCode: 404, message: 'Pick wave not found' };
+  }
+
+  const { wave, lines } = waveData;
+
+  if (!['released', 'picking'].includes(wave.status) || lines.some(line => line.status !== 'pending')) {
+    return { success: false, statusCode: 400, message: `Wave ${wave.wave_number} has been picked from and cannot be cancelled` };
+  }
+
+  const now = new Date().toISOString();
+
+  const { error } = await supabaseAdmin
+    .from('pick_waves')
+    .update({ status: 'cancelled', updated_at: now })
+    .eq('id', wave.id);
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to cancel pick wave' };
+  }
+
+  await supabaseAdmin
+    .from('pick_wave_orders')
+    .update({ status: 'removed' })
+    .eq('wave_id', wave.id);
+
+  return { success: true, wave: { ...wave, status: 'cancelled' } };
+};
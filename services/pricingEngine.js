@@ -0,0 +1,317 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+
+/**
+ * Pricing Engine
+ * Single source of truth for what MAX2PAY charges. Rates come from the
+ * rate_cards table: the client's own card effective on the service date,
+ * else the default card (client_id NULL), else DEFAULT_RATE_CARD.
+ */
+
+const round2 = (value) => Number(parseFloat(value || 0).toFixed(2));
+
+/**
+ * What storage is billed by: rate_cards.storage_billing_method
+ */
+const STORAGE_BILLING_METHODS = ['cubic_foot', 'bin', 'pallet'];
+
+/**
+ * What receiving is billed by: rate_cards.receiving_billing_method
+ */
+const RECEIVING_BILLING_METHODS = ['unit', 'carton', 'pallet'];
+
+/**
+ * Heavyweight surcharge billed before rate cards: $5.00 + $0.50/unit above 5 lbs
+ */
+const DEFAULT_WEIGHT_TIERS = Object.freeze([
+  Object.freeze({ minWeight: 5, maxWeight: null, orderSurcharge: 5.00, unitSurcharge: 0.50 })
+]);
+
+/**
+ * Used when no rate card exists (or the migration hasn't been run)
+ */
+const DEFAULT_RATE_CARD = Object.freeze({
+  id: null,
+  clientId: null,
+  name: 'Standard',
+  pickFee: 2.50,
+  additionalUnitFee: 1.25,
+  weightTiers: DEFAULT_WEIGHT_TIERS,
+  storageBillingMethod: 'pallet',
+  storagePerCubicFoot: 0,
+  storagePerPallet: 0,
+  storagePerBin: 0,
+  receivingBillingMethod: 'unit',
+  receivingPerUnit: 0,
+  receivingPerCarton: 0,
+  receivingPerPallet: 0,
+  specialHandlingFee: 0,
+  effectiveFrom: null,
+  effectiveTo: null
+});
+
+/**
+ * Normalize weight tiers: numbers only, sorted by minWeight
+ * @param {Array} tiers - [{ minWeight, maxWeight, orderSurcharge, unitSurcharge }]
+ * @returns {Array}
+ */
+exports.normalizeWeightTiers = (tiers) => (Array.isArray(tiers) ? tiers : [])
+  .map(tier => ({
+    minWeight: parseFloat(tier.minWeight || 0),
+    maxWeight: tier.maxWeight === null || tier.maxWeight === undefined || tier.maxWeight === ''
+      ? null
+      : parseFloat(tier.maxWeight),
+    orderSurcharge: parseFloat(tier.orderSurcharge || 0),
+    unitSurcharge: parseFloat(tier.unitSurcharge || 0)
+  }))
+  .sort((a, b) => a.minWeight - b.minWeight);
+
+/**
+ * Convert a rate_cards row to the camelCase shape the engine works with
+ * @param {Object} row - rate_cards row
+ * @returns {Object} rate card
+ */
+exports.toRateCard = (row) => ({
+  id: row.id,
+  clientId: row.client_id,
+  name: row.name,
+  pickFee: parseFloat(row.pick_fee ?? DEFAULT_RATE_CARD.pickFee),
+  additionalUnitFee: parseFloat(row.additional_unit_fee ?? DEFAULT_RATE_CARD.additionalUnitFee),
+  weightTiers: exports.normalizeWeightTiers(row.weight_tiers),
+  storageBillingMethod: row.storage_billing_method || DEFAULT_RATE_CARD.storageBillingMethod,
+  storagePerCubicFoot: parseFloat(row.storage_per_cubic_foot || 0),
+  storagePerPallet: parseFloat(row.storage_per_pallet || 0),
+  storagePerBin: parseFloat(row.storage_per_bin || 0),
+  receivingBillingMethod: row.receiving_billing_method || DEFAULT_RATE_CARD.receivingBillingMethod,
+  receivingPerUnit: parseFloat(row.receiving_per_unit || 0),
+  receivingPerCarton: parseFloat(row.receiving_per_carton || 0),
+  receivingPerPallet: parseFloat(row.receiving_per_pallet || 0),
+  specialHandlingFee: parseFloat(row.special_handling_fee || 0),
+  effectiveFrom: row.effective_from,
+  effectiveTo: row.effective_to
+});
+
+/**
+ * Validate weight tiers from API input
+ * @param {Array} tiers
+ * @returns {string|null} error message, null when valid
+ */
+exports.validateWeightTiers = (tiers) => {
+  if (!Array.isArray(tiers)) return 'Weight tiers must be an array';
+
+  for (const [index, tier] of tiers.entries()) {
+    const values = [tier.minWeight, tier.orderSurcharge, tier.unitSurcharge]
+      .filter(v => v !== undefined && v !== null);
+    if (values.some(v => isNaN(parseFloat(v)) || parseFloat(v) < 0)) {
+      return `Weight tier ${index + 1}: weights and surcharges must be 0 or more`;
+    }
+    if (tier.maxWeight !== undefined && tier.maxWeight !== null && tier.maxWeight !== ''
+      && !(parseFloat(tier.maxWeight) > parseFloat(tier.minWeight || 0))) {
+      return `Weight tier ${index + 1}: maxWeight must be greater than minWeight`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Load the active rate cards that can apply to a client (own + default)
+ * @param {string} clientId
+ * @returns {Promise<Array>} rate cards, newest effective_from first
+ */
+exports.getRateCards = async (clientId) => {
+  let query = supabaseAdmin
+    .from('rate_cards')
+    .select('*')
+    .eq('is_active', true)
+    .order('effective_from', { ascending: false });
+
+  query = clientId
+    ? query.or(`client_id.eq.${clientId},client_id.is.null`)
+    : query.is('client_id', null);
+
+  const { data: rows, error } = await query;
+
+  if (error) {
+    console.warn('Could not load rate cards, using default pricing:', error.message);
+    return [];
+  }
+
+  return (rows || []).map(exports.toRateCard);
+};
+
+/**
+ * Pick the rate card effective on a date from a preloaded list
+ * @param {Array} rateCards - From getRateCards()
+ * @param {string|Date} date - Service date (defaults to today)
+ * @returns {Object} rate card
+ */
+exports.selectRateCard = (rateCards, date = new Date()) => {
+  const day = new Date(date || Date.now()).toISOString().split('T')[0];
+  const isEffective = card => card.effectiveFrom <= day && (!card.effectiveTo || card.effectiveTo >= day);
+
+  return rateCards.find(card => card.clientId && isEffective(card))
+    || rateCards.find(card => !card.clientId && isEffective(card))
+    || DEFAULT_RATE_CARD;
+};
+
+/**
+ * Get the rate card effective for a client on a date
+ * @param {string} clientId
+ * @param {string|Date} date
+ * @returns {Promise<Object>} rate card
+ */
+exports.getRateCard = async (clientId, date = new Date()) => {
+  const rateCards = await exports.getRateCards(clientId);
+  return exports.selectRateCard(rateCards, date);
+};
+
+/**
+ * Fulfillment charge for one order
+ * pickFee + (units - 1) x additionalUnitFee + weight tier surcharges + special handling
+ * @param {Object} rateCard
+ * @param {Object} order
+ * @param {number} order.units - Total units in the order
+ * @param {number} order.weight - Order weight in lbs
+ * @param {boolean} order.specialHandling
+ * @returns {Object} { units, pickFee, additionalUnitsFee, weightSurcharge, specialHandlingFee, total, weightTier, rateCardId }
+ */
+exports.calculateOrderCharge = (rateCard, { units = 0, weight = 0, specialHandling = false } = {}) => {
+  const orderUnits = parseFloat(units) || 0;
+
+  if (orderUnits <= 0) {
+    return {
+      units: 0,
+      pickFee: 0,
+      additionalUnitsFee: 0,
+      weightSurcharge: 0,
+      specialHandlingFee: 0,
+      total: 0,
+      weightTier: null,
+      rateCardId: rateCard.id
+    };
+  }
+
+  const orderWeight = parseFloat(weight) || 0;
+  const tier = rateCard.weightTiers
+    .filter(t => orderWeight > t.minWeight && (t.maxWeight === null || orderWeight <= t.maxWeight))
+    .pop();
+
+  const pickFee = rateCard.pickFee;
+  const additionalUnitsFee = Math.max(0, orderUnits - 1) * rateCard.additionalUnitFee;
+  const weightSurcharge = tier ? tier.orderSurcharge + (tier.unitSurcharge * orderUnits) : 0;
+  const specialHandlingFee = specialHandling ? rateCard.specialHandlingFee : 0;
+
+  return {
+    units: orderUnits,
+    pickFee: round2(pickFee),
+    additionalUnitsFee: round2(additionalUnitsFee),
+    weightSurcharge: round2(weightSurcharge),
+    specialHandlingFee: round2(specialHandlingFee),
+    total: round2(pickFee + additionalUnitsFee + weightSurcharge + specialHandlingFee),
+    weightTier: tier || null,
+    rateCardId: rateCard.id
+  };
+};
+
+/**
+ * Storage charge for one day. Rates are monthly, so each day is billed
+ * occupancy x rate / days in that month.
+ * @param {Object} rateCard
+ * @param {Object} occupancy - { cubicFeet, bins, pallets } stored that day
+ * @param {number} daysInMonth
+ * @returns {Object} { method, occupancy, monthlyRate, amount } (amount unrounded so days can be summed)
+ */
+exports.calculateDailyStorageCharge = (rateCard, { cubicFeet = 0, bins = 0, pallets = 0 } = {}, daysInMonth) => {
+  const method = rateCard.storageBillingMethod;
+  const byMethod = {
+    cubic_foot: { occupancy: cubicFeet, monthlyRate: rateCard.storagePerCubicFoot },
+    bin: { occupancy: bins, monthlyRate: rateCard.storagePerBin },
+    pallet: { occupancy: pallets, monthlyRate: rateCard.storagePerPallet }
+  };
+  const { occupancy, monthlyRate } = byMethod[method] || byMethod.pallet;
+
+  return {
+    method,
+    occupancy: parseFloat(occupancy) || 0,
+    monthlyRate,
+    amount: ((parseFloat(occupancy) || 0) * monthlyRate) / daysInMonth
+  };
+};
+
+/**
+ * Receiving charge for one inbound receipt
+ * Cartons/pallets default to 1 when the count wasn't recorded
+ * @param {Object} rateCard
+ * @param {Object} receipt - { units, cartons, pallets } received
+ * @returns {Object} { method, quantity, rate, total, rateCardId }
+ */
+exports.calculateReceivingCharge = (rateCard, { units = 0, cartons = null, pallets = null } = {}) => {
+  const method = rateCard.receivingBillingMethod;
+  const byMethod = {
+    unit: { quantity: parseInt(units) || 0, rate: rateCard.receivingPerUnit },
+    carton: { quantity: parseInt(cartons) || 1, rate: rateCard.receivingPerCarton },
+    pallet: { quantity: parseInt(pallets) || 1, rate: rateCard.receivingPerPallet }
+  };
+  const { quantity, rate } = byMethod[method] || byMethod.unit;
+
+  return {
+    method,
+    quantity,
+    rate,
+    total: round2(quantity * rate),
+    rateCardId: rateCard.id
+  };
+};
+
+/**
+ * Human-readable fulfillment formula, e.g. "$2.50 + (units - 1) × $1.25"
+ * @param {Object} rateCard
+ * @returns {string}
+ */
+exports.describeRateCard = (rateCard) => {
+  let formula = `$${rateCard.pickFee.toFixed(2)} + (units - 1) × $${rateCard.additionalUnitFee.toFixed(2)}`;
+  if (rateCard.weightTiers.length > 0) formula += ' + weight surcharge';
+  if (rateCard.specialHandlingFee > 0) formula += ` (+ $${rateCard.specialHandlingFee.toFixed(2)} special handling)`;
+  return formula;
+};
+
+/**
+ * Date an order is billed on: when it was dispatched
+ * @param {Object} order - orders row
+ * @returns {string}
+ */
+exports.getServiceDate = (order) => order.dispatched_at || order.created_at;
+
+/**
+ * Load a client's rate cards once and price many orders with them
+ * @param {string} clientId
+ * @returns {Promise<Object>} { rateCards, rateCardFor(date), priceReceipt(inboundLog), priceOrder(order, units) }
+ */
+exports.createPricer = async (clientId) => {
+  const rateCards = await exports.getRateCards(clientId);
+
+  return {
+    rateCards,
+    rateCardFor: (date) => exports.selectRateCard(rateCards, date),
+    priceReceipt: (inboundLog) => exports.calculateReceivingCharge(
+      exports.selectRateCard(rateCards, inboundLog.received_at || inboundLog.received_date),
+      {
+        units: inboundLog.quantity,
+        cartons: inboundLog.carton_count,
+        pallets: inboundLog.pallet_count
+      }
+    ),
+    priceOrder: (order, units) => exports.calculateOrderCharge(
+      exports.selectRateCard(rateCards, exports.getServiceDate(order)),
+      {
+        units,
+        weight: order.total_weight,
+        specialHandling: order.special_handling === true
+      }
+    )
+  };
+};
+
+exports.DEFAULT_RATE_CARD = DEFAULT_RATE_CARD;
+exports.STORAGE_BILLING_METHODS = STORAGE_BILLING_METHODS;
+exports.RECEIVING_BILLING_METHODS = RECEIVING_BILLING_METHODS;
@@ -0,0 +1,122 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+
+/**
+ * Receiving Billing Service
+ * Prices inbound logs marked 'received' for the monthly invoice and links
+ * the billed logs to that invoice. Like orders, a linked log is locked
+ * once the invoice leaves draft (voided invoices release the lock).
+ */
+
+const METHOD_UNITS = {
+  unit: 'units',
+  carton: 'cartons',
+  pallet: 'pallets'
+};
+
+/**
+ * Check whether an inbound log is locked by a non-draft invoice
+ * @param {Object} inboundLog - inbound_logs row
+ * @returns {Promise<Object|null>} Locking invoice { invoice_number, status } or null
+ */
+exports.getLockingInvoice = async (inboundLog) => {
+  if (!inboundLog.invoice_id) return null;
+
+  const { data: invoice } = await supabaseAdmin
+    .from('invoices')
+    .select('invoice_number, status')
+    .eq('id', inboundLog.invoice_id)
+    .maybeSingle();
+
+  if (!invoice || ['draft', 'void'].includes(invoice.status)) return null;
+
+  return invoice;
+};
+
+/**
+ * Receiving line items for a client's billing period
+ * One line per inbound log received in the period and not yet invoiced
+ * @param {string} clientId
+ * @param {string} startDate - ISO timestamp
+ * @param {string} endDate - ISO timestamp
+ * @param {Object} pricer - From pricingEngine.createPricer()
+ * @returns {Promise<Object>} { lineItems, inboundLogIds, totalAmount }
+ */
+exports.getReceivingCharges = async (clientId, startDate, endDate, pricer) => {
+  const { data: inboundLogs, error } = await supabaseAdmin
+    .from('inbound_logs')
+    .select(`
+      id,
+      quantity,
+      carton_count,
+      pallet_count,
+      reference_number,
+      received_at,
+      received_date,
+      products:product_id (
+        sku
+      )
+    `)
+    .eq('client_id', clientId)
+    .eq('status', 'received')
+    .is('invoice_id', null)
+    .gte('received_at', startDate)
+    .lte('received_at', endDate)
+    .order('received_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load inbound logs for receiving billing: ${error.message}`);
+  }
+
+  const lineItems = (inboundLogs || [])
+    .map(log => {
+      const charge = pricer.priceReceipt(log);
+      if (charge.total <= 0) return null;
+
+      return {
+        type: 'receiving',
+        description: `Receiving – Ref #${log.reference_number || log.id.slice(-8)}${log.products?.sku ? ` (${log.products.sku})` : ''}, ${charge.quantity} ${charge.quantity === 1 ? charge.method : METHOD_UNITS[charge.method]}`,
+        quantity: charge.quantity,
+        unitPrice: charge.rate,
+        amount: charge.total,
+        receivingMethod: charge.method,
+        inboundLogId: log.id,
+        referenceNumber: log.reference_number,
+        receivedAt: log.received_at,
+        rateCardId: charge.rateCardId
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    lineItems,
+    inboundLogIds: lineItems.map(item => item.inboundLogId),
+    totalAmount: Number(lineItems.reduce((sum, item) => sum + item.amount, 0).toFixed(2))
+  };
+};
+
+/**
+ * Link billed inbound logs to their invoice
+ * @param {Array<string>} inboundLogIds
+ * @param {Object} invoice - { id, invoice_number }
+ * @returns {Promise<Object>} { success, message? }
+ */
+exports.linkInboundLogs = async (inboundLogIds, invoice) => {
+  if (!inboundLogIds || inboundLogIds.length === 0) return { success: true };
+
+  const { error } = await supabaseAdmin
+    .from('inbound_logs')
+    .update({
+      invoice_id: invoice.id,
+      invoiced_in: invoice.invoice_number
+    })
+    .in('id', inboundLogIds);
+
+  if (error) {
+    return {
+      success: false,
+      message: `Could not link inbound logs to invoice: ${error.message}`
+    };
+  }
+
+  return { success: true };
+};
@@ -0,0 +1,545 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { transitionOrder, getLockingInvoice } = require('./orderWorkflowService');
+const { createCreditNote, applyCreditNote } = require('./creditNoteService');
+const { putAwayReceivedStock, receiveIntoLot } = require('./inboundService');
+const locationService = require('./locationService');
+const lotService = require('./lotService');
+const serialService = require('./serialService');
+
+/**
+ * Return (RMA) Service
+ * Returns are raised against shipped order lines, received back into
+ * inventory with a restock/damaged disposition per line, and credited
+ * against the invoice that billed the order. Restocked units are put away
+ * like an inbound receipt: into a bin when one is given, back into their
+ * lot and with their serials back in stock.
+ */
+
+const RETURNABLE_ORDER_STATUSES = ['partially_shipped', 'dispatched', 'delivered'];
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_needed', 'other'];
+const DISPOSITIONS = ['restock', 'damaged'];
+
+const round2 = (value) => Number(parseFloat(value || 0).toFixed(2));
+
+/**
+ * Quantity per order item already on open or received returns
+ * @param {string} orderId
+ * @param {Object} options
+ * @param {boolean} options.receivedOnly - Only count units actually received back
+ * @returns {Promise<Object>} orderItemId → quantity
+ */
+const getReturnedQuantities = async (orderId, { receivedOnly = false } = {}) => {
+  const { data: returns } = await supabaseAdmin
+    .from('returns')
+    .select('id, status, return_lines ( order_item_id, quantity, quantity_received )')
+    .eq('order_id', orderId)
+    .in('status', receivedOnly ? ['received'] : ['pending', 'received']);
+
+  const quantities = {};
+  (returns || []).forEach(ret => {
+    (ret.return_lines || []).forEach(line => {
+      // Received returns count what actually came back, open returns what was requested
+      const quantity = ret.status === 'received' ? line.quantity_received : line.quantity;
+      quantities[line.order_item_id] = (quantities[line.order_item_id] || 0) + quantity;
+    });
+  });
+
+  return quantities;
+};
+
+exports.RETURN_REASONS = RETURN_REASONS;
+exports.DISPOSITIONS = DISPOSITIONS;
+
+/**
+ * Create a return against shipped order items
+ * @param {Object} params
+ * @param {string} params.orderId - Order UUID
+ * @param {Array} params.items - [{ orderItemId, quantity }]
+ * @param {string} params.reason - One of RETURN_REASONS
+ * @param {string} params.notes
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, returnRecord } or { success: false, statusCode, message }
+ */
+exports.createReturn = async ({ orderId, items, reason = 'other', notes = null, userId }) => {
+  const { data: order } = await supabaseAdmin
+    .from('orders')
+    .select('id, order_number, client_id, status')
+    .eq('id', orderId)
+    .single();
+
+  if (!order) {
+    return { success: false, statusCode: 404, message: 'Order not found' };
+  }
+
+  if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'ORDER_NOT_RETURNABLE',
+      message: `Only shipped orders can be returned. Order ${order.order_number} is ${order.status}`
+    };
+  }
+
+  const { data: orderItems } = await supabaseAdmin
+    .from('order_items')
+    .select('id, product_id, quantity, shipped_quantity')
+    .eq('order_id', orderId);
+
+  const alreadyReturned = await getReturnedQuantities(orderId);
+  const requested = {};
+  const lines = [];
+
+  for (const [index, item] of items.entries()) {
+    const orderItem = (orderItems || []).find(oi => oi.id === item.orderItemId);
+    const quantity = Number(item.quantity);
+
+    if (!orderItem) {
+      return { success: false, statusCode: 400, message: `Item ${index + 1} is not part of order ${order.order_number}` };
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { success: false, statusCode: 400, message: `Quantity must be a positive whole number for item ${index + 1}` };
+    }
+
+    requested[orderItem.id] = (requested[orderItem.id] || 0) + quantity;
+    const returnable = (orderItem.shipped_quantity || 0) - (alreadyReturned[orderItem.id] || 0);
+
+    if (requested[orderItem.id] > returnable) {
+      return {
+        success: false,
+        statusCode: 400,
+        code: 'RETURN_EXCEEDS_SHIPPED',
+        message: `Cannot return ${requested[orderItem.id]} of item ${index + 1}: only ${Math.max(0, returnable)} shipped and not yet returned`
+      };
+    }
+
+    lines.push({
+      order_item_id: orderItem.id,
+      product_id: orderItem.product_id,
+      quantity
+    });
+  }
+
+  const { data: returnRecord, error } = await supabaseAdmin
+    .from('returns')
+    .insert({
+      order_id: orderId,
+      client_id: order.client_id,
+      reason,
+      notes,
+      created_by: userId
+    })
+    .select()
+    .single();
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to create return' };
+  }
+
+  const { error: linesError } = await supabaseAdmin
+    .from('return_lines')
+    .insert(lines.map(line => ({ ...line, return_id: returnRecord.id })));
+
+  if (linesError) {
+    // Rollback: Delete the return
+    await supabaseAdmin.from('returns').delete().eq('id', returnRecord.id);
+    return { success: false, statusCode: 400, message: linesError.message || 'Failed to create return lines' };
+  }
+
+  return { success: true, returnRecord, order };
+};
+
+/**
+ * Work out how much to credit for received return lines
+ * Uses the invoice line billed for the order (rate per unit), capped at what
+ * was billed for the order minus credits already issued for it.
+ * @returns {Promise<Object>} { amount, unitRate, units }
+ */
+const calculateReturnCredit = async (invoice, order, units) => {
+  const lineItems = Array.isArray(invoice.line_items) ? invoice.line_items : [];
+  const orderLine = lineItems.find(line => line.orderNumber === order.order_number);
+
+  let billedAmount = 0;
+  let unitRate = 0;
+
+  if (orderLine) {
+    billedAmount = parseFloat(orderLine.amount || 0);
+    unitRate = parseFloat(orderLine.unitPrice || 0);
+  } else if (invoice.order_id === order.id) {
+    // Single-order invoice: spread the subtotal over the order's units
+    const { data: orderItems } = await supabaseAdmin
+      .from('order_items')
+      .select('quantity')
+      .eq('order_id', order.id);
+    const orderUnits = (orderItems || []).reduce((sum, item) => sum + (parseInt(item.quantity) || 0), 0);
+
+    billedAmount = parseFloat(invoice.subtotal || invoice.total_amount || 0);
+    unitRate = orderUnits > 0 ? billedAmount / orderUnits : 0;
+  }
+
+  // Credits already issued for this order on this invoice
+  const { data: priorLines } = await supabaseAdmin
+    .from('credit_note_lines')
+    .select('amount, credit_notes!inner ( invoice_id, status )')
+    .eq('order_id', order.id)
+    .eq('credit_notes.invoice_id', invoice.id)
+    .neq('credit_notes.status', 'void');
+
+  const alreadyCredited = (priorLines || []).reduce((sum, line) => sum + Math.abs(parseFloat(line.amount || 0)), 0);
+
+  return {
+    amount: round2(Math.max(0, Math.min(units * unitRate, billedAmount - alreadyCredited))),
+    unitRate: round2(unitRate),
+    units
+  };
+};
+
+/**
+ * Where restocked units of a return line go: bin, lot and serials
+ * Without a lot number the units go back into the lot the item shipped
+ * from; an item shipped from several lots needs the lot named.
+ * @returns {Promise<Object>} { success, bin, lotNumber, expiryDate, serialIds } or
+ *   { success: false, statusCode, code?, message }
+ */
+const resolveRestock = async ({ order, line, input, quantity, allocations }) => {
+  let bin = null;
+  if (input.storageLocation) {
+    bin = await locationService.findBinByCode(input.storageLocation);
+    if (!bin || bin.warehouse_id !== order.warehouse_id) {
+      return { success: false, statusCode: 400, message: `${input.storageLocation} is not a bin in the order's warehouse` };
+    }
+
+    const capacity = await locationService.checkBinCapacity(bin, quantity);
+    if (!capacity.success) return capacity;
+  }
+
+  let lotNumber = lotService.normalizeLotNumber(input.lotNumber) || null;
+  let expiryDate = lotService.normalizeExpiryDate(input.expiryDate);
+
+  if (!lotNumber) {
+    const shippedLots = (allocations[line.order_item_id] || []).filter(lot => lot.lotNumber && lot.shippedQuantity > 0);
+    if (shippedLots.length > 1) {
+      return {
+        success: false,
+        statusCode: 400,
+        code: 'LOT_REQUIRED',
+        message: `Line ${line.id} shipped from lots ${shippedLots.map(lot => lot.lotNumber).join(', ')}; give the lotNumber being restocked`
+      };
+    }
+    if (shippedLots.length === 1) {
+      lotNumber = shippedLots[0].lotNumber;
+      expiryDate = expiryDate || shippedLots[0].expiryDate;
+    }
+  }
+
+  const lotInput = lotService.validateLotInput(lotNumber, expiryDate);
+  if (!lotInput.success) return lotInput;
+
+  const lotExpiry = await lotService.checkLotExpiry({
+    clientId: order.client_id,
+    productId: line.product_id,
+    warehouseId: order.warehouse_id,
+    lotNumber,
+    expiryDate
+  });
+  if (!lotExpiry.success) return lotExpiry;
+
+  const serials = await serialService.validateReturnedSerials({
+    orderItemId: line.order_item_id,
+    productId: line.product_id,
+    quantity,
+    serialNumbers: input.serialNumbers
+  });
+  if (!serials.success) return serials;
+
+  return { success: true, bin, lotNumber, expiryDate, serialIds: serials.serialIds };
+};
+
+/**
+ * Receive a return back into the warehouse
+ * - restock: dispatched → available, put away into the line's bin, lot and serials
+ * - damaged: written off (dispatched and total stock reduced)
+ * Then credits the invoice that locked the order and marks the order
+ * returned once everything shipped has come back. A credit override may not
+ * exceed the returned units' value; when the stock, return or credit note
+ * cannot be written, what was already written is undone.
+ * @param {Object} params
+ * @param {string} params.returnId - Return UUID
+ * @param {Array} params.lines - [{ lineId, quantityReceived, disposition, storageLocation?,
+ *   lotNumber?, expiryDate?, serialNumbers? }]; the put-away fields apply to restocked units
+ * @param {number} params.creditAmount - Optional override of the computed credit
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, returnRecord, creditNote, credit } or { success: false, statusCode, code?, message }
+ */
+exports.receiveReturn = async ({ returnId, lines, creditAmount, userId }) => {
+  const { data: returnRecord } = await supabaseAdmin
+    .from('returns')
+    .select('*, return_lines ( * ), orders:order_id ( * )')
+    .eq('id', returnId)
+    .single();
+
+  if (!returnRecord) {
+    return { success: false, statusCode: 404, message: 'Return not found' };
+  }
+
+  if (returnRecord.status !== 'pending') {
+    return { success: false, statusCode: 400, message: `Return ${returnRecord.rma_number} is already ${returnRecord.status}` };
+  }
+
+  const order = returnRecord.orders;
+  const returnLines = returnRecord.return_lines || [];
+
+  // Resolve received quantities and dispositions per line
+  const received = [];
+  for (const input of lines) {
+    const line = returnLines.find(l => l.id === input.lineId);
+    const quantity = Number(input.quantityReceived);
+
+    if (!line) {
+      return { success: false, statusCode: 400, message: `Line ${input.lineId} is not part of return ${returnRecord.rma_number}` };
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity > line.quantity) {
+      return { success: false, statusCode: 400, message: `Received quantity for line ${input.lineId} must be between 0 and ${line.quantity}` };
+    }
+
+    if (quantity > 0 && !DISPOSITIONS.includes(input.disposition)) {
+      return { success: false, statusCode: 400, message: `Disposition must be one of: ${DISPOSITIONS.join(', ')}` };
+    }
+
+    received.push({ line, input, quantity, disposition: quantity > 0 ? input.disposition : null });
+  }
+
+  const totalReceived = received.reduce((sum, r) => sum + r.quantity, 0);
+  if (totalReceived === 0) {
+    return { success: false, statusCode: 400, message: 'At least one unit must be received' };
+  }
+
+  // Check dispatched stock before moving anything
+  const inventoryByProduct = {};
+  for (const { line, quantity } of received) {
+    if (quantity === 0) continue;
+
+    if (!inventoryByProduct[line.product_id]) {
+      const { data: inventory } = await supabaseAdmin
+        .from('inventory')
+        .select('id, dispatched_stock')
+        .eq('product_id', line.product_id)
+        .eq('client_id', returnRecord.client_id)
+        .eq('warehouse_id', order.warehouse_id)
+        .single();
+
+      if (!inventory) {
+        return { success: false, statusCode: 400, message: `No inventory record for product ${line.product_id}` };
+      }
+      inventoryByProduct[line.product_id] = { ...inventory, pending: 0 };
+    }
+
+    inventoryByProduct[line.product_id].pending += quantity;
+    if (inventoryByProduct[line.product_id].pending > inventoryByProduct[line.product_id].dispatched_stock) {
+      return { success: false, statusCode: 400, message: `Dispatched stock for product ${line.product_id} is lower than the quantity returned` };
+    }
+  }
+
+  // Resolve where restocked units go before moving anything
+  const allocations = await lotService.getOrderAllocations(order.id);
+  for (const entry of received) {
+    if (entry.disposition !== 'restock') continue;
+
+    const restock = await resolveRestock({ order, line: entry.line, input: entry.input, quantity: entry.quantity, allocations });
+    if (!restock.success) return restock;
+    entry.restock = restock;
+  }
+
+  // Work out the credit before changing anything: an override may not
+  // exceed what the returned units are worth on the order's invoice
+  const invoice = await getLockingInvoice(order);
+  let fullInvoice = null;
+  let calculated = null;
+  let amount = 0;
+
+  if (invoice) {
+    const { data: invoiceRow } = await supabaseAdmin
+      .from('invoices')
+      .select('*')
+      .eq('id', order.invoice_id)
+      .single();
+
+    fullInvoice = invoiceRow;
+    calculated = await calculateReturnCredit(fullInvoice, order, totalReceived);
+    amount = calculated.amount;
+
+    if (creditAmount !== undefined && creditAmount !== null) {
+      if (round2(creditAmount) > calculated.amount) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'CREDIT_EXCEEDS_RETURN_VALUE',
+          message: `Credit amount cannot exceed ${calculated.amount.toFixed(2)}, the value of the ${totalReceived} returned unit(s) still uncredited on invoice ${fullInvoice.invoice_number}`
+        };
+      }
+      amount = round2(creditAmount);
+    }
+  }
+
+  // Undo everything written so far when a later step fails
+  const moved = [];
+  let markedReceived = false;
+  const rollback = async () => {
+    for (const { inventoryId, quantity, disposition } of moved) {
+      const { error: undoError } = await supabaseAdmin.rpc('apply_inventory_movement', {
+        p_inventory_id: inventoryId,
+        p_available_delta: disposition === 'restock' ? -quantity : 0,
+        p_reserved_delta: 0,
+        p_dispatched_delta: quantity
+      });
+      if (undoError) {
+        console.error(`Failed to undo return stock movement for inventory ${inventoryId}:`, undoError);
+      }
+    }
+
+    await supabaseAdmin
+      .from('return_lines')
+      .update({ quantity_received: 0, disposition: null })
+      .eq('return_id', returnId);
+
+    if (markedReceived) {
+      await supabaseAdmin
+        .from('returns')
+        .update({ status: 'pending', received_by: null, received_at: null, updated_at: new Date().toISOString() })
+        .eq('id', returnId);
+    }
+  };
+
+  // Move stock - use admin client to bypass RLS
+  for (const { line, quantity, disposition } of received) {
+    if (quantity > 0) {
+      const inventoryId = inventoryByProduct[line.product_id].id;
+      const { error: movementError } = await supabaseAdmin.rpc('apply_inventory_movement', {
+        p_inventory_id: inventoryId,
+        p_available_delta: disposition === 'restock' ? quantity : 0,
+        p_reserved_delta: 0,
+        p_dispatched_delta: -quantity
+      });
+
+      if (movementError) {
+        console.error(`Failed to update inventory for product ${line.product_id}:`, movementError);
+        await rollback();
+        return { success: false, statusCode: 400, message: movementError.message || `Failed to update inventory for product ${line.product_id}` };
+      }
+      moved.push({ inventoryId, quantity, disposition });
+    }
+
+    const { error: lineError } = await supabaseAdmin
+      .from('return_lines')
+      .update({ quantity_received: quantity, disposition })
+      .eq('id', line.id);
+
+    if (lineError) {
+      await rollback();
+      return { success: false, statusCode: 400, message: lineError.message || 'Failed to update return lines' };
+    }
+  }
+
+  const { data: updatedReturn, error: returnError } = await supabaseAdmin
+    .from('returns')
+    .update({
+      status: 'received',
+      received_by: userId,
+      received_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', returnId)
+    .eq('status', 'pending')
+    .select()
+    .single();
+
+  if (returnError || !updatedReturn) {
+    await rollback();
+    return { success: false, statusCode: 400, message: returnError?.message || `Return ${returnRecord.rma_number} could not be marked received` };
+  }
+  markedReceived = true;
+
+  // Credit the invoice that billed (and locked) this order
+  let creditNote = null;
+  let credit = null;
+
+  if (invoice && amount > 0) {
+    const created = await createCreditNote({
+      invoiceId: fullInvoice.id,
+      clientId: returnRecord.client_id,
+      reason: 'return',
+      description: `Return ${returnRecord.rma_number} for order ${order.order_number}`,
+      lines: [{
+        orderId: order.id,
+        description: `Return ${returnRecord.rma_number} – Order #${order.order_number} (${totalReceived} units)`,
+        quantity: totalReceived,
+        unitPrice: calculated.unitRate,
+        amount
+      }],
+      userId,
+      returnId
+    });
+
+    if (!created.success) {
+      console.error(`Failed to create credit note for ${returnRecord.rma_number}:`, created.message);
+      await rollback();
+      return { success: false, statusCode: 400, message: `Return not received: ${created.message}` };
+    }
+
+    creditNote = created.creditNote;
+
+    await supabaseAdmin
+      .from('returns')
+      .update({ credit_note_id: creditNote.id })
+      .eq('id', returnId);
+
+    credit = await applyCreditNote({ creditNote, invoiceId: fullInvoice.id, userId });
+    if (!credit.success) {
+      // Credit note stays issued and can be applied to another invoice
+      console.warn(`Credit note ${creditNote.credit_note_number} not applied:`, credit.message);
+    }
+  }
+
+  // Restocked units go back into their bin, lot and serials, as an inbound put-away does
+  for (const { line, quantity, restock } of received) {
+    if (!restock) continue;
+
+    const inventoryId = inventoryByProduct[line.product_id].id;
+    await putAwayReceivedStock(inventoryId, restock.bin, quantity);
+    await receiveIntoLot(inventoryId, restock.lotNumber, restock.expiryDate, quantity);
+    await serialService.restockSerials(restock.serialIds);
+  }
+
+  // Mark the order returned once every shipped unit has come back
+  const { data: orderItems } = await supabaseAdmin
+    .from('order_items')
+    .select('id, shipped_quantity')
+    .eq('order_id', order.id);
+  const returnedQuantities = await getReturnedQuantities(order.id, { receivedOnly: true });
+  const fullyReturned = (orderItems || []).every(item =>
+    (returnedQuantities[item.id] || 0) >= (item.shipped_quantity || 0)
+  );
+
+  if (fullyReturned && ['dispatched', 'delivered'].includes(order.status)) {
+    const transition = await transitionOrder({
+      orderId: order.id,
+      toStatus: 'returned',
+      userId,
+      note: `Returned via ${returnRecord.rma_number}`
+    });
+
+    if (!transition.success) {
+      console.error(`Failed to mark order ${order.order_number} returned:`, transition.message);
+    }
+  }
+
+  return {
+    success: true,
+    returnRecord: { ...updatedReturn, credit_note_id: creditNote?.id || null },
+    order,
+    totalReceived,
+    creditNote,
+    credit
+  };
+};
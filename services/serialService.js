@@ -0,0 +1,780 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+
+/**
+ * Serial Service
+ * Unit-level serial numbers for products flagged track_serials
+ * (electronics). Serials are scanned when units are received and again
+ * when an order is packed; shipping the order ships exactly the packed
+ * units, so every unit can be traced to the receipt it came in on and the
+ * order and invoice it went out on. inventory keeps the totals;
+ * inventory_serials only records which units make them up.
+ *
+ * Status changes are conditional updates on the current status, so two
+ * orders cannot pack the same unit.
+ */
+
+/**
+ * Normalise scanned serial numbers (trimmed; serials are kept as printed)
+ * @param {Array<string>} serialNumbers
+ * @returns {Array<string>}
+ */
+const normalizeSerialNumbers = (serialNumbers) => (Array.isArray(serialNumbers) ? serialNumbers : [])
+  .map(serial => String(serial || '').trim())
+  .filter(Boolean);
+
+exports.normalizeSerialNumbers = normalizeSerialNumbers;
+
+/**
+ * First serial that appears more than once in a list
+ */
+const findDuplicate = (serials) => serials.find((serial, index) => serials.indexOf(serial) !== index);
+
+/**
+ * Products keyed by ID with their serial tracking flag
+ */
+const getProducts = async (productIds) => {
+  const { data: products } = await supabaseAdmin
+    .from('products')
+    .select('id, sku, track_serials')
+    .in('id', productIds);
+
+  return Object.fromEntries((products || []).map(product => [product.id, product]));
+};
+
+/**
+ * Validate serial numbers scanned for a receipt
+ * Serial-tracked products need one serial per received unit; other
+ * products may be received with serials, also one per unit.
+ * A serial already in stock (packed or in transit) is rejected; a shipped or removed
+ * unit can be received again.
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} params.productId
+ * @param {number} params.quantity - Units received
+ * @param {Array<string>} params.serialNumbers
+ * @returns {Promise<Object>} { success, serials } or { success: false, statusCode, code, message }
+ */
+exports.validateReceiptSerials = async ({ clientId, productId, quantity, serialNumbers }) => {
+  const serials = normalizeSerialNumbers(serialNumbers);
+  const products = await getProducts([productId]);
+  const product = products[productId];
+
+  if (serials.length === 0 && !product?.track_serials) {
+    return { success: true, serials };
+  }
+
+  if (serials.length !== quantity) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'SERIALS_REQUIRED',
+      message: `${quantity} serial numbers are required for ${product?.sku || 'this product'}, got ${serials.length}`
+    };
+  }
+
+  const duplicate = findDuplicate(serials);
+  if (duplicate) {
+    return { success: false, statusCode: 400, code: 'SERIAL_CONFLICT', message: `Serial ${duplicate} is listed more than once` };
+  }
+
+  const { data: existing } = await supabaseAdmin
+    .from('inventory_serials')
+    .select('serial_number, status')
+    .eq('client_id', clientId)
+    .eq('product_id', productId)
+    .in('serial_number', serials)
+    .in('status', ['in_stock', 'in_transit', 'packed']);
+
+  if (existing && existing.length > 0) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'SERIAL_CONFLICT',
+      message: `Serials already in stock: ${existing.map(row => row.serial_number).join(', ')}`
+    };
+  }
+
+  return { success: true, serials };
+};
+
+/**
+ * Record received serials as in stock
+ * Units received again (shipped or removed before) reuse their row.
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} params.productId
+ * @param {string} params.warehouseId
+ * @param {string} params.inboundLogId
+ * @param {Array<string>} params.serials - Validated with validateReceiptSerials
+ * @returns {Promise<number>} Serials recorded
+ */
+exports.registerReceivedSerials = async ({ clientId, productId, warehouseId, inboundLogId, serials }) => {
+  if (!serials || serials.length === 0) return 0;
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from('inventory_serials')
+    .upsert(serials.map(serial => ({
+      serial_number: serial,
+      client_id: clientId,
+      product_id: productId,
+      warehouse_id: warehouseId,
+      inbound_log_id: inboundLogId,
+      status: 'in_stock',
+      order_id: null,
+      order_item_id: null,
+      received_at: now,
+      packed_at: null,
+      shipped_at: null,
+      updated_at: now
+    })), { onConflict: 'client_id,product_id,serial_number' })
+    .select('id');
+
+  if (error) {
+    // Stock is on hand either way; the units are just not serialised
+    console.error(`Failed to record serials for inbound log ${inboundLogId}:`, error.message);
+    return 0;
+  }
+
+  return (data || []).length;
+};
+
+/**
+ * Validate serials taken back out of stock from a receipt
+ * (accepted quantity lowered after the units were received)
+ * @param {Object} params
+ * @param {Object} params.inboundLog - inbound_logs row
+ * @param {number} params.quantity - Units taken out
+ * @param {Array<string>} params.serialNumbers
+ * @returns {Promise<Object>} { success, serialIds } or { success: false, statusCode, code, message }
+ */
+exports.validateRemovedSerials = async ({ inboundLog, quantity, serialNumbers }) => {
+  const serials = normalizeSerialNumbers(serialNumbers);
+  const products = await getProducts([inboundLog.product_id]);
+  const product = products[inboundLog.product_id];
+
+  if (serials.length === 0) {
+    if (product?.track_serials) {
+      return {
+        success: false,
+        statusCode: 400,
+        code: 'SERIALS_REQUIRED',
+        message: `${quantity} serial numbers are required to take ${product.sku} units out of stock`
+      };
+    }
+    return { success: true, serialIds: [] };
+  }
+
+  if (serials.length !== quantity) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'SERIALS_REQUIRED',
+      message: `${quantity} serial numbers are required, got ${serials.length}`
+    };
+  }
+
+  const { data: rows } = await supabaseAdmin
+    .from('inventory_serials')
+    .select('id, serial_number')
+    .eq('inbound_log_id', inboundLog.id)
+    .eq('status', 'in_stock')
+    .in('serial_number', serials);
+
+  const found = new Set((rows || []).map(row => row.serial_number));
+  const missing = serials.filter(serial => !found.has(serial));
+  if (missing.length > 0) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'SERIAL_NOT_FOUND',
+      message: `Serials not in stock from this receipt: ${missing.join(', ')}`
+    };
+  }
+
+  return { success: true, serialIds: rows.map(row => row.id) };
+};
+
+/**
+ * Mark serials as taken out of stock
+ * @param {Object} params
+ * @param {Array<string>} params.serialIds - Serial row IDs
+ * @param {string} params.inboundLogId - Or every in-stock serial of a receipt
+ * @returns {Promise<number>} Serials removed
+ */
+exports.removeSerials = async ({ serialIds = null, inboundLogId = null }) => {
+  if (!inboundLogId && (!serialIds || serialIds.length === 0)) return 0;
+
+  let query = supabaseAdmin
+    .from('inventory_serials')
+    .update({ status: 'removed', updated_at: new Date().toISOString() })
+    .eq('status', 'in_stock');
+
+  query = inboundLogId ? query.eq('inbound_log_id', inboundLogId) : query.in('id', serialIds);
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    console.error('Failed to remove serials:', error.message);
+    return 0;
+  }
+
+  return (data || []).length;
+};
+
+/**
+ * Validate serials of returned units going back into stock
+ * Serial-tracked products need one serial per restocked unit, each one
+ * shipped on the returned order item.
+ * @param {Object} params
+ * @param {string} params.orderItemId
+ * @param {string} params.productId
+ * @param {number} params.quantity - Units restocked
+ * @param {Array<string>} params.serialNumbers
+ * @returns {Promise<Object>} { success, serialIds } or { success: false, statusCode, code, message }
+ */
+exports.validateReturnedSerials = async ({ orderItemId, productId, quantity, serialNumbers }) => {
+  const serials = normalizeSerialNumbers(serialNumbers);
+  const products = await getProducts([productId]);
+  const product = products[productId];
+
+  if (serials.length === 0 && !product?.track_serials) {
+    return { success: true, serialIds: [] };
+  }
+
+  if (serials.length !== quantity) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'SERIALS_REQUIRED',
+      message: `${quantity} serial numbers are required to restock ${product?.sku || 'this product'}, got ${serials.length}`
+    };
+  }
+
+  const duplicate = findDuplicate(serials);
+  if (duplicate) {
+    return { success: false, statusCode: 400, code: 'SERIAL_CONFLICT', message: `Serial ${duplicate} is listed more than once` };
+  }
+
+  const { data: rows } = await supabaseAdmin
+    .from('inventory_serials')
+    .select('id, serial_number')
+    .eq('order_item_id', orderItemId)
+    .eq('status', 'shipped')
+    .in('serial_number', serials);
+
+  const found = new Set((rows || []).map(row => row.serial_number));
+  const missing = serials.filter(serial => !found.has(serial));
+  if (missing.length > 0) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'SERIAL_NOT_FOUND',
+      message: `Serials not shipped on this order item: ${missing.join(', ')}`
+    };
+  }
+
+  return { success: true, serialIds: rows.map(row => row.id) };
+};
+
+/**
+ * Put returned serials back in stock
+ * @param {Array<string>} serialIds - Serial row IDs validated with validateReturnedSerials
+ * @returns {Promise<number>} Serials restocked
+ */
+exports.restockSerials = async (serialIds) => {
+  if (!serialIds || serialIds.length === 0) return 0;
+
+  const { data, error } = await supabaseAdmin
+    .from('inventory_serials')
+    .update({
+      status: 'in_stock',
+      order_id: null,
+      order_item_id: null,
+      packed_at: null,
+      shipped_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .in('id', serialIds)
+    .eq('status', 'shipped')
+    .select('id');
+
+  if (error) {
+    // Stock is on hand either way; the units are just not serialised
+    console.error('Failed to restock serials:', error.message);
+    return 0;
+  }
+
+  return (data || []).length;
+};
+
+/**
+ * Validate serials named on a warehouse transfer line
+ * Serial-tracked products need one serial per unit, each one in stock in
+ * the source warehouse; other products may name serials the same way.
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} params.productId
+ * @param {string} params.warehouseId - Source warehouse
+ * @param {number} params.quantity - Units transferred
+ * @param {Array<string>} params.serialNumbers
+ * @returns {Promise<Object>} { success, serials } or { success: false, statusCode, code, message }
+ */
+exports.validateTransferSerials = async ({ clientId, productId, warehouseId, quantity, serialNumbers }) => {
+  const serials = normalizeSerialNumbers(serialNumbers);
+  const products = await getProducts([productId]);
+  const product = products[productId];
+
+  if (serials.length === 0 && !product?.track_serials) {
+    return { success: true, serials };
+  }
+
+  if (serials.length !== quantity) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'SERIALS_REQUIRED',
+      message: `${quantity} serial numbers are required to transfer ${product?.sku || 'this product'}, got ${serials.length}`
+    };
+  }
+
+  const duplicate = findDuplicate(serials);
+  if (duplicate) {
+    return { success: false, statusCode: 400, code: 'SERIAL_CONFLICT', message: `Serial ${duplicate} is listed more than once` };
+  }
+
+  const { data: rows } = await supabaseAdmin
+    .from('inventory_serials')
+    .select('serial_number')
+    .eq('client_id', clientId)
+    .eq('product_id', productId)
+    .eq('warehouse_id', warehouseId)
+    .eq('status', 'in_stock')
+    .in('serial_number', serials);
+
+  const found = new Set((rows || []).map(row => row.serial_number));
+  const missing = serials.filter(serial => !found.has(serial));
+  if (missing.length > 0) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'SERIAL_NOT_FOUND',
+      message: `Serials not in stock in the source warehouse: ${missing.join(', ')}`
+    };
+  }
+
+  return { success: true, serials };
+};
+
+/**
+ * Move a transfer line's serials: in_stock → in_transit when the transfer
+ * ships, in_transit → in_stock in the destination warehouse when it is received
+ * @param {Object} params
+ * @param {Object} params.transfer - warehouse_transfers row
+ * @param {Object} params.line - warehouse_transfer_lines row
+ * @param {string} params.action - ship | receive
+ * @returns {Promise<number>} Serials moved
+ */
+exports.moveTransferSerials = async ({ transfer, line, action }) => {
+  const serials = line.serial_numbers || [];
+  if (serials.length === 0) return 0;
+
+  const shipping = action === 'ship';
+  const { data, error } = await supabaseAdmin
+    .from('inventory_serials')
+    .update({
+      status: shipping ? 'in_transit' : 'in_stock',
+      warehouse_id: shipping ? transfer.from_warehouse_id : transfer.to_warehouse_id,
+      updated_at: new Date().toISOString()
+    })
+    .eq('client_id', transfer.client_id)
+    .eq('product_id', line.product_id)
+    .eq('status', shipping ? 'in_stock' : 'in_transit')
+    .in('serial_number', serials)
+    .select('id');
+
+  if (error) {
+    // Stock moved either way; the units are just not where their serials say
+    console.error(`Failed to ${action} serials of transfer ${transfer.transfer_number}:`, error.message);
+    return 0;
+  }
+
+  return (data || []).length;
+};
+
+/**
+ * Serials packed for an order, grouped by order item
+ */
+const getPackedSerials = async (orderId) => {
+  const { data: rows } = await supabaseAdmin
+    .from('inventory_serials')
+    .select('id, serial_number, order_item_id, packed_at')
+    .eq('order_id', orderId)
+    .eq('status', 'packed')
+    .order('packed_at', { ascending: true })
+    .order('serial_number', { ascending: true });
+
+  const packed = {};
+  (rows || []).forEach(row => {
+    if (!packed[row.order_item_id]) packed[row.order_item_id] = [];
+    packed[row.order_item_id].push(row);
+  });
+
+  return packed;
+};
+
+/**
+ * Give packed serials back to stock
+ */
+const unpackSerials = async (serialIds) => {
+  if (serialIds.length === 0) return;
+
+  await supabaseAdmin
+    .from('inventory_serials')
+    .update({
+      status: 'in_stock',
+      order_id: null,
+      order_item_id: null,
+      packed_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .in('id', serialIds)
+    .eq('status', 'packed');
+};
+
+/**
+ * Pack scanned serials into an order
+ * Every serial must exist for the order's client and product and be in
+ * stock in the order's warehouse. Serial-tracked products need one serial for every unit left to
+ * ship (units packed earlier count towards that).
+ * @param {Object} params
+ * @param {Object} params.order - orders row
+ * @param {Array} params.items - order_items rows
+ * @param {Array} params.serialNumbers - [{ productId, serialNumber }]
+ * @returns {Promise<Object>} { success, serialIds } or { success: false, statusCode, code, message }
+ */
+exports.packOrderSerials = async ({ order, items, serialNumbers }) => {
+  const scans = (Array.isArray(serialNumbers) ? serialNumbers : [])
+    .map(scan => ({ productId: scan?.productId, serialNumber: String(scan?.serialNumber || '').trim() }))
+    .filter(scan => scan.serialNumber);
+
+  const openItems = items.filter(item => item.quantity - (item.shipped_quantity || 0) > 0);
+  const products = await getProducts(openItems.map(item => item.product_id));
+  const packed = await getPackedSerials(order.id);
+
+  for (const scan of scans) {
+    if (!openItems.some(item => item.product_id === scan.productId)) {
+      return { success: false, statusCode: 400, code: 'INVALID_SERIAL', message: `Product ${scan.productId} has nothing left to pack on this order` };
+    }
+  }
+
+  const duplicate = findDuplicate(scans.map(scan => `${scan.productId}:${scan.serialNumber}`));
+  if (duplicate) {
+    return { success: false, statusCode: 400, code: 'SERIAL_CONFLICT', message: `Serial ${duplicate.split(':')[1]} is listed more than once` };
+  }
+
+  const plan = [];
+  for (const item of openItems) {
+    const product = products[item.product_id];
+    const itemScans = scans.filter(scan => scan.productId === item.product_id).map(scan => scan.serialNumber);
+    const alreadyPacked = (packed[item.id] || []).length;
+    const needed = item.quantity - (item.shipped_quantity || 0) - alreadyPacked;
+
+    if (product?.track_serials ? itemScans.length !== needed : itemScans.length > needed) {
+      return {
+        success: false,
+        statusCode: 400,
+        code: 'SERIALS_REQUIRED',
+        message: `${needed} serial numbers are required to pack ${product?.sku || item.product_id}, got ${itemScans.length}`
+      };
+    }
+
+    if (itemScans.length === 0) continue;
+
+    const { data: rows } = await supabaseAdmin
+      .from('inventory_serials')
+      .select('id, serial_number, status, warehouse_id')
+      .eq('client_id', order.client_id)
+      .eq('product_id', item.product_id)
+      .in('serial_number', itemScans);
+
+    for (const serial of itemScans) {
+      const row = (rows || []).find(r => r.serial_number === serial);
+      if (!row) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'SERIAL_NOT_FOUND',
+          message: `Serial ${serial} is not recorded for ${product?.sku || item.product_id} of this client`
+        };
+      }
+      if (row.status !== 'in_stock') {
+        return { success: false, statusCode: 400, code: 'SERIAL_CONFLICT', message: `Serial ${serial} is ${row.status}, not in stock` };
+      }
+      if (order.warehouse_id && row.warehouse_id !== order.warehouse_id) {
+        return { success: false, statusCode: 400, code: 'SERIAL_CONFLICT', message: `Serial ${serial} is in stock in another warehouse` };
+      }
+    }
+
+    plan.push({ item, serialIds: rows.map(row => row.id) });
+  }
+
+  const now = new Date().toISOString();
+  const packedIds = [];
+  for (const { item, serialIds } of plan) {
+    const { data: updated } = await supabaseAdmin
+      .from('inventory_serials')
+      .update({
+        status: 'packed',
+        order_id: order.id,
+        order_item_id: item.id,
+        packed_at: now,
+        updated_at: now
+      })
+      .in('id', serialIds)
+      .eq('status', 'in_stock')
+      .select('id');
+
+    packedIds.push(...(updated || []).map(row => row.id));
+
+    if ((updated || []).length !== serialIds.length) {
+      // ROLLBACK: Another order packed one of these units first
+      await unpackSerials(packedIds);
+      return { success: false, statusCode: 409, code: 'SERIAL_CONFLICT', message: 'Some serials were packed by another order, scan again' };
+    }
+  }
+
+  return { success: true, serialIds: packedIds };
+};
+
+/**
+ * Undo packOrderSerials when the order could not be updated
+ * @param {Array<string>} serialIds
+ */
+exports.unpackSerials = unpackSerials;
+
+/**
+ * Work out which packed serials leave with a shipment
+ * Serial-tracked products can only ship units that were packed with a
+ * serial. A shipment can name its serials; otherwise the units packed
+ * first go out first.
+ * @param {Object} params
+ * @param {Object} params.order - orders row
+ * @param {Array} params.shipments - [{ item, quantity, serialNumbers? }]
+ * @returns {Promise<Object>} { success, serialIds: { orderItemId → [serialId] } } or
+ *   { success: false, statusCode, code, message }
+ */
+exports.resolveShipmentSerials = async ({ order, shipments }) => {
+  if (shipments.length === 0) return { success: true, serialIds: {} };
+
+  const products = await getProducts(shipments.map(s => s.item.product_id));
+  const packed = await getPackedSerials(order.id);
+  const serialIds = {};
+
+  for (const { item, quantity, serialNumbers } of shipments) {
+    const product = products[item.product_id];
+    const available = packed[item.id] || [];
+    const named = normalizeSerialNumbers(serialNumbers);
+
+    if (named.length > 0) {
+      const picked = available.filter(row => named.includes(row.serial_number));
+      if (named.length !== quantity || picked.length !== named.length) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'INVALID_SERIAL',
+          message: `Shipped serials for ${product?.sku || item.product_id} must be ${quantity} serials packed on this order`
+        };
+      }
+      serialIds[item.id] = picked.map(row => row.id);
+      continue;
+    }
+
+    if (product?.track_serials && available.length < quantity) {
+      return {
+        success: false,
+        statusCode: 400,
+        code: 'SERIALS_REQUIRED',
+        message: `${product.sku} is serial-tracked: pack ${quantity} units with serial numbers before shipping (${available.length} packed)`
+      };
+    }
+
+    serialIds[item.id] = available.slice(0, quantity).map(row => row.id);
+  }
+
+  return { success: true, serialIds };
+};
+
+/**
+ * Mark packed serials as shipped
+ * @param {Array<string>} serialIds - Serial row IDs of one shipped item
+ * @returns {Promise<number>} Serials shipped
+ */
+exports.shipSerials = async (serialIds) => {
+  if (!serialIds || serialIds.length === 0) return 0;
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from('inventory_serials')
+    .update({ status: 'shipped', shipped_at: now, updated_at: now })
+    .in('id', serialIds)
+    .eq('status', 'packed')
+    .select('id');
+
+  if (error) {
+    console.error('Failed to ship serials:', error.message);
+    return 0;
+  }
+
+  return (data || []).length;
+};
+
+/**
+ * Give every serial packed for an order back to stock (cancellation)
+ * @param {string} orderId
+ */
+exports.releaseOrderSerials = async (orderId) => {
+  const packed = await getPackedSerials(orderId);
+  await unpackSerials(Object.values(packed).flat().map(row => row.id));
+};
+
+/**
+ * Serials packed or shipped on an order, grouped by order item
+ * @param {string} orderId
+ * @returns {Promise<Object>} orderItemId → [{ serialNumber, status, packedAt, shippedAt }]
+ */
+exports.getOrderSerials = async (orderId) => {
+  const { data: rows } = await supabaseAdmin
+    .from('inventory_serials')
+    .select('serial_number, status, order_item_id, packed_at, shipped_at')
+    .eq('order_id', orderId)
+    .order('serial_number', { ascending: true });
+
+  const serials = {};
+  (rows || []).forEach(row => {
+    if (!serials[row.order_item_id]) serials[row.order_item_id] = [];
+    serials[row.order_item_id].push({
+      serialNumber: row.serial_number,
+      status: row.status,
+      packedAt: row.packed_at,
+      shippedAt: row.shipped_at
+    });
+  });
+
+  return serials;
+};
+
+/**
+ * Look up a serial number: where the unit came from and which order and
+ * invoice it went out on
+ * The same serial can exist for different products, so all matches are returned.
+ * @param {Object} params
+ * @param {string} params.serialNumber
+ * @param {string} params.clientId - Limit to one client's units
+ * @returns {Promise<Object>} { success, serials } or { success: false, statusCode, message }
+ */
+exports.lookupSerial = async ({ serialNumber, clientId = null }) => {
+  let query = supabaseAdmin
+    .from('inventory_serials')
+    .select(`
+      *,
+      products:product_id (
+        id,
+        name,
+        sku
+      ),
+      clients:client_id (
+        id,
+        company_name
+      ),
+      warehouses:warehouse_id (
+        id,
+        code,
+        name
+      ),
+      inbound_logs:inbound_log_id (
+        id,
+        reference_number,
+        received_at
+      ),
+      orders:order_id (
+        id,
+        order_number,
+        status,
+        tracking_number,
+        dispatched_at,
+        delivered_at,
+        invoice_id
+      )
+    `)
+    .eq('serial_number', String(serialNumber || '').trim());
+
+  if (clientId) {
+    query = query.eq('client_id', clientId);
+  }
+
+  const { data: rows, error } = await query;
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to look up serial' };
+  }
+
+  const invoiceIds = [...new Set((rows || []).map(row => row.orders?.invoice_id).filter(Boolean))];
+  let invoices = {};
+  if (invoiceIds.length > 0) {
+    const { data: invoiceRows } = await supabaseAdmin
+      .from('invoices')
+      .select('id, invoice_number, status, created_at')
+      .in('id', invoiceIds);
+    invoices = Object.fromEntries((invoiceRows || []).map(invoice => [invoice.id, invoice]));
+  }
+
+  return {
+    success: true,
+    serials: (rows || []).map(row => {
+      const invoice = row.orders?.invoice_id ? invoices[row.orders.invoice_id] : null;
+      return {
+        id: row.id,
+        _id: row.id,
+        serialNumber: row.serial_number,
+        status: row.status,
+        productId: row.products ? {
+          _id: row.products.id,
+          name: row.products.name,
+          sku: row.products.sku
+        } : row.product_id,
+        clientId: row.clients ? {
+          _id: row.clients.id,
+          companyName: row.clients.company_name
+        } : row.client_id,
+        warehouseId: row.warehouses ? {
+          _id: row.warehouses.id,
+          code: row.warehouses.code,
+          name: row.warehouses.name
+        } : null,
+        inbound: row.inbound_logs ? {
+          _id: row.inbound_logs.id,
+          referenceNumber: row.inbound_logs.reference_number,
+          receivedAt: row.inbound_logs.received_at
+        } : null,
+        order: row.orders ? {
+          _id: row.orders.id,
+          orderNumber: row.orders.order_number,
+          status: row.orders.status,
+          trackingNumber: row.orders.tracking_number,
+          dispatchedAt: row.orders.dispatched_at,
+          deliveredAt: row.orders.delivered_at
+        } : null,
+        invoice: invoice ? {
+          _id: invoice.id,
+          invoiceNumber: invoice.invoice_number,
+          status: invoice.status,
+          createdAt: invoice.created_at
+        } : null,
+        receivedAt: row.received_at,
+        packedAt: row.packed_at,
+        shippedAt: row.shipped_at
+      };
+    })
+  };
+};
@@ -0,0 +1,255 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { countryCode } = require('./carriers/carrierUtils');
+
+/**
+ * Shipping Rate Service
+ * Prices an order's shipment with every active carrier service's rate
+ * table (see migrations/add_shipping_rates.sql for the table layout):
+ * destination → zone, billable weight = max(actual, dimensional) rounded
+ * up to the lb, zone/weight tier rate, fuel surcharge, minimum charge.
+ */
+
+const SERVICE_LEVELS = ['cheapest', 'fastest'];
+const ANY_ZONE = '*';
+
+// Fewest transit days first (services without a transit time last), then cheapest
+const byTransitTime = (a, b) => (a.transitDays ?? Infinity) - (b.transitDays ?? Infinity) || a.amount - b.amount;
+
+exports.SERVICE_LEVELS = SERVICE_LEVELS;
+
+/**
+ * Normalise zone entries from API input or the database
+ * @param {Array} zones
+ * @returns {Array} [{ zone, country, zipFrom, zipTo, warehouseId }]
+ */
+exports.normalizeZones = (zones) => (Array.isArray(zones) ? zones : []).map(entry => ({
+  zone: String(entry.zone),
+  country: entry.country ? countryCode(entry.country) : null,
+  zipFrom: entry.zipFrom ? String(entry.zipFrom).trim() : null,
+  zipTo: entry.zipTo ? String(entry.zipTo).trim() : null,
+  warehouseId: entry.warehouseId || null
+}));
+
+/**
+ * Normalise rate tiers from API input or the database, lightest first per zone
+ * @param {Array} rates
+ * @returns {Array} [{ zone, maxWeight, rate }]
+ */
+exports.normalizeRates = (rates) => (Array.isArray(rates) ? rates : [])
+  .map(tier => ({
+    zone: tier.zone === undefined || tier.zone === null || tier.zone === '' ? ANY_ZONE : String(tier.zone),
+    maxWeight: tier.maxWeight === null || tier.maxWeight === undefined || tier.maxWeight === ''
+      ? null
+      : parseFloat(tier.maxWeight),
+    rate: parseFloat(tier.rate)
+  }))
+  .sort((a, b) => (a.maxWeight ?? Infinity) - (b.maxWeight ?? Infinity));
+
+/**
+ * Validate zones from API input
+ * @param {Array} zones
+ * @returns {string|null} error message, null when valid
+ */
+exports.validateZones = (zones) => {
+  if (!Array.isArray(zones)) return 'Zones must be an array';
+
+  for (const [index, entry] of zones.entries()) {
+    if (entry.zone === undefined || entry.zone === null || String(entry.zone).trim() === '') {
+      return `Zone ${index + 1}: zone is required`;
+    }
+    if ((entry.zipFrom && !entry.zipTo) || (!entry.zipFrom && entry.zipTo)) {
+      return `Zone ${index + 1}: zipFrom and zipTo go together`;
+    }
+    if (entry.zipFrom && String(entry.zipFrom).length !== String(entry.zipTo).length) {
+      return `Zone ${index + 1}: zipFrom and zipTo must have the same number of digits`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate rate tiers from API input
+ * @param {Array} rates
+ * @returns {string|null} error message, null when valid
+ */
+exports.validateRates = (rates) => {
+  if (!Array.isArray(rates)) return 'Rates must be an array';
+  if (rates.length === 0) return 'At least one rate is required';
+
+  for (const [index, tier] of rates.entries()) {
+    if (isNaN(parseFloat(tier.rate)) || parseFloat(tier.rate) < 0) {
+      return `Rate ${index + 1}: rate must be 0 or more`;
+    }
+    const hasMax = tier.maxWeight !== null && tier.maxWeight !== undefined && tier.maxWeight !== '';
+    if (hasMax && (isNaN(parseFloat(tier.maxWeight)) || parseFloat(tier.maxWeight) <= 0)) {
+      return `Rate ${index + 1}: maxWeight must be greater than 0 or null`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Convert a shipping_services row to the camelCase shape the estimator works with
+ * @param {Object} row - shipping_services row
+ * @returns {Object} service
+ */
+exports.toShippingService = (row) => ({
+  id: row.id,
+  carrier: row.carrier,
+  serviceCode: row.service_code,
+  name: row.name,
+  transitDays: row.transit_days,
+  dimDivisor: row.dim_divisor !== null && row.dim_divisor !== undefined ? parseFloat(row.dim_divisor) : null,
+  fuelSurchargePercent: parseFloat(row.fuel_surcharge_percent || 0),
+  minCharge: parseFloat(row.min_charge || 0),
+  additionalPerLb: row.additional_per_lb !== null && row.additional_per_lb !== undefined
+    ? parseFloat(row.additional_per_lb)
+    : null,
+  zones: exports.normalizeZones(row.zones),
+  rates: exports.normalizeRates(row.rates),
+  isActive: row.is_active
+});
+
+/**
+ * Zone of a destination for a service, null when the service does not serve it
+ */
+const resolveZone = (service, destination, warehouseId) => {
+  if (service.zones.length === 0) return ANY_ZONE;
+
+  const country = countryCode(destination.country);
+  const zip = String(destination.zipCode || '').replace(/\s/g, '').toUpperCase();
+
+  const matches = (entry) => {
+    if (entry.warehouseId && entry.warehouseId !== warehouseId) return false;
+    if (entry.country && entry.country !== country) return false;
+    if (entry.zipFrom) {
+      const prefix = zip.slice(0, entry.zipFrom.length);
+      if (prefix.length !== entry.zipFrom.length || prefix < entry.zipFrom || prefix > entry.zipTo) return false;
+    }
+    return true;
+  };
+
+  // Entries for the shipping warehouse first, then by how narrow they are
+  const specificity = (entry) => (entry.warehouseId ? 4 : 0) + (entry.zipFrom ? 2 : 0) + (entry.country ? 1 : 0);
+  const entry = [...service.zones]
+    .sort((a, b) => specificity(b) - specificity(a))
+    .find(matches);
+
+  return entry ? entry.zone : null;
+};
+
+/**
+ * Price a shipment with one service
+ * @param {Object} service - From toShippingService()
+ * @param {Object} shipment - { totalWeight (lbs), totalVolume (cubic inches), destination, warehouseId }
+ * @returns {Object|null} option, null when the service does not serve the destination or weight
+ */
+exports.quoteService = (service, { totalWeight = 0, totalVolume = 0, destination = {}, warehouseId = null }) => {
+  const zone = resolveZone(service, destination, warehouseId);
+  if (zone === null) return null;
+
+  const dimWeight = service.dimDivisor ? totalVolume / service.dimDivisor : 0;
+  const billableWeight = Math.max(Math.ceil(Math.max(totalWeight, dimWeight)), 1);
+
+  const tiers = service.rates.filter(tier => tier.zone === zone || tier.zone === ANY_ZONE);
+  if (tiers.length === 0) return null;
+
+  let base;
+  const tier = tiers.find(t => t.maxWeight === null || billableWeight <= t.maxWeight);
+  if (tier) {
+    base = tier.rate;
+  } else if (service.additionalPerLb !== null) {
+    const heaviest = tiers[tiers.length - 1];
+    base = heaviest.rate + (billableWeight - heaviest.maxWeight) * service.additionalPerLb;
+  } else {
+    return null;
+  }
+
+  const amount = Math.max(base * (1 + service.fuelSurchargePercent / 100), service.minCharge);
+
+  return {
+    serviceId: service.id,
+    carrier: service.carrier,
+    serviceCode: service.serviceCode,
+    name: service.name,
+    transitDays: service.transitDays,
+    zone,
+    actualWeight: parseFloat(totalWeight.toFixed(2)),
+    dimensionalWeight: parseFloat(dimWeight.toFixed(2)),
+    billableWeight,
+    amount: parseFloat(amount.toFixed(2))
+  };
+};
+
+/**
+ * Active services with their rate tables
+ * @returns {Promise<Array>}
+ */
+exports.getActiveServices = async () => {
+  const { data: rows, error } = await supabaseAdmin
+    .from('shipping_services')
+    .select('*')
+    .eq('is_active', true);
+
+  if (error) throw error;
+  return (rows || []).map(exports.toShippingService);
+};
+
+/**
+ * Price a shipment with every active service
+ * @param {Object} shipment - { totalWeight (lbs), totalVolume (cubic inches), destination: { country, zipCode }, warehouseId }
+ * @returns {Promise<Object>} { options (cheapest first), cheapest, fastest }
+ */
+exports.estimate = async (shipment) => {
+  const services = await exports.getActiveServices();
+
+  const options = services
+    .map(service => exports.quoteService(service, shipment))
+    .filter(Boolean)
+    .sort((a, b) => a.amount - b.amount);
+
+  const fastest = [...options].sort(byTransitTime)[0] || null;
+
+  return { options, cheapest: options[0] || null, fastest };
+};
+
+/**
+ * Pick the option an order ships with
+ * @param {Object} estimate - From estimate()
+ * @param {Object} choice
+ * @param {string} choice.serviceId - A specific service (optional)
+ * @param {string} choice.serviceLevel - cheapest (default) | fastest
+ * @param {string} choice.carrier - Only this carrier's services (optional)
+ * @returns {Object} { success, option } or { success: false, code, message }
+ */
+exports.chooseOption = (estimate, { serviceId = null, serviceLevel = 'cheapest', carrier = null } = {}) => {
+  const options = carrier
+    ? estimate.options.filter(option => option.carrier === carrier)
+    : estimate.options;
+
+  if (serviceId) {
+    const option = options.find(o => o.serviceId === serviceId);
+    if (!option) {
+      return { success: false, code: 'SHIPPING_SERVICE_UNAVAILABLE', message: 'The selected shipping service does not serve this destination' };
+    }
+    return { success: true, option };
+  }
+
+  if (options.length === 0) {
+    return {
+      success: false,
+      code: 'SHIPPING_SERVICE_UNAVAILABLE',
+      message: carrier
+        ? `No ${carrier} shipping service serves this destination`
+        : 'No shipping service serves this destination'
+    };
+  }
+
+  if (serviceLevel === 'fastest') {
+    return { success: true, option: [...options].sort(byTransitTime)[0] };
+  }
+
+  return { success: true, option: options[0] };
+};
@@ -0,0 +1,499 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const carriers = require('./carriers');
+const { carrierErrorMessage } = require('./carriers/carrierUtils');
+
+/**
+ * Shipping Service
+ * Rate shopping, label purchase and label voids for packed orders through
+ * the carrier adapters in services/carriers. A shipment is the order's
+ * delivery address, shipped from its warehouse, with one package per
+ * carton recorded when the order was packed.
+ */
+
+const LABEL_FORMATS = ['pdf', 'zpl'];
+
+// Labels can be bought once the order is packed and voided until it ships
+const LABEL_STATUSES = ['packed'];
+const VOIDABLE_STATUSES = ['approved', 'packed', 'on_hold', 'cancelled'];
+
+// A label purchase claims the order; a claim older than this was abandoned
+// (e.g. the process died mid-purchase) and can be taken over
+const LABEL_PURCHASE_TIMEOUT_MINUTES = 5;
+
+const LABEL_SELECT = 'id, order_id, carton_id, carrier, service_code, service_name, shipment_id, tracking_number, label_format, cost, currency, status, void_reason, voided_at, created_by, created_at';
+
+exports.LABEL_FORMATS = LABEL_FORMATS;
+
+/**
+ * Build the carrier shipment for a packed order
+ * @param {string} orderId
+ * @returns {Promise<Object>} { success, order, shipment } or { success: false, statusCode, code?, message }
+ */
+const buildShipment = async (orderId) => {
+  const { data: order } = await supabaseAdmin
+    .from('orders')
+    .select('*, warehouses:warehouse_id ( id, code, name, address_line1, city, state, postal_code, country )')
+    .eq('id', orderId)
+    .single();
+
+  if (!order) {
+    return { success: false, statusCode: 404, message: 'Order not found' };
+  }
+
+  if (!LABEL_STATUSES.includes(order.status)) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'INVALID_STATUS',
+      message: `Order ${order.order_number} is ${order.status}; labels are bought for packed orders`
+    };
+  }
+
+  if (!order.delivery_address_street || !order.delivery_address_city || !order.delivery_address_zip_code) {
+    return { success: false, statusCode: 400, code: 'INVALID_ADDRESS', message: `Order ${order.order_number} has an incomplete delivery address` };
+  }
+
+  // Cartons of the pack session that packed the order
+  const { data: session } = await supabaseAdmin
+    .from('pack_sessions')
+    .select('id')
+    .eq('order_id', orderId)
+    .eq('status', 'completed')
+    .order('completed_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  const { data: cartons } = session
+    ? await supabaseAdmin
+      .from('pack_cartons')
+      .select('*')
+      .eq('session_id', session.id)
+      .order('carton_number', { ascending: true })
+    : { data: [] };
+
+  if (!cartons || cartons.length === 0) {
+    return { success: false, statusCode: 400, code: 'CARTONS_REQUIRED', message: `Order ${order.order_number} has no packed cartons` };
+  }
+
+  const warehouse = order.warehouses || {};
+
+  return {
+    success: true,
+    order,
+    shipment: {
+      reference: order.order_number,
+      shipFrom: {
+        name: process.env.SHIPPER_NAME || 'MAX2PAY',
+        company: process.env.SHIPPER_NAME || 'MAX2PAY',
+        phone: process.env.SHIPPER_PHONE || null,
+        street: warehouse.address_line1,
+        city: warehouse.city,
+        state: warehouse.state,
+        zipCode: warehouse.postal_code,
+        country: warehouse.country
+      },
+      shipTo: {
+        name: order.delivery_address_name,
+        phone: order.delivery_address_phone,
+        street: order.delivery_address_street,
+        city: order.delivery_address_city,
+        state: order.delivery_address_state,
+        zipCode: order.delivery_address_zip_code,
+        country: order.delivery_address_country
+      },
+      packages: cartons.map(carton => ({
+        cartonId: carton.id,
+        length: carton.length,
+        width: carton.width,
+        height: carton.height,
+        dimensionUnit: carton.dimension_unit,
+        weight: carton.weight,
+        weightUnit: carton.weight_unit
+      }))
+    }
+  };
+};
+
+/**
+ * Carriers to quote: the one asked for, or every configured carrier
+ */
+const resolveCarriers = (carrierCode) => {
+  if (!carrierCode) {
+    const configured = carriers.getConfiguredCarriers();
+    if (configured.length === 0) {
+      return { success: false, statusCode: 400, code: 'NO_CARRIERS', message: 'No shipping carrier is configured' };
+    }
+    return { success: true, adapters: configured };
+  }
+
+  const adapter = carriers.getCarrier(carrierCode);
+  if (!adapter) {
+    return { success: false, statusCode: 400, code: 'UNKNOWN_CARRIER', message: `Unknown carrier: ${carrierCode}` };
+  }
+  if (!adapter.isConfigured()) {
+    return { success: false, statusCode: 400, code: 'CARRIER_NOT_CONFIGURED', message: `${adapter.name} is not configured` };
+  }
+  return { success: true, adapters: [adapter] };
+};
+
+/**
+ * Quote an order with one or every configured carrier
+ * @param {Object} shipment
+ * @param {Array} adapters
+ * @returns {Promise<Object>} { rates (cheapest first), errors }
+ */
+const quote = async (shipment, adapters) => {
+  const results = await Promise.allSettled(adapters.map(adapter => adapter.getRates(shipment)));
+
+  const rates = [];
+  const errors = [];
+  results.forEach((result, index) => {
+    const adapter = adapters[index];
+    if (result.status === 'rejected') {
+      errors.push({ carrier: adapter.code, message: carrierErrorMessage(result.reason) });
+      return;
+    }
+    result.value.forEach(rate => rates.push({ carrier: adapter.code, carrierName: adapter.name, ...rate }));
+  });
+
+  rates.sort((a, b) => a.amount - b.amount);
+  return { rates, errors };
+};
+
+/**
+ * Rate-shop a packed order
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {string} params.carrier - Only quote this carrier (optional)
+ * @returns {Promise<Object>} { success, order, rates, errors } or { success: false, statusCode, code?, message, data? }
+ */
+exports.getRates = async ({ orderId, carrier = null }) => {
+  const resolved = resolveCarriers(carrier);
+  if (!resolved.success) return resolved;
+
+  const built = await buildShipment(orderId);
+  if (!built.success) return built;
+
+  const { rates, errors } = await quote(built.shipment, resolved.adapters);
+
+  if (rates.length === 0 && errors.length > 0) {
+    return { success: false, statusCode: 502, code: 'CARRIER_ERROR', message: 'No carrier returned rates', data: { errors } };
+  }
+
+  return { success: true, order: built.order, rates, errors };
+};
+
+/**
+ * Claim an order for a label purchase, so two purchases for the same order
+ * cannot both reach the carrier
+ * @param {Object} order - orders row
+ * @returns {Promise<Object>} { success, claimedAt } or { success: false, statusCode, code, message }
+ */
+const claimLabelPurchase = async (order) => {
+  const claimedAt = new Date().toISOString();
+  const staleBefore = new Date(Date.now() - LABEL_PURCHASE_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+
+  const { data: claimed, error } = await supabaseAdmin
+    .from('orders')
+    .update({ label_purchase_started_at: claimedAt })
+    .eq('id', order.id)
+    .or(`label_purchase_started_at.is.null,label_purchase_started_at.lt.${staleBefore}`)
+    .select('id');
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to claim order for label purchase' };
+  }
+
+  if (!claimed || claimed.length === 0) {
+    return {
+      success: false,
+      statusCode: 409,
+      code: 'LABEL_PURCHASE_IN_PROGRESS',
+      message: `Labels are already being bought for order ${order.order_number}`
+    };
+  }
+
+  return { success: true, claimedAt };
+};
+
+/**
+ * Release a label purchase claim (only the one this purchase made)
+ */
+const releaseLabelPurchase = async (orderId, claimedAt) => {
+  const { error } = await supabaseAdmin
+    .from('orders')
+    .update({ label_purchase_started_at: null })
+    .eq('id', orderId)
+    .eq('label_purchase_started_at', claimedAt);
+
+  if (error) {
+    console.error(`Failed to release label purchase claim on order ${orderId}:`, error);
+  }
+};
+
+/**
+ * Buy and record the labels of a claimed order
+ */
+const purchaseLabels = async ({ order, shipment, carrier, serviceCode, labelFormat, userId }) => {
+  const orderId = order.id;
+
+  const { data: active } = await supabaseAdmin
+    .from('shipping_labels')
+    .select('id')
+    .eq('order_id', orderId)
+    .eq('status', 'active')
+    .limit(1);
+
+  if (active && active.length > 0) {
+    return {
+      success: false,
+      statusCode: 409,
+      code: 'LABEL_EXISTS',
+      message: `Order ${order.order_number} already has labels; void them before buying new ones`
+    };
+  }
+
+  // Default to the service the order was charged for when its carrier is integrated
+  if (!carrier && !serviceCode && order.carrier && order.service_level) {
+    const charged = carriers.getCarrier(order.carrier);
+    if (charged && charged.isConfigured() && charged.labelFormats.includes(labelFormat)) {
+      carrier = charged.code;
+      serviceCode = order.service_level;
+    }
+  }
+
+  const resolved = resolveCarriers(carrier);
+  if (!resolved.success) return resolved;
+
+  let adapter = resolved.adapters[0];
+  let service = serviceCode;
+
+  if (!service) {
+    // Rate shop: cheapest service of the carrier(s) that can print the format
+    const { rates, errors } = await quote(shipment, resolved.adapters.filter(a => a.labelFormats.includes(labelFormat)));
+    if (rates.length === 0) {
+      return { success: false, statusCode: 502, code: 'CARRIER_ERROR', message: 'No carrier returned rates', data: { errors } };
+    }
+    adapter = carriers.getCarrier(rates[0].carrier);
+    service = rates[0].serviceCode;
+  } else if (!carrier) {
+    return { success: false, statusCode: 400, message: 'A carrier is required with a service code' };
+  }
+
+  if (!adapter.labelFormats.includes(labelFormat)) {
+    return { success: false, statusCode: 400, message: `${adapter.name} does not print ${labelFormat.toUpperCase()} labels` };
+  }
+
+  let purchase;
+  try {
+    purchase = await adapter.createLabel(shipment, { serviceCode: service, labelFormat });
+  } catch (error) {
+    return { success: false, statusCode: 502, code: 'CARRIER_ERROR', message: `${adapter.name}: ${carrierErrorMessage(error)}` };
+  }
+
+  const { data: labels, error } = await supabaseAdmin
+    .from('shipping_labels')
+    .insert(purchase.packages.map((pkg, index) => ({
+      order_id: orderId,
+      carton_id: pkg.cartonId,
+      carrier: adapter.code,
+      service_code: service,
+      service_name: purchase.serviceName,
+      shipment_id: purchase.shipmentId,
+      tracking_number: pkg.trackingNumber,
+      label_format: pkg.labelFormat,
+      label_data: pkg.labelData,
+      cost: index === 0 ? purchase.cost : null,
+      currency: purchase.currency,
+      created_by: userId
+    })))
+    .select(LABEL_SELECT);
+
+  if (error) {
+    // ROLLBACK: Void the labels we could not record so they are not billed
+    await adapter.voidLabel({
+      shipmentId: purchase.shipmentId,
+      trackingNumbers: purchase.packages.map(pkg => pkg.trackingNumber)
+    }).catch(voidError => console.error(`Failed to void unrecorded ${adapter.code} shipment ${purchase.shipmentId}:`, carrierErrorMessage(voidError)));
+
+    return { success: false, statusCode: 400, message: error.message || 'Failed to record shipping labels' };
+  }
+
+  const { data: updatedOrder } = await supabaseAdmin
+    .from('orders')
+    .update({
+      carrier: adapter.code,
+      tracking_number: purchase.packages[0].trackingNumber,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', orderId)
+    .select('*')
+    .single();
+
+  return {
+    success: true,
+    order: updatedOrder || order,
+    labels,
+    rate: {
+      carrier: adapter.code,
+      serviceCode: service,
+      serviceName: purchase.serviceName,
+      cost: purchase.cost,
+      currency: purchase.currency
+    }
+  };
+};
+
+/**
+ * Buy labels for every carton of a packed order
+ * Without a carrier and service the service the order was charged for is
+ * bought when its carrier is configured, otherwise the cheapest quote.
+ * One purchase runs per order at a time; a concurrent one gets a 409.
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {string} params.carrier - Carrier code (optional)
+ * @param {string} params.serviceCode - Carrier service (optional)
+ * @param {string} params.labelFormat - pdf | zpl
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, order, labels, rate } or { success: false, statusCode, code?, message, data? }
+ */
+exports.buyLabels = async ({ orderId, carrier = null, serviceCode = null, labelFormat = 'pdf', userId }) => {
+  const built = await buildShipment(orderId);
+  if (!built.success) return built;
+
+  const claim = await claimLabelPurchase(built.order);
+  if (!claim.success) return claim;
+
+  try {
+    return await purchaseLabels({ order: built.order, shipment: built.shipment, carrier, serviceCode, labelFormat, userId });
+  } finally {
+    await releaseLabelPurchase(orderId, claim.claimedAt);
+  }
+};
+
+/**
+ * Labels of an order, newest first (without the label files)
+ * @param {string} orderId
+ * @returns {Promise<Array>}
+ */
+exports.getOrderLabels = async (orderId) => {
+  const { data: labels, error } = await supabaseAdmin
+    .from('shipping_labels')
+    .select(LABEL_SELECT)
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return labels || [];
+};
+
+/**
+ * Label file for download
+ * @param {string} labelId
+ * @returns {Promise<Object|null>} { label, buffer, contentType, extension }
+ */
+exports.getLabelFile = async (labelId) => {
+  const { data: label } = await supabaseAdmin
+    .from('shipping_labels')
+    .select('*')
+    .eq('id', labelId)
+    .single();
+
+  if (!label) return null;
+
+  return {
+    label,
+    buffer: Buffer.from(label.label_data, 'base64'),
+    contentType: label.label_format === 'zpl' ? 'application/x-zpl' : 'application/pdf',
+    extension: label.label_format
+  };
+};
+
+/**
+ * Void an order's active labels with their carriers
+ * Labels bought together (same shipment) are voided together. A shipment
+ * the carrier refuses to void keeps its labels active.
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {string} params.reason
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, voided, failed } or { success: false, statusCode, code?, message, data? }
+ */
+exports.voidLabels = async ({ orderId, reason = null, userId = null }) => {
+  const { data: order } = await supabaseAdmin
+    .from('orders')
+    .select('id, order_number, status, tracking_number')
+    .eq('id', orderId)
+    .single();
+
+  if (!order) {
+    return { success: false, statusCode: 404, message: 'Order not found' };
+  }
+
+  if (!VOIDABLE_STATUSES.includes(order.status)) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'INVALID_STATUS',
+      message: `Order ${order.order_number} is ${order.status}; labels of shipped orders cannot be voided`
+    };
+  }
+
+  const { data: labels } = await supabaseAdmin
+    .from('shipping_labels')
+    .select('id, carrier, shipment_id, tracking_number')
+    .eq('order_id', orderId)
+    .eq('status', 'active');
+
+  if (!labels || labels.length === 0) {
+    return { success: false, statusCode: 400, code: 'NO_ACTIVE_LABELS', message: `Order ${order.order_number} has no active labels` };
+  }
+
+  const shipments = new Map();
+  labels.forEach(label => {
+    const key = `${label.carrier}:${label.shipment_id}`;
+    if (!shipments.has(key)) shipments.set(key, []);
+    shipments.get(key).push(label);
+  });
+
+  const voided = [];
+  const failed = [];
+  for (const shipmentLabels of shipments.values()) {
+    const { carrier, shipment_id: shipmentId } = shipmentLabels[0];
+    const adapter = carriers.getCarrier(carrier);
+
+    try {
+      if (!adapter) throw new Error(`Unknown carrier: ${carrier}`);
+      await adapter.voidLabel({ shipmentId, trackingNumbers: shipmentLabels.map(label => label.tracking_number) });
+      voided.push(...shipmentLabels);
+    } catch (error) {
+      failed.push({ carrier, shipmentId, message: carrierErrorMessage(error) });
+    }
+  }
+
+  if (voided.length > 0) {
+    const now = new Date().toISOString();
+
+    await supabaseAdmin
+      .from('shipping_labels')
+      .update({ status: 'voided', void_reason: reason, voided_by: userId, voided_at: now, updated_at: now })
+      .in('id', voided.map(label => label.id));
+
+    if (voided.some(label => label.tracking_number === order.tracking_number)) {
+      await supabaseAdmin
+        .from('orders')
+        .update({ tracking_number: null, updated_at: now })
+        .eq('id', orderId);
+    }
+  }
+
+  if (voided.length === 0) {
+    return { success: false, statusCode: 502, code: 'CARRIER_ERROR', message: 'No labels could be voided', data: { failed } };
+  }
+
+  return {
+    success: true,
+    voided: voided.map(label => ({ carrier: label.carrier, trackingNumber: label.tracking_number })),
+    failed
+  };
+};
@@ -0,0 +1,308 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const pricingEngine = require('./pricingEngine');
+const { fetchAllRows } = require('../utils/supabasePaging');
+const { feetPerUnit } = require('../utils/dimensionUnits');
+
+/**
+ * Storage Billing Service
+ * Captures what each client has on the shelves every night
+ * (inventory_snapshots) and turns a month of snapshots into the storage
+ * line item on the monthly invoice.
+ */
+
+const SNAPSHOT_TIMEZONE = 'America/New_York';
+
+// Standard storage footprints used when a product has no units_per_bin / units_per_pallet
+const BIN_CUBIC_FEET = (24 * 16 * 12) / 1728; // 24" x 16" x 12" bin
+const PALLET_CUBIC_FEET = (48 * 40 * 60) / 1728; // 48" x 40" pallet stacked to 60"
+
+const METHOD_LABELS = {
+  cubic_foot: 'cubic feet',
+  bin: 'bins',
+  pallet: 'pallets'
+};
+
+// inventory_snapshots column holding each storage billing method's occupancy
+const SNAPSHOT_COLUMNS = {
+  cubic_foot: 'cubic_feet',
+  bin: 'bins',
+  pallet: 'pallets'
+};
+
+const SNAPSHOT_BATCH_SIZE = 500;
+
+const round2 = (value) => Number(parseFloat(value || 0).toFixed(2));
+const round4 = (value) => Number(parseFloat(value || 0).toFixed(4));
+
+/**
+ * Calendar date (YYYY-MM-DD) in the warehouse timezone
+ * @param {Date} date
+ * @returns {string}
+ */
+const toSnapshotDate = (date = new Date()) => new Date(date)
+  .toLocaleDateString('en-CA', { timeZone: SNAPSHOT_TIMEZONE });
+
+/**
+ * Volume of one unit of a product in cubic feet (0 when dimensions are missing)
+ * @param {Object} product - products row
+ * @returns {number}
+ */
+const getUnitCubicFeet = (product) => {
+  const factor = feetPerUnit(product?.dimensions_unit);
+  const length = parseFloat(product?.dimensions_length) || 0;
+  const width = parseFloat(product?.dimensions_width) || 0;
+  const height = parseFloat(product?.dimensions_height) || 0;
+
+  return length * width * height * Math.pow(factor, 3);
+};
+
+/**
+ * Space occupied by a quantity of one product
+ * Bins/pallets use the product's packing density when set, else its volume.
+ * A product with neither occupies 0 by that measure and is reported as
+ * unmeasured rather than billed.
+ * @param {Object} product - products row
+ * @param {number} quantity
+ * @returns {Object} { unitCubicFeet, cubicFeet, bins, pallets }
+ */
+const calculateOccupancy = (product, quantity) => {
+  const unitCubicFeet = getUnitCubicFeet(product);
+  const cubicFeet = unitCubicFeet * quantity;
+
+  const bins = product?.units_per_bin
+    ? Math.ceil(quantity / product.units_per_bin)
+    : Math.ceil(cubicFeet / BIN_CUBIC_FEET);
+  const pallets = product?.units_per_pallet
+    ? Math.ceil(quantity / product.units_per_pallet)
+    : Math.ceil(cubicFeet / PALLET_CUBIC_FEET);
+
+  return {
+    unitCubicFeet: round4(unitCubicFeet),
+    cubicFeet: round4(cubicFeet),
+    bins: quantity > 0 ? bins : 0,
+    pallets: quantity > 0 ? pallets : 0
+  };
+};
+
+/**
+ * Snapshot every inventory row with stock on hand
+ * Safe to re-run for the same day: rows are upserted per (snapshot_date, inventory_id)
+ * @param {Date|string} date - Day being captured (defaults to today in America/New_York)
+ * @returns {Promise<Object>} { success, snapshotDate, rowCount, clientCount, unmeasured } or error
+ *   unmeasured: products in stock that occupy 0 by some measure (no dimensions / packing density)
+ */
+exports.captureInventorySnapshot = async (date = new Date()) => {
+  const snapshotDate = typeof date === 'string' ? date : toSnapshotDate(date);
+
+  const { data: inventoryRows, error } = await fetchAllRows(() => supabaseAdmin
+    .from('inventory')
+    .select(`
+      id,
+      client_id,
+      product_id,
+      available_stock,
+      reserved_stock,
+      products:product_id (
+        id,
+        sku,
+        dimensions_length,
+        dimensions_width,
+        dimensions_height,
+        dimensions_unit,
+        units_per_bin,
+        units_per_pallet
+      )
+    `)
+    .order('id', { ascending: true }));
+
+  if (error) {
+    return {
+      success: false,
+      statusCode: 500,
+      message: `Failed to load inventory: ${error.message}`
+    };
+  }
+
+  // Stock still in the warehouse: available + reserved (dispatched has left)
+  const snapshots = (inventoryRows || [])
+    .map(row => {
+      const quantity = (parseInt(row.available_stock) || 0) + (parseInt(row.reserved_stock) || 0);
+      const { unitCubicFeet, cubicFeet, bins, pallets } = calculateOccupancy(row.products, quantity);
+
+      return {
+        snapshot_date: snapshotDate,
+        inventory_id: row.id,
+        client_id: row.client_id,
+        product_id: row.product_id,
+        quantity,
+        unit_cubic_feet: unitCubicFeet,
+        cubic_feet: cubicFeet,
+        bins,
+        pallets
+      };
+    })
+    .filter(snapshot => snapshot.quantity > 0);
+
+  // Upsert in pages to keep each request small
+  for (let i = 0; i < snapshots.length; i += SNAPSHOT_BATCH_SIZE) {
+    const { error: upsertError } = await supabaseAdmin
+      .from('inventory_snapshots')
+      .upsert(snapshots.slice(i, i + SNAPSHOT_BATCH_SIZE), { onConflict: 'snapshot_date,inventory_id' });
+
+    if (upsertError) {
+      return {
+        success: false,
+        statusCode: 500,
+        message: `Failed to save inventory snapshot: ${upsertError.message}`
+      };
+    }
+  }
+
+  const productsById = {};
+  (inventoryRows || []).forEach(row => {
+    if (row.products) productsById[row.product_id] = row.products;
+  });
+
+  const unmeasured = {};
+  snapshots
+    .filter(snapshot => snapshot.cubic_feet === 0 || snapshot.bins === 0 || snapshot.pallets === 0)
+    .forEach(snapshot => {
+      unmeasured[snapshot.product_id] = {
+        productId: snapshot.product_id,
+        clientId: snapshot.client_id,
+        sku: productsById[snapshot.product_id]?.sku || null,
+        missing: Object.keys(METHOD_LABELS).filter(method => snapshot[SNAPSHOT_COLUMNS[method]] === 0)
+      };
+    });
+
+  return {
+    success: true,
+    snapshotDate,
+    rowCount: snapshots.length,
+    clientCount: new Set(snapshots.map(s => s.client_id)).size,
+    unmeasured: Object.values(unmeasured)
+  };
+};
+
+/**
+ * Daily occupancy totals for a client over a date range (summed in the database)
+ * Throws when the snapshots cannot be read, so an invoice is never sent
+ * without its storage line.
+ * @param {string} clientId
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Promise<Array>} [{ date, quantity, cubicFeet, bins, pallets, unmeasured: { cubic_foot, bin, pallet } }] sorted by date
+ */
+exports.getDailyOccupancy = async (clientId, startDate, endDate) => {
+  const { data: rows, error } = await supabaseAdmin.rpc('get_daily_storage_occupancy', {
+    p_client_id: clientId,
+    p_start_date: startDate,
+    p_end_date: endDate
+  });
+
+  if (error) {
+    throw new Error(`Failed to load inventory snapshots for storage billing: ${error.message}`);
+  }
+
+  return (rows || [])
+    .map(row => ({
+      date: row.snapshot_date,
+      quantity: parseInt(row.quantity) || 0,
+      cubicFeet: round4(row.cubic_feet),
+      bins: parseInt(row.bins) || 0,
+      pallets: parseInt(row.pallets) || 0,
+      unmeasured: {
+        cubic_foot: parseInt(row.unmeasured_cubic_foot) || 0,
+        bin: parseInt(row.unmeasured_bin) || 0,
+        pallet: parseInt(row.unmeasured_pallet) || 0
+      }
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Storage charges for a client's billing month
+ * Each snapshot day is priced with the rate card effective that day
+ * @param {string} clientId
+ * @param {number} month - 1-12
+ * @param {number} year
+ * @param {Object} pricer - From pricingEngine.createPricer() (loaded when omitted)
+ * @returns {Promise<Object>} { days, daysInMonth, storageDays, amount, averageOccupancy, method, rateCardId, unmeasuredSkus }
+ */
+exports.calculateMonthlyStorage = async (clientId, month, year, pricer) => {
+  const ratePricer = pricer || await pricingEngine.createPricer(clientId);
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const monthPrefix = `${year}-${String(month).padStart(2, '0')}`;
+
+  const occupancy = await exports.getDailyOccupancy(
+    clientId,
+    `${monthPrefix}-01`,
+    `${monthPrefix}-${String(daysInMonth).padStart(2, '0')}`
+  );
+
+  const days = occupancy.map(day => {
+    const rateCard = ratePricer.rateCardFor(day.date);
+    const charge = pricingEngine.calculateDailyStorageCharge(rateCard, day, daysInMonth);
+
+    return {
+      ...day,
+      method: charge.method,
+      occupancy: charge.occupancy,
+      monthlyRate: charge.monthlyRate,
+      amount: charge.amount,
+      rateCardId: rateCard.id
+    };
+  });
+
+  const amount = days.reduce((sum, day) => sum + day.amount, 0);
+  const lastDay = days[days.length - 1];
+
+  // Products in stock that occupy nothing by the billing method (not billed)
+  const unmeasuredSkus = Math.max(0, ...days.map(day => day.unmeasured[day.method] || 0));
+
+  return {
+    days,
+    daysInMonth,
+    storageDays: days.length,
+    amount: round2(amount),
+    // Averaged over the whole month so quantity x unitPrice matches the prorated amount
+    averageOccupancy: round2(days.reduce((sum, day) => sum + day.occupancy, 0) / daysInMonth),
+    method: lastDay?.method || ratePricer.rateCardFor(`${monthPrefix}-01`).storageBillingMethod,
+    rateCardId: lastDay?.rateCardId || null,
+    unmeasuredSkus
+  };
+};
+
+/**
+ * Storage line item for the monthly invoice
+ * @param {string} clientId
+ * @param {number} month - 1-12
+ * @param {number} year
+ * @param {Object} pricer - From pricingEngine.createPricer()
+ * @returns {Promise<Object|null>} line item, null when there is nothing to bill
+ */
+exports.getStorageLineItem = async (clientId, month, year, pricer) => {
+  const storage = await exports.calculateMonthlyStorage(clientId, month, year, pricer);
+
+  if (storage.amount <= 0) return null;
+
+  const label = METHOD_LABELS[storage.method] || storage.method;
+
+  return {
+    type: 'storage',
+    description: `Storage – avg ${storage.averageOccupancy} ${label} (${storage.storageDays} of ${storage.daysInMonth} days)`
+      + (storage.unmeasuredSkus > 0 ? ` – ${storage.unmeasuredSkus} SKU(s) without dimensions not billed` : ''),
+    quantity: storage.averageOccupancy,
+    unitPrice: storage.averageOccupancy > 0
+      ? Number((storage.amount / storage.averageOccupancy).toFixed(2))
+      : storage.amount,
+    amount: storage.amount,
+    storageMethod: storage.method,
+    storageDays: storage.storageDays,
+    rateCardId: storage.rateCardId,
+    unmeasuredSkus: storage.unmeasuredSkus
+  };
+};
+
+exports.calculateOccupancy = calculateOccupancy;
+exports.toSnapshotDate = toSnapshotDate;
@@ -0,0 +1,400 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const carriers = require('./carriers');
+const { carrierErrorMessage } = require('./carriers/carrierUtils');
+const { transitionOrder } = require('./orderWorkflowService');
+const { getRecipients } = require('./lowStockAlertService');
+const { fetchAllRows } = require('../utils/supabasePaging');
+
+/**
+ * Tracking Service
+ * Stores carrier tracking events for shipped orders, whether pushed by a
+ * carrier webhook or polled from the carrier tracking APIs. Each new event
+ * updates the order's latest tracking status; a dispatched order moves to
+ * delivered once every one of its packages has a delivered scan, and
+ * exception scans notify the client's users and account manager.
+ */
+
+const { TRACKING_STATUSES } = carriers;
+const EXCEPTION_STATUSES = ['exception', 'returned_to_sender', 'lost'];
+// Orders with goods on the way
+const TRACKED_ORDER_STATUSES = ['partially_shipped', 'dispatched'];
+// Orders older than this are no longer polled
+const POLL_MAX_DAYS = parseInt(process.env.TRACKING_POLL_MAX_DAYS) || 30;
+
+// Orders polled per batch, keeping the order ID lists in each request short
+const POLL_BATCH_SIZE = 200;
+
+const EXCEPTION_TITLES = {
+  exception: 'Delivery exception',
+  returned_to_sender: 'Returned to sender',
+  lost: 'Shipment lost'
+};
+
+exports.POLL_MAX_DAYS = POLL_MAX_DAYS;
+
+/**
+ * Packages to track per order: the tracking numbers of its active labels,
+ * or the tracking number entered when the order was dispatched
+ * @param {Array} orders - [{ id, carrier, tracking_number }]
+ * @returns {Promise<Object>} orderId → [{ carrier, trackingNumber }]
+ */
+const getPackages = async (orders) => {
+  if (orders.length === 0) return {};
+
+  const { data: labels } = await supabaseAdmin
+    .from('shipping_labels')
+    .select('order_id, carrier, tracking_number')
+    .in('order_id', orders.map(order => order.id))
+    .eq('status', 'active');
+
+  const packages = {};
+  orders.forEach(order => {
+    const orderLabels = (labels || []).filter(label => label.order_id === order.id);
+    if (orderLabels.length > 0) {
+      packages[order.id] = orderLabels.map(label => ({ carrier: label.carrier, trackingNumber: label.tracking_number }));
+    } else {
+      packages[order.id] = order.tracking_number && order.carrier
+        ? [{ carrier: order.carrier, trackingNumber: order.tracking_number }]
+        : [];
+    }
+  });
+
+  return packages;
+};
+
+/**
+ * Orders the tracking numbers belong to
+ * @param {Array} trackingNumbers
+ * @returns {Promise<Object>} trackingNumber → orderId
+ */
+const findOrderIds = async (trackingNumbers) => {
+  const orderIds = {};
+
+  const { data: labels } = await supabaseAdmin
+    .from('shipping_labels')
+    .select('order_id, tracking_number')
+    .in('tracking_number', trackingNumbers)
+    .eq('status', 'active');
+
+  (labels || []).forEach(label => {
+    orderIds[label.tracking_number] = label.order_id;
+  });
+
+  // Tracking numbers entered by hand when the order was dispatched
+  const remaining = trackingNumbers.filter(trackingNumber => !orderIds[trackingNumber]);
+  if (remaining.length > 0) {
+    const { data: orders } = await supabaseAdmin
+      .from('orders')
+      .select('id, tracking_number')
+      .in('tracking_number', remaining);
+
+    (orders || []).forEach(order => {
+      orderIds[order.tracking_number] = order.id;
+    });
+  }
+
+  return orderIds;
+};
+
+/**
+ * Mark a dispatched order delivered once every package has a delivered scan
+ * @returns {Promise<Object|null>} transitionOrder() result, null when packages are still on the way
+ */
+const deliverIfComplete = async (order, carrierName) => {
+  const packages = (await getPackages([order]))[order.id];
+
+  const { data: deliveredEvents } = await supabaseAdmin
+    .from('order_tracking_events')
+    .select('tracking_number, occurred_at')
+    .eq('order_id', order.id)
+    .eq('status', 'delivered')
+    .order('occurred_at', { ascending: false });
+
+  const events = deliveredEvents || [];
+  const deliveredNumbers = new Set(events.map(event => event.tracking_number));
+  if (events.length === 0 || !packages.every(pkg => deliveredNumbers.has(pkg.trackingNumber))) {
+    return null;
+  }
+
+  // Delivered when the last package arrived
+  const last = events[0];
+  return transitionOrder({
+    orderId: order.id,
+    toStatus: 'delivered',
+    note: `Delivered per ${carrierName} tracking ${last.tracking_number}`,
+    occurredAt: last.occurred_at
+  });
+};
+
+/**
+ * Notify the client's users and account manager about exception scans
+ * @returns {Promise<number>} notifications created
+ */
+const notifyExceptions = async (exceptions, carrierName) => {
+  if (exceptions.length === 0) return 0;
+
+  const recipients = await getRecipients([...new Set(exceptions.map(({ order }) => order.client_id))]);
+
+  const notifications = [];
+  exceptions.forEach(({ order, event }) => {
+    (recipients[order.client_id] || []).forEach(user => {
+      notifications.push({
+        user_id: user.id,
+        type: 'shipment_exception',
+        title: `${EXCEPTION_TITLES[event.status]}: ${order.order_number}`,
+        message: `${carrierName} ${event.tracking_number}: ${event.description || EXCEPTION_TITLES[event.status]}` +
+          `${event.location ? ` (${event.location})` : ''}.`,
+        priority: event.status === 'exception' ? 'medium' : 'high',
+        is_read: false,
+        link: `/orders/${order.id}`,
+        metadata: {
+          orderId: order.id,
+          orderNumber: order.order_number,
+          carrier: event.carrier,
+          trackingNumber: event.tracking_number,
+          trackingStatus: event.status,
+          occurredAt: event.occurred_at
+        }
+      });
+    });
+  });
+
+  if (notifications.length > 0) {
+    const { error } = await supabaseAdmin.from('notifications').insert(notifications);
+    if (error) {
+      console.error('Failed to create shipment exception notifications:', error.message);
+      return 0;
+    }
+  }
+
+  return notifications.length;
+};
+
+/**
+ * Record tracking events from one carrier
+ * Events already stored (the same scan from a webhook and a poll) are skipped;
+ * only new events update orders and raise notifications.
+ * @param {Object} params
+ * @param {string} params.carrier - Carrier code
+ * @param {Array} params.events - Tracking events (see services/carriers)
+ * @param {string} params.source - webhook | poll
+ * @returns {Promise<Object>} { success, received, recorded, unmatched, delivered, notifications, failed }
+ */
+exports.ingestEvents = async ({ carrier, events, source }) => {
+  const adapter = carriers.getCarrier(carrier);
+  const carrierName = adapter ? adapter.name : carrier;
+  const result = { success: true, received: (events || []).length, recorded: 0, unmatched: [], delivered: [], notifications: 0, failed: [] };
+
+  const valid = (events || []).filter(event => event &&
+    event.trackingNumber &&
+    TRACKING_STATUSES.includes(event.status) &&
+    event.occurredAt && !isNaN(new Date(event.occurredAt)));
+  if (valid.length === 0) return result;
+
+  const trackingNumbers = [...new Set(valid.map(event => String(event.trackingNumber)))];
+  const orderIds = await findOrderIds(trackingNumbers);
+  result.unmatched = trackingNumbers.filter(trackingNumber => !orderIds[trackingNumber]);
+
+  const rows = {};
+  valid.forEach(event => {
+    const trackingNumber = String(event.trackingNumber);
+    if (!orderIds[trackingNumber]) return;
+
+    const occurredAt = new Date(event.occurredAt).toISOString();
+    rows[`${trackingNumber}:${event.status}:${occurredAt}`] = {
+      order_id: orderIds[trackingNumber],
+      carrier,
+      tracking_number: trackingNumber,
+      status: event.status,
+      carrier_status_code: event.carrierStatusCode || null,
+      description: event.description || null,
+      location: event.location ? String(event.location).slice(0, 255) : null,
+      occurred_at: occurredAt,
+      source
+    };
+  });
+  if (Object.keys(rows).length === 0) return result;
+
+  const { data: inserted, error } = await supabaseAdmin
+    .from('order_tracking_events')
+    .upsert(Object.values(rows), { onConflict: 'tracking_number,status,occurred_at', ignoreDuplicates: true })
+    .select('*');
+
+  if (error) throw error;
+
+  const recorded = inserted || [];
+  result.recorded = recorded.length;
+  if (recorded.length === 0) return result;
+
+  const { data: orders } = await supabaseAdmin
+    .from('orders')
+    .select('id, order_number, client_id, status, carrier, tracking_number, tracking_updated_at')
+    .in('id', [...new Set(recorded.map(event => event.order_id))]);
+
+  const exceptions = [];
+  for (const order of orders || []) {
+    const orderEvents = recorded
+      .filter(event => event.order_id === order.id)
+      .sort((a, b) => new Date(b.occurred_at) - new Date(a.occurred_at));
+
+    // Late-arriving older scans do not overwrite the latest status
+    const latest = orderEvents[0];
+    if (!order.tracking_updated_at || new Date(latest.occurred_at) > new Date(order.tracking_updated_at)) {
+      await supabaseAdmin
+        .from('orders')
+        .update({ tracking_status: latest.status, tracking_updated_at: latest.occurred_at })
+        .eq('id', order.id);
+    }
+
+    orderEvents
+      .filter(event => EXCEPTION_STATUSES.includes(event.status))
+      .forEach(event => exceptions.push({ order, event }));
+
+    if (order.status === 'dispatched' && orderEvents.some(event => event.status === 'delivered')) {
+      const delivery = await deliverIfComplete(order, carrierName);
+      if (delivery && delivery.success) {
+        result.delivered.push(order.order_number);
+      } else if (delivery) {
+        result.failed.push({ orderNumber: order.order_number, message: delivery.message });
+      }
+    }
+  }
+
+  result.notifications = await notifyExceptions(exceptions, carrierName);
+  return result;
+};
+
+/**
+ * Ask the carriers for the latest scans of the orders' packages
+ * Packages of carriers without an adapter or credentials are skipped.
+ */
+const pollOrders = async (orders) => {
+  const result = {
+    success: true,
+    orders: orders.length,
+    trackingNumbers: 0,
+    skipped: 0,
+    recorded: 0,
+    delivered: [],
+    notifications: 0,
+    failed: [],
+    errors: []
+  };
+  if (orders.length === 0) return result;
+
+  const packages = await getPackages(orders);
+  const byCarrier = {};
+  Object.values(packages).flat().forEach(({ carrier, trackingNumber }) => {
+    if (!byCarrier[carrier]) byCarrier[carrier] = [];
+    byCarrier[carrier].push(trackingNumber);
+  });
+
+  for (const [code, trackingNumbers] of Object.entries(byCarrier)) {
+    const adapter = carriers.getCarrier(code);
+    if (!adapter || !adapter.isConfigured()) {
+      result.skipped += trackingNumbers.length;
+      continue;
+    }
+
+    result.trackingNumbers += trackingNumbers.length;
+
+    let events;
+    try {
+      events = await adapter.track(trackingNumbers);
+    } catch (error) {
+      result.errors.push({ carrier: code, message: carrierErrorMessage(error) });
+      continue;
+    }
+
+    const ingested = await exports.ingestEvents({ carrier: code, events, source: 'poll' });
+    result.recorded += ingested.recorded;
+    result.delivered.push(...ingested.delivered);
+    result.notifications += ingested.notifications;
+    result.failed.push(...ingested.failed);
+  }
+
+  await supabaseAdmin
+    .from('orders')
+    .update({ tracking_checked_at: new Date().toISOString() })
+    .in('id', orders.map(order => order.id));
+
+  return result;
+};
+
+/**
+ * Poll tracking for every order dispatched in the last POLL_MAX_DAYS days (triggered by cron)
+ * Partially shipped orders have no dispatch date until their last shipment
+ * leaves, so they are polled until then.
+ * @returns {Promise<Object>} { success, orders, trackingNumbers, skipped, recorded, delivered, notifications, failed, errors }
+ */
+exports.pollTracking = async () => {
+  const since = new Date(Date.now() - POLL_MAX_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data: orders, error } = await fetchAllRows(() => supabaseAdmin
+    .from('orders')
+    .select('id, carrier, tracking_number')
+    .in('status', TRACKED_ORDER_STATUSES)
+    .or(`dispatched_at.gte.${since},status.eq.partially_shipped`)
+    .order('id'));
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to fetch shipped orders' };
+  }
+
+  const result = await pollOrders(orders.slice(0, POLL_BATCH_SIZE));
+  for (let from = POLL_BATCH_SIZE; from < orders.length; from += POLL_BATCH_SIZE) {
+    const batch = await pollOrders(orders.slice(from, from + POLL_BATCH_SIZE));
+    ['orders', 'trackingNumbers', 'skipped', 'recorded', 'notifications'].forEach(key => {
+      result[key] += batch[key];
+    });
+    result.delivered.push(...batch.delivered);
+    result.failed.push(...batch.failed);
+    result.errors.push(...batch.errors);
+  }
+
+  return result;
+};
+
+/**
+ * Poll tracking for one shipped order
+ * @param {string} orderId
+ * @returns {Promise<Object>} pollTracking() result or { success: false, statusCode, code?, message }
+ */
+exports.refreshOrderTracking = async (orderId) => {
+  const { data: order } = await supabaseAdmin
+    .from('orders')
+    .select('id, order_number, status, carrier, tracking_number')
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (!order) {
+    return { success: false, statusCode: 404, message: 'Order not found' };
+  }
+
+  if (!TRACKED_ORDER_STATUSES.includes(order.status)) {
+    return {
+      success: false,
+      statusCode: 400,
+      code: 'INVALID_STATUS',
+      message: `Order ${order.order_number} is ${order.status}; tracking is refreshed for shipped orders`
+    };
+  }
+
+  return pollOrders([order]);
+};
+
+/**
+ * Tracking events of an order, newest first
+ * @param {string} orderId
+ * @returns {Promise<Array>}
+ */
+exports.getOrderEvents = async (orderId) => {
+  const { data, error } = await supabaseAdmin
+    .from('order_tracking_events')
+    .select('*')
+    .eq('order_id', orderId)
+    .order('occurred_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
@@ -0,0 +1,265 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+const locationService = require('./locationService');
+const serialService = require('./serialService');
+
+/**
+ * Transfer Service
+ * Inter-warehouse transfer orders for one client's stock:
+ *   pending → in_transit (ship: units leave the source warehouse)
+ *           → received  (units are added to the destination warehouse)
+ * Stock changes run in ship_warehouse_transfer / receive_warehouse_transfer,
+ * so every line of a transfer moves or none does. Serials named on a line
+ * move with it.
+ */
+
+/**
+ * Create a transfer order
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} params.fromWarehouseId
+ * @param {string} params.toWarehouseId
+ * @param {Array} params.lines - [{ productId, quantity, serialNumbers }] (serials required for serial-tracked products)
+ * @param {string} params.carrier
+ * @param {string} params.trackingNumber
+ * @param {string} params.notes
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, transfer } or { success: false, statusCode, message }
+ */
+exports.createTransfer = async ({
+  clientId,
+  fromWarehouseId,
+  toWarehouseId,
+  lines,
+  carrier = null,
+  trackingNumber = null,
+  notes = null,
+  userId
+}) => {
+  if (fromWarehouseId === toWarehouseId) {
+    return { success: false, statusCode: 400, message: 'Source and destination warehouses must differ' };
+  }
+
+  const { data: warehouses } = await supabaseAdmin
+    .from('warehouses')
+    .select('id, code, is_active')
+    .in('id', [fromWarehouseId, toWarehouseId]);
+
+  const inactive = (warehouses || []).filter(w => !w.is_active);
+  if ((warehouses || []).length !== 2) {
+    return { success: false, statusCode: 404, message: 'Warehouse not found' };
+  }
+  if (inactive.length > 0) {
+    return { success: false, statusCode: 400, message: `Warehouse ${inactive[0].code} is inactive` };
+  }
+
+  const productIds = lines.map(line => line.productId);
+  if (new Set(productIds).size !== productIds.length) {
+    return { success: false, statusCode: 400, message: 'Each product can only appear on one transfer line' };
+  }
+
+  // Every line must be available in the source warehouse now; shipping re-checks under lock
+  const { data: inventory } = await supabaseAdmin
+    .from('inventory')
+    .select('product_id, available_stock, products:product_id ( sku )')
+    .eq('client_id', clientId)
+    .eq('warehouse_id', fromWarehouseId)
+    .in('product_id', productIds);
+
+  const lineSerials = {};
+  for (const line of lines) {
+    const row = (inventory || []).find(r => r.product_id === line.productId);
+    const quantity = parseInt(line.quantity);
+
+    if (!row || row.available_stock < quantity) {
+      return {
+        success: false,
+        statusCode: 400,
+        code: 'INSUFFICIENT_STOCK',
+        message: `Only ${row ? row.available_stock : 0} units of ${row?.products?.sku || line.productId} available in the source warehouse`
+      };
+    }
+
+    const serialCheck = await serialService.validateTransferSerials({
+      clientId,
+      productId: line.productId,
+      warehouseId: fromWarehouseId,
+      quantity,
+      serialNumbers: line.serialNumbers
+    });
+    if (!serialCheck.success) return serialCheck;
+    lineSerials[line.productId] = serialCheck.serials;
+  }
+
+  const { data: transfer, error } = await supabaseAdmin
+    .from('warehouse_transfers')
+    .insert({
+      client_id: clientId,
+      from_warehouse_id: fromWarehouseId,
+      to_warehouse_id: toWarehouseId,
+      carrier,
+      tracking_number: trackingNumber,
+      notes,
+      created_by: userId
+    })
+    .select()
+    .single();
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to create transfer' };
+  }
+
+  const { error: linesError } = await supabaseAdmin
+    .from('warehouse_transfer_lines')
+    .insert(lines.map(line => ({
+      transfer_id: transfer.id,
+      product_id: line.productId,
+      quantity: parseInt(line.quantity),
+      serial_numbers: lineSerials[line.productId]
+    })));
+
+  if (linesError) {
+    // ROLLBACK: Remove the header so no empty transfer is left behind
+    await supabaseAdmin.from('warehouse_transfers').delete().eq('id', transfer.id);
+    return { success: false, statusCode: 400, message: linesError.message || 'Failed to create transfer lines' };
+  }
+
+  return { success: true, transfer };
+};
+
+/**
+ * Ship a pending transfer: stock leaves the source warehouse
+ * Shipped units are taken out of the source warehouse's bins; their
+ * serials are in transit until the transfer is received
+ * @param {Object} params
+ * @param {string} params.transferId
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, transfer } or { success: false, statusCode, message }
+ */
+exports.shipTransfer = async ({ transferId, userId }) => {
+  const { data: transfer } = await supabaseAdmin
+    .from('warehouse_transfers')
+    .select('*, warehouse_transfer_lines ( * )')
+    .eq('id', transferId)
+    .single();
+
+  if (!transfer) {
+    return { success: false, statusCode: 404, message: 'Transfer not found' };
+  }
+
+  if (transfer.status !== 'pending') {
+    return { success: false, statusCode: 400, message: `Transfer ${transfer.transfer_number} is ${transfer.status} and cannot be shipped` };
+  }
+
+  // Named serials may have been packed or moved since the transfer was created
+  for (const line of transfer.warehouse_transfer_lines) {
+    if ((line.serial_numbers || []).length === 0) continue;
+
+    const serialCheck = await serialService.validateTransferSerials({
+      clientId: transfer.client_id,
+      productId: line.product_id,
+      warehouseId: transfer.from_warehouse_id,
+      quantity: line.quantity,
+      serialNumbers: line.serial_numbers
+    });
+    if (!serialCheck.success) return serialCheck;
+  }
+
+  const { error } = await supabaseAdmin.rpc('ship_warehouse_transfer', {
+    p_transfer_id: transferId,
+    p_user_id: userId
+  });
+
+  if (error) {
+    return { success: false, statusCode: 400, code: 'INSUFFICIENT_STOCK', message: error.message || 'Failed to ship transfer' };
+  }
+
+  const { data: inventory } = await supabaseAdmin
+    .from('inventory')
+    .select('id, product_id')
+    .eq('client_id', transfer.client_id)
+    .eq('warehouse_id', transfer.from_warehouse_id)
+    .in('product_id', transfer.warehouse_transfer_lines.map(line => line.product_id));
+
+  for (const line of transfer.warehouse_transfer_lines) {
+    const row = (inventory || []).find(r => r.product_id === line.product_id);
+    if (row) {
+      await locationService.pickFromBins(row.id, line.quantity);
+    }
+    await serialService.moveTransferSerials({ transfer, line, action: 'ship' });
+  }
+
+  return { success: true, transfer: { ...transfer, status: 'in_transit' } };
+};
+
+/**
+ * Receive an in-transit transfer into the destination warehouse
+ * Serials shipped on it are in stock in the destination warehouse again
+ * @param {Object} params
+ * @param {string} params.transferId
+ * @param {string} params.storageLocation - Optional bin code in the destination warehouse to put the units away into
+ * @param {string} params.userId
+ * @returns {Promise<Object>} { success, transfer } or { success: false, statusCode, message }
+ */
+exports.receiveTransfer = async ({ transferId, storageLocation = null, userId }) => {
+  const { data: transfer } = await supabaseAdmin
+    .from('warehouse_transfers')
+    .select('*, warehouse_transfer_lines ( * )')
+    .eq('id', transferId)
+    .single();
+
+  if (!transfer) {
+    return { success: false, statusCode: 404, message: 'Transfer not found' };
+  }
+
+  if (transfer.status !== 'in_transit') {
+    return { success: false, statusCode: 400, message: `Transfer ${transfer.transfer_number} is ${transfer.status} and cannot be received` };
+  }
+
+  let bin = null;
+  if (storageLocation) {
+    bin = await locationService.findBinByCode(storageLocation);
+
+    if (!bin || bin.warehouse_id !== transfer.to_warehouse_id) {
+      return { success: false, statusCode: 400, message: `${storageLocation} is not a bin in the destination warehouse` };
+    }
+
+    const totalUnits = transfer.warehouse_transfer_lines.reduce((sum, line) => sum + line.quantity, 0);
+    const capacity = await locationService.checkBinCapacity(bin, totalUnits);
+    if (!capacity.success) return capacity;
+  }
+
+  const { error } = await supabaseAdmin.rpc('receive_warehouse_transfer', {
+    p_transfer_id: transferId,
+    p_user_id: userId
+  });
+
+  if (error) {
+    return { success: false, statusCode: 400, message: error.message || 'Failed to receive transfer' };
+  }
+
+  for (const line of transfer.warehouse_transfer_lines) {
+    await serialService.moveTransferSerials({ transfer, line, action: 'receive' });
+  }
+
+  if (bin) {
+    const { data: inventory } = await supabaseAdmin
+      .from('inventory')
+      .select('id, product_id')
+      .eq('client_id', transfer.client_id)
+      .eq('warehouse_id', transfer.to_warehouse_id)
+      .in('product_id', transfer.warehouse_transfer_lines.map(line => line.product_id));
+
+    for (const line of transfer.warehouse_transfer_lines) {
+      const row = (inventory || []).find(r => r.product_id === line.product_id);
+      if (!row) continue;
+
+      const result = await locationService.adjustBinStock({ inventoryId: row.id, locationId: bin.id, quantity: line.quantity });
+      if (!result.success) {
+        // Received either way; the units stay unplaced until put away
+        console.error(`Failed to put transfer ${transfer.transfer_number} line away into ${bin.location_code}:`, result.message);
+      }
+    }
+  }
+
+  return { success: true, transfer: { ...transfer, status: 'received' } };
+};
@@ -0,0 +1,141 @@
+const supabaseAdmin = require('../config/supabaseAdmin');
+
+/**
+ * Warehouse Service
+ * Resolves which warehouse a receipt, order or adjustment belongs to.
+ * Orders are routed to a single warehouse that can ship every line;
+ * when several can, the lowest routing_priority wins (default warehouse
+ * on a tie). Orders are not split across warehouses - move stock with a
+ * transfer order instead.
+ */
+
+/**
+ * The default warehouse (stock without an explicit warehouse lands here)
+ * @returns {Promise<Object|null>} warehouses row
+ */
+exports.getDefaultWarehouse = async () => {
+  const { data: warehouse } = await supabaseAdmin
+    .from('warehouses')
+    .select('*')
+    .eq('is_default', true)
+    .maybeSingle();
+
+  return warehouse || null;
+};
+
+/**
+ * Resolve a warehouse ID from a request, falling back to the default warehouse
+ * @param {string} warehouseId - Optional
+ * @returns {Promise<Object>} { success, warehouse } or { success: false, statusCode, message }
+ */
+exports.resolveWarehouse = async (warehouseId) => {
+  if (!warehouseId) {
+    const warehouse = await exports.getDefaultWarehouse();
+    if (!warehouse) {
+      return { success: false, statusCode: 500, message: 'No default warehouse is configured' };
+    }
+    return { success: true, warehouse };
+  }
+
+  const { data: warehouse } = await supabaseAdmin
+    .from('warehouses')
+    .select('*')
+    .eq('id', warehouseId)
+    .maybeSingle();
+
+  if (!warehouse) {
+    return { success: false, statusCode: 404, message: 'Warehouse not found' };
+  }
+
+  if (!warehouse.is_active) {
+    return { success: false, statusCode: 400, message: `Warehouse ${warehouse.code} is inactive` };
+  }
+
+  return { success: true, warehouse };
+};
+
+/**
+ * Pick the warehouse an order ships from
+ * @param {string} clientId
+ * @param {Array} items - [{ productId, quantity }]
+ * @param {string} preferredWarehouseId - Only consider this warehouse when set
+ * @returns {Promise<Object>} { warehouseId } when one warehouse can ship everything, otherwise
+ *   { warehouseId: null, shortfalls } measured against the warehouse that comes closest
+ */
+exports.routeOrder = async (clientId, items, preferredWarehouseId = null) => {
+  const requested = {};
+  items.forEach(item => {
+    requested[item.productId] = (requested[item.productId] || 0) + parseInt(item.quantity);
+  });
+  const productIds = Object.keys(requested);
+
+  let warehouseQuery = supabaseAdmin
+    .from('warehouses')
+    .select('id, code, is_default, routing_priority')
+    .eq('is_active', true);
+
+  if (preferredWarehouseId) {
+    warehouseQuery = warehouseQuery.eq('id', preferredWarehouseId);
+  }
+
+  const { data: warehouses } = await warehouseQuery;
+
+  const { data: inventory } = await supabaseAdmin
+    .from('inventory')
+    .select('warehouse_id, product_id, available_stock, products:product_id ( sku, name )')
+    .eq('client_id', clientId)
+    .in('product_id', productIds);
+
+  const candidates = (warehouses || [])
+    .map(warehouse => {
+      const rows = (inventory || []).filter(row => row.warehouse_id === warehouse.id);
+      const shortfalls = productIds
+        .map(productId => {
+          const row = rows.find(r => r.product_id === productId);
+          const available = row ? row.available_stock : 0;
+          return {
+            productId,
+            sku: row?.products?.sku || null,
+            name: row?.products?.name || null,
+            requested: requested[productId],
+            available,
+            shortfall: requested[productId] - available
+          };
+        })
+        .filter(line => line.shortfall > 0);
+
+      return {
+        warehouse,
+        shortfalls,
+        missingUnits: shortfalls.reduce((sum, line) => sum + line.shortfall, 0)
+      };
+    })
+    .sort((a, b) =>
+      (a.missingUnits - b.missingUnits) ||
+      (a.warehouse.routing_priority - b.warehouse.routing_priority) ||
+      (Number(b.warehouse.is_default) - Number(a.warehouse.is_default)) ||
+      a.warehouse.code.localeCompare(b.warehouse.code)
+    );
+
+  const best = candidates[0];
+
+  if (!best) {
+    return {
+      warehouseId: null,
+      shortfalls: productIds.map(productId => ({
+        productId,
+        sku: null,
+        name: null,
+        requested: requested[productId],
+        available: 0,
+        shortfall: requested[productId]
+      }))
+    };
+  }
+
+  if (best.missingUnits > 0) {
+    return { warehouseId: null, shortfalls: best.shortfalls };
+  }
+
+  return { warehouseId: best.warehouse.id };
+};
@@ -0,0 +1,46 @@
+/**
+ * Product dimension units
+ * One conversion table for products.dimensions_unit, shared by storage
+ * billing (cubic feet) and shipping (dimensional weight in inches).
+ */
+
+// Unit assumed when a product has none, matching the product form's default
+const DEFAULT_DIMENSION_UNIT = 'cm';
+
+// products.dimensions_unit -> feet
+const FEET_PER_UNIT = {
+  mm: 1 / 304.8,
+  cm: 1 / 30.48,
+  m: 1 / 0.3048,
+  in: 1 / 12,
+  inch: 1 / 12,
+  ft: 1
+};
+
+/**
+ * Feet per one of a dimension unit; missing or unknown units fall back to the default
+ * @param {string} unit
+ * @returns {number}
+ */
+const feetPerUnit = (unit) => FEET_PER_UNIT[(unit || DEFAULT_DIMENSION_UNIT).toLowerCase()]
+  || FEET_PER_UNIT[DEFAULT_DIMENSION_UNIT];
+
+/**
+ * Convert a dimension to feet
+ * @param {number} value
+ * @param {string} unit
+ * @returns {number}
+ */
+exports.toFeet = (value, unit) => value * feetPerUnit(unit);
+
+/**
+ * Convert a dimension to inches
+ * @param {number} value
+ * @param {string} unit
+ * @returns {number}
+ */
+exports.toInches = (value, unit) => value * feetPerUnit(unit) * 12;
+
+exports.feetPerUnit = feetPerUnit;
+exports.FEET_PER_UNIT = FEET_PER_UNIT;
+exports.DEFAULT_DIMENSION_UNIT = DEFAULT_DIMENSION_UNIT;
@@ -6,6 +6,8 @@
  */
 
 const supabaseAdmin = require('../config/supabaseAdmin');
+const orderWorkflow = require('../config/orderWorkflow');
+const { calculateOrderCharge, DEFAULT_RATE_CARD } = require('../services/pricingEngine');
 
 // ============================================
 // INVOICE AMOUNT CALCULATION (Server-Side Only)
@@ -13,14 +15,18 @@ const supabaseAdmin = require('../config/supabaseAdmin');
 
 /**
  * Calculate invoice amount from orders
- * Formula: $2.50 + (units - 1) × $1.25 per order
+ * Priced with the client's rate card (see services/pricingEngine.js)
  */
-function calculateInvoiceAmount(orders) {
+function calculateInvoiceAmount(orders, rateCard = DEFAULT_RATE_CARD) {
   let total = 0;
   
   for (const order of orders) {
     const units = order.items?.reduce((sum, item) => sum + (item.quantity || 0), 0) || 0;
-    const orderAmount = 2.50 + Math.max(0, units - 1) * 1.25;
+    const orderAmount = calculateOrderCharge(rateCard, {
+      units,
+      weight: order.total_weight,
+      specialHandling: order.special_handling === true
+    }).total;
     total += orderAmount;
   }
   
@@ -31,8 +37,8 @@ function calculateInvoiceAmount(orders) {
  * Verify invoice integrity before saving
  * Throws error if amounts don't match
  */
-function verifyInvoiceIntegrity(invoiceData, orders) {
-  const calculatedTotal = calculateInvoiceAmount(orders);
+function verifyInvoiceIntegrity(invoiceData, orders, rateCard = DEFAULT_RATE_CARD) {
+  const calculatedTotal = calculateInvoiceAmount(orders, rateCard);
   const providedTotal = parseFloat(invoiceData.total_amount);
   
   // Allow 1 cent difference for rounding
@@ -81,17 +87,10 @@ async function verifyOrderEditable(orderId) {
 
 /**
  * Verify order status transition is valid
- * Enforces state machine: pending → approved → packed → dispatched
+ * Enforces the state machine in config/orderWorkflow.js
  */
 function validateStatusTransition(currentStatus, newStatus) {
-  const validTransitions = {
-    'pending': ['approved'],
-    'approved': ['packed'],
-    'packed': ['dispatched'],
-    'dispatched': [] // Final state
-  };
-  
-  const allowed = validTransitions[currentStatus] || [];
+  const allowed = orderWorkflow.transitions[currentStatus] || [];
   
   if (!allowed.includes(newStatus)) {
     throw new Error(
@@ -5,36 +5,41 @@
  */
 
 /**
- * Compute correct balance_due from total and paid amounts
+ * Compute correct balance_due from total, paid and credited amounts
  * @param {number} totalAmount - Total invoice amount
  * @param {number} paidAmount - Amount paid so far
+ * @param {number} creditsApplied - Credit notes applied (invoices.credit_notes_applied)
  * @returns {number} Correct balance due
  */
-exports.computeBalanceDue = (totalAmount, paidAmount) => {
+exports.computeBalanceDue = (totalAmount, paidAmount, creditsApplied = 0) => {
   const total = parseFloat(totalAmount || 0);
   const paid = parseFloat(paidAmount || 0);
-  const balance = total - paid;
+  const credits = parseFloat(creditsApplied || 0);
+  const balance = total - credits - paid;
   
   // Never allow negative balance
   return Math.max(0, balance);
 };
 
 /**
- * Derive correct status from payment amounts
+ * Derive correct status from payment and credit amounts
  * Status MUST be computed, never manually set
  * @param {number} totalAmount - Total invoice amount
  * @param {number} paidAmount - Amount paid so far
+ * @param {number} creditsApplied - Credit notes applied (invoices.credit_notes_applied)
  * @returns {string} Correct status
  */
-exports.deriveStatus = (totalAmount, paidAmount) => {
+exports.deriveStatus = (totalAmount, paidAmount, creditsApplied = 0) => {
   const total = parseFloat(totalAmount || 0);
   const paid = parseFloat(paidAmount || 0);
+  const credits = parseFloat(creditsApplied || 0);
+  const settled = paid + credits;
   
-  if (paid === 0) {
+  if (settled === 0) {
     return 'sent';
-  } else if (paid < total) {
+  } else if (settled < total) {
     return 'partial';
-  } else if (paid >= total) {
+  } else if (settled >= total) {
     return 'paid';
   }
   
@@ -50,13 +55,14 @@ exports.deriveStatus = (totalAmount, paidAmount) => {
 exports.validateInvoiceState = (invoice) => {
   const total = parseFloat(invoice.total_amount || 0);
   const paid = parseFloat(invoice.paid_amount || 0);
+  const credits = parseFloat(invoice.credit_notes_applied || 0);
   const balance = parseFloat(invoice.balance_due || 0);
   const status = invoice.status;
 
-  // HARD GUARDRAIL 1: paid_amount cannot exceed total_amount
-  if (paid > total) {
+  // HARD GUARDRAIL 1: paid_amount + credits cannot exceed total_amount
+  if (paid + credits > total) {
     throw new Error(
-      `Invalid invoice state: paid_amount ($${paid.toFixed(2)}) exceeds total_amount ($${total.toFixed(2)})`
+      `Invalid invoice state: paid_amount ($${paid.toFixed(2)}) plus credits ($${credits.toFixed(2)}) exceeds total_amount ($${total.toFixed(2)})`
     );
   }
 
@@ -74,19 +80,19 @@ exports.validateInvoiceState = (invoice) => {
     );
   }
 
-  // HARD GUARDRAIL 4: status='sent' requires paid_amount=0
-  if (status === 'sent' && paid > 0) {
+  // HARD GUARDRAIL 4: status='sent' requires paid_amount=0 and no credits
+  if (status === 'sent' && (paid > 0 || credits > 0)) {
     throw new Error(
-      `Invalid invoice state: status is 'sent' but paid_amount is $${paid.toFixed(2)}`
+      `Invalid invoice state: status is 'sent' but paid_amount is $${paid.toFixed(2)} and credits are $${credits.toFixed(2)}`
     );
   }
 
-  // HARD GUARDRAIL 5: balance_due must equal total - paid
-  const correctBalance = total - paid;
+  // HARD GUARDRAIL 5: balance_due must equal total - credits - paid
+  const correctBalance = total - credits - paid;
   const tolerance = 0.01; // Allow 1 cent tolerance for floating point
   if (Math.abs(balance - correctBalance) > tolerance) {
     throw new Error(
-      `Invalid invoice state: balance_due ($${balance.toFixed(2)}) does not match total - paid ($${correctBalance.toFixed(2)})`
+      `Invalid invoice state: balance_due ($${balance.toFixed(2)}) does not match total - credits - paid ($${correctBalance.toFixed(2)})`
     );
   }
 
@@ -102,10 +108,11 @@ exports.validateInvoiceState = (invoice) => {
 exports.normalizeInvoiceState = (invoice) => {
   const total = parseFloat(invoice.total_amount || 0);
   const paid = parseFloat(invoice.paid_amount || 0);
+  const credits = parseFloat(invoice.credit_notes_applied || 0);
   
   // ALWAYS compute these - never trust stored values
-  const balance_due = exports.computeBalanceDue(total, paid);
-  const status = exports.deriveStatus(total, paid);
+  const balance_due = exports.computeBalanceDue(total, paid, credits);
+  const status = exports.deriveStatus(total, paid, credits);
   
   return {
     ...invoice,
@@ -129,17 +136,18 @@ exports.prepareInvoiceUpdate = (updateData, currentInvoice) => {
   // Start with current values
   const total = parseFloat(updateData.total_amount ?? (currentInvoice.total_amount || 0));
   const paid = parseFloat(updateData.paid_amount ?? (currentInvoice.paid_amount || 0));
+  const credits = parseFloat(updateData.credit_notes_applied ?? (currentInvoice.credit_notes_applied || 0));
   
-  // Validate payment doesn't exceed total
-  if (paid > total) {
+  // Validate payments and credits don't exceed total
+  if (paid + credits > total + 0.01) {
     throw new Error(
-      `Payment amount ($${paid.toFixed(2)}) exceeds invoice total ($${total.toFixed(2)})`
+      `Payments ($${paid.toFixed(2)}) plus credits ($${credits.toFixed(2)}) exceed invoice total ($${total.toFixed(2)})`
     );
   }
   
   // ALWAYS recompute derived fields
-  const balance_due = exports.computeBalanceDue(total, paid);
-  const status = exports.deriveStatus(total, paid);
+  const balance_due = exports.computeBalanceDue(total, paid, credits);
+  const status = exports.deriveStatus(total, paid, credits);
   
   return {
     ...updateData,
@@ -0,0 +1,28 @@
+/**
+ * Supabase paging helpers
+ * PostgREST caps every response (1000 rows by default) without raising an
+ * error, so reads that can grow past that are fetched page by page.
+ */
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Fetch every row of a query, one page at a time
+ * @param {Function} buildQuery - Returns a fresh query with a stable order (e.g. .order('id'))
+ * @param {number} pageSize
+ * @returns {Promise<Object>} { data, error }
+ */
+exports.fetchAllRows = async (buildQuery, pageSize = PAGE_SIZE) => {
+  const rows = [];
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+
+    if (error) return { data: null, error };
+
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) return { data: rows, error: null };
+  }
+};
+
+exports.PAGE_SIZE = PAGE_SIZE;